@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import { keccak256Hex } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_keccak.mjs";
+import { getSqrtRatioAtTick } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_liquidity_math.mjs";
+import { runCli, startMockHyperEvm } from "./mock_hyperevm.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const here = path.dirname(new URL(import.meta.url).pathname);
+
+const owner = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+const pool = "0x12df9913e9e08453440e3c4b1ae73819160b513e";
+const router = "0x4e73e421480a7e0c24fb3c11019254ede194f736";
+
+const word = (n) => BigInt.asUintN(256, BigInt(n)).toString(16).padStart(64, "0");
+const addressWord = (address) => address.slice(2).padStart(64, "0");
+const swapTopic = keccak256Hex("Swap(address,address,int256,int256,uint160,uint128,int24)");
+const E18 = 10n ** 18n;
+
+// Tick path from the pool's -239460: drift up out of the initial [-239760, -239220] range,
+// then further up, then back down through the re-centered range.
+const tickPath = [
+  [4_999_100, -239_400],
+  [4_999_200, -239_300],
+  [4_999_300, -239_200],
+  [4_999_400, -239_150],
+  [4_999_500, -238_900],
+  [4_999_600, -239_000],
+  [4_999_700, -239_100],
+];
+const raw = JSON.parse(readFileSync(path.join(here, "fixtures", "mock_hyperevm_scenario.json"), "utf8"));
+raw.logs = tickPath.map(([blockNumber, tick], i) => {
+  const up = i === 0 || tick > tickPath[i - 1][1];
+  // price up means USD₮0 in (amount1 > 0), WHYPE out
+  const [amount0, amount1] = up ? [-E18, 40_000_000n] : [E18, -40_000_000n];
+  return {
+    address: pool,
+    blockNumber,
+    transactionHash: `0x${(i + 1).toString(16).padStart(2, "0").repeat(32)}`,
+    logIndex: 0,
+    topics: [swapTopic, `0x${addressWord(router)}`, `0x${addressWord(owner)}`],
+    data: `0x${[word(amount0), word(amount1), word(getSqrtRatioAtTick(tick)), word(5n * 10n ** 16n), word(tick)].join("")}`,
+  };
+});
+
+const mock = await startMockHyperEvm(raw);
+const workDir = mkdtempSync(path.join(tmpdir(), "krlp-backtest-"));
+
+const cli = { stateDir: workDir, env: { HYPEREVM_RPC_URL: mock.url } };
+const field = (stdout, label) => {
+  const m = stdout.match(new RegExp(`^\\s*- ${label}: ([+-]?[\\d,.]+)`, "m"));
+  return m ? Number(m[1].replace(/,/g, "")) : null;
+};
+
+try {
+  const base = `krlp backtest --pool ${pool} --from-block 4999000 --to-block 4999999`;
+  const run = await runCli(`${base} --edge-bps 850 --width-bump-ticks 100 --initial-width 500`, cli);
+  assert(run.ok, `backtest should run: ${run.stderr}`);
+  const out = run.stdout;
+  for (const needle of [
+    "Kittenswap heartbeat backtest",
+    `- pool: ${pool} (WHYPE/USD₮0, tick spacing 60)`,
+    "- window: blocks 4999000..4999999 (1000 blocks",
+    "- tick path: 7 Swap logs via eth_getLogs",
+    "- start: tick -239460 from globalState at block 4998999",
+    "- policy: edgeBps 850, widthBumpTicks 100, initial width 540 ticks [-239760, -239220]",
+    "- checks: after every swap",
+    "  - rebalances: 2",
+    "  - ending width: 780 ticks",
+    "  - #1 block 4999300: tick -239200 (out_of_range) [-239760, -239220] -> ",
+    " width 660,",
+    "  - #2 block 4999500: tick -238900 (",
+    "  - fee rate: 500 ppm",
+  ]) {
+    assert(out.includes(needle), `backtest output missing: ${needle}\n${out}`);
+  }
+  // each swap that leaves the range is followed by a rebalance in the same block
+  const inRange = out.match(/time in range: [\d.]+% \((\d+) of 1000 blocks\)/);
+  assert(inRange && Number(inRange[1]) === 1000, `every block should be in range once rebalances re-center\n${out}`);
+  const fees = field(out, "fees earned");
+  const swapCost = field(out, "swap costs");
+  const gas = field(out, "gas costs");
+  const net = field(out, "net of costs");
+  assert(fees > 0 && swapCost > 0 && gas > 0, `fees and both costs should be positive\n${out}`);
+  assert(Math.abs(fees - swapCost - gas - net) < 1e-5, `net should be fees - swap costs - gas costs\n${out}`);
+  assert(out.includes("(2 x 1500000 gas at 1 gwei"), `gas should price two default rebalances\n${out}`);
+  // the entry swap pays the pool fee on about half the capital: 0.05% of ~500
+  const entry = out.match(/pool fee on the entry swap, ([\d.]+) USD₮0, and 2 re-centering swaps/);
+  assert(entry && Math.abs(Number(entry[1]) - 0.25) < 0.05 && Number(entry[1]) < swapCost, `swap costs should include the entry swap\n${out}`);
+
+  // a wider start range with no edge buffer only rebalances once the tick leaves it
+  const wide = await runCli(`${base} --edge-bps 0 --width-bump-ticks 0 --initial-width 1000`, cli);
+  assert(wide.ok && wide.stdout.includes("  - rebalances: 1") && wide.stdout.includes("  - ending width: 1020 ticks"), `a 1020-tick range should rebalance once, at -238900\n${wide.stdout}${wide.stderr}`);
+
+  // interval checks miss the short excursions between checkpoints and lose time in range
+  const sparse = await runCli(`${base} --interval-blocks 500`, cli);
+  assert(sparse.ok && sparse.stdout.includes("- checks: every 500 blocks"), `interval checks should run\n${sparse.stdout}${sparse.stderr}`);
+  const sparseInRange = Number(sparse.stdout.match(/\((\d+) of 1000 blocks\)/)?.[1]);
+  assert(sparseInRange < 1000, `checking every 500 blocks should leave the range uncovered for a while\n${sparse.stdout}`);
+
+  const bad = await runCli(`krlp backtest --pool ${pool} --from-block 4999999 --to-block 4999000`, cli);
+  assert(!bad.ok && /--from-block 4999999 is after --to-block 4999000/.test(bad.stderr), `an inverted window should fail\n${bad.stderr}`);
+
+  const narrow = await runCli(`${base} --initial-width 60`, cli);
+  assert(!narrow.ok && /--initial-width must be >= 120/.test(narrow.stderr), `a too-narrow --initial-width should name that flag\n${narrow.stderr}`);
+} finally {
+  await mock.close();
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+process.stdout.write("Backtest scenarios passed.\n");
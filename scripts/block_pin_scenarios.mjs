@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import { KITTENSWAP_CONTRACTS, parseBlockTag } from "../skills/auto-kittenswap-lp-rebalance/scripts/kittenswap_rebalance_api.mjs";
+import { getSqrtRatioAtTick } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_liquidity_math.mjs";
+import { runCli, startRpcServer } from "./mock_hyperevm.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const owner = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+const token0 = "0x5555555555555555555555555555555555555555";
+const token1 = "0xb8ce59fc3717ada4c02eadf9682a9e934f625ebb";
+const pool = "0x1111111111111111111111111111111111111111";
+const zeroAddress = `0x${"0".repeat(40)}`;
+const positionManager = KITTENSWAP_CONTRACTS.positionManager;
+const hex = (n) => `0x${BigInt(n).toString(16)}`;
+const word = (n) => BigInt.asUintN(256, BigInt(n)).toString(16).padStart(64, "0");
+const addressWord = (address) => address.slice(2).padStart(64, "0");
+
+const tickLower = -277200;
+const tickUpper = -275400;
+const tokenId = 8181n;
+const pinnedBlock = 80;
+
+// block 80 is the pre-rebalance state: price below the range, half the liquidity, not farmed yet
+const stateAt = (blockTag) => (blockTag === hex(pinnedBlock)
+  ? { tick: -277500, liquidity: 5n * 10n ** 11n, farmedIn: zeroAddress, deposit: 0 }
+  : { tick: -276300, liquidity: 10n ** 12n, farmedIn: KITTENSWAP_CONTRACTS.farmingCenter, deposit: 7 });
+
+let seenBlockTags = new Set();
+
+function handleCall(to, data, blockTag) {
+  seenBlockTags.add(blockTag);
+  const state = stateAt(blockTag);
+  switch (data.slice(0, 10)) {
+    case "0x313ce567": return word(to === token1 ? 6 : 18);
+    case "0x95d89b41": return `${word(32)}${word(3)}${Buffer.from(to === token1 ? "USD" : "TKN").toString("hex").padEnd(64, "0")}`;
+    case "0x06fdde03": return `${word(32)}${word(5)}${Buffer.from("Token").toString("hex").padEnd(64, "0")}`;
+    case "0x70a08231": return word(to === positionManager ? 1 : 0);
+    case "0x2f745c59": return word(tokenId);
+    case "0x6352211e": return addressWord(owner);
+    case "0x99fbab88": return [word(0), addressWord(zeroAddress), addressWord(token0), addressWord(token1), addressWord(zeroAddress), word(tickLower), word(tickUpper), word(state.liquidity), word(0), word(0), word(0), word(0)].join("");
+    case "0xd9a641e1": return addressWord(pool);
+    case "0xe76c01e4": return `${word(getSqrtRatioAtTick(state.tick))}${word(state.tick)}${word(500)}${word(0)}${word(0)}${word(0)}`;
+    case "0xd0c93a7c": return word(60);
+    case "0x6378ae44": return word(0);
+    case "0xecdecf42": return word(0);
+    case "0xf30dba93": return [word(1), word(0), word(0), word(0), word(0), word(0)].join("");
+    case "0xe7ce18a3": return addressWord(state.farmedIn);
+    case "0xb02c43d0": return word(state.deposit);
+    default: throw new Error("execution reverted");
+  }
+}
+
+function handleRpc({ method, params }) {
+  switch (method) {
+    case "eth_chainId":
+      return "0x3e7";
+    case "eth_blockNumber":
+      return hex(100);
+    case "eth_gasPrice":
+      return hex(1_000_000_000n);
+    case "eth_getBlockByNumber":
+      return { number: params[0] === "latest" ? hex(100) : params[0], timestamp: hex(1_800_000_000), baseFeePerGas: hex(1) };
+    case "eth_call":
+      return `0x${handleCall(String(params[0].to).toLowerCase(), String(params[0].data), params[1])}`;
+    default:
+      return "0x";
+  }
+}
+
+const rpc = await startRpcServer(handleRpc, { errorCode: 3 });
+
+const workDir = mkdtempSync(path.join(tmpdir(), "krlp-block-"));
+const cli = { stateDir: workDir, env: { HYPEREVM_RPC_URL: rpc.url } };
+const runTracked = async (command) => {
+  seenBlockTags = new Set();
+  return { ...(await runCli(command, cli)), blockTags: [...seenBlockTags] };
+};
+const pinLine = `- block: ${pinnedBlock} (${hex(pinnedBlock)}) (pinned via --block; all reads use this block)`;
+
+try {
+  assert(parseBlockTag("80") === "0x50" && parseBlockTag("0x0050") === "0x50", "decimal and 0x blocks should normalize to a hex quantity");
+  assert(parseBlockTag("") === "latest" && parseBlockTag("Finalized") === "finalized", "empty input falls back to latest; named tags pass through");
+
+  // every eth_call of a pinned command runs at the pinned block
+  for (const command of [
+    `krlp position ${tokenId} --block ${pinnedBlock}`,
+    `krlp status ${tokenId} --block ${pinnedBlock}`,
+    `krlp value ${tokenId} ${owner} --block ${hex(pinnedBlock)}`,
+    `krlp wallet ${owner} --block ${pinnedBlock}`,
+    `krlp farm-status ${tokenId} ${owner} --block ${pinnedBlock}`,
+  ]) {
+    const out = await runTracked(command);
+    assert(out.ok, `${command} should run: ${out.stderr}`);
+    assert(out.stdout.includes(pinLine), `${command} should print the pin line`);
+    assert(out.blockTags.length === 1 && out.blockTags[0] === hex(pinnedBlock), `${command} read at ${out.blockTags.join(",")}`);
+  }
+
+  // pinned output reflects the historical state, not the latest one
+  const past = await runTracked(`krlp position ${tokenId} --block ${pinnedBlock}`);
+  const now = await runTracked(`krlp position ${tokenId}`);
+  assert(past.stdout.includes("500000000000") && !past.stdout.includes("1000000000000"), "pinned position should show the block-80 liquidity");
+  assert(now.stdout.includes("1000000000000") && !now.stdout.includes("- block:"), "latest position should not print a pin line");
+  assert(now.blockTags.every((tag) => tag === "latest"), "unpinned reads should stay on latest");
+
+  const pastValue = await runTracked(`krlp value ${tokenId} ${owner} --block ${pinnedBlock}`);
+  assert(pastValue.stdout.includes("staked status: not staked"), "pinned value should see the NFT before it was farmed");
+  const nowValue = await runTracked(`krlp value ${tokenId} ${owner}`);
+  assert(nowValue.stdout.includes("staked status: staked in KittenSwap FarmingCenter"), "latest value should see the farmed NFT");
+
+  const bad = await runTracked(`krlp position ${tokenId} --block yesterday`);
+  assert(!bad.ok && bad.stderr.includes("Invalid --block: yesterday"), "invalid --block should fail before any read");
+  assert(bad.blockTags.length === 0, "invalid --block should not reach the RPC");
+} finally {
+  await rpc.close();
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+process.stdout.write("Block pin scenarios passed.\n");
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import { KITTENSWAP_CONTRACTS } from "../skills/auto-kittenswap-lp-rebalance/scripts/kittenswap_rebalance_api.mjs";
+import { recordPlanFingerprints } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_plan_store.mjs";
+import { decodeSignedTransaction, signTransaction } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_signer.mjs";
+import { cliStateEnv, runCli, startRpcServer } from "./mock_hyperevm.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const signerKey = `0x${"46".repeat(32)}`;
+const signer = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+const token = "0x5555555555555555555555555555555555555555";
+const hex = (n) => `0x${BigInt(n).toString(16)}`;
+const word = (n) => BigInt(n).toString(16).padStart(64, "0");
+const addressWord = (address) => address.slice(2).padStart(64, "0");
+const approveData = (spender, amount) => `0x095ea7b3${addressWord(spender)}${word(amount)}`;
+
+// Amounts of this value revert in the mocked eth_call replay.
+const REVERTING_AMOUNT = 777n;
+
+const chain = { pendingNonce: 1n, latestNonce: 1n, sends: [] };
+
+function handleRpc({ method, params }) {
+  switch (method) {
+    case "eth_chainId":
+      return "0x3e7";
+    case "eth_getTransactionCount":
+      return hex(params[1] === "pending" ? chain.pendingNonce : chain.latestNonce);
+    case "eth_call":
+      if (String(params[0]?.data || "").endsWith(word(REVERTING_AMOUNT))) {
+        return { error: { code: 3, message: "execution reverted: STF" } };
+      }
+      return `0x${word(1)}`;
+    case "eth_sendRawTransaction": {
+      const decoded = decodeSignedTransaction(params[0]);
+      chain.sends.push(decoded);
+      return decoded.hash;
+    }
+    default:
+      return "0x";
+  }
+}
+
+const rpc = await startRpcServer(handleRpc);
+
+const workDir = mkdtempSync(path.join(tmpdir(), "krlp-broadcast-"));
+const storePath = cliStateEnv(workDir).KRLP_PLAN_STORE_PATH;
+const cli = { stateDir: workDir, env: { HYPEREVM_RPC_URL: rpc.url }, timeout: 90_000 };
+
+// Records the template as plan output would, signs it, and runs broadcast-raw.
+async function broadcast({ to = token, data, value = 0n, chainId = 999n, nonce = 1n, legacy = false, planSender = signer }) {
+  await recordPlanFingerprints({ command: "swap-approve-plan", chainId, sender: planSender, templates: [{ label: "template", to, value, data }], storePath });
+  const fees = legacy ? { gasPrice: 1_000_000_000n } : { maxFeePerGas: 2_000_000_000n, maxPriorityFeePerGas: 100_000_000n };
+  const { rawTransaction } = signTransaction({
+    type: legacy ? "legacy" : "eip1559",
+    chainId,
+    nonce,
+    gasLimit: 60_000n,
+    to,
+    value,
+    data,
+    ...fees,
+  }, signerKey);
+  return runCli(`krlp broadcast-raw ${rawTransaction} --yes SEND --no-wait`, cli);
+}
+
+try {
+  const sent = await broadcast({ data: approveData(KITTENSWAP_CONTRACTS.router, 5_000n) });
+  assert(sent.ok && sent.stdout.includes("- broadcast: SENT"), `planned approve should broadcast: ${sent.stderr}`);
+  for (const needle of [
+    `- from (recovered signer): ${signer}`,
+    "  - type: eip1559",
+    "  - chain id: 999",
+    "  - nonce: 1",
+    "  - max fee per gas: 2 gwei",
+    "  - max priority fee per gas: 0.1 gwei",
+    "  - selector: 0x095ea7b3 approve (spender router)",
+    `  - spender: ${KITTENSWAP_CONTRACTS.router}`,
+    "  - amount raw: 5000",
+    "  - replay eth_call from signer (latest): PASS",
+  ]) {
+    assert(sent.stdout.includes(needle), `broadcast output missing: ${needle}`);
+  }
+  assert(chain.sends.length === 1, "exactly one tx should reach the node");
+
+  const legacy = await broadcast({ data: approveData(KITTENSWAP_CONTRACTS.positionManager, 6_000n), legacy: true });
+  assert(legacy.ok && legacy.stdout.includes("  - gas price: 1 gwei") && legacy.stdout.includes("  - type: legacy"), `legacy tx should print its gas price: ${legacy.stderr}`);
+  assert(chain.sends.length === 2, "legacy tx should reach the node");
+
+  const blockedCases = [
+    [{ data: approveData(KITTENSWAP_CONTRACTS.router, 7_000n), chainId: 998n }, /chain id mismatch: tx is signed for 998, expected 999/],
+    [{ data: approveData(KITTENSWAP_CONTRACTS.router, 8_000n), nonce: 4n }, /nonce gap: tx nonce 4 is above the next pending nonce 1/],
+    [{ data: approveData(KITTENSWAP_CONTRACTS.router, 9_000n), nonce: 0n }, /nonce 0 is already used on chain/],
+    [{ data: approveData(KITTENSWAP_CONTRACTS.router, 9_500n), planSender: `0x${"11".repeat(20)}` }, new RegExp(`signer ${signer} is not the sender 0x${"11".repeat(20)} that swap-approve-plan was planned for`)],
+    [{ data: approveData(KITTENSWAP_CONTRACTS.router, 9_600n), planSender: null }, /swap-approve-plan recorded no sender for this template/],
+    [{ to: KITTENSWAP_CONTRACTS.positionManager, data: `0xdeadbeef${word(1)}` }, /selector 0xdeadbeef is not a known positionManager call/],
+    [{ data: `0xa9059cbb${addressWord(signer)}${word(1)}` }, /is not a Kittenswap contract and 0xa9059cbb is not an ERC20 approve/],
+    [{ data: approveData(signer, 10_000n) }, /ERC20 approve spender is not a Kittenswap contract/],
+    [{ data: approveData(KITTENSWAP_CONTRACTS.router, REVERTING_AMOUNT) }, /simulated call did not pass: REVERT/],
+  ];
+  for (const [input, pattern] of blockedCases) {
+    const blocked = await broadcast(input);
+    // the blocker report is ordinary command output, like a BLOCKED plan gate
+    assert(blocked.ok && pattern.test(blocked.stdout), `expected ${pattern} to block: ${blocked.stderr || blocked.stdout}`);
+    assert(blocked.stdout.includes("- broadcast: BLOCKED (nothing was sent)"), "blocked broadcast should print the decode and BLOCKED state");
+    assert(blocked.stdout.includes("- decoded signed tx:"), "blocked broadcast should keep the decoded tx in its report");
+    assert(chain.sends.length === 2, `blocked tx must not reach the node (${pattern})`);
+  }
+} finally {
+  await rpc.close();
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+process.stdout.write("Broadcast raw scenarios passed.\n");
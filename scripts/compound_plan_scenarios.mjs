@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import { KITTENSWAP_CONTRACTS, formatUnits } from "../skills/auto-kittenswap-lp-rebalance/scripts/kittenswap_rebalance_api.mjs";
+import { Q192, getSqrtRatioAtTick, swapToRangeRatio } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_liquidity_math.mjs";
+import { collectPlanTemplates } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_plan_store.mjs";
+import { renderCommandJson } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_json_output.mjs";
+import { runCli, startRpcServer } from "./mock_hyperevm.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const owner = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+const token0 = "0x5555555555555555555555555555555555555555";
+const token1 = "0xb8ce59fc3717ada4c02eadf9682a9e934f625ebb";
+const pool = "0x1111111111111111111111111111111111111111";
+const zeroAddress = `0x${"0".repeat(40)}`;
+const hex = (n) => `0x${BigInt(n).toString(16)}`;
+const word = (n) => BigInt.asUintN(256, BigInt(n)).toString(16).padStart(64, "0");
+const addressWord = (address) => address.slice(2).padStart(64, "0");
+const readWord = (data, i) => BigInt(`0x${data.slice(10 + i * 64, 10 + (i + 1) * 64)}`);
+
+const tickLower = -277200;
+const tickUpper = -275400;
+const poolTick = -276300;
+const sqrtPriceX96 = getSqrtRatioAtTick(poolTick) + 98765n;
+const tokenId = 6161n;
+
+const chain = { farmedIn: null, fees0: 2n * 10n ** 18n, fees1: 0n };
+
+// quoter fills at the pool price with no impact so the expected sizing is easy to recompute
+function quoteResult(data) {
+  const tokenIn = `0x${data.slice(34, 74)}`;
+  const amountIn = readWord(data, 3);
+  const amountOut = tokenIn === token0
+    ? (amountIn * sqrtPriceX96 * sqrtPriceX96) / Q192
+    : (amountIn * Q192) / (sqrtPriceX96 * sqrtPriceX96);
+  return [word(amountOut), word(amountIn), word(sqrtPriceX96), word(1), word(90_000), word(500)].join("");
+}
+
+function handleCall(to, data) {
+  switch (data.slice(0, 10)) {
+    case "0x313ce567": return word(to === token1 ? 6 : 18);
+    case "0x95d89b41": return `${word(32)}${word(3)}${Buffer.from(to === token1 ? "USD" : "TKN").toString("hex").padEnd(64, "0")}`;
+    case "0x06fdde03": return `${word(32)}${word(5)}${Buffer.from("Token").toString("hex").padEnd(64, "0")}`;
+    case "0x70a08231": return word(0);
+    case "0x6352211e": return addressWord(owner);
+    case "0x99fbab88": return [word(0), addressWord(zeroAddress), addressWord(token0), addressWord(token1), addressWord(zeroAddress), word(tickLower), word(tickUpper), word(10n ** 12n), word(0), word(0), word(0), word(0)].join("");
+    case "0xd9a641e1": return addressWord(pool);
+    case "0xe76c01e4": return `${word(sqrtPriceX96)}${word(poolTick)}${word(500)}${word(0)}${word(0)}${word(0)}`;
+    case "0xd0c93a7c": return word(60);
+    case "0xe7ce18a3": return addressWord(chain.farmedIn || zeroAddress);
+    case "0xb02c43d0": return word(chain.farmedIn ? 7 : 0);
+    case "0xfc6f7865": return `${word(chain.fees0)}${word(chain.fees1)}`;
+    case "0xe94764c4": return quoteResult(data);
+    default: throw new Error("execution reverted");
+  }
+}
+
+function handleRpc({ method, params }) {
+  switch (method) {
+    case "eth_chainId":
+      return "0x3e7";
+    case "eth_blockNumber":
+      return hex(100);
+    case "eth_gasPrice":
+      return hex(1_000_000_000n);
+    case "eth_estimateGas":
+      return hex(150_000);
+    case "eth_getBlockByNumber":
+      return { number: hex(100), timestamp: hex(1_800_000_000), baseFeePerGas: hex(1) };
+    case "eth_call":
+      return `0x${handleCall(String(params[0].to).toLowerCase(), String(params[0].data))}`;
+    default:
+      return "0x";
+  }
+}
+
+const rpc = await startRpcServer(handleRpc, { errorCode: 3 });
+
+const workDir = mkdtempSync(path.join(tmpdir(), "krlp-compound-"));
+const cli = { stateDir: workDir, env: { HYPEREVM_RPC_URL: rpc.url } };
+const stepsOf = (stdout) => collectPlanTemplates(renderCommandJson({ outputText: stdout }).result.sections);
+
+try {
+  // one-sided fees are swapped onto the range ratio and the increase is sized on the min out
+  const plan = await runCli(`krlp compound-plan ${tokenId} ${owner} --slippage-bps 50`, cli);
+  assert(plan.ok, `compound plan should run: ${plan.stderr}`);
+  const swap = swapToRangeRatio({ tick: poolTick, sqrtPriceX96, tickLower, tickUpper, amount0: chain.fees0, amount1: 0n });
+  assert(swap.zeroForOne && swap.amountIn > 0n && swap.amountIn < chain.fees0, "token0-only fees should swap part of token0");
+  const minOut = (((swap.amountIn * sqrtPriceX96 * sqrtPriceX96) / Q192) * 9_950n) / 10_000n;
+  const swapCmd = `krlp swap-plan ${token0} ${token1} --amount-in ${formatUnits(swap.amountIn, 18, { precision: 8 })} ${owner}`;
+  const increaseCmd = `krlp increase-plan ${tokenId} ${owner} --amount0 ${formatUnits(chain.fees0 - swap.amountIn, 18, { precision: 8 })} --amount1 ${formatUnits(minOut, 6, { precision: 8 })}`;
+  for (const needle of [
+    "- mode: COMPOUND_IN_PLACE",
+    "- uncollected fees (collect eth_call): 2 TKN + 0 USD",
+    `min out ${formatUnits(minOut, 6, { precision: 8 })} USD`,
+    "- direct collect sim: PASS",
+    "- execution gate: PASS",
+    swapCmd,
+    increaseCmd,
+  ]) {
+    assert(plan.stdout.includes(needle), `compound plan output missing: ${needle}`);
+  }
+  const collectAt = plan.stdout.indexOf("send collect_fees template below");
+  assert(collectAt > 0 && plan.stdout.indexOf(swapCmd) > collectAt && plan.stdout.indexOf(increaseCmd) > plan.stdout.indexOf(swapCmd), "sequence should be collect -> swap -> increase");
+  const steps = stepsOf(plan.stdout);
+  assert(steps.length === 1 && steps[0].data.startsWith("0xfc6f7865"), "only the collect step should be signable");
+  assert(steps[0].to === KITTENSWAP_CONTRACTS.positionManager && readWord(steps[0].data, 0) === tokenId, "collect should target the position manager for the same tokenId");
+  assert(`0x${steps[0].data.slice(98, 138)}` === owner, "fees should be collected to the owner");
+
+  // --no-swap keeps one-sided fees as-is, which cannot add in-range liquidity
+  const noSwap = await runCli(`krlp compound-plan ${tokenId} ${owner} --no-swap`, cli);
+  assert(noSwap.stdout.includes("- swap to range ratio: SKIPPED (--no-swap") && !noSwap.stdout.includes("krlp swap-plan"), "--no-swap should skip the swap leg");
+  assert(noSwap.stdout.includes("collected fees add zero liquidity") && noSwap.stdout.includes("- execution gate: BLOCKED"), "one-sided fees without a swap should block");
+
+  // a farmed position exits first and re-enters after the increase
+  chain.farmedIn = KITTENSWAP_CONTRACTS.farmingCenter;
+  const staked = await runCli(`krlp compound-plan ${tokenId} ${owner}`, cli);
+  const exitAt = staked.stdout.indexOf(`krlp farm-exit-plan ${tokenId} ${owner} --auto-key`);
+  const rerunAt = staked.stdout.indexOf(`re-run compound plan: krlp compound-plan ${tokenId} ${owner}`);
+  const increaseAt = staked.stdout.indexOf(`krlp increase-plan ${tokenId} ${owner}`);
+  const enterAt = staked.stdout.indexOf(`krlp farm-enter-plan ${tokenId} ${owner} --auto-key`);
+  assert(exitAt > 0 && rerunAt > exitAt && increaseAt > rerunAt && enterAt > increaseAt, "staked compound should be exit -> compound -> re-enter");
+  assert(staked.stdout.includes("position is currently staked") && staked.stdout.includes("- execution gate: BLOCKED"), "staked compound should block until exit");
+  chain.farmedIn = null;
+
+  // nothing to compound
+  chain.fees0 = 0n;
+  const empty = await runCli(`krlp compound-plan ${tokenId} ${owner}`, cli);
+  assert(empty.stdout.includes("no uncollected fees to compound.") && empty.stdout.includes("- swap to range ratio: n/a (no fees)"), "zero fees should block");
+} finally {
+  await rpc.close();
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+process.stdout.write("Compound plan scenarios passed.\n");
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import { decodeSignedTransaction } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_signer.mjs";
+import { runCli, startRpcServer } from "./mock_hyperevm.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const signerKey = `0x${"46".repeat(32)}`;
+const signer = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+const token = "0x5555555555555555555555555555555555555555";
+const spender = "0x4e73e421480a7e0c24fb3c11019254ede194f736";
+const hex = (n) => `0x${BigInt(n).toString(16)}`;
+
+// Minimal in-process chain: mines every accepted tx into its own block.
+const chain = {
+  block: 100,
+  nonce: 0n,
+  txs: new Map(),
+  sends: [],
+  failNextSend: false,
+  failReceipts: false,
+};
+
+function handleRpc({ method, params }) {
+  switch (method) {
+    case "eth_chainId":
+      return "0x3e7";
+    case "eth_gasPrice":
+      return hex(1_000_000_000n);
+    case "eth_blockNumber":
+      chain.block += 1;
+      return hex(chain.block);
+    case "eth_getTransactionCount":
+      return hex(chain.nonce);
+    case "eth_estimateGas":
+      if (String(params[0]?.data || "").startsWith("0xdeadbeef")) {
+        return { error: { code: 3, message: "execution reverted: STF" } };
+      }
+      return hex(46_000);
+    case "eth_sendRawTransaction": {
+      const decoded = decodeSignedTransaction(params[0]);
+      chain.sends.push(decoded);
+      if (chain.failNextSend) {
+        chain.failNextSend = false;
+        return { error: { code: -32000, message: "upstream unavailable" } };
+      }
+      if (decoded.nonce !== chain.nonce) return { error: { code: -32000, message: "nonce too low" } };
+      chain.nonce += 1n;
+      chain.block += 1;
+      chain.txs.set(decoded.hash, { decoded, block: chain.block });
+      return decoded.hash;
+    }
+    case "eth_getTransactionByHash": {
+      const entry = chain.txs.get(params[0]);
+      if (!entry) return null;
+      const { decoded, block } = entry;
+      return {
+        hash: decoded.hash,
+        from: decoded.from,
+        to: decoded.to,
+        input: decoded.data,
+        value: hex(decoded.value),
+        nonce: hex(decoded.nonce),
+        blockNumber: hex(block),
+      };
+    }
+    case "eth_getTransactionReceipt": {
+      if (chain.failReceipts) return { error: { code: -32603, message: "upstream timeout" } };
+      const entry = chain.txs.get(params[0]);
+      if (!entry) return null;
+      return {
+        transactionHash: entry.decoded.hash,
+        status: "0x1",
+        blockNumber: hex(entry.block),
+        gasUsed: hex(46_000),
+        effectiveGasPrice: hex(1_000_000_000n),
+        logs: [],
+      };
+    }
+    case "eth_getBlockByNumber":
+      return { number: params[0], timestamp: hex(1_760_000_000) };
+    default:
+      return "0x";
+  }
+}
+
+const rpc = await startRpcServer(handleRpc);
+const rpcUrl = rpc.url;
+
+const approveData = (amount) => `0x095ea7b3000000000000000000000000${spender.slice(2)}${BigInt(amount).toString(16).padStart(64, "0")}`;
+const planText = (steps) => [
+  "Kittenswap swap plan",
+  `- from (tx sender): ${signer}`,
+  "- execution gate: PASS",
+  "- transaction templates (full calldata):",
+  ...steps.flatMap((data, i) => [
+    `  - step ${i + 1}: approve`,
+    `    - to: ${token}`,
+    "    - value: 0x0 (0 HYPE)",
+    `    - data: ${data}`,
+    "    - gas est: 46000 (0xb3b0)",
+  ]),
+].join("\n");
+
+const workDir = mkdtempSync(path.join(tmpdir(), "krlp-exec-"));
+const cli = { stateDir: workDir, env: { HYPEREVM_RPC_URL: rpcUrl, HYPEREVM_EXEC_PRIVATE_KEY: signerKey } };
+
+try {
+  const planFile = path.join(workDir, "plan.txt");
+  const journalFile = path.join(workDir, "journal.json");
+  writeFileSync(planFile, planText([approveData(1000), approveData(2000)]));
+  const execute = (extra = "--yes SEND") => runCli(`krlp execute-plan --plan ${planFile} --env-key --journal ${journalFile} ${extra}`, cli);
+
+  const dryRun = await execute("");
+  assert(dryRun.ok && dryRun.stdout.includes("- execution status: DRY_RUN"), `dry run should not send: ${dryRun.stderr}`);
+  assert(chain.sends.length === 0, "dry run must not broadcast");
+
+  chain.failNextSend = true;
+  chain.sends.length = 0;
+  const interrupted = await execute();
+  // step 1 send fails before the node accepts it, so step 1 stays signed and the run halts
+  assert(interrupted.ok && interrupted.stdout.includes("- execution status: HALTED"), `first run should halt: ${interrupted.stderr}`);
+  let journal = JSON.parse(readFileSync(journalFile, "utf8"));
+  assert(journal.steps[0].status === "signed" && journal.steps[0].txHash, "step 1 should be journaled as signed");
+  assert(journal.steps.every((step) => !("rawTransaction" in step)), "the journal must not store signed payloads");
+  assert(journal.steps[1].status === "pending", "step 2 should still be pending");
+  const firstHash = journal.steps[0].txHash;
+
+  const resumed = await execute();
+  assert(resumed.ok && resumed.stdout.includes("- execution status: COMPLETE"), `resume should complete: ${resumed.stderr || resumed.stdout}`);
+  journal = JSON.parse(readFileSync(journalFile, "utf8"));
+  assert(journal.steps.every((step) => step.status === "verified" && step.verify === "PASS"), "all steps should be verified");
+  assert(journal.steps[0].txHash === firstHash, "resume must re-sign the unsent step at its journaled nonce");
+  assert(journal.steps[0].nonce === "0" && journal.steps[1].nonce === "1", "nonces should be sequential");
+  const accepted = [...chain.txs.values()].map((entry) => entry.decoded);
+  assert(accepted.length === 2, "exactly two txs should be mined");
+  assert(accepted.every((tx) => tx.from === signer && tx.chainId === 999n && tx.type === "eip1559"), "mined txs should be EIP-1559 from the signer on chain 999");
+  assert(accepted[0].gasLimit === 55_200n, "gas limit should include the default buffer");
+
+  const sendsBefore = chain.sends.length;
+  const again = await execute();
+  assert(again.ok && again.stdout.includes("- execution status: COMPLETE"), "re-run of a finished journal should be a no-op");
+  assert(chain.sends.length === sendsBefore, "verified steps must never be re-sent");
+
+  // a failed receipt lookup stops the run; it must not mark a mined step replaced
+  const flakyPlan = path.join(workDir, "plan-flaky.txt");
+  const flakyJournal = path.join(workDir, "journal-flaky.json");
+  writeFileSync(flakyPlan, planText([approveData(5000)]));
+  const executeFlaky = () => runCli(`krlp execute-plan --plan ${flakyPlan} --env-key --journal ${flakyJournal} --yes SEND`, cli);
+  assert((await executeFlaky()).stdout.includes("- execution status: COMPLETE"), "flaky plan should first complete");
+  journal = JSON.parse(readFileSync(flakyJournal, "utf8"));
+  journal.steps[0].status = "sent";
+  writeFileSync(flakyJournal, JSON.stringify(journal));
+  const flakySends = chain.sends.length;
+  chain.failReceipts = true;
+  const flaky = await executeFlaky();
+  chain.failReceipts = false;
+  assert(!flaky.ok && /upstream timeout/.test(flaky.stderr), `a receipt RPC error should stop the run: ${flaky.stderr || flaky.stdout}`);
+  journal = JSON.parse(readFileSync(flakyJournal, "utf8"));
+  assert(journal.steps[0].status === "sent", "an RPC error must leave the step as sent");
+  const recovered = await executeFlaky();
+  assert(recovered.ok && recovered.stdout.includes("- execution status: COMPLETE"), `the step should resume from its receipt: ${recovered.stderr || recovered.stdout}`);
+  assert(chain.sends.length === flakySends, "a mined step must not be re-sent after an RPC error");
+
+  // a sent step whose nonce was mined by some other tx is marked replaced, and only re-signed with --resign-replaced
+  const replacedPlan = path.join(workDir, "plan-replaced.txt");
+  const replacedJournal = path.join(workDir, "journal-replaced.json");
+  writeFileSync(replacedPlan, planText([approveData(4000)]));
+  const executeReplaced = (extra = "") => runCli(`krlp execute-plan --plan ${replacedPlan} --env-key --journal ${replacedJournal} --yes SEND ${extra}`, cli);
+  chain.failNextSend = true;
+  const stuck = await executeReplaced();
+  assert(stuck.ok && stuck.stdout.includes("- execution status: HALTED"), `send failure should halt: ${stuck.stderr}`);
+  journal = JSON.parse(readFileSync(replacedJournal, "utf8"));
+  const stuckNonce = journal.steps[0].nonce;
+  journal.steps[0].status = "sent";
+  writeFileSync(replacedJournal, JSON.stringify(journal));
+  chain.nonce += 1n;
+  const replaced = await executeReplaced();
+  assert(replaced.ok && /halt reason: step 1 was replaced at nonce/.test(replaced.stdout), `consumed nonce should halt as replaced: ${replaced.stderr || replaced.stdout}`);
+  journal = JSON.parse(readFileSync(replacedJournal, "utf8"));
+  assert(journal.steps[0].status === "replaced", "step should be journaled as replaced");
+  const sendsBeforeResign = chain.sends.length;
+  const held = await executeReplaced();
+  assert(held.ok && /halt reason: step 1 was replaced at nonce .*--resign-replaced/.test(held.stdout), `a replaced step should wait for --resign-replaced: ${held.stderr || held.stdout}`);
+  assert(chain.sends.length === sendsBeforeResign, "a replaced step must not be re-signed without --resign-replaced");
+  const resigned = await executeReplaced("--resign-replaced");
+  assert(resigned.ok && resigned.stdout.includes("- execution status: COMPLETE"), `replaced step should be re-signed: ${resigned.stderr || resigned.stdout}`);
+  journal = JSON.parse(readFileSync(replacedJournal, "utf8"));
+  assert(journal.steps[0].status === "verified" && journal.steps[0].nonce === String(BigInt(stuckNonce) + 1n), "replaced step should land at a fresh nonce");
+
+  writeFileSync(planFile, planText([approveData(3000), "0xdeadbeef"]));
+  const otherJournal = await execute();
+  assert(!otherJournal.ok && /belongs to a different plan/.test(otherJournal.stderr), "journal digest mismatch should be rejected");
+
+  const revertJournal = path.join(workDir, "journal-revert.json");
+  const blocked = await runCli(`krlp execute-plan --plan ${planFile} --env-key --journal ${revertJournal} --yes SEND`, cli);
+  assert(blocked.ok && /halt reason: step 2 simulation failed/.test(blocked.stdout), `failing simulation should halt before send: ${blocked.stderr}`);
+  journal = JSON.parse(readFileSync(revertJournal, "utf8"));
+  assert(journal.steps[0].status === "verified" && journal.steps[1].status === "pending", "only the simulating step should be sent");
+
+  const noSigner = await runCli(`krlp execute-plan --plan ${planFile} --journal ${revertJournal} --yes SEND`, cli);
+  assert(!noSigner.ok && /Choose exactly one signer/.test(noSigner.stderr), "missing signer should be rejected");
+
+  // like sign, a plan without a sender runs only with --allow-no-sender
+  const senderlessPlan = path.join(workDir, "plan-no-sender.txt");
+  writeFileSync(senderlessPlan, planText([approveData(6000)]).replace(`- from (tx sender): ${signer}\n`, ""));
+  const executeSenderless = (extra = "") => runCli(`krlp execute-plan --plan ${senderlessPlan} --env-key --journal ${path.join(workDir, "journal-no-sender.json")} --yes SEND ${extra}`, cli);
+  const senderlessSends = chain.sends.length;
+  const noSender = await executeSenderless();
+  assert(!noSender.ok && /does not declare a sender/.test(noSender.stderr) && chain.sends.length === senderlessSends, `plan without a sender should be refused: ${noSender.stderr}`);
+  const overridden = await executeSenderless("--allow-no-sender");
+  assert(overridden.ok && overridden.stdout.includes("- execution status: COMPLETE") && chain.sends.length === senderlessSends + 1, `--allow-no-sender should execute: ${overridden.stderr || overridden.stdout}`);
+} finally {
+  await rpc.close();
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+process.stdout.write("Execute plan scenarios passed.\n");
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import { keccak256Hex } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_keccak.mjs";
+import { queryLogIndex, syncLogIndex } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_log_indexer.mjs";
+import { HISTORY_STREAMS, buildPositionTimeline } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_position_history.mjs";
+import { runCli, startMockHyperEvm } from "./mock_hyperevm.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const here = path.dirname(new URL(import.meta.url).pathname);
+
+const owner = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+const buyer = "0x1111111111111111111111111111111111111111";
+const kitten = "0x618275f8efe54c2afa87bfb9f210a52f0ff89364";
+const pool = "0x12df9913e9e08453440e3c4b1ae73819160b513e";
+const positionManager = "0x9ea4459c8defbf561495d95414b9cf1e2242a3e2";
+const eternalFarming = "0xf3b57fe4d5d0927c3a5e549cb6af1866687e2d62";
+const zeroAddress = `0x${"0".repeat(40)}`;
+
+const word = (n) => BigInt.asUintN(256, BigInt(n)).toString(16).padStart(64, "0");
+const addressWord = (address) => address.slice(2).padStart(64, "0");
+const topic = (signature) => keccak256Hex(signature);
+const txHash = (byte) => `0x${byte.repeat(32)}`;
+const log = (address, blockNumber, hash, topics, data = [], logIndex = 0) => ({
+  address,
+  blockNumber,
+  transactionHash: hash,
+  logIndex,
+  topics: topics.map((t) => (t.length === 66 ? t : `0x${t}`)),
+  data: `0x${data.join("")}`,
+});
+
+const T = {
+  transfer: topic("Transfer(address,address,uint256)"),
+  increase: topic("IncreaseLiquidity(uint256,uint128,uint128,uint256,uint256,address)"),
+  decrease: topic("DecreaseLiquidity(uint256,uint128,uint256,uint256)"),
+  collect: topic("Collect(uint256,address,uint256,uint256)"),
+  created: topic("EternalFarmingCreated(address,address,address,address,uint256,uint128,uint128,uint24)"),
+  entered: topic("FarmEntered(uint256,bytes32,uint128)"),
+  ended: topic("FarmEnded(uint256,bytes32,address,address,address,uint256,uint256)"),
+  rewardsCollected: topic("RewardsCollected(uint256,bytes32,uint256,uint256)"),
+  claimed: topic("RewardClaimed(address,uint256,address,address)"),
+};
+const incentiveId = keccak256Hex(`0x${addressWord(kitten)}${addressWord(zeroAddress)}${addressWord(pool)}${word(1)}`);
+const E18 = 10n ** 18n;
+const L = 2n * 10n ** 15n;
+const tx = {
+  mint: txHash("a1"),
+  enter: txHash("a2"),
+  increase: txHash("a3"),
+  collectRewards: txHash("a4"),
+  exit: txHash("a5"),
+  remove: txHash("a6"),
+  transfer: txHash("a7"),
+  burn: txHash("a8"),
+};
+
+// Token 2001 runs the full lifecycle inside the fixture's block window and ends burned.
+const raw = JSON.parse(readFileSync(path.join(here, "fixtures", "mock_hyperevm_scenario.json"), "utf8"));
+raw.logs = [
+  log(eternalFarming, 4_990_000, txHash("b1"), [T.created, addressWord(kitten), addressWord(zeroAddress), addressWord(pool)], [
+    addressWord("0x7777777777777777777777777777777777777777"), word(1), word(10n ** 24n), word(0), word(60),
+  ]),
+  log(positionManager, 4_995_000, tx.mint, [T.transfer, addressWord(zeroAddress), addressWord(owner), word(2001)]),
+  log(positionManager, 4_995_000, tx.mint, [T.increase, word(2001)], [word(L), word(L), word(5n * E18), word(190_000_000n), addressWord(pool)], 1),
+  log(eternalFarming, 4_995_010, tx.enter, [T.entered, word(2001), incentiveId], [word(L)]),
+  log(positionManager, 4_996_000, tx.increase, [T.increase, word(2001)], [word(L), word(L / 2n), word(E18), word(38_000_000n), addressWord(pool)]),
+  log(eternalFarming, 4_996_500, tx.collectRewards, [T.rewardsCollected], [word(2001), incentiveId.slice(2), word(3n * E18), word(0)]),
+  log(eternalFarming, 4_997_000, tx.exit, [T.ended, word(2001), incentiveId, addressWord(kitten)], [addressWord(zeroAddress), addressWord(owner), word(7n * E18), word(0)]),
+  log(eternalFarming, 4_997_000, tx.exit, [T.claimed, addressWord(owner), addressWord(kitten), addressWord(owner)], [word(10n * E18)], 1),
+  log(positionManager, 4_998_000, tx.remove, [T.decrease, word(2001)], [word(L + L / 2n), word(6n * E18), word(200_000_000n)]),
+  log(positionManager, 4_998_000, tx.remove, [T.collect, word(2001)], [addressWord(owner), word(6n * E18 + E18 / 10n), word(204_000_000n)], 1),
+  log(positionManager, 4_998_500, tx.transfer, [T.transfer, addressWord(owner), addressWord(buyer), word(2001)]),
+  log(positionManager, 4_999_000, tx.burn, [T.transfer, addressWord(buyer), addressWord(zeroAddress), word(2001)]),
+  // another token in the same txs range is ignored
+  log(positionManager, 4_998_000, tx.remove, [T.collect, word(2002)], [addressWord(owner), word(E18), word(1)], 2),
+];
+// token 2003 sits in a custom-deployer pool on the same pair and has no indexed events
+const customPool = "0x7e57000000000000000000000000000000000001";
+const customDeployer = "0x7e57000000000000000000000000000000000d00";
+raw.pools[customPool] = { token0: raw.pools[pool].token0, token1: raw.pools[pool].token1, deployer: customDeployer, tickSpacing: 60, tick: -239460, fee: 3000, liquidity: "1000000000000000" };
+raw.positions["2003"] = { ...raw.positions["1001"], deployer: customDeployer };
+
+const mock = await startMockHyperEvm(raw);
+const workDir = mkdtempSync(path.join(tmpdir(), "krlp-history-"));
+const indexDir = path.join(workDir, "index");
+
+const cli = { stateDir: workDir, env: { HYPEREVM_RPC_URL: mock.url, KRLP_LOG_INDEX_LOOKBACK_BLOCKS: "3000" } };
+
+try {
+  await syncLogIndex({ streams: HISTORY_STREAMS, fromBlock: 4_985_000, dir: indexDir, rpcUrl: mock.url });
+  const timeline = buildPositionTimeline(await queryLogIndex({ dir: indexDir, stream: HISTORY_STREAMS }), { tokenId: 2001 });
+  const kinds = timeline.entries.map((e) => e.kind).join(",");
+  assert(kinds === "mint,farm-enter,increase,farm-collect,farm-exit,reward-claim,decrease,collect,transfer,burn", `timeline kinds: ${kinds}`);
+  assert(timeline.poolAddress === pool && timeline.mint.txHash === tx.mint && timeline.burn.txHash === tx.burn, "mint/burn/pool should be resolved");
+  assert(timeline.mint.amount0 === 5n * E18 && timeline.mint.liquidity === L, "mint should merge the same-tx IncreaseLiquidity");
+
+  // the collect after a decrease is principal first, the remainder is fees
+  const collect = timeline.entries.find((e) => e.kind === "collect");
+  assert(collect.principal0 === 6n * E18 && collect.fees0 === E18 / 10n, "collect token0 should split 6 principal + 0.1 fees");
+  assert(collect.principal1 === 200_000_000n && collect.fees1 === 4_000_000n, "collect token1 should split 200 principal + 4 fees");
+  assert(timeline.totals.liquidity === 0n && timeline.totals.deposited0 === 6n * E18, `totals: ${timeline.totals.liquidity} ${timeline.totals.deposited0}`);
+  assert(timeline.totals.rewards.get(kitten) === 10n * E18, "rewards accrue from RewardsCollected (3) and FarmEnded (7)");
+  const collected = timeline.entries.find((e) => e.kind === "farm-collect");
+  assert(collected.incentive?.nonce === "1" && collected.rewards[0].token === kitten, "RewardsCollected reward token comes from the indexed incentive key");
+
+  const history = await runCli("krlp history 2001 --from-block 4985000", cli);
+  assert(history.ok, `history should run: ${history.stderr}`);
+  for (const needle of [
+    "Kittenswap position history (2001)",
+    `- pool: ${pool}`,
+    `- mint tx: ${tx.mint}`,
+    "  - entry amounts: 5 WHYPE + 190 USD₮0",
+    "  - entry price: ",
+    "- events: 10",
+    `  - mint: block 4995000 | ${new Date((raw.block.timestamp - 5_000) * 1000).toISOString()} | tx ${tx.mint}`,
+    "    - principal (from earlier decreases): 6 WHYPE + 200 USD₮0 = ",
+    "    - fees: 0.1 WHYPE + 4 USD₮0 = ",
+    `    - from: ${buyer}`,
+    "    - rewards accrued: 7 KITTEN = ",
+    "    - claimed: 10 KITTEN = ",
+    `  - status: burned at block 4999000`,
+    "  - fees collected: 0.1 WHYPE + 4 USD₮0 = ",
+    "  - farm rewards accrued: 10 KITTEN = ",
+  ]) {
+    assert(history.stdout.includes(needle), `history output missing: ${needle}\n${history.stdout}`);
+  }
+  assert(!/- marks: WHYPE=n\/a/.test(history.stdout), `every event should carry a stable mark\n${history.stdout}`);
+  assert(!history.stdout.includes("2002"), "other token ids must not leak into the timeline");
+
+  // the mint predates the default lookback of a fresh index: the report says how to backfill.
+  // The farming stream starts at its mainnet start block, above this chain's head, so only
+  // position events fall in the lookback.
+  const { stdout: partial } = await runCli("krlp history 2001", { ...cli, env: { ...cli.env, KRLP_LOG_INDEX_DIR: path.join(workDir, "partial-index") } });
+  assert(partial.includes("- mint tx: not in the indexed range (first event at block 4998000); rerun with --from-block"), `partial history should point at --from-block\n${partial}`);
+  assert(partial.includes("farming blocks none"), `a fresh farming stream should not fall back to the lookback\n${partial}`);
+
+  // an unindexed position resolves its pool through its own deployer
+  const unindexed = await runCli("krlp history 2003", cli);
+  assert(unindexed.ok && unindexed.stdout.includes(`- pool: ${customPool}`), `custom-deployer history should resolve the custom pool\n${unindexed.stdout}${unindexed.stderr}`);
+} finally {
+  await mock.close();
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+process.stdout.write("History scenarios passed.\n");
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import { KITTENSWAP_CONTRACTS } from "../skills/auto-kittenswap-lp-rebalance/scripts/kittenswap_rebalance_api.mjs";
+import { getLiquidityForAmounts, getSqrtRatioAtTick, positionAmountsForLiquidity } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_liquidity_math.mjs";
+import { collectPlanTemplates } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_plan_store.mjs";
+import { renderCommandJson } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_json_output.mjs";
+import { decodeSignedTransaction, signTransaction } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_signer.mjs";
+import { runCli, startRpcServer } from "./mock_hyperevm.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const signerKey = `0x${"46".repeat(32)}`;
+const owner = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+const token0 = "0x5555555555555555555555555555555555555555";
+const token1 = "0xb8ce59fc3717ada4c02eadf9682a9e934f625ebb";
+const pool = "0x1111111111111111111111111111111111111111";
+const hex = (n) => `0x${BigInt(n).toString(16)}`;
+const word = (n) => BigInt.asUintN(256, BigInt(n)).toString(16).padStart(64, "0");
+const addressWord = (address) => address.slice(2).padStart(64, "0");
+const readWord = (data, i) => BigInt(`0x${data.slice(10 + i * 64, 10 + (i + 1) * 64)}`);
+
+// 18/6-decimal pair around 1 token1 per token0, position range [-277200, -275400] at tick -276300
+const tickLower = -277200;
+const tickUpper = -275400;
+const poolTick = -276300;
+const sqrtPriceX96 = getSqrtRatioAtTick(poolTick) + 98765n;
+const tokenId = 4242n;
+
+const chain = {
+  balance0: 10n ** 21n,
+  balance1: 10n ** 9n,
+  allowance: 2n ** 256n - 1n,
+  farmedIn: null,
+  sends: [],
+};
+
+// increaseLiquidity replay mirrors the position manager: pull the exact spend, check mins and allowance
+function increaseLiquidityResult(data) {
+  const [amount0Desired, amount1Desired, amount0Min, amount1Min] = [1, 2, 3, 4].map((i) => readWord(data, i));
+  const liquidity = getLiquidityForAmounts(sqrtPriceX96, getSqrtRatioAtTick(tickLower), getSqrtRatioAtTick(tickUpper), amount0Desired, amount1Desired);
+  const { amount0, amount1 } = positionAmountsForLiquidity({ tick: poolTick, sqrtPriceX96, tickLower, tickUpper, liquidity, roundUp: true });
+  if (amount0 < amount0Min || amount1 < amount1Min) throw new Error("execution reverted: Price slippage check");
+  if (amount0 > chain.allowance || amount1 > chain.allowance) throw new Error("execution reverted: STF");
+  return `${word(liquidity)}${word(amount0)}${word(amount1)}`;
+}
+
+function handleCall(to, data) {
+  switch (data.slice(0, 10)) {
+    case "0x313ce567": return word(to === token1 ? 6 : 18);
+    case "0x95d89b41": return `${word(32)}${word(3)}${Buffer.from(to === token1 ? "USD" : "TKN").toString("hex").padEnd(64, "0")}`;
+    case "0x06fdde03": return `${word(32)}${word(5)}${Buffer.from("Token").toString("hex").padEnd(64, "0")}`;
+    case "0x70a08231": return word(to === token1 ? chain.balance1 : chain.balance0);
+    case "0xdd62ed3e": return word(chain.allowance);
+    case "0x6352211e": return addressWord(owner);
+    case "0x99fbab88": return [word(0), addressWord(`0x${"0".repeat(40)}`), addressWord(token0), addressWord(token1), addressWord(`0x${"0".repeat(40)}`), word(tickLower), word(tickUpper), word(10n ** 12n), word(0), word(0), word(0), word(0)].join("");
+    case "0xd9a641e1": return addressWord(pool);
+    case "0xe76c01e4": return `${word(sqrtPriceX96)}${word(poolTick)}${word(500)}${word(0)}${word(0)}${word(0)}`;
+    case "0xd0c93a7c": return word(60);
+    case "0xe7ce18a3": return addressWord(chain.farmedIn || `0x${"0".repeat(40)}`);
+    case "0xb02c43d0": return word(chain.farmedIn ? 7 : 0);
+    case "0x219f5d17": return increaseLiquidityResult(data);
+    default: return word(0);
+  }
+}
+
+function handleRpc({ method, params }) {
+  switch (method) {
+    case "eth_chainId":
+      return "0x3e7";
+    case "eth_blockNumber":
+      return hex(100);
+    case "eth_gasPrice":
+      return hex(1_000_000_000n);
+    case "eth_estimateGas":
+      return hex(180_000);
+    case "eth_getBlockByNumber":
+      return { number: hex(100), timestamp: hex(1_800_000_000), baseFeePerGas: hex(1) };
+    case "eth_getTransactionCount":
+      return "0x0";
+    case "eth_call":
+      return `0x${handleCall(String(params[0].to).toLowerCase(), String(params[0].data))}`;
+    case "eth_sendRawTransaction": {
+      const decoded = decodeSignedTransaction(params[0]);
+      chain.sends.push(decoded);
+      return decoded.hash;
+    }
+    default:
+      return "0x";
+  }
+}
+
+const rpc = await startRpcServer(handleRpc, { errorCode: 3 });
+
+const workDir = mkdtempSync(path.join(tmpdir(), "krlp-increase-"));
+const cli = { stateDir: workDir, env: { HYPEREVM_RPC_URL: rpc.url } };
+const templatesOf = (stdout) => collectPlanTemplates(renderCommandJson({ outputText: stdout }).result.sections);
+const planCommand = `krlp increase-plan ${tokenId} ${owner} --amount0 1.5 --amount1 2 --slippage-bps 100`;
+
+try {
+  const desired0 = 15n * 10n ** 17n;
+  const desired1 = 2_000_000n;
+  const expectedLiquidity = getLiquidityForAmounts(sqrtPriceX96, getSqrtRatioAtTick(tickLower), getSqrtRatioAtTick(tickUpper), desired0, desired1);
+  const spend = positionAmountsForLiquidity({ tick: poolTick, sqrtPriceX96, tickLower, tickUpper, liquidity: expectedLiquidity, roundUp: true });
+
+  // unstaked, funded and approved: a single increaseLiquidity template with mins on the exact spend
+  const plan = await runCli(planCommand, cli);
+  assert(plan.ok, `increase-plan should succeed: ${plan.stderr}`);
+  for (const needle of [
+    `Kittenswap LP increase plan (${tokenId})`,
+    "- staked status: not staked (tokenFarmedIn is zero address)",
+    `- ticks: [${tickLower}, ${tickUpper}] | current ${poolTick}`,
+    `liquidity=+${expectedLiquidity}`,
+    `- liquidity after increase: ${10n ** 12n + expectedLiquidity}`,
+    "- direct increaseLiquidity eth_call simulation: PASS",
+    "- execution gate: PASS",
+    "    - decode guard: PASS (increaseLiquidity selector + 6 words)",
+  ]) {
+    assert(plan.stdout.includes(needle), `increase-plan output missing: ${needle}`);
+  }
+  assert(!plan.stdout.includes("approve_token"), "no approve step when allowances cover the desired amounts");
+  const templates = templatesOf(plan.stdout);
+  assert(templates.length === 1 && templates[0].to === KITTENSWAP_CONTRACTS.positionManager, "expected one position-manager template");
+  const { data } = templates[0];
+  assert(data.startsWith("0x219f5d17") && (data.length - 10) / 64 === 6, "template should be increaseLiquidity with six words");
+  assert(readWord(data, 0) === tokenId && readWord(data, 1) === desired0 && readWord(data, 2) === desired1, "calldata should carry tokenId and desired amounts");
+  assert(readWord(data, 3) === (spend.amount0 * 9_900n) / 10_000n && readWord(data, 4) === (spend.amount1 * 9_900n) / 10_000n, "mins should be the exact spend less slippage");
+  assert(readWord(data, 5) > 1_800_000_000n, "deadline should be anchored on the latest block");
+
+  // the planned template passes the broadcast-raw gate and decodes as increaseLiquidity
+  const { rawTransaction } = signTransaction({
+    type: "eip1559",
+    chainId: 999n,
+    nonce: 0n,
+    gasLimit: 250_000n,
+    maxFeePerGas: 2_000_000_000n,
+    maxPriorityFeePerGas: 0n,
+    to: templates[0].to,
+    value: 0n,
+    data,
+  }, signerKey);
+  const sent = await runCli(`krlp broadcast-raw ${rawTransaction} --yes SEND --no-wait`, cli);
+  assert(sent.ok && sent.stdout.includes("increaseLiquidity") && sent.stdout.includes(`  - tokenId: ${tokenId}`), `planned increase should broadcast: ${sent.stderr}`);
+  assert(chain.sends.length === 1, "exactly one increase tx should reach the node");
+
+  // missing allowance: approve steps first, simulation blocks until they are mined
+  chain.allowance = 0n;
+  const unapproved = await runCli(`${planCommand} --approve-max`, cli);
+  assert(unapproved.ok, `unapproved plan should still render: ${unapproved.stderr}`);
+  assert(templatesOf(unapproved.stdout).length === 3, "approve steps should precede the increase template");
+  for (const needle of [
+    "  - step 1: approve_token0_for_position_manager",
+    "  - step 2: approve_token1_for_position_manager",
+    "  - step 3: increase_liquidity",
+    `    - data: 0x095ea7b3${addressWord(KITTENSWAP_CONTRACTS.positionManager)}${"f".repeat(64)}`,
+    "- execution gate: BLOCKED",
+    "send the approval tx(s) first, then re-run increase-plan",
+  ]) {
+    assert(unapproved.stdout.includes(needle), `unapproved plan missing: ${needle}`);
+  }
+  chain.allowance = 2n ** 256n - 1n;
+
+  // balance shortfall is a blocker even when the simulation would pass
+  chain.balance1 = 1_000_000n;
+  const short = await runCli(planCommand, cli);
+  assert(short.stdout.includes(`wallet ${owner} has insufficient USD for amount1Desired.`) && short.stdout.includes("- execution gate: BLOCKED"), "balance shortfall should block");
+  chain.balance1 = 10n ** 9n;
+
+  // staked in the Kittenswap farming center: exit -> increase -> re-enter
+  chain.farmedIn = KITTENSWAP_CONTRACTS.farmingCenter;
+  const staked = await runCli(planCommand, cli);
+  assert(staked.ok, `staked plan should render: ${staked.stderr}`);
+  const sequence = staked.stdout.slice(staked.stdout.indexOf("- canonical command sequence:"));
+  const exitAt = sequence.indexOf(`krlp farm-exit-plan ${tokenId} ${owner} --auto-key`);
+  const rerunAt = sequence.indexOf(`re-run increase plan: krlp increase-plan ${tokenId} ${owner} --amount0 1.5 --amount1 2 --slippage-bps 100`);
+  const enterAt = sequence.indexOf(`krlp farm-enter-plan ${tokenId} ${owner} --auto-key`);
+  assert(staked.stdout.includes("- execution gate: BLOCKED") && staked.stdout.includes("position is currently staked"), "staked position should block");
+  assert(exitAt > 0 && rerunAt > exitAt && enterAt > rerunAt, "staked sequence should be exit -> increase -> re-enter");
+
+  // staked elsewhere is not a clean state either
+  chain.farmedIn = "0x2222222222222222222222222222222222222222";
+  const elsewhere = await runCli(planCommand, cli);
+  assert(elsewhere.stdout.includes("farm state is not clean") && elsewhere.stdout.includes("- execution gate: BLOCKED"), "foreign farm should block");
+  chain.farmedIn = null;
+
+  const usage = await runCli(`krlp increase-plan ${tokenId}`, cli);
+  assert(!usage.ok && /Usage: krlp increase-plan <tokenId> --amount0/.test(usage.stderr), "missing amounts should print usage");
+  assert(chain.sends.length === 1, "planning must never broadcast");
+} finally {
+  await rpc.close();
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+process.stdout.write("Increase plan scenarios passed.\n");
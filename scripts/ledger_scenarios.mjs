@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import { keccak256Hex } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_keccak.mjs";
+import { runCli, startMockHyperEvm } from "./mock_hyperevm.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const here = path.dirname(new URL(import.meta.url).pathname);
+
+const owner = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+const stranger = "0x1111111111111111111111111111111111111111";
+const whype = "0x5555555555555555555555555555555555555555";
+const usdt0 = "0xb8ce59fc3717ada4c02eadf9682a9e934f625ebb";
+const kitten = "0x618275f8efe54c2afa87bfb9f210a52f0ff89364";
+const pool = "0x12df9913e9e08453440e3c4b1ae73819160b513e";
+const positionManager = "0x9ea4459c8defbf561495d95414b9cf1e2242a3e2";
+const router = "0x4e73e421480a7e0c24fb3c11019254ede194f736";
+const farmingCenter = "0x211bd8917d433b7cc1f4497aba906554ab6ee479";
+const eternalFarming = "0xf3b57fe4d5d0927c3a5e549cb6af1866687e2d62";
+const zeroAddress = `0x${"0".repeat(40)}`;
+
+const word = (n) => BigInt.asUintN(256, BigInt(n)).toString(16).padStart(64, "0");
+const addressWord = (address) => address.slice(2).padStart(64, "0");
+const topic = (signature) => keccak256Hex(signature);
+const txHash = (byte) => `0x${byte.repeat(32)}`;
+const event = (address, topics, data = []) => ({
+  address,
+  topics: topics.map((t) => (t.length === 66 ? t : `0x${t}`)),
+  data: `0x${data.join("")}`,
+});
+
+const T = {
+  transfer: topic("Transfer(address,address,uint256)"),
+  approval: topic("Approval(address,address,uint256)"),
+  increase: topic("IncreaseLiquidity(uint256,uint128,uint128,uint256,uint256,address)"),
+  decrease: topic("DecreaseLiquidity(uint256,uint128,uint256,uint256)"),
+  collect: topic("Collect(uint256,address,uint256,uint256)"),
+  claimed: topic("RewardClaimed(address,uint256,address,address)"),
+};
+const E18 = 10n ** 18n;
+const L = 2n * 10n ** 15n;
+const erc20 = (token, from, to, amount) => event(token, [T.transfer, addressWord(from), addressWord(to)], [word(amount)]);
+const swapInput = (tokenIn, tokenOut, amountIn) => `0x1679c792${[
+  addressWord(tokenIn), addressWord(tokenOut), addressWord(zeroAddress), addressWord(owner),
+  word(1_900_000_000), word(amountIn), word(0), word(0),
+].join("")}`;
+const tx = (byte, blockNumber, { to = positionManager, from = owner, input = "0x", value = "0", gasUsed = 200_000, logs = [] } = {}) => ({
+  hash: txHash(byte),
+  from,
+  to,
+  input,
+  value,
+  blockNumber,
+  status: 1,
+  gasUsed: String(gasUsed),
+  effectiveGasPrice: "1000000000",
+  logs,
+});
+
+// The fixture head (block 5,000,000) is 2027-01-15T08:00:00Z with 1s blocks, so that UTC day
+// starts at block 4,971,200. d0 is a swap the day before and must stay out of the export.
+const raw = JSON.parse(readFileSync(path.join(here, "fixtures", "mock_hyperevm_scenario.json"), "utf8"));
+raw.transactions.push(
+  tx("d0", 4_960_000, { to: router, input: swapInput(whype, usdt0, E18), logs: [erc20(whype, owner, pool, E18), erc20(usdt0, pool, owner, 39_000_000n)] }),
+  tx("d1", 4_990_000, { to: router, input: swapInput(whype, usdt0, E18), gasUsed: 150_000, logs: [erc20(whype, owner, pool, E18), erc20(usdt0, pool, owner, 39_800_000n)] }),
+  tx("d2", 4_990_100, { to: router, input: swapInput(whype, usdt0, 2n * E18), value: String(2n * E18), gasUsed: 160_000, logs: [erc20(whype, router, pool, 2n * E18), erc20(usdt0, pool, owner, 79_000_000n)] }),
+  tx("d3", 4_991_000, { gasUsed: 400_000, logs: [
+    event(positionManager, [T.transfer, addressWord(zeroAddress), addressWord(owner), word(2001)]),
+    erc20(whype, owner, pool, 5n * E18),
+    erc20(usdt0, owner, pool, 190_000_000n),
+    event(positionManager, [T.increase, word(2001)], [word(L), word(L), word(5n * E18), word(190_000_000n), addressWord(pool)]),
+  ] }),
+  tx("d4", 4_995_000, { logs: [
+    event(positionManager, [T.decrease, word(2001)], [word(L), word(4n * E18), word(230_000_000n)]),
+    erc20(whype, pool, owner, 4n * E18 + E18 / 10n),
+    erc20(usdt0, pool, owner, 233_000_000n),
+    event(positionManager, [T.collect, word(2001)], [addressWord(owner), word(4n * E18 + E18 / 10n), word(233_000_000n)]),
+  ] }),
+  tx("d5", 4_996_000, { to: farmingCenter, gasUsed: 90_000, logs: [
+    erc20(kitten, eternalFarming, owner, 10n * E18),
+    event(eternalFarming, [T.claimed, addressWord(owner), addressWord(kitten), addressWord(owner)], [word(10n * E18)]),
+  ] }),
+  tx("d6", 4_996_500, { to: usdt0, gasUsed: 46_000, logs: [event(usdt0, [T.approval, addressWord(owner), addressWord(router)], [word((1n << 256n) - 1n)])] }),
+  tx("d7", 4_997_000, { to: kitten, from: stranger, logs: [erc20(kitten, stranger, owner, 3n * E18)] }),
+  // someone else's collect in the window is not the owner's
+  tx("d8", 4_997_500, { from: stranger, logs: [event(positionManager, [T.collect, word(3001)], [addressWord(stranger), word(E18), word(1)])] }),
+);
+
+const mock = await startMockHyperEvm(raw);
+const workDir = mkdtempSync(path.join(tmpdir(), "krlp-ledger-"));
+
+const cli = { stateDir: workDir, env: { HYPEREVM_RPC_URL: mock.url }, timeout: 180_000 };
+const parseCsv = (text) => {
+  const [header, ...lines] = text.trim().split("\n");
+  const cols = header.split(",");
+  return lines.map((line) => Object.fromEntries(line.split(",").map((v, i) => [cols[i], v])));
+};
+
+try {
+  const csvPath = path.join(workDir, "ledger.csv");
+  const exported = await runCli(`krlp export-ledger ${owner} --from 2027-01-15 --to 2027-01-15 --format csv --out ${csvPath}`, cli);
+  assert(exported.ok, `export-ledger should run: ${exported.stderr}`);
+  for (const needle of [
+    "Kittenswap ledger export",
+    `- owner: ${owner}`,
+    "- window: 2027-01-15T00:00:00.000Z .. 2027-01-15T23:59:59.000Z (blocks 4971200..5000000)",
+    "- format: csv",
+    "- rows: 21",
+    "  - fee-collect: 2",
+    "  - gas: 7",
+    "  - lp-deposit: 2",
+    "  - lp-withdraw: 2",
+    "  - reward-claim: 1",
+    "  - swap-in: 2",
+    "  - swap-out: 2",
+    "  - transfer-in: 3",
+    "- txs: 8 (7 sent by the owner)",
+  ]) {
+    assert(exported.stdout.includes(needle), `export summary missing: ${needle}\n${exported.stdout}`);
+  }
+
+  const rows = parseCsv(readFileSync(csvPath, "utf8"));
+  const view = rows.map((r) => `${r.tx_hash.slice(2, 4)} ${r.type} ${r.token_id} ${r.symbol} ${r.amount}`);
+  const expected = [
+    "d1 swap-out  WHYPE -1",
+    "d1 swap-in  USD₮0 39.8",
+    "d1 gas  HYPE -0.00015",
+    "d2 swap-out  HYPE -2",
+    "d2 swap-in  USD₮0 79",
+    "d2 gas  HYPE -0.00016",
+    "d3 lp-deposit 2001 WHYPE -5",
+    "d3 lp-deposit 2001 USD₮0 -190",
+    "d3 gas  HYPE -0.0004",
+    "d4 lp-withdraw 2001 WHYPE 4",
+    "d4 lp-withdraw 2001 USD₮0 230",
+    "d4 fee-collect 2001 WHYPE 0.1",
+    "d4 fee-collect 2001 USD₮0 3",
+    "d4 gas  HYPE -0.0002",
+    "d5 reward-claim  KITTEN 10",
+    "d5 gas  HYPE -0.00009",
+    "d6 gas  HYPE -0.000046",
+    "d7 transfer-in  KITTEN 3",
+    // the base fixture's collect tx carries only the token transfers, so it books as plain transfers
+    "c0 transfer-in  WHYPE 0.05",
+    "c0 transfer-in  USD₮0 2",
+    "c0 gas  HYPE -0.00012",
+  ];
+  assert(view.length === expected.length, `row count ${view.length}\n${view.join("\n")}`);
+  for (const line of expected) assert(view.includes(line), `ledger row missing: ${line}\n${view.join("\n")}`);
+  assert(!rows.some((r) => r.tx_hash === txHash("d0") || r.tx_hash === txHash("d8")), "rows outside the window or for other wallets must not appear");
+
+  const timestamps = new Set(rows.filter((r) => r.tx_hash === txHash("d4")).map((r) => r.timestamp));
+  assert(timestamps.size === 1 && timestamps.has(new Date((raw.block.timestamp - 5_000) * 1000).toISOString()), `rows carry the block time: ${[...timestamps]}`);
+  for (const r of rows) {
+    assert(r.usd_mark !== "" && Math.abs(Number(r.amount) * Number(r.usd_mark) - Number(r.usd_value)) < 1e-6, `usd_value should be amount * usd_mark: ${JSON.stringify(r)}`);
+    assert(BigInt(r.amount_raw) < 0n === r.amount.startsWith("-"), `amount and amount_raw share a sign: ${JSON.stringify(r)}`);
+  }
+  const hypeMark = Number(rows.find((r) => r.type === "gas").usd_mark);
+  const whypeMark = Number(rows.find((r) => r.symbol === "WHYPE").usd_mark);
+  assert(Math.abs(hypeMark - whypeMark) < 1e-9 && hypeMark > 39 && hypeMark < 41, `native HYPE is marked at WHYPE: ${hypeMark} vs ${whypeMark}`);
+
+  // jsonl goes to stdout when --out is omitted; a second run reuses the synced index
+  const jsonl = await runCli(`krlp export-ledger ${owner} --from 2027-01-15T02:00:00Z --format jsonl`, cli);
+  assert(jsonl.ok, `jsonl export should run: ${jsonl.stderr}`);
+  const records = jsonl.stdout.trim().split("\n").map((line) => JSON.parse(line));
+  assert(records.length === rows.length && records.every((r) => typeof r.usd_value === "number" && r.tx_hash && r.timestamp), `jsonl should mirror the csv rows\n${jsonl.stdout}`);
+
+  const reversed = await runCli(`krlp export-ledger ${owner} --from 2027-01-15 --to 2027-01-14`, cli);
+  assert(!reversed.ok && reversed.stderr.includes("--to 2027-01-14 is before --from 2027-01-15"), `a reversed window should fail: ${reversed.stderr}`);
+  const badFormat = await runCli(`krlp export-ledger ${owner} --from 2027-01-15 --format xlsx`, cli);
+  assert(!badFormat.ok && badFormat.stderr.includes("Invalid --format: xlsx"), `unknown formats should fail: ${badFormat.stderr}`);
+} finally {
+  await mock.close();
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+process.stdout.write("Ledger scenarios passed.\n");
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+import process from "node:process";
+
+import { concentrationFactor } from "../skills/auto-kittenswap-lp-rebalance/scripts/kittenswap_rebalance_api.mjs";
+import {
+  MAX_SQRT_RATIO,
+  MAX_TICK,
+  MIN_SQRT_RATIO,
+  MIN_TICK,
+  Q96,
+  Q128,
+  Q192,
+  getAmountsForLiquidity,
+  getFeeGrowthInside,
+  getLiquidityForAmounts,
+  getSqrtRatioAtTick,
+  getTickAtSqrtRatio,
+  positionAmountsForLiquidity,
+  ratioToNumber,
+  sqrtPriceX96ToPrice,
+  swapToRangeRatio,
+  uncollectedFees,
+} from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_liquidity_math.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function assertThrows(fn, pattern, message) {
+  try {
+    fn();
+  } catch (err) {
+    assert(pattern.test(err.message), `${message}: unexpected error ${err.message}`);
+    return;
+  }
+  throw new Error(`${message}: expected an error`);
+}
+
+function isqrt(n) {
+  if (n < 2n) return n;
+  let x = n;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + n / x) / 2n;
+  }
+  return x;
+}
+
+// encodePriceSqrt(reserve1, reserve0) from the reference LiquidityAmounts tests
+const encodePriceSqrt = (reserve1, reserve0) => isqrt((BigInt(reserve1) << 192n) / BigInt(reserve0));
+
+// TickMath vectors (contract outputs)
+for (const [tick, expected] of [
+  [0, Q96],
+  [1, 79232123823359799118286999568n],
+  [-1, 79224201403219477170569942574n],
+  [100, 79625275426524748796330556128n],
+  [-50000, 6504256538020985011912221507n],
+  [MIN_TICK, MIN_SQRT_RATIO],
+  [MAX_TICK, MAX_SQRT_RATIO],
+]) {
+  assert(getSqrtRatioAtTick(tick) === expected, `getSqrtRatioAtTick(${tick}) mismatch: ${getSqrtRatioAtTick(tick)}`);
+}
+assertThrows(() => getSqrtRatioAtTick(MAX_TICK + 1), /out of range/, "tick above MAX_TICK");
+assertThrows(() => getSqrtRatioAtTick(1.5), /out of range/, "fractional tick");
+
+assert(getTickAtSqrtRatio(MIN_SQRT_RATIO) === MIN_TICK, "MIN_SQRT_RATIO should map to MIN_TICK");
+assert(getTickAtSqrtRatio(MAX_SQRT_RATIO - 1n) === MAX_TICK - 1, "MAX_SQRT_RATIO - 1 should map to MAX_TICK - 1");
+assertThrows(() => getTickAtSqrtRatio(MAX_SQRT_RATIO), /out of range/, "MAX_SQRT_RATIO is exclusive");
+assertThrows(() => getTickAtSqrtRatio(MIN_SQRT_RATIO - 1n), /out of range/, "ratio below MIN_SQRT_RATIO");
+
+// getTickAtSqrtRatio is the greatest tick whose ratio is <= the input
+for (let tick = MIN_TICK + 1; tick < MAX_TICK; tick += 7919) {
+  const ratio = getSqrtRatioAtTick(tick);
+  assert(getTickAtSqrtRatio(ratio) === tick, `round trip failed at tick ${tick}`);
+  assert(getTickAtSqrtRatio(ratio - 1n) === tick - 1, `ratio - 1 should fall to tick ${tick - 1}`);
+  assert(getTickAtSqrtRatio(ratio + 1n) === tick, `ratio + 1 should stay at tick ${tick}`);
+}
+
+// LiquidityAmounts vectors: price inside, below and above [100/110, 110/100]
+const sqrtA = encodePriceSqrt(100, 110);
+const sqrtB = encodePriceSqrt(110, 100);
+assert(encodePriceSqrt(1, 1) === Q96, "encodePriceSqrt(1, 1) should be 2^96");
+assert(getLiquidityForAmounts(Q96, sqrtA, sqrtB, 100n, 200n) === 2148n, "liquidity for price inside");
+assert(getLiquidityForAmounts(encodePriceSqrt(99, 110), sqrtA, sqrtB, 100n, 200n) === 1048n, "liquidity for price below");
+assert(getLiquidityForAmounts(encodePriceSqrt(111, 100), sqrtA, sqrtB, 100n, 200n) === 2097n, "liquidity for price above");
+assert(getLiquidityForAmounts(Q96, sqrtB, sqrtA, 100n, 200n) === 2148n, "ratio bounds are order-insensitive");
+
+let amounts = getAmountsForLiquidity(Q96, sqrtA, sqrtB, 2148n);
+assert(amounts.amount0 === 99n && amounts.amount1 === 99n, "amounts for price inside");
+amounts = getAmountsForLiquidity(encodePriceSqrt(99, 110), sqrtA, sqrtB, 1048n);
+assert(amounts.amount0 === 99n && amounts.amount1 === 0n, "amounts for price below");
+amounts = getAmountsForLiquidity(encodePriceSqrt(111, 100), sqrtA, sqrtB, 2097n);
+assert(amounts.amount0 === 0n && amounts.amount1 === 199n, "amounts for price above");
+
+// pool-side amounts round up on mint, down on burn, and branch on the pool tick
+const range = { tick: 0, sqrtPriceX96: Q96, tickLower: -600, tickUpper: 600, liquidity: 10n ** 18n };
+const burned = positionAmountsForLiquidity(range);
+const minted = positionAmountsForLiquidity({ ...range, roundUp: true });
+assert(burned.amount0 > 0n && burned.amount1 > 0n, "in-range position should hold both tokens");
+assert(minted.amount0 === burned.amount0 + 1n && minted.amount1 === burned.amount1 + 1n, "mint should round each side up by at most one unit");
+const below = positionAmountsForLiquidity({ ...range, tick: -601, sqrtPriceX96: getSqrtRatioAtTick(-601) });
+assert(below.amount1 === 0n && below.amount0 > burned.amount0, "below range should be all token0");
+const atUpper = positionAmountsForLiquidity({ ...range, tick: 600, sqrtPriceX96: getSqrtRatioAtTick(600) });
+assert(atUpper.amount0 === 0n && atUpper.amount1 > burned.amount1, "at the upper tick the position is all token1");
+assertThrows(() => positionAmountsForLiquidity({ ...range, tickLower: 600, tickUpper: 600 }), /tickLower must be below tickUpper/, "empty range");
+
+// the liquidity minted for desired amounts never needs more than was offered
+const sqrtPrice = getSqrtRatioAtTick(-240000) + 12345n;
+const desired0 = 10n ** 18n;
+const desired1 = 40_000_000n;
+const liquidity = getLiquidityForAmounts(sqrtPrice, getSqrtRatioAtTick(-240600), getSqrtRatioAtTick(-239400), desired0, desired1);
+const pulled = positionAmountsForLiquidity({ tick: -240000, sqrtPriceX96: sqrtPrice, tickLower: -240600, tickUpper: -239400, liquidity, roundUp: true });
+assert(pulled.amount0 <= desired0 && pulled.amount1 <= desired1, "mint preview must not exceed desired amounts");
+assert(desired0 - pulled.amount0 <= desired0 / liquidity + 1n || desired1 - pulled.amount1 <= desired1 / liquidity + 1n, "one side should be used up to a unit of liquidity");
+
+// prices honour token decimals instead of assuming 18/6
+assert(sqrtPriceX96ToPrice(Q96, { decimals0: 18, decimals1: 6 }) === 1e12, "18/6 price at 2^96");
+assert(sqrtPriceX96ToPrice(Q96, { decimals0: 6, decimals1: 18 }) === 1e-12, "6/18 price at 2^96");
+assert(sqrtPriceX96ToPrice(Q96 * 2n) === 4, "price is the square of the sqrt ratio");
+assert(Math.abs(sqrtPriceX96ToPrice(getSqrtRatioAtTick(-276324), { decimals0: 18, decimals1: 6 }) - 1) < 1e-5, "tick -276324 is ~1.0 for 18/6 decimals");
+assert(ratioToNumber(1n, 3n) === 1 / 3 && ratioToNumber(-(10n ** 400n), 10n ** 399n) === -10, "ratioToNumber should be exact to double precision");
+assert(ratioToNumber(1n, 0n) === null, "ratioToNumber should reject a zero denominator");
+
+// concentration factor is 1 for full range, grows as the range narrows, and ignores decimals
+assert(Math.abs(concentrationFactor(Q96, MIN_TICK, MAX_TICK) - 1) < 1e-12, "full range should have factor 1");
+const narrow = concentrationFactor(Q96, -100, 100);
+const wide = concentrationFactor(Q96, -1000, 1000);
+assert(narrow > wide && wide > 1, `narrower ranges should concentrate more (${narrow} vs ${wide})`);
+assert(Math.abs(narrow - 200.51) < 0.01, `+/-100 tick factor should be ~200.5 (${narrow})`);
+assert(Math.abs(concentrationFactor(sqrtPrice, -240600, -239400) - concentrationFactor(Q96, -600, 600)) < 1e-3, "factor should depend only on the relative range");
+
+// swap sizing lands both sides on the range deposit ratio at the pool price
+const swapRange = { tick: -240000, sqrtPriceX96: sqrtPrice, tickLower: -240600, tickUpper: -239400 };
+const ratioGap = (after0, after1) => {
+  const need = positionAmountsForLiquidity({ ...swapRange, liquidity: Q96 });
+  return Math.abs(ratioToNumber(after1 * need.amount0, after0 * need.amount1) - 1);
+};
+for (const [held0, held1] of [[desired0, 0n], [0n, desired1], [desired0, desired1 * 1000n]]) {
+  const swap = swapToRangeRatio({ ...swapRange, amount0: held0, amount1: held1 });
+  const out = swap.zeroForOne ? (swap.amountIn * sqrtPrice * sqrtPrice) / Q192 : (swap.amountIn * Q192) / (sqrtPrice * sqrtPrice);
+  const after0 = swap.zeroForOne ? held0 - swap.amountIn : held0 + out;
+  const after1 = swap.zeroForOne ? held1 + out : held1 - swap.amountIn;
+  assert(swap.amountIn > 0n && ratioGap(after0, after1) < 1e-6, `swap should land on the deposit ratio for ${held0}/${held1}`);
+}
+assert(swapToRangeRatio({ ...swapRange, tick: -240601, sqrtPriceX96: getSqrtRatioAtTick(-240601), amount0: 5n, amount1: 7n }).amountIn === 7n, "below range swaps all token1 to token0");
+assert(swapToRangeRatio({ ...swapRange, tick: -239400, sqrtPriceX96: getSqrtRatioAtTick(-239400), amount0: 5n, amount1: 7n }).zeroForOne === true, "above range swaps token0 to token1");
+
+// fee growth inside follows the three tick branches and wraps like unchecked uint256 math
+const growthTicks = {
+  tickLower: -600,
+  tickUpper: 600,
+  lower: { outerFeeGrowth0Token: 100n * Q128, outerFeeGrowth1Token: 7n },
+  upper: { outerFeeGrowth0Token: 50n * Q128, outerFeeGrowth1Token: 9n },
+  totalFeeGrowth0Token: 1_000n * Q128,
+  totalFeeGrowth1Token: 20n,
+};
+let inside = getFeeGrowthInside({ ...growthTicks, tick: 0 });
+assert(inside.feeGrowthInside0X128 === 850n * Q128 && inside.feeGrowthInside1X128 === 4n, "in range: total - lower outer - upper outer");
+inside = getFeeGrowthInside({ ...growthTicks, tick: -601 });
+assert(inside.feeGrowthInside0X128 === 50n * Q128 && inside.feeGrowthInside1X128 === 2n ** 256n - 2n, "below range: lower outer - upper outer, wrapped");
+inside = getFeeGrowthInside({ ...growthTicks, tick: 600 });
+assert(inside.feeGrowthInside0X128 === 2n ** 256n - 50n * Q128 && inside.feeGrowthInside1X128 === 2n, "at the upper tick: upper outer - lower outer");
+assert(getFeeGrowthInside({ ...growthTicks, tick: 0, lower: null, upper: null }).feeGrowthInside0X128 === 1_000n * Q128, "uninitialized ticks read as zero outer growth");
+
+const feePosition = {
+  liquidity: 3n * 10n ** 18n,
+  tokensOwed0: 11n,
+  tokensOwed1: 0n,
+  feeGrowthInside0LastX128: 2n ** 256n - 5n * Q128,
+  feeGrowthInside1LastX128: 0n,
+};
+const owed = uncollectedFees({ position: feePosition, feeGrowthInside0X128: 2n * Q128, feeGrowthInside1X128: Q128 / 3n });
+assert(owed.amount0 === 11n + 21n * 10n ** 18n, "fees accrue across a wrapped checkpoint on top of tokensOwed");
+assert(owed.amount1 === (3n * 10n ** 18n * (Q128 / 3n)) / Q128, "accrued fees round down");
+assert(uncollectedFees({ position: { ...feePosition, liquidity: 0n }, feeGrowthInside0X128: 0n, feeGrowthInside1X128: 0n }).amount0 === 11n, "zero liquidity leaves only tokensOwed");
+
+process.stdout.write("Liquidity math scenarios passed.\n");
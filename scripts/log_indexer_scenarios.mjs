@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+import { appendFileSync, existsSync, mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import { keccak256Hex } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_keccak.mjs";
+import { getSqrtRatioAtTick } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_liquidity_math.mjs";
+import {
+  FACTORY_FIRST_POOL_BLOCK,
+  LOG_TOPICS,
+  getLogsChunked,
+  logStreamFilter,
+  queryLogIndex,
+  readLogIndexCursor,
+  syncLogIndex,
+} from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_log_indexer.mjs";
+import { cliStateEnv, runCli, startMockHyperEvm } from "./mock_hyperevm.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const here = path.dirname(new URL(import.meta.url).pathname);
+
+const owner = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+const whype = "0x5555555555555555555555555555555555555555";
+const usd = "0xb8ce59fc3717ada4c02eadf9682a9e934f625ebb";
+const kitten = "0x618275f8efe54c2afa87bfb9f210a52f0ff89364";
+const pool = "0x12df9913e9e08453440e3c4b1ae73819160b513e";
+const factory = "0x5f95e92c338e6453111fc55ee66d4aafcce661a7";
+const positionManager = "0x9ea4459c8defbf561495d95414b9cf1e2242a3e2";
+const eternalFarming = "0xf3b57fe4d5d0927c3a5e549cb6af1866687e2d62";
+const router = "0x4e73e421480a7e0c24fb3c11019254ede194f736";
+const zeroAddress = `0x${"0".repeat(40)}`;
+
+const word = (n) => BigInt.asUintN(256, BigInt(n)).toString(16).padStart(64, "0");
+const addressWord = (address) => address.slice(2).padStart(64, "0");
+const topic = (signature) => keccak256Hex(signature);
+const txHash = (byte) => `0x${byte.repeat(32)}`;
+const log = (address, blockNumber, hash, topics, data = [], logIndex = 0) => ({
+  address,
+  blockNumber,
+  transactionHash: hash,
+  logIndex,
+  topics: topics.map((t) => (t.length === 66 ? t : `0x${t}`)),
+  data: `0x${data.join("")}`,
+});
+
+const incentiveKey = (nonce) => `${addressWord(kitten)}${addressWord(zeroAddress)}${addressWord(pool)}${word(nonce)}`;
+const incentiveId1 = keccak256Hex(`0x${incentiveKey(1)}`);
+const createdTx = txHash("b1");
+const mintTx = txHash("a1");
+const enteredTx = txHash("c1");
+const collectTx = txHash("d1");
+const approveTx = txHash("e1");
+
+// The fixture node plus a second, newer incentive on the pool: position 1002 stays farmed in
+// nonce 1, so the active pool key no longer matches its deposit.
+const raw = JSON.parse(readFileSync(path.join(here, "fixtures", "mock_hyperevm_scenario.json"), "utf8"));
+raw.positions["1002"].incentiveNonce = "1";
+raw.farming.incentives.push({ ...raw.farming.incentives[0], nonce: "2", rewards: {} });
+raw.logs = [
+  log(factory, 4_990_100, txHash("f1"), [topic("Pool(address,address,address)"), addressWord(whype), addressWord(usd)], [addressWord(pool)]),
+  log(eternalFarming, 4_985_000, createdTx, [
+    topic("EternalFarmingCreated(address,address,address,address,uint256,uint128,uint128,uint24)"),
+    addressWord(kitten), addressWord(zeroAddress), addressWord(pool),
+  ], [addressWord("0x7777777777777777777777777777777777777777"), word(1), word(10n ** 24n), word(0), word(60)]),
+  log(positionManager, 4_995_000, mintTx, [topic("Transfer(address,address,uint256)"), addressWord(zeroAddress), addressWord(owner), word(1002)]),
+  log(positionManager, 4_995_000, mintTx, [topic("IncreaseLiquidity(uint256,uint128,uint128,uint256,uint256,address)"), word(1002)], [
+    word(2n * 10n ** 15n), word(2n * 10n ** 15n), word(5n * 10n ** 18n), word(190_000_000n), addressWord(pool),
+  ], 1),
+  log(eternalFarming, 4_995_010, enteredTx, [topic("FarmEntered(uint256,bytes32,uint128)"), word(1002), incentiveId1], [word(2n * 10n ** 15n)]),
+  log(positionManager, 4_998_000, collectTx, [topic("Collect(uint256,address,uint256,uint256)"), word(1002)], [addressWord(owner), word(10n ** 16n), word(400_000n)]),
+  log(usd, 4_999_995, approveTx, [topic("Approval(address,address,uint256)"), addressWord(owner), addressWord(router)], [word((1n << 256n) - 1n)]),
+  ...[[4_999_000, 10n ** 18n, -40_000_000n, -239_460], [4_999_500, -(10n ** 18n), 40_000_000n, -239_470]].map(([block, a0, a1, tick], i) =>
+    log(pool, block, txHash(`5${i}`), [topic("Swap(address,address,int256,int256,uint160,uint128,int24)"), addressWord(router), addressWord(owner)], [
+      word(a0), word(a1), word(getSqrtRatioAtTick(tick)), word(5n * 10n ** 16n), word(tick),
+    ])),
+];
+
+const mock = await startMockHyperEvm(raw);
+const workDir = mkdtempSync(path.join(tmpdir(), "krlp-log-index-"));
+const indexDir = path.join(workDir, "index");
+const indexOpts = { dir: indexDir, rpcUrl: mock.url };
+
+const cli = { stateDir: workDir, env: { HYPEREVM_RPC_URL: mock.url, KRLP_LOG_INDEX_LOOKBACK_BLOCKS: "20000" } };
+const byStream = (sync) => Object.fromEntries(sync.streams.map((s) => [s.stream, s]));
+
+try {
+  // a provider range cap halves the chunk until requests fit, and the scan still covers every block
+  mock.scenario.limits.getLogsMaxRange = 400;
+  const capped = await getLogsChunked({ address: factory, topics: [[LOG_TOPICS.Pool, LOG_TOPICS.CustomPool]], fromBlock: 4_990_000, toBlock: 4_991_999, rpcUrl: mock.url });
+  assert(capped.chunkBlocks === 250 && capped.requests === 10, `range cap should halve 1000 -> 250 blocks (got ${capped.chunkBlocks}, ${capped.requests} requests)`);
+  assert(capped.logs.length === 1 && capped.logs[0].transactionHash === txHash("f1"), "capped scan should still find the Pool event");
+  mock.scenario.limits.getLogsMaxRange = null;
+
+  // a provider rate limit is not a range cap: the scan fails instead of shrinking its chunk
+  mock.scenario.limits.getLogsError = "rate limit exceeded";
+  const limited = await getLogsChunked({ address: factory, topics: [LOG_TOPICS.Pool], fromBlock: 4_990_000, toBlock: 4_991_999, rpcUrl: mock.url }).catch((e) => e);
+  assert(limited instanceof Error && /rate limit exceeded/.test(limited.message), `a rate limit should surface, not halve the chunk (got ${JSON.stringify(limited?.chunkBlocks ?? limited?.message)})`);
+  mock.scenario.limits.getLogsError = null;
+
+  const first = byStream(await syncLogIndex({ ...indexOpts, fromBlock: 4_990_000, toBlock: 4_996_000 }));
+  assert(first.factory.added === 1 && first.positions.added === 2 && first.farming.added === 1, `first sync counts: ${JSON.stringify(first)}`);
+  const cursor = await readLogIndexCursor(indexDir);
+  assert(cursor.streams.positions.fromBlock === 4_990_000 && cursor.streams.positions.toBlock === 4_996_000, "cursor should record the indexed range");
+
+  // resume: only blocks past the cursor are fetched
+  const resumed = byStream(await syncLogIndex(indexOpts));
+  for (const s of Object.values(resumed)) {
+    assert(s.requests === 4 && s.toBlock === 5_000_000, `${s.stream} should resume at 4996001 with 4 requests (got ${s.requests})`);
+  }
+  assert(resumed.positions.added === 1 && resumed.factory.added === 0, "resume should only add the later Collect");
+
+  // backfill below the indexed range walks newest-first and extends the cursor down
+  const backfill = byStream(await syncLogIndex({ ...indexOpts, streams: ["farming"], fromBlock: 4_980_000 }));
+  assert(backfill.farming.added === 1 && backfill.farming.fromBlock === 4_980_000 && backfill.farming.requests === 10, `backfill: ${JSON.stringify(backfill)}`);
+
+  const [created] = await queryLogIndex({ dir: indexDir, stream: "farming", event: "EternalFarmingCreated" });
+  assert(created.args.incentiveId === incentiveId1 && created.args.nonce === "1" && created.args.pool === pool, "EternalFarmingCreated should decode to its incentive id");
+  const position = await queryLogIndex({ dir: indexDir, stream: "positions", where: (e) => e.args.tokenId === "1002" });
+  assert(position.map((e) => e.event).join(",") === "Transfer,IncreaseLiquidity,Collect", `position timeline: ${position.map((e) => e.event)}`);
+  assert(position[1].args.amount1 === "190000000" && position[2].args.recipient === owner, "NPM events should decode amounts and addresses");
+
+  // a chunk re-fetched after an interrupted sync does not double-count
+  const eventsFile = path.join(indexDir, "events.jsonl");
+  appendFileSync(eventsFile, readFileSync(eventsFile, "utf8").split("\n")[0] + "\n");
+  assert((await queryLogIndex({ dir: indexDir, stream: "factory" })).length === 1, "duplicate records should be dropped on query");
+
+  const approvals = byStream(await syncLogIndex({ ...indexOpts, streams: [`approvals:${owner}`], fromBlock: 4_999_000 }));
+  const [approval] = await queryLogIndex({ dir: indexDir, stream: `approvals:${owner}` });
+  assert(approvals[`approvals:${owner}`].added === 1 && approval.args.spender === router && approval.address === usd, "owner approvals should be indexed");
+
+  // the farming stream starts at the factory's first pool, not head minus the lookback
+  assert(logStreamFilter("farming").startBlock === FACTORY_FIRST_POOL_BLOCK, "farming stream should carry its start block");
+
+  // CLI: plans only read the index; an unsynced index points at the command that syncs it
+  const noNonceScan = { KRLP_AUTO_KEY_NONCE_SCAN_LIMIT: "0", KRLP_AUTO_KEY_NONCE_FORWARD_SCAN_LIMIT: "0" };
+  const unsynced = await runCli(`krlp farm-exit-plan 1002 ${owner} --auto-key`, { ...cli, env: { ...cli.env, ...noNonceScan } });
+  assert(!unsynced.ok && unsynced.stderr.includes("the farming log index has not been synced") && unsynced.stderr.includes("Run `krlp history 1002`"), `unsynced index should ask for a sync\n${unsynced.stdout}${unsynced.stderr}`);
+  assert(!existsSync(path.join(cliStateEnv(workDir).KRLP_LOG_INDEX_DIR, "cursor.json")), "a plan command should not write the log index");
+
+  const sync = await runCli("krlp history 1002 --from-block 4980000", cli);
+  assert(sync.ok, `history should sync the index: ${sync.stderr}`);
+
+  // the deposit's key comes from the index, not an explorer
+  const exit = await runCli(`krlp farm-exit-plan 1002 ${owner} --auto-key`, { ...cli, env: { ...cli.env, ...noNonceScan } });
+  assert(exit.ok, `farm-exit-plan should run: ${exit.stderr}`);
+  for (const needle of ["- key source: auto:log-index:EternalFarmingCreated", `- key source tx: ${enteredTx}`]) {
+    assert(exit.stdout.includes(needle), `farm-exit-plan output missing: ${needle}\n${exit.stdout}`);
+  }
+
+  const apr = await runCli(`krlp apr --pool ${pool} --sample-blocks 2000`, cli);
+  assert(apr.ok, `apr should run: ${apr.stderr}`);
+  for (const needle of ["- source: eth_getLogs (3 requests, 1000-block chunks)", "- swaps observed: 2"]) {
+    assert(apr.stdout.includes(needle), `apr output missing: ${needle}\n${apr.stdout}`);
+  }
+} finally {
+  await mock.close();
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+process.stdout.write("Log indexer scenarios passed.\n");
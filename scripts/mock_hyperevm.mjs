@@ -0,0 +1,828 @@
+#!/usr/bin/env node
+
+// Stand-in HyperEVM JSON-RPC node that emulates the Kittenswap contracts from a scenario file.
+// Usage: node scripts/mock_hyperevm.mjs <scenario.json> [--port N] [--host H]
+// Scenario tests import startMockHyperEvm() and point HYPEREVM_RPC_URL at the returned url.
+// Tests with their own hand-written handlers serve them through startRpcServer() instead.
+// Scenario tests drive the CLI through runCli(), which keeps every state path out of the repo.
+
+import { execFile } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { createServer } from "node:http";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+
+import { KITTENSWAP_CONTRACTS } from "../skills/auto-kittenswap-lp-rebalance/scripts/kittenswap_rebalance_api.mjs";
+import { keccak256Hex } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_keccak.mjs";
+import {
+  getFeeGrowthInside,
+  getLiquidityForAmounts,
+  getSqrtRatioAtTick,
+  mulDiv,
+  mulDivRoundingUp,
+  positionAmountsForLiquidity,
+  uncollectedFees,
+} from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_liquidity_math.mjs";
+
+export const MOCK_MULTICALL3_ADDRESS = "0xca11bde05977b3631167028862be2a173976ca11";
+const ZERO_ADDRESS = `0x${"0".repeat(40)}`;
+const ZERO_BYTES32 = `0x${"0".repeat(64)}`;
+const MAX_UINT256 = (1n << 256n) - 1n;
+const Q192 = 1n << 192n;
+const FEE_DENOMINATOR = 1_000_000n;
+
+const hex = (n) => `0x${BigInt(n).toString(16)}`;
+const word = (n) => BigInt.asUintN(256, BigInt(n)).toString(16).padStart(64, "0");
+const addressWord = (address) => String(address || ZERO_ADDRESS).slice(2).toLowerCase().padStart(64, "0");
+const bytes32Word = (value) => String(value || ZERO_BYTES32).slice(2).toLowerCase().padStart(64, "0");
+const encodeString = (text) => {
+  const body = Buffer.from(String(text), "utf8").toString("hex");
+  return `${word(32)}${word(body.length / 2)}${body.padEnd(Math.max(64, Math.ceil(body.length / 64) * 64), "0")}`;
+};
+const encodeUintArray = (values) => `${word(values.length)}${values.map(word).join("")}`;
+const big = (value, fallback = 0n) => (value == null || value === "" ? fallback : value === "max" ? MAX_UINT256 : BigInt(value));
+const addr = (value) => String(value || "").toLowerCase();
+
+// Reverts surface like a real node: code 3 with Error(string) revert data.
+export class MockRevert extends Error {
+  constructor(reason) {
+    super(reason ? `execution reverted: ${reason}` : "execution reverted");
+    this.reason = reason || "";
+  }
+}
+
+function revertData(reason) {
+  if (!reason) return "0x";
+  return `0x08c379a0${encodeString(reason)}`;
+}
+
+function callWords(data) {
+  const body = String(data || "0x").slice(10);
+  const out = [];
+  for (let i = 0; i + 64 <= body.length; i += 64) out.push(BigInt(`0x${body.slice(i, i + 64)}`));
+  return out;
+}
+
+const wordAddress = (w) => `0x${BigInt.asUintN(160, w).toString(16).padStart(40, "0")}`;
+const wordInt = (w, bits = 24) => Number(BigInt.asIntN(bits, w));
+
+function readBytesArg(data, argIndex) {
+  const body = String(data || "0x").slice(10);
+  const offset = Number(BigInt(`0x${body.slice(argIndex * 64, (argIndex + 1) * 64)}`)) * 2;
+  const size = Number(BigInt(`0x${body.slice(offset, offset + 64)}`)) * 2;
+  return `0x${body.slice(offset + 64, offset + 64 + size)}`;
+}
+
+function decodePath(pathHex) {
+  const s = pathHex.slice(2);
+  const tokens = [];
+  const deployers = [];
+  for (let i = 0; i < s.length; i += 80) {
+    tokens.push(`0x${s.slice(i, i + 40)}`);
+    if (i + 40 < s.length) deployers.push(`0x${s.slice(i + 40, i + 80)}`);
+  }
+  return { tokens, deployers };
+}
+
+// Normalizes a scenario: lowercase addresses, BigInt amounts, derived sqrt prices and incentive ids.
+export function normalizeMockScenario(raw) {
+  const contracts = Object.fromEntries(
+    Object.entries({ ...KITTENSWAP_CONTRACTS, ...(raw.contracts || {}) }).map(([k, v]) => [k, addr(v)])
+  );
+  const tokens = new Map();
+  for (const [address, token] of Object.entries(raw.tokens || {})) {
+    tokens.set(addr(address), {
+      symbol: token.symbol || "TKN",
+      name: token.name || token.symbol || "Token",
+      decimals: Number(token.decimals ?? 18),
+      balances: new Map(Object.entries(token.balances || {}).map(([o, v]) => [addr(o), big(v)])),
+      allowances: new Map(Object.entries(token.allowances || {}).map(([o, spenders]) => [
+        addr(o),
+        new Map(Object.entries(spenders || {}).map(([s, v]) => [addr(s), big(v)])),
+      ])),
+    });
+  }
+  const pools = new Map();
+  for (const [address, pool] of Object.entries(raw.pools || {})) {
+    const tick = Number(pool.tick);
+    pools.set(addr(address), {
+      address: addr(address),
+      token0: addr(pool.token0),
+      token1: addr(pool.token1),
+      deployer: addr(pool.deployer || ZERO_ADDRESS),
+      tick,
+      sqrtPriceX96: big(pool.sqrtPriceX96, getSqrtRatioAtTick(tick)),
+      fee: Number(pool.fee ?? 500),
+      communityFee: Number(pool.communityFee ?? 0),
+      pluginConfig: Number(pool.pluginConfig ?? 0),
+      tickSpacing: Number(pool.tickSpacing ?? 60),
+      liquidity: big(pool.liquidity),
+      totalFeeGrowth0Token: big(pool.totalFeeGrowth0Token),
+      totalFeeGrowth1Token: big(pool.totalFeeGrowth1Token),
+      ticks: new Map(Object.entries(pool.ticks || {}).map(([t, data]) => [Number(t), {
+        liquidityTotal: big(data.liquidityTotal, 1n),
+        liquidityDelta: big(data.liquidityDelta),
+        prevTick: Number(data.prevTick ?? 0),
+        nextTick: Number(data.nextTick ?? 0),
+        outerFeeGrowth0Token: big(data.outerFeeGrowth0Token),
+        outerFeeGrowth1Token: big(data.outerFeeGrowth1Token),
+      }])),
+    });
+  }
+  const positions = new Map();
+  for (const [tokenId, position] of Object.entries(raw.positions || {})) {
+    positions.set(BigInt(tokenId), {
+      owner: addr(position.owner),
+      approved: addr(position.approved || ZERO_ADDRESS),
+      operator: addr(position.operator || ZERO_ADDRESS),
+      token0: addr(position.token0),
+      token1: addr(position.token1),
+      deployer: addr(position.deployer || ZERO_ADDRESS),
+      tickLower: Number(position.tickLower),
+      tickUpper: Number(position.tickUpper),
+      liquidity: big(position.liquidity),
+      feeGrowthInside0LastX128: big(position.feeGrowthInside0LastX128),
+      feeGrowthInside1LastX128: big(position.feeGrowthInside1LastX128),
+      tokensOwed0: big(position.tokensOwed0),
+      tokensOwed1: big(position.tokensOwed1),
+      farmedIn: addr(position.farmedIn || ZERO_ADDRESS),
+      incentivePool: position.incentivePool ? addr(position.incentivePool) : null,
+      incentiveNonce: position.incentiveNonce == null ? null : big(position.incentiveNonce),
+    });
+  }
+  const incentives = (raw.farming?.incentives || []).map((incentive) => {
+    const key = {
+      rewardToken: addr(incentive.rewardToken),
+      bonusRewardToken: addr(incentive.bonusRewardToken || ZERO_ADDRESS),
+      pool: addr(incentive.pool),
+      nonce: big(incentive.nonce),
+    };
+    return {
+      key,
+      id: keccak256Hex(`0x${addressWord(key.rewardToken)}${addressWord(key.bonusRewardToken)}${addressWord(key.pool)}${word(key.nonce)}`),
+      totalReward: big(incentive.totalReward),
+      bonusReward: big(incentive.bonusReward),
+      virtualPool: addr(incentive.virtualPool),
+      minimalPositionWidth: Number(incentive.minimalPositionWidth ?? 0),
+      deactivated: Boolean(incentive.deactivated),
+      plugin: addr(incentive.plugin || incentive.virtualPool),
+      currentLiquidity: big(incentive.currentLiquidity),
+      globalTick: Number(incentive.globalTick ?? pools.get(key.pool)?.tick ?? 0),
+      rewardRate: big(incentive.rewardRate),
+      bonusRewardRate: big(incentive.bonusRewardRate),
+      rewardReserve: big(incentive.rewardReserve),
+      bonusRewardReserve: big(incentive.bonusRewardReserve),
+      rewards: new Map(Object.entries(incentive.rewards || {}).map(([id, r]) => [BigInt(id), { reward: big(r.reward), bonusReward: big(r.bonusReward) }])),
+    };
+  });
+  const transactions = new Map();
+  const logs = (raw.logs || []).map((log) => ({ ...log }));
+  for (const tx of raw.transactions || []) {
+    const hash = addr(tx.hash);
+    const blockNumber = Number(tx.blockNumber);
+    const txLogs = (tx.logs || []).map((log, i) => ({
+      ...log,
+      blockNumber,
+      transactionHash: hash,
+      logIndex: log.logIndex ?? i,
+    }));
+    logs.push(...txLogs);
+    transactions.set(hash, { ...tx, hash, blockNumber, logs: txLogs });
+  }
+  for (const log of logs) {
+    log.address = addr(log.address);
+    log.topics = (log.topics || []).map(addr);
+    log.blockNumber = Number(log.blockNumber);
+  }
+  logs.sort((a, b) => a.blockNumber - b.blockNumber || Number(a.logIndex ?? 0) - Number(b.logIndex ?? 0));
+  return {
+    chainId: Number(raw.chainId ?? 999),
+    block: {
+      number: Number(raw.block?.number ?? 1_000_000),
+      timestamp: Number(raw.block?.timestamp ?? 1_800_000_000),
+      baseFeePerGas: big(raw.block?.baseFeePerGas, 100_000_000n),
+      blockTimeSeconds: Number(raw.block?.blockTimeSeconds ?? 1),
+    },
+    gasPrice: big(raw.gasPrice, 1_000_000_000n),
+    gasEstimate: big(raw.gasEstimate, 180_000n),
+    nativeBalances: new Map(Object.entries(raw.nativeBalances || {}).map(([a, v]) => [addr(a), big(v)])),
+    nonces: new Map(Object.entries(raw.nonces || {}).map(([a, v]) => [addr(a), Number(v)])),
+    operatorApprovals: new Map(Object.entries(raw.operatorApprovals || {}).map(([o, ops]) => [addr(o), new Set(ops.map(addr))])),
+    rewardBalances: new Map(Object.entries(raw.farming?.rewardBalances || {}).map(([o, byToken]) => [
+      addr(o),
+      new Map(Object.entries(byToken || {}).map(([t, v]) => [addr(t), big(v)])),
+    ])),
+    limits: {
+      getLogsMaxRange: raw.limits?.getLogsMaxRange == null ? null : Number(raw.limits.getLogsMaxRange),
+      getLogsError: raw.limits?.getLogsError ?? null,
+    },
+    wnative: addr(raw.wnative || "0x5555555555555555555555555555555555555555"),
+    nextTokenId: big(raw.nextTokenId, [...positions.keys()].reduce((m, id) => (id > m ? id : m), 0n) + 1n),
+    contracts,
+    tokens,
+    pools,
+    positions,
+    incentives,
+    transactions,
+    logs,
+  };
+}
+
+export function loadMockScenario(file) {
+  return normalizeMockScenario(JSON.parse(readFileSync(file, "utf8")));
+}
+
+export function createMockHyperEvm(rawScenario) {
+  const s = rawScenario?.pools instanceof Map ? rawScenario : normalizeMockScenario(rawScenario || {});
+  const stats = { methods: [], calls: [], unhandled: [], sent: [] };
+
+  const poolFor = (tokenA, tokenB, deployer = ZERO_ADDRESS) => {
+    const [a, b] = [addr(tokenA), addr(tokenB)];
+    for (const pool of s.pools.values()) {
+      const pair = (pool.token0 === a && pool.token1 === b) || (pool.token0 === b && pool.token1 === a);
+      if (pair && pool.deployer === addr(deployer)) return pool;
+    }
+    return null;
+  };
+  const positionOf = (tokenId) => {
+    const position = s.positions.get(tokenId);
+    if (!position) throw new MockRevert("Invalid token ID");
+    return position;
+  };
+  const positionPool = (position) => {
+    const pool = poolFor(position.token0, position.token1, position.deployer);
+    if (!pool) throw new MockRevert("pool not found");
+    return pool;
+  };
+  const isAuthorized = (tokenId, from) => {
+    const position = positionOf(tokenId);
+    const sender = addr(from || ZERO_ADDRESS);
+    return sender === position.owner || sender === position.approved || Boolean(s.operatorApprovals.get(position.owner)?.has(sender));
+  };
+  const requireAuthorized = (tokenId, from) => {
+    if (!isAuthorized(tokenId, from)) throw new MockRevert("Not approved");
+  };
+  const requireDeadline = (deadline) => {
+    if (deadline < BigInt(s.block.timestamp)) throw new MockRevert("Transaction too old");
+  };
+  const feesOf = (position) => {
+    const pool = positionPool(position);
+    const inside = getFeeGrowthInside({
+      tick: pool.tick,
+      tickLower: position.tickLower,
+      tickUpper: position.tickUpper,
+      lower: pool.ticks.get(position.tickLower),
+      upper: pool.ticks.get(position.tickUpper),
+      totalFeeGrowth0Token: pool.totalFeeGrowth0Token,
+      totalFeeGrowth1Token: pool.totalFeeGrowth1Token,
+    });
+    return uncollectedFees({ position, ...inside });
+  };
+  const pullTokens = (from, token, amount) => {
+    if (amount <= 0n) return;
+    const meta = s.tokens.get(token);
+    const sender = addr(from || ZERO_ADDRESS);
+    const balance = meta?.balances.get(sender) ?? 0n;
+    const allowance = meta?.allowances.get(sender)?.get(s.contracts.positionManager) ?? 0n;
+    if (balance < amount || allowance < amount) throw new MockRevert("STF");
+  };
+  const liquidityFor = (pool, tickLower, tickUpper, amount0Desired, amount1Desired) => {
+    const sqrtA = getSqrtRatioAtTick(tickLower);
+    const sqrtB = getSqrtRatioAtTick(tickUpper);
+    const liquidity = getLiquidityForAmounts(pool.sqrtPriceX96, sqrtA, sqrtB, amount0Desired, amount1Desired);
+    const { amount0, amount1 } = positionAmountsForLiquidity({
+      tick: pool.tick,
+      sqrtPriceX96: pool.sqrtPriceX96,
+      tickLower,
+      tickUpper,
+      liquidity,
+      roundUp: true,
+    });
+    return { liquidity, amount0, amount1 };
+  };
+
+  // Spot-price quote with the pool fee taken from the input side; exact-output rounds up.
+  const quoteHop = (tokenIn, tokenOut, deployer, amount, exactOutput = false) => {
+    const pool = poolFor(tokenIn, tokenOut, deployer);
+    if (!pool) throw new MockRevert("");
+    const zeroForOne = addr(tokenIn) === pool.token0;
+    const priceX192 = pool.sqrtPriceX96 * pool.sqrtPriceX96;
+    const keep = FEE_DENOMINATOR - BigInt(pool.fee);
+    if (!exactOutput) {
+      const net = (amount * keep) / FEE_DENOMINATOR;
+      const out = zeroForOne ? mulDiv(net, priceX192, Q192) : mulDiv(net, Q192, priceX192);
+      return { pool, amountIn: amount, amountOut: out };
+    }
+    const net = zeroForOne ? mulDivRoundingUp(amount, Q192, priceX192) : mulDivRoundingUp(amount, priceX192, Q192);
+    return { pool, amountIn: mulDivRoundingUp(net, FEE_DENOMINATOR, keep), amountOut: amount };
+  };
+  const quoteResult = ({ pool, amountIn, amountOut }) =>
+    [amountOut, amountIn, pool.sqrtPriceX96, 0n, 100_000n, BigInt(pool.fee)].map(word).join("");
+  const quotePath = (hops) => {
+    const lists = [hops.map((h) => h.amountOut), hops.map((h) => h.amountIn), hops.map((h) => h.pool.sqrtPriceX96), hops.map(() => 0n), hops.map((h) => BigInt(h.pool.fee))];
+    const arrays = lists.map(encodeUintArray);
+    let offset = 6 * 32;
+    const heads = [];
+    for (const [i, arr] of arrays.entries()) {
+      heads.push(word(offset));
+      offset += arr.length / 2;
+      if (i === 3) heads.push(word(100_000n * BigInt(hops.length)));
+    }
+    return `${heads.join("")}${arrays.join("")}`;
+  };
+
+  const incentiveById = (id) => s.incentives.find((i) => i.id === addr(id)) || null;
+  const activeIncentive = (pool) => [...s.incentives].reverse().find((i) => i.key.pool === addr(pool) && !i.deactivated)
+    || [...s.incentives].reverse().find((i) => i.key.pool === addr(pool))
+    || null;
+  const depositIncentive = (tokenId) => {
+    const position = s.positions.get(tokenId);
+    if (!position || position.farmedIn === ZERO_ADDRESS) return null;
+    const pool = position.incentivePool || poolFor(position.token0, position.token1, position.deployer)?.address;
+    return s.incentives.find((i) => i.key.pool === pool && (position.incentiveNonce == null || i.key.nonce === position.incentiveNonce)) || null;
+  };
+
+  function callPositionManager(selector, w, from) {
+    switch (selector) {
+      case "0x70a08231": return word([...s.positions.values()].filter((p) => p.owner === wordAddress(w[0])).length);
+      case "0x2f745c59": {
+        const owned = [...s.positions.entries()].filter(([, p]) => p.owner === wordAddress(w[0])).map(([id]) => id);
+        if (w[1] >= BigInt(owned.length)) throw new MockRevert("ERC721Enumerable: owner index out of bounds");
+        return word(owned[Number(w[1])]);
+      }
+      case "0x6352211e": {
+        const position = s.positions.get(w[0]);
+        if (!position) throw new MockRevert("ERC721: invalid token ID");
+        return addressWord(position.owner);
+      }
+      case "0x081812fc": return addressWord(positionOf(w[0]).approved);
+      case "0xe985e9c5": return word(s.operatorApprovals.get(wordAddress(w[0]))?.has(wordAddress(w[1])) ? 1 : 0);
+      case "0x99fbab88": {
+        const p = positionOf(w[0]);
+        return [word(0), addressWord(p.operator), addressWord(p.token0), addressWord(p.token1), addressWord(p.deployer), word(p.tickLower), word(p.tickUpper), word(p.liquidity), word(p.feeGrowthInside0LastX128), word(p.feeGrowthInside1LastX128), word(p.tokensOwed0), word(p.tokensOwed1)].join("");
+      }
+      case "0xdd56e5d8": return addressWord(s.contracts.farmingCenter);
+      case "0x2d0b22de": return addressWord(positionOf(w[0]).farmedIn === ZERO_ADDRESS ? ZERO_ADDRESS : s.contracts.farmingCenter);
+      case "0xe7ce18a3": return addressWord(positionOf(w[0]).farmedIn);
+      case "0xfc6f7865": {
+        // collect(tokenId, recipient, amount0Max, amount1Max)
+        requireAuthorized(w[0], from);
+        const fees = feesOf(positionOf(w[0]));
+        return `${word(fees.amount0 < w[2] ? fees.amount0 : w[2])}${word(fees.amount1 < w[3] ? fees.amount1 : w[3])}`;
+      }
+      case "0x0c49ccbe": {
+        // decreaseLiquidity(tokenId, liquidity, amount0Min, amount1Min, deadline)
+        requireAuthorized(w[0], from);
+        requireDeadline(w[4]);
+        const position = positionOf(w[0]);
+        if (w[1] > position.liquidity) throw new MockRevert("");
+        const pool = positionPool(position);
+        const { amount0, amount1 } = positionAmountsForLiquidity({ tick: pool.tick, sqrtPriceX96: pool.sqrtPriceX96, tickLower: position.tickLower, tickUpper: position.tickUpper, liquidity: w[1] });
+        if (amount0 < w[2] || amount1 < w[3]) throw new MockRevert("Price slippage check");
+        return `${word(amount0)}${word(amount1)}`;
+      }
+      case "0x42966c68": {
+        requireAuthorized(w[0], from);
+        const position = positionOf(w[0]);
+        if (position.liquidity > 0n || position.tokensOwed0 > 0n || position.tokensOwed1 > 0n) throw new MockRevert("Not cleared");
+        return "";
+      }
+      case "0xfe3f3be7": {
+        // mint(token0, token1, deployer, tickLower, tickUpper, amount0Desired, amount1Desired, amount0Min, amount1Min, recipient, deadline)
+        requireDeadline(w[10]);
+        const pool = poolFor(wordAddress(w[0]), wordAddress(w[1]), wordAddress(w[2]));
+        if (!pool || pool.token0 !== wordAddress(w[0])) throw new MockRevert("");
+        const tickLower = wordInt(w[3]);
+        const tickUpper = wordInt(w[4]);
+        if (tickLower >= tickUpper || tickLower % pool.tickSpacing || tickUpper % pool.tickSpacing) throw new MockRevert("TLU");
+        const minted = liquidityFor(pool, tickLower, tickUpper, w[5], w[6]);
+        if (minted.liquidity === 0n) throw new MockRevert("");
+        if (minted.amount0 < w[7] || minted.amount1 < w[8]) throw new MockRevert("Price slippage check");
+        pullTokens(from, pool.token0, minted.amount0);
+        pullTokens(from, pool.token1, minted.amount1);
+        return [s.nextTokenId, minted.liquidity, minted.amount0, minted.amount1].map(word).join("");
+      }
+      case "0x219f5d17": {
+        // increaseLiquidity(tokenId, amount0Desired, amount1Desired, amount0Min, amount1Min, deadline)
+        requireDeadline(w[5]);
+        const position = positionOf(w[0]);
+        const pool = positionPool(position);
+        const added = liquidityFor(pool, position.tickLower, position.tickUpper, w[1], w[2]);
+        if (added.amount0 < w[3] || added.amount1 < w[4]) throw new MockRevert("Price slippage check");
+        pullTokens(from, pool.token0, added.amount0);
+        pullTokens(from, pool.token1, added.amount1);
+        return [added.liquidity, added.amount0, added.amount1].map(word).join("");
+      }
+      default: return null;
+    }
+  }
+
+  function callPool(pool, selector, w) {
+    switch (selector) {
+      case "0xe76c01e4": return [pool.sqrtPriceX96, BigInt(pool.tick), BigInt(pool.fee), BigInt(pool.pluginConfig), BigInt(pool.communityFee), 1n].map(word).join("");
+      case "0xd0c93a7c": return word(pool.tickSpacing);
+      case "0x1a686502": return word(pool.liquidity);
+      case "0x0dfe1681": return addressWord(pool.token0);
+      case "0xd21220a7": return addressWord(pool.token1);
+      case "0x6378ae44": return word(pool.totalFeeGrowth0Token);
+      case "0xecdecf42": return word(pool.totalFeeGrowth1Token);
+      case "0xf30dba93": {
+        const t = pool.ticks.get(wordInt(w[0]));
+        if (!t) return word(0).repeat(6);
+        return [t.liquidityTotal, t.liquidityDelta, BigInt(t.prevTick), BigInt(t.nextTick), t.outerFeeGrowth0Token, t.outerFeeGrowth1Token].map(word).join("");
+      }
+      default: return null;
+    }
+  }
+
+  function callToken(token, selector, w) {
+    switch (selector) {
+      case "0x95d89b41": return encodeString(token.symbol);
+      case "0x06fdde03": return encodeString(token.name);
+      case "0x313ce567": return word(token.decimals);
+      case "0x70a08231": return word(token.balances.get(wordAddress(w[0])) ?? 0n);
+      case "0xdd62ed3e": return word(token.allowances.get(wordAddress(w[0]))?.get(wordAddress(w[1])) ?? 0n);
+      case "0x18160ddd": return word([...token.balances.values()].reduce((a, b) => a + b, 0n));
+      case "0x095ea7b3": return word(1);
+      default: return null;
+    }
+  }
+
+  function callEternalFarming(selector, w) {
+    switch (selector) {
+      case "0x57655846": {
+        const incentive = activeIncentive(wordAddress(w[0]));
+        if (!incentive) return [ZERO_ADDRESS, ZERO_ADDRESS, ZERO_ADDRESS].map(addressWord).join("") + word(0);
+        const { rewardToken, bonusRewardToken, pool, nonce } = incentive.key;
+        return `${addressWord(rewardToken)}${addressWord(bonusRewardToken)}${addressWord(pool)}${word(nonce)}`;
+      }
+      case "0x60777795": {
+        const incentive = incentiveById(`0x${word(w[0])}`);
+        if (!incentive) return word(0).repeat(6);
+        return [word(incentive.totalReward), word(incentive.bonusReward), addressWord(incentive.virtualPool), word(incentive.minimalPositionWidth), word(incentive.deactivated ? 1 : 0), addressWord(incentive.plugin)].join("");
+      }
+      case "0xe70b9e27": return word(s.rewardBalances.get(wordAddress(w[0]))?.get(wordAddress(w[1])) ?? 0n);
+      case "0x96da9bd5": {
+        const incentive = s.incentives.find((i) => i.key.rewardToken === wordAddress(w[0]) && i.key.bonusRewardToken === wordAddress(w[1]) && i.key.pool === wordAddress(w[2]) && i.key.nonce === w[3]);
+        if (!incentive) throw new MockRevert("");
+        const r = incentive.rewards.get(w[4]) || { reward: 0n, bonusReward: 0n };
+        return `${word(r.reward)}${word(r.bonusReward)}`;
+      }
+      default: return null;
+    }
+  }
+
+  function callVirtualPool(incentive, selector) {
+    switch (selector) {
+      case "0x46caf2ae": return word(incentive.currentLiquidity);
+      case "0x8e76c332": return word(incentive.globalTick);
+      case "0xa88a5c16": return `${word(incentive.rewardRate)}${word(incentive.bonusRewardRate)}`;
+      case "0xf0de8228": return `${word(incentive.rewardReserve)}${word(incentive.bonusRewardReserve)}`;
+      default: return null;
+    }
+  }
+
+  function callQuoter(selector, w, data) {
+    switch (selector) {
+      case "0xe94764c4": return quoteResult(quoteHop(wordAddress(w[0]), wordAddress(w[1]), wordAddress(w[2]), w[3]));
+      case "0x62086e24": return quoteResult(quoteHop(wordAddress(w[0]), wordAddress(w[1]), wordAddress(w[2]), w[3], true));
+      case "0xcdca1753": {
+        const { tokens, deployers } = decodePath(readBytesArg(data, 0));
+        const hops = [];
+        let amount = w[1];
+        for (let i = 0; i < deployers.length; i++) {
+          const hop = quoteHop(tokens[i], tokens[i + 1], deployers[i], amount);
+          hops.push(hop);
+          amount = hop.amountOut;
+        }
+        return quotePath(hops);
+      }
+      case "0x2f80bb1d": {
+        // exactOutput paths run tokenOut-first; per-hop lists follow path order like the quoter
+        const { tokens, deployers } = decodePath(readBytesArg(data, 0));
+        const hops = [];
+        let amount = w[1];
+        for (let i = 0; i < deployers.length; i++) {
+          const hop = quoteHop(tokens[i + 1], tokens[i], deployers[i], amount, true);
+          hops.push(hop);
+          amount = hop.amountIn;
+        }
+        return quotePath(hops);
+      }
+      default: return null;
+    }
+  }
+
+  function ethCall({ to, data, from }) {
+    const target = addr(to);
+    const input = String(data || "0x").toLowerCase();
+    const selector = input.slice(0, 10);
+    const w = callWords(input);
+    stats.calls.push({ to: target, selector });
+
+    if (target === MOCK_MULTICALL3_ADDRESS && selector === "0x82ad56cb") return aggregate3(input);
+    let out = null;
+    if (target === s.contracts.positionManager) out = callPositionManager(selector, w, from);
+    else if (target === s.contracts.factory) {
+      if (selector === "0xd9a641e1") out = addressWord(poolFor(wordAddress(w[0]), wordAddress(w[1]))?.address);
+      if (selector === "0x23da36cc") out = addressWord(poolFor(wordAddress(w[1]), wordAddress(w[2]), wordAddress(w[0]))?.address);
+    } else if (target === s.contracts.farmingCenter) {
+      if (selector === "0xb02c43d0") out = bytes32Word(depositIncentive(w[0])?.id);
+    } else if (target === s.contracts.eternalFarming) out = callEternalFarming(selector, w);
+    else if (target === s.contracts.quoterV2) out = callQuoter(selector, w, input);
+    else if (target === s.contracts.router && selector === "0x8af3ac85") out = addressWord(s.wnative);
+    else if (s.pools.has(target)) out = callPool(s.pools.get(target), selector, w);
+    else if (s.tokens.has(target)) out = callToken(s.tokens.get(target), selector, w);
+    else {
+      const incentive = s.incentives.find((i) => i.virtualPool === target);
+      if (incentive) out = callVirtualPool(incentive, selector);
+      // no code at the address: calls succeed with empty data, like an EOA
+      else if (!isKnownContract(target)) return "";
+    }
+    if (out == null) {
+      stats.unhandled.push({ to: target, selector });
+      throw new MockRevert("");
+    }
+    return out;
+  }
+
+  // Multicall3.aggregate3(Call3[]): every sub-call runs through ethCall with msg.sender = Multicall3.
+  function aggregate3(input) {
+    const body = input.slice(10);
+    const at = (i) => BigInt(`0x${body.slice(i * 64, (i + 1) * 64)}`);
+    const start = Number(at(0)) / 32;
+    const count = Number(at(start));
+    const results = [];
+    for (let i = 0; i < count; i++) {
+      const tuple = start + 1 + Number(at(start + 1 + i)) / 32;
+      const target = `0x${body.slice(tuple * 64 + 24, (tuple + 1) * 64)}`;
+      const allowFailure = at(tuple + 1) !== 0n;
+      const bytesAt = tuple + Number(at(tuple + 2)) / 32;
+      const size = Number(at(bytesAt));
+      const callData = `0x${body.slice((bytesAt + 1) * 64, (bytesAt + 1) * 64 + size * 2)}`;
+      try {
+        results.push({ success: true, returnData: ethCall({ to: target, data: callData, from: MOCK_MULTICALL3_ADDRESS }) });
+      } catch (err) {
+        if (!allowFailure) throw new MockRevert("Multicall3: call failed");
+        results.push({ success: false, returnData: revertData(err.reason).slice(2) });
+      }
+    }
+    const heads = [];
+    const tails = [];
+    let offset = results.length * 32;
+    for (const { success, returnData } of results) {
+      const padded = returnData.padEnd(Math.ceil(returnData.length / 64) * 64, "0");
+      const tuple = [word(success ? 1 : 0), word(64), word(returnData.length / 2), padded].join("");
+      heads.push(word(offset));
+      tails.push(tuple);
+      offset += tuple.length / 2;
+    }
+    return `${word(32)}${word(results.length)}${heads.join("")}${tails.join("")}`;
+  }
+
+  function isKnownContract(address) {
+    const target = addr(address);
+    return target === MOCK_MULTICALL3_ADDRESS
+      || Object.values(s.contracts).includes(target)
+      || s.pools.has(target)
+      || s.tokens.has(target)
+      || s.incentives.some((i) => i.virtualPool === target);
+  }
+
+  function blockNumberOf(tag) {
+    if (tag == null || ["latest", "pending", "safe", "finalized"].includes(tag)) return s.block.number;
+    if (tag === "earliest") return 0;
+    const n = Number(BigInt(tag));
+    if (n > s.block.number) throw Object.assign(new Error("header not found"), { rpcCode: -32000 });
+    return n;
+  }
+
+  function blockAt(n) {
+    return {
+      number: hex(n),
+      hash: keccak256Hex(`0x${word(n)}`),
+      timestamp: hex(s.block.timestamp - (s.block.number - n) * s.block.blockTimeSeconds),
+      baseFeePerGas: hex(s.block.baseFeePerGas),
+      gasLimit: hex(30_000_000),
+      transactions: [...s.transactions.values()].filter((tx) => tx.blockNumber === n).map((tx) => tx.hash),
+    };
+  }
+
+  function getLogs(filter = {}) {
+    const from = blockNumberOf(filter.fromBlock ?? "latest");
+    const to = blockNumberOf(filter.toBlock ?? "latest");
+    if (s.limits.getLogsError) throw Object.assign(new Error(s.limits.getLogsError), { rpcCode: -32005 });
+    if (s.limits.getLogsMaxRange != null && to - from + 1 > s.limits.getLogsMaxRange) {
+      throw Object.assign(new Error(`query exceeds max block range ${s.limits.getLogsMaxRange}`), { rpcCode: -32005 });
+    }
+    const addresses = filter.address == null ? null : [filter.address].flat().map(addr);
+    const topics = filter.topics || [];
+    return s.logs
+      .filter((log) => log.blockNumber >= from && log.blockNumber <= to)
+      .filter((log) => !addresses || addresses.includes(log.address))
+      .filter((log) => topics.every((want, i) => want == null || [want].flat().map(addr).includes(log.topics[i])))
+      .map(renderLog);
+  }
+
+  function renderLog(log) {
+    return {
+      address: log.address,
+      topics: log.topics,
+      data: log.data || "0x",
+      blockNumber: hex(log.blockNumber),
+      blockHash: blockAt(log.blockNumber).hash,
+      transactionHash: log.transactionHash || ZERO_BYTES32,
+      transactionIndex: "0x0",
+      logIndex: hex(log.logIndex ?? 0),
+      removed: false,
+    };
+  }
+
+  function handleRpc({ method, params = [] }) {
+    stats.methods.push(method);
+    switch (method) {
+      case "eth_chainId": return hex(s.chainId);
+      case "net_version": return String(s.chainId);
+      case "eth_blockNumber": return hex(s.block.number);
+      case "eth_gasPrice": return hex(s.gasPrice);
+      case "eth_maxPriorityFeePerGas": return hex(0);
+      case "eth_getBlockByNumber": return blockAt(blockNumberOf(params[0]));
+      case "eth_getBalance": return hex(s.nativeBalances.get(addr(params[0])) ?? 0n);
+      case "eth_getTransactionCount": return hex(s.nonces.get(addr(params[0])) ?? 0);
+      case "eth_getCode": return isKnownContract(params[0]) ? "0x6080604052" : "0x";
+      case "web3_sha3": return keccak256Hex(String(params[0]));
+      case "eth_call": {
+        blockNumberOf(params[1]);
+        return `0x${ethCall(params[0] || {})}`;
+      }
+      case "eth_estimateGas": {
+        ethCall(params[0] || {});
+        return hex(s.gasEstimate);
+      }
+      case "eth_sendRawTransaction": {
+        const hash = keccak256Hex(String(params[0]));
+        stats.sent.push({ raw: params[0], hash });
+        return hash;
+      }
+      case "eth_getTransactionByHash": {
+        const tx = s.transactions.get(addr(params[0]));
+        if (!tx) return null;
+        return {
+          hash: tx.hash,
+          from: addr(tx.from),
+          to: tx.to ? addr(tx.to) : null,
+          input: tx.input || "0x",
+          value: hex(big(tx.value)),
+          nonce: hex(tx.nonce ?? 0),
+          gas: hex(big(tx.gas, 500_000n)),
+          blockNumber: hex(tx.blockNumber),
+          blockHash: blockAt(tx.blockNumber).hash,
+          transactionIndex: "0x0",
+        };
+      }
+      case "eth_getTransactionReceipt": {
+        const tx = s.transactions.get(addr(params[0]));
+        if (!tx || tx.pending) return null;
+        return {
+          transactionHash: tx.hash,
+          status: hex(tx.status ?? 1),
+          blockNumber: hex(tx.blockNumber),
+          blockHash: blockAt(tx.blockNumber).hash,
+          from: addr(tx.from),
+          to: tx.to ? addr(tx.to) : null,
+          gasUsed: hex(big(tx.gasUsed, 150_000n)),
+          effectiveGasPrice: hex(big(tx.effectiveGasPrice, s.gasPrice)),
+          logs: tx.logs.map(renderLog),
+        };
+      }
+      case "eth_getLogs": return getLogs(params[0]);
+      default: {
+        const err = new Error(`the method ${method} does not exist/is not available`);
+        err.rpcCode = -32601;
+        throw err;
+      }
+    }
+  }
+
+  return { scenario: s, stats, handleRpc, respond: (payload) => rpcResponse(handleRpc, payload) };
+}
+
+// One JSON-RPC answer. The handler returns a result, returns `{ error }` to answer with that
+// error object, or throws: MockRevert becomes code 3 with revert data, anything else
+// err.rpcCode (default errorCode).
+export function rpcResponse(handleRpc, payload, { errorCode = -32603, req = null } = {}) {
+  let out;
+  try {
+    out = handleRpc(payload, req);
+  } catch (err) {
+    out = {
+      error: err instanceof MockRevert
+        ? { code: 3, message: err.message, data: revertData(err.reason) }
+        : { code: err.rpcCode ?? errorCode, message: err.message },
+    };
+  }
+  return out && typeof out === "object" && out.error
+    ? { jsonrpc: "2.0", id: payload?.id ?? null, error: out.error }
+    : { jsonrpc: "2.0", id: payload?.id ?? null, result: out };
+}
+
+// Shared HTTP transport for every scenario mock: parses single and batch requests and
+// answers each item through rpcResponse. `intercept({ req, res, payload, respond, send })`
+// sees each request first and returns true once it has answered (or deliberately dropped)
+// it, which covers rate limits, hangs and batch quirks.
+export async function startRpcServer(handleRpc, { port = 0, host = "127.0.0.1", errorCode = -32603, intercept = null } = {}) {
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      const send = (response, status = 200) => {
+        res.statusCode = status;
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify(response));
+      };
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        send({ jsonrpc: "2.0", id: null, error: { code: -32700, message: "parse error" } }, 400);
+        return;
+      }
+      const respond = (item) => rpcResponse(handleRpc, item, { errorCode, req });
+      if (intercept?.({ req, res, payload, respond, send })) return;
+      send(Array.isArray(payload) ? payload.map(respond) : respond(payload));
+    });
+  });
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  return {
+    url: `http://${host}:${server.address().port}`,
+    close: () => new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections?.();
+    }),
+  };
+}
+
+export async function startMockHyperEvm(scenario, { port = 0, host = "127.0.0.1" } = {}) {
+  const node = createMockHyperEvm(scenario);
+  const rpc = await startRpcServer(node.handleRpc, { port, host });
+  return { ...node, url: rpc.url, close: rpc.close };
+}
+
+const execFileAsync = promisify(execFile);
+const CLI_SCRIPT = fileURLToPath(new URL("../skills/auto-kittenswap-lp-rebalance/scripts/kittenswap_rebalance_chat.mjs", import.meta.url));
+// Inherited from the shell, these would record/replay fixtures, add real endpoints, or sign with a real key.
+const UNSAFE_INHERITED_ENV = ["KRLP_RPC_RECORD", "KRLP_RPC_REPLAY", "HYPEREVM_RPC_URLS", "HYPEREVM_EXEC_PRIVATE_KEY", "KRLP_KEYSTORE_PASSWORD"];
+
+// Every file the CLI writes, rooted under one scenario directory.
+export function cliStateEnv(stateDir) {
+  return {
+    KRLP_PLAN_STORE_PATH: path.join(stateDir, "plan-fingerprints.json"),
+    KRLP_LOG_INDEX_DIR: path.join(stateDir, "log-index"),
+    KRLP_HEARTBEAT_APR_STATE_PATH: path.join(stateDir, "heartbeat-apr-state.json"),
+    KRLP_EXECUTE_JOURNAL_DIR: path.join(stateDir, "execute-journals"),
+    CLAWDBOT_KITTENSWAP_CONFIG: path.join(stateDir, "config.json"),
+  };
+}
+
+let processStateDir = null;
+function defaultStateDir() {
+  if (!processStateDir) {
+    processStateDir = mkdtempSync(path.join(tmpdir(), "krlp-cli-state-"));
+    process.once("exit", () => rmSync(processStateDir, { recursive: true, force: true }));
+  }
+  return processStateDir;
+}
+
+// Runs one krlp command with state under `stateDir` (a per-process temp dir by default).
+// `env` is applied last, so a scenario can point a single path elsewhere or opt back into record/replay.
+export async function runCli(args, { env = {}, stateDir = defaultStateDir(), timeout = 120_000 } = {}) {
+  const base = { ...process.env };
+  for (const key of UNSAFE_INHERITED_ENV) delete base[key];
+  const childEnv = { ...base, HYPEREVM_RPC_MAX_RETRIES: "0", ...cliStateEnv(stateDir), ...env };
+  try {
+    const { stdout, stderr } = await execFileAsync(process.execPath, [CLI_SCRIPT, ...[args].flat()], { env: childEnv, timeout });
+    return { ok: true, stdout, stderr };
+  } catch (err) {
+    return { ok: false, stdout: err.stdout || "", stderr: err.stderr || err.message };
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const file = args.find((a) => !a.startsWith("--"));
+  const flag = (name) => {
+    const i = args.indexOf(name);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+  if (!file) {
+    console.error("Usage: node scripts/mock_hyperevm.mjs <scenario.json> [--port N] [--host H]");
+    process.exit(2);
+  }
+  const mock = await startMockHyperEvm(loadMockScenario(file), { port: Number(flag("--port") || 8545), host: flag("--host") || "127.0.0.1" });
+  console.log(`mock HyperEVM RPC listening on ${mock.url} (chain ${mock.scenario.chainId}, block ${mock.scenario.block.number})`);
+  console.log(`export HYPEREVM_RPC_URL=${mock.url}`);
+  for (const signal of ["SIGINT", "SIGTERM"]) process.on(signal, () => mock.close().then(() => process.exit(0)));
+}
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+import { existsSync, mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import { rpcCall } from "../skills/auto-kittenswap-lp-rebalance/scripts/kittenswap_rebalance_api.mjs";
+import { getSqrtRatioAtTick } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_liquidity_math.mjs";
+import { cliStateEnv, loadMockScenario, normalizeMockScenario, runCli, startMockHyperEvm } from "./mock_hyperevm.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const here = path.dirname(new URL(import.meta.url).pathname);
+const scenarioFile = path.join(here, "fixtures", "mock_hyperevm_scenario.json");
+
+const owner = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+const whype = "0x5555555555555555555555555555555555555555";
+const usd = "0xb8ce59fc3717ada4c02eadf9682a9e934f625ebb";
+const pool = "0x12df9913e9e08453440e3c4b1ae73819160b513e";
+const customPool = "0x7e57000000000000000000000000000000000001";
+const customDeployer = "0x7e57000000000000000000000000000000000d00";
+const collectTx = `0x${"c0".repeat(32)}`;
+const transferTopic = "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
+
+const mock = await startMockHyperEvm(loadMockScenario(scenarioFile));
+const workDir = mkdtempSync(path.join(tmpdir(), "krlp-mock-evm-"));
+const cli = { stateDir: workDir, env: { HYPEREVM_RPC_URL: mock.url } };
+const expectLines = (label, stdout, needles) => {
+  for (const needle of needles) assert(stdout.includes(needle), `${label} output missing: ${needle}\n${stdout}`);
+};
+
+try {
+  // raw node surface: logs, receipts and revert payloads look like a real HyperEVM node
+  const logs = await rpcCall("eth_getLogs", [{ fromBlock: "0x0", toBlock: "latest", address: usd, topics: [transferTopic] }], { rpcUrl: mock.url });
+  assert(logs.length === 1 && logs[0].transactionHash === collectTx && logs[0].blockNumber === "0x4c4b36", "eth_getLogs should filter by address and topic");
+  assert((await rpcCall("eth_getLogs", [{ fromBlock: "0x4c4b37", toBlock: "latest" }], { rpcUrl: mock.url })).length === 0, "eth_getLogs should honour the block range");
+  const receipt = await rpcCall("eth_getTransactionReceipt", [collectTx], { rpcUrl: mock.url });
+  assert(receipt.status === "0x1" && receipt.logs.length === 2, "receipts should carry the transaction logs");
+  const revert = await rpcCall("eth_call", [{ to: mock.scenario.contracts.positionManager, data: `0x6352211e${"0".repeat(60)}beef` }, "latest"], { rpcUrl: mock.url }).catch((e) => e);
+  assert(revert.rpcError?.code === 3 && revert.rpcError.data.startsWith("0x08c379a0"), "reverts should carry Error(string) data");
+
+  mock.scenario.limits.getLogsMaxRange = 1000;
+  const tooWide = await rpcCall("eth_getLogs", [{ fromBlock: "0x0", toBlock: "latest" }], { rpcUrl: mock.url }).catch((e) => e);
+  assert(/max block range/.test(tooWide.message), "eth_getLogs should enforce a configured range limit");
+  mock.scenario.limits.getLogsMaxRange = null;
+
+  const wallet = await runCli(`krlp wallet ${owner}`, cli);
+  assert(wallet.ok, `wallet should run: ${wallet.stderr}`);
+  expectLines("wallet", wallet.stdout, [
+    "- snapshot block: 5000000",
+    "- total position NFTs: 3",
+    "- active positions (liquidity > 0): 2",
+    "- rpc scan errors: 0",
+    "staked status: staked in KittenSwap FarmingCenter (0x211bd8917d433b7cc1f4497aba906554ab6ee479)",
+    "claimable now (fee growth, exact): 0.05 WHYPE + 1.999999 USD₮0",
+  ]);
+
+  // a custom-deployer pool on the same pair keeps its own fee growth
+  const custom = normalizeMockScenario({
+    pools: { [customPool]: { token0: whype, token1: usd, deployer: customDeployer, tickSpacing: 60, tick: -239460, fee: 3000, liquidity: "1000000000000000" } },
+    positions: { 1004: { owner, token0: whype, token1: usd, deployer: customDeployer, tickLower: -240060, tickUpper: -238860, liquidity: "1000000000000000" } },
+  });
+  for (const [address, p] of custom.pools) mock.scenario.pools.set(address, p);
+  for (const [tokenId, p] of custom.positions) mock.scenario.positions.set(tokenId, p);
+  const customWallet = await runCli(`krlp wallet ${owner}`, cli);
+  assert(customWallet.ok, `wallet should run with a custom-deployer position: ${customWallet.stderr}`);
+  const customSection = customWallet.stdout.slice(customWallet.stdout.indexOf("token id: 1004"));
+  assert(customSection.includes(`pool: ${customPool}`) && customSection.includes("claimable now (fee growth, exact): 0 WHYPE + 0 USD₮0"), `custom-deployer fees should come from the custom pool\n${customWallet.stdout}`);
+  mock.scenario.pools.delete(customPool);
+  mock.scenario.positions.delete(1004n);
+
+  const plan = await runCli(`krlp plan 1001 ${owner}`, cli);
+  assert(plan.ok, `plan should run: ${plan.stderr}`);
+  expectLines("plan", plan.stdout, [
+    "- decision: NO_REBALANCE (healthy)",
+    "- old-position expected output: 4.7289628 WHYPE + 188.661122 USD₮0",
+    "- old-position execution gate: PASS",
+    "- direct eth_call simulation: PASS",
+  ]);
+
+  const hold = await runCli(`krlp heartbeat 1002 ${owner}`, cli);
+  assert(hold.ok, `heartbeat should run: ${hold.stderr}`);
+  expectLines("heartbeat", hold.stdout, [
+    "- decision: HOLD",
+    "- stake integrity: PASS",
+    "- canonical stake status code: STAKED_KITTENSWAP",
+    "- pending reward now: 0.75 KITTEN (position-uncollected)",
+  ]);
+  assert(existsSync(cliStateEnv(workDir).KRLP_HEARTBEAT_APR_STATE_PATH), "heartbeat APR samples should go to KRLP_HEARTBEAT_APR_STATE_PATH");
+
+  const mint = await runCli(`krlp mint-plan ${whype} ${usd} --amount-a 1 --amount-b 40 ${owner} --width-ticks 1200`, cli);
+  assert(mint.ok, `mint-plan should run: ${mint.stderr}`);
+  expectLines("mint-plan", mint.stdout, ["- selected ticks: [-240060, -238860]", "- direct mint eth_call simulation: PASS"]);
+  assert(!mint.stdout.includes("BLOCKER"), "a balanced mint should have no blockers");
+
+  const lopsided = await runCli(`krlp mint-plan ${whype} ${usd} --amount-a 100 --amount-b 40 ${owner} --width-ticks 1200`, cli);
+  expectLines("lopsided mint-plan", lopsided.stdout, [
+    "- BLOCKER: wallet 0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f has insufficient WHYPE for amount0Desired",
+    "- direct mint eth_call simulation: REVERT",
+  ]);
+
+  const verify = await runCli(`krlp tx-verify ${collectTx} ${owner}`, cli);
+  assert(verify.ok, `tx-verify should run: ${verify.stderr}`);
+  expectLines("tx-verify", verify.stdout, [
+    "- status: success",
+    "- decoded position-manager action: collect",
+    "  - tokenId: 1001",
+    "- signer authorized for tokenId now: PASS",
+  ]);
+
+  // scenario state is live: push the pool below the range and the same commands react
+  const poolState = mock.scenario.pools.get(pool);
+  poolState.tick = -241020;
+  poolState.sqrtPriceX96 = getSqrtRatioAtTick(poolState.tick);
+  const outOfRange = await runCli(`krlp heartbeat 1002 ${owner}`, cli);
+  assert(outOfRange.ok, `heartbeat should run out of range: ${outOfRange.stderr}`);
+  expectLines("out-of-range heartbeat", outOfRange.stdout, ["- within range: NO", "- rebalance evaluation: TRIGGERED"]);
+  const rebalance = await runCli(`krlp plan 1001 ${owner}`, cli);
+  assert(rebalance.ok && !rebalance.stdout.includes("- decision: NO_REBALANCE"), "plan should recommend a rebalance once out of range");
+
+  assert(!mock.stats.unhandled.length, `unexpected eth_call selectors: ${JSON.stringify(mock.stats.unhandled)}`);
+} finally {
+  await mock.close();
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+process.stdout.write("Mock HyperEVM scenarios passed.\n");
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import {
+  DEFAULT_MULTICALL3_ADDRESS,
+  KITTENSWAP_CONTRACTS,
+  readErc20MetadataBatch,
+  readPositionsBatch,
+  rpcEthCallBatch,
+} from "../skills/auto-kittenswap-lp-rebalance/scripts/kittenswap_rebalance_api.mjs";
+import { getSqrtRatioAtTick } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_liquidity_math.mjs";
+import { runCli, startRpcServer } from "./mock_hyperevm.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const owner = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+const token0 = "0x5555555555555555555555555555555555555555";
+const token1 = "0xb8ce59fc3717ada4c02eadf9682a9e934f625ebb";
+const pool = "0x1111111111111111111111111111111111111111";
+const zeroAddress = `0x${"0".repeat(40)}`;
+const multicall = DEFAULT_MULTICALL3_ADDRESS;
+const positionManager = KITTENSWAP_CONTRACTS.positionManager;
+const hex = (n) => `0x${BigInt(n).toString(16)}`;
+const word = (n) => BigInt.asUintN(256, BigInt(n)).toString(16).padStart(64, "0");
+const addressWord = (address) => address.slice(2).padStart(64, "0");
+const readWord = (body, i) => BigInt(`0x${body.slice(i * 64, (i + 1) * 64)}`);
+
+const tickLower = -277200;
+const tickUpper = -275400;
+// 9003 reverts on positions(); 9002 is farmed
+const tokenIds = [9001n, 9002n, 9003n];
+const liquidityOf = { 9001: 10n ** 12n, 9002: 2n * 10n ** 12n };
+
+// the head moves on every read at "latest", so a scan that does not pin its block sees several states
+let head = 100;
+const stateAt = (block) => ({ tick: block % 2 === 0 ? -276300 : -276240 });
+
+function handleCall(to, data, block) {
+  const body = data.slice(10);
+  switch (data.slice(0, 10)) {
+    case "0x313ce567": return word(to === token1 ? 6 : 18);
+    case "0x95d89b41": return `${word(32)}${word(3)}${Buffer.from(to === token1 ? "USD" : "TKN").toString("hex").padEnd(64, "0")}`;
+    case "0x06fdde03": return `${word(32)}${word(5)}${Buffer.from("Token").toString("hex").padEnd(64, "0")}`;
+    case "0x70a08231": return word(to === positionManager ? tokenIds.length : 0);
+    case "0x2f745c59": return word(tokenIds[Number(readWord(body, 1))]);
+    case "0x6352211e": return addressWord(owner);
+    case "0x99fbab88": {
+      const liquidity = liquidityOf[Number(readWord(body, 0))];
+      if (liquidity == null) throw new Error("execution reverted");
+      return [word(0), addressWord(zeroAddress), addressWord(token0), addressWord(token1), addressWord(zeroAddress), word(tickLower), word(tickUpper), word(liquidity), word(0), word(0), word(0), word(0)].join("");
+    }
+    case "0xd9a641e1": return addressWord(pool);
+    case "0xe76c01e4": {
+      const { tick } = stateAt(block);
+      return `${word(getSqrtRatioAtTick(tick))}${word(tick)}${word(500)}${word(0)}${word(0)}${word(0)}`;
+    }
+    case "0xd0c93a7c": return word(60);
+    case "0x6378ae44": return word(0);
+    case "0xecdecf42": return word(0);
+    case "0xf30dba93": return [word(1), word(0), word(0), word(0), word(0), word(0)].join("");
+    case "0xe7ce18a3": return addressWord(readWord(body, 0) === 9002n ? KITTENSWAP_CONTRACTS.farmingCenter : zeroAddress);
+    case "0xb02c43d0": return word(readWord(body, 0) === 9002n ? 7 : 0);
+    default: throw new Error("execution reverted");
+  }
+}
+
+// Multicall3.aggregate3 over the same handler: decode Call3[], encode Result[].
+function handleAggregate3(data, block) {
+  const body = data.slice(10);
+  const start = Number(readWord(body, 0)) / 32;
+  const count = Number(readWord(body, start));
+  const results = [];
+  for (let i = 0; i < count; i++) {
+    const tuple = start + 1 + Number(readWord(body, start + 1 + i)) / 32;
+    const target = `0x${body.slice(tuple * 64 + 24, (tuple + 1) * 64)}`;
+    const bytesAt = tuple + Number(readWord(body, tuple + 2)) / 32;
+    const size = Number(readWord(body, bytesAt));
+    const callData = `0x${body.slice((bytesAt + 1) * 64, (bytesAt + 1) * 64 + size * 2)}`;
+    stats.aggregated.push(callData.slice(0, 10));
+    try {
+      results.push({ success: true, returnData: handleCall(target, callData, block) });
+    } catch {
+      results.push({ success: false, returnData: "" });
+    }
+  }
+  const heads = [];
+  const tails = [];
+  let offset = results.length * 32;
+  for (const { success, returnData } of results) {
+    const padded = returnData.padEnd(Math.ceil(returnData.length / 64) * 64, "0");
+    const tuple = [word(success ? 1 : 0), word(64), word(returnData.length / 2), padded].join("");
+    heads.push(word(offset));
+    tails.push(tuple);
+    offset += tuple.length / 2;
+  }
+  return `${word(32)}${word(results.length)}${heads.join("")}${tails.join("")}`;
+}
+
+const stats = { aggregated: [], direct: [], blockTags: new Set() };
+
+function handleRpc({ method, params }, url) {
+  switch (method) {
+    case "eth_chainId":
+      return "0x3e7";
+    case "eth_blockNumber":
+      return hex(head);
+    case "eth_gasPrice":
+      return hex(1_000_000_000n);
+    case "eth_getBlockByNumber":
+      return { number: params[0] === "latest" ? hex(head) : params[0], timestamp: hex(1_800_000_000), baseFeePerGas: hex(1) };
+    case "eth_call": {
+      const to = String(params[0].to).toLowerCase();
+      const data = String(params[0].data);
+      stats.blockTags.add(params[1]);
+      const block = params[1] === "latest" ? head++ : Number(BigInt(params[1]));
+      if (to === multicall) {
+        // /nomulticall: no contract at the Multicall3 address, so eth_call returns empty data
+        if (url === "/nomulticall") return "0x";
+        return `0x${handleAggregate3(data, block)}`;
+      }
+      stats.direct.push(data.slice(0, 10));
+      return `0x${handleCall(to, data, block)}`;
+    }
+    default:
+      return "0x";
+  }
+}
+
+const rpc = await startRpcServer((payload, req) => handleRpc(payload, req.url), { errorCode: 3 });
+
+const rpcUrl = rpc.url;
+const workDir = mkdtempSync(path.join(tmpdir(), "krlp-multicall-"));
+const cli = { stateDir: workDir, env: { HYPEREVM_RPC_URL: rpcUrl } };
+const resetStats = () => {
+  stats.aggregated = [];
+  stats.direct = [];
+  stats.blockTags = new Set();
+};
+const runCounted = (command) => {
+  resetStats();
+  return runCli(command, cli);
+};
+
+try {
+  assert(multicall === "0xca11bde05977b3631167028862be2a173976ca11", "default Multicall3 should be the canonical deployment");
+
+  // one aggregate3 eth_call carries every positions() read; reverts stay per item
+  resetStats();
+  const positions = await readPositionsBatch(tokenIds, { rpcUrl, blockTag: "0x64" });
+  assert(positions.map((r) => r.ok).join() === "true,true,false", "aggregate3 should report per-item success");
+  assert(positions[1].value.liquidity === liquidityOf[9002], "aggregate3 return data should decode per item");
+  assert(positions[2].error.rpcError?.message === "execution reverted", "a failed sub-call should read like a reverted eth_call");
+  assert(stats.aggregated.length === tokenIds.length && !stats.direct.length, "positions() should only go through aggregate3");
+
+  // chunks larger than the multicall chunk size still map back in order
+  resetStats();
+  const meta = await readErc20MetadataBatch([token0, token1], { rpcUrl });
+  assert(meta[0].symbol.value === "TKN" && meta[1].symbol.value === "USD" && meta[1].decimals.value === 6, "metadata should decode through aggregate3");
+  const chunked = await rpcEthCallBatch(
+    tokenIds.map((id) => ({ to: positionManager, data: `0x99fbab88${word(id)}` })),
+    { rpcUrl, multicallChunkSize: 2 },
+  );
+  assert(chunked.map((r) => r.ok).join() === "true,true,false", "chunked aggregate3 should keep request order");
+
+  // no Multicall3 at the address: fall back to plain eth_calls with identical results
+  resetStats();
+  const fallback = await readPositionsBatch(tokenIds, { rpcUrl: `${rpcUrl}/nomulticall` });
+  assert(fallback.map((r) => r.ok).join() === "true,true,false", "fallback should keep per-item results");
+  assert(stats.direct.filter((sel) => sel === "0x99fbab88").length === tokenIds.length, "fallback should read positions() directly");
+  resetStats();
+  await readPositionsBatch(tokenIds, { rpcUrl: `${rpcUrl}/nomulticall` });
+  assert(!stats.aggregated.length && stats.direct.length === tokenIds.length, "an endpoint without Multicall3 should not be retried");
+
+  // opting out keeps the JSON-RPC batch path
+  resetStats();
+  await rpcEthCallBatch(tokenIds.map((id) => ({ to: positionManager, data: `0x99fbab88${word(id)}` })), { rpcUrl, multicall: null });
+  assert(!stats.aggregated.length && stats.direct.length === tokenIds.length, "multicall: null should bypass aggregate3");
+
+  // wallet and farm-staked-summary resolve latest once and read everything at that block
+  for (const command of [`krlp wallet ${owner}`, `krlp farm-staked-summary ${owner}`]) {
+    const startHead = head;
+    const out = await runCounted(command);
+    assert(out.ok, `${command} should run: ${out.stderr}`);
+    assert(out.stdout.includes(`- snapshot block: ${startHead} (${hex(startHead)}) (latest at scan start; all reads use this block)`), `${command} should print its snapshot block`);
+    assert(stats.blockTags.size === 1 && stats.blockTags.has(hex(startHead)), `${command} read at ${[...stats.blockTags].join(",")}`);
+    assert(head === startHead, `${command} should not read at latest`);
+    for (const sel of ["0x2f745c59", "0x99fbab88", "0xe7ce18a3", "0xb02c43d0"]) {
+      assert(!stats.direct.includes(sel) && stats.aggregated.includes(sel), `${command} should aggregate ${sel} reads`);
+    }
+  }
+
+  const wallet = await runCounted(`krlp wallet ${owner} --block 90`);
+  assert(wallet.ok && wallet.stdout.includes("- block: 90 (0x5a) (pinned via --block; all reads use this block)"), "a pinned wallet should keep the --block line");
+  assert(!wallet.stdout.includes("- snapshot block:") && stats.blockTags.size === 1 && stats.blockTags.has("0x5a"), "a pinned wallet should read only at the pinned block");
+
+  const summary = await runCounted(`krlp farm-staked-summary ${owner}`);
+  assert(summary.stdout.includes("- positions scanned: 3") && summary.stdout.includes("- staked in configured Kittenswap farm: 1"), "summary should classify every NFT");
+  assert(summary.stdout.includes("- read errors: 1") && summary.stdout.includes("TKN/USD"), "summary should keep READ_ERROR rows and aggregated symbols");
+} finally {
+  await rpc.close();
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+process.stdout.write("Multicall scenarios passed.\n");
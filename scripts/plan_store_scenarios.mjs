@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+import { existsSync, mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import {
+  collectPlanTemplates,
+  findPlanFingerprint,
+  planDeadlineSeconds,
+  planFingerprintTtlSeconds,
+  recordPlanFingerprints,
+  txFingerprint,
+} from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_plan_store.mjs";
+import { DEFAULT_POLICY } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_defaults.mjs";
+import { renderCommandJson } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_json_output.mjs";
+import { decodeSignedTransaction, signTransaction } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_signer.mjs";
+import { runCli, startRpcServer } from "./mock_hyperevm.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const signerKey = `0x${"46".repeat(32)}`;
+const signer = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+const token = "0x5555555555555555555555555555555555555555";
+const hex = (n) => `0x${BigInt(n).toString(16)}`;
+const word = (n) => BigInt(n).toString(16).padStart(64, "0");
+
+// fingerprint is order-sensitive over (chainId, to, value, data) and case-insensitive
+const base = { chainId: 999, to: token, value: 0n, data: "0x095ea7b3" };
+const fp = txFingerprint(base);
+assert(/^0x[0-9a-f]{64}$/.test(fp), "fingerprint should be 32-byte hex");
+assert(fp === txFingerprint({ ...base, to: token.toUpperCase().replace("0X", "0x"), data: "0x095EA7B3" }), "fingerprint should ignore hex case");
+assert(fp !== txFingerprint({ ...base, chainId: 998 }), "fingerprint should bind chain id");
+assert(fp !== txFingerprint({ ...base, value: 1n }), "fingerprint should bind value");
+assert(fp !== txFingerprint({ ...base, data: "0x095ea7b4" }), "fingerprint should bind calldata");
+
+// template collection covers single, ordered and "choose one" shapes
+const planOutput = [
+  "Kittenswap farm enter plan",
+  "- approval transaction templates (choose one):",
+  "  - recommended (operator-wide):",
+  `    - to: ${token}`,
+  "    - value: 0x0 (0 HYPE)",
+  "    - data: 0xa22cb465",
+  "- transaction template (full calldata):",
+  `  - to: ${signer}`,
+  "  - value: 0x10 (0 HYPE)",
+  "  - data: 0x5739f0b9",
+  "- transaction templates (full calldata):",
+  "  - step 1: approve",
+  `    - to: ${token}`,
+  "    - value: 0x0 (0 HYPE)",
+  "    - data: 0x095ea7b3",
+].join("\n");
+const collected = collectPlanTemplates(renderCommandJson({ outputText: planOutput }).result.sections);
+assert(collected.length === 3, `expected three templates, got ${collected.length}`);
+assert(collected[0].label === "recommended (operator-wide)", "alternative label should be kept");
+assert(collected[1].label === "template" && collected[1].value === 16n && collected[1].to === signer, "single template value should parse");
+assert(collected[2].label === "step 1 (approve)", "step label should include the action");
+
+// fingerprints live as long as the deadline the plan's calldata was built with
+const fieldsOf = (text) => renderCommandJson({ outputText: text }).result.labeledFields;
+assert(planDeadlineSeconds(fieldsOf("Kittenswap swap plan\n- policy: fast (slippage=30bps, deadline=120s)")) === 120, "policy deadline should parse");
+assert(planDeadlineSeconds(fieldsOf(planOutput)) === null, "plans without a deadline should report none");
+delete process.env.KRLP_PLAN_FINGERPRINT_TTL_SECONDS;
+assert(planFingerprintTtlSeconds(120) === 120, "ttl should follow the plan deadline");
+assert(planFingerprintTtlSeconds(null) === DEFAULT_POLICY.deadlineSeconds, "plans without a deadline should use the default policy's");
+
+const workDir = mkdtempSync(path.join(tmpdir(), "krlp-plan-store-"));
+const storePath = path.join(workDir, "plan-fingerprints.json");
+
+const t0 = Date.parse("2026-01-01T00:00:00Z");
+await recordPlanFingerprints({ command: "swap-approve-plan", chainId: 999, templates: [collected[2]], ttlSeconds: 60, nowMs: t0, storePath });
+let found = await findPlanFingerprint(fp, { nowMs: t0 + 30_000, storePath });
+assert(found.entry && !found.expired, "fresh fingerprint should match");
+found = await findPlanFingerprint(fp, { nowMs: t0 + 60_000, storePath });
+assert(found.entry && found.expired, "fingerprint should expire at its ttl");
+await recordPlanFingerprints({ command: "swap-approve-plan", chainId: 999, templates: [collected[2]], ttlSeconds: 60, nowMs: t0 + 120_000, storePath });
+found = await findPlanFingerprint(fp, { nowMs: t0 + 150_000, storePath });
+assert(found.entry && !found.expired, "re-planning should refresh the expiry");
+await recordPlanFingerprints({ command: "swap-plan", chainId: 999, templates: [collected[0]], ttlSeconds: 60, nowMs: t0 + 400_000, storePath });
+const pruned = JSON.parse(readFileSync(storePath, "utf8"));
+assert(pruned.entries.length === 1 && pruned.entries[0].command === "swap-plan", "expired entries should be pruned on write");
+rmSync(storePath, { force: true });
+
+// CLI: swap-approve-plan records fingerprints; broadcast-raw enforces them
+const sends = [];
+function handleRpc({ method, params }) {
+  switch (method) {
+    case "eth_chainId":
+      return "0x3e7";
+    case "eth_gasPrice":
+      return hex(1_000_000_000n);
+    case "eth_blockNumber":
+      return hex(100);
+    case "eth_estimateGas":
+      return hex(46_000);
+    case "eth_getTransactionCount":
+      return "0x0";
+    case "eth_call": {
+      const selector = String(params[0]?.data || "").slice(0, 10);
+      if (selector === "0x313ce567") return `0x${word(18)}`;
+      if (selector === "0x95d89b41") return `0x${word(32)}${word(3)}${Buffer.from("TKN").toString("hex").padEnd(64, "0")}`;
+      if (selector === "0x70a08231") return `0x${word(10n ** 18n)}`;
+      return `0x${word(0)}`;
+    }
+    case "eth_sendRawTransaction": {
+      const decoded = decodeSignedTransaction(params[0]);
+      sends.push(decoded);
+      return decoded.hash;
+    }
+    default:
+      return "0x";
+  }
+}
+
+const rpc = await startRpcServer(handleRpc);
+
+const cli = { stateDir: workDir, env: { HYPEREVM_RPC_URL: rpc.url, KRLP_PLAN_STORE_PATH: storePath } };
+const signTemplate = (template) => signTransaction({
+  type: "eip1559",
+  chainId: 999n,
+  nonce: 0n,
+  gasLimit: 60_000n,
+  maxFeePerGas: 2_000_000_000n,
+  maxPriorityFeePerGas: 0n,
+  to: template.to,
+  value: template.value,
+  data: template.data,
+}, signerKey).rawTransaction;
+
+try {
+  // with --no-record-plan a plan prints its fingerprints but writes nothing
+  const dry = await runCli(`krlp swap-approve-plan ${token} ${signer} --amount 1.5 --no-record-plan`, cli);
+  assert(dry.ok && /- plan fingerprints \(chain 999; to\/value\/data\):/.test(dry.stdout), `plan output should list fingerprints: ${dry.stderr}`);
+  assert(dry.stdout.includes("- plan store: not saved (--no-record-plan)"), `plan output should say it was not saved\n${dry.stdout}`);
+  const dryJson = await runCli(`krlp swap-approve-plan ${token} ${signer} --amount 1.5 --json --no-record-plan`, cli);
+  assert(dryJson.ok && !existsSync(storePath), "plans run with --no-record-plan must not write the plan store");
+
+  // every plan records by default; an approval plan embeds no deadline, so the default policy's applies
+  const before = Date.now();
+  const plan = await runCli(`krlp swap-approve-plan ${token} ${signer} --amount 1.5`, cli);
+  const expires = Date.parse(plan.stdout.match(/- plan store: saved 1 fingerprint\(s\), expires (\S+)/)?.[1]);
+  assert(plan.ok && Number.isFinite(expires), `plan output should report the store write: ${plan.stderr || plan.stdout}`);
+  assert(expires >= before + DEFAULT_POLICY.deadlineSeconds * 1000 && expires <= Date.now() + DEFAULT_POLICY.deadlineSeconds * 1000, "approval fingerprints should expire after the default policy deadline");
+  assert(JSON.parse(readFileSync(storePath, "utf8")).entries[0].sender === signer, "the store should record the plan's sender");
+  const [template] = collectPlanTemplates(renderCommandJson({ outputText: plan.stdout }).result.sections);
+  assert(plan.stdout.includes(`: ${txFingerprint({ chainId: 999, ...template })}`), "printed fingerprint should match the template");
+
+  const json = await runCli(`krlp swap-approve-plan ${token} ${signer} --amount 1.5 --json`, cli);
+  const payload = JSON.parse(json.stdout);
+  assert(payload.result.txTemplates.length === 1, "fingerprint lines must not add tx templates to --json output");
+
+  const sent = await runCli(`krlp broadcast-raw ${signTemplate(template)} --yes SEND --no-wait`, cli);
+  assert(sent.ok && /- plan fingerprint: PASS \(0x[0-9a-f]{64} from swap-approve-plan template;/.test(sent.stdout), `planned tx should broadcast: ${sent.stderr}`);
+  assert(sends.length === 1 && sends[0].from === signer, "exactly the planned tx should reach the node");
+
+  const tampered = await runCli(`krlp broadcast-raw ${signTemplate({ ...template, data: `${template.data.slice(0, -1)}1` })} --yes SEND --no-wait`, cli);
+  assert(tampered.ok && /is not in the plan store/.test(tampered.stdout) && tampered.stdout.includes("- broadcast: BLOCKED"), "calldata not from a plan must be refused");
+  assert(sends.length === 1, "refused tx must not reach the node");
+
+  await runCli(`krlp swap-approve-plan ${token} ${signer} --amount 2`, { ...cli, env: { ...cli.env, KRLP_PLAN_FINGERPRINT_TTL_SECONDS: "0" } });
+  const stale = await runCli(`krlp broadcast-raw ${signTemplate({ ...template, data: `${template.data.slice(0, -64)}${word(2n * 10n ** 18n)}` })} --yes SEND --no-wait`, cli);
+  assert(stale.ok && /expired at/.test(stale.stdout) && stale.stdout.includes("- broadcast: BLOCKED"), `expired fingerprint must be refused: ${stale.stderr || stale.stdout}`);
+  assert(sends.length === 1, "expired tx must not reach the node");
+} finally {
+  await rpc.close();
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+process.stdout.write("Plan store scenarios passed.\n");
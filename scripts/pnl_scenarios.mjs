@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import { keccak256Hex } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_keccak.mjs";
+import { queryLogIndex, syncLogIndex } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_log_indexer.mjs";
+import {
+  HISTORY_STREAMS,
+  buildPositionTimeline,
+  findPredecessorTimeline,
+} from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_position_history.mjs";
+import { runCli, startMockHyperEvm } from "./mock_hyperevm.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const here = path.dirname(new URL(import.meta.url).pathname);
+
+const owner = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+const kitten = "0x618275f8efe54c2afa87bfb9f210a52f0ff89364";
+const pool = "0x12df9913e9e08453440e3c4b1ae73819160b513e";
+const positionManager = "0x9ea4459c8defbf561495d95414b9cf1e2242a3e2";
+const eternalFarming = "0xf3b57fe4d5d0927c3a5e549cb6af1866687e2d62";
+const zeroAddress = `0x${"0".repeat(40)}`;
+
+const word = (n) => BigInt.asUintN(256, BigInt(n)).toString(16).padStart(64, "0");
+const addressWord = (address) => address.slice(2).padStart(64, "0");
+const topic = (signature) => keccak256Hex(signature);
+const txHash = (byte) => `0x${byte.repeat(32)}`;
+const event = (address, topics, data = []) => ({
+  address,
+  topics: topics.map((t) => (t.length === 66 ? t : `0x${t}`)),
+  data: `0x${data.join("")}`,
+});
+
+const T = {
+  transfer: topic("Transfer(address,address,uint256)"),
+  increase: topic("IncreaseLiquidity(uint256,uint128,uint128,uint256,uint256,address)"),
+  decrease: topic("DecreaseLiquidity(uint256,uint128,uint256,uint256)"),
+  collect: topic("Collect(uint256,address,uint256,uint256)"),
+  created: topic("EternalFarmingCreated(address,address,address,address,uint256,uint128,uint128,uint24)"),
+  entered: topic("FarmEntered(uint256,bytes32,uint128)"),
+};
+const incentiveId = keccak256Hex(`0x${addressWord(kitten)}${addressWord(zeroAddress)}${addressWord(pool)}${word(1)}`);
+const E18 = 10n ** 18n;
+const L = 2n * 10n ** 15n;
+const mintLogs = (tokenId, amount0, amount1) => [
+  event(positionManager, [T.transfer, addressWord(zeroAddress), addressWord(owner), word(tokenId)]),
+  event(positionManager, [T.increase, word(tokenId)], [word(L), word(L), word(amount0), word(amount1), addressWord(pool)]),
+];
+const tx = (byte, blockNumber, gasUsed, logs, from = owner) => ({
+  hash: txHash(byte),
+  from,
+  to: positionManager,
+  input: "0x",
+  value: "0",
+  blockNumber,
+  status: 1,
+  gasUsed: String(gasUsed),
+  effectiveGasPrice: "1000000000",
+  logs,
+});
+
+// Rebalance chain: 2001 is minted, withdrawn to the owner and burned, and its proceeds mint
+// the live staked 1002. Decoy 3001 is partially withdrawn to the owner closer to the 1002 mint
+// but keeps liquidity, so it is not a predecessor.
+const raw = JSON.parse(readFileSync(path.join(here, "fixtures", "mock_hyperevm_scenario.json"), "utf8"));
+raw.positions["1002"].incentiveNonce = "1";
+raw.transactions.push(
+  tx("b1", 4_985_000, 250_000, [event(eternalFarming, [T.created, addressWord(kitten), addressWord(zeroAddress), addressWord(pool)], [
+    addressWord("0x7777777777777777777777777777777777777777"), word(1), word(10n ** 24n), word(0), word(60),
+  ])], "0x2222222222222222222222222222222222222222"),
+  tx("c1", 4_990_000, 300_000, mintLogs(2001, 19n * E18, 700_000_000n)),
+  tx("c2", 4_991_000, 300_000, mintLogs(3001, E18, 40_000_000n)),
+  tx("c3", 4_994_000, 200_000, [
+    event(positionManager, [T.decrease, word(2001)], [word(L), word(18n * E18), word(730_000_000n)]),
+    event(positionManager, [T.collect, word(2001)], [addressWord(owner), word(18n * E18 + E18 / 20n), word(732_000_000n)]),
+  ]),
+  tx("c4", 4_994_010, 50_000, [event(positionManager, [T.transfer, addressWord(owner), addressWord(zeroAddress), word(2001)])]),
+  tx("c5", 4_994_050, 200_000, [
+    event(positionManager, [T.decrease, word(3001)], [word(L / 2n), word(E18 / 2n), word(20_000_000n)]),
+    event(positionManager, [T.collect, word(3001)], [addressWord(owner), word(E18 / 2n), word(20_000_000n)]),
+  ]),
+  tx("c6", 4_994_100, 300_000, mintLogs(1002, 18n * E18 + 4n * E18 / 10n, 735_000_000n)),
+  tx("c7", 4_994_200, 150_000, [event(eternalFarming, [T.entered, word(1002), incentiveId], [word(L)])]),
+);
+
+const mock = await startMockHyperEvm(raw);
+const workDir = mkdtempSync(path.join(tmpdir(), "krlp-pnl-"));
+const indexDir = path.join(workDir, "index");
+
+const cli = { stateDir: workDir, env: { HYPEREVM_RPC_URL: mock.url, KRLP_LOG_INDEX_LOOKBACK_BLOCKS: "3000" } };
+const field = (stdout, label) => {
+  const m = stdout.match(new RegExp(`^\\s*- ${label}: ([+-]?[\\d,.]+) USD₮0`, "m"));
+  return m ? Number(m[1].replace(/,/g, "")) : null;
+};
+const segmentBlock = (stdout, tokenId) => stdout.split(`  - token ${tokenId}:`)[1]?.split(/\n  - token |\n- totals:/)[0] || "";
+
+try {
+  await syncLogIndex({ streams: HISTORY_STREAMS, fromBlock: 4_980_000, dir: indexDir, rpcUrl: mock.url });
+  const events = await queryLogIndex({ dir: indexDir, stream: HISTORY_STREAMS });
+  const current = buildPositionTimeline(events, { tokenId: 1002 });
+  const prev = findPredecessorTimeline(events, current);
+  assert(prev?.tokenId === "2001", `1002's predecessor should be 2001, not the still-open decoy (got ${prev?.tokenId})`);
+  assert(findPredecessorTimeline(events, prev) === null, "2001 has no predecessor");
+  assert(findPredecessorTimeline(events, current, { maxGapBlocks: 50 }) === null, "a gap beyond maxGapBlocks breaks the chain");
+
+  const pnl = await runCli("krlp pnl 1002 --from-block 4980000", cli);
+  assert(pnl.ok, `pnl should run: ${pnl.stderr}`);
+  const out = pnl.stdout;
+  for (const needle of [
+    "Kittenswap position PnL (1002)",
+    `- owner: ${owner}`,
+    "- chain: 2001 -> 1002 (each position's withdrawn proceeds fed the next mint)",
+    "  - token 2001: burned at block 4994010",
+    "  - token 1002: open",
+    "    - entry amounts: 19 WHYPE + 700 USD₮0",
+    "    - principal withdrawn: 18 WHYPE + 730 USD₮0",
+    "    - fee income: ",
+    "(collected 0.05 WHYPE + 2 USD₮0; uncollected 0 WHYPE + 0 USD₮0)",
+    "0.00055 HYPE over 3 owner txs",
+    "0.00045 HYPE over 2 owner txs",
+    "pending 0.75 KITTEN",
+    "  - HODL baseline: ",
+  ]) {
+    assert(out.includes(needle), `pnl output missing: ${needle}\n${out}`);
+  }
+  assert(!out.includes("token 3001"), "the decoy position must not join the chain");
+
+  // each segment's net is IL + fees + rewards - gas, and the totals add the segments up
+  const segs = ["2001", "1002"].map((id) => {
+    const block = segmentBlock(out, id);
+    const v = Object.fromEntries(["impermanent loss", "fee income", "reward income", "gas spent", "net pnl"].map((k) => [k, field(block, k)]));
+    assert(Object.values(v).every((x) => x != null), `segment ${id} should value every component\n${block}`);
+    assert(Math.abs(v["impermanent loss"] + v["fee income"] + v["reward income"] - v["gas spent"] - v["net pnl"]) < 1e-5, `segment ${id} net pnl mismatch: ${JSON.stringify(v)}`);
+    return v;
+  });
+  const totals = out.split("\n- totals:")[1];
+  assert(Math.abs(field(totals, "net pnl") - (segs[0]["net pnl"] + segs[1]["net pnl"])) < 1e-5, `total net pnl should sum segments\n${totals}`);
+  assert(segs[0]["impermanent loss"] < 0, "2001 withdrew fewer WHYPE-equivalent than it deposited at the same marks");
+
+  const single = await runCli("krlp pnl 1002 --no-chain", cli);
+  assert(single.ok && single.stdout.includes("- chain: 1002 (--no-chain)") && !single.stdout.includes("token 2001"), `--no-chain should report 1002 alone\n${single.stdout}${single.stderr}`);
+
+  // a mint outside the indexed range leaves no cost basis: refuse instead of printing IL and net PnL from zero entry amounts
+  const unbased = await runCli("krlp pnl 1002 --no-chain --from-block 4994150", { ...cli, env: { ...cli.env, KRLP_LOG_INDEX_DIR: path.join(workDir, "late-index") } });
+  assert(!unbased.ok && unbased.stderr.includes("Cost basis unknown for token 1002") && unbased.stderr.includes("--from-block"), `pnl without the mint should refuse\n${unbased.stdout}${unbased.stderr}`);
+  assert(!/impermanent loss|net pnl/.test(unbased.stdout), "no IL or net PnL figure should be printed without a cost basis");
+} finally {
+  await mock.close();
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+process.stdout.write("PnL scenarios passed.\n");
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import { keccak256Hex } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_keccak.mjs";
+import { getSqrtRatioAtTick } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_liquidity_math.mjs";
+import { heartbeatRangeModel, normalCdf } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_range_volatility.mjs";
+import { runCli, startMockHyperEvm } from "./mock_hyperevm.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const here = path.dirname(new URL(import.meta.url).pathname);
+
+const owner = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+const whype = "0x5555555555555555555555555555555555555555";
+const usd = "0xb8ce59fc3717ada4c02eadf9682a9e934f625ebb";
+const pool = "0x12df9913e9e08453440e3c4b1ae73819160b513e";
+const router = "0x4e73e421480a7e0c24fb3c11019254ede194f736";
+
+// pure model
+{
+  assert(Math.abs(normalCdf(0) - 0.5) < 1e-7 && Math.abs(normalCdf(1.96) - 0.975) < 1e-4 && Math.abs(normalCdf(-1) - 0.158655) < 1e-6, "normal CDF");
+  const flat = heartbeatRangeModel({ halfWidthTicks: 300, triggerTicks: 200, sigma: 0, checkSeconds: 3600 });
+  assert(flat.cycleSeconds === Infinity && flat.timeInRange === 1, "a flat tick never triggers a rebalance");
+  // a trigger hit in b^2 / sigma^2 = 10000s is acted on half a check interval later
+  const slow = heartbeatRangeModel({ halfWidthTicks: 600, triggerTicks: 500, sigma: 5, checkSeconds: 3600 });
+  assert(slow.hitSeconds === 10_000 && slow.cycleSeconds === 11_800, `cycle length: ${JSON.stringify(slow)}`);
+  // a narrow range is hit well inside one interval: one rebalance per check, out of range for much of it
+  const fast = heartbeatRangeModel({ halfWidthTicks: 60, triggerTicks: 50, sigma: 5, checkSeconds: 3600 });
+  assert(fast.cycleSeconds === 3600 && fast.timeInRange < 0.5, `narrow range: ${JSON.stringify(fast)}`);
+  let prev = 0;
+  for (const a of [60, 120, 300, 600, 1200]) {
+    const { timeInRange } = heartbeatRangeModel({ halfWidthTicks: a, triggerTicks: a * 0.83, sigma: 5, checkSeconds: 3600 });
+    assert(timeInRange > prev && timeInRange <= 1, `time in range should grow with the width: a=${a} ${timeInRange}`);
+    prev = timeInRange;
+  }
+  const checkedOften = heartbeatRangeModel({ halfWidthTicks: 300, triggerTicks: 250, sigma: 5, checkSeconds: 60 });
+  const checkedRarely = heartbeatRangeModel({ halfWidthTicks: 300, triggerTicks: 250, sigma: 5, checkSeconds: 4 * 3600 });
+  assert(checkedOften.timeInRange > checkedRarely.timeInRange, "sparser checks should leave the range uncovered for longer");
+}
+
+// 50 swaps alternating +/-60 ticks around the pool tick over the last 7200 blocks, 100 WHYPE each
+const word = (n) => BigInt.asUintN(256, BigInt(n)).toString(16).padStart(64, "0");
+const addressWord = (address) => address.slice(2).padStart(64, "0");
+const swapTopic = keccak256Hex("Swap(address,address,int256,int256,uint160,uint128,int24)");
+const ticks = Array.from({ length: 51 }, (_, i) => (i % 2 === 0 ? -239_460 : -239_400));
+const raw = JSON.parse(readFileSync(path.join(here, "fixtures", "mock_hyperevm_scenario.json"), "utf8"));
+raw.logs = ticks.map((tick, i) => ({
+  address: pool,
+  blockNumber: 4_993_000 + i * 140,
+  transactionHash: `0x${(i + 1).toString(16).padStart(2, "0").repeat(32)}`,
+  logIndex: 0,
+  topics: [swapTopic, `0x${addressWord(router)}`, `0x${addressWord(owner)}`],
+  data: `0x${[word(i % 2 ? -(10n ** 20n) : 10n ** 20n), word(i % 2 ? 4_000_000_000n : -4_000_000_000n), word(getSqrtRatioAtTick(tick)), word(5n * 10n ** 16n), word(tick)].join("")}`,
+}));
+// the same flow through a custom-deployer pool on the pair at a 0.3% fee, held by token 2003
+const customPool = "0x7e57000000000000000000000000000000000001";
+const customDeployer = "0x7e57000000000000000000000000000000000d00";
+raw.pools[customPool] = { ...raw.pools[pool], deployer: customDeployer, fee: 3000 };
+raw.positions["2003"] = { ...raw.positions["1001"], deployer: customDeployer };
+raw.logs.push(...raw.logs.map((l) => ({ ...l, address: customPool, logIndex: 1 })));
+
+const mock = await startMockHyperEvm(raw);
+const workDir = mkdtempSync(path.join(tmpdir(), "krlp-range-optimize-"));
+const cli = { stateDir: workDir, env: { HYPEREVM_RPC_URL: mock.url } };
+
+const ranked = (stdout) => [...stdout.matchAll(/^ {2}- #\d+ width (\d+) .*: net APR (-?[\d,.]+)%/gm)].map((m) => ({ width: Number(m[1]), netApr: Number(m[2].replace(/,/g, "")) }));
+
+try {
+  const run = await runCli(`krlp range-optimize ${pool}`, cli);
+  assert(run.ok, `range-optimize should run: ${run.stderr}`);
+  const out = run.stdout;
+  for (const needle of [
+    "Kittenswap range optimizer",
+    `- pool: ${pool} (WHYPE/USD₮0, tick spacing 60, fee 500 ppm)`,
+    "- sample: 51 Swap logs in blocks 4992801..5000000 (2h)",
+    "- capital: 1,000 USD₮0 (default)",
+    "- heartbeat model: edgeBps 850, checks every 1h",
+    "(1500000 gas at 1 gwei)",
+  ]) {
+    assert(out.includes(needle), `range-optimize output missing: ${needle}\n${out}`);
+  }
+  // the apr table's half-ranges, doubled and aligned to the spacing
+  const candidates = ranked(out);
+  assert(JSON.stringify(candidates.map((c) => c.width).sort((a, b) => a - b)) === JSON.stringify([120, 240, 420, 600, 1020, 1500, 2040]), `candidate widths\n${out}`);
+  assert(candidates.every((c, i) => i === 0 || c.netApr <= candidates[i - 1].netApr), `candidates should be ranked by net APR\n${out}`);
+  // heavy flow and cheap rebalances favour the narrowest range
+  assert(candidates[0].width === 120 && out.includes("- recommended: --width-ticks 120"), `the narrowest range should win on cheap rebalances\n${out}`);
+  const paste = out.match(/^- mint: krlp (mint-plan .*)$/m);
+  assert(paste && paste[1].endsWith("--width-ticks 120"), `a paste-ready mint-plan should follow\n${out}`);
+  const mint = await runCli(`krlp ${paste[1]} ${owner}`, cli);
+  assert(mint.ok && mint.stdout.includes("(width=120, source=auto_centered)"), `the pasted mint-plan should run with the recommended width\n${mint.stdout}${mint.stderr}`);
+
+  // expensive rebalances push the recommendation to the widest range
+  const costly = await runCli(`krlp range-optimize ${pool} --rebalance-gas 200000000`, cli);
+  assert(costly.ok, `range-optimize with costly gas should run: ${costly.stderr}`);
+  const costlyRanked = ranked(costly.stdout);
+  assert(costlyRanked[0].width === 2040 && costlyRanked.find((c) => c.width === 120).netApr < 0, `costly rebalances should favour the widest range\n${costly.stdout}`);
+
+  // a tokenId resolves its pool, sizes the capital from its principal and ranks its own width
+  const byToken = await runCli("krlp range-optimize 1001 --widths 600,2400", cli);
+  assert(byToken.ok, `range-optimize by tokenId should run: ${byToken.stderr}`);
+  assert(byToken.stdout.includes("- position: tokenId 1001 [-240060, -238860] width 1200 ticks") && byToken.stdout.includes("(tokenId 1001 principal)"), `tokenId context\n${byToken.stdout}`);
+  assert(JSON.stringify(ranked(byToken.stdout).map((c) => c.width).sort((a, b) => a - b)) === JSON.stringify([600, 1200, 2400]) && /width 1200 \(\+\/-600\) \[-240060, -238860\] \(current\)/.test(byToken.stdout), `--widths plus the current width\n${byToken.stdout}`);
+
+  // a custom-deployer position resolves and quotes its own pool
+  const swapCostOf = (stdout) => Number(stdout.match(/width 600 .*\(swap ([\d.]+) USD₮0\)/)?.[1]);
+  const defaultPool = await runCli(`krlp range-optimize ${pool} --widths 600 --capital 1000`, cli);
+  const customByToken = await runCli("krlp range-optimize 2003 --widths 600 --capital 1000", cli);
+  assert(defaultPool.ok && customByToken.ok, `range-optimize should run on both pools: ${defaultPool.stderr}${customByToken.stderr}`);
+  assert(customByToken.stdout.includes(`- pool: ${customPool} (WHYPE/USD₮0, tick spacing 60, fee 3000 ppm)`), `tokenId 2003 should resolve the custom pool\n${customByToken.stdout}`);
+  const feeRatio = swapCostOf(customByToken.stdout) / swapCostOf(defaultPool.stdout);
+  assert(Math.abs(feeRatio - 6) < 0.1, `the custom pool's 0.3% quote should cost 6x the 0.05% pool (got ${feeRatio})\n${customByToken.stdout}`);
+
+  const quiet = await runCli(`krlp range-optimize ${pool} --sample-blocks 100`, cli);
+  assert(!quiet.ok && /Only 1 Swap log\(s\) in blocks 4999901\.\.5000000; too few/.test(quiet.stderr), `a sample without swaps should fail\n${quiet.stderr}`);
+} finally {
+  await mock.close();
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+process.stdout.write("Range optimize scenarios passed.\n");
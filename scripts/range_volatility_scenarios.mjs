@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import { keccak256Hex } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_keccak.mjs";
+import { getSqrtRatioAtTick } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_liquidity_math.mjs";
+import {
+  halfWidthForStayProbability,
+  realizedTickVolatility,
+  stayInRangeProbability,
+} from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_range_volatility.mjs";
+import { runCli, startMockHyperEvm } from "./mock_hyperevm.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const here = path.dirname(new URL(import.meta.url).pathname);
+
+const owner = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+const whype = "0x5555555555555555555555555555555555555555";
+const usd = "0xb8ce59fc3717ada4c02eadf9682a9e934f625ebb";
+const pool = "0x12df9913e9e08453440e3c4b1ae73819160b513e";
+const router = "0x4e73e421480a7e0c24fb3c11019254ede194f736";
+
+// pure model
+{
+  const vol = realizedTickVolatility([0, 60, 0, 60, 120], { windowSeconds: 100 });
+  assert(vol.samples === 5 && vol.moves === 4 && vol.quadraticVariation === 4 * 3600, `quadratic variation: ${JSON.stringify(vol)}`);
+  assert(Math.abs(vol.sigmaPerSqrtSecond - 12) < 1e-12, `sigma should be sqrt(14400 / 100): ${vol.sigmaPerSqrtSecond}`);
+  assert(realizedTickVolatility([5, 5, 5], { windowSeconds: 10 }).sigmaPerSqrtSecond === 0, "a flat path has no volatility");
+
+  // standard Brownian motion stays within +/-1 for t=1 with probability ~0.37078
+  assert(Math.abs(stayInRangeProbability({ halfWidthTicks: 1, sigma: 1, seconds: 1 }) - 0.37078) < 1e-4, "exit probability at a=1, T=1");
+  assert(stayInRangeProbability({ halfWidthTicks: 100, sigma: 1, seconds: 1 }) === 1, "a range far wider than the spread is never left");
+  assert(stayInRangeProbability({ halfWidthTicks: 0, sigma: 1, seconds: 1 }) === 0, "an empty range is left at once");
+  let prev = 0;
+  for (const a of [5, 10, 20, 40, 80]) {
+    const p = stayInRangeProbability({ halfWidthTicks: a, sigma: 2, seconds: 100 });
+    assert(p > prev, `probability should grow with the width: a=${a} p=${p}`);
+    prev = p;
+  }
+  for (const probability of [0.5, 0.8, 0.95]) {
+    const a = halfWidthForStayProbability({ probability, sigma: 3, seconds: 3600 });
+    const p = stayInRangeProbability({ halfWidthTicks: a, sigma: 3, seconds: 3600 });
+    assert(Math.abs(p - probability) < 1e-9, `half-width for ${probability} should invert the probability: got ${p}`);
+  }
+  // staying in range is harder than ending in range: the 80% half-width is beyond the 1.2816-sigma quantile
+  assert(halfWidthForStayProbability({ probability: 0.8, sigma: 1, seconds: 1 }) > 1.2816, "stay probability must price in path exits");
+  assert(halfWidthForStayProbability({ probability: 0.8, sigma: 0, seconds: 3600 }) === 0, "no volatility needs no width");
+}
+
+// 50 swaps alternating +/-60 ticks around the pool tick over the last 7200 blocks: QV = 50 * 3600
+const word = (n) => BigInt.asUintN(256, BigInt(n)).toString(16).padStart(64, "0");
+const addressWord = (address) => address.slice(2).padStart(64, "0");
+const swapTopic = keccak256Hex("Swap(address,address,int256,int256,uint160,uint128,int24)");
+const ticks = Array.from({ length: 51 }, (_, i) => (i % 2 === 0 ? -239_460 : -239_400));
+const raw = JSON.parse(readFileSync(path.join(here, "fixtures", "mock_hyperevm_scenario.json"), "utf8"));
+raw.logs = ticks.map((tick, i) => ({
+  address: pool,
+  blockNumber: 4_993_000 + i * 140,
+  transactionHash: `0x${(i + 1).toString(16).padStart(2, "0").repeat(32)}`,
+  logIndex: 0,
+  topics: [swapTopic, `0x${addressWord(router)}`, `0x${addressWord(owner)}`],
+  data: `0x${[word(i % 2 ? 10n ** 17n : -(10n ** 17n)), word(i % 2 ? -4_000_000n : 4_000_000n), word(getSqrtRatioAtTick(tick)), word(5n * 10n ** 16n), word(tick)].join("")}`,
+}));
+const head = 5_000_000;
+const windowSeconds = 7199; // blocks 4992801..5000000, one second apart
+const sigma = Math.sqrt((50 * 3600) / windowSeconds);
+const expectedWidth = (hours, pct) => {
+  const a = halfWidthForStayProbability({ probability: pct / 100, sigma, seconds: hours * 3600 });
+  return Math.max(120, Math.ceil((2 * a) / 60) * 60);
+};
+
+const mock = await startMockHyperEvm(raw);
+const workDir = mkdtempSync(path.join(tmpdir(), "krlp-range-vol-"));
+const cli = { stateDir: workDir, env: { HYPEREVM_RPC_URL: mock.url } };
+
+try {
+  const width24 = expectedWidth(24, 80);
+  const mint = await runCli(`krlp mint-plan ${whype} ${usd} --amount-a 1 --amount-b 40 ${owner} --width-mode volatility`, cli);
+  assert(mint.ok, `volatility mint-plan should run: ${mint.stderr}`);
+  for (const needle of [
+    `(width=${width24}, source=auto_centered)`,
+    `- width mode: volatility (${width24} ticks for a 80% chance to stay in range over 24h)`,
+    `from 51 Swap ticks in blocks ${head - 7199}..${head} (2h)`,
+    "  - model: driftless random walk of the tick from the range center",
+  ]) {
+    assert(mint.stdout.includes(needle), `mint-plan output missing: ${needle}\n${mint.stdout}`);
+  }
+  assert(/in-range probability at the chosen width: (8\d|9\d)\.\d\d%/.test(mint.stdout), `rounding up should not drop below the target\n${mint.stdout}`);
+
+  // a shorter horizon and a looser target both narrow the range
+  const width1 = expectedWidth(1, 50);
+  assert(width1 < width24, `1h/50% should be narrower than 24h/80% (${width1} vs ${width24})`);
+  const enter = await runCli(`krlp enter-plan ${whype} ${usd} --funding-token ${usd} --amount-in 40 ${owner} --width-mode volatility --horizon-hours 1 --in-range-pct 50`, cli);
+  assert(enter.ok && enter.stdout.includes(`(width=${width1}, source=auto_centered)`) && enter.stdout.includes("50% chance to stay in range over 1h"), `volatility enter-plan should size ${width1}\n${enter.stdout}${enter.stderr}`);
+
+  const plan = await runCli(`krlp plan 1001 ${owner} --width-mode volatility --horizon-hours 1 --in-range-pct 50`, cli);
+  assert(plan.ok, `volatility plan should run: ${plan.stderr}`);
+  assert(plan.stdout.includes(`volatility target=${width1} ticks`) && !plan.stdout.includes("bump=+"), `plan should replace the bump with the volatility width\n${plan.stdout}`);
+  const suggested = plan.stdout.match(/- suggested ticks: \[(-?\d+), (-?\d+)\]/);
+  assert(suggested && Number(suggested[2]) - Number(suggested[1]) === width1, `suggested ticks should span ${width1}\n${plan.stdout}`);
+
+  // the heartbeat sizes its replacement range the same way and hands the mode on to plan
+  const heartbeat = await runCli(`krlp heartbeat 1001 ${owner} --width-mode volatility --horizon-hours 1 --in-range-pct 50`, cli);
+  assert(heartbeat.ok, `volatility heartbeat should run: ${heartbeat.stderr}`);
+  for (const needle of [
+    `- auto widen policy on rebalance: volatility width ${width1} ticks`,
+    `- width mode: volatility (${width1} ticks for a 50% chance to stay in range over 1h)`,
+  ]) {
+    assert(heartbeat.stdout.includes(needle), `heartbeat output missing: ${needle}\n${heartbeat.stdout}`);
+  }
+  const heartbeatFixed = await runCli(`krlp heartbeat 1001 ${owner} --width-bump-ticks 200`, cli);
+  assert(heartbeatFixed.ok && heartbeatFixed.stdout.includes("- auto widen policy on rebalance: +200 ticks requested") && !heartbeatFixed.stdout.includes("- width mode:"), `a bump keeps the heartbeat in fixed mode\n${heartbeatFixed.stdout}${heartbeatFixed.stderr}`);
+
+  const fixed = await runCli(`krlp mint-plan ${whype} ${usd} --amount-a 1 --amount-b 40 ${owner} --width-mode fixed --width-ticks 1200`, cli);
+  assert(fixed.ok && fixed.stdout.includes("(width=1200,") && !fixed.stdout.includes("- width mode:"), `fixed mode keeps --width-ticks\n${fixed.stdout}${fixed.stderr}`);
+
+  for (const [command, pattern] of [
+    [`krlp mint-plan ${whype} ${usd} --amount-a 1 --amount-b 40 ${owner} --width-mode volatility --width-ticks 1200`, /sizes the range itself; drop --width-ticks/],
+    [`krlp plan 1001 ${owner} --width-mode volatility --width-bump-ticks 100`, /drop --width-bump-ticks/],
+    [`krlp heartbeat 1001 ${owner} --width-mode volatility --width-bump-ticks 100`, /drop --width-bump-ticks/],
+    [`krlp mint-plan ${whype} ${usd} --amount-a 1 --amount-b 40 ${owner} --width-mode wide`, /Invalid --width-mode: wide/],
+    [`krlp mint-plan ${whype} ${usd} --amount-a 1 --amount-b 40 ${owner} --width-mode volatility --in-range-pct 100`, /--in-range-pct must be < 100/],
+    [`krlp mint-plan ${whype} ${usd} --amount-a 1 --amount-b 40 ${owner} --width-mode volatility --vol-lookback-blocks 100`, /Only 1 Swap log\(s\) in blocks 4999901\.\.5000000; too few/],
+  ]) {
+    const res = await runCli(command, cli);
+    assert(!res.ok && pattern.test(res.stderr), `${command} should fail with ${pattern}\n${res.stderr}`);
+  }
+} finally {
+  await mock.close();
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+process.stdout.write("Range volatility scenarios passed.\n");
@@ -132,6 +132,75 @@ if (runSyntax) {
   run('node', ['scripts/pool_registry_scenarios.mjs']);
   console.log('PASS pool registry scenarios');
 
+  run('node', ['scripts/swap_path_scenarios.mjs']);
+  console.log('PASS swap path scenarios');
+
+  run('node', ['scripts/signer_scenarios.mjs']);
+  console.log('PASS signer scenarios');
+
+  run('node', ['scripts/execute_plan_scenarios.mjs']);
+  console.log('PASS execute plan scenarios');
+
+  run('node', ['scripts/plan_store_scenarios.mjs']);
+  console.log('PASS plan store scenarios');
+
+  run('node', ['scripts/broadcast_raw_scenarios.mjs']);
+  console.log('PASS broadcast raw scenarios');
+
+  run('node', ['scripts/liquidity_math_scenarios.mjs']);
+  console.log('PASS liquidity math scenarios');
+
+  run('node', ['scripts/increase_plan_scenarios.mjs']);
+  console.log('PASS increase plan scenarios');
+
+  run('node', ['scripts/withdraw_plan_scenarios.mjs']);
+  console.log('PASS withdraw plan scenarios');
+
+  run('node', ['scripts/compound_plan_scenarios.mjs']);
+  console.log('PASS compound plan scenarios');
+
+  run('node', ['scripts/uncollected_fees_scenarios.mjs']);
+  console.log('PASS uncollected fee scenarios');
+
+  run('node', ['scripts/block_pin_scenarios.mjs']);
+  console.log('PASS block pin scenarios');
+
+  run('node', ['scripts/rpc_batch_scenarios.mjs']);
+  console.log('PASS rpc batch scenarios');
+
+  run('node', ['scripts/multicall_scenarios.mjs']);
+  console.log('PASS multicall scenarios');
+
+  run('node', ['scripts/rpc_pool_scenarios.mjs']);
+  console.log('PASS rpc pool scenarios');
+
+  run('node', ['scripts/rpc_fixture_scenarios.mjs']);
+  console.log('PASS rpc fixture scenarios');
+
+  run('node', ['scripts/mock_hyperevm_scenarios.mjs']);
+  console.log('PASS mock HyperEVM scenarios');
+
+  run('node', ['scripts/log_indexer_scenarios.mjs']);
+  console.log('PASS log indexer scenarios');
+
+  run('node', ['scripts/history_scenarios.mjs']);
+  console.log('PASS history scenarios');
+
+  run('node', ['scripts/pnl_scenarios.mjs']);
+  console.log('PASS pnl scenarios');
+
+  run('node', ['scripts/ledger_scenarios.mjs']);
+  console.log('PASS ledger scenarios');
+
+  run('node', ['scripts/backtest_scenarios.mjs']);
+  console.log('PASS backtest scenarios');
+
+  run('node', ['scripts/range_volatility_scenarios.mjs']);
+  console.log('PASS range volatility scenarios');
+
+  run('node', ['scripts/range_optimize_scenarios.mjs']);
+  console.log('PASS range optimize scenarios');
+
   const helpJsonRaw = run('node', [cliScript, 'krlp help --json --strict']);
   const helpJson = JSON.parse(helpJsonRaw);
   assert(helpJson.schemaVersion === 'krlp.command-result.v1', 'CLI --json schemaVersion mismatch');
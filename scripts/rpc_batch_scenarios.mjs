@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import {
+  KITTENSWAP_CONTRACTS,
+  listOwnedTokenIds,
+  readPositionsBatch,
+  rpcBatch,
+  rpcEthCallBatch,
+} from "../skills/auto-kittenswap-lp-rebalance/scripts/kittenswap_rebalance_api.mjs";
+import { Q128, getSqrtRatioAtTick } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_liquidity_math.mjs";
+import { runCli, startRpcServer } from "./mock_hyperevm.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const owner = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+const token0 = "0x5555555555555555555555555555555555555555";
+const token1 = "0xb8ce59fc3717ada4c02eadf9682a9e934f625ebb";
+const pool = "0x1111111111111111111111111111111111111111";
+const zeroAddress = `0x${"0".repeat(40)}`;
+const positionManager = KITTENSWAP_CONTRACTS.positionManager;
+const hex = (n) => `0x${BigInt(n).toString(16)}`;
+const word = (n) => BigInt.asUintN(256, BigInt(n)).toString(16).padStart(64, "0");
+const addressWord = (address) => address.slice(2).padStart(64, "0");
+const readWord = (data, i) => BigInt(`0x${data.slice(10 + i * 64, 10 + (i + 1) * 64)}`);
+
+const tickLower = -277200;
+const tickUpper = -275400;
+const poolTick = -276300;
+// 4 NFTs: 9003 reverts on positions(), 9002 is farmed, 9004 has no liquidity
+const tokenIds = [9001n, 9002n, 9003n, 9004n];
+const liquidityOf = { 9001: 10n ** 12n, 9002: 2n * 10n ** 12n, 9004: 0n };
+
+function handleCall(to, data) {
+  switch (data.slice(0, 10)) {
+    case "0x313ce567": return word(to === token1 ? 6 : 18);
+    case "0x95d89b41": return `${word(32)}${word(3)}${Buffer.from(to === token1 ? "USD" : "TKN").toString("hex").padEnd(64, "0")}`;
+    case "0x06fdde03": return `${word(32)}${word(5)}${Buffer.from("Token").toString("hex").padEnd(64, "0")}`;
+    case "0x70a08231": return word(to === positionManager ? tokenIds.length : 0);
+    case "0x2f745c59": return word(tokenIds[Number(readWord(data, 1))]);
+    case "0x6352211e": return addressWord(owner);
+    case "0x99fbab88": {
+      const liquidity = liquidityOf[Number(readWord(data, 0))];
+      if (liquidity == null) throw new Error("execution reverted");
+      return [word(0), addressWord(zeroAddress), addressWord(token0), addressWord(token1), addressWord(zeroAddress), word(tickLower), word(tickUpper), word(liquidity), word(0), word(0), word(0), word(0)].join("");
+    }
+    case "0xd9a641e1": return addressWord(pool);
+    case "0xe76c01e4": return `${word(getSqrtRatioAtTick(poolTick))}${word(poolTick)}${word(500)}${word(0)}${word(0)}${word(0)}`;
+    case "0xd0c93a7c": return word(60);
+    case "0x6378ae44": return word(Q128);
+    case "0xecdecf42": return word(0);
+    case "0xf30dba93": return [word(1), word(0), word(0), word(0), word(0), word(0)].join("");
+    case "0xe7ce18a3": return addressWord(readWord(data, 0) === 9002n ? KITTENSWAP_CONTRACTS.farmingCenter : zeroAddress);
+    case "0xb02c43d0": return word(readWord(data, 0) === 9002n ? 7 : 0);
+    default: throw new Error("execution reverted");
+  }
+}
+
+function handleRpc({ method, params }) {
+  switch (method) {
+    case "eth_chainId":
+      return "0x3e7";
+    case "eth_blockNumber":
+      return hex(100);
+    case "eth_gasPrice":
+      return hex(1_000_000_000n);
+    case "eth_getBlockByNumber":
+      return { number: hex(100), timestamp: hex(1_800_000_000), baseFeePerGas: hex(1) };
+    case "eth_call":
+      return `0x${handleCall(String(params[0].to).toLowerCase(), String(params[0].data))}`;
+    case "test_flaky":
+      return params[0]-- > 0 ? { error: { code: -32005, message: "rate limited" } } : "recovered";
+    default:
+      return "0x";
+  }
+}
+
+const flakyBudget = [1];
+const glitchBudget = [1];
+const stats = { posts: 0, batches: [], singles: [] };
+
+const rpc = await startRpcServer(
+  (payload) => handleRpc(payload.method === "test_flaky" ? { ...payload, params: flakyBudget } : payload),
+  {
+    errorCode: 3,
+    intercept: ({ req, payload, respond, send }) => {
+      stats.posts += 1;
+      if (!Array.isArray(payload)) {
+        stats.singles.push(payload.params?.[0]?.data?.slice(0, 10) || payload.method);
+        return false;
+      }
+      stats.batches.push(payload.map((p) => p.params?.[0]?.data?.slice(0, 10) || p.method));
+      // /nobatch behaves like a node without batch support; /glitch answers one batch with a
+      // non-batch error object; others answer out of order
+      if (req.url === "/nobatch") {
+        send({ jsonrpc: "2.0", id: null, error: { code: -32600, message: "batch requests are not supported" } });
+      } else if (req.url === "/glitch" && glitchBudget[0]-- > 0) {
+        send({ jsonrpc: "2.0", id: null, error: { code: -32603, message: "upstream hiccup" } });
+      } else {
+        send(payload.map(respond).reverse());
+      }
+      return true;
+    },
+  },
+);
+
+const rpcUrl = rpc.url;
+const workDir = mkdtempSync(path.join(tmpdir(), "krlp-batch-"));
+const cli = { stateDir: workDir, env: { HYPEREVM_RPC_URL: rpcUrl } };
+const runCounted = (command) => {
+  stats.posts = 0;
+  stats.batches = [];
+  stats.singles = [];
+  return runCli(command, cli);
+};
+const positionsCall = (id) => ({ to: positionManager, data: `0x99fbab88${word(id)}` });
+
+try {
+  // per-item errors: one revert does not fail its siblings, and order survives a shuffled response
+  const mixed = await rpcEthCallBatch([positionsCall(9001n), positionsCall(9003n), positionsCall(9002n)], { rpcUrl });
+  assert(mixed[0].ok && mixed[2].ok && !mixed[1].ok, "only the reverted item should fail");
+  assert(mixed[1].error.rpcError?.message === "execution reverted", "item error should keep the RPC error payload");
+  assert(readWord(`0x00000000${mixed[2].value.slice(2)}`, 7) === liquidityOf[9002], "results should map back to request order");
+
+  const decoded = await readPositionsBatch(tokenIds, { rpcUrl });
+  assert(decoded.map((r) => r.ok).join() === "true,true,false,true", "readPositionsBatch should report per-token success");
+  assert(decoded[1].value.liquidity === liquidityOf[9002] && decoded[3].value.liquidity === 0n, "positions should decode per item");
+
+  // chunking: 5 calls at batch size 2 -> 3 HTTP posts
+  stats.posts = 0;
+  const chunked = await rpcBatch(Array.from({ length: 5 }, () => ({ method: "eth_chainId" })), { rpcUrl, batchSize: 2 });
+  assert(stats.posts === 3 && chunked.every((r) => r.ok && r.result === "0x3e7"), `expected 3 chunked posts, got ${stats.posts}`);
+
+  // a rate-limited item is retried on its own; a non-retryable one is returned as-is
+  stats.batches = [];
+  const flaky = await rpcBatch([{ method: "test_flaky" }, { method: "eth_chainId" }], { rpcUrl, maxRetries: 2, retryBaseMs: 1, retryMaxMs: 2 });
+  assert(flaky[0].ok && flaky[0].result === "recovered" && flaky[1].ok, "rate-limited item should succeed on retry");
+  assert(stats.batches.length === 2 && stats.batches[1].length === 1, "only the rate-limited item should be re-sent");
+
+  // endpoints without batch support fall back to single calls
+  const fallback = await rpcEthCallBatch([positionsCall(9001n), positionsCall(9003n)], { rpcUrl: `${rpcUrl}/nobatch` });
+  assert(fallback[0].ok && !fallback[1].ok, "fallback should keep per-item results");
+  stats.batches = [];
+  await rpcEthCallBatch([positionsCall(9001n), positionsCall(9002n)], { rpcUrl: `${rpcUrl}/nobatch` });
+  assert(stats.batches.length === 0, "a batch-unsupported endpoint should not be sent batches again");
+
+  // an unrelated non-array answer only sends that chunk item by item; the endpoint keeps batching
+  stats.batches = [];
+  stats.singles = [];
+  const glitched = await rpcEthCallBatch([positionsCall(9001n), positionsCall(9002n)], { rpcUrl: `${rpcUrl}/glitch` });
+  assert(glitched.every((r) => r.ok) && stats.singles.filter((sel) => sel === "0x99fbab88").length === 2, "a glitched batch should fall back to single calls");
+  await rpcEthCallBatch([positionsCall(9001n), positionsCall(9002n)], { rpcUrl: `${rpcUrl}/glitch` });
+  assert(stats.batches.length === 2, "a one-off non-array answer should not disable batching");
+
+  const owned = await listOwnedTokenIds(owner, { rpcUrl });
+  assert(owned.join() === tokenIds.join(), "listOwnedTokenIds should enumerate every index");
+
+  // wallet fans out in batches: all positions() in one request, no per-token positions() calls
+  const wallet = await runCounted(`krlp wallet ${owner}`);
+  assert(wallet.ok, `wallet should run: ${wallet.stderr}`);
+  const positionsBatch = stats.batches.find((b) => b.filter((sel) => sel === "0x99fbab88").length === tokenIds.length);
+  assert(positionsBatch, "wallet should read all positions in one batch");
+  for (const needle of [
+    "- total position NFTs: 4",
+    "- active positions (liquidity > 0): 2",
+    "- rpc scan errors: 1",
+    "- aggregate claimable rewards across scanned NFTs (fee growth, exact):",
+    "staked status: staked in KittenSwap FarmingCenter",
+  ]) {
+    assert(wallet.stdout.includes(needle), `wallet output missing: ${needle}`);
+  }
+  for (const sel of ["0x99fbab88", "0x2f745c59", "0xe7ce18a3", "0xb02c43d0", "0xf30dba93", "0x6378ae44"]) {
+    assert(!stats.singles.includes(sel), `wallet should not read ${sel} one token at a time`);
+  }
+
+  const summary = await runCounted(`krlp farm-staked-summary ${owner}`);
+  assert(summary.ok, `farm-staked-summary should run: ${summary.stderr}`);
+  assert(summary.stdout.includes("- positions scanned: 4") && summary.stdout.includes("- staked in configured Kittenswap farm: 1"), "summary should classify every NFT");
+  assert(summary.stdout.includes("- read errors: 1") && summary.stdout.includes("| 9003 |"), "the reverted position should be a READ_ERROR row");
+  assert(stats.batches.some((b) => b.filter((sel) => sel === "0xe7ce18a3").length === tokenIds.length), "tokenFarmedIn should be batched");
+} finally {
+  await rpc.close();
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+process.stdout.write("RPC batch scenarios passed.\n");
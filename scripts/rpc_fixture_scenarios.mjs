@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import { KITTENSWAP_CONTRACTS } from "../skills/auto-kittenswap-lp-rebalance/scripts/kittenswap_rebalance_api.mjs";
+import { Q128, getSqrtRatioAtTick } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_liquidity_math.mjs";
+import { runCli, startRpcServer } from "./mock_hyperevm.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const scriptsDir = path.resolve(path.dirname(new URL(import.meta.url).pathname), "../skills/auto-kittenswap-lp-rebalance/scripts");
+const fixturesModule = path.join(scriptsDir, "krlp_rpc_fixtures.mjs");
+
+const owner = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+const token0 = "0x5555555555555555555555555555555555555555";
+const token1 = "0xb8ce59fc3717ada4c02eadf9682a9e934f625ebb";
+const pool = "0x1111111111111111111111111111111111111111";
+const zeroAddress = `0x${"0".repeat(40)}`;
+const positionManager = KITTENSWAP_CONTRACTS.positionManager;
+const hex = (n) => `0x${BigInt(n).toString(16)}`;
+const word = (n) => BigInt.asUintN(256, BigInt(n)).toString(16).padStart(64, "0");
+const addressWord = (address) => address.slice(2).padStart(64, "0");
+const readWord = (data, i) => BigInt(`0x${data.slice(10 + i * 64, 10 + (i + 1) * 64)}`);
+
+const tickLower = -277200;
+const tickUpper = -275400;
+const poolTick = -276300;
+const tokenIds = [7001n, 7002n];
+
+function handleCall(to, data) {
+  switch (data.slice(0, 10)) {
+    case "0x313ce567": return word(to === token1 ? 6 : 18);
+    case "0x95d89b41": return `${word(32)}${word(3)}${Buffer.from(to === token1 ? "USD" : "TKN").toString("hex").padEnd(64, "0")}`;
+    case "0x06fdde03": return `${word(32)}${word(5)}${Buffer.from("Token").toString("hex").padEnd(64, "0")}`;
+    case "0x70a08231": return word(to === positionManager ? tokenIds.length : 0);
+    case "0x2f745c59": return word(tokenIds[Number(readWord(data, 1))]);
+    case "0x6352211e": return addressWord(owner);
+    case "0x99fbab88": return [word(0), addressWord(zeroAddress), addressWord(token0), addressWord(token1), addressWord(zeroAddress), word(tickLower), word(tickUpper), word(10n ** 12n), word(0), word(0), word(0), word(0)].join("");
+    case "0xd9a641e1": return addressWord(pool);
+    case "0xe76c01e4": return `${word(getSqrtRatioAtTick(poolTick))}${word(poolTick)}${word(500)}${word(0)}${word(0)}${word(0)}`;
+    case "0xd0c93a7c": return word(60);
+    case "0x6378ae44": return word(Q128);
+    case "0xecdecf42": return word(0);
+    case "0xf30dba93": return [word(1), word(0), word(0), word(0), word(0), word(0)].join("");
+    case "0xe7ce18a3": return addressWord(zeroAddress);
+    case "0xb02c43d0": return word(0);
+    default: throw new Error("execution reverted");
+  }
+}
+
+let head = 100;
+let rateLimitNext = 0;
+let posts = 0;
+
+function handleRpc({ method, params }) {
+  switch (method) {
+    case "eth_chainId":
+      return "0x3e7";
+    case "eth_blockNumber":
+      return hex(head++);
+    case "eth_gasPrice":
+      return hex(1_000_000_000n);
+    case "eth_getBlockByNumber":
+      return { number: hex(head), timestamp: hex(1_800_000_000), baseFeePerGas: hex(1) };
+    case "eth_call":
+      return `0x${handleCall(String(params[0].to).toLowerCase(), String(params[0].data))}`;
+    default:
+      return "0x";
+  }
+}
+
+const rpc = await startRpcServer(handleRpc, {
+  errorCode: 3,
+  intercept: ({ res }) => {
+    posts += 1;
+    if (rateLimitNext <= 0) return false;
+    rateLimitNext -= 1;
+    res.statusCode = 429;
+    res.end("Too Many Requests");
+    return true;
+  },
+});
+
+const rpcUrl = rpc.url;
+const workDir = mkdtempSync(path.join(tmpdir(), "krlp-fixtures-"));
+const fixtureFile = path.join(workDir, "incident.jsonl");
+const cli = {
+  stateDir: workDir,
+  env: { HYPEREVM_RPC_URL: rpcUrl, HYPEREVM_RPC_MAX_RETRIES: "1", HYPEREVM_RPC_RETRY_BASE_MS: "1" },
+};
+const commands = [`krlp position ${tokenIds[0]} ${owner}`, `krlp wallet ${owner}`, `krlp status ${tokenIds[0]}`];
+
+try {
+  // record: a rate-limited first request is captured too, so the replay retries the same way
+  rateLimitNext = 1;
+  const recorded = [];
+  for (const command of commands) {
+    const run = await runCli(command, { ...cli, env: { ...cli.env, KRLP_RPC_RECORD: fixtureFile } });
+    assert(run.ok, `${command} should run while recording: ${run.stderr}`);
+    recorded.push(run.stdout);
+  }
+  const lines = readFileSync(fixtureFile, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+  assert(lines.length === posts, `every HTTP exchange should be recorded (${lines.length} lines, ${posts} posts)`);
+  assert(lines[0].response.status === 429, "the rate-limited exchange should be recorded");
+  assert(lines.some((l) => l.request.startsWith("[")), "batched requests should be recorded as one exchange");
+  const storedIds = (l) => [JSON.parse(l.request)].flat().map((item) => item.id);
+  assert(lines.every((l) => storedIds(l).every((id, i) => id === i)), "request ids should be stored by position");
+
+  // record: credentials in the URL and signed payloads never reach the fixture file
+  const { fetchWithFixtures, redactFixtureUrl } = await import(fixturesModule);
+  const sendFile = path.join(workDir, "send.jsonl");
+  const signedTx = `0x02f8${"ab".repeat(60)}`;
+  process.env.KRLP_RPC_RECORD = sendFile;
+  await fetchWithFixtures(`${rpcUrl}/v2/${"Ak9".repeat(10)}?apikey=hunter2&chain=999`, {
+    method: "POST",
+    body: JSON.stringify({ jsonrpc: "2.0", id: 5, method: "eth_sendRawTransaction", params: [signedTx] }),
+  });
+  delete process.env.KRLP_RPC_RECORD;
+  const sendText = readFileSync(sendFile, "utf8");
+  const sendLine = JSON.parse(sendText);
+  assert(!sendText.includes(signedTx.slice(2)) && JSON.parse(sendLine.request).params[0] === "REDACTED", "signed payloads must not be recorded");
+  assert(!/hunter2|Ak9Ak9/.test(sendText), `URL credentials must be redacted: ${sendLine.url}`);
+  assert(sendLine.url === `${rpcUrl}/v2/REDACTED?apikey=REDACTED&chain=999`, `unexpected redacted url ${sendLine.url}`);
+  const hyperscan = `https://www.hyperscan.com/api/v2/addresses/${owner}/tokens?type=ERC-20`;
+  assert(redactFixtureUrl(hyperscan) === hyperscan, "public addresses in paths should be kept");
+
+  // replay: the server is gone and head-dependent output is still identical
+  await rpc.close();
+  for (const [i, command] of commands.entries()) {
+    const run = await runCli(command, { ...cli, env: { ...cli.env, KRLP_RPC_REPLAY: fixtureFile } });
+    assert(run.ok, `${command} should replay offline: ${run.stderr}`);
+    assert(run.stdout === recorded[i], `${command} replay output differs:\n${run.stdout}\n---\n${recorded[i]}`);
+  }
+  assert(recorded[1].includes("- snapshot block: 10"), "wallet should report the recorded snapshot block");
+
+  const miss = await runCli(`krlp position ${tokenIds[1]} ${owner}`, { ...cli, env: { ...cli.env, KRLP_RPC_REPLAY: fixtureFile } });
+  assert(!miss.ok && `${miss.stderr}${miss.stdout}`.includes("No recorded response in"), "an unrecorded request should fail instead of hitting the network");
+
+  const both = await runCli("krlp health", { ...cli, env: { ...cli.env, KRLP_RPC_RECORD: fixtureFile, KRLP_RPC_REPLAY: fixtureFile } });
+  assert(!both.ok && both.stderr.includes("Set only one of KRLP_RPC_RECORD and KRLP_RPC_REPLAY"), "record and replay together should be rejected");
+
+  const health = await runCli("krlp health", { ...cli, env: { ...cli.env, KRLP_RPC_REPLAY: fixtureFile } });
+  assert(health.stdout.includes(`- rpc fixtures: replaying from ${fixtureFile}; no network access (KRLP_RPC_REPLAY)`), "health should report replay mode");
+
+  // in-process: ids map back onto the caller's ids, and repeated requests replay in order
+  const replayFile = path.join(workDir, "poll.jsonl");
+  const entry = (id, result) => JSON.stringify({
+    v: 1, method: "POST", url: "http://recorded.invalid", ids: [id],
+    request: JSON.stringify({ jsonrpc: "2.0", id: 0, method: "eth_blockNumber", params: [] }),
+    response: { status: 200, statusText: "OK", body: JSON.stringify({ jsonrpc: "2.0", id, result }) },
+  });
+  writeFileSync(replayFile, `${entry(41, "0x1")}\n${entry(42, "0x2")}\n`);
+  process.env.KRLP_RPC_REPLAY = replayFile;
+  const poll = async (id) => (await fetchWithFixtures("http://elsewhere.invalid", {
+    method: "POST",
+    body: JSON.stringify({ jsonrpc: "2.0", id, method: "eth_blockNumber", params: [] }),
+  })).json();
+  const first = await poll(7);
+  const second = await poll(8);
+  const third = await poll(9);
+  assert(first.id === 7 && first.result === "0x1", "replayed response should carry the caller's id");
+  assert(second.result === "0x2" && third.result === "0x2", "repeated requests should replay in order, then repeat the last answer");
+  let refused = null;
+  await fetchWithFixtures("http://elsewhere.invalid", {
+    method: "POST",
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "eth_sendRawTransaction", params: [signedTx] }),
+  }).catch((err) => { refused = err; });
+  assert(refused && /KRLP_RPC_REPLAY refuses eth_sendRawTransaction/.test(refused.message), "replay must refuse to broadcast");
+  delete process.env.KRLP_RPC_REPLAY;
+} finally {
+  await rpc.close();
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+process.stdout.write("RPC fixture scenarios passed.\n");
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+import { pathToFileURL } from "node:url";
+
+import { getSqrtRatioAtTick, positionAmountsForLiquidity } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_liquidity_math.mjs";
+import { runCli, startRpcServer } from "./mock_hyperevm.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const scriptsDir = path.resolve(path.dirname(new URL(import.meta.url).pathname), "../skills/auto-kittenswap-lp-rebalance/scripts");
+
+const owner = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+const token0 = "0x5555555555555555555555555555555555555555";
+const token1 = "0xb8ce59fc3717ada4c02eadf9682a9e934f625ebb";
+const pool = "0x1111111111111111111111111111111111111111";
+const zeroAddress = `0x${"0".repeat(40)}`;
+const hex = (n) => `0x${BigInt(n).toString(16)}`;
+const word = (n) => BigInt.asUintN(256, BigInt(n)).toString(16).padStart(64, "0");
+const addressWord = (address) => address.slice(2).padStart(64, "0");
+const readWord = (data, i) => BigInt(`0x${data.slice(10 + i * 64, 10 + (i + 1) * 64)}`);
+
+const tickLower = -277200;
+const tickUpper = -275400;
+const poolTick = -276300;
+const positionLiquidity = 10n ** 12n;
+const tokenId = 6161n;
+
+// three stand-in providers; each test flips their behaviour
+const providers = ["a", "b", "c"].map((name) => ({ name, mode: "ok", head: 100, tickSkew: 0, hits: 0, rpc: null, url: "" }));
+const byName = Object.fromEntries(providers.map((p) => [p.name, p]));
+const estimateBlockTags = [];
+const reset = () => {
+  for (const p of providers) Object.assign(p, { mode: "ok", head: 100, tickSkew: 0, hits: 0 });
+  estimateBlockTags.length = 0;
+};
+
+function handleCall(provider, data) {
+  const tick = poolTick + provider.tickSkew;
+  const sqrtPriceX96 = getSqrtRatioAtTick(tick);
+  switch (data.slice(0, 10)) {
+    case "0x313ce567": return word(18);
+    case "0x95d89b41": return `${word(32)}${word(3)}${Buffer.from("TKN").toString("hex").padEnd(64, "0")}`;
+    case "0x06fdde03": return `${word(32)}${word(5)}${Buffer.from("Token").toString("hex").padEnd(64, "0")}`;
+    case "0x70a08231": return word(0);
+    case "0x6352211e": return addressWord(owner);
+    case "0x99fbab88": return [word(0), addressWord(zeroAddress), addressWord(token0), addressWord(token1), addressWord(zeroAddress), word(tickLower), word(tickUpper), word(positionLiquidity), word(0), word(0), word(0), word(0)].join("");
+    case "0xd9a641e1": return addressWord(pool);
+    case "0xe76c01e4": return `${word(sqrtPriceX96)}${word(tick)}${word(500)}${word(0)}${word(0)}${word(0)}`;
+    case "0xd0c93a7c": return word(60);
+    case "0x6378ae44": return word(0);
+    case "0xecdecf42": return word(0);
+    case "0xf30dba93": return [word(1), word(0), word(0), word(0), word(0), word(0)].join("");
+    case "0xe7ce18a3": return addressWord(zeroAddress);
+    case "0xb02c43d0": return word(0);
+    case "0xfc6f7865": return `${word(1_000)}${word(2_000)}`;
+    case "0x0c49ccbe": {
+      const { amount0, amount1 } = positionAmountsForLiquidity({ tick, sqrtPriceX96, tickLower, tickUpper, liquidity: readWord(data, 1) });
+      return `${word(amount0)}${word(amount1)}`;
+    }
+    default: throw new Error("execution reverted");
+  }
+}
+
+function handleRpc(provider, { method, params }) {
+  switch (method) {
+    case "eth_chainId":
+      return "0x3e7";
+    case "eth_blockNumber":
+      return hex(provider.head);
+    case "eth_gasPrice":
+      return hex(1_000_000_000n);
+    case "eth_estimateGas":
+      estimateBlockTags.push(params[1] ?? "latest");
+      return hex(150_000);
+    case "eth_getBlockByNumber":
+      return { number: hex(provider.head), timestamp: hex(1_800_000_000), baseFeePerGas: hex(1) };
+    case "eth_call":
+      return `0x${handleCall(provider, String(params[0].data))}`;
+    default:
+      return "0x";
+  }
+}
+
+for (const provider of providers) {
+  provider.rpc = await startRpcServer((payload) => handleRpc(provider, payload), {
+    errorCode: 3,
+    intercept: ({ res }) => {
+      provider.hits += 1;
+      if (provider.mode === "hang") return true; // never answers; the client timeout fires
+      if (provider.mode !== "429") return false;
+      res.statusCode = 429;
+      res.end("Too Many Requests");
+      return true;
+    },
+  });
+  provider.url = provider.rpc.url;
+}
+
+const workDir = mkdtempSync(path.join(tmpdir(), "krlp-rpc-pool-"));
+const poolEnv = {
+  HYPEREVM_RPC_URL: byName.a.url,
+  HYPEREVM_RPC_URLS: `${byName.b.url},${byName.c.url}`,
+  HYPEREVM_RPC_MAX_RETRIES: "0",
+  HYPEREVM_TIMEOUT_MS: "400",
+  HYPEREVM_MULTICALL3_ADDRESS: "off",
+};
+// the endpoint list is read at import time and the mock server module has already loaded the api,
+// so configure the pool and then load a fresh instance of the module
+Object.assign(process.env, poolEnv);
+const api = await import(`${pathToFileURL(path.join(scriptsDir, "kittenswap_rebalance_api.mjs"))}?pool`);
+
+const cli = { stateDir: workDir, env: poolEnv };
+
+try {
+  assert(api.DEFAULT_RPC_URLS.join() === [byName.a.url, byName.b.url, byName.c.url].join(), "pool should list HYPEREVM_RPC_URL first, then HYPEREVM_RPC_URLS");
+
+  // 429 on the primary fails over to the next endpoint without waiting for a retry round
+  reset();
+  byName.a.mode = "429";
+  assert(await api.rpcCall("eth_chainId") === "0x3e7", "rpcCall should fail over past a rate-limited endpoint");
+  assert(byName.a.hits === 1 && byName.b.hits === 1 && byName.c.hits === 0, "failover should stop at the first healthy endpoint");
+  const ranked = api.rpcEndpointHealth();
+  assert(ranked[ranked.length - 1].url === byName.a.url && ranked.at(-1).coolingDown, "a rate-limited endpoint should rank last while cooling down");
+
+  // while a is cooling down it is skipped; a hanging b times out and c answers
+  reset();
+  byName.b.mode = "hang";
+  assert(await api.rpcBlockNumber().then((b) => b.decimal) === 100, "rpcCall should fail over past a timed-out endpoint");
+  assert(byName.a.hits === 0 && byName.b.hits === 1 && byName.c.hits === 1, "cooling endpoints should be tried last");
+
+  // batches fail over too, and deterministic errors (reverts) do not
+  reset();
+  byName.c.mode = "429";
+  const batch = await api.rpcBatch([{ method: "eth_chainId" }, { method: "eth_blockNumber" }]);
+  assert(batch.every((r) => r.ok) && byName.a.hits + byName.b.hits >= 1, "rpcBatch should fail over on 429");
+  reset();
+  const reverted = await api.rpcCall("eth_call", [{ to: pool, data: "0xdeadbeef" }, "latest"]).catch((e) => e);
+  assert(reverted?.rpcError?.message === "execution reverted", "a revert should surface as-is");
+  assert(providers.reduce((n, p) => n + p.hits, 0) === 1, "a revert should not fail over to other endpoints");
+
+  // maxRetries counts attempts after each endpoint has had one, exactly as with a single endpoint
+  reset();
+  for (const p of providers) p.mode = "429";
+  await api.rpcCall("eth_chainId", [], { maxRetries: 0 }).catch(() => null);
+  assert(providers.reduce((n, p) => n + p.hits, 0) === 3, "maxRetries 0 should try each endpoint once");
+  reset();
+  for (const p of providers) p.mode = "429";
+  await api.rpcCall("eth_chainId", [], { maxRetries: 1, retryBaseMs: 1 }).catch(() => null);
+  assert(providers.reduce((n, p) => n + p.hits, 0) === 4, "maxRetries 1 should add one attempt, not a round per endpoint");
+  reset();
+  for (const p of providers) p.mode = "429";
+  await api.rpcCall("eth_chainId", [], { failover: false, maxRetries: 2, retryBaseMs: 1 }).catch(() => null);
+  assert(byName.a.hits === 3, "a single endpoint should get 1 + maxRetries attempts");
+
+  // explicit rpcUrl stays pinned even when it is part of the pool
+  reset();
+  byName.a.mode = "429";
+  const pinned = await api.rpcCall("eth_chainId", [], { rpcUrl: `${byName.a.url}/` }).catch((e) => e);
+  assert(pinned instanceof Error && byName.b.hits === 0 && byName.c.hits === 0, "an explicit endpoint should not fail over");
+
+  // quorum: identical answers from two providers pass; a disagreeing third is outvoted
+  reset();
+  byName.c.tickSkew = 60;
+  const agreed = await api.readPositionQuorum(tokenId, pool, { quorum: 2 });
+  assert(agreed.ok && agreed.globalState.tick === poolTick && agreed.blockTag === hex(100), `quorum 2 should pass: ${agreed.reason}`);
+  const strict = await api.readPositionQuorum(tokenId, pool, { quorum: 3 });
+  assert(!strict.ok && strict.reason.startsWith("globalState(): 2/3 providers agree (2 distinct answers)"), `quorum 3 should fail on the skewed pool: ${strict.reason}`);
+
+  // lagging providers sit out, and the quorum block is the lowest head still in range
+  reset();
+  byName.a.head = 105;
+  byName.c.head = 40;
+  const lagged = await api.resolveQuorumBlock({ quorum: 2 });
+  assert(lagged.ok && lagged.blockTag === hex(100) && !lagged.endpoints.includes(byName.c.url), "a provider 65 blocks behind should be excluded");
+  byName.b.mode = "hang";
+  const short = await api.resolveQuorumBlock({ quorum: 2 });
+  assert(!short.ok && short.reason.startsWith("only 1 of 3 RPC endpoints answered"), `quorum should fail without enough live providers: ${short.reason}`);
+
+  // plan: --quorum gates the old-position execution gate
+  reset();
+  const planOk = await runCli(`krlp plan ${tokenId} ${owner} --quorum 2`, cli);
+  assert(planOk.ok, `plan should run: ${planOk.stderr}`);
+  assert(planOk.stdout.includes("- read quorum: PASS (3/3 providers agree on positions() + globalState() at block 100; quorum 2)"), "plan should report the quorum check");
+  assert(!planOk.stdout.includes("read quorum failed"), "an agreeing quorum should not block the plan");
+  assert(planOk.stdout.includes("- simulation block: 100 (quorum block; gas estimates and replays pinned)"), "plan should report the pinned simulation block");
+  assert(estimateBlockTags.length && estimateBlockTags.every((tag) => tag === hex(100)), `gas estimates should run at the quorum block: ${estimateBlockTags.join(",")}`);
+
+  byName.b.tickSkew = 60;
+  byName.c.tickSkew = -60;
+  const planSplit = await runCli(`krlp plan ${tokenId} ${owner} --quorum 2`, cli);
+  assert(planSplit.stdout.includes("- read quorum: FAIL (globalState(): 1/2 providers agree (3 distinct answers) at block 100; quorum 2)"), `plan should report the split: ${planSplit.stdout}`);
+  assert(planSplit.stdout.includes("- old-position execution gate: BLOCKED") && planSplit.stdout.includes("read quorum failed"), "a failed quorum should block the plan");
+
+  const planOff = await runCli(`krlp plan ${tokenId} ${owner}`, cli);
+  assert(planOff.ok && !planOff.stdout.includes("- read quorum:"), "quorum mode should be off by default");
+
+  // heartbeat: a failed quorum is a BLOCKER line and withholds the autonomous rebalance authorization
+  const heartbeat = await runCli(`krlp heartbeat ${tokenId} ${owner} --quorum 2 --autonomous`, cli);
+  assert(heartbeat.ok, `heartbeat should run: ${heartbeat.stderr}`);
+  assert(heartbeat.stdout.includes("- read quorum: FAIL") && heartbeat.stdout.includes("- BLOCKER: read quorum failed"), "heartbeat should block on a failed quorum");
+
+  const health = await runCli("krlp health", cli);
+  assert(health.stdout.includes("- rpc endpoint pool: 3 endpoints") && health.stdout.includes(`  - ${byName.a.url}: score=`), "health should list the endpoint pool");
+
+  const bad = await runCli(`krlp plan ${tokenId} ${owner} --quorum two`, cli);
+  assert(!bad.ok && bad.stderr.includes("Invalid --quorum: two"), "invalid --quorum should fail");
+} finally {
+  await Promise.all(providers.map((provider) => provider.rpc.close()));
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+process.stdout.write("RPC pool scenarios passed.\n");
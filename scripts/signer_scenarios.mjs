@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+
+import { existsSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import { recordPlanFingerprints } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_plan_store.mjs";
+import { keccak256Hex } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_keccak.mjs";
+import { rlpDecode, rlpEncode, rlpQuantity } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_rlp.mjs";
+import {
+  privateKeyToAddress,
+  recoverAddress,
+  signDigest,
+} from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_secp256k1.mjs";
+import {
+  createCommandSigner,
+  createKeystoreSigner,
+  createPrivateKeySigner,
+  splitSignerCommand,
+  decodeSignedTransaction,
+  decryptKeystore,
+  extractPlanTxTemplates,
+  gasLimitWithBuffer,
+  signTransaction,
+  transactionSigningHash,
+} from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_signer.mjs";
+import { cliStateEnv, runCli } from "./mock_hyperevm.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function assertThrows(fn, pattern, message) {
+  let error = null;
+  try {
+    fn();
+  } catch (err) {
+    error = err;
+  }
+  assert(error && pattern.test(String(error.message)), `${message} (got: ${error ? error.message : "no error"})`);
+}
+
+// keccak
+assert(keccak256Hex("") === "0xc5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470", "keccak256 empty vector mismatch");
+assert(keccak256Hex("exactInput((bytes,address,uint256,uint256,uint256))").slice(0, 10) === "0xc04b8d59", "keccak selector mismatch");
+
+// rlp
+assert(rlpEncode("0x").toString("hex") === "80", "rlp empty string");
+assert(rlpEncode(rlpQuantity(0)).toString("hex") === "80", "rlp zero quantity");
+assert(rlpEncode(rlpQuantity(0x7f)).toString("hex") === "7f", "rlp single low byte");
+assert(rlpEncode(rlpQuantity(1024)).toString("hex") === "820400", "rlp short string");
+assert(rlpEncode([]).toString("hex") === "c0", "rlp empty list");
+assert(rlpEncode([Buffer.from("cat"), Buffer.from("dog")]).toString("hex") === "c88363617483646f67", "rlp list vector");
+assert(rlpEncode(Buffer.alloc(56, 0x61)).subarray(0, 2).toString("hex") === "b838", "rlp long string prefix");
+
+assert(Buffer.from(rlpDecode("0xc88363617483646f67")[1]).toString() === "dog", "rlp decode list vector");
+assert(rlpEncode(rlpDecode(rlpEncode([Buffer.alloc(60, 1), [Buffer.from("x")]]))).toString("hex") === rlpEncode([Buffer.alloc(60, 1), [Buffer.from("x")]]).toString("hex"), "rlp decode round-trip");
+let rlpThrew = false;
+try {
+  rlpDecode("0x8100");
+} catch {
+  rlpThrew = true;
+}
+assert(rlpThrew, "non-canonical single byte should be rejected");
+
+// secp256k1 (EIP-155 example key)
+const testKey = Buffer.from("46".repeat(32), "hex");
+const testAddress = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+assert(privateKeyToAddress(testKey) === testAddress, "address derivation mismatch");
+const digest = Buffer.alloc(32, 9);
+const sig = signDigest(digest, testKey);
+assert(sig.s <= (0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n >> 1n), "signature must be low-s");
+assert(recoverAddress(digest, sig) === testAddress, "recovered address mismatch");
+const sigAgain = signDigest(digest, testKey);
+assert(sig.r === sigAgain.r && sig.s === sigAgain.s, "RFC 6979 signatures must be deterministic");
+
+// EIP-155 legacy vector (chain 1)
+const legacy = signTransaction({
+  type: "legacy",
+  chainId: 1,
+  nonce: 9,
+  gasPrice: 20_000_000_000n,
+  gasLimit: 21_000,
+  to: `0x${"35".repeat(20)}`,
+  value: 10n ** 18n,
+  data: "0x",
+}, testKey);
+assert(
+  legacy.rawTransaction === "0xf86c098504a817c800825208943535353535353535353535353535353535353535880de0b6b3a76400008025a028ef61340bd939bc2195fe537567866003e1a15d3c71ff63e1590620aa636276a067cbe9d8997f761aecb703304b3800ccf555c9f3dc64214b297fb1966a3b6d83",
+  "EIP-155 legacy signed tx mismatch",
+);
+
+// EIP-1559 on chain 999
+const eip1559Tx = {
+  chainId: 999,
+  nonce: 0,
+  maxFeePerGas: 10n ** 9n,
+  maxPriorityFeePerGas: 0,
+  gasLimit: 50_000,
+  to: `0x${"35".repeat(20)}`,
+  value: 0,
+  data: "0x1234",
+};
+const typed = signTransaction(eip1559Tx, testKey);
+assert(typed.rawTransaction.startsWith("0x02f8"), "EIP-1559 raw tx must be type-2 envelope");
+assert(typed.rawTransaction.slice(8, 14) === "8203e7", "EIP-1559 raw tx must encode chain id 999 first");
+assert(typed.from === testAddress, "EIP-1559 signer mismatch");
+assert(typed.hash === keccak256Hex(typed.rawTransaction), "tx hash must be keccak of raw envelope");
+assert(
+  typed.rawTransaction === "0x02f86a8203e78080843b9aca0082c35094353535353535353535353535353535353535353580821234c080a0db8aab3b87accc78bb8cee72807b1e5965afc8e67b45afa1ec3a40beb1dc37d9a038796343268a7aa499e078b7ce52b9f851146430041ae8e7110aa226e0ea24f5",
+  "EIP-1559 signed tx regression mismatch",
+);
+assert(transactionSigningHash(eip1559Tx).toString("hex") === typed.signingHash.slice(2), "signing hash mismatch");
+assertThrows(
+  () => signTransaction({ ...eip1559Tx, maxPriorityFeePerGas: 2n * 10n ** 9n }, testKey),
+  /cannot exceed/,
+  "priority fee above max fee should be rejected",
+);
+
+const decodedLegacy = decodeSignedTransaction(legacy.rawTransaction);
+assert(decodedLegacy.chainId === 1n && decodedLegacy.nonce === 9n && decodedLegacy.from === testAddress, "legacy decode mismatch");
+const decodedTyped = decodeSignedTransaction(typed.rawTransaction);
+assert(decodedTyped.type === "eip1559" && decodedTyped.chainId === 999n, "EIP-1559 decode type/chain mismatch");
+assert(decodedTyped.data === "0x1234" && decodedTyped.maxFeePerGas === 10n ** 9n && decodedTyped.from === testAddress, "EIP-1559 decode fields mismatch");
+assert(decodedTyped.hash === typed.hash, "decoded hash mismatch");
+
+// Web3 Secret Storage spec vectors (password "testpassword")
+const specKey = "7a28b5ba57c53603b0b07b56bba752f7784bf506fa95edc395f5cf6c7514fe9d";
+const pbkdf2Keystore = {
+  crypto: {
+    cipher: "aes-128-ctr",
+    cipherparams: { iv: "6087dab2f9fdbbfaddc31a909735c1e6" },
+    ciphertext: "5318b4d5bcd28de64ee5559e671353e16f075ecae9f99c7a79a38af5f869aa46",
+    kdf: "pbkdf2",
+    kdfparams: { c: 262144, dklen: 32, prf: "hmac-sha256", salt: "ae3cd4e7013836a3df6bd7241b12db061dbe2c6785853cce422d148a624ce0bd" },
+    mac: "517ead924a9d0dc3124507e3393d175ce3ff7c1e96529c6c555ce9e51205e9b2",
+  },
+  id: "3198bc9c-6672-5ab3-d995-4942343ae5b6",
+  version: 3,
+};
+const scryptKeystore = {
+  crypto: {
+    cipher: "aes-128-ctr",
+    cipherparams: { iv: "83dbcc02d8ccb40e466191a123791e0e" },
+    ciphertext: "d172bf743a674da9cdad04534d56926ef8358534d458fffccd4e6ad2fbde479c",
+    kdf: "scrypt",
+    kdfparams: { dklen: 32, n: 262144, r: 1, p: 8, salt: "ab0c7876052600dd703518d6fc3fe8984592145b591fc8fb5c6d43190334ba19" },
+    mac: "2103ac29920d71da29f15d75b4a16dbe95cfd7ff8faea1056c33131d846e3097",
+  },
+  id: "3198bc9c-6672-5ab3-d995-4942343ae5b6",
+  version: 3,
+};
+const fromPbkdf2 = decryptKeystore(pbkdf2Keystore, "testpassword");
+assert(fromPbkdf2.privateKey.toString("hex") === specKey, "pbkdf2 keystore vector mismatch");
+const fromScrypt = decryptKeystore(scryptKeystore, "testpassword");
+assert(fromScrypt.privateKey.toString("hex") === specKey, "scrypt keystore vector mismatch");
+assertThrows(() => decryptKeystore(pbkdf2Keystore, "wrongpassword"), /MAC mismatch/, "wrong password must fail MAC check");
+assertThrows(
+  () => decryptKeystore({ ...pbkdf2Keystore, address: testAddress.slice(2) }, "testpassword"),
+  /does not match/,
+  "keystore address mismatch must be rejected",
+);
+
+// plan template extraction + CLI
+const signer = fromPbkdf2.address;
+const router = "0x4e73e421480a7e0c24fb3c11019254ede194f736";
+const planText = [
+  "Kittenswap swap plan",
+  `- from (tx sender): ${signer}`,
+  "- execution gate: PASS (eligible for signing after checklist)",
+  "- transaction templates (full calldata):",
+  "  - step 1: approve",
+  "    - to: 0x5555555555555555555555555555555555555555",
+  "    - value: 0x0 (0 HYPE)",
+  `    - data: 0x095ea7b3000000000000000000000000${router.slice(2)}00000000000000000000000000000000000000000000000000000000000003e8`,
+  "    - gas est: 46000 (0xb3b0)",
+  "  - step 2: swap_exact_input_single",
+  `    - to: ${router}`,
+  "    - value: 0x0 (0 HYPE)",
+  "    - data: 0x1679c792",
+  "    - gas est: unavailable (execution reverted: STF)",
+].join("\n");
+const plan = extractPlanTxTemplates(planText);
+assert(plan.templates.length === 2, "plan should expose two templates");
+assert(plan.sender === signer, "plan sender should be parsed");
+assert(!plan.gateBlocked, "plan gate should be PASS");
+assert(plan.templates[0].gasEstimate === 46000n && plan.templates[1].gasEstimate === null, "gas estimates should parse");
+assert(plan.templates[1].action === "swap_exact_input_single", "template action should carry step name");
+assert(gasLimitWithBuffer(46000n, 2000) === 55200n, "gas buffer math mismatch");
+assert(extractPlanTxTemplates(planText.replace("PASS (eligible", "BLOCKED (eligible")).gateBlocked, "blocked gate should be detected");
+
+const single = extractPlanTxTemplates([
+  "Kittenswap farm approve plan",
+  `- owner: ${signer}`,
+  "- transaction template (full calldata):",
+  `  - to: ${router}`,
+  "  - value: 0x0 (0 HYPE)",
+  "  - data: 0xabcdef01",
+  "  - gas est: 60000 (0xea60)",
+].join("\n"));
+assert(single.templates.length === 1 && single.templates[0].to === router, "single template plan should parse");
+
+const workDir = mkdtempSync(path.join(tmpdir(), "krlp-sign-"));
+try {
+  const planFile = path.join(workDir, "plan.txt");
+  const keystoreFile = path.join(workDir, "keystore.json");
+  writeFileSync(planFile, planText);
+  const storePath = cliStateEnv(workDir).KRLP_PLAN_STORE_PATH;
+  writeFileSync(keystoreFile, JSON.stringify(pbkdf2Keystore));
+  const runSign = (extra, env = {}) => runCli(
+    `krlp sign --plan ${planFile} --keystore ${keystoreFile} --nonce 7 --max-fee-gwei 1.5 --priority-fee-gwei 0.1 ${extra}`,
+    { stateDir: workDir, env: { HYPEREVM_RPC_URL: "http://127.0.0.1:9", KRLP_KEYSTORE_PASSWORD: "testpassword", ...env }, timeout: 60_000 },
+  );
+
+  const missingGas = await runSign("");
+  assert(!missingGas.ok && /Gas estimate unavailable for step 2/.test(missingGas.stderr), "missing gas estimate should block signing");
+
+  // sign enforces the same plan-store allowlist as broadcast-raw
+  const unrecorded = await runSign("--step 1");
+  assert(!unrecorded.ok && /step 1: fingerprint 0x[0-9a-f]{64} is not in the plan store/.test(unrecorded.stderr), `unrecorded plan should block signing: ${unrecorded.stderr}`);
+  const record = (nowMs) => recordPlanFingerprints({ command: "swap-plan", chainId: 999, sender: signer, templates: plan.templates, nowMs, storePath });
+  await record(Date.now() - 3_600_000);
+  const expired = await runSign("--step 1");
+  assert(!expired.ok && /step 1: swap-plan plan expired at/.test(expired.stderr), `expired plan should block signing: ${expired.stderr}`);
+  await record(Date.now());
+
+  const ok = await runSign("--step 1");
+  assert(ok.ok, `sign --step 1 failed: ${ok.stderr}`);
+  const expected = signTransaction({
+    chainId: 999,
+    nonce: 7,
+    maxFeePerGas: 1_500_000_000n,
+    maxPriorityFeePerGas: 100_000_000n,
+    gasLimit: 55200n,
+    to: plan.templates[0].to,
+    value: 0n,
+    data: plan.templates[0].data,
+  }, fromPbkdf2.privateKey);
+  assert(ok.stdout.includes(`- raw signed tx: ${expected.rawTransaction}`), "CLI raw tx should match library signature");
+  assert(ok.stdout.includes(`- signer address: ${signer}`), "CLI should print signer address");
+  assert(!ok.stdout.includes(specKey), "CLI output must never include the private key");
+
+  const both = await runSign("--gas-limit 300000");
+  assert(both.ok, `sign with --gas-limit failed: ${both.stderr}`);
+  assert((both.stdout.match(/- raw signed tx: 0x02/g) || []).length === 2, "both steps should be signed");
+  assert(both.stdout.includes("- nonce: 8"), "second step should use the next nonce");
+
+  assert(ok.stdout.includes("- plan fingerprints: PASS (1 recorded;"), "CLI should report the plan fingerprint check");
+
+  const noPassword = await runSign("--step 1", { KRLP_KEYSTORE_PASSWORD: "" });
+  assert(!noPassword.ok && /password required/i.test(noPassword.stderr), "missing password should fail");
+
+  writeFileSync(planFile, planText.replace(signer, testAddress));
+  const otherSender = await runSign("--step 1");
+  assert(!otherSender.ok && /does not match plan sender/.test(otherSender.stderr), "sender mismatch should block signing");
+
+  writeFileSync(planFile, planText.replace(`- from (tx sender): ${signer}\n`, ""));
+  const noSender = await runSign("--step 1");
+  assert(!noSender.ok && /does not declare a sender/.test(noSender.stderr), "plan without a sender should need an explicit override");
+  const overridden = await runSign("--step 1 --allow-no-sender");
+  assert(overridden.ok && overridden.stdout.includes(`- raw signed tx: ${expected.rawTransaction}`), `--allow-no-sender should sign: ${overridden.stderr}`);
+
+  // key-backed signers decode the key for every signature and wipe only their own copy
+  const keystoreSigner = createKeystoreSigner(pbkdf2Keystore, "testpassword");
+  assert(keystoreSigner.kind === "keystore" && keystoreSigner.address === fromPbkdf2.address, "keystore signer should expose the keystore address");
+  const expectedTyped = signTransaction(eip1559Tx, fromPbkdf2.privateKey).rawTransaction;
+  assert(keystoreSigner.sign(eip1559Tx).rawTransaction === expectedTyped && keystoreSigner.sign(eip1559Tx).rawTransaction === expectedTyped, "keystore signer should sign repeatedly");
+  const callerKey = Buffer.from(fromPbkdf2.privateKey);
+  assert(createPrivateKeySigner(callerKey).sign(eip1559Tx).rawTransaction === expectedTyped && callerKey.equals(fromPbkdf2.privateKey), "signing must not wipe the caller's key");
+
+  // external signer: stdin JSON request -> stdout raw tx
+  const helper = path.join(workDir, "external_signer.mjs");
+  writeFileSync(helper, [
+    `import { signTransaction } from ${JSON.stringify(new URL("../skills/auto-kittenswap-lp-rebalance/scripts/krlp_signer.mjs", import.meta.url).href)};`,
+    "let input = \"\";",
+    "process.stdin.on(\"data\", (c) => { input += c; });",
+    "process.stdin.on(\"end\", () => {",
+    "  const tx = JSON.parse(input);",
+    "  if (process.argv.includes(\"--tamper\")) tx.to = \"0x1111111111111111111111111111111111111111\";",
+    `  console.log(signTransaction(tx, Buffer.from(${JSON.stringify("46".repeat(32))}, "hex")).rawTransaction);`,
+    "});",
+  ].join("\n"));
+  const external = createCommandSigner({ command: `node ${helper}`, address: testAddress });
+  const viaCommand = external.sign(eip1559Tx);
+  assert(viaCommand.rawTransaction === typed.rawTransaction, "command signer should return the requested signed tx");
+  const tampering = createCommandSigner({ command: `node ${helper} --tamper`, address: testAddress });
+  assertThrows(() => tampering.sign(eip1559Tx), /differs from the request \(to\)/, "tampered external signature should be rejected");
+
+  // --signer-cmd runs as argv without a shell: metacharacters stay literal arguments
+  const argv = splitSignerCommand(`node '/tmp/my signer.mjs' --label "a b" x\\ y ';' touch pwned`);
+  assert(JSON.stringify(argv) === JSON.stringify(["node", "/tmp/my signer.mjs", "--label", "a b", "x y", ";", "touch", "pwned"]), `unexpected argv: ${JSON.stringify(argv)}`);
+  assertThrows(() => splitSignerCommand("node 'unterminated"), /unterminated ' quote/, "unterminated quotes should be rejected");
+  const marker = path.join(workDir, "pwned");
+  const chained = createCommandSigner({ command: `node ${helper} ; touch ${marker}`, address: testAddress });
+  assert(chained.sign(eip1559Tx).rawTransaction === typed.rawTransaction, "extra argv should reach the signer untouched");
+  assert(!existsSync(marker), "signer command must not be interpreted by a shell");
+  const envPrefixed = createCommandSigner({ command: `TAMPER=1 node ${helper}`, address: testAddress });
+  assertThrows(() => envPrefixed.sign(eip1559Tx), /signer command failed: .*ENOENT/, "shell env prefixes are not supported");
+
+  // the timeout is read when the signer is created, not when the module loads
+  process.env.KRLP_SIGNER_COMMAND_TIMEOUT_MS = "soon";
+  assertThrows(() => createCommandSigner({ command: `node ${helper}`, address: testAddress }), /KRLP_SIGNER_COMMAND_TIMEOUT_MS must be a positive integer/, "timeout env should be read at creation");
+  delete process.env.KRLP_SIGNER_COMMAND_TIMEOUT_MS;
+} finally {
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+process.stdout.write("Signer scenarios passed.\n");
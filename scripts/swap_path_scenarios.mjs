@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+import process from "node:process";
+
+import {
+  MAX_SWAP_PATH_HOPS,
+  buildSwapExactInputCalldata,
+  buildSwapExactOutputCalldata,
+  buildSwapExactOutputSingleCalldata,
+  decodeSwapPath,
+  encodeExactOutputSwapPath,
+  encodeSwapPath,
+  expectedExactInputCalldataBytes,
+} from "../skills/auto-kittenswap-lp-rebalance/scripts/kittenswap_rebalance_api.mjs";
+import {
+  DEFAULT_USD_STABLE_TOKEN,
+  KITTEN_TOKEN_ADDRESS,
+  WHYPE_TOKEN_ADDRESS,
+} from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_pool_registry.mjs";
+import { enumerateInventoryRoutes } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_route_graph.mjs";
+import { resolvePreferredRouteVia } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_routing_metadata.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const ZERO = "0x0000000000000000000000000000000000000000";
+const strip = (hex) => hex.slice(2);
+const tokens = [KITTEN_TOKEN_ADDRESS, WHYPE_TOKEN_ADDRESS, DEFAULT_USD_STABLE_TOKEN];
+
+const path = encodeSwapPath({ tokens });
+assert(path.length === 2 + 2 * (20 + 40 * 2), "2-hop path should be 100 bytes");
+const decoded = decodeSwapPath(path);
+assert(decoded.hops === 2, "decoded path should have 2 hops");
+assert(decoded.tokens.join(",") === tokens.join(","), "decoded path tokens mismatch");
+assert(decoded.deployers.every((d) => d === ZERO), "default deployers should be zero address");
+
+let threw = false;
+try {
+  encodeSwapPath({ tokens: [KITTEN_TOKEN_ADDRESS] });
+} catch {
+  threw = true;
+}
+assert(threw, "single-token path should be rejected");
+assert(MAX_SWAP_PATH_HOPS >= 2, "hop limit should allow via routes");
+
+const calldata = buildSwapExactInputCalldata({
+  tokens,
+  recipient: "0x1111111111111111111111111111111111111111",
+  deadline: 1n,
+  amountIn: 10n ** 18n,
+  amountOutMinimum: 1n,
+});
+assert(calldata.startsWith("0xc04b8d59"), "exactInput selector mismatch");
+const bytes = (calldata.length - 2) / 2;
+assert(bytes === expectedExactInputCalldataBytes(2), "exactInput calldata length mismatch");
+assert(bytes === 356, "2-hop exactInput calldata should be 356 bytes");
+
+const exactOutPath = decodeSwapPath(encodeExactOutputSwapPath({ tokens }));
+assert(exactOutPath.tokens.join(",") === [...tokens].reverse().join(","), "exactOutput path should be tokenOut-first");
+
+const exactOutCalldata = buildSwapExactOutputCalldata({
+  tokens,
+  recipient: "0x1111111111111111111111111111111111111111",
+  deadline: 1n,
+  amountOut: 500n * 10n ** 6n,
+  amountInMaximum: 10n ** 21n,
+});
+assert(exactOutCalldata.startsWith("0xf28c0498"), "exactOutput selector mismatch");
+assert((exactOutCalldata.length - 2) / 2 === expectedExactInputCalldataBytes(2), "exactOutput calldata length mismatch");
+assert(exactOutCalldata.includes(strip(encodeExactOutputSwapPath({ tokens }))), "exactOutput calldata should embed the reversed path");
+
+const exactOutSingle = buildSwapExactOutputSingleCalldata({
+  tokenIn: WHYPE_TOKEN_ADDRESS,
+  tokenOut: DEFAULT_USD_STABLE_TOKEN,
+  deployer: ZERO,
+  recipient: "0x1111111111111111111111111111111111111111",
+  deadline: 1n,
+  amountOut: 1n,
+  amountInMaximum: 2n,
+});
+assert(exactOutSingle.startsWith("0x1764babc"), "exactOutputSingle selector mismatch");
+assert((exactOutSingle.length - 2) / 2 === 260, "exactOutputSingle calldata should be 260 bytes");
+
+const via = resolvePreferredRouteVia(KITTEN_TOKEN_ADDRESS, DEFAULT_USD_STABLE_TOKEN);
+assert(via.length === 1 && via[0] === WHYPE_TOKEN_ADDRESS, "KITTEN/stable should route via WHYPE");
+assert(resolvePreferredRouteVia(KITTEN_TOKEN_ADDRESS, WHYPE_TOKEN_ADDRESS).length === 0, "KITTEN/WHYPE should be direct");
+
+const KHYPE = "0xfd739d4e423301ce9385c1fb8850539d657c296d";
+const CUSTOM_DEPLOYER = "0x65e19a244498dff3156b875b1f8683eecb83204c";
+const stableToKhype = enumerateInventoryRoutes(DEFAULT_USD_STABLE_TOKEN, KHYPE, { maxHops: 2, maxCandidates: 50 });
+assert(stableToKhype.routes.length > 1, "USD₮0 -> kHYPE should have several inventory paths");
+const customDirect = stableToKhype.routes.find((route) => route.hops === 1 && route.eventTypes[0] === "CustomPool");
+assert(customDirect?.deployers[0] === CUSTOM_DEPLOYER, "direct USD₮0/kHYPE custom-deployer pool should be a candidate");
+assert(stableToKhype.routes.every((route) => route.hops <= 2), "route enumeration should respect max hops");
+assert(stableToKhype.routes.every((route) => new Set(route.tokens).size === route.tokens.length), "routes should not revisit tokens");
+
+const capped = enumerateInventoryRoutes(KITTEN_TOKEN_ADDRESS, KHYPE, { maxHops: 3, maxCandidates: 2 });
+assert(capped.routes.length === 2 && capped.truncated, "candidate cap should truncate route list");
+assert(capped.routes[0].hops <= capped.routes[1].hops, "shorter routes should be quoted first");
+
+threw = false;
+try {
+  enumerateInventoryRoutes(KITTEN_TOKEN_ADDRESS, KHYPE, { maxHops: MAX_SWAP_PATH_HOPS + 1 });
+} catch {
+  threw = true;
+}
+assert(threw, "max hops above the path limit should be rejected");
+
+threw = false;
+try {
+  enumerateInventoryRoutes(KITTEN_TOKEN_ADDRESS, KHYPE, { maxCandidates: 0 });
+} catch (err) {
+  threw = /max-candidates must be >= 1/.test(err.message);
+}
+assert(threw, "a zero candidate cap should be rejected, not replaced by the default");
+
+process.stdout.write("Swap path scenarios passed.\n");
@@ -56,6 +56,7 @@ const heartbeatDefaults = [
   `- \`--edge-bps N\` (default \`${DEFAULT_HEARTBEAT.edgeBps}\`, meaning ${(DEFAULT_HEARTBEAT.edgeBps / 100).toFixed(1)}%)`,
   "- `--autonomous` or `--no-next-steps`: suppress branch command lists and emit state-only heartbeat decision output",
   `- \`--width-bump-ticks N\` (default \`${DEFAULT_HEARTBEAT.widthBumpTicks}\`)`,
+  `- \`--width-mode fixed|volatility\` (default \`${DEFAULT_HEARTBEAT.widthMode}\`) with \`--horizon-hours H\`, \`--in-range-pct P\`, \`--vol-lookback-blocks N\``,
   "- `--policy <name>`",
   "- `--slippage-bps N`",
   "- `--deadline-seconds N`",
@@ -76,6 +77,7 @@ const heartbeatDefaults = [
   `- target replacement width = current width + \`${DEFAULT_HEARTBEAT.widthBumpTicks}\` ticks (aligned to pool tick spacing).`,
   "- this makes automatic mode widen gradually to reduce churn/volatility impact.",
   "- humans can manually tighten later; heartbeat then widens from that new width.",
+  "- with `--width-mode volatility` (or `heartbeat.widthMode` set to `volatility`), the target width is sized from the pool's realized tick volatility instead, so quiet pools stay narrow and volatile pools widen.",
 ].join("\n");
 
 updateFile("README.md", (text) => {
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import { KITTENSWAP_CONTRACTS, formatUnits, readUncollectedFees } from "../skills/auto-kittenswap-lp-rebalance/scripts/kittenswap_rebalance_api.mjs";
+import { Q128, getSqrtRatioAtTick } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_liquidity_math.mjs";
+import { runCli, startRpcServer } from "./mock_hyperevm.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const owner = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+const token0 = "0x5555555555555555555555555555555555555555";
+const token1 = "0xb8ce59fc3717ada4c02eadf9682a9e934f625ebb";
+const pool = "0x1111111111111111111111111111111111111111";
+const zeroAddress = `0x${"0".repeat(40)}`;
+const positionManager = KITTENSWAP_CONTRACTS.positionManager;
+const hex = (n) => `0x${BigInt(n).toString(16)}`;
+const word = (n) => BigInt.asUintN(256, BigInt(n)).toString(16).padStart(64, "0");
+const addressWord = (address) => address.slice(2).padStart(64, "0");
+const readWord = (data, i) => BigInt(`0x${data.slice(10 + i * 64, 10 + (i + 1) * 64)}`);
+
+const tickLower = -277200;
+const tickUpper = -275400;
+const poolTick = -276300;
+const sqrtPriceX96 = getSqrtRatioAtTick(poolTick) + 98765n;
+const positionLiquidity = 10n ** 12n;
+const tokensOwed0 = 5n * 10n ** 17n;
+const tokenId = 7171n;
+
+// latest: 2.5e6 token0 fee growth per unit of liquidity inside the range; block 0x50: none yet
+const growthAt = (blockTag) => ({
+  total0: (blockTag === "0x50" ? 150n : 2_500_150n) * Q128,
+  total1: blockTag === "0x50" ? 0n : Q128 / 1_000_000n,
+});
+const outer = { [tickLower]: 100n * Q128, [tickUpper]: 50n * Q128 };
+const expected0 = tokensOwed0 + 2_500_000n * positionLiquidity;
+const expected1 = (positionLiquidity * (Q128 / 1_000_000n)) / Q128;
+
+const seenBlockTags = new Set();
+
+function handleCall(to, data, blockTag) {
+  switch (data.slice(0, 10)) {
+    case "0x313ce567": return word(to === token1 ? 6 : 18);
+    case "0x95d89b41": return `${word(32)}${word(3)}${Buffer.from(to === token1 ? "USD" : "TKN").toString("hex").padEnd(64, "0")}`;
+    case "0x06fdde03": return `${word(32)}${word(5)}${Buffer.from("Token").toString("hex").padEnd(64, "0")}`;
+    case "0x70a08231": return word(to === positionManager ? 1 : 0);
+    case "0x2f745c59": return word(tokenId);
+    case "0x6352211e": return addressWord(owner);
+    case "0x99fbab88": return [word(0), addressWord(zeroAddress), addressWord(token0), addressWord(token1), addressWord(zeroAddress), word(tickLower), word(tickUpper), word(positionLiquidity), word(0), word(0), word(tokensOwed0), word(0)].join("");
+    case "0xd9a641e1": return addressWord(pool);
+    case "0xe76c01e4": return `${word(sqrtPriceX96)}${word(poolTick)}${word(500)}${word(0)}${word(0)}${word(0)}`;
+    case "0xd0c93a7c": return word(60);
+    case "0x6378ae44": seenBlockTags.add(blockTag); return word(growthAt(blockTag).total0);
+    case "0xecdecf42": return word(growthAt(blockTag).total1);
+    case "0xf30dba93": {
+      const tick = Number(BigInt.asIntN(24, readWord(data, 0)));
+      return [word(1), word(0), word(0), word(0), word(outer[tick] ?? 0n), word(0)].join("");
+    }
+    // farmed NFT: tokenFarmedIn is the farming center and collect() from the owner reverts
+    case "0xe7ce18a3": return addressWord(KITTENSWAP_CONTRACTS.farmingCenter);
+    case "0xb02c43d0": return word(7);
+    default: throw new Error("execution reverted");
+  }
+}
+
+function handleRpc({ method, params }) {
+  switch (method) {
+    case "eth_chainId":
+      return "0x3e7";
+    case "eth_blockNumber":
+      return hex(100);
+    case "eth_gasPrice":
+      return hex(1_000_000_000n);
+    case "eth_getBlockByNumber":
+      return { number: hex(100), timestamp: hex(1_800_000_000), baseFeePerGas: hex(1) };
+    case "eth_call":
+      return `0x${handleCall(String(params[0].to).toLowerCase(), String(params[0].data), params[1])}`;
+    default:
+      return "0x";
+  }
+}
+
+const rpc = await startRpcServer(handleRpc, { errorCode: 3 });
+
+const rpcUrl = rpc.url;
+const workDir = mkdtempSync(path.join(tmpdir(), "krlp-fees-"));
+const cli = { stateDir: workDir, env: { HYPEREVM_RPC_URL: rpcUrl } };
+const feeText = `${formatUnits(expected0, 18, { precision: 8 })} TKN + ${formatUnits(expected1, 6, { precision: 8 })} USD`;
+
+try {
+  // exact fees from fee-growth state, including the tokensOwed checkpoint
+  const fees = await readUncollectedFees({ tokenId, poolAddress: pool }, { rpcUrl });
+  assert(fees.amount0 === expected0 && fees.amount1 === expected1, `fee growth fees mismatch: ${fees.amount0}/${fees.amount1}`);
+  assert(fees.feeGrowthInside0X128 === 2_500_000n * Q128, "fee growth inside should subtract both outer values");
+
+  // historical blocks read every input at that block
+  const past = await readUncollectedFees({ tokenId, poolAddress: pool }, { rpcUrl, blockTag: "0x50" });
+  assert(past.amount0 === tokensOwed0 && past.amount1 === 0n, "block 0x50 should only see the tokensOwed checkpoint");
+  assert(seenBlockTags.has("0x50") && seenBlockTags.has("latest"), "totalFeeGrowth should be read at the requested block");
+
+  // a farmed NFT reports fees even though collect() cannot be simulated
+  const position = await runCli(`krlp position ${tokenId}`, cli);
+  assert(position.ok && position.stdout.includes(`- uncollected fees (fee growth, exact): ${feeText}`), `position should report exact fees: ${position.stderr || position.stdout}`);
+  assert(position.stdout.includes(`- tokens owed (checkpointed): ${formatUnits(tokensOwed0, 18, { precision: 8 })} TKN + 0 USD`), "position should keep the tokensOwed checkpoint line");
+
+  const value = await runCli(`krlp value ${tokenId} ${owner}`, cli);
+  assert(value.ok && value.stdout.includes("staked status: staked in KittenSwap FarmingCenter"), `value should see the farmed NFT: ${value.stderr || value.stdout}`);
+  assert(value.stdout.includes("- claimable now (fee growth, exact): 3 TKN + 0.999999 USD"), "value should report fees for a farmed NFT");
+  assert(!value.stdout.includes("claimable computation: error"), "value should not fall back to an error");
+
+  const wallet = await runCli(`krlp wallet ${owner}`, cli);
+  assert(wallet.ok && wallet.stdout.includes("- rpc scan errors: 0"), `wallet scan should not error on a farmed NFT: ${wallet.stderr || wallet.stdout}`);
+  assert(wallet.stdout.includes("TKN") && wallet.stdout.includes("- aggregate claimable rewards across scanned NFTs (fee growth, exact):"), "wallet should aggregate exact fees");
+} finally {
+  await rpc.close();
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+process.stdout.write("Uncollected fee scenarios passed.\n");
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import { KITTENSWAP_CONTRACTS } from "../skills/auto-kittenswap-lp-rebalance/scripts/kittenswap_rebalance_api.mjs";
+import { getSqrtRatioAtTick, positionAmountsForLiquidity } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_liquidity_math.mjs";
+import { DEFAULT_POLICY } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_defaults.mjs";
+import { collectPlanTemplates } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_plan_store.mjs";
+import { renderCommandJson } from "../skills/auto-kittenswap-lp-rebalance/scripts/krlp_json_output.mjs";
+import { runCli, startRpcServer } from "./mock_hyperevm.mjs";
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const owner = "0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f";
+const token0 = "0x5555555555555555555555555555555555555555";
+const token1 = "0xb8ce59fc3717ada4c02eadf9682a9e934f625ebb";
+const pool = "0x1111111111111111111111111111111111111111";
+const zeroAddress = `0x${"0".repeat(40)}`;
+const hex = (n) => `0x${BigInt(n).toString(16)}`;
+const word = (n) => BigInt.asUintN(256, BigInt(n)).toString(16).padStart(64, "0");
+const addressWord = (address) => address.slice(2).padStart(64, "0");
+const readWord = (data, i) => BigInt(`0x${data.slice(10 + i * 64, 10 + (i + 1) * 64)}`);
+
+const tickLower = -277200;
+const tickUpper = -275400;
+const poolTick = -276300;
+const sqrtPriceX96 = getSqrtRatioAtTick(poolTick) + 98765n;
+const positionLiquidity = 123_456_789_012_345n;
+const tokenId = 5151n;
+
+const chain = { farmedIn: null };
+
+// decreaseLiquidity replay burns at the pool price and enforces the mins like the position manager
+function decreaseLiquidityResult(data) {
+  const [liquidity, amount0Min, amount1Min] = [1, 2, 3].map((i) => readWord(data, i));
+  if (liquidity > positionLiquidity) throw new Error("execution reverted");
+  const { amount0, amount1 } = positionAmountsForLiquidity({ tick: poolTick, sqrtPriceX96, tickLower, tickUpper, liquidity });
+  if (amount0 < amount0Min || amount1 < amount1Min) throw new Error("execution reverted: Price slippage check");
+  return `${word(amount0)}${word(amount1)}`;
+}
+
+function handleCall(to, data) {
+  switch (data.slice(0, 10)) {
+    case "0x313ce567": return word(to === token1 ? 6 : 18);
+    case "0x95d89b41": return `${word(32)}${word(3)}${Buffer.from(to === token1 ? "USD" : "TKN").toString("hex").padEnd(64, "0")}`;
+    case "0x06fdde03": return `${word(32)}${word(5)}${Buffer.from("Token").toString("hex").padEnd(64, "0")}`;
+    case "0x70a08231": return word(0);
+    case "0x6352211e": return addressWord(owner);
+    case "0x99fbab88": return [word(0), addressWord(zeroAddress), addressWord(token0), addressWord(token1), addressWord(zeroAddress), word(tickLower), word(tickUpper), word(positionLiquidity), word(0), word(0), word(0), word(0)].join("");
+    case "0xd9a641e1": return addressWord(pool);
+    case "0xe76c01e4": return `${word(sqrtPriceX96)}${word(poolTick)}${word(500)}${word(0)}${word(0)}${word(0)}`;
+    case "0xd0c93a7c": return word(60);
+    case "0xe7ce18a3": return addressWord(chain.farmedIn || zeroAddress);
+    case "0xb02c43d0": return word(chain.farmedIn ? 7 : 0);
+    case "0xfc6f7865": return `${word(1_000)}${word(2_000)}`;
+    case "0x0c49ccbe": return decreaseLiquidityResult(data);
+    default: throw new Error("execution reverted");
+  }
+}
+
+function handleRpc({ method, params }) {
+  switch (method) {
+    case "eth_chainId":
+      return "0x3e7";
+    case "eth_blockNumber":
+      return hex(100);
+    case "eth_gasPrice":
+      return hex(1_000_000_000n);
+    case "eth_estimateGas":
+      return hex(150_000);
+    case "eth_getBlockByNumber":
+      return { number: hex(100), timestamp: hex(1_800_000_000), baseFeePerGas: hex(1) };
+    case "eth_call":
+      return `0x${handleCall(String(params[0].to).toLowerCase(), String(params[0].data))}`;
+    default:
+      return "0x";
+  }
+}
+
+const rpc = await startRpcServer(handleRpc, { errorCode: 3 });
+
+const workDir = mkdtempSync(path.join(tmpdir(), "krlp-withdraw-"));
+const cli = { stateDir: workDir, env: { HYPEREVM_RPC_URL: rpc.url } };
+const stepsOf = (stdout) => collectPlanTemplates(renderCommandJson({ outputText: stdout }).result.sections);
+const decreaseOf = (stdout) => stepsOf(stdout).find((t) => t.data.startsWith("0x0c49ccbe"));
+const burnAt = (liquidity) => positionAmountsForLiquidity({ tick: poolTick, sqrtPriceX96, tickLower, tickUpper, liquidity });
+
+try {
+  // --percent removes a slice; mins are the simulated burn less policy slippage
+  const quarter = (positionLiquidity * 2_500n) / 10_000n;
+  const partial = await runCli(`krlp withdraw ${tokenId} ${owner} --percent 25 --slippage-bps 100`, cli);
+  assert(partial.ok, `partial withdraw should plan: ${partial.stderr}`);
+  for (const needle of [
+    "- mode: PARTIAL_EXIT (withdraw 25.00% of principal + all fees; remaining liquidity stays in range; no remint)",
+    `- liquidity to remove: ${quarter}`,
+    `- liquidity remaining after withdraw: ${positionLiquidity - quarter}`,
+    "- decrease expected principal (eth_call simulation):",
+    `- decrease liquidity match: PASS (call=${quarter} requested=${quarter} onchain=${positionLiquidity})`,
+    "- direct decrease sim: PASS",
+    "- execution gate: PASS",
+  ]) {
+    assert(partial.stdout.includes(needle), `partial withdraw output missing: ${needle}`);
+  }
+  const expected = burnAt(quarter);
+  const decrease = decreaseOf(partial.stdout);
+  assert(readWord(decrease.data, 0) === tokenId && readWord(decrease.data, 1) === quarter, "decrease calldata should carry the partial liquidity");
+  assert(readWord(decrease.data, 2) === (expected.amount0 * 9_900n) / 10_000n, "amount0Min should be the simulated amount less slippage");
+  assert(readWord(decrease.data, 3) === (expected.amount1 * 9_900n) / 10_000n, "amount1Min should be the simulated amount less slippage");
+  assert(readWord(decrease.data, 2) > 0n && readWord(decrease.data, 3) > 0n, "in-range mins should both be non-zero");
+  assert(stepsOf(partial.stdout).map((t) => t.label).join(",") === "step 1 (collect_before),step 2 (decrease_liquidity),step 3 (collect_after)", "partial exit keeps collect -> decrease -> collect");
+
+  // without --slippage-bps the policy slippage sets the mins
+  const policyBps = BigInt(DEFAULT_POLICY.slippageBps);
+  const defaulted = await runCli(`krlp withdraw ${tokenId} ${owner} --percent 25`, cli);
+  assert(defaulted.ok && defaulted.stdout.includes(`- policy: default (slippage=${policyBps}bps, deadline=900s)`), `default withdraw should use the policy slippage: ${defaulted.stderr || defaulted.stdout}`);
+  const defaultedDecrease = decreaseOf(defaulted.stdout);
+  assert(readWord(defaultedDecrease.data, 2) === (expected.amount0 * (10_000n - policyBps)) / 10_000n, "default amount0Min should carry the policy slippage");
+  assert(readWord(defaultedDecrease.data, 3) === (expected.amount1 * (10_000n - policyBps)) / 10_000n, "default amount1Min should carry the policy slippage");
+
+  // the plan store keeps the fingerprints only as long as the plan's --deadline-seconds
+  const before = Date.now();
+  const short = await runCli(`krlp withdraw ${tokenId} ${owner} --percent 25 --deadline-seconds 120`, cli);
+  const expires = Date.parse(short.stdout.match(/- plan store: saved \d+ fingerprint\(s\), expires (\S+)/)?.[1]);
+  assert(short.ok && short.stdout.includes("deadline=120s)"), `withdraw should apply --deadline-seconds: ${short.stderr || short.stdout}`);
+  assert(expires >= before + 120_000 && expires <= Date.now() + 120_000, `fingerprints should expire at the plan deadline\n${short.stdout}`);
+
+  // --liquidity takes a raw amount
+  const raw = await runCli(`krlp withdraw ${tokenId} ${owner} --liquidity 1000000`, cli);
+  assert(raw.ok && readWord(decreaseOf(raw.stdout).data, 1) === 1_000_000n, `raw liquidity withdraw should plan: ${raw.stderr}`);
+
+  // burn is refused while liquidity remains and kept for a full exit
+  const partialBurn = await runCli(`krlp withdraw ${tokenId} ${owner} --percent 25 --allow-burn`, cli);
+  assert(partialBurn.stdout.includes("- burn old nft step included: NO (partial exit keeps the NFT)"), "partial burn should drop the burn step");
+  assert(partialBurn.stdout.includes("--allow-burn needs a full exit") && partialBurn.stdout.includes("- execution gate: BLOCKED"), "partial burn should block");
+  assert(!stepsOf(partialBurn.stdout).some((t) => t.data.startsWith("0x42966c68")), "partial exit must not carry burn calldata");
+
+  const full = await runCli(`krlp withdraw ${tokenId} ${owner} --allow-burn`, cli);
+  assert(full.ok && full.stdout.includes("- mode: EXIT_ONLY") && full.stdout.includes("- execution gate: PASS"), `full exit should plan: ${full.stderr}`);
+  assert(readWord(decreaseOf(full.stdout).data, 1) === positionLiquidity, "full exit removes all liquidity");
+  assert(readWord(decreaseOf(full.stdout).data, 2) > 0n, "full exit mins should no longer be zero");
+  assert(stepsOf(full.stdout).some((t) => t.data.startsWith("0x42966c68")), "full exit with --allow-burn keeps the burn step");
+
+  // a staked partial exit re-stakes the remainder after the withdraw
+  chain.farmedIn = KITTENSWAP_CONTRACTS.farmingCenter;
+  const staked = await runCli(`krlp withdraw ${tokenId} ${owner} --percent 50`, cli);
+  const exitAt = staked.stdout.indexOf(`krlp farm-exit-plan ${tokenId} ${owner} --auto-key`);
+  const rerunAt = staked.stdout.indexOf(`re-run withdraw plan: krlp withdraw ${tokenId} ${owner} --percent 50`);
+  const restakeAt = staked.stdout.indexOf(`re-stake the remaining liquidity: krlp farm-enter-plan ${tokenId} ${owner} --auto-key`);
+  assert(exitAt > 0 && rerunAt > exitAt && restakeAt > rerunAt, "staked partial exit should be exit -> withdraw -> re-stake");
+  chain.farmedIn = null;
+
+  for (const [args, pattern] of [
+    ["--percent 25 --liquidity 5", /Use either --percent or --liquidity, not both/],
+    ["--percent 0", /Invalid --percent: 0/],
+    ["--percent 100.001", /Invalid --percent: 100\.001/],
+    [`--liquidity ${positionLiquidity + 1n}`, /exceeds position liquidity/],
+    ["--liquidity 1e6", /Invalid --liquidity: 1e6/],
+  ]) {
+    const bad = await runCli(`krlp withdraw ${tokenId} ${owner} ${args}`, cli);
+    assert(!bad.ok && pattern.test(bad.stderr), `expected ${pattern} for ${args}: ${bad.stderr || bad.stdout}`);
+  }
+} finally {
+  await rpc.close();
+  rmSync(workDir, { recursive: true, force: true });
+}
+
+process.stdout.write("Withdraw plan scenarios passed.\n");
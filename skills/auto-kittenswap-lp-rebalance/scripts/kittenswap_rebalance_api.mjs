@@ -4,14 +4,38 @@
 import { setTimeout as sleep } from "node:timers/promises";
 
 export const DEFAULT_CHAIN_ID = String(process.env.HYPEREVM_CHAIN_ID || "999");
-export const DEFAULT_RPC_URL = process.env.HYPEREVM_RPC_URL || "https://rpc.hyperliquid.xyz/evm";
+// Endpoint pool: HYPEREVM_RPC_URL first, then the comma-separated HYPEREVM_RPC_URLS.
+export const DEFAULT_RPC_URLS = (() => {
+  const urls = [process.env.HYPEREVM_RPC_URL, ...String(process.env.HYPEREVM_RPC_URLS || "").split(",")]
+    .map((url) => String(url || "").trim())
+    .filter(Boolean);
+  return urls.length ? [...new Set(urls)] : ["https://rpc.hyperliquid.xyz/evm"];
+})();
+export const DEFAULT_RPC_URL = DEFAULT_RPC_URLS[0];
 export const DEFAULT_TIMEOUT_MS = Number(process.env.HYPEREVM_TIMEOUT_MS || 12_000);
 export const DEFAULT_BROADCAST_TIMEOUT_MS = Number(process.env.HYPEREVM_BROADCAST_TIMEOUT_MS || 120_000);
 export const DEFAULT_RPC_MAX_RETRIES = Number(process.env.HYPEREVM_RPC_MAX_RETRIES || 3);
 export const DEFAULT_RPC_RETRY_BASE_MS = Number(process.env.HYPEREVM_RPC_RETRY_BASE_MS || 350);
 export const DEFAULT_RPC_RETRY_MAX_MS = Number(process.env.HYPEREVM_RPC_RETRY_MAX_MS || 2_500);
+export const DEFAULT_RPC_BATCH_SIZE = Number(process.env.HYPEREVM_RPC_BATCH_SIZE || 50);
+export const DEFAULT_RPC_QUORUM = Number(process.env.HYPEREVM_RPC_QUORUM || 0);
+export const DEFAULT_RPC_QUORUM_MAX_LAG_BLOCKS = Number(process.env.HYPEREVM_RPC_QUORUM_MAX_LAG_BLOCKS || 20);
+// Canonical Multicall3 deployment; set HYPEREVM_MULTICALL3_ADDRESS=off to use plain JSON-RPC batches.
+export const DEFAULT_MULTICALL3_ADDRESS = normalizeAddress(process.env.HYPEREVM_MULTICALL3_ADDRESS ?? "0xca11bde05977b3631167028862be2a173976ca11");
+export const DEFAULT_MULTICALL_CHUNK_SIZE = Number(process.env.HYPEREVM_MULTICALL_CHUNK_SIZE || 100);
 
 import { DEFAULT_POLICY, OWNER_TOKEN_ENUMERATION_LIMIT } from "./krlp_defaults.mjs";
+import { fetchWithFixtures } from "./krlp_rpc_fixtures.mjs";
+import {
+  MAX_TICK,
+  MIN_TICK,
+  getAmountsForLiquidity,
+  getFeeGrowthInside,
+  getSqrtRatioAtTick,
+  positionValueInToken1Raw,
+  ratioToNumber,
+  uncollectedFees,
+} from "./krlp_liquidity_math.mjs";
 
 export const KITTENSWAP_CONTRACTS = {
   factory: "0x5f95e92c338e6453111fc55ee66d4aafcce661a7",
@@ -22,13 +46,15 @@ export const KITTENSWAP_CONTRACTS = {
   eternalFarming: "0xf3b57fe4d5d0927c3a5e549cb6af1866687e2d62",
 };
 
-const SELECTOR = {
+export const SELECTOR = {
   ownerOf: "0x6352211e",
   getApproved: "0x081812fc",
   isApprovedForAll: "0xe985e9c5",
   tokenOfOwnerByIndex: "0x2f745c59",
   positions: "0x99fbab88",
+  aggregate3: "0x82ad56cb",
   poolByPair: "0xd9a641e1",
+  customPoolByPair: "0x23da36cc",
   poolToken0: "0x0dfe1681",
   poolToken1: "0xd21220a7",
   globalState: "0xe76c01e4",
@@ -59,13 +85,23 @@ const SELECTOR = {
   rewardReserves: "0xf0de8228",
   WNativeToken: "0x8af3ac85",
   quoteExactInputSingle: "0xe94764c4",
+  quoteExactInput: "0xcdca1753",
+  quoteExactOutputSingle: "0x62086e24",
+  quoteExactOutput: "0x2f80bb1d",
   exactInputSingle: "0x1679c792",
+  exactInput: "0xc04b8d59",
+  exactOutputSingle: "0x1764babc",
+  exactOutput: "0xf28c0498",
   collect: "0xfc6f7865",
   decreaseLiquidity: "0x0c49ccbe",
+  increaseLiquidity: "0x219f5d17",
   burn: "0x42966c68",
   mint: "0xfe3f3be7",
+  multicall: "0xac9650d8",
   poolLiquidity:           "0x1a686502",   // liquidity() → uint128
   poolTick:                "0xf30dba93",   // ticks(int24) → 6-word struct
+  totalFeeGrowth0Token:    "0x6378ae44",   // totalFeeGrowth0Token() → uint256 (X128)
+  totalFeeGrowth1Token:    "0xecdecf42",   // totalFeeGrowth1Token() → uint256 (X128)
   poolVirtualReserves:     "0x0902f1ac",   // virtual reserves (algebra-specific)
 };
 
@@ -78,7 +114,7 @@ function withTimeout(ms) {
 async function fetchJson(url, { method = "GET", headers, body, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
   const { controller, done } = withTimeout(timeoutMs);
   try {
-    const res = await fetch(url, {
+    const res = await fetchWithFixtures(url, {
       method,
       headers: headers || {},
       body,
@@ -119,6 +155,7 @@ function shouldRetryRpcError(error) {
 
   const rpcCode = Number(error?.rpcError?.code);
   const msg = String(error?.rpcError?.message || error?.message || "").toLowerCase();
+  if (msg.includes("block range")) return false; // eth_getLogs range cap: the caller narrows the window
   if (rpcCode === -32005) return true; // HyperEVM rate limited
   if (msg.includes("rate limit") || msg.includes("too many requests") || msg.includes("429")) return true;
   if (msg.includes("timeout") || msg.includes("timed out") || msg.includes("temporarily unavailable")) return true;
@@ -132,6 +169,65 @@ function backoffDelay(attempt, { baseMs, maxMs }) {
   return exp + jitter;
 }
 
+const ENDPOINT_COOLDOWN_BASE_MS = 1_000;
+const ENDPOINT_COOLDOWN_MAX_MS = 30_000;
+const _endpointHealth = new Map();
+
+function endpointHealth(url) {
+  if (!_endpointHealth.has(url)) {
+    _endpointHealth.set(url, { url, ok: 0, failed: 0, consecutiveFailures: 0, latencyMs: null, cooldownUntil: 0, lastError: null });
+  }
+  return _endpointHealth.get(url);
+}
+
+function recordEndpointSuccess(url, elapsedMs) {
+  const h = endpointHealth(url);
+  h.ok += 1;
+  h.consecutiveFailures = 0;
+  h.cooldownUntil = 0;
+  h.latencyMs = h.latencyMs == null ? elapsedMs : Math.round(h.latencyMs * 0.7 + elapsedMs * 0.3);
+}
+
+function recordEndpointFailure(url, error) {
+  const h = endpointHealth(url);
+  h.failed += 1;
+  h.consecutiveFailures += 1;
+  h.cooldownUntil = Date.now() + Math.min(ENDPOINT_COOLDOWN_MAX_MS, ENDPOINT_COOLDOWN_BASE_MS * 2 ** (h.consecutiveFailures - 1));
+  h.lastError = error?.message || String(error);
+}
+
+// Lower is better: cooling-down endpoints go last, then by failure streak, then by 250 ms
+// latency buckets; ties keep the configured order so the primary stays preferred.
+function endpointScore(url, now = Date.now()) {
+  const h = endpointHealth(url);
+  return (h.cooldownUntil > now ? 10_000 : 0) + h.consecutiveFailures * 1_000 + Math.floor((h.latencyMs ?? 0) / 250);
+}
+
+export function rankRpcEndpoints(urls = DEFAULT_RPC_URLS) {
+  const now = Date.now();
+  return urls
+    .map((url, i) => ({ url, i, score: endpointScore(url, now) }))
+    .sort((a, b) => a.score - b.score || a.i - b.i)
+    .map((x) => x.url);
+}
+
+// Calls against the default endpoint use the whole pool; an explicit rpcUrl, or failover:
+// false (quorum reads must know which provider answered), stays on that one endpoint.
+function rpcEndpointsFor(rpcUrl, failover = true) {
+  return failover && rpcUrl === DEFAULT_RPC_URL && DEFAULT_RPC_URLS.length > 1 ? rankRpcEndpoints(DEFAULT_RPC_URLS) : [rpcUrl];
+}
+
+export function rpcEndpointHealth(urls = DEFAULT_RPC_URLS) {
+  const now = Date.now();
+  return rankRpcEndpoints(urls).map((url) => {
+    const h = endpointHealth(url);
+    return { ...h, score: endpointScore(url, now), coolingDown: h.cooldownUntil > now };
+  });
+}
+
+// Retryable failures (timeouts, 429, 5xx, rate limits) fail over to the next-best endpoint
+// right away. Once every endpoint has had its first attempt, maxRetries keeps its
+// single-endpoint meaning: that many more attempts, each after a backoff.
 export async function rpcCall(
   method,
   params = [],
@@ -141,16 +237,22 @@ export async function rpcCall(
     maxRetries = DEFAULT_RPC_MAX_RETRIES,
     retryBaseMs = DEFAULT_RPC_RETRY_BASE_MS,
     retryMaxMs = DEFAULT_RPC_RETRY_MAX_MS,
+    failover = true,
   } = {}
 ) {
   const retries = rpcRetryCount(maxRetries);
   const baseMs = rpcRetryDelay(retryBaseMs, DEFAULT_RPC_RETRY_BASE_MS);
   const maxMs = Math.max(baseMs, rpcRetryDelay(retryMaxMs, DEFAULT_RPC_RETRY_MAX_MS));
+  const endpoints = rpcEndpointsFor(rpcUrl, failover);
+
+  const attempts = endpoints.length + retries;
 
   for (let attempt = 0; ; attempt++) {
+    const url = endpoints[attempt % endpoints.length];
     const payload = { jsonrpc: "2.0", id: ++_rpcIdCounter, method, params };
+    const started = Date.now();
     try {
-      const data = await fetchJson(rpcUrl, {
+      const data = await fetchJson(url, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify(payload),
@@ -161,14 +263,159 @@ export async function rpcCall(
         err.rpcError = data.error;
         throw err;
       }
+      recordEndpointSuccess(url, Date.now() - started);
       return data?.result;
     } catch (error) {
-      if (attempt >= retries || !shouldRetryRpcError(error)) throw error;
-      await sleep(backoffDelay(attempt, { baseMs, maxMs }));
+      const retryable = shouldRetryRpcError(error);
+      if (retryable) recordEndpointFailure(url, error);
+      else if (error?.rpcError) recordEndpointSuccess(url, Date.now() - started);
+      if (!retryable || attempt + 1 >= attempts) throw error;
+      const retry = attempt + 1 - endpoints.length;
+      if (retry >= 0) await sleep(backoffDelay(retry, { baseMs, maxMs }));
     }
   }
 }
 
+function rpcItemError(error) {
+  const err = new Error(`RPC error: ${JSON.stringify(error)}`);
+  err.rpcError = error;
+  return err;
+}
+
+// Endpoints that rejected a batch as such (-32600 or a "batch" error message) send item
+// by item until the entry expires; any other non-array answer only affects that chunk.
+const BATCH_UNSUPPORTED_TTL_MS = 10 * 60_000;
+const _batchUnsupportedUntil = new Map();
+
+function batchUnsupported(url, now = Date.now()) {
+  return (_batchUnsupportedUntil.get(url) || 0) > now;
+}
+
+function isBatchUnsupportedResponse(data) {
+  const error = data && typeof data === "object" ? data.error : null;
+  return Boolean(error) && (Number(error.code) === -32600 || /batch/i.test(String(error.message || "")));
+}
+
+// JSON-RPC batch: one HTTP request per chunk of `batchSize` calls. Results come back in
+// request order as { ok, result, error } so one reverted item never fails its siblings.
+// Transport failures and retryable item errors (rate limits) fail over across the endpoint
+// pool like rpcCall, with the same attempt budget and backoff.
+export async function rpcBatch(
+  requests,
+  {
+    rpcUrl = DEFAULT_RPC_URL,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxRetries = DEFAULT_RPC_MAX_RETRIES,
+    retryBaseMs = DEFAULT_RPC_RETRY_BASE_MS,
+    retryMaxMs = DEFAULT_RPC_RETRY_MAX_MS,
+    batchSize = DEFAULT_RPC_BATCH_SIZE,
+    failover = true,
+  } = {}
+) {
+  const opts = { rpcUrl, timeoutMs, maxRetries, retryBaseMs, retryMaxMs, failover };
+  const results = new Array(requests.length);
+  if (!requests.length) return results;
+
+  const sequential = async (indices) => {
+    for (const i of indices) {
+      try {
+        results[i] = { ok: true, result: await rpcCall(requests[i].method, requests[i].params || [], opts), error: null };
+      } catch (error) {
+        results[i] = { ok: false, result: null, error };
+      }
+    }
+  };
+
+  const all = requests.map((_, i) => i);
+  const endpoints = rpcEndpointsFor(rpcUrl, failover).filter((url) => !batchUnsupported(url));
+  if (!endpoints.length || requests.length === 1) {
+    await sequential(all);
+    return results;
+  }
+
+  const retries = rpcRetryCount(maxRetries);
+  const baseMs = rpcRetryDelay(retryBaseMs, DEFAULT_RPC_RETRY_BASE_MS);
+  const maxMs = Math.max(baseMs, rpcRetryDelay(retryMaxMs, DEFAULT_RPC_RETRY_MAX_MS));
+  const size = Math.max(1, Math.floor(Number(batchSize) || DEFAULT_RPC_BATCH_SIZE));
+  const attempts = endpoints.length + retries;
+  const backoff = (attempt) => {
+    const retry = attempt + 1 - endpoints.length;
+    return retry >= 0 ? sleep(backoffDelay(retry, { baseMs, maxMs })) : null;
+  };
+
+  for (let start = 0; start < all.length; start += size) {
+    let pending = all.slice(start, start + size);
+    for (let attempt = 0; pending.length; attempt++) {
+      const url = endpoints[attempt % endpoints.length];
+      const canRetry = attempt + 1 < attempts;
+      const byId = new Map();
+      const payload = pending.map((i) => {
+        const id = ++_rpcIdCounter;
+        byId.set(id, i);
+        return { jsonrpc: "2.0", id, method: requests[i].method, params: requests[i].params || [] };
+      });
+      let data;
+      const started = Date.now();
+      try {
+        data = await fetchJson(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(payload),
+          timeoutMs,
+        });
+      } catch (error) {
+        const retryable = shouldRetryRpcError(error);
+        if (retryable) recordEndpointFailure(url, error);
+        if (canRetry && retryable) {
+          await backoff(attempt);
+          continue;
+        }
+        for (const i of pending) results[i] = { ok: false, result: null, error };
+        break;
+      }
+      if (!Array.isArray(data)) {
+        if (isBatchUnsupportedResponse(data)) {
+          _batchUnsupportedUntil.set(url, Date.now() + BATCH_UNSUPPORTED_TTL_MS);
+          await sequential([...pending, ...all.slice(start + size)]);
+          return results;
+        }
+        await sequential(pending);
+        break;
+      }
+
+      const retry = [];
+      let rateLimited = null;
+      for (const item of data) {
+        const i = byId.get(item?.id);
+        if (i == null) continue;
+        byId.delete(item.id);
+        if (!item.error) {
+          results[i] = { ok: true, result: item.result, error: null };
+          continue;
+        }
+        const error = rpcItemError(item.error);
+        if (!shouldRetryRpcError(error)) {
+          results[i] = { ok: false, result: null, error };
+          continue;
+        }
+        rateLimited = error;
+        if (canRetry) retry.push(i);
+        else results[i] = { ok: false, result: null, error };
+      }
+      for (const i of byId.values()) {
+        const error = new Error("RPC batch response missing item");
+        if (canRetry) retry.push(i);
+        else results[i] = { ok: false, result: null, error };
+      }
+      if (rateLimited) recordEndpointFailure(url, rateLimited);
+      else recordEndpointSuccess(url, Date.now() - started);
+      pending = retry.sort((a, b) => a - b);
+      if (pending.length) await backoff(attempt);
+    }
+  }
+  return results;
+}
+
 export async function rpcChainId(opts = {}) {
   const hex = await rpcCall("eth_chainId", [], opts);
   return { hex, decimal: Number.parseInt(hex, 16) };
@@ -187,8 +434,8 @@ export async function rpcGasPrice(opts = {}) {
   return rpcCall("eth_gasPrice", [], opts);
 }
 
-export async function rpcEstimateGas(tx, opts = {}) {
-  return rpcCall("eth_estimateGas", [tx], opts);
+export async function rpcEstimateGas(tx, { blockTag = null, ...opts } = {}) {
+  return rpcCall("eth_estimateGas", blockTag ? [tx, blockTag] : [tx], opts);
 }
 
 export async function rpcSendRawTransaction(rawTx, opts = {}) {
@@ -392,6 +639,20 @@ function decodeBytes32String(dataHex) {
   }
 }
 
+function encodeBytesTailWords(dataHex) {
+  const s = ensureEvenHex(dataHex).toLowerCase();
+  const padded = s.padEnd(Math.ceil(s.length / 64) * 64, "0");
+  return [encodeUintWord(s.length / 2), ...(padded.match(/.{64}/g) || [])];
+}
+
+function decodeUintArrayAt(words, offsetBytes) {
+  const start = Number(offsetBytes) / 32;
+  if (!Number.isInteger(start) || start >= words.length) throw new Error(`Invalid ABI array offset: ${offsetBytes}`);
+  const len = Number(wordToUint(words[start]));
+  if (!Number.isSafeInteger(len) || start + 1 + len > words.length) throw new Error(`Invalid ABI array length: ${len}`);
+  return words.slice(start + 1, start + 1 + len).map(wordToUint);
+}
+
 function encodeCallData(selector, encodedWords = []) {
   const body = encodedWords.join("");
   return `${selector}${body ? body : ""}`;
@@ -407,9 +668,206 @@ export async function rpcEthCall({ from = null, to, data, blockTag = "latest", r
   return rpcCall("eth_call", [payload, blockTag], { rpcUrl });
 }
 
-export async function readOwnerOf(tokenId, { positionManager = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL } = {}) {
+// aggregate3((address target, bool allowFailure, bytes callData)[]) with allowFailure = true,
+// so a reverted sub-call comes back as success = false instead of reverting the whole read.
+function encodeAggregate3Calls(calls) {
+  const heads = [];
+  const tails = [];
+  let offset = calls.length * 32;
+  for (const { to, data } of calls) {
+    const tuple = [encodeAddressWord(to), encodeBoolWord(true), encodeUintWord(96n), ...encodeBytesTailWords(data || "0x")];
+    heads.push(encodeUintWord(BigInt(offset)));
+    tails.push(...tuple);
+    offset += tuple.length * 32;
+  }
+  return encodeCallData(SELECTOR.aggregate3, [encodeUintWord(32n), encodeUintWord(BigInt(calls.length)), ...heads, ...tails]);
+}
+
+function decodeAggregate3Results(out, expected) {
+  const w = decodeWords(out);
+  const wordAt = (i) => {
+    if (!Number.isInteger(i) || i < 0 || i >= w.length) throw new Error(`aggregate3 returned a malformed result (word ${i} of ${w.length})`);
+    return w[i];
+  };
+  const start = Number(wordToUint(wordAt(0))) / 32;
+  const len = Number(wordToUint(wordAt(start)));
+  if (len !== expected) throw new Error(`aggregate3 returned ${len} results (expected ${expected})`);
+  const base = start + 1;
+  return Array.from({ length: len }, (_, i) => {
+    const tuple = base + Number(wordToUint(wordAt(base + i))) / 32;
+    const success = wordToBool(wordAt(tuple));
+    const bytesAt = tuple + Number(wordToUint(wordAt(tuple + 1))) / 32;
+    const size = Number(wordToUint(wordAt(bytesAt)));
+    if (size > 0) wordAt(bytesAt + Math.ceil(size / 32));
+    const returnData = `0x${w.slice(bytesAt + 1).join("").slice(0, size * 2)}`;
+    return { success, returnData };
+  });
+}
+
+// Endpoints where aggregate3 reverted or returned garbage (no Multicall3 at that address/block).
+const _multicallUnsupported = new Set();
+
+// Packs calls into aggregate3 chunks, all sent in one JSON-RPC batch at the same blockTag.
+// Returns null when Multicall3 is unusable so the caller can fall back to plain eth_calls.
+async function multicallEthCalls(calls, { rpcUrl, blockTag, batchSize, failover, multicall, chunkSize }) {
+  const size = Math.max(1, Math.floor(Number(chunkSize) || DEFAULT_MULTICALL_CHUNK_SIZE));
+  const chunks = [];
+  for (let start = 0; start < calls.length; start += size) chunks.push(calls.slice(start, start + size));
+  const raw = await rpcBatch(chunks.map((chunk) => ({
+    method: "eth_call",
+    params: [{ to: multicall, data: encodeAggregate3Calls(chunk) }, blockTag],
+  })), { rpcUrl, batchSize, failover });
+
+  const results = [];
+  for (const [c, chunk] of chunks.entries()) {
+    let decoded;
+    try {
+      if (!raw[c].ok) throw raw[c].error;
+      decoded = decodeAggregate3Results(raw[c].result, chunk.length);
+    } catch (error) {
+      // transport failures say nothing about the contract; reverts and bad payloads do
+      if (raw[c].ok || raw[c].error?.rpcError) _multicallUnsupported.add(`${rpcUrl}|${multicall}`);
+      return null;
+    }
+    for (const { success, returnData } of decoded) {
+      if (success) {
+        results.push({ ok: true, result: returnData, error: null });
+      } else {
+        const error = rpcItemError({ code: 3, message: "execution reverted", data: returnData });
+        results.push({ ok: false, result: null, error });
+      }
+    }
+  }
+  return results;
+}
+
+// Batched eth_call: each call is { to, data, from?, decode? }. Returns { ok, value, error }
+// per call in order; decode errors stay on their own item like reverts do.
+// Calls go through Multicall3 aggregate3 when available (one state snapshot per chunk),
+// otherwise as a plain JSON-RPC batch. Calls with a `from` always skip Multicall3.
+export async function rpcEthCallBatch(
+  calls,
+  {
+    rpcUrl = DEFAULT_RPC_URL,
+    blockTag = "latest",
+    batchSize = DEFAULT_RPC_BATCH_SIZE,
+    failover = true,
+    multicall = DEFAULT_MULTICALL3_ADDRESS,
+    multicallChunkSize = DEFAULT_MULTICALL_CHUNK_SIZE,
+  } = {}
+) {
+  const multicallAddress = normalizeAddress(multicall);
+  const viaMulticall = Boolean(multicallAddress)
+    && calls.length > 1
+    && !_multicallUnsupported.has(`${rpcUrl}|${multicallAddress}`)
+    && calls.every(({ from = null }) => from == null || !String(from).trim());
+  let raw = viaMulticall
+    ? await multicallEthCalls(calls.map(({ to, data }) => ({ to: assertAddress(to), data: String(data || "0x") })), {
+      rpcUrl,
+      blockTag,
+      batchSize,
+      failover,
+      multicall: multicallAddress,
+      chunkSize: multicallChunkSize,
+    })
+    : null;
+  if (!raw) {
+    const requests = calls.map(({ from = null, to, data }) => {
+      const payload = { to: assertAddress(to), data: String(data || "0x") };
+      if (from != null && String(from).trim()) payload.from = assertAddress(from);
+      return { method: "eth_call", params: [payload, blockTag] };
+    });
+    raw = await rpcBatch(requests, { rpcUrl, batchSize, failover });
+  }
+  return raw.map((r, i) => {
+    if (!r.ok) return { ok: false, value: null, error: r.error };
+    try {
+      return { ok: true, value: calls[i].decode ? calls[i].decode(r.result) : r.result, error: null };
+    } catch (error) {
+      return { ok: false, value: null, error };
+    }
+  });
+}
+
+// Quorum reads need a block every provider has: take the lowest head among endpoints that
+// answer and sit within maxLagBlocks of the highest one; lagging or dead ones sit out.
+export async function resolveQuorumBlock({ quorum = 2, endpoints = DEFAULT_RPC_URLS, maxLagBlocks = DEFAULT_RPC_QUORUM_MAX_LAG_BLOCKS } = {}) {
+  const need = Math.max(2, Math.floor(Number(quorum) || 2));
+  const urls = [...new Set(endpoints)];
+  if (urls.length < need) {
+    return { ok: false, quorum: need, blockTag: null, endpoints: [], heads: [], reason: `quorum ${need} needs at least ${need} RPC endpoints (configured: ${urls.length})` };
+  }
+  const heads = await Promise.all(urls.map((url) => rpcBlockNumber({ rpcUrl: url, maxRetries: 0, failover: false })
+    .then((b) => ({ url, head: b.decimal, error: null }))
+    .catch((error) => ({ url, head: null, error: error?.message || String(error) }))));
+  const answered = heads.filter((h) => Number.isSafeInteger(h.head));
+  const top = Math.max(...answered.map((h) => h.head));
+  const live = answered.filter((h) => top - h.head <= Math.max(0, Number(maxLagBlocks) || 0));
+  if (live.length < need) {
+    return {
+      ok: false,
+      quorum: need,
+      blockTag: null,
+      endpoints: live.map((h) => h.url),
+      heads,
+      reason: `only ${live.length} of ${urls.length} RPC endpoints answered within ${maxLagBlocks} blocks of head (need ${need})`,
+    };
+  }
+  const block = Math.min(...live.map((h) => h.head));
+  return { ok: true, quorum: need, blockTag: toHexQuantity(BigInt(block)), endpoints: live.map((h) => h.url), heads, reason: null };
+}
+
+// Runs the same eth_calls on every endpoint at one block. A call passes when at least `quorum`
+// providers return byte-identical data; its value is the agreed data, decoded if asked.
+export async function rpcQuorumEthCalls(calls, { quorum = 2, endpoints = DEFAULT_RPC_URLS, blockTag = null, maxLagBlocks = DEFAULT_RPC_QUORUM_MAX_LAG_BLOCKS } = {}) {
+  let block = { ok: true, quorum: Math.max(2, Math.floor(Number(quorum) || 2)), blockTag, endpoints: [...new Set(endpoints)], reason: null };
+  if (!blockTag || blockTag === "latest") block = await resolveQuorumBlock({ quorum, endpoints, maxLagBlocks });
+  const need = block.quorum;
+  if (!block.ok) return { ok: false, quorum: need, blockTag: null, providers: block.endpoints, items: [], reason: block.reason };
+  if (block.endpoints.length < need) {
+    return { ok: false, quorum: need, blockTag: block.blockTag, providers: block.endpoints, items: [], reason: `quorum ${need} needs at least ${need} RPC endpoints (configured: ${block.endpoints.length})` };
+  }
+
+  const rawCalls = calls.map(({ to, data }) => ({ to, data }));
+  const answers = await Promise.all(block.endpoints.map((url) => rpcEthCallBatch(rawCalls, { rpcUrl: url, blockTag: block.blockTag, failover: false })));
+  const items = calls.map((call, i) => {
+    const groups = new Map();
+    block.endpoints.forEach((url, p) => {
+      const r = answers[p][i];
+      if (!r.ok) return;
+      const key = String(r.value).toLowerCase();
+      groups.set(key, [...(groups.get(key) || []), url]);
+    });
+    const [raw, agreeingUrls] = [...groups.entries()].sort((a, b) => b[1].length - a[1].length)[0] || [null, []];
+    const item = { label: call.label || `call ${i}`, ok: agreeingUrls.length >= need, agreeing: agreeingUrls.length, distinct: groups.size, providers: agreeingUrls, raw, value: null, error: null };
+    if (item.ok && call.decode) {
+      try {
+        item.value = call.decode(raw);
+      } catch (error) {
+        item.ok = false;
+        item.error = error?.message || String(error);
+      }
+    } else if (item.ok) {
+      item.value = raw;
+    }
+    return item;
+  });
+  const failed = items.find((item) => !item.ok);
+  return {
+    ok: !failed,
+    quorum: need,
+    blockTag: block.blockTag,
+    providers: block.endpoints,
+    items,
+    reason: failed
+      ? `${failed.label}: ${failed.agreeing}/${need} providers agree (${failed.distinct} distinct answer${failed.distinct === 1 ? "" : "s"}${failed.error ? `; ${failed.error}` : ""})`
+      : null,
+  };
+}
+
+export async function readOwnerOf(tokenId, { positionManager = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
   const data = encodeCallData(SELECTOR.ownerOf, [encodeUintWord(tokenId)]);
-  const out = await rpcEthCall({ to: positionManager, data, rpcUrl });
+  const out = await rpcEthCall({ to: positionManager, data, blockTag, rpcUrl });
   const words = decodeWords(out);
   if (!words.length) throw new Error("ownerOf returned empty response");
   const owner = wordToAddress(words[0]);
@@ -419,10 +877,10 @@ export async function readOwnerOf(tokenId, { positionManager = KITTENSWAP_CONTRA
 
 export async function readPositionManagerTokenApproval(
   tokenId,
-  { positionManager = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL } = {}
+  { positionManager = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}
 ) {
   const data = encodeCallData(SELECTOR.getApproved, [encodeUintWord(tokenId)]);
-  const out = await rpcEthCall({ to: positionManager, data, rpcUrl });
+  const out = await rpcEthCall({ to: positionManager, data, blockTag, rpcUrl });
   const words = decodeWords(out);
   if (!words.length) throw new Error("getApproved() returned empty response");
   const approved = wordToAddress(words[0]);
@@ -433,20 +891,20 @@ export async function readPositionManagerTokenApproval(
 export async function readPositionManagerIsApprovedForAll(
   ownerAddress,
   operatorAddress,
-  { positionManager = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL } = {}
+  { positionManager = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}
 ) {
   const data = encodeCallData(SELECTOR.isApprovedForAll, [encodeAddressWord(ownerAddress), encodeAddressWord(operatorAddress)]);
-  const out = await rpcEthCall({ to: positionManager, data, rpcUrl });
+  const out = await rpcEthCall({ to: positionManager, data, blockTag, rpcUrl });
   const words = decodeWords(out);
   if (!words.length) throw new Error("isApprovedForAll() returned empty response");
   return wordToBool(words[0]);
 }
 
 export async function readPositionManagerFarmingCenter(
-  { positionManager = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL } = {}
+  { positionManager = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}
 ) {
   const data = encodeCallData(SELECTOR.farmingCenter);
-  const out = await rpcEthCall({ to: positionManager, data, rpcUrl });
+  const out = await rpcEthCall({ to: positionManager, data, blockTag, rpcUrl });
   const w = decodeWords(out);
   if (!w.length) throw new Error("farmingCenter() returned empty response");
   const addr = wordToAddress(w[0]);
@@ -456,10 +914,10 @@ export async function readPositionManagerFarmingCenter(
 
 export async function readPositionFarmingApproval(
   tokenId,
-  { positionManager = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL } = {}
+  { positionManager = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}
 ) {
   const data = encodeCallData(SELECTOR.farmingApprovals, [encodeUintWord(tokenId)]);
-  const out = await rpcEthCall({ to: positionManager, data, rpcUrl });
+  const out = await rpcEthCall({ to: positionManager, data, blockTag, rpcUrl });
   const w = decodeWords(out);
   if (!w.length) throw new Error("farmingApprovals() returned empty response");
   const addr = wordToAddress(w[0]);
@@ -469,10 +927,13 @@ export async function readPositionFarmingApproval(
 
 export async function readTokenFarmedIn(
   tokenId,
-  { positionManager = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL } = {}
+  { positionManager = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}
 ) {
   const data = encodeCallData(SELECTOR.tokenFarmedIn, [encodeUintWord(tokenId)]);
-  const out = await rpcEthCall({ to: positionManager, data, rpcUrl });
+  return decodeTokenFarmedIn(await rpcEthCall({ to: positionManager, data, blockTag, rpcUrl }));
+}
+
+function decodeTokenFarmedIn(out) {
   const w = decodeWords(out);
   if (!w.length) throw new Error("tokenFarmedIn() returned empty response");
   const addr = wordToAddress(w[0]);
@@ -480,9 +941,34 @@ export async function readTokenFarmedIn(
   return addr;
 }
 
-export async function readPosition(tokenId, { positionManager = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL } = {}) {
+export async function readPosition(tokenId, { positionManager = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
   const data = encodeCallData(SELECTOR.positions, [encodeUintWord(tokenId)]);
-  const out = await rpcEthCall({ to: positionManager, data, rpcUrl });
+  return decodePosition(await rpcEthCall({ to: positionManager, data, blockTag, rpcUrl }));
+}
+
+// One batched positions() read per tokenId; { ok, value, error } per item.
+export async function readPositionsBatch(tokenIds, { positionManager = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
+  return rpcEthCallBatch(tokenIds.map((tokenId) => ({
+    to: positionManager,
+    data: encodeCallData(SELECTOR.positions, [encodeUintWord(tokenId)]),
+    decode: decodePosition,
+  })), { rpcUrl, blockTag });
+}
+
+// positions() and the pool's globalState() under read quorum; see rpcQuorumEthCalls.
+export async function readPositionQuorum(
+  tokenId,
+  poolAddress,
+  { quorum = 2, positionManager = KITTENSWAP_CONTRACTS.positionManager, endpoints = DEFAULT_RPC_URLS, blockTag = null } = {}
+) {
+  const out = await rpcQuorumEthCalls([
+    { label: "positions()", to: positionManager, data: encodeCallData(SELECTOR.positions, [encodeUintWord(tokenId)]), decode: decodePosition },
+    { label: "globalState()", to: poolAddress, data: encodeCallData(SELECTOR.globalState), decode: decodePoolGlobalState },
+  ], { quorum, endpoints, blockTag });
+  return { ...out, position: out.items[0]?.value ?? null, globalState: out.items[1]?.value ?? null };
+}
+
+function decodePosition(out) {
   const w = decodeWords(out);
   if (w.length < 12) throw new Error(`positions returned ${w.length} words (expected >=12)`);
 
@@ -502,18 +988,37 @@ export async function readPosition(tokenId, { positionManager = KITTENSWAP_CONTR
   };
 }
 
-export async function readPoolAddressByPair(tokenA, tokenB, { factory = KITTENSWAP_CONTRACTS.factory, rpcUrl = DEFAULT_RPC_URL } = {}) {
-  const data = encodeCallData(SELECTOR.poolByPair, [encodeAddressWord(tokenA), encodeAddressWord(tokenB)]);
-  const out = await rpcEthCall({ to: factory, data, rpcUrl });
+function encodePoolByPairCall(tokenA, tokenB, deployer) {
+  const customDeployer = deployer && deployer !== "0x0000000000000000000000000000000000000000" ? deployer : null;
+  return customDeployer
+    ? encodeCallData(SELECTOR.customPoolByPair, [encodeAddressWord(customDeployer), encodeAddressWord(tokenA), encodeAddressWord(tokenB)])
+    : encodeCallData(SELECTOR.poolByPair, [encodeAddressWord(tokenA), encodeAddressWord(tokenB)]);
+}
+
+function decodePoolByPair(out) {
   const words = decodeWords(out);
   const pool = words.length ? wordToAddress(words[0]) : null;
   if (!pool || pool === "0x0000000000000000000000000000000000000000") return null;
   return pool;
 }
 
-export async function readPoolToken0(poolAddress, { rpcUrl = DEFAULT_RPC_URL } = {}) {
+export async function readPoolAddressByPair(tokenA, tokenB, { factory = KITTENSWAP_CONTRACTS.factory, deployer = null, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
+  const out = await rpcEthCall({ to: factory, data: encodePoolByPairCall(tokenA, tokenB, deployer), blockTag, rpcUrl });
+  return decodePoolByPair(out);
+}
+
+// poolByPair() for many { tokenA, tokenB, deployer? } pairs; value is null when no pool exists.
+export async function readPoolAddressesByPairBatch(pairs, { factory = KITTENSWAP_CONTRACTS.factory, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
+  return rpcEthCallBatch(pairs.map(({ tokenA, tokenB, deployer = null }) => ({
+    to: factory,
+    data: encodePoolByPairCall(tokenA, tokenB, deployer),
+    decode: decodePoolByPair,
+  })), { rpcUrl, blockTag });
+}
+
+export async function readPoolToken0(poolAddress, { rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
   const data = encodeCallData(SELECTOR.poolToken0);
-  const out = await rpcEthCall({ to: poolAddress, data, rpcUrl });
+  const out = await rpcEthCall({ to: poolAddress, data, blockTag, rpcUrl });
   const words = decodeWords(out);
   if (!words.length) throw new Error("token0() returned empty response");
   const token0 = wordToAddress(words[0]);
@@ -521,9 +1026,9 @@ export async function readPoolToken0(poolAddress, { rpcUrl = DEFAULT_RPC_URL } =
   return token0;
 }
 
-export async function readPoolToken1(poolAddress, { rpcUrl = DEFAULT_RPC_URL } = {}) {
+export async function readPoolToken1(poolAddress, { rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
   const data = encodeCallData(SELECTOR.poolToken1);
-  const out = await rpcEthCall({ to: poolAddress, data, rpcUrl });
+  const out = await rpcEthCall({ to: poolAddress, data, blockTag, rpcUrl });
   const words = decodeWords(out);
   if (!words.length) throw new Error("token1() returned empty response");
   const token1 = wordToAddress(words[0]);
@@ -533,10 +1038,10 @@ export async function readPoolToken1(poolAddress, { rpcUrl = DEFAULT_RPC_URL } =
 
 export async function readEternalFarmingIncentiveKey(
   poolAddress,
-  { eternalFarming = KITTENSWAP_CONTRACTS.eternalFarming, rpcUrl = DEFAULT_RPC_URL } = {}
+  { eternalFarming = KITTENSWAP_CONTRACTS.eternalFarming, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}
 ) {
   const data = encodeCallData(SELECTOR.incentiveKeys, [encodeAddressWord(poolAddress)]);
-  const out = await rpcEthCall({ to: eternalFarming, data, rpcUrl });
+  const out = await rpcEthCall({ to: eternalFarming, data, blockTag, rpcUrl });
   const w = decodeWords(out);
   if (w.length < 4) throw new Error(`incentiveKeys returned ${w.length} words (expected >=4)`);
 
@@ -555,10 +1060,10 @@ export async function readEternalFarmingIncentiveKey(
 
 export async function readEternalFarmingIncentive(
   incentiveId,
-  { eternalFarming = KITTENSWAP_CONTRACTS.eternalFarming, rpcUrl = DEFAULT_RPC_URL } = {}
+  { eternalFarming = KITTENSWAP_CONTRACTS.eternalFarming, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}
 ) {
   const data = encodeCallData(SELECTOR.incentives, [encodeBytes32Word(incentiveId)]);
-  const out = await rpcEthCall({ to: eternalFarming, data, rpcUrl });
+  const out = await rpcEthCall({ to: eternalFarming, data, blockTag, rpcUrl });
   const w = decodeWords(out);
   if (w.length < 6) throw new Error(`incentives returned ${w.length} words (expected >=6)`);
   const virtualPoolAddress = wordToAddress(w[2]);
@@ -576,10 +1081,13 @@ export async function readEternalFarmingIncentive(
 
 export async function readFarmingCenterDeposit(
   tokenId,
-  { farmingCenter = KITTENSWAP_CONTRACTS.farmingCenter, rpcUrl = DEFAULT_RPC_URL } = {}
+  { farmingCenter = KITTENSWAP_CONTRACTS.farmingCenter, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}
 ) {
   const data = encodeCallData(SELECTOR.deposits, [encodeUintWord(tokenId)]);
-  const out = await rpcEthCall({ to: farmingCenter, data, rpcUrl });
+  return decodeFarmingCenterDeposit(await rpcEthCall({ to: farmingCenter, data, blockTag, rpcUrl }));
+}
+
+function decodeFarmingCenterDeposit(out) {
   const w = decodeWords(out);
   if (!w.length) throw new Error("deposits() returned empty response");
   const incentiveId = wordToBytes32(w[0]);
@@ -587,13 +1095,30 @@ export async function readFarmingCenterDeposit(
   return incentiveId;
 }
 
+// tokenFarmedIn + farmingCenter.deposits for many tokenIds in one batch.
+export async function readFarmStakeStatesBatch(
+  tokenIds,
+  {
+    positionManager = KITTENSWAP_CONTRACTS.positionManager,
+    farmingCenter = KITTENSWAP_CONTRACTS.farmingCenter,
+    rpcUrl = DEFAULT_RPC_URL,
+    blockTag = "latest",
+  } = {}
+) {
+  const out = await rpcEthCallBatch(tokenIds.flatMap((tokenId) => [
+    { to: positionManager, data: encodeCallData(SELECTOR.tokenFarmedIn, [encodeUintWord(tokenId)]), decode: decodeTokenFarmedIn },
+    { to: farmingCenter, data: encodeCallData(SELECTOR.deposits, [encodeUintWord(tokenId)]), decode: decodeFarmingCenterDeposit },
+  ]), { rpcUrl, blockTag });
+  return tokenIds.map((_, i) => ({ tokenFarmedIn: out[2 * i], depositIncentiveId: out[2 * i + 1] }));
+}
+
 export async function readEternalFarmingRewardBalance(
   ownerAddress,
   rewardToken,
-  { eternalFarming = KITTENSWAP_CONTRACTS.eternalFarming, rpcUrl = DEFAULT_RPC_URL } = {}
+  { eternalFarming = KITTENSWAP_CONTRACTS.eternalFarming, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}
 ) {
   const data = encodeCallData(SELECTOR.rewards, [encodeAddressWord(ownerAddress), encodeAddressWord(rewardToken)]);
-  const out = await rpcEthCall({ to: eternalFarming, data, rpcUrl });
+  const out = await rpcEthCall({ to: eternalFarming, data, blockTag, rpcUrl });
   const w = decodeWords(out);
   if (!w.length) return 0n;
   return wordToUint(w[0]);
@@ -602,7 +1127,7 @@ export async function readEternalFarmingRewardBalance(
 export async function readEternalFarmingRewardInfo(
   tokenId,
   { rewardToken, bonusRewardToken, pool, nonce },
-  { eternalFarming = KITTENSWAP_CONTRACTS.eternalFarming, rpcUrl = DEFAULT_RPC_URL } = {}
+  { eternalFarming = KITTENSWAP_CONTRACTS.eternalFarming, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}
 ) {
   const data = buildFarmingGetRewardInfoCalldata({
     rewardToken,
@@ -611,7 +1136,7 @@ export async function readEternalFarmingRewardInfo(
     nonce,
     tokenId,
   });
-  const out = await rpcEthCall({ to: eternalFarming, data, rpcUrl });
+  const out = await rpcEthCall({ to: eternalFarming, data, blockTag, rpcUrl });
   const w = decodeWords(out);
   if (w.length < 2) {
     throw new Error(`getRewardInfo() returned ${w.length} words (expected >=2)`);
@@ -624,12 +1149,12 @@ export async function readEternalFarmingRewardInfo(
   };
 }
 
-export async function readEternalVirtualPoolRewardState(virtualPoolAddress, { rpcUrl = DEFAULT_RPC_URL } = {}) {
+export async function readEternalVirtualPoolRewardState(virtualPoolAddress, { rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
   const [currentLiquidityOut, globalTickOut, rewardRatesOut, rewardReservesOut] = await Promise.all([
-    rpcEthCall({ to: virtualPoolAddress, data: encodeCallData(SELECTOR.currentLiquidity), rpcUrl }),
-    rpcEthCall({ to: virtualPoolAddress, data: encodeCallData(SELECTOR.virtualPoolGlobalTick), rpcUrl }),
-    rpcEthCall({ to: virtualPoolAddress, data: encodeCallData(SELECTOR.rewardRates), rpcUrl }),
-    rpcEthCall({ to: virtualPoolAddress, data: encodeCallData(SELECTOR.rewardReserves), rpcUrl }),
+    rpcEthCall({ to: virtualPoolAddress, data: encodeCallData(SELECTOR.currentLiquidity), blockTag, rpcUrl }),
+    rpcEthCall({ to: virtualPoolAddress, data: encodeCallData(SELECTOR.virtualPoolGlobalTick), blockTag, rpcUrl }),
+    rpcEthCall({ to: virtualPoolAddress, data: encodeCallData(SELECTOR.rewardRates), blockTag, rpcUrl }),
+    rpcEthCall({ to: virtualPoolAddress, data: encodeCallData(SELECTOR.rewardReserves), blockTag, rpcUrl }),
   ]);
 
   const wLiquidity = decodeWords(currentLiquidityOut);
@@ -651,9 +1176,12 @@ export async function readEternalVirtualPoolRewardState(virtualPoolAddress, { rp
   };
 }
 
-export async function readPoolGlobalState(poolAddress, { rpcUrl = DEFAULT_RPC_URL } = {}) {
+export async function readPoolGlobalState(poolAddress, { rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
   const data = encodeCallData(SELECTOR.globalState);
-  const out = await rpcEthCall({ to: poolAddress, data, rpcUrl });
+  return decodePoolGlobalState(await rpcEthCall({ to: poolAddress, data, blockTag, rpcUrl }));
+}
+
+function decodePoolGlobalState(out) {
   const w = decodeWords(out);
   if (w.length < 6) throw new Error(`globalState returned ${w.length} words (expected >=6)`);
   return {
@@ -666,17 +1194,29 @@ export async function readPoolGlobalState(poolAddress, { rpcUrl = DEFAULT_RPC_UR
   };
 }
 
-export async function readPoolTickSpacing(poolAddress, { rpcUrl = DEFAULT_RPC_URL } = {}) {
+export async function readPoolTickSpacing(poolAddress, { rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
   const data = encodeCallData(SELECTOR.tickSpacing);
-  const out = await rpcEthCall({ to: poolAddress, data, rpcUrl });
+  return decodePoolTickSpacing(await rpcEthCall({ to: poolAddress, data, blockTag, rpcUrl }));
+}
+
+function decodePoolTickSpacing(out) {
   const w = decodeWords(out);
   if (!w.length) throw new Error("tickSpacing returned empty response");
   return Number(wordToInt(w[0], 24));
 }
 
-export async function readPoolLiquidity(poolAddress, { rpcUrl = DEFAULT_RPC_URL } = {}) {
+// tickSpacing + globalState for many pools in one batch.
+export async function readPoolStatesBatch(poolAddresses, { rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
+  const out = await rpcEthCallBatch(poolAddresses.flatMap((pool) => [
+    { to: pool, data: encodeCallData(SELECTOR.tickSpacing), decode: decodePoolTickSpacing },
+    { to: pool, data: encodeCallData(SELECTOR.globalState), decode: decodePoolGlobalState },
+  ]), { rpcUrl, blockTag });
+  return poolAddresses.map((_, i) => ({ tickSpacing: out[2 * i], globalState: out[2 * i + 1] }));
+}
+
+export async function readPoolLiquidity(poolAddress, { rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
   const data = encodeCallData(SELECTOR.poolLiquidity);
-  const out = await rpcEthCall({ to: poolAddress, data, rpcUrl });
+  const out = await rpcEthCall({ to: poolAddress, data, blockTag, rpcUrl });
   const w = decodeWords(out);
   if (!w.length) throw new Error("liquidity() returned empty response");
   return wordToUint(w[0]); // uint128
@@ -684,7 +1224,10 @@ export async function readPoolLiquidity(poolAddress, { rpcUrl = DEFAULT_RPC_URL
 
 export async function readPoolTickData(poolAddress, tick, { rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
   const data = encodeCallData(SELECTOR.poolTick, [encodeIntWord(tick, 24)]);
-  const out = await rpcEthCall({ to: poolAddress, data, blockTag, rpcUrl });
+  return decodePoolTickData(await rpcEthCall({ to: poolAddress, data, blockTag, rpcUrl }));
+}
+
+function decodePoolTickData(out) {
   const w = decodeWords(out);
   if (w.length < 6) return null; // uninitialized tick returns zeros or empty
   return {
@@ -697,6 +1240,96 @@ export async function readPoolTickData(poolAddress, tick, { rpcUrl = DEFAULT_RPC
   };
 }
 
+export async function readPoolTotalFeeGrowth(poolAddress, { rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
+  const [out0, out1] = await Promise.all([
+    rpcEthCall({ to: poolAddress, data: encodeCallData(SELECTOR.totalFeeGrowth0Token), blockTag, rpcUrl }),
+    rpcEthCall({ to: poolAddress, data: encodeCallData(SELECTOR.totalFeeGrowth1Token), blockTag, rpcUrl }),
+  ]);
+  return { totalFeeGrowth0Token: decodeFeeGrowthWord(out0), totalFeeGrowth1Token: decodeFeeGrowthWord(out1) };
+}
+
+function decodeFeeGrowthWord(out) {
+  const w = decodeWords(out);
+  if (!w.length) throw new Error("totalFeeGrowth returned empty response");
+  return wordToUint(w[0]);
+}
+
+// Uncollected fees from pool fee-growth state, without simulating collect():
+// works for any sender, for farmed NFTs and at historical blocks.
+export async function readUncollectedFees(
+  { tokenId, poolAddress, position = null, poolState = null },
+  { positionManager = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}
+) {
+  const pos = position || await readPosition(tokenId, { positionManager, rpcUrl, blockTag });
+  const [state, growth, lower, upper] = await Promise.all([
+    poolState ? Promise.resolve(poolState) : readPoolGlobalState(poolAddress, { rpcUrl, blockTag }),
+    readPoolTotalFeeGrowth(poolAddress, { rpcUrl, blockTag }),
+    readPoolTickData(poolAddress, pos.tickLower, { rpcUrl, blockTag }),
+    readPoolTickData(poolAddress, pos.tickUpper, { rpcUrl, blockTag }),
+  ]);
+  const inside = getFeeGrowthInside({
+    tick: state.tick,
+    tickLower: pos.tickLower,
+    tickUpper: pos.tickUpper,
+    lower,
+    upper,
+    ...growth,
+  });
+  return { ...uncollectedFees({ position: pos, ...inside }), ...inside };
+}
+
+// readUncollectedFees for many positions in one batch. Pool-wide reads (globalState,
+// totalFeeGrowth) are shared per pool; each item gets { ok, value, error }.
+export async function readUncollectedFeesBatch(
+  items,
+  { positionManager = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}
+) {
+  const missing = items.filter((item) => !item.position);
+  const fetched = missing.length
+    ? await readPositionsBatch(missing.map((item) => item.tokenId), { positionManager, rpcUrl, blockTag })
+    : [];
+  const positions = items.map((item) => (item.position ? { ok: true, value: item.position, error: null } : fetched[missing.indexOf(item)]));
+
+  const pools = [...new Set(items.map((item) => normalizeAddress(item.poolAddress)).filter(Boolean))];
+  const calls = pools.flatMap((pool) => [
+    { to: pool, data: encodeCallData(SELECTOR.globalState), decode: decodePoolGlobalState },
+    { to: pool, data: encodeCallData(SELECTOR.totalFeeGrowth0Token), decode: decodeFeeGrowthWord },
+    { to: pool, data: encodeCallData(SELECTOR.totalFeeGrowth1Token), decode: decodeFeeGrowthWord },
+  ]);
+  const tickCallAt = new Map();
+  items.forEach((item, i) => {
+    const pos = positions[i];
+    if (!pos.ok || !normalizeAddress(item.poolAddress)) return;
+    tickCallAt.set(i, calls.length);
+    for (const tick of [pos.value.tickLower, pos.value.tickUpper]) {
+      calls.push({ to: item.poolAddress, data: encodeCallData(SELECTOR.poolTick, [encodeIntWord(tick, 24)]), decode: decodePoolTickData });
+    }
+  });
+  const out = await rpcEthCallBatch(calls, { rpcUrl, blockTag });
+
+  return items.map((item, i) => {
+    if (!positions[i].ok) return positions[i];
+    const poolAt = pools.indexOf(normalizeAddress(item.poolAddress));
+    if (poolAt < 0) return { ok: false, value: null, error: new Error(`invalid pool address: ${item.poolAddress}`) };
+    const at = tickCallAt.get(i);
+    const parts = [out[3 * poolAt], out[3 * poolAt + 1], out[3 * poolAt + 2], out[at], out[at + 1]];
+    const failed = parts.find((r) => !r.ok);
+    if (failed) return { ok: false, value: null, error: failed.error };
+    const [state, growth0, growth1, lower, upper] = parts.map((r) => r.value);
+    const pos = positions[i].value;
+    const inside = getFeeGrowthInside({
+      tick: state.tick,
+      tickLower: pos.tickLower,
+      tickUpper: pos.tickUpper,
+      lower,
+      upper,
+      totalFeeGrowth0Token: growth0,
+      totalFeeGrowth1Token: growth1,
+    });
+    return { ok: true, value: { ...uncollectedFees({ position: pos, ...inside }), ...inside }, error: null };
+  });
+}
+
 export async function readPoolVirtualReserves(poolAddress, { rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
   const data = encodeCallData(SELECTOR.poolVirtualReserves);
   const out = await rpcEthCall({ to: poolAddress, data, blockTag, rpcUrl });
@@ -707,70 +1340,52 @@ export async function readPoolVirtualReserves(poolAddress, { rpcUrl = DEFAULT_RP
 
 // ── APR math helpers (pure, no RPC) ──────────────────────────────────────────
 
-const _Q96 = 2n ** 96n;
-
-// Compute HYPE price in USD from sqrtPriceX96 (token0=WHYPE 18dec, token1=USDT0 6dec)
-export function sqrtPriceX96ToHypePrice(sqrtPriceX96) {
-  const sqrtP = Number(sqrtPriceX96) / Number(_Q96);
-  return sqrtP * sqrtP * 1e12; // price_raw * 10^(18-6)
-}
-
-// Compute token amounts per unit of liquidity at current price (in raw token units)
-// Returns { amount0PerL, amount1PerL } as floats
-export function tokenAmountsPerLiquidity(currentTick, tickLower, tickUpper) {
-  const sqrtC = Math.sqrt(1.0001 ** currentTick);
-  const sqrtL = Math.sqrt(1.0001 ** tickLower);
-  const sqrtU = Math.sqrt(1.0001 ** tickUpper);
-  if (currentTick < tickLower) {
-    // price below range: all token0
-    return { amount0PerL: (sqrtU - sqrtL) / (sqrtL * sqrtU), amount1PerL: 0 };
-  } else if (currentTick >= tickUpper) {
-    // price above range: all token1
-    return { amount0PerL: 0, amount1PerL: sqrtU - sqrtL };
-  } else {
-    // in range: mixed
-    return {
-      amount0PerL: (sqrtU - sqrtC) / (sqrtC * sqrtU),
-      amount1PerL: sqrtC - sqrtL,
-    };
-  }
+// Concentration factor: fee share per unit of value vs a full-range position.
+// Both ranges are valued in raw token1 at the pool price, so decimals cancel out.
+export function concentrationFactor(sqrtPriceX96, tickLower, tickUpper) {
+  const unitLiquidity = 1n << 64n;
+  const valueOf = (lower, upper) => {
+    const amounts = getAmountsForLiquidity(sqrtPriceX96, getSqrtRatioAtTick(lower), getSqrtRatioAtTick(upper), unitLiquidity);
+    return positionValueInToken1Raw({ ...amounts, sqrtPriceX96 });
+  };
+  const valRange = valueOf(tickLower, tickUpper);
+  return valRange > 0n ? ratioToNumber(valueOf(MIN_TICK, MAX_TICK), valRange) : 0;
 }
 
-// Compute USD value per unit liquidity for a given range
-// token0=WHYPE(18dec), token1=USDT0(6dec), hypePrice in USD
-export function usdValuePerLiquidity(currentTick, tickLower, tickUpper, hypePrice) {
-  const { amount0PerL, amount1PerL } = tokenAmountsPerLiquidity(currentTick, tickLower, tickUpper);
-  return (amount0PerL / 1e18) * hypePrice + (amount1PerL / 1e6);
+// symbol()/name() may be ABI strings or legacy bytes32.
+function decodeErc20Text(out, fallback) {
+  return decodeAbiString(out) || decodeBytes32String(out) || fallback;
 }
 
-// Concentration factor: how much more per-dollar APR vs full-range position
-export function concentrationFactor(currentTick, tickLower, tickUpper) {
-  const valRange = usdValuePerLiquidity(currentTick, tickLower, tickUpper, 1.0);
-  const valFull = usdValuePerLiquidity(currentTick, -887200, 887200, 1.0);
-  return valRange > 0 ? valFull / valRange : 0;
+function decodeErc20Decimals(out) {
+  const w = decodeWords(out);
+  if (!w.length) throw new Error("decimals returned empty response");
+  return Number(wordToUint(w[0]));
 }
 
-export async function readErc20Symbol(tokenAddress, { rpcUrl = DEFAULT_RPC_URL } = {}) {
-  const out = await rpcEthCall({ to: tokenAddress, data: encodeCallData(SELECTOR.symbol), rpcUrl });
-  const asString = decodeAbiString(out);
-  if (asString) return asString;
-  const asBytes32 = decodeBytes32String(out);
-  return asBytes32 || "TOKEN";
+export async function readErc20Symbol(tokenAddress, { rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
+  const out = await rpcEthCall({ to: tokenAddress, data: encodeCallData(SELECTOR.symbol), blockTag, rpcUrl });
+  return decodeErc20Text(out, "TOKEN");
 }
 
-export async function readErc20Name(tokenAddress, { rpcUrl = DEFAULT_RPC_URL } = {}) {
-  const out = await rpcEthCall({ to: tokenAddress, data: encodeCallData(SELECTOR.name), rpcUrl });
-  const asString = decodeAbiString(out);
-  if (asString) return asString;
-  const asBytes32 = decodeBytes32String(out);
-  return asBytes32 || "Token";
+export async function readErc20Name(tokenAddress, { rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
+  const out = await rpcEthCall({ to: tokenAddress, data: encodeCallData(SELECTOR.name), blockTag, rpcUrl });
+  return decodeErc20Text(out, "Token");
 }
 
-export async function readErc20Decimals(tokenAddress, { rpcUrl = DEFAULT_RPC_URL } = {}) {
-  const out = await rpcEthCall({ to: tokenAddress, data: encodeCallData(SELECTOR.decimals), rpcUrl });
-  const w = decodeWords(out);
-  if (!w.length) throw new Error("decimals returned empty response");
-  return Number(wordToUint(w[0]));
+export async function readErc20Decimals(tokenAddress, { rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
+  const out = await rpcEthCall({ to: tokenAddress, data: encodeCallData(SELECTOR.decimals), blockTag, rpcUrl });
+  return decodeErc20Decimals(out);
+}
+
+// symbol/name/decimals for many tokens in one batch; each field is { ok, value, error }.
+export async function readErc20MetadataBatch(tokenAddresses, { rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
+  const out = await rpcEthCallBatch(tokenAddresses.flatMap((token) => [
+    { to: token, data: encodeCallData(SELECTOR.symbol), decode: (hex) => decodeErc20Text(hex, "TOKEN") },
+    { to: token, data: encodeCallData(SELECTOR.name), decode: (hex) => decodeErc20Text(hex, "Token") },
+    { to: token, data: encodeCallData(SELECTOR.decimals), decode: decodeErc20Decimals },
+  ]), { rpcUrl, blockTag });
+  return tokenAddresses.map((address, i) => ({ address, symbol: out[3 * i], name: out[3 * i + 1], decimals: out[3 * i + 2] }));
 }
 
 export async function readErc20Balance(tokenAddress, ownerAddress, { rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
@@ -794,9 +1409,9 @@ export async function readErc20Allowance(
   return wordToUint(w[0]);
 }
 
-export async function readNftBalance(ownerAddress, { nftContract = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL } = {}) {
+export async function readNftBalance(ownerAddress, { nftContract = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
   const data = encodeCallData(SELECTOR.balanceOf, [encodeAddressWord(ownerAddress)]);
-  const out = await rpcEthCall({ to: nftContract, data, rpcUrl });
+  const out = await rpcEthCall({ to: nftContract, data, blockTag, rpcUrl });
   const w = decodeWords(out);
   if (!w.length) return 0n;
   return wordToUint(w[0]);
@@ -805,29 +1420,38 @@ export async function readNftBalance(ownerAddress, { nftContract = KITTENSWAP_CO
 export async function readTokenOfOwnerByIndex(
   ownerAddress,
   index,
-  { nftContract = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL } = {}
+  { nftContract = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}
 ) {
   const data = encodeCallData(SELECTOR.tokenOfOwnerByIndex, [encodeAddressWord(ownerAddress), encodeUintWord(index)]);
-  const out = await rpcEthCall({ to: nftContract, data, rpcUrl });
+  return decodeTokenOfOwnerByIndex(await rpcEthCall({ to: nftContract, data, blockTag, rpcUrl }));
+}
+
+function decodeTokenOfOwnerByIndex(out) {
   const w = decodeWords(out);
   if (!w.length) throw new Error("tokenOfOwnerByIndex returned empty response");
   return wordToUint(w[0]);
 }
 
-export async function listOwnedTokenIds(ownerAddress, { positionManager = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL } = {}) {
-  const balance = await readNftBalance(ownerAddress, { nftContract: positionManager, rpcUrl });
+export async function listOwnedTokenIds(ownerAddress, { positionManager = KITTENSWAP_CONTRACTS.positionManager, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
+  const balance = await readNftBalance(ownerAddress, { nftContract: positionManager, rpcUrl, blockTag });
   if (balance === 0n) return [];
   const count = Number(balance);
   if (!Number.isSafeInteger(count) || count > OWNER_TOKEN_ENUMERATION_LIMIT) {
     throw new Error(`listOwnedTokenIds: wallet NFT balance ${balance.toString()} exceeds safe enumeration limit of ${OWNER_TOKEN_ENUMERATION_LIMIT}`);
   }
-  const indices = Array.from({ length: count }, (_, i) => BigInt(i));
-  return Promise.all(indices.map((i) => readTokenOfOwnerByIndex(ownerAddress, i, { nftContract: positionManager, rpcUrl })));
+  const out = await rpcEthCallBatch(Array.from({ length: count }, (_, i) => ({
+    to: positionManager,
+    data: encodeCallData(SELECTOR.tokenOfOwnerByIndex, [encodeAddressWord(ownerAddress), encodeUintWord(BigInt(i))]),
+    decode: decodeTokenOfOwnerByIndex,
+  })), { rpcUrl, blockTag });
+  const failed = out.find((r) => !r.ok);
+  if (failed) throw failed.error;
+  return out.map((r) => r.value);
 }
 
 export async function quoteExactInputSingle(
   { tokenIn, tokenOut, deployer, amountIn, limitSqrtPrice = 0n },
-  { quoterV2 = KITTENSWAP_CONTRACTS.quoterV2, rpcUrl = DEFAULT_RPC_URL } = {}
+  { quoterV2 = KITTENSWAP_CONTRACTS.quoterV2, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}
 ) {
   const data = encodeCallData(SELECTOR.quoteExactInputSingle, [
     encodeAddressWord(tokenIn),
@@ -836,7 +1460,7 @@ export async function quoteExactInputSingle(
     encodeUintWord(amountIn),
     encodeUintWord(limitSqrtPrice),
   ]);
-  const out = await rpcEthCall({ to: quoterV2, data, rpcUrl });
+  const out = await rpcEthCall({ to: quoterV2, data, blockTag, rpcUrl });
   const w = decodeWords(out);
   if (w.length < 6) throw new Error(`quoteExactInputSingle returned ${w.length} words (expected >=6)`);
   return {
@@ -849,6 +1473,132 @@ export async function quoteExactInputSingle(
   };
 }
 
+// Algebra Integral path layout: tokenIn | deployer | token | deployer | ... | tokenOut (20 bytes each).
+export const MAX_SWAP_PATH_HOPS = 4;
+
+export function encodeSwapPath({ tokens, deployers = [] } = {}) {
+  if (!Array.isArray(tokens) || tokens.length < 2) throw new Error("swap path requires at least 2 tokens");
+  if (tokens.length - 1 > MAX_SWAP_PATH_HOPS) throw new Error(`swap path exceeds ${MAX_SWAP_PATH_HOPS} hops`);
+  let out = "0x";
+  for (let i = 0; i < tokens.length; i++) {
+    out += strip0x(assertAddress(tokens[i]));
+    if (i < tokens.length - 1) {
+      out += strip0x(assertAddress(deployers[i] ?? "0x0000000000000000000000000000000000000000"));
+    }
+  }
+  return out;
+}
+
+export function decodeSwapPath(pathHex) {
+  const s = strip0x(pathHex).toLowerCase();
+  if (!/^[0-9a-f]*$/.test(s) || s.length < 120 || (s.length - 40) % 80 !== 0) {
+    throw new Error(`Invalid swap path length: ${Math.floor(s.length / 2)} bytes`);
+  }
+  const tokens = [];
+  const deployers = [];
+  for (let i = 0; i < s.length; i += 80) {
+    tokens.push(`0x${s.slice(i, i + 40)}`);
+    if (i + 40 < s.length) deployers.push(`0x${s.slice(i + 40, i + 80)}`);
+  }
+  return { tokens, deployers, hops: deployers.length };
+}
+
+export async function quoteExactInput(
+  { tokens, deployers = [], amountIn },
+  { quoterV2 = KITTENSWAP_CONTRACTS.quoterV2, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}
+) {
+  const path = encodeSwapPath({ tokens, deployers });
+  const data = encodeCallData(SELECTOR.quoteExactInput, [
+    encodeUintWord(64),
+    encodeUintWord(amountIn),
+    ...encodeBytesTailWords(path),
+  ]);
+  const out = await rpcEthCall({ to: quoterV2, data, blockTag, rpcUrl });
+  const w = decodeWords(out);
+  if (w.length < 6) throw new Error(`quoteExactInput returned ${w.length} words (expected >=6)`);
+  const amountOutList = decodeUintArrayAt(w, wordToUint(w[0]));
+  const amountInList = decodeUintArrayAt(w, wordToUint(w[1]));
+  const sqrtPriceX96AfterList = decodeUintArrayAt(w, wordToUint(w[2]));
+  const initializedTicksCrossedList = decodeUintArrayAt(w, wordToUint(w[3])).map(Number);
+  const feeList = decodeUintArrayAt(w, wordToUint(w[5])).map(Number);
+  if (!amountOutList.length) throw new Error("quoteExactInput returned an empty amountOut list");
+  return {
+    path,
+    amountOut: amountOutList[amountOutList.length - 1],
+    amountIn: amountInList.length ? amountInList[0] : BigInt(amountIn),
+    amountOutList,
+    amountInList,
+    sqrtPriceX96AfterList,
+    initializedTicksCrossedList,
+    gasEstimate: wordToUint(w[4]),
+    feeList,
+  };
+}
+
+export async function quoteExactOutputSingle(
+  { tokenIn, tokenOut, deployer, amountOut, limitSqrtPrice = 0n },
+  { quoterV2 = KITTENSWAP_CONTRACTS.quoterV2, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}
+) {
+  const data = encodeCallData(SELECTOR.quoteExactOutputSingle, [
+    encodeAddressWord(tokenIn),
+    encodeAddressWord(tokenOut),
+    encodeAddressWord(deployer),
+    encodeUintWord(amountOut),
+    encodeUintWord(limitSqrtPrice),
+  ]);
+  const out = await rpcEthCall({ to: quoterV2, data, blockTag, rpcUrl });
+  const w = decodeWords(out);
+  if (w.length < 6) throw new Error(`quoteExactOutputSingle returned ${w.length} words (expected >=6)`);
+  return {
+    amountOut: wordToUint(w[0]),
+    amountIn: wordToUint(w[1]),
+    sqrtPriceX96After: wordToUint(w[2]),
+    initializedTicksCrossed: Number(wordToUint(w[3])),
+    gasEstimate: wordToUint(w[4]),
+    fee: Number(wordToUint(w[5])),
+  };
+}
+
+// exactOutput paths are encoded tokenOut-first; callers pass tokens in swap order and
+// the returned per-hop lists are flipped back to swap order.
+export function encodeExactOutputSwapPath({ tokens, deployers = [] } = {}) {
+  if (!Array.isArray(tokens)) throw new Error("swap path requires at least 2 tokens");
+  const hopDeployers = tokens.slice(1).map((_, i) => deployers[i] ?? "0x0000000000000000000000000000000000000000");
+  return encodeSwapPath({ tokens: [...tokens].reverse(), deployers: hopDeployers.reverse() });
+}
+
+export async function quoteExactOutput(
+  { tokens, deployers = [], amountOut },
+  { quoterV2 = KITTENSWAP_CONTRACTS.quoterV2, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}
+) {
+  const path = encodeExactOutputSwapPath({ tokens, deployers });
+  const data = encodeCallData(SELECTOR.quoteExactOutput, [
+    encodeUintWord(64),
+    encodeUintWord(amountOut),
+    ...encodeBytesTailWords(path),
+  ]);
+  const out = await rpcEthCall({ to: quoterV2, data, blockTag, rpcUrl });
+  const w = decodeWords(out);
+  if (w.length < 6) throw new Error(`quoteExactOutput returned ${w.length} words (expected >=6)`);
+  const amountOutList = decodeUintArrayAt(w, wordToUint(w[0])).reverse();
+  const amountInList = decodeUintArrayAt(w, wordToUint(w[1])).reverse();
+  const sqrtPriceX96AfterList = decodeUintArrayAt(w, wordToUint(w[2])).reverse();
+  const initializedTicksCrossedList = decodeUintArrayAt(w, wordToUint(w[3])).map(Number).reverse();
+  const feeList = decodeUintArrayAt(w, wordToUint(w[5])).map(Number).reverse();
+  if (!amountInList.length) throw new Error("quoteExactOutput returned an empty amountIn list");
+  return {
+    path,
+    amountIn: amountInList[0],
+    amountOut: amountOutList.length ? amountOutList[amountOutList.length - 1] : BigInt(amountOut),
+    amountOutList,
+    amountInList,
+    sqrtPriceX96AfterList,
+    initializedTicksCrossedList,
+    gasEstimate: wordToUint(w[4]),
+    feeList,
+  };
+}
+
 export function toHexQuantity(value) {
   const n = typeof value === "bigint" ? value : BigInt(String(value));
   if (n < 0n) throw new Error(`Negative hex quantity is invalid: ${value}`);
@@ -969,6 +1719,24 @@ export function buildDecreaseLiquidityCalldata({ tokenId, liquidity, amount0Min
   ]);
 }
 
+export function buildIncreaseLiquidityCalldata({
+  tokenId,
+  amount0Desired,
+  amount1Desired,
+  amount0Min = 0n,
+  amount1Min = 0n,
+  deadline,
+}) {
+  return encodeCallData(SELECTOR.increaseLiquidity, [
+    encodeUintWord(tokenId),
+    encodeUintWord(amount0Desired),
+    encodeUintWord(amount1Desired),
+    encodeUintWord(amount0Min),
+    encodeUintWord(amount1Min),
+    encodeUintWord(deadline),
+  ]);
+}
+
 export function buildBurnCalldata({ tokenId }) {
   return encodeCallData(SELECTOR.burn, [encodeUintWord(tokenId)]);
 }
@@ -1101,6 +1869,80 @@ export function buildSwapExactInputSingleCalldata({
   ]);
 }
 
+export function buildSwapExactInputCalldata({
+  tokens,
+  deployers = [],
+  recipient,
+  deadline,
+  amountIn,
+  amountOutMinimum,
+}) {
+  const path = encodeSwapPath({ tokens, deployers });
+  // exactInput takes a single dynamic tuple: head offset, 5 tuple words, then the path bytes.
+  return encodeCallData(SELECTOR.exactInput, [
+    encodeUintWord(32),
+    encodeUintWord(160),
+    encodeAddressWord(recipient),
+    encodeUintWord(deadline),
+    encodeUintWord(amountIn),
+    encodeUintWord(amountOutMinimum),
+    ...encodeBytesTailWords(path),
+  ]);
+}
+
+export function buildSwapExactOutputSingleCalldata({
+  tokenIn,
+  tokenOut,
+  deployer,
+  recipient,
+  deadline,
+  amountOut,
+  amountInMaximum,
+  limitSqrtPrice = 0n,
+}) {
+  const maxUint160 = (1n << 160n) - 1n;
+  const limit = typeof limitSqrtPrice === "bigint" ? limitSqrtPrice : BigInt(String(limitSqrtPrice ?? 0));
+  if (limit < 0n || limit > maxUint160) {
+    throw new Error(`limitSqrtPrice out of uint160 range: ${String(limitSqrtPrice)}`);
+  }
+  return encodeCallData(SELECTOR.exactOutputSingle, [
+    encodeAddressWord(tokenIn),
+    encodeAddressWord(tokenOut),
+    encodeAddressWord(deployer),
+    encodeAddressWord(recipient),
+    encodeUintWord(deadline),
+    encodeUintWord(amountOut),
+    encodeUintWord(amountInMaximum),
+    encodeUintWord(limit),
+  ]);
+}
+
+export function buildSwapExactOutputCalldata({
+  tokens,
+  deployers = [],
+  recipient,
+  deadline,
+  amountOut,
+  amountInMaximum,
+}) {
+  const path = encodeExactOutputSwapPath({ tokens, deployers });
+  return encodeCallData(SELECTOR.exactOutput, [
+    encodeUintWord(32),
+    encodeUintWord(160),
+    encodeAddressWord(recipient),
+    encodeUintWord(deadline),
+    encodeUintWord(amountOut),
+    encodeUintWord(amountInMaximum),
+    ...encodeBytesTailWords(path),
+  ]);
+}
+
+// exactOutput shares the exactInput tuple layout, so both use the same length guard.
+export function expectedExactInputCalldataBytes(hops) {
+  const pathBytes = 20 + (40 * Number(hops));
+  return 4 + (32 * (7 + Math.ceil(pathBytes / 32)));
+}
+
 export function decodeTwoUint256Return(dataHex, { label = "call" } = {}) {
   const words = decodeWords(dataHex);
   if (words.length < 2) {
@@ -1165,8 +2007,8 @@ export async function simulateDecreaseLiquidity(
   return { ...decoded, data, returnData: out };
 }
 
-export async function readRouterWNativeToken({ router = KITTENSWAP_CONTRACTS.router, rpcUrl = DEFAULT_RPC_URL } = {}) {
-  const out = await rpcEthCall({ to: router, data: encodeCallData(SELECTOR.WNativeToken), rpcUrl });
+export async function readRouterWNativeToken({ router = KITTENSWAP_CONTRACTS.router, rpcUrl = DEFAULT_RPC_URL, blockTag = "latest" } = {}) {
+  const out = await rpcEthCall({ to: router, data: encodeCallData(SELECTOR.WNativeToken), blockTag, rpcUrl });
   const w = decodeWords(out);
   if (!w.length) throw new Error("WNativeToken() returned empty response");
   const addr = wordToAddress(w[0]);
@@ -1195,7 +2037,7 @@ export async function isContractAddress(address, { rpcUrl = DEFAULT_RPC_URL } =
   }
 }
 
-export async function estimateCallGas({ from, to, data, value = 0n }, { rpcUrl = DEFAULT_RPC_URL } = {}) {
+export async function estimateCallGas({ from, to, data, value = 0n }, { rpcUrl = DEFAULT_RPC_URL, blockTag = null } = {}) {
   try {
     const gasHex = await rpcEstimateGas(
       {
@@ -1204,7 +2046,7 @@ export async function estimateCallGas({ from, to, data, value = 0n }, { rpcUrl =
         data,
         value: toHexQuantity(value),
       },
-      { rpcUrl }
+      { rpcUrl, blockTag }
     );
     return { ok: true, gasHex, gas: BigInt(gasHex) };
   } catch (e) {
@@ -1222,13 +2064,27 @@ export function parseTokenId(input) {
   return BigInt(s);
 }
 
+const BLOCK_TAG_NAMES = new Set(["latest", "earliest", "safe", "finalized", "pending"]);
+
+// --block accepts a decimal number, a 0x quantity or a named tag; returns an eth_call block tag.
+export function parseBlockTag(input, fallback = "latest") {
+  const s = String(input ?? "").trim().toLowerCase();
+  if (!s) return fallback;
+  if (BLOCK_TAG_NAMES.has(s)) return s;
+  if (/^\d+$/.test(s)) return toHexQuantity(BigInt(s));
+  if (/^0x[0-9a-f]+$/.test(s)) return toHexQuantity(BigInt(s));
+  throw new Error(`Invalid --block: ${input} (expected a block number, 0x quantity or latest|earliest|safe|finalized|pending)`);
+}
+
 export function parseBps(input, fallback, { min = 0, max = 10_000 } = {}) {
+  if (input == null || String(input).trim() === "") return fallback;
   const n = Number(input);
   if (!Number.isFinite(n)) return fallback;
   return Math.min(max, Math.max(min, Math.floor(n)));
 }
 
 export function parseSeconds(input, fallback, { min = 1, max = 86_400 } = {}) {
+  if (input == null || String(input).trim() === "") return fallback;
   const n = Number(input);
   if (!Number.isFinite(n)) return fallback;
   return Math.min(max, Math.max(min, Math.floor(n)));
@@ -2,11 +2,17 @@
 // Command + NL interface for Kittenswap LP rebalance planning on HyperEVM.
 
 import { readFile, writeFile, mkdir } from "node:fs/promises";
+import path from "node:path";
+import { setTimeout as sleep } from "node:timers/promises";
+import { fileURLToPath } from "node:url";
 
 import {
   DEFAULT_CHAIN_ID,
   DEFAULT_RPC_URL,
+  DEFAULT_RPC_URLS,
+  DEFAULT_RPC_QUORUM,
   KITTENSWAP_CONTRACTS,
+  SELECTOR,
   normalizeAddress,
   assertAddress,
   assertTxHash,
@@ -16,7 +22,9 @@ import {
   rpcChainId,
   rpcBlockNumber,
   rpcGetBlockByNumber,
+  rpcBatch,
   rpcGasPrice,
+  rpcEndpointHealth,
   rpcSendRawTransaction,
   waitForReceipt,
   receiptStatus,
@@ -27,12 +35,20 @@ import {
   readPositionFarmingApproval,
   readTokenFarmedIn,
   readPosition,
+  readPositionsBatch,
+  readPositionQuorum,
+  resolveQuorumBlock,
+  readUncollectedFees,
+  readUncollectedFeesBatch,
   readPoolAddressByPair,
+  readPoolAddressesByPairBatch,
+  readPoolStatesBatch,
   readPoolToken0,
   readPoolToken1,
   readEternalFarmingIncentiveKey,
   readEternalFarmingIncentive,
   readFarmingCenterDeposit,
+  readFarmStakeStatesBatch,
   readEternalFarmingRewardBalance,
   readEternalFarmingRewardInfo,
   readEternalVirtualPoolRewardState,
@@ -40,19 +56,27 @@ import {
   readPoolTickSpacing,
   readPoolLiquidity,
   readPoolVirtualReserves,
-  sqrtPriceX96ToHypePrice,
   concentrationFactor,
   readErc20Symbol,
   readErc20Name,
   readErc20Decimals,
+  readErc20MetadataBatch,
   readErc20Balance,
   readErc20Allowance,
   listOwnedTokenIds,
   quoteExactInputSingle,
+  quoteExactInput,
+  quoteExactOutputSingle,
+  quoteExactOutput,
+  decodeSwapPath,
+  MAX_SWAP_PATH_HOPS,
+  decodeTwoUint256Return,
   simulateCollect,
   simulateDecreaseLiquidity,
   parseTokenId,
+  parseBlockTag,
   parseDecimalToUnits,
+  parsePositiveDecimal,
   formatUnits,
   parseBps,
   parseSeconds,
@@ -63,6 +87,7 @@ import {
   tickToPrice,
   buildCollectCalldata,
   buildDecreaseLiquidityCalldata,
+  buildIncreaseLiquidityCalldata,
   buildBurnCalldata,
   buildMintCalldata,
   buildApproveCalldata,
@@ -74,6 +99,10 @@ import {
   buildFarmingClaimRewardCalldata,
   hashIncentiveKey,
   buildSwapExactInputSingleCalldata,
+  buildSwapExactInputCalldata,
+  buildSwapExactOutputSingleCalldata,
+  buildSwapExactOutputCalldata,
+  expectedExactInputCalldataBytes,
   estimateCallGas,
   toHexQuantity,
   maxUint128,
@@ -92,9 +121,17 @@ import {
   upsertPolicy,
 } from "./kittenswap_rebalance_config.mjs";
 
-import { DEFAULT_POLICY, DEFAULT_HEARTBEAT, DEFAULT_APR_HALF_RANGE_TICKS, defaultsSnapshot } from "./krlp_defaults.mjs";
+import { DEFAULT_POLICY, DEFAULT_HEARTBEAT, DEFAULT_APR_HALF_RANGE_TICKS, DEFAULT_VOLATILITY_WIDTH, defaultsSnapshot } from "./krlp_defaults.mjs";
 import { renderCommandJson, COMMAND_MANIFEST } from "./krlp_json_output.mjs";
-import { buildRoutingNotes } from "./krlp_routing_metadata.mjs";
+import { rpcFixtureMode } from "./krlp_rpc_fixtures.mjs";
+import { LOG_TOPICS, addressTopic, decodeIndexedLog, getLogsChunked, queryLogIndex, readLogIndexCursor, syncLogIndex } from "./krlp_log_indexer.mjs";
+import {
+  DEFAULT_CHAIN_MAX_GAP_BLOCKS,
+  HISTORY_STREAMS,
+  buildPositionTimeline,
+  findPredecessorTimeline,
+} from "./krlp_position_history.mjs";
+import { buildRoutingNotes, resolvePreferredRouteVia } from "./krlp_routing_metadata.mjs";
 import {
   DEFAULT_USD_STABLE_TOKEN,
   KITTEN_TOKEN_ADDRESS,
@@ -106,12 +143,66 @@ import {
   findInventoryPairByTokens,
   resolvePairRef,
   resolveTokenRef,
+  tokenMetaForAddress,
 } from "./krlp_pool_registry.mjs";
+import {
+  DEFAULT_ROUTE_MAX_CANDIDATES,
+  DEFAULT_ROUTE_MAX_HOPS,
+  enumerateInventoryRoutes,
+  getInventoryGraphStats,
+} from "./krlp_route_graph.mjs";
+import {
+  DEFAULT_SIGN_GAS_BUFFER_BPS,
+  TX_TYPE_EIP1559,
+  TX_TYPE_LEGACY,
+  createCommandSigner,
+  createKeystoreSigner,
+  createPrivateKeySigner,
+  decodeSignedTransaction,
+  decryptKeystore,
+  extractPlanTxTemplates,
+  gasLimitWithBuffer,
+  planSender,
+  signTransaction,
+} from "./krlp_signer.mjs";
+import {
+  STEP_STATUS,
+  createJournal,
+  defaultJournalPath,
+  loadJournal,
+  planDigest,
+  updateJournalStep,
+} from "./krlp_execution_journal.mjs";
+import {
+  collectPlanTemplates,
+  findPlanFingerprint,
+  planDeadlineSeconds,
+  planFingerprintTtlSeconds,
+  recordPlanFingerprints,
+  txFingerprint,
+} from "./krlp_plan_store.mjs";
+import {
+  Q96,
+  Q192,
+  getLiquidityForAmounts,
+  getSqrtRatioAtTick,
+  mulDiv,
+  positionAmountsForLiquidity,
+  positionValueInToken1Raw,
+  ratioToNumber,
+  sqrtPriceX96ToPrice,
+  swapToRangeRatio,
+} from "./krlp_liquidity_math.mjs";
+import { halfWidthForStayProbability, heartbeatRangeModel, realizedTickVolatility, stayInRangeProbability } from "./krlp_range_volatility.mjs";
 
 const INVENTORY_JSON_URL = new URL("../references/kittenswap-token-pair-inventory.json", import.meta.url);
-const HEARTBEAT_APR_STATE_URL = new URL("../state/heartbeat-apr-state.json", import.meta.url);
+const DEFAULT_HEARTBEAT_APR_STATE_PATH = fileURLToPath(new URL("../state/heartbeat-apr-state.json", import.meta.url));
 const HEARTBEAT_APR_STATE_VERSION = 1;
 
+function heartbeatAprStatePath() {
+  return process.env.KRLP_HEARTBEAT_APR_STATE_PATH || DEFAULT_HEARTBEAT_APR_STATE_PATH;
+}
+
 function stripPrefix(raw) {
   const t = raw.trim();
   const lower = t.toLowerCase();
@@ -156,12 +247,17 @@ function extractGlobalFlags(tokens) {
   const flags = {
     json: false,
     strict: false,
+    recordPlan: true,
   };
   for (const token of tokens) {
     if (token === "--json") {
       flags.json = true;
       continue;
     }
+    if (token === "--record-plan" || token === "--no-record-plan") {
+      flags.recordPlan = token === "--record-plan";
+      continue;
+    }
     if (token === "--strict") {
       flags.strict = true;
       continue;
@@ -218,7 +314,7 @@ function buildHeartbeatAprStateKey({ owner, tokenId, rewardTokenAddress }) {
 
 async function loadHeartbeatAprState() {
   try {
-    const raw = await readFile(HEARTBEAT_APR_STATE_URL, "utf8");
+    const raw = await readFile(heartbeatAprStatePath(), "utf8");
     const parsed = JSON.parse(raw);
     if (!parsed || typeof parsed !== "object") throw new Error("invalid heartbeat apr state");
     const samples = parsed.samples && typeof parsed.samples === "object" ? parsed.samples : {};
@@ -240,8 +336,9 @@ async function persistHeartbeatAprState(state) {
     samples: state?.samples && typeof state.samples === "object" ? state.samples : {},
   };
   try {
-    await mkdir(new URL("../state/", import.meta.url), { recursive: true });
-    await writeFile(HEARTBEAT_APR_STATE_URL, `${JSON.stringify(payload, null, 2)}\n`, "utf8");
+    const statePath = heartbeatAprStatePath();
+    await mkdir(path.dirname(statePath), { recursive: true });
+    await writeFile(statePath, `${JSON.stringify(payload, null, 2)}\n`, "utf8");
   } catch {
     // non-fatal for heartbeat output; skip persistence errors
   }
@@ -368,8 +465,8 @@ const MIN_ALGEBRA_TICK = -887272;
 const MAX_ALGEBRA_TICK = 887272;
 const MAX_PLAN_STALENESS_BLOCKS = 40;
 const MIN_DEPENDENCY_CONFIRMATIONS = 1;
+const REPLACED_RECHECK_MS = 1_000; // one more receipt lookup before a consumed nonce counts as replaced
 const SECONDS_PER_YEAR = 31_536_000;
-const HYPERSCAN_API_V2 = process.env.HYPERSCAN_API_V2 || "https://www.hyperscan.com/api/v2";
 const POOL_SWAP_TOPIC0 = "0xc42079f94a6350d7e6235f29174924f928cc2ac818eb64fed8004e115fbcca67";
 const AUTO_KEY_NONCE_SCAN_LIMIT = (() => {
   const raw = Number(process.env.KRLP_AUTO_KEY_NONCE_SCAN_LIMIT || 64);
@@ -379,10 +476,6 @@ const AUTO_KEY_NONCE_FORWARD_SCAN_LIMIT = (() => {
   const raw = Number(process.env.KRLP_AUTO_KEY_NONCE_FORWARD_SCAN_LIMIT || 8);
   return Number.isFinite(raw) && raw >= 0 ? Math.floor(raw) : 8;
 })();
-const AUTO_KEY_HISTORY_SCAN_PAGES = (() => {
-  const raw = Number(process.env.KRLP_AUTO_KEY_HISTORY_SCAN_PAGES || 8);
-  return Number.isFinite(raw) && raw >= 1 ? Math.floor(raw) : 8;
-})();
 
 function hasFarmingTokenTransferApproval({ tokenApproval, operatorApproved, farmingCenter }) {
   if (operatorApproved === true) return true;
@@ -440,10 +533,11 @@ function buildKittenSwapRoutingNotes({
   });
 }
 
-function createStableQuoteContext({ stableToken = DEFAULT_USD_STABLE_TOKEN, deployer = ZERO_ADDRESS } = {}) {
+function createStableQuoteContext({ stableToken = DEFAULT_USD_STABLE_TOKEN, deployer = ZERO_ADDRESS, blockTag = "latest" } = {}) {
   return {
     stableToken: assertAddress(stableToken),
     deployer: assertAddress(deployer),
+    blockTag,
     tokenMetaCache: new Map(),
     quoteCache: new Map(),
   };
@@ -455,119 +549,81 @@ function maybeBlockTagFromNumber(blockNumber) {
   return toHexQuantity(BigInt(Math.floor(n)));
 }
 
-function queryString(params = {}) {
-  const qs = new URLSearchParams();
-  for (const [k, v] of Object.entries(params)) {
-    if (v == null || v === "") continue;
-    qs.set(k, String(v));
-  }
-  const out = qs.toString();
-  return out ? `?${out}` : "";
+function pushBlockPinLine(lines, blockTag) {
+  if (!blockTag || blockTag === "latest") return;
+  const label = /^0x[0-9a-f]+$/.test(blockTag) ? `${BigInt(blockTag).toString()} (${blockTag})` : blockTag;
+  lines.push(`- block: ${label} (pinned via --block; all reads use this block)`);
 }
 
-async function fetchJsonWithRetry(url, { tries = 3, baseDelayMs = 250 } = {}) {
-  let lastErr = null;
-  for (let i = 0; i < tries; i++) {
-    try {
-      const res = await fetch(url, { method: "GET", headers: { Accept: "application/json" } });
-      const txt = await res.text();
-      if (!res.ok) throw new Error(`HTTP ${res.status}: ${txt.slice(0, 240)}`);
-      return txt ? JSON.parse(txt) : null;
-    } catch (err) {
-      lastErr = err;
-      if (i >= tries - 1) break;
-      await new Promise((resolve) => setTimeout(resolve, baseDelayMs * 2 ** i));
-    }
+// Multi-read scans resolve their block once so a chain advancing mid-scan cannot mix states.
+async function resolveSnapshotBlockTag(blockTag = "latest") {
+  if (/^0x[0-9a-f]+$/.test(blockTag)) return blockTag;
+  const block = await withRpcRetry(() => rpcGetBlockByNumber(blockTag, false));
+  if (!block?.number) throw new Error(`Could not resolve block ${blockTag} for a consistent snapshot`);
+  return toHexQuantity(BigInt(block.number));
+}
+
+function pushSnapshotBlockLine(lines, { requestedTag, blockTag }) {
+  if (requestedTag !== "latest") {
+    pushBlockPinLine(lines, blockTag);
+    return;
   }
-  throw lastErr || new Error(`Failed to fetch ${url}`);
+  lines.push(`- snapshot block: ${BigInt(blockTag).toString()} (${blockTag}) (latest at scan start; all reads use this block)`);
 }
 
-async function inferRouterApprovalAfterFailedSwap({ ownerAddress, failedBlock, lookAheadBlocks = 120, maxPages = 3 } = {}) {
+// An approve(router, ...) from the owner shortly after a failed swap is read from Approval logs.
+async function inferRouterApprovalAfterFailedSwap({ ownerAddress, failedBlock, lookAheadBlocks = 120 } = {}) {
   const owner = normalizeAddress(ownerAddress);
   if (!owner || !Number.isFinite(Number(failedBlock))) return null;
 
-  let next = null;
-  for (let page = 0; page < maxPages; page++) {
-    const url = `${HYPERSCAN_API_V2}/addresses/${owner}/transactions${queryString(next || {})}`;
-    const res = await fetchJsonWithRetry(url).catch(() => null);
-    const items = Array.isArray(res?.items) ? res.items : [];
-    for (const tx of items) {
-      const block = Number(tx?.block_number || 0);
-      if (!Number.isFinite(block) || block <= 0) continue;
-      if (block < failedBlock - 4) return null;
-      if (block <= failedBlock || block > failedBlock + lookAheadBlocks) continue;
-      const method = String(tx?.method || "").toLowerCase();
-      if (method !== "approve" && method !== "0x095ea7b3") continue;
-      const hash = String(tx?.hash || "").toLowerCase();
-      if (!/^0x[0-9a-f]{64}$/.test(hash)) continue;
-      const detail = await fetchJsonWithRetry(`${HYPERSCAN_API_V2}/transactions/${hash}`).catch(() => null);
-      const params = Array.isArray(detail?.decoded_input?.parameters) ? detail.decoded_input.parameters : [];
-      const spenderParam = params.find((p) => {
-        const n = String(p?.name || "").toLowerCase();
-        return n === "spender" || n === "guy";
-      });
-      const spender = normalizeAddress(spenderParam?.value || "");
-      if (spender === KITTENSWAP_CONTRACTS.router) {
-        return { approvalTxHash: hash, approvalBlock: block };
-      }
-    }
-    if (!res?.next_page_params) break;
-    next = res.next_page_params;
-  }
-  return null;
+  const head = (await withRpcRetry(() => rpcBlockNumber())).decimal;
+  const fromBlock = Number(failedBlock) + 1;
+  const toBlock = Math.min(head, Number(failedBlock) + lookAheadBlocks);
+  if (toBlock < fromBlock) return null;
+  const { logs } = await getLogsChunked({
+    topics: [LOG_TOPICS.Approval, addressTopic(owner), addressTopic(KITTENSWAP_CONTRACTS.router)],
+    fromBlock,
+    toBlock,
+  });
+  const first = logs.find((log) => /^0x[0-9a-f]{64}$/.test(String(log?.transactionHash || "").toLowerCase()));
+  if (!first) return null;
+  return {
+    approvalTxHash: String(first.transactionHash).toLowerCase(),
+    approvalBlock: Number(BigInt(first.blockNumber)),
+    token: normalizeAddress(first.address),
+  };
 }
 
-async function inferFarmingKeyFromExplorerHistory({
-  ownerAddress,
-  tokenId,
-  poolAddress = null,
-  farmingCenterAddress = KITTENSWAP_CONTRACTS.farmingCenter,
-  maxPages = AUTO_KEY_HISTORY_SCAN_PAGES,
-} = {}) {
-  const owner = normalizeAddress(ownerAddress);
-  const farmingCenter = normalizeAddress(farmingCenterAddress);
-  const pool = poolAddress ? normalizeAddress(poolAddress) : null;
-  if (!owner || !farmingCenter) return null;
+// The deposit's incentive id is matched against EternalFarmingCreated keys in the local log
+// index, so keys of ended or replaced incentives resolve too. Plans only read the index; a
+// miss reports the farming stream's coverage (null when it was never synced).
+async function inferFarmingKeyFromLogIndex({ tokenId, poolAddress = null, depositIncentiveId = null } = {}) {
   if (tokenId == null) return null;
+  const pool = poolAddress ? normalizeAddress(poolAddress) : null;
 
-  const selectors = [
-    { selector: "0x5739f0b9", method: "enterFarming" },
-    { selector: "0x6af00aee", method: "collectRewards" },
-    { selector: "0x4473eca6", method: "exitFarming" },
-  ];
-
-  let next = null;
-  for (let page = 0; page < maxPages; page++) {
-    const url = `${HYPERSCAN_API_V2}/addresses/${owner}/transactions${queryString(next || {})}`;
-    const res = await fetchJsonWithRetry(url).catch(() => null);
-    const items = Array.isArray(res?.items) ? res.items : [];
-    for (const tx of items) {
-      const to = normalizeAddress(tx?.to?.hash || tx?.to || "");
-      if (to !== farmingCenter) continue;
-      const rawInput = String(tx?.raw_input || tx?.input || "").toLowerCase();
-      if (!rawInput.startsWith("0x")) continue;
-      for (const candidate of selectors) {
-        if (!rawInput.startsWith(candidate.selector)) continue;
-        const decoded = decodeFarmingActionInput(rawInput, candidate.selector);
-        if (!decoded) continue;
-        if (decoded.tokenId !== tokenId) continue;
-        if (pool && decoded.pool !== pool) continue;
-        return {
-          key: normalizeIncentiveKey({
-            rewardToken: decoded.rewardToken,
-            bonusRewardToken: decoded.bonusRewardToken,
-            pool: decoded.pool,
-            nonce: decoded.nonce,
-          }),
-          source: `history:${candidate.method}`,
-          sourceTxHash: String(tx?.hash || "").toLowerCase() || null,
-        };
-      }
-    }
-    if (!res?.next_page_params) break;
-    next = res.next_page_params;
-  }
-  return null;
+  const coverage = (await readLogIndexCursor()).streams.farming || null;
+  if (!coverage) return { key: null, coverage };
+  const events = await queryLogIndex({ stream: "farming", event: ["FarmEntered", "EternalFarmingCreated"] });
+  const entered = events.filter((e) => e.event === "FarmEntered" && e.args.tokenId === tokenId.toString()).at(-1) || null;
+  const incentiveId = String(depositIncentiveId || entered?.args.incentiveId || "").toLowerCase();
+  if (!/^0x[0-9a-f]{64}$/.test(incentiveId) || incentiveId === ZERO_BYTES32) return { key: null, coverage };
+
+  const created = events.find((e) => (
+    e.event === "EternalFarmingCreated"
+    && e.args.incentiveId === incentiveId
+    && (!pool || e.args.pool === pool)
+  ));
+  if (!created) return { key: null, coverage };
+  return {
+    key: normalizeIncentiveKey({
+      rewardToken: created.args.rewardToken,
+      bonusRewardToken: created.args.bonusRewardToken,
+      pool: created.args.pool,
+      nonce: BigInt(created.args.nonce),
+    }),
+    source: "log-index:EternalFarmingCreated",
+    sourceTxHash: entered?.txHash || created.txHash,
+  };
 }
 
 function splitHexWords(dataHex) {
@@ -612,67 +668,24 @@ function decodePoolSwapLog(log) {
   const tickRaw = parseSignedWord(words[4], 24);
   if (amount0 == null || amount1 == null || priceSqrtX96 == null || liquidity == null || tickRaw == null) return null;
 
-  const blockNumber = Number(log?.block_number || 0);
   return {
     amount0,
     amount1,
     priceSqrtX96,
     liquidity,
     tick: Number(tickRaw),
-    blockNumber: Number.isFinite(blockNumber) ? blockNumber : null,
-    txHash: String(log?.transaction_hash || ""),
+    blockNumber: log?.blockNumber == null ? null : Number(BigInt(log.blockNumber)),
+    txHash: String(log?.transactionHash || ""),
   };
 }
 
-async function fetchAddressLogsWindow({
-  address,
-  fromBlock,
-  toBlock,
-  topic0 = "",
-  maxPages = 200,
-} = {}) {
+async function fetchAddressLogsWindow({ address, fromBlock, toBlock, topic0 = "" } = {}) {
   const addr = normalizeAddress(address || "");
   if (!addr) throw new Error(`Invalid address for logs scan: ${address}`);
-  const from = Number(fromBlock);
-  const to = Number(toBlock);
-  if (!Number.isFinite(from) || !Number.isFinite(to) || from < 0 || to < from) {
-    throw new Error(`Invalid block window for logs scan: from=${fromBlock} to=${toBlock}`);
-  }
-
-  const wantTopic0 = String(topic0 || "").toLowerCase();
-  const logs = [];
-  let next = { items_count: 50 };
-  let pages = 0;
-  let truncated = false;
-
-  for (; pages < maxPages; pages++) {
-    const url = `${HYPERSCAN_API_V2}/addresses/${addr}/logs${queryString(next)}`;
-    const res = await fetchJsonWithRetry(url).catch((e) => {
-      throw new Error(`Explorer log scan failed: ${e?.message || String(e)}`);
-    });
-    const items = Array.isArray(res?.items) ? res.items : [];
-    if (!items.length) break;
-
-    let hitOlder = false;
-    for (const item of items) {
-      const bn = Number(item?.block_number || 0);
-      if (!Number.isFinite(bn) || bn <= 0) continue;
-      if (bn > to) continue;
-      if (bn < from) {
-        hitOlder = true;
-        continue;
-      }
-      const t0 = String((Array.isArray(item?.topics) ? item.topics[0] : "") || "").toLowerCase();
-      if (wantTopic0 && t0 !== wantTopic0) continue;
-      logs.push(item);
-    }
-    if (hitOlder) break;
-    if (!res?.next_page_params) break;
-    next = res.next_page_params;
-  }
-
-  if (pages >= maxPages) truncated = true;
-  return { logs, pages, truncated };
+  const topics = topic0 ? [String(topic0).toLowerCase()] : [];
+  return getLogsChunked({ address: addr, topics, fromBlock, toBlock }).catch((e) => {
+    throw new Error(`eth_getLogs scan failed: ${e?.message || String(e)}`);
+  });
 }
 
 function summarizeGasEstimates(gasRows = []) {
@@ -823,6 +836,80 @@ function buildMintRangeCommandArgs({
   return parts.join(" ");
 }
 
+const WIDTH_MODES = ["fixed", "volatility"];
+
+function parseWidthMode(input) {
+  const mode = String(input ?? "").trim().toLowerCase() || "fixed";
+  if (!WIDTH_MODES.includes(mode)) throw new Error(`Invalid --width-mode: ${input} (expected ${WIDTH_MODES.join("|")})`);
+  return mode;
+}
+
+async function estimatePoolTickVolatility(pool, { lookbackBlocks }) {
+  const head = (await withRpcRetry(() => rpcBlockNumber())).decimal;
+  const fromBlock = Math.max(1, head - lookbackBlocks + 1);
+  const scan = await fetchAddressLogsWindow({ address: pool, fromBlock, toBlock: head, topic0: POOL_SWAP_TOPIC0 });
+  const swaps = scan.logs.map((l) => decodePoolSwapLog(l)).filter(Boolean);
+  if (swaps.length < 2) {
+    throw new Error(`Only ${swaps.length} Swap log(s) in blocks ${fromBlock}..${head}; too few to estimate volatility (raise --vol-lookback-blocks or pass --width-ticks)`);
+  }
+  const [blockFrom, blockTo] = await Promise.all(
+    [fromBlock, head].map((n) => withRpcRetry(() => rpcGetBlockByNumber(toHexQuantity(BigInt(n)), false))),
+  );
+  const windowSeconds = Math.max(1, Number(BigInt(blockTo?.timestamp || 0) - BigInt(blockFrom?.timestamp || 0)));
+  return {
+    fromBlock,
+    toBlock: head,
+    windowSeconds,
+    ...realizedTickVolatility(swaps.map((sw) => sw.tick), { windowSeconds }),
+  };
+}
+
+// --width-mode volatility: the total width (rounded up to the spacing) for which a range
+// centered on the current tick stays in range with the target probability over the horizon.
+async function resolveVolatilityWidth({ pool, spacing, widthModeRef, volLookbackBlocksRef, horizonHoursRef, inRangePctRef }) {
+  if (parseWidthMode(widthModeRef) !== "volatility") return null;
+  const lookbackBlocks = parseOptionalInteger(volLookbackBlocksRef, DEFAULT_VOLATILITY_WIDTH.lookbackBlocks, { field: "--vol-lookback-blocks", min: 10 });
+  const horizonHours = Number(parsePositiveDecimal(horizonHoursRef || DEFAULT_VOLATILITY_WIDTH.horizonHours, { field: "--horizon-hours" }));
+  const inRangePct = Number(parsePositiveDecimal(inRangePctRef || DEFAULT_VOLATILITY_WIDTH.inRangePct, { field: "--in-range-pct" }));
+  if (!(inRangePct < 100)) throw new Error(`--in-range-pct must be < 100 (got ${inRangePctRef})`);
+
+  const vol = await estimatePoolTickVolatility(pool, { lookbackBlocks });
+  const sigma = vol.sigmaPerSqrtSecond;
+  const horizonSeconds = horizonHours * 3600;
+  const halfWidthTicks = halfWidthForStayProbability({ probability: inRangePct / 100, sigma, seconds: horizonSeconds });
+  const widthTicks = Math.max(spacing * 2, Math.ceil((2 * halfWidthTicks) / spacing) * spacing);
+  return {
+    ...vol,
+    lookbackBlocks,
+    horizonHours,
+    inRangePct,
+    spacing,
+    halfWidthTicks,
+    widthTicks,
+    achievedPct: stayInRangeProbability({ halfWidthTicks: widthTicks / 2, sigma, seconds: horizonSeconds }) * 100,
+  };
+}
+
+async function resolveVolatilityWidthForMint({ tickLowerRef, tickUpperRef, widthTicksRef, ...opts }) {
+  if (parseWidthMode(opts.widthModeRef) === "volatility" && [tickLowerRef, tickUpperRef, widthTicksRef].some((v) => v != null && String(v).trim() !== "")) {
+    throw new Error("--width-mode volatility sizes the range itself; drop --width-ticks / --tick-lower / --tick-upper");
+  }
+  return resolveVolatilityWidth(opts);
+}
+
+function volatilityWidthLines(v) {
+  const sigmaHour = v.sigmaPerSqrtSecond * Math.sqrt(3600);
+  return [
+    `- width mode: volatility (${v.widthTicks} ticks for a ${fmtNum(v.inRangePct, { dp: 2 })}% chance to stay in range over ${fmtNum(v.horizonHours, { dp: 2 })}h)`,
+    "- width assumptions:",
+    `  - realized volatility: ${fmtNum(sigmaHour, { dp: 2 })} ticks per sqrt(hour) from ${v.samples} Swap ticks in blocks ${v.fromBlock}..${v.toBlock} (${fmtNum(v.windowSeconds / 3600, { dp: 2 })}h)`,
+    `  - 1-sigma move over the horizon: ${fmtNum(sigmaHour * Math.sqrt(v.horizonHours), { dp: 1 })} ticks`,
+    `  - required half-width: ${fmtNum(v.halfWidthTicks, { dp: 1 })} ticks, rounded up to spacing ${v.spacing}: +/-${v.widthTicks / 2}`,
+    `  - in-range probability at the chosen width: ${v.achievedPct.toFixed(2)}%`,
+    "  - model: driftless random walk of the tick from the range center; trends and jumps are not modelled",
+  ];
+}
+
 function isTickAligned(tick, tickSpacing) {
   const spacing = Math.abs(Number(tickSpacing || 1));
   if (!Number.isFinite(spacing) || spacing < 1) return false;
@@ -846,40 +933,111 @@ async function resolveAddressInput(ref, { allowDefault = true } = {}) {
   throw new Error(`Unknown saved account: ${resolved.label ?? ref}`);
 }
 
-async function readTokenSnapshot(tokenAddress, ownerAddress = null) {
+async function readTokenSnapshot(tokenAddress, ownerAddress = null, { blockTag = "latest" } = {}) {
   const address = assertAddress(tokenAddress);
   const [symbol, name, decimals, balance] = await Promise.all([
-    readErc20Symbol(address).catch(() => "TOKEN"),
-    readErc20Name(address).catch(() => "Token"),
-    readErc20Decimals(address).catch(() => 18),
-    ownerAddress ? readErc20Balance(address, ownerAddress).catch(() => null) : Promise.resolve(null),
+    readErc20Symbol(address, { blockTag }).catch(() => "TOKEN"),
+    readErc20Name(address, { blockTag }).catch(() => "Token"),
+    readErc20Decimals(address, { blockTag }).catch(() => 18),
+    ownerAddress ? readErc20Balance(address, ownerAddress, { blockTag }).catch(() => null) : Promise.resolve(null),
   ]);
   return { address, symbol, name, decimals, balance };
 }
 
-async function loadPositionContext(tokenId, { ownerAddress = null } = {}) {
+function parseQuorum(ref) {
+  if (ref == null || ref === "" || ref === false) return DEFAULT_RPC_QUORUM >= 2 ? Math.floor(DEFAULT_RPC_QUORUM) : 0;
+  const n = ref === true ? 2 : Number(ref);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`Invalid --quorum: ${ref} (expected a provider count, e.g. 2)`);
+  return n >= 2 ? n : 0;
+}
+
+// Quorum mode pins the position context to a block every provider has, then requires
+// `quorum` providers to return identical positions() and globalState() at that block and
+// the primary read to match them. quorumCheck is null when quorum mode is off.
+async function loadPositionContextWithQuorum(tokenId, { ownerAddress = null, quorum = 0 } = {}) {
+  if (!quorum) return { ctx: await loadPositionContext(tokenId, { ownerAddress }), quorumCheck: null };
+  const block = await resolveQuorumBlock({ quorum });
+  const ctx = await loadPositionContext(tokenId, { ownerAddress, blockTag: block.ok ? block.blockTag : "latest" });
+  if (!block.ok) return { ctx, quorumCheck: { ok: false, quorum: block.quorum, blockTag: null, providers: block.endpoints, agreeing: 0, reason: block.reason } };
+
+  const check = await readPositionQuorum(tokenId, ctx.poolAddress, { quorum, endpoints: block.endpoints, blockTag: block.blockTag });
+  const agreeing = Math.min(...check.items.map((item) => item.agreeing), check.providers.length);
+  let { ok, reason } = check;
+  if (ok) {
+    const p = check.position;
+    const g = check.globalState;
+    const matches = p.liquidity === ctx.position.liquidity
+      && p.tickLower === ctx.position.tickLower
+      && p.tickUpper === ctx.position.tickUpper
+      && g.tick === ctx.poolState.tick
+      && g.priceSqrtX96 === ctx.poolState.priceSqrtX96;
+    if (!matches) {
+      ok = false;
+      reason = "primary endpoint read differs from the quorum answer";
+    }
+  }
+  return { ctx, quorumCheck: { ok, quorum: check.quorum, blockTag: check.blockTag, providers: check.providers, agreeing, reason } };
+}
+
+function quorumCheckLabel(check) {
+  const block = check.blockTag ? ` at block ${BigInt(check.blockTag).toString()}` : "";
+  return check.ok
+    ? `PASS (${check.agreeing}/${check.providers.length} providers agree on positions() + globalState()${block}; quorum ${check.quorum})`
+    : `FAIL (${check.reason}${block}; quorum ${check.quorum})`;
+}
+
+// readErc20MetadataBatch row -> readTokenSnapshot shape, with the same per-field fallbacks.
+function tokenMetaFromBatch({ address, symbol, name, decimals }) {
+  return {
+    address,
+    symbol: symbol.ok ? symbol.value : "TOKEN",
+    name: name.ok ? name.value : "Token",
+    decimals: decimals.ok ? decimals.value : 18,
+    balance: null,
+  };
+}
+
+// Pool lookup key for a position: custom-deployer pools share token pairs with the default pool.
+function positionPoolKey(pos) {
+  return `${pos.token0}/${pos.token1}/${pos.deployer || ZERO_ADDRESS}`;
+}
+
+// readPoolStatesBatch row -> loadPositionContext prefetch; failed fields are read again there.
+function prefetchedPoolState(poolAddress, poolStates) {
+  const reads = poolAddress ? poolStates.get(poolAddress) : null;
+  if (!reads) return {};
+  return {
+    poolAddress,
+    poolState: reads.globalState.ok ? reads.globalState.value : null,
+    tickSpacing: reads.tickSpacing.ok ? reads.tickSpacing.value : null,
+  };
+}
+
+async function loadPositionContext(tokenId, { ownerAddress = null, blockTag = "latest", prefetched = null } = {}) {
   const [nftOwner, pos] = await Promise.all([
-    withRpcRetry(() => readOwnerOf(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager })),
-    withRpcRetry(() => readPosition(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager })),
+    prefetched?.nftOwner || withRpcRetry(() => readOwnerOf(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager, blockTag })),
+    prefetched?.position || withRpcRetry(() => readPosition(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager, blockTag })),
   ]);
 
-  const poolAddress = await withRpcRetry(() => readPoolAddressByPair(pos.token0, pos.token1, { factory: KITTENSWAP_CONTRACTS.factory }));
+  const poolAddress = prefetched?.poolAddress
+    || await withRpcRetry(() => readPoolAddressByPair(pos.token0, pos.token1, { factory: KITTENSWAP_CONTRACTS.factory, deployer: pos.deployer, blockTag }));
   if (!poolAddress) {
     throw new Error(`No pool found for pair ${pos.token0} / ${pos.token1}`);
   }
 
   const [poolState, tickSpacing, token0, token1] = await Promise.all([
-    withRpcRetry(() => readPoolGlobalState(poolAddress)),
-    withRpcRetry(() => readPoolTickSpacing(poolAddress)),
-    withRpcRetry(() => readTokenSnapshot(pos.token0, ownerAddress)),
-    withRpcRetry(() => readTokenSnapshot(pos.token1, ownerAddress)),
+    prefetched?.poolState || withRpcRetry(() => readPoolGlobalState(poolAddress, { blockTag })),
+    prefetched?.tickSpacing ?? withRpcRetry(() => readPoolTickSpacing(poolAddress, { blockTag })),
+    withRpcRetry(() => readTokenSnapshot(pos.token0, ownerAddress, { blockTag })),
+    withRpcRetry(() => readTokenSnapshot(pos.token1, ownerAddress, { blockTag })),
   ]);
 
-  const price1Per0 = tickToPrice(poolState.tick, { decimals0: token0.decimals, decimals1: token1.decimals });
+  const price1Per0 = sqrtPriceX96ToPrice(poolState.priceSqrtX96, { decimals0: token0.decimals, decimals1: token1.decimals });
   const price0Per1 = price1Per0 && price1Per0 !== 0 ? 1 / price1Per0 : null;
 
   return {
     tokenId: parseTokenId(tokenId),
+    blockTag,
     nftOwner,
     position: pos,
     poolAddress,
@@ -905,7 +1063,7 @@ function formatTokenLine(token, { includeBalance = false } = {}) {
 
 function priceSection(ctx) {
   const lines = [];
-  lines.push("- price snapshot (from pool tick):");
+  lines.push("- price snapshot (from pool sqrtPriceX96):");
   lines.push(`  - tick: ${ctx.poolState.tick}`);
   lines.push(`  - token1/token0: ${ctx.price1Per0 == null ? "n/a" : fmtNum(ctx.price1Per0, { dp: 8 })}`);
   lines.push(`  - token0/token1: ${ctx.price0Per1 == null ? "n/a" : fmtNum(ctx.price0Per1, { dp: 8 })}`);
@@ -958,6 +1116,7 @@ function computeCenteredRangeWithWidthBump({
   tickUpper,
   tickSpacing,
   widthBumpTicks = 0,
+  widthTicks = null,
 }) {
   const spacing = Math.max(1, Math.abs(Number(tickSpacing || 1)));
   const baseWidth = Number(tickUpper) - Number(tickLower);
@@ -965,9 +1124,10 @@ function computeCenteredRangeWithWidthBump({
     throw new Error(`Invalid tick range width: [${tickLower}, ${tickUpper}]`);
   }
 
-  const bumpRequested = parseNonNegativeIntegerOrDefault(widthBumpTicks, 0, "width-bump-ticks");
+  // an explicit target width (volatility mode) replaces the bump on the old width
+  const bumpRequested = widthTicks == null ? parseNonNegativeIntegerOrDefault(widthBumpTicks, 0, "width-bump-ticks") : 0;
   const bumpApplied = bumpRequested > 0 ? Math.ceil(bumpRequested / spacing) * spacing : 0;
-  const targetWidth = baseWidth + bumpApplied;
+  const targetWidth = widthTicks == null ? baseWidth + bumpApplied : Number(widthTicks);
 
   const seedLower = Number(currentTick) - Math.floor(targetWidth / 2);
   const seedUpper = seedLower + targetWidth;
@@ -1095,13 +1255,14 @@ function buildBalanceRebalanceHint(ctx, ownerAddress) {
   };
 }
 
-async function resolveFarmingContracts({ farmingCenterRef = "", eternalFarmingRef = "" } = {}) {
+async function resolveFarmingContracts({ farmingCenterRef = "", eternalFarmingRef = "", blockTag = "latest" } = {}) {
   const farmingCenter = farmingCenterRef ? await resolveAddressInput(farmingCenterRef, { allowDefault: false }) : KITTENSWAP_CONTRACTS.farmingCenter;
   const eternalFarming = eternalFarmingRef
     ? await resolveAddressInput(eternalFarmingRef, { allowDefault: false })
     : KITTENSWAP_CONTRACTS.eternalFarming;
   const managerFarmingCenter = await withRpcRetry(() => readPositionManagerFarmingCenter({
     positionManager: KITTENSWAP_CONTRACTS.positionManager,
+    blockTag,
   })).catch(() => null);
 
   return { farmingCenter, eternalFarming, managerFarmingCenter };
@@ -1125,7 +1286,6 @@ async function resolveIncentiveKey({
   nonceRef = "",
   autoKey = false,
   matchDepositIncentive = false,
-  ownerAddress = null,
   farmingCenterAddress = KITTENSWAP_CONTRACTS.farmingCenter,
   eternalFarmingAddress = KITTENSWAP_CONTRACTS.eternalFarming,
 } = {}) {
@@ -1208,25 +1368,21 @@ async function resolveIncentiveKey({
     };
   }
 
-  const historyResolved = ownerAddress
-    ? await inferFarmingKeyFromExplorerHistory({
-      ownerAddress,
-      tokenId,
-      poolAddress: pool,
-      farmingCenterAddress,
-      maxPages: AUTO_KEY_HISTORY_SCAN_PAGES,
-    }).catch(() => null)
-    : null;
-  if (historyResolved?.key) {
-    const historyKeyIncentiveId = await keyHashFor(historyResolved.key);
+  const indexResolved = await inferFarmingKeyFromLogIndex({
+    tokenId,
+    poolAddress: pool,
+    depositIncentiveId: depositId,
+  }).catch(() => null);
+  if (indexResolved?.key) {
+    const indexKeyIncentiveId = await keyHashFor(indexResolved.key);
     return {
-      key: historyResolved.key,
-      source: `auto:${historyResolved.source}`,
+      key: indexResolved.key,
+      source: `auto:${indexResolved.source}`,
       resolvedPool: pool,
       depositIncentiveId: depositId,
-      keyIncentiveId: historyKeyIncentiveId,
-      keyMatchesDeposit: historyKeyIncentiveId ? historyKeyIncentiveId === depositId : null,
-      sourceTxHash: historyResolved.sourceTxHash || null,
+      keyIncentiveId: indexKeyIncentiveId,
+      keyMatchesDeposit: indexKeyIncentiveId ? indexKeyIncentiveId === depositId : null,
+      sourceTxHash: indexResolved.sourceTxHash || null,
     };
   }
 
@@ -1273,11 +1429,15 @@ async function resolveIncentiveKey({
     }
   }
 
+  const coverage = indexResolved?.coverage;
+  const indexNote = coverage
+    ? `the farming log index (blocks ${coverage.fromBlock}..${coverage.toBlock}) has no EternalFarmingCreated event for it`
+    : "the farming log index has not been synced";
   throw new Error(
     `Unable to resolve deposit incentive key for tokenId ${tokenId.toString()} on pool ${pool}. ` +
     `Deposit incentiveId ${depositId} does not match active key nonce ${activeKey.nonce.toString()}, ` +
-    `no matching history key was found for owner ${ownerAddress || "n/a"}, and nonce scan window ` +
-    `(back=${scanLimit}, forward=${forwardScanLimit}) did not match.`
+    `${indexNote}, and nonce scan window (back=${scanLimit}, forward=${forwardScanLimit}) did not match. ` +
+    `Run \`krlp history ${tokenId.toString()}\` to sync the farming log index, then retry.`
   );
 }
 
@@ -1301,33 +1461,41 @@ function isRetryableRpcError(err) {
 // staked=true  → canonical Kittenswap checks passed
 // staked=false → not staked in configured Kittenswap farm (or inconsistent farm state)
 // staked=null  → RPC call failed; staking state is unknown
-async function classifyStakedStatus(tokenId) {
+async function classifyStakedStatus(tokenId, { blockTag = "latest" } = {}) {
+  let farmedIn;
   try {
-    const farmedIn = await readTokenFarmedIn(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager });
-    if (!farmedIn || farmedIn === ZERO_ADDRESS) {
-      return { staked: false, farmedIn: null, label: "not staked (tokenFarmedIn is zero address)" };
-    }
-    if (farmedIn.toLowerCase() !== KITTENSWAP_CONTRACTS.farmingCenter.toLowerCase()) {
-      return {
-        staked: false,
-        farmedIn,
-        label: `not staked in configured Kittenswap farm (tokenFarmedIn points to ${farmedIn})`,
-      };
-    }
-    const depositIncentiveId = await readFarmingCenterDeposit(tokenId, {
-      farmingCenter: KITTENSWAP_CONTRACTS.farmingCenter,
-    }).catch(() => null);
-    if (!hasNonZeroBytes32(depositIncentiveId)) {
-      return {
-        staked: false,
-        farmedIn,
-        label: "inconsistent farm state (tokenFarmedIn matches farming center but deposit incentiveId is zero/invalid)",
-      };
-    }
-    return { staked: true, farmedIn, label: `staked in KittenSwap FarmingCenter (${farmedIn})` };
+    farmedIn = await readTokenFarmedIn(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager, blockTag });
   } catch {
+    return stakedStatusFromReads({ farmedInOk: false });
+  }
+  const depositIncentiveId = farmedIn && farmedIn.toLowerCase() === KITTENSWAP_CONTRACTS.farmingCenter.toLowerCase()
+    ? await readFarmingCenterDeposit(tokenId, { farmingCenter: KITTENSWAP_CONTRACTS.farmingCenter, blockTag }).catch(() => null)
+    : null;
+  return stakedStatusFromReads({ farmedIn, depositIncentiveId });
+}
+
+function stakedStatusFromReads({ farmedInOk = true, farmedIn = null, depositIncentiveId = null } = {}) {
+  if (!farmedInOk) {
     return { staked: null, farmedIn: null, label: "staked status unknown (tokenFarmedIn RPC check failed)" };
   }
+  if (!farmedIn || farmedIn === ZERO_ADDRESS) {
+    return { staked: false, farmedIn: null, label: "not staked (tokenFarmedIn is zero address)" };
+  }
+  if (farmedIn.toLowerCase() !== KITTENSWAP_CONTRACTS.farmingCenter.toLowerCase()) {
+    return {
+      staked: false,
+      farmedIn,
+      label: `not staked in configured Kittenswap farm (tokenFarmedIn points to ${farmedIn})`,
+    };
+  }
+  if (!hasNonZeroBytes32(depositIncentiveId)) {
+    return {
+      staked: false,
+      farmedIn,
+      label: "inconsistent farm state (tokenFarmedIn matches farming center but deposit incentiveId is zero/invalid)",
+    };
+  }
+  return { staked: true, farmedIn, label: `staked in KittenSwap FarmingCenter (${farmedIn})` };
 }
 
 function hasNonZeroBytes32(value) {
@@ -1521,21 +1689,21 @@ function estimateValueInToken1({ amount0 = null, amount1 = null, price1Per0 = nu
   return amount1 + amount0 * price1Per0;
 }
 
-async function readTokenMetaCached(tokenAddress, { cache = null } = {}) {
+async function readTokenMetaCached(tokenAddress, { cache = null, blockTag = "latest" } = {}) {
   const addr = assertAddress(tokenAddress);
   if (cache && cache.has(addr)) return cache.get(addr);
-  const meta = await readTokenSnapshot(addr).catch(() => null);
+  const meta = await readTokenSnapshot(addr, null, { blockTag }).catch(() => null);
   if (cache && meta) cache.set(addr, meta);
   return meta;
 }
 
 async function quoteExactInputSingleCached(
   { tokenIn, tokenOut, deployer = ZERO_ADDRESS, amountIn },
-  { cache = null } = {}
+  { cache = null, blockTag = "latest" } = {}
 ) {
   const aIn = typeof amountIn === "bigint" ? amountIn : BigInt(String(amountIn || "0"));
   if (aIn <= 0n) return { ok: true, amountOut: 0n, quote: null };
-  const key = `${assertAddress(tokenIn)}|${assertAddress(tokenOut)}|${assertAddress(deployer)}|${aIn.toString()}`;
+  const key = `${assertAddress(tokenIn)}|${assertAddress(tokenOut)}|${assertAddress(deployer)}|${aIn.toString()}|${blockTag}`;
   if (cache && cache.has(key)) return cache.get(key);
   const out = await withRpcRetry(() => quoteExactInputSingle({
     tokenIn,
@@ -1543,7 +1711,7 @@ async function quoteExactInputSingleCached(
     deployer,
     amountIn: aIn,
     limitSqrtPrice: 0n,
-  })).then((q) => ({ ok: true, amountOut: q.amountOut, quote: q }))
+  }, { blockTag })).then((q) => ({ ok: true, amountOut: q.amountOut, quote: q }))
     .catch((e) => ({ ok: false, amountOut: null, quote: null, error: e?.message || String(e) }));
   if (cache) cache.set(key, out);
   return out;
@@ -1561,7 +1729,7 @@ async function quoteTokenAmountToStable(
   const stableToken = ctx.stableToken;
   const deployer = ctx.deployer;
   const amountIn = typeof amountRaw === "bigint" ? amountRaw : BigInt(String(amountRaw ?? "0"));
-  const stableMeta = await readTokenMetaCached(stableToken, { cache: ctx.tokenMetaCache });
+  const stableMeta = await readTokenMetaCached(stableToken, { cache: ctx.tokenMetaCache, blockTag: ctx.blockTag });
 
   if (amountIn <= 0n) {
     return {
@@ -1592,7 +1760,7 @@ async function quoteTokenAmountToStable(
     tokenOut: stableToken,
     deployer,
     amountIn,
-  }, { cache: ctx.quoteCache });
+  }, { cache: ctx.quoteCache, blockTag: ctx.blockTag });
   if (direct.ok && isMeaningfulBigInt(direct.amountOut)) {
     return {
       ok: true,
@@ -1615,14 +1783,14 @@ async function quoteTokenAmountToStable(
       tokenOut: bridge,
       deployer,
       amountIn,
-    }, { cache: ctx.quoteCache });
+    }, { cache: ctx.quoteCache, blockTag: ctx.blockTag });
     if (step1.ok && isMeaningfulBigInt(step1.amountOut)) {
       const step2 = await quoteExactInputSingleCached({
         tokenIn: bridge,
         tokenOut: stableToken,
         deployer,
         amountIn: step1.amountOut,
-      }, { cache: ctx.quoteCache });
+      }, { cache: ctx.quoteCache, blockTag: ctx.blockTag });
       if (step2.ok && isMeaningfulBigInt(step2.amountOut)) {
         return {
           ok: true,
@@ -1781,6 +1949,129 @@ function analyzeExactInputSingleCalldataShape(inputHex) {
   };
 }
 
+// exactInput and exactOutput share the (bytes path, recipient, deadline, amount, amountLimit) tuple.
+function decodePathSwapTuple(body) {
+  const tupleBase = wordToSafeNumber(decodeWordSafe(body, 0));
+  if (tupleBase == null || tupleBase % 32 !== 0) return null;
+  const baseWord = tupleBase / 32;
+  const word = (i) => decodeWordSafe(body, baseWord + i);
+  const pathOffset = wordToSafeNumber(word(0));
+  if (pathOffset == null || pathOffset % 32 !== 0 || !word(4)) return null;
+  const pathLenWordIndex = baseWord + pathOffset / 32;
+  const pathLen = wordToSafeNumber(decodeWordSafe(body, pathLenWordIndex));
+  if (pathLen == null) return null;
+  const pathStart = (pathLenWordIndex + 1) * 64;
+  const pathHex = body.slice(pathStart, pathStart + pathLen * 2);
+  if (pathHex.length !== pathLen * 2) return null;
+  let path = null;
+  try {
+    path = decodeSwapPath(pathHex);
+  } catch {
+    return null;
+  }
+  const expectedBytes = expectedExactInputCalldataBytes(path.hops);
+  const calldataBytes = 4 + Math.floor(body.length / 2);
+  return {
+    path,
+    pathHex: `0x${pathHex}`,
+    recipient: `0x${word(1).slice(24)}`,
+    deadline: hexToBigIntSafe(`0x${word(2)}`, null),
+    amount: hexToBigIntSafe(`0x${word(3)}`, null),
+    amountLimit: hexToBigIntSafe(`0x${word(4)}`, null),
+    calldataBytes,
+    expectedBytes,
+    canonical: calldataBytes === expectedBytes && body.length % 64 === 0,
+  };
+}
+
+function decodeExactInputInput(inputHex) {
+  const s = String(inputHex || "").toLowerCase();
+  if (!s.startsWith("0xc04b8d59")) return null;
+  const tuple = decodePathSwapTuple(s.slice(10));
+  if (!tuple) return null;
+  const { path } = tuple;
+  return {
+    tokenIn: path.tokens[0],
+    tokenOut: path.tokens[path.tokens.length - 1],
+    deployer: path.deployers[0],
+    recipient: tuple.recipient,
+    deadline: tuple.deadline,
+    amountIn: tuple.amount,
+    amountOutMinimum: tuple.amountLimit,
+    limitSqrtPrice: null,
+    path: tuple.pathHex,
+    pathTokens: path.tokens,
+    pathDeployers: path.deployers,
+    hops: path.hops,
+    calldataBytes: tuple.calldataBytes,
+    expectedBytes: tuple.expectedBytes,
+    swapMethod: "exactInput",
+    decodeShape: tuple.canonical ? "exactInput_path" : "exactInput_noncanonical",
+  };
+}
+
+// Exact-output decodes report amountIn as amountInMaximum: that is what the router may pull,
+// so the allowance/balance forensics compare against the upper bound.
+function decodeExactOutputInput(inputHex) {
+  const s = String(inputHex || "").toLowerCase();
+  if (!s.startsWith("0xf28c0498")) return null;
+  const tuple = decodePathSwapTuple(s.slice(10));
+  if (!tuple) return null;
+  const pathTokens = [...tuple.path.tokens].reverse();
+  const pathDeployers = [...tuple.path.deployers].reverse();
+  return {
+    tokenIn: pathTokens[0],
+    tokenOut: pathTokens[pathTokens.length - 1],
+    deployer: pathDeployers[0],
+    recipient: tuple.recipient,
+    deadline: tuple.deadline,
+    amountIn: tuple.amountLimit,
+    amountOutMinimum: tuple.amount,
+    amountOut: tuple.amount,
+    amountInMaximum: tuple.amountLimit,
+    exactOut: true,
+    limitSqrtPrice: null,
+    path: tuple.pathHex,
+    pathTokens,
+    pathDeployers,
+    hops: tuple.path.hops,
+    calldataBytes: tuple.calldataBytes,
+    expectedBytes: tuple.expectedBytes,
+    swapMethod: "exactOutput",
+    decodeShape: tuple.canonical ? "exactOutput_path" : "exactOutput_noncanonical",
+  };
+}
+
+function decodeExactOutputSingleInput(inputHex) {
+  const s = String(inputHex || "").toLowerCase();
+  if (!s.startsWith("0x1764babc")) return null;
+  const body = s.slice(10);
+  const word = (i) => decodeWordSafe(body, i);
+  if (!word(7)) return null;
+  const addrWord = (i) => `0x${word(i).slice(24)}`.toLowerCase();
+  const uintWord = (i) => hexToBigIntSafe(`0x${word(i)}`, null);
+  const amountOut = uintWord(5);
+  const amountInMaximum = uintWord(6);
+  const calldataBytes = 4 + Math.floor(body.length / 2);
+  return {
+    tokenIn: addrWord(0),
+    tokenOut: addrWord(1),
+    deployer: addrWord(2),
+    recipient: addrWord(3),
+    deadline: uintWord(4),
+    amountIn: amountInMaximum,
+    amountOutMinimum: amountOut,
+    amountOut,
+    amountInMaximum,
+    exactOut: true,
+    limitSqrtPrice: uintWord(7),
+    calldataBytes,
+    expectedBytes: 260,
+    swapMethod: "exactOutputSingle",
+    decodeShape: calldataBytes === 260 && body.length % 64 === 0 ? "exactOutputSingle_v8" : "exactOutputSingle_noncanonical",
+  };
+}
+
 function decodeApproveInput(inputHex) {
   const s = String(inputHex || "").toLowerCase();
   if (!s.startsWith("0x095ea7b3")) return null;
@@ -1901,14 +2192,22 @@ function decodeMulticallInput(inputHex) {
   return { ok: false, error: "unable to decode bytes[] payload from multicall input" };
 }
 
+function decodeRouterSwapInput(inputHex) {
+  const single = decodeExactInputSingleInput(inputHex);
+  if (single) return { ...single, swapMethod: "exactInputSingle" };
+  return decodeExactInputInput(inputHex)
+    || decodeExactOutputSingleInput(inputHex)
+    || decodeExactOutputInput(inputHex);
+}
+
 function decodeSwapLikeInput(inputHex) {
-  const direct = decodeExactInputSingleInput(inputHex);
+  const direct = decodeRouterSwapInput(inputHex);
   if (direct) return { ...direct, wrapper: "direct", multicall: null, callIndex: null };
 
   const multi = decodeMulticallInput(inputHex);
   if (!multi?.ok) return null;
   for (let i = 0; i < multi.calls.length; i++) {
-    const nested = decodeExactInputSingleInput(multi.calls[i]);
+    const nested = decodeRouterSwapInput(multi.calls[i]);
     if (!nested) continue;
     return {
       ...nested,
@@ -2160,6 +2459,55 @@ function decodePositionDecreaseLiquidityInputDetailed(inputHex) {
   };
 }
 
+function decodePositionIncreaseLiquidityInputDetailed(inputHex) {
+  const s = String(inputHex || "").toLowerCase();
+  if (!s.startsWith("0x219f5d17")) return null;
+  const expectedWords = 6;
+  const body = s.slice(10);
+  const bytesTotal = Math.floor((s.length - 2) / 2);
+  const words = Math.floor(body.length / 64);
+  const remainderHexChars = body.length % 64;
+  const partial = {};
+  const readWord = (i) => body.slice(i * 64, (i + 1) * 64);
+  const fields = ["tokenId", "amount0Desired", "amount1Desired", "amount0Min", "amount1Min", "deadline"];
+  fields.forEach((field, i) => {
+    if (words > i) partial[field] = hexToBigIntSafe(`0x${readWord(i)}`, 0n);
+  });
+
+  if (remainderHexChars !== 0) {
+    return {
+      ok: false,
+      error: `malformed calldata body length ${body.length} (not 32-byte word aligned)`,
+      expectedWords,
+      words,
+      bytesTotal,
+      remainderHexChars,
+      partial,
+    };
+  }
+  if (words !== expectedWords) {
+    return {
+      ok: false,
+      error: `expected exactly ${expectedWords} words, got ${words}`,
+      expectedWords,
+      words,
+      bytesTotal,
+      remainderHexChars,
+      partial,
+    };
+  }
+
+  return {
+    ok: true,
+    expectedWords,
+    words,
+    bytesTotal,
+    remainderHexChars,
+    partial,
+    decoded: { ...partial },
+  };
+}
+
 function decodePositionBurnInput(inputHex) {
   const detailed = decodePositionBurnInputDetailed(inputHex);
   if (!detailed?.ok) return null;
@@ -2292,6 +2640,52 @@ async function simulateMintCall({ fromAddress, mintData, blockTag = "latest" } =
   return { ...base, mintPreview: decoded };
 }
 
+function decodeIncreaseLiquidityReturnData(dataHex) {
+  const s = String(dataHex || "").toLowerCase();
+  if (!/^0x[0-9a-f]*$/.test(s)) {
+    return { ok: false, error: "non-hex return data" };
+  }
+  const body = s.slice(2);
+  if (!body) return { ok: false, error: "empty return data" };
+  if (body.length % 64 !== 0) {
+    return { ok: false, error: `misaligned return data length (${body.length})` };
+  }
+  const words = body.length / 64;
+  if (words < 3) {
+    return { ok: false, error: `returned ${words} words (expected >= 3)` };
+  }
+  const word = (i) => body.slice(i * 64, (i + 1) * 64);
+  return {
+    ok: true,
+    liquidity: hexToBigIntSafe(`0x${word(0)}`, 0n),
+    amount0: hexToBigIntSafe(`0x${word(1)}`, 0n),
+    amount1: hexToBigIntSafe(`0x${word(2)}`, 0n),
+  };
+}
+
+async function simulateIncreaseLiquidityCall({ fromAddress, increaseData, blockTag = "latest" } = {}) {
+  const base = await replayEthCall({
+    fromAddress,
+    toAddress: KITTENSWAP_CONTRACTS.positionManager,
+    data: increaseData,
+    value: 0n,
+    blockTag,
+  });
+  if (!base.ok) return base;
+  const decoded = decodeIncreaseLiquidityReturnData(base.returnData);
+  if (!decoded.ok) {
+    return {
+      ok: false,
+      returnData: base.returnData,
+      error: `increaseLiquidity eth_call returned unexpected data: ${decoded.error}`,
+      category: "unexpected_return_data",
+      revertHint: null,
+      increasePreview: null,
+    };
+  }
+  return { ...base, increasePreview: decoded };
+}
+
 async function collectTokenMetaMap(addresses) {
   const out = new Map();
   await Promise.all(
@@ -2365,46 +2759,45 @@ function extractMintedPositionTokenIds(receipt, { positionManager = KITTENSWAP_C
   return [...new Set(ids.map((x) => x.toString()))].map((x) => BigInt(x));
 }
 
-async function loadPositionValueSnapshot(tokenIdRaw, { ownerAddress, stableQuoteCtx = null } = {}) {
+// `prefetched` ({ nftOwner, position, stakedInfo, claimable }) lets fan-out callers skip
+// per-token reads they already made in one batch.
+async function loadPositionValueSnapshot(tokenIdRaw, { ownerAddress, stableQuoteCtx = null, blockTag = "latest", prefetched = null } = {}) {
   const tokenId = parseTokenId(tokenIdRaw);
-  const ctx = await withRpcRetry(() => loadPositionContext(tokenId, { ownerAddress }));
-  const stakedInfo = await classifyStakedStatus(tokenId);
-
-  const latestBlock = await withRpcRetry(() => rpcGetBlockByNumber("latest", false)).catch(() => null);
-  const nowTs = latestBlock?.timestamp ? Number(BigInt(latestBlock.timestamp)) : Math.floor(Date.now() / 1000);
-  const deadline = BigInt(nowTs + 3600);
+  const ctx = await withRpcRetry(() => loadPositionContext(tokenId, { ownerAddress, blockTag, prefetched }));
+  const stakedInfo = prefetched?.stakedInfo || await classifyStakedStatus(tokenId, { blockTag });
+  const quoteCtx = stableQuoteCtx || createStableQuoteContext({ blockTag });
 
+  // Principal is what burning the full liquidity releases at the live pool price.
   let principal = { ok: true, amount0: 0n, amount1: 0n, error: null };
   if (ctx.position.liquidity > 0n) {
     try {
-      const out = await withRpcRetry(() => simulateDecreaseLiquidity({
-        tokenId,
+      const out = positionAmountsForLiquidity({
+        tick: ctx.poolState.tick,
+        sqrtPriceX96: ctx.poolState.priceSqrtX96,
+        tickLower: ctx.position.tickLower,
+        tickUpper: ctx.position.tickUpper,
         liquidity: ctx.position.liquidity,
-        amount0Min: 0n,
-        amount1Min: 0n,
-        deadline,
-        fromAddress: ownerAddress,
-        positionManager: KITTENSWAP_CONTRACTS.positionManager,
-      }));
+      });
       principal = { ok: true, amount0: out.amount0, amount1: out.amount1, error: null };
     } catch (e) {
       principal = { ok: false, amount0: null, amount1: null, error: e?.message || String(e) };
     }
   }
 
-  let claimable = { ok: true, amount0: 0n, amount1: 0n, error: null };
-  try {
-    const out = await withRpcRetry(() => simulateCollect({
-      tokenId,
-      recipient: ownerAddress,
-      fromAddress: ownerAddress,
-      amount0Max: maxUint128(),
-      amount1Max: maxUint128(),
-      positionManager: KITTENSWAP_CONTRACTS.positionManager,
-    }));
-    claimable = { ok: true, amount0: out.amount0, amount1: out.amount1, error: null };
-  } catch (e) {
-    claimable = { ok: false, amount0: null, amount1: null, error: e?.message || String(e) };
+  // Fee-growth math needs no sender, so staked NFTs report fees too.
+  let claimable = prefetched?.claimable || null;
+  if (!claimable) {
+    try {
+      const out = await withRpcRetry(() => readUncollectedFees({
+        tokenId,
+        poolAddress: ctx.poolAddress,
+        position: ctx.position,
+        poolState: ctx.poolState,
+      }, { blockTag }));
+      claimable = { ok: true, amount0: out.amount0, amount1: out.amount1, error: null };
+    } catch (e) {
+      claimable = { ok: false, amount0: null, amount1: null, error: e?.message || String(e) };
+    }
   }
 
   const principal0 = unitsToNumber(principal.amount0, ctx.token0.decimals);
@@ -2426,16 +2819,16 @@ async function loadPositionValueSnapshot(tokenIdRaw, { ownerAddress, stableQuote
   const [stablePrincipal0, stablePrincipal1, stableClaim0, stableClaim1] = await Promise.all([
     principal.amount0 == null
       ? Promise.resolve({ ok: false, amountOut: null, amountOutRaw: null, stableToken: DEFAULT_USD_STABLE_TOKEN, stableMeta: null, route: "unavailable", errors: ["principal token0 unavailable"] })
-      : quoteTokenAmountToStable(ctx.token0.address, principal.amount0, { stableQuoteCtx }),
+      : quoteTokenAmountToStable(ctx.token0.address, principal.amount0, { stableQuoteCtx: quoteCtx }),
     principal.amount1 == null
       ? Promise.resolve({ ok: false, amountOut: null, amountOutRaw: null, stableToken: DEFAULT_USD_STABLE_TOKEN, stableMeta: null, route: "unavailable", errors: ["principal token1 unavailable"] })
-      : quoteTokenAmountToStable(ctx.token1.address, principal.amount1, { stableQuoteCtx }),
+      : quoteTokenAmountToStable(ctx.token1.address, principal.amount1, { stableQuoteCtx: quoteCtx }),
     claimable.amount0 == null
       ? Promise.resolve({ ok: false, amountOut: null, amountOutRaw: null, stableToken: DEFAULT_USD_STABLE_TOKEN, stableMeta: null, route: "unavailable", errors: ["claim token0 unavailable"] })
-      : quoteTokenAmountToStable(ctx.token0.address, claimable.amount0, { stableQuoteCtx }),
+      : quoteTokenAmountToStable(ctx.token0.address, claimable.amount0, { stableQuoteCtx: quoteCtx }),
     claimable.amount1 == null
       ? Promise.resolve({ ok: false, amountOut: null, amountOutRaw: null, stableToken: DEFAULT_USD_STABLE_TOKEN, stableMeta: null, route: "unavailable", errors: ["claim token1 unavailable"] })
-      : quoteTokenAmountToStable(ctx.token1.address, claimable.amount1, { stableQuoteCtx }),
+      : quoteTokenAmountToStable(ctx.token1.address, claimable.amount1, { stableQuoteCtx: quoteCtx }),
   ]);
 
   const stableMeta = stablePrincipal0.stableMeta || stablePrincipal1.stableMeta || stableClaim0.stableMeta || stableClaim1.stableMeta || null;
@@ -2456,7 +2849,6 @@ async function loadPositionValueSnapshot(tokenIdRaw, { ownerAddress, stableQuote
     ownerAddress,
     ctx,
     stakedInfo,
-    deadline,
     principal,
     claimable,
     principalHuman: {
@@ -2530,13 +2922,13 @@ function pushPositionValueLines(lines, snap, { prefix = "" } = {}) {
   lines.push(`${prefix}  - ticks: [${snap.range.lowerTick}, ${snap.range.upperTick}] | current ${snap.range.currentTick} | spacing ${snap.ctx.tickSpacing}`);
   lines.push(`${prefix}  - in range: ${snap.range.inRange ? "YES" : "NO"} | from lower ${snap.range.pctFromLower == null ? "n/a" : fmtPct(snap.range.pctFromLower)} | to upper ${snap.range.pctToUpper == null ? "n/a" : fmtPct(snap.range.pctToUpper)}`);
   lines.push(`${prefix}  - price token1/token0: current=${current1Per0 == null ? "n/a" : fmtNum(current1Per0, { dp: 8 })} lower=${lower1Per0 == null ? "n/a" : fmtNum(lower1Per0, { dp: 8 })} upper=${upper1Per0 == null ? "n/a" : fmtNum(upper1Per0, { dp: 8 })}`);
-  lines.push(`${prefix}  - principal if burn now (simulated): ${snap.principalHuman.amount0 == null ? "n/a" : fmtNum(snap.principalHuman.amount0, { dp: 8 })} ${token0.symbol} + ${snap.principalHuman.amount1 == null ? "n/a" : fmtNum(snap.principalHuman.amount1, { dp: 8 })} ${token1.symbol}`);
-  lines.push(`${prefix}  - claimable now via collect() (simulated): ${snap.claimableHuman.amount0 == null ? "n/a" : fmtNum(snap.claimableHuman.amount0, { dp: 8 })} ${token0.symbol} + ${snap.claimableHuman.amount1 == null ? "n/a" : fmtNum(snap.claimableHuman.amount1, { dp: 8 })} ${token1.symbol}`);
+  lines.push(`${prefix}  - principal if burn now (exact): ${snap.principalHuman.amount0 == null ? "n/a" : fmtNum(snap.principalHuman.amount0, { dp: 8 })} ${token0.symbol} + ${snap.principalHuman.amount1 == null ? "n/a" : fmtNum(snap.principalHuman.amount1, { dp: 8 })} ${token1.symbol}`);
+  lines.push(`${prefix}  - claimable now (fee growth, exact): ${snap.claimableHuman.amount0 == null ? "n/a" : fmtNum(snap.claimableHuman.amount0, { dp: 8 })} ${token0.symbol} + ${snap.claimableHuman.amount1 == null ? "n/a" : fmtNum(snap.claimableHuman.amount1, { dp: 8 })} ${token1.symbol}`);
   lines.push(`${prefix}  - est value (in ${token1.symbol}): principal=${snap.valueInToken1.principal == null ? "n/a" : fmtNum(snap.valueInToken1.principal, { dp: 6 })} claimable=${snap.valueInToken1.claimable == null ? "n/a" : fmtNum(snap.valueInToken1.claimable, { dp: 6 })} total=${snap.valueInToken1.total == null ? "n/a" : fmtNum(snap.valueInToken1.total, { dp: 6 })}`);
   lines.push(`${prefix}  - est value (live quote -> ${snap.valueInStable.stableSymbol}): principal=${snap.valueInStable.principal == null ? "n/a" : fmtNum(snap.valueInStable.principal, { dp: 6 })} claimable=${snap.valueInStable.claimable == null ? "n/a" : fmtNum(snap.valueInStable.claimable, { dp: 6 })} total=${snap.valueInStable.total == null ? "n/a" : fmtNum(snap.valueInStable.total, { dp: 6 })}`);
   lines.push(`${prefix}  - stable quote routes: principal(${token0.symbol}=${snap.stableQuoteRoutes.principal0 || "n/a"}, ${token1.symbol}=${snap.stableQuoteRoutes.principal1 || "n/a"})`);
-  if (!snap.principal.ok && snap.principal.error) lines.push(`${prefix}  - principal simulation: error (${snap.principal.error})`);
-  if (!snap.claimable.ok && snap.claimable.error) lines.push(`${prefix}  - claimable simulation: error (${snap.claimable.error})`);
+  if (!snap.principal.ok && snap.principal.error) lines.push(`${prefix}  - principal computation: error (${snap.principal.error})`);
+  if (!snap.claimable.ok && snap.claimable.error) lines.push(`${prefix}  - claimable computation: error (${snap.claimable.error})`);
   if (Array.isArray(snap.stableQuoteErrors) && snap.stableQuoteErrors.length) {
     lines.push(`${prefix}  - stable quote warnings: ${snap.stableQuoteErrors.slice(0, 2).join(" | ")}`);
   }
@@ -2553,6 +2945,17 @@ async function cmdHealth() {
   lines.push("Kittenswap LP rebalance health");
   lines.push(`- expected chain id: ${DEFAULT_CHAIN_ID}`);
   lines.push(`- rpc url: ${DEFAULT_RPC_URL}`);
+  if (DEFAULT_RPC_URLS.length > 1) {
+    lines.push(`- rpc endpoint pool: ${DEFAULT_RPC_URLS.length} endpoints (failover on timeout/429/5xx; best first)`);
+    for (const h of rpcEndpointHealth()) {
+      const latency = h.latencyMs == null ? "n/a" : `${h.latencyMs}ms`;
+      lines.push(`  - ${h.url}: score=${h.score} ok=${h.ok} failed=${h.failed} latency=${latency}${h.coolingDown ? " [COOLING DOWN]" : ""}${h.lastError ? ` last error: ${h.lastError}` : ""}`);
+    }
+  }
+  lines.push(`- read quorum: ${DEFAULT_RPC_QUORUM >= 2 ? `${DEFAULT_RPC_QUORUM} providers (HYPEREVM_RPC_QUORUM)` : "off"}`);
+  const fixtures = rpcFixtureMode();
+  if (fixtures.mode === "record") lines.push(`- rpc fixtures: recording every HTTP exchange to ${fixtures.file} (KRLP_RPC_RECORD)`);
+  if (fixtures.mode === "replay") lines.push(`- rpc fixtures: replaying from ${fixtures.file}; no network access (KRLP_RPC_REPLAY)`);
 
   if (chain?.error) lines.push(`- rpc chain id: ERROR (${chain.error})`);
   else lines.push(`- rpc chain id: ${chain.decimal} (${chain.hex})${String(chain.decimal) === String(DEFAULT_CHAIN_ID) ? "" : " [MISMATCH]"}`);
@@ -2715,10 +3118,14 @@ async function analyzeCanonicalRemovalPath({
   senderAddress,
   recipientAddress = "",
   deadlineSeconds = 900,
+  liquidity = null,
+  slippageBps = null,
+  blockTag = "latest",
 }) {
   const sender = assertAddress(senderAddress);
   const recipient = recipientAddress ? assertAddress(recipientAddress) : sender;
-  const latestBlock = await withRpcRetry(() => rpcGetBlockByNumber("latest", false)).catch(() => null);
+  const removeLiquidity = liquidity == null ? ctx.position.liquidity : liquidity;
+  const latestBlock = await withRpcRetry(() => rpcGetBlockByNumber(blockTag, false)).catch(() => null);
   const nowTs = latestBlock?.timestamp ? Number(BigInt(latestBlock.timestamp)) : Math.floor(Date.now() / 1000);
   const deadline = BigInt(nowTs + Math.max(60, Number(deadlineSeconds || 900)));
 
@@ -2728,11 +3135,40 @@ async function analyzeCanonicalRemovalPath({
     amount0Max: maxUint128(),
     amount1Max: maxUint128(),
   });
+
+  // With a slippage policy, mins come from a zero-min decrease simulation; the exact
+  // burn amounts at the pool price stand in when the simulation is unavailable.
+  let expectedOut = null;
+  let expectedOutSource = null;
+  if (slippageBps != null && removeLiquidity > 0n) {
+    const probe = await withRpcRetry(() => simulateDecreaseLiquidity({
+      tokenId,
+      liquidity: removeLiquidity,
+      deadline,
+      fromAddress: sender,
+      positionManager: KITTENSWAP_CONTRACTS.positionManager,
+    }, { blockTag })).catch(() => null);
+    if (probe) {
+      expectedOut = { amount0: probe.amount0, amount1: probe.amount1 };
+      expectedOutSource = "eth_call simulation";
+    } else {
+      expectedOut = positionAmountsForLiquidity({
+        tick: ctx.poolState.tick,
+        sqrtPriceX96: ctx.poolState.priceSqrtX96,
+        tickLower: ctx.position.tickLower,
+        tickUpper: ctx.position.tickUpper,
+        liquidity: removeLiquidity,
+      });
+      expectedOutSource = "exact TickMath/LiquidityAmounts (simulation unavailable)";
+    }
+  }
+  const amount0Min = expectedOut ? (expectedOut.amount0 * BigInt(10_000 - slippageBps)) / 10_000n : 0n;
+  const amount1Min = expectedOut ? (expectedOut.amount1 * BigInt(10_000 - slippageBps)) / 10_000n : 0n;
   const decreaseData = buildDecreaseLiquidityCalldata({
     tokenId,
-    liquidity: ctx.position.liquidity,
-    amount0Min: 0n,
-    amount1Min: 0n,
+    liquidity: removeLiquidity,
+    amount0Min,
+    amount1Min,
     deadline,
   });
 
@@ -2744,15 +3180,15 @@ async function analyzeCanonicalRemovalPath({
       toAddress: KITTENSWAP_CONTRACTS.positionManager,
       data: collectData,
       value: 0n,
-      blockTag: "latest",
+      blockTag,
     }),
-    ctx.position.liquidity > 0n
+    removeLiquidity > 0n
       ? replayEthCall({
         fromAddress: sender,
         toAddress: KITTENSWAP_CONTRACTS.positionManager,
         data: decreaseData,
         value: 0n,
-        blockTag: "latest",
+        blockTag,
       })
       : Promise.resolve({ ok: true, skipped: true, category: null, revertHint: null, error: null }),
   ]);
@@ -2768,8 +3204,11 @@ async function analyzeCanonicalRemovalPath({
   }
   if (!decreaseDecode?.ok) {
     blockers.push("decreaseLiquidity calldata decode guard failed.");
-  } else if (decreaseDecode.decoded.liquidity !== ctx.position.liquidity) {
-    blockers.push(`decrease liquidity mismatch: calldata=${decreaseDecode.decoded.liquidity.toString()} vs on-chain=${ctx.position.liquidity.toString()}.`);
+  } else if (decreaseDecode.decoded.liquidity !== removeLiquidity) {
+    blockers.push(`decrease liquidity mismatch: calldata=${decreaseDecode.decoded.liquidity.toString()} vs requested=${removeLiquidity.toString()}.`);
+  }
+  if (removeLiquidity > ctx.position.liquidity) {
+    blockers.push(`requested liquidity ${removeLiquidity.toString()} exceeds on-chain liquidity ${ctx.position.liquidity.toString()}.`);
   }
   if (!collectSim.ok) {
     if (collectSim.category === "rpc_unavailable") blockers.push("collect simulation unavailable due RPC instability.");
@@ -2784,6 +3223,11 @@ async function analyzeCanonicalRemovalPath({
     sender,
     recipient,
     deadline,
+    removeLiquidity,
+    expectedOut,
+    expectedOutSource,
+    amount0Min,
+    amount1Min,
     collectData,
     decreaseData,
     collectDecode,
@@ -2795,10 +3239,11 @@ async function analyzeCanonicalRemovalPath({
   };
 }
 
-async function cmdPosition({ tokenIdRaw, ownerRef = "" }) {
+async function cmdPosition({ tokenIdRaw, ownerRef = "", blockRef = "" }) {
   const tokenId = parseTokenId(tokenIdRaw);
+  const blockTag = parseBlockTag(blockRef);
   const ownerAddress = ownerRef ? await resolveAddressInput(ownerRef, { allowDefault: false }) : null;
-  const ctx = await loadPositionContext(tokenId, { ownerAddress });
+  const ctx = await loadPositionContext(tokenId, { ownerAddress, blockTag });
   const status = evaluateRebalanceNeed({
     currentTick: ctx.poolState.tick,
     tickLower: ctx.position.tickLower,
@@ -2806,17 +3251,25 @@ async function cmdPosition({ tokenIdRaw, ownerRef = "" }) {
     edgeBps: DEFAULT_POLICY.edgeBps,
   });
   const sidePct = rangeSidePercents(ctx.poolState.tick, ctx.position.tickLower, ctx.position.tickUpper);
-  const stakedInfo = await classifyStakedStatus(tokenId);
+  const stakedInfo = await classifyStakedStatus(tokenId, { blockTag });
   const canonicalSender = ownerAddress || ctx.nftOwner;
   const removalCheck = await analyzeCanonicalRemovalPath({
     tokenId,
     ctx,
     senderAddress: canonicalSender,
     deadlineSeconds: 900,
+    blockTag,
   });
+  const fees = await withRpcRetry(() => readUncollectedFees({
+    tokenId,
+    poolAddress: ctx.poolAddress,
+    position: ctx.position,
+    poolState: ctx.poolState,
+  }, { blockTag })).catch(() => null);
 
   const lines = [];
   lines.push(`Kittenswap LP position ${tokenId.toString()}`);
+  pushBlockPinLine(lines, blockTag);
   lines.push(`- position manager: ${KITTENSWAP_CONTRACTS.positionManager}`);
   lines.push(`- nft owner: ${ctx.nftOwner}`);
   lines.push(`- staked status: ${stakedInfo.label}`);
@@ -2844,7 +3297,8 @@ async function cmdPosition({ tokenIdRaw, ownerRef = "" }) {
   } else {
     lines.push("- state classification: NORMAL_REMOVABLE (canonical collect/decrease path currently passes)");
   }
-  lines.push(`- uncollected fees: ${formatUnits(ctx.position.tokensOwed0, ctx.token0.decimals, { precision: 8 })} ${ctx.token0.symbol} + ${formatUnits(ctx.position.tokensOwed1, ctx.token1.decimals, { precision: 8 })} ${ctx.token1.symbol}`);
+  lines.push(`- uncollected fees (fee growth, exact): ${fees ? `${formatUnits(fees.amount0, ctx.token0.decimals, { precision: 8 })} ${ctx.token0.symbol} + ${formatUnits(fees.amount1, ctx.token1.decimals, { precision: 8 })} ${ctx.token1.symbol}` : "n/a"}`);
+  lines.push(`- tokens owed (checkpointed): ${formatUnits(ctx.position.tokensOwed0, ctx.token0.decimals, { precision: 8 })} ${ctx.token0.symbol} + ${formatUnits(ctx.position.tokensOwed1, ctx.token1.decimals, { precision: 8 })} ${ctx.token1.symbol}`);
   lines.push(priceSection(ctx));
   lines.push("- token metadata:");
   lines.push(formatTokenLine(ctx.token0, { includeBalance: ownerAddress != null }));
@@ -2854,9 +3308,10 @@ async function cmdPosition({ tokenIdRaw, ownerRef = "" }) {
   return lines.join("\n");
 }
 
-async function cmdStatus({ tokenIdRaw, edgeBps }) {
+async function cmdStatus({ tokenIdRaw, edgeBps, blockRef = "" }) {
   const tokenId = parseTokenId(tokenIdRaw);
-  const ctx = await loadPositionContext(tokenId);
+  const blockTag = parseBlockTag(blockRef);
+  const ctx = await loadPositionContext(tokenId, { blockTag });
   const threshold = parseBps(edgeBps, DEFAULT_POLICY.edgeBps, { min: 0, max: 10_000 });
   const evald = evaluateRebalanceNeed({
     currentTick: ctx.poolState.tick,
@@ -2872,6 +3327,7 @@ async function cmdStatus({ tokenIdRaw, edgeBps }) {
     ctx,
     senderAddress: ctx.nftOwner,
     deadlineSeconds: 900,
+    blockTag,
   });
   const rec = suggestCenteredRange({
     currentTick: ctx.poolState.tick,
@@ -2882,6 +3338,7 @@ async function cmdStatus({ tokenIdRaw, edgeBps }) {
 
   const lines = [];
   lines.push(`Kittenswap LP rebalance status (${tokenId.toString()})`);
+  pushBlockPinLine(lines, blockTag);
   lines.push(`- pool: ${ctx.poolAddress}`);
   lines.push(`- ticks: [${ctx.position.tickLower}, ${ctx.position.tickUpper}] | current ${ctx.poolState.tick}`);
   lines.push(`- within range: ${evald.outOfRange ? "NO" : "YES"}`);
@@ -2919,6 +3376,11 @@ async function cmdHeartbeat({
   eternalFarmingRef = "",
   autonomous = false,
   suppressNextSteps = false,
+  quorumRef = "",
+  widthModeRef = "",
+  volLookbackBlocksRef = "",
+  horizonHoursRef = "",
+  inRangePctRef = "",
 }) {
   const cfg = await loadConfig();
   const configAutonomousHeartbeat = parseBoolFlag(cfg.general?.heartbeatAutonomous);
@@ -2932,7 +3394,7 @@ async function cmdHeartbeat({
     DEFAULT_HEARTBEAT.edgeBps,
     { min: 0, max: 10_000 }
   );
-  const ctx = await loadPositionContext(tokenId, { ownerAddress: owner });
+  const { ctx, quorumCheck } = await loadPositionContextWithQuorum(tokenId, { ownerAddress: owner, quorum: parseQuorum(quorumRef) });
   const evald = evaluateRebalanceNeed({
     currentTick: ctx.poolState.tick,
     tickLower: ctx.position.tickLower,
@@ -2941,14 +3403,32 @@ async function cmdHeartbeat({
   });
   const headroomPct = rangeHeadroomPct(ctx.poolState.tick, ctx.position.tickLower, ctx.position.tickUpper);
   const sidePct = rangeSidePercents(ctx.poolState.tick, ctx.position.tickLower, ctx.position.tickUpper);
+  // heartbeat.widthMode in policy.defaults.json applies unless the run picks a mode or a bump
+  const bumpGiven = widthBumpTicks != null && String(widthBumpTicks).trim() !== "";
+  if (parseWidthMode(widthModeRef) === "volatility" && bumpGiven) {
+    throw new Error("--width-mode volatility sizes the new range itself; drop --width-bump-ticks");
+  }
+  const widthMode = String(widthModeRef || "").trim() ? parseWidthMode(widthModeRef) : (bumpGiven ? "fixed" : parseWidthMode(DEFAULT_HEARTBEAT.widthMode));
+  const volWidth = await resolveVolatilityWidth({
+    pool: ctx.poolAddress,
+    spacing: Math.max(1, Math.abs(Number(ctx.tickSpacing || 1))),
+    widthModeRef: widthMode,
+    volLookbackBlocksRef,
+    horizonHoursRef,
+    inRangePctRef,
+  });
   const widthPolicy = computeCenteredRangeWithWidthBump({
     currentTick: ctx.poolState.tick,
     tickLower: ctx.position.tickLower,
     tickUpper: ctx.position.tickUpper,
     tickSpacing: ctx.tickSpacing,
     widthBumpTicks: parseNonNegativeIntegerOrDefault(widthBumpTicks, DEFAULT_HEARTBEAT.widthBumpTicks, "heartbeat width-bump-ticks"),
+    widthTicks: volWidth?.widthTicks ?? null,
   });
   const rec = widthPolicy.rec;
+  const targetWidthText = volWidth
+    ? `${widthPolicy.targetWidth} ticks (volatility target; current ${widthPolicy.baseWidth})`
+    : `${widthPolicy.targetWidth} ticks (current ${widthPolicy.baseWidth} + ${widthPolicy.bumpApplied})`;
 
   const { farmingCenter, eternalFarming } = await resolveFarmingContracts({
     farmingCenterRef,
@@ -3053,10 +3533,18 @@ async function cmdHeartbeat({
   pushCommandFlag(farmStatusCmdParts, "eternal-farming", eternalFarming);
 
   const planCmdParts = ["krlp", "plan", tokenId.toString(), owner, "--recipient", recipient, "--edge-bps", String(threshold)];
-  pushCommandFlag(planCmdParts, "width-bump-ticks", String(widthPolicy.bumpRequested));
+  if (volWidth) {
+    pushCommandFlag(planCmdParts, "width-mode", "volatility");
+    pushCommandFlag(planCmdParts, "horizon-hours", String(volWidth.horizonHours));
+    pushCommandFlag(planCmdParts, "in-range-pct", String(volWidth.inRangePct));
+    pushCommandFlag(planCmdParts, "vol-lookback-blocks", String(volWidth.lookbackBlocks));
+  } else {
+    pushCommandFlag(planCmdParts, "width-bump-ticks", String(widthPolicy.bumpRequested));
+  }
   pushCommandFlag(planCmdParts, "policy", policyRef || "");
   pushCommandFlag(planCmdParts, "slippage-bps", slippageBps);
   pushCommandFlag(planCmdParts, "deadline-seconds", deadlineSeconds);
+  if (quorumCheck) pushCommandFlag(planCmdParts, "quorum", quorumCheck.quorum);
 
   const farmExitCmdParts = ["krlp", "farm-exit-plan", tokenId.toString(), owner, "--auto-key"];
   pushCommandFlag(farmExitCmdParts, "farming-center", farmingCenter);
@@ -3082,6 +3570,13 @@ async function cmdHeartbeat({
   pushCommandFlag(restakeEnterCmdParts, "farming-center", farmingCenter);
   pushCommandFlag(restakeEnterCmdParts, "eternal-farming", eternalFarming);
 
+  const lpFees = valueSnap?.claimable?.ok ? valueSnap.claimable : null;
+  const lpFeesPositive = Boolean(lpFees && (lpFees.amount0 > 0n || lpFees.amount1 > 0n));
+  const compoundCmdParts = ["krlp", "compound-plan", tokenId.toString(), owner];
+  pushCommandFlag(compoundCmdParts, "policy", policyRef || "");
+  pushCommandFlag(compoundCmdParts, "slippage-bps", slippageBps);
+  pushCommandFlag(compoundCmdParts, "deadline-seconds", deadlineSeconds);
+
   const currentStakeApproveCmdParts = ["krlp", "farm-approve-plan", tokenId.toString(), owner];
   pushCommandFlag(currentStakeApproveCmdParts, "farming-center", farmingCenter);
   pushCommandFlag(currentStakeApproveCmdParts, "eternal-farming", eternalFarming);
@@ -3108,11 +3603,17 @@ async function cmdHeartbeat({
   lines.push(`- configured ticks each side (half-width): lower=${nominalLowerTicks} | upper=${nominalUpperTicks}`);
   lines.push(`- min headroom pct: ${headroomPct == null ? "n/a" : fmtPct(headroomPct)}`);
   lines.push(`- heartbeat edge threshold: ${threshold} bps (${fmtPct(threshold / 100)})`);
-  lines.push(`- auto widen policy on rebalance: +${widthPolicy.bumpRequested} ticks requested (+${widthPolicy.bumpApplied} applied by spacing)`);
+  if (volWidth) {
+    lines.push(`- auto widen policy on rebalance: volatility width ${volWidth.widthTicks} ticks (replaces the +${DEFAULT_HEARTBEAT.widthBumpTicks} tick bump)`);
+    lines.push(...volatilityWidthLines(volWidth));
+  } else {
+    lines.push(`- auto widen policy on rebalance: +${widthPolicy.bumpRequested} ticks requested (+${widthPolicy.bumpApplied} applied by spacing)`);
+  }
   lines.push(`- rebalance trigger rule: OUT_OF_RANGE OR min_headroom_pct <= ${fmtPct(threshold / 100)}`);
   lines.push(`- rebalance evaluation: ${shouldRebalance ? "TRIGGERED" : "NO_TRIGGER"} (${evald.reason})`);
   lines.push(`- decision: ${decision}`);
   lines.push(`- required heartbeat action: ${requiredHeartbeatAction}`);
+  if (quorumCheck) lines.push(`- read quorum: ${quorumCheckLabel(quorumCheck)}`);
   lines.push(`- stake integrity: ${stakeIntegrity}${stakeRemediationRequired ? " (active liquidity is not staked in configured farm)" : ""}`);
   lines.push(`- farming center: ${farmingCenter}`);
   lines.push(`- eternal farming: ${eternalFarming}`);
@@ -3148,11 +3649,15 @@ async function cmdHeartbeat({
     lines.push("- pending reward delta since last heartbeat: n/a (reward token unavailable)");
     lines.push("- est apr (realized from pending delta): n/a (reward token unavailable)");
   }
+  lines.push(`- uncollected LP fees: ${lpFees ? `${formatUnits(lpFees.amount0, ctx.token0.decimals, { precision: 8 })} ${ctx.token0.symbol} + ${formatUnits(lpFees.amount1, ctx.token1.decimals, { precision: 8 })} ${ctx.token1.symbol}` : "n/a"}`);
   if (bonusRewardTokenAddress && bonusRewardEmissionActive) {
     const bonusLabel = bonusMeta?.symbol || bonusRewardTokenAddress;
     lines.push(`- secondary reward token (bonus): ${bonusRewardTokenAddress}${bonusMeta ? ` (${bonusMeta.symbol})` : ""}`);
     lines.push(`- pending bonus now: ${bucketABonusReward == null ? "n/a" : formatUnits(bucketABonusReward, bonusMeta?.decimals ?? 18, { precision: 8 })} ${bonusLabel} (position-uncollected)`);
   }
+  if (quorumCheck && !quorumCheck.ok) {
+    lines.push(`- BLOCKER: read quorum failed (${quorumCheck.reason}); position/pool state is not confirmed, do not act on this heartbeat.`);
+  }
   if (!isStaked && (stakeState.stakedElsewhere || stakeState.statusCode === "INCONSISTENT_FARM_STATE")) {
     lines.push("- BLOCKER: canonical staking checks did not pass; do not run farm-exit/collect until status is STAKED_KITTENSWAP.");
   }
@@ -3186,8 +3691,10 @@ async function cmdHeartbeat({
       lines.push(`- trigger position ticks each side: lower=${evald.lowerHeadroomTicks} | upper=${evald.upperHeadroomTicks}`);
       lines.push(`- trigger position min headroom: ${headroomPct == null ? "n/a" : fmtPct(headroomPct)}`);
       lines.push(`- suggested replacement range: [${rec.tickLower}, ${rec.tickUpper}]`);
-      lines.push(`- target replacement width: ${widthPolicy.targetWidth} ticks (current ${widthPolicy.baseWidth} + ${widthPolicy.bumpApplied})`);
-      if (isStaked) {
+      lines.push(`- target replacement width: ${targetWidthText}`);
+      if (quorumCheck && !quorumCheck.ok) {
+        lines.push("- status: BLOCKED - read quorum failed; rebalance path is not authorized until providers agree");
+      } else if (isStaked) {
         lines.push("- status: staked in target center - unwind + rebalance + restake path is authorized");
       } else {
         lines.push("- status: not currently staked - direct rebalance path is authorized");
@@ -3200,6 +3707,9 @@ async function cmdHeartbeat({
           lines.push("- harvest state: no rewards currently visible");
         }
       }
+      if (lpFeesPositive) {
+        lines.push(`- fee compounding: available in place (range unchanged): ${renderCommand(compoundCmdParts)}`);
+      }
       if (stakeRemediationRequired) {
         lines.push("- stake remediation required: active-liquidity position is not staked in configured Kittenswap farm");
         lines.push("- no rebalance path emitted; hold is range-healthy but automation is not stake-healthy");
@@ -3240,6 +3750,10 @@ async function cmdHeartbeat({
     } else {
       lines.push("  - Position is not staked and has no active liquidity; no farming harvest step required.");
     }
+    if (lpFeesPositive) {
+      lines.push("  - Optional in-place fee compounding (same tokenId and range; plan handles farm exit/re-enter):");
+      lines.push(`    1. ${renderCommand(compoundCmdParts)}`);
+    }
     if (stakeRemediationRequired) {
       lines.push("- heartbeat result: HOLD (range healthy) + STAKE_REMEDIATION_REQUIRED");
     } else {
@@ -3255,7 +3769,7 @@ async function cmdHeartbeat({
   lines.push(`  - trigger position range each side: lower=${lowerSidePctText} | upper=${upperSidePctText}`);
   lines.push(`  - trigger position ticks each side: lower=${evald.lowerHeadroomTicks} | upper=${evald.upperHeadroomTicks}`);
   lines.push(`  - trigger position min headroom: ${headroomPct == null ? "n/a" : fmtPct(headroomPct)}`);
-  lines.push(`  - target replacement width: ${widthPolicy.targetWidth} ticks (current ${widthPolicy.baseWidth} + ${widthPolicy.bumpApplied})`);
+  lines.push(`  - target replacement width: ${targetWidthText}`);
   lines.push(`  - target replacement ticks now: [${rec.tickLower}, ${rec.tickUpper}]`);
   if (isStaked) {
     lines.push("- phase 3 farming exit and reward claim:");
@@ -3284,23 +3798,25 @@ async function cmdHeartbeat({
   return lines.join("\n");
 }
 
-async function cmdValue({ tokenIdRaw, ownerRef = "" }) {
+async function cmdValue({ tokenIdRaw, ownerRef = "", blockRef = "" }) {
   const tokenId = parseTokenId(tokenIdRaw);
+  const blockTag = parseBlockTag(blockRef);
   const ownerAddress = ownerRef
     ? await resolveAddressInput(ownerRef, { allowDefault: false })
-    : await withRpcRetry(() => readOwnerOf(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager }));
+    : await withRpcRetry(() => readOwnerOf(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager, blockTag }));
 
-  const stableQuoteCtx = createStableQuoteContext();
-  const snap = await loadPositionValueSnapshot(tokenId, { ownerAddress, stableQuoteCtx });
+  const stableQuoteCtx = createStableQuoteContext({ blockTag });
+  const snap = await loadPositionValueSnapshot(tokenId, { ownerAddress, stableQuoteCtx, blockTag });
   const lines = [];
   lines.push(`Kittenswap LP valuation snapshot (${tokenId.toString()})`);
-  lines.push(`- wallet (simulation from): ${ownerAddress}`);
+  pushBlockPinLine(lines, blockTag);
+  lines.push(`- wallet: ${ownerAddress}`);
   lines.push(`- position manager: ${KITTENSWAP_CONTRACTS.positionManager}`);
   lines.push(`- nft owner: ${snap.ctx.nftOwner}`);
   lines.push(`- pool link: ${addressLink(snap.ctx.poolAddress)}`);
   lines.push(`- stable valuation token: ${snap.valueInStable.stableSymbol} (${snap.valueInStable.stableToken})`);
-  lines.push(`- method (principal): eth_call decreaseLiquidity(tokenId, fullLiquidity, 0, 0, deadline)`);
-  lines.push(`- method (rewards): eth_call collect(tokenId, recipient, maxUint128, maxUint128)`);
+  lines.push("- method (principal): exact TickMath/LiquidityAmounts burn of full liquidity at pool sqrtPriceX96 (no eth_call)");
+  lines.push("- method (fees): tokensOwed + liquidity * (pool feeGrowthInside from totalFeeGrowth/ticks() - position checkpoint) / 2^128 (no eth_call from owner; works while staked)");
   lines.push("- method (USD mark): quoteExactInputSingle direct or via WHYPE bridge into stable token");
   pushPositionValueLines(lines, snap);
   lines.push("- safety:");
@@ -3309,55 +3825,707 @@ async function cmdValue({ tokenIdRaw, ownerRef = "" }) {
   return lines.join("\n");
 }
 
-async function cmdWallet({ ownerRef = "", activeOnly = false }) {
+async function syncPositionHistoryIndex({ fromBlock = null } = {}) {
+  const sync = await syncLogIndex({ streams: HISTORY_STREAMS, fromBlock });
+  return { sync, events: await queryLogIndex({ stream: HISTORY_STREAMS }) };
+}
+
+async function readBlockTimestamps(blockNumbers) {
+  const blocks = [...new Set(blockNumbers)];
+  const headers = await rpcBatch(blocks.map((n) => ({ method: "eth_getBlockByNumber", params: [toHexQuantity(BigInt(n)), false] })));
+  return new Map(blocks.map((n, i) => [n, headers[i]?.ok && headers[i].result?.timestamp ? Number(BigInt(headers[i].result.timestamp)) : null]));
+}
+
+// Stable marks (USD₮0 per whole token) quoted at past blocks, cached per block and token.
+function createHistoricalMarks({ tokenMetaCache = new Map() } = {}) {
+  const quoteCtxByBlock = new Map();
+  const marks = new Map();
+  const tokenMeta = async (address) => (await readTokenMetaCached(address, { cache: tokenMetaCache })) || { address, symbol: "?", decimals: 18 };
+  const markAt = async (blockNumber, address) => {
+    const key = `${blockNumber}:${address}`;
+    if (!marks.has(key)) {
+      if (!quoteCtxByBlock.has(blockNumber)) {
+        quoteCtxByBlock.set(blockNumber, { ...createStableQuoteContext({ blockTag: toHexQuantity(BigInt(blockNumber)) }), tokenMetaCache });
+      }
+      const meta = await tokenMeta(address);
+      const q = await quoteStablePerWholeToken(address, meta.decimals, { stableQuoteCtx: quoteCtxByBlock.get(blockNumber) });
+      marks.set(key, q ? q.stablePerToken : null);
+    }
+    return marks.get(key);
+  };
+  // Stable value of [[token, rawAmount], ...] at one block; null when any non-zero leg has no mark.
+  const valueAt = async (blockNumber, legs) => {
+    let total = 0;
+    for (const [address, raw] of legs) {
+      if (!raw) continue;
+      const mark = await markAt(blockNumber, address);
+      const amount = unitsToNumber(raw, (await tokenMeta(address)).decimals);
+      if (mark == null || amount == null) return null;
+      total += amount * mark;
+    }
+    return total;
+  };
+  return { tokenMeta, markAt, valueAt };
+}
+
+// Lifecycle of one NFT from the log index, with block timestamps and stable marks (USD₮0 per
+// whole token, quoted at the event's block). Marks are cached per block and token.
+async function loadPositionHistory(tokenId, { fromBlock = null, index = null } = {}) {
+  const { sync, events } = index || await syncPositionHistoryIndex({ fromBlock });
+  const timeline = buildPositionTimeline(events, { tokenId });
+
+  let poolAddress = timeline.poolAddress;
+  if (!poolAddress && !timeline.burn) {
+    // mint not indexed yet: resolve the pool from the live position
+    const pos = await withRpcRetry(() => readPosition(tokenId)).catch(() => null);
+    if (pos) poolAddress = await withRpcRetry(() => readPoolAddressByPair(pos.token0, pos.token1, { deployer: pos.deployer })).catch(() => null);
+  }
+
+  const tokenMetaCache = new Map();
+  const [token0, token1] = poolAddress
+    ? await Promise.all([readPoolToken0, readPoolToken1].map(async (read) => {
+      const address = await withRpcRetry(() => read(poolAddress));
+      return (await readTokenMetaCached(address, { cache: tokenMetaCache })) || { address, symbol: "?", decimals: 18 };
+    }))
+    : [null, null];
+  const stableMeta = await readTokenMetaCached(DEFAULT_USD_STABLE_TOKEN, { cache: tokenMetaCache });
+
+  const blockTimes = await readBlockTimestamps(timeline.entries.map((e) => e.blockNumber));
+  const { tokenMeta, markAt, valueAt } = createHistoricalMarks({ tokenMetaCache });
+
+  const mintState = timeline.mint && poolAddress
+    ? await withRpcRetry(() => readPoolGlobalState(poolAddress, { blockTag: toHexQuantity(BigInt(timeline.mint.blockNumber)) })).catch(() => null)
+    : null;
+
+  return { tokenId, sync, timeline, poolAddress, token0, token1, stableMeta, blockTimes, tokenMeta, markAt, valueAt, mintState };
+}
+
+function historyStreamRange(sync, stream) {
+  const s = sync.streams.find((x) => x.stream === stream);
+  return s?.fromBlock == null ? "none" : `${s.fromBlock}..${s.toBlock}`;
+}
+
+async function cmdHistory({ tokenIdRaw, fromBlockRef = "" }) {
+  const tokenId = parseTokenId(tokenIdRaw);
+  const fromBlock = parseOptionalInteger(fromBlockRef, null, { field: "--from-block", min: 0 });
+  const h = await loadPositionHistory(tokenId, { fromBlock });
+  const { timeline, token0, token1, stableMeta } = h;
+  const stableSymbol = stableMeta?.symbol || "USD";
+  const amountText = (raw, meta) => `${fmtNum(unitsToNumber(raw, meta?.decimals ?? 18), { dp: 8 })} ${meta?.symbol || "?"}`;
+  const pairText = (a0, a1) => `${amountText(a0, token0)} + ${amountText(a1, token1)}`;
+  const valueText = (v) => (v == null ? "n/a (no stable quote at this block)" : `${fmtNum(v, { dp: 6 })} ${stableSymbol}`);
+  const pairValue = (blockNumber, a0, a1) => h.valueAt(blockNumber, [[token0.address, a0], [token1.address, a1]]);
+  const sum = (acc, v) => (acc == null || v == null ? null : acc + v);
+
+  const lines = [];
+  lines.push(`Kittenswap position history (${tokenId.toString()})`);
+  lines.push(`- position manager: ${KITTENSWAP_CONTRACTS.positionManager}`);
+  lines.push(`- pool: ${h.poolAddress || "unknown (no IncreaseLiquidity indexed and position not readable)"}`);
+  if (token0 && token1) lines.push(`- pair: ${token0.symbol} (${token0.address}) / ${token1.symbol} (${token1.address})`);
+  lines.push(`- source: eth_getLogs event index (positions blocks ${historyStreamRange(h.sync, "positions")}, farming blocks ${historyStreamRange(h.sync, "farming")}; ${h.sync.streams.reduce((n, s) => n + s.requests, 0)} requests this run)`);
+  lines.push(`- stable marks: ${stableSymbol} (${DEFAULT_USD_STABLE_TOKEN}) per whole token via quoteExactInputSingle at each event block (direct or via WHYPE)`);
+
+  if (!timeline.entries.length) {
+    lines.push("- events: none indexed for this token id");
+    lines.push("- hint: rerun with --from-block <block at or before the mint> to backfill the index");
+    return lines.join("\n");
+  }
+
+  const mint = timeline.mint;
+  if (mint && token0 && token1) {
+    lines.push(`- mint tx: ${mint.txHash}`);
+    lines.push(`  - entry amounts: ${pairText(mint.amount0, mint.amount1)}`);
+    if (h.mintState) {
+      const price = tickToPrice(h.mintState.tick, { decimals0: token0.decimals, decimals1: token1.decimals });
+      lines.push(`  - entry price: ${price == null ? "n/a" : fmtNum(price, { dp: 8 })} ${token1.symbol} per ${token0.symbol} (tick ${h.mintState.tick}, pool state at mint block)`);
+    }
+    lines.push(`  - entry value: ${valueText(await pairValue(mint.blockNumber, mint.amount0, mint.amount1))}`);
+  } else if (!mint) {
+    lines.push(`- mint tx: not in the indexed range (first event at block ${timeline.entries[0].blockNumber}); rerun with --from-block <block at or before the mint>`);
+  }
+
+  let depositedValue = 0;
+  let withdrawnValue = 0;
+  let feesValue = 0;
+  let rewardsValue = 0;
+  lines.push(`- events: ${timeline.entries.length}`);
+  for (const e of timeline.entries) {
+    const ts = h.blockTimes.get(e.blockNumber);
+    lines.push(`  - ${e.kind}: block ${e.blockNumber} | ${ts == null ? "time n/a" : new Date(ts * 1000).toISOString()} | tx ${e.txHash}`);
+    if (token0 && token1) {
+      const [m0, m1] = await Promise.all([h.markAt(e.blockNumber, token0.address), h.markAt(e.blockNumber, token1.address)]);
+      lines.push(`    - marks: ${token0.symbol}=${m0 == null ? "n/a" : fmtNum(m0, { dp: 8 })} ${token1.symbol}=${m1 == null ? "n/a" : fmtNum(m1, { dp: 8 })} (${stableSymbol} per token)`);
+    }
+    if (e.kind === "transfer" || e.kind === "burn") {
+      lines.push(`    - from: ${e.from}`);
+      if (e.kind === "transfer") lines.push(`    - to: ${e.to}`);
+    }
+    if (e.kind === "mint") lines.push(`    - to: ${e.to}`);
+    if ((e.kind === "mint" || e.kind === "increase" || e.kind === "decrease") && token0 && token1) {
+      const v = await pairValue(e.blockNumber, e.amount0, e.amount1);
+      lines.push(`    - liquidity: ${e.kind === "decrease" ? "-" : "+"}${e.liquidity.toString()}`);
+      lines.push(`    - amounts: ${pairText(e.amount0, e.amount1)}`);
+      lines.push(`    - value: ${valueText(v)}`);
+      if (e.kind !== "decrease") depositedValue = sum(depositedValue, v);
+    }
+    if (e.kind === "collect" && token0 && token1) {
+      const principal = await pairValue(e.blockNumber, e.principal0, e.principal1);
+      const fees = await pairValue(e.blockNumber, e.fees0, e.fees1);
+      lines.push(`    - recipient: ${e.recipient}`);
+      lines.push(`    - amounts: ${pairText(e.amount0, e.amount1)}`);
+      lines.push(`    - principal (from earlier decreases): ${pairText(e.principal0, e.principal1)} = ${valueText(principal)}`);
+      lines.push(`    - fees: ${pairText(e.fees0, e.fees1)} = ${valueText(fees)}`);
+      withdrawnValue = sum(withdrawnValue, principal);
+      feesValue = sum(feesValue, fees);
+    }
+    if (e.kind === "farm-enter" || e.kind === "farm-exit" || e.kind === "farm-collect") {
+      const key = e.incentive ? `reward ${e.incentive.rewardToken}, bonus ${e.incentive.bonusRewardToken}, pool ${e.incentive.pool}, nonce ${e.incentive.nonce}` : "key not indexed";
+      lines.push(`    - incentive: ${e.incentiveId} (${key})`);
+      if (e.kind === "farm-enter") lines.push(`    - liquidity: ${e.liquidity.toString()}`);
+    }
+    if (e.rewards) {
+      const v = await h.valueAt(e.blockNumber, e.rewards.map((r) => [r.token, r.amount]));
+      const parts = [];
+      for (const r of e.rewards) parts.push(amountText(r.amount, await h.tokenMeta(r.token)));
+      if (e.kind === "reward-claim") lines.push(`    - to: ${e.to}`);
+      lines.push(`    - ${e.kind === "reward-claim" ? "claimed" : "rewards accrued"}: ${parts.length ? parts.join(" + ") : "0"} = ${valueText(v)}`);
+      if (e.kind === "farm-collect" && !e.incentive && (e.rawReward > 0n || e.rawBonusReward > 0n)) {
+        lines.push(`    - raw rewards: ${e.rawReward.toString()} / bonus ${e.rawBonusReward.toString()} (reward token unknown: incentive not indexed)`);
+      }
+      if (e.kind !== "reward-claim") rewardsValue = sum(rewardsValue, v);
+    }
+  }
+
+  const t = timeline.totals;
+  lines.push("- summary:");
+  lines.push(`  - status: ${timeline.burn ? `burned at block ${timeline.burn.blockNumber}` : t.liquidity > 0n ? `open (indexed net liquidity ${t.liquidity.toString()})` : "closed (liquidity removed, NFT not burned)"}`);
+  if (token0 && token1) {
+    lines.push(`  - deposited: ${pairText(t.deposited0, t.deposited1)} = ${valueText(depositedValue)} at deposit marks`);
+    lines.push(`  - withdrawn principal: ${pairText(t.withdrawn0, t.withdrawn1)} = ${valueText(withdrawnValue)} at collect marks`);
+    lines.push(`  - fees collected: ${pairText(t.fees0, t.fees1)} = ${valueText(feesValue)} at collect marks`);
+  }
+  const rewardParts = [];
+  for (const [token, amount] of t.rewards) rewardParts.push(amountText(amount, await h.tokenMeta(token)));
+  lines.push(`  - farm rewards accrued: ${rewardParts.length ? `${rewardParts.join(" + ")} = ${valueText(rewardsValue)} at accrual marks` : "none"}`);
+  lines.push("- notes:");
+  lines.push("  - collect is split into principal (amounts owed by earlier decreases) and fees (the remainder)");
+  lines.push("  - claimed rows are RewardClaimed events in this token's txs; a claim can include other positions' rewards");
+  lines.push("  - read-only: the log index under state/log-index/ is the only thing written");
+  return lines.join("\n");
+}
+
+// One chain segment of `pnl`, valued at the current marks. Principal withdrawn earlier is
+// counted as still held, so IL compares LP principal against holding the entry amounts.
+async function positionPnlSegment(h, { blockTag, stableQuoteCtx, markNow, owners, seenTxs }) {
+  const { timeline, token0, token1 } = h;
+  const t = timeline.totals;
+  const tokenId = BigInt(timeline.tokenId);
+  const valueNow = async (legs) => {
+    let total = 0;
+    for (const [address, raw] of legs) {
+      if (!raw) continue;
+      const mark = await markNow(address);
+      const amount = unitsToNumber(raw, (await h.tokenMeta(address)).decimals);
+      if (mark == null || amount == null) return null;
+      total += amount * mark;
+    }
+    return total;
+  };
+
+  const seg = { tokenId: timeline.tokenId, h, principal0: 0n, principal1: 0n, unclaimedFees0: 0n, unclaimedFees1: 0n, pending: new Map(), liveError: null, staked: null };
+  if (!timeline.burn && token0 && token1) {
+    try {
+      const ownerAddress = await withRpcRetry(() => readOwnerOf(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager, blockTag }));
+      const snap = await loadPositionValueSnapshot(tokenId, { ownerAddress, stableQuoteCtx, blockTag });
+      if (!snap.principal.ok || !snap.claimable.ok) throw new Error(snap.principal.error || snap.claimable.error);
+      // tokensOwed still holds principal from decreases that were not collected yet
+      const owed0 = t.owed0 < snap.claimable.amount0 ? t.owed0 : snap.claimable.amount0;
+      const owed1 = t.owed1 < snap.claimable.amount1 ? t.owed1 : snap.claimable.amount1;
+      seg.principal0 = snap.principal.amount0 + owed0;
+      seg.principal1 = snap.principal.amount1 + owed1;
+      seg.unclaimedFees0 = snap.claimable.amount0 - owed0;
+      seg.unclaimedFees1 = snap.claimable.amount1 - owed1;
+      seg.staked = snap.stakedInfo?.staked ?? null;
+      if (seg.staked) {
+        const resolved = await resolveIncentiveKey({ tokenId, autoKey: true, matchDepositIncentive: true }).catch(() => null);
+        const info = resolved
+          ? await withRpcRetry(() => readEternalFarmingRewardInfo(tokenId, resolved.key, { blockTag })).catch(() => null)
+          : null;
+        if (info) {
+          for (const [token, amount] of [[resolved.key.rewardToken, info.reward], [resolved.key.bonusRewardToken, info.bonusReward]]) {
+            if (token !== ZERO_ADDRESS && amount > 0n) seg.pending.set(token, (seg.pending.get(token) || 0n) + amount);
+          }
+        }
+      }
+    } catch (e) {
+      seg.liveError = e?.message || String(e);
+    }
+  }
+
+  const hashes = [...new Set(timeline.entries.map((e) => e.txHash))].filter((hash) => !seenTxs.has(hash));
+  hashes.forEach((hash) => seenTxs.add(hash));
+  const receipts = await rpcBatch(hashes.map((hash) => ({ method: "eth_getTransactionReceipt", params: [hash] })));
+  seg.gasWei = 0n;
+  seg.gasTxs = 0;
+  seg.gasMissing = 0;
+  for (const r of receipts) {
+    const rc = r?.ok ? r.result : null;
+    if (!rc) {
+      seg.gasMissing += 1;
+      continue;
+    }
+    if (!owners.has(normalizeAddress(rc.from))) continue;
+    seg.gasWei += BigInt(rc.gasUsed || "0x0") * BigInt(rc.effectiveGasPrice || rc.gasPrice || "0x0");
+    seg.gasTxs += 1;
+  }
+
+  const rewardLegs = [...t.rewards, ...seg.pending];
+  seg.hodl = token0 ? await valueNow([[token0.address, t.deposited0], [token1.address, t.deposited1]]) : null;
+  seg.lpValue = token0 ? await valueNow([[token0.address, seg.principal0 + t.withdrawn0], [token1.address, seg.principal1 + t.withdrawn1]]) : null;
+  seg.fees = token0 ? await valueNow([[token0.address, t.fees0 + seg.unclaimedFees0], [token1.address, t.fees1 + seg.unclaimedFees1]]) : null;
+  seg.rewards = await valueNow(rewardLegs);
+  const hypeMark = await markNow(WHYPE_TOKEN_ADDRESS);
+  seg.gas = hypeMark == null ? null : (unitsToNumber(seg.gasWei, 18) ?? 0) * hypeMark;
+  seg.il = seg.hodl == null || seg.lpValue == null || seg.liveError ? null : seg.lpValue - seg.hodl;
+  seg.net = [seg.il, seg.fees, seg.rewards, seg.gas].some((v) => v == null) ? null : seg.il + seg.fees + seg.rewards - seg.gas;
+  return seg;
+}
+
+async function cmdPnl({ tokenIdRaw, fromBlockRef = "", noChain = false, chainGapRef = "" }) {
+  const tokenId = parseTokenId(tokenIdRaw);
+  const fromBlock = parseOptionalInteger(fromBlockRef, null, { field: "--from-block", min: 0 });
+  const maxGapBlocks = parseOptionalInteger(chainGapRef, DEFAULT_CHAIN_MAX_GAP_BLOCKS, { field: "--chain-gap-blocks", min: 0 });
+  const index = await syncPositionHistoryIndex({ fromBlock });
+
+  // Walk back through rebalances: each predecessor was withdrawn into this chain's next mint.
+  const chain = [buildPositionTimeline(index.events, { tokenId })];
+  while (!noChain && chain.length < 50) {
+    const prev = findPredecessorTimeline(index.events, chain[0], { maxGapBlocks });
+    if (!prev || chain.some((x) => x.tokenId === prev.tokenId)) break;
+    chain.unshift(prev);
+  }
+  // Without the mint the entry amounts (the HODL baseline) are unknown; IL and net PnL would be made up.
+  const unbased = chain.find((x) => !x.mint);
+  if (unbased) {
+    throw new Error(`Cost basis unknown for token ${unbased.tokenId}: its mint is not in the indexed log range, so impermanent loss and net PnL cannot be computed. Rerun with --from-block <block at or before the mint>.`);
+  }
+
+  const blockTag = await resolveSnapshotBlockTag("latest");
+  const stableQuoteCtx = createStableQuoteContext({ blockTag });
+  const marks = new Map();
+  const markNow = async (address) => {
+    if (!marks.has(address)) {
+      const meta = await readTokenMetaCached(address, { cache: stableQuoteCtx.tokenMetaCache });
+      const q = meta ? await quoteStablePerWholeToken(address, meta.decimals, { stableQuoteCtx }) : null;
+      marks.set(address, q ? q.stablePerToken : null);
+    }
+    return marks.get(address);
+  };
+
+  const histories = [];
+  for (const timeline of chain) histories.push(await loadPositionHistory(BigInt(timeline.tokenId), { index }));
+  const owners = new Set(chain.map((x) => x.mint?.to).filter(Boolean));
+  if (!owners.size) {
+    const nftOwner = await withRpcRetry(() => readOwnerOf(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager, blockTag })).catch(() => null);
+    if (nftOwner) owners.add(normalizeAddress(nftOwner));
+  }
+  const seenTxs = new Set();
+  const segments = [];
+  for (const h of histories) segments.push(await positionPnlSegment(h, { blockTag, stableQuoteCtx, markNow, owners, seenTxs }));
+
+  const origin = histories[0];
+  const { token0, token1, stableMeta } = origin;
+  const stableSymbol = stableMeta?.symbol || "USD";
+  const amountText = (raw, meta) => `${fmtNum(unitsToNumber(raw, meta?.decimals ?? 18), { dp: 8 })} ${meta?.symbol || "?"}`;
+  const pairText = (a0, a1) => `${amountText(a0, token0)} + ${amountText(a1, token1)}`;
+  const valueText = (v) => (v == null ? "n/a" : `${fmtNum(v, { dp: 6 })} ${stableSymbol}`);
+  const signedText = (v) => (v == null ? "n/a" : `${v > 0 ? "+" : ""}${fmtNum(v, { dp: 6 })} ${stableSymbol}`);
+  const rewardText = async (rows) => {
+    const parts = [];
+    for (const [token, amount] of rows) parts.push(amountText(amount, await origin.tokenMeta(token)));
+    return parts.length ? parts.join(" + ") : "none";
+  };
+  const total = (key) => (segments.some((s) => s[key] == null) ? null : segments.reduce((acc, s) => acc + s[key], 0));
+
+  const lines = [];
+  lines.push(`Kittenswap position PnL (${tokenId.toString()})`);
+  lines.push(`- owner: ${[...owners].join(", ") || "unknown"}`);
+  if (token0 && token1) lines.push(`- pair: ${token0.symbol} (${token0.address}) / ${token1.symbol} (${token1.address})`);
+  lines.push(`- pool: ${origin.poolAddress || "unknown"}`);
+  lines.push(`- chain: ${chain.map((x) => x.tokenId).join(" -> ")}${chain.length > 1 ? " (each position's withdrawn proceeds fed the next mint)" : ""}${noChain ? " (--no-chain)" : ""}`);
+  lines.push(`- mark block: ${BigInt(blockTag).toString()} (${blockTag})`);
+  const markParts = [];
+  for (const address of [...new Set([token0?.address, token1?.address, WHYPE_TOKEN_ADDRESS, ...segments.flatMap((s) => [...s.h.timeline.totals.rewards.keys(), ...s.pending.keys()])].filter(Boolean))]) {
+    const mark = await markNow(address);
+    markParts.push(`${(await origin.tokenMeta(address)).symbol}=${mark == null ? "n/a" : fmtNum(mark, { dp: 8 })}`);
+  }
+  lines.push(`- marks now: ${markParts.join(" ")} (${stableSymbol} per whole token)`);
+  lines.push("- method:");
+  lines.push("  - every amount is valued at the marks now, so price moves cancel out of IL, fees and rewards");
+  lines.push("  - HODL baseline: the position's entry amounts (mint + increases from IncreaseLiquidity)");
+  lines.push("  - IL: (principal now + principal withdrawn) - HODL baseline");
+  lines.push("  - fees: collected (Collect minus withdrawn principal) + uncollected now; rewards: accrued on farm exit/collect + pending now");
+  lines.push("  - gas: gasUsed * effectiveGasPrice of this chain's txs sent by the owner, in HYPE at the WHYPE mark");
+
+  lines.push("- segments:");
+  for (const seg of segments) {
+    const { timeline } = seg.h;
+    const t = timeline.totals;
+    const status = timeline.burn ? `burned at block ${timeline.burn.blockNumber}` : t.liquidity > 0n ? "open" : "closed (NFT not burned)";
+    lines.push(`  - token ${seg.tokenId}: ${status}`);
+    if (token0 && token1) {
+      lines.push(`    - entry amounts: ${pairText(t.deposited0, t.deposited1)}`);
+      const entryValue = await seg.h.valueAt(timeline.mint.blockNumber, [[token0.address, timeline.mint.amount0], [token1.address, timeline.mint.amount1]]);
+      lines.push(`    - mint value at entry marks: ${valueText(entryValue)} (block ${timeline.mint.blockNumber})`);
+      lines.push(`    - HODL value now: ${valueText(seg.hodl)}`);
+      lines.push(`    - principal now: ${seg.liveError ? `n/a (${seg.liveError})` : pairText(seg.principal0, seg.principal1)}`);
+      lines.push(`    - principal withdrawn: ${pairText(t.withdrawn0, t.withdrawn1)}`);
+      lines.push(`    - impermanent loss: ${signedText(seg.il)}`);
+      lines.push(`    - fee income: ${valueText(seg.fees)} (collected ${pairText(t.fees0, t.fees1)}; uncollected ${pairText(seg.unclaimedFees0, seg.unclaimedFees1)})`);
+    }
+    lines.push(`    - reward income: ${valueText(seg.rewards)} (accrued ${await rewardText(t.rewards)}; pending ${await rewardText(seg.pending)})`);
+    lines.push(`    - gas spent: ${valueText(seg.gas)} (${formatUnits(seg.gasWei, 18, { precision: 8 })} HYPE over ${seg.gasTxs} owner txs${seg.gasMissing ? `; ${seg.gasMissing} receipts unavailable` : ""})`);
+    lines.push(`    - net pnl: ${signedText(seg.net)}`);
+  }
+
+  const baseline = segments[0].hodl;
+  const net = total("net");
+  lines.push("- totals:");
+  lines.push(`  - HODL baseline: ${valueText(baseline)} (entry amounts of token ${segments[0].tokenId} at the marks now)`);
+  lines.push(`  - impermanent loss: ${signedText(total("il"))}`);
+  lines.push(`  - fee income: ${valueText(total("fees"))}`);
+  lines.push(`  - reward income: ${valueText(total("rewards"))}`);
+  lines.push(`  - gas spent: ${valueText(total("gas"))}`);
+  lines.push(`  - net pnl: ${signedText(net)}${net != null && baseline ? ` (${fmtPct((net / baseline) * 100)} of HODL baseline)` : ""}`);
+  lines.push("- notes:");
+  lines.push("  - chained segments are summed: proceeds withdrawn from one position and minted into the next count as an outflow and an inflow at the same marks");
+  lines.push("  - rebalance swaps between segments (price impact, swap fee, approve/swap gas) are not tied to a token id and are not counted");
+  lines.push("  - read-only: the log index under state/log-index/ is the only thing written");
+  return lines.join("\n");
+}
+
+const LEDGER_FORMATS = ["csv", "jsonl"];
+const LEDGER_COLUMNS = ["timestamp", "block", "tx_hash", "type", "token_id", "token", "symbol", "amount", "amount_raw", "usd_mark", "usd_value"];
+
+// YYYY-MM-DD (UTC day, or its last second with `endOfDay`) or any ISO-8601 timestamp -> unix seconds.
+function parseLedgerDate(ref, { field, endOfDay = false } = {}) {
+  const text = String(ref ?? "").trim();
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  const ms = Date.parse(dateOnly ? `${text}T00:00:00Z` : text);
+  if (!text || !Number.isFinite(ms)) throw new Error(`Invalid ${field}: ${ref} (expected YYYY-MM-DD or an ISO-8601 timestamp)`);
+  return Math.floor(ms / 1000) + (dateOnly && endOfDay ? 86_399 : 0);
+}
+
+// First block whose timestamp is >= ts (head + 1 when the head is older), by binary search.
+async function findFirstBlockAtOrAfter(ts, { head }) {
+  const timeOf = async (n) => {
+    const block = await withRpcRetry(() => rpcCall("eth_getBlockByNumber", [toHexQuantity(BigInt(n)), false]));
+    if (!block?.timestamp) throw new Error(`Block ${n} has no timestamp`);
+    return Number(BigInt(block.timestamp));
+  };
+  if (await timeOf(head) < ts) return head + 1;
+  let lo = 0;
+  let hi = head;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (await timeOf(mid) < ts) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function ledgerStreams(owner) {
+  return [...HISTORY_STREAMS, `transfers-out:${owner}`, `transfers-in:${owner}`, `approvals:${owner}`];
+}
+
+// Txs that can move the owner's funds: transfers to or from it, its approvals, events of NFTs
+// it held or collected from, and its reward claims.
+function ledgerCandidateTxs(events, owner) {
+  const heldIds = new Set(events
+    .filter((e) => e.stream === "positions" && (
+      (e.event === "Transfer" && (e.args.from === owner || e.args.to === owner))
+      || (e.event === "Collect" && e.args.recipient === owner)
+    ))
+    .map((e) => e.args.tokenId));
+  const hashes = new Map();
+  for (const e of events) {
+    const own = (e.stream !== "positions" && e.stream !== "farming")
+      || (e.args?.tokenId != null && heldIds.has(e.args.tokenId))
+      || (e.event === "RewardClaimed" && (e.args.to === owner || e.args.owner === owner));
+    if (own && !hashes.has(e.txHash)) hashes.set(e.txHash, e.blockNumber);
+  }
+  return [...hashes].map(([hash, blockNumber]) => ({ hash, blockNumber })).sort((a, b) => a.blockNumber - b.blockNumber);
+}
+
+// Rows of one mined tx, signed from the owner's side (+ into the wallet, - out of it). Deposits
+// come from IncreaseLiquidity, withdrawals and fees from Collect split by the position timeline,
+// claims from RewardClaimed. Router swaps use the owner's transfer deltas (swap-verify's view)
+// plus msg.value for native-in; any other tx that moved the owner's tokens gets transfer rows.
+async function ledgerRowsForTx({ tx, receipt, owner, timelineFor, poolTokens, tokenIdTokens }) {
+  const rows = [];
+  const blockNumber = Number(BigInt(receipt.blockNumber));
+  const txHash = String(receipt.transactionHash).toLowerCase();
+  const sentByOwner = normalizeAddress(tx.from) === owner;
+  const push = (type, tokenId, token, raw) => {
+    if (raw !== 0n) rows.push({ blockNumber, txHash, type, tokenId: tokenId ?? null, token, raw });
+  };
+  let unresolved = 0;
+  let classified = false;
+
+  for (const e of (receipt.logs || []).map((log) => decodeIndexedLog(log)).filter(Boolean)) {
+    if (e.address === KITTENSWAP_CONTRACTS.positionManager && e.event === "IncreaseLiquidity" && sentByOwner) {
+      classified = true;
+      const tokens = e.args.pool ? await poolTokens(e.args.pool) : await tokenIdTokens(e.args.tokenId);
+      if (!tokens) {
+        unresolved += 1;
+        continue;
+      }
+      push("lp-deposit", e.args.tokenId, tokens[0], -BigInt(e.args.amount0));
+      push("lp-deposit", e.args.tokenId, tokens[1], -BigInt(e.args.amount1));
+    } else if (e.address === KITTENSWAP_CONTRACTS.positionManager && e.event === "Collect" && e.args.recipient === owner) {
+      classified = true;
+      const tokens = await tokenIdTokens(e.args.tokenId);
+      if (!tokens) {
+        unresolved += 1;
+        continue;
+      }
+      const entry = timelineFor(e.args.tokenId).entries.find((x) => x.kind === "collect" && x.txHash === txHash && x.logIndex === e.logIndex);
+      const principal0 = entry?.principal0 ?? 0n;
+      const principal1 = entry?.principal1 ?? 0n;
+      push("lp-withdraw", e.args.tokenId, tokens[0], principal0);
+      push("lp-withdraw", e.args.tokenId, tokens[1], principal1);
+      push("fee-collect", e.args.tokenId, tokens[0], BigInt(e.args.amount0) - principal0);
+      push("fee-collect", e.args.tokenId, tokens[1], BigInt(e.args.amount1) - principal1);
+    } else if (e.address === KITTENSWAP_CONTRACTS.eternalFarming && e.event === "RewardClaimed" && e.args.to === owner) {
+      // FarmingCenter.claimReward forwards to EternalFarming.claimRewardFrom, which emits and pays
+      classified = true;
+      push("reward-claim", null, e.args.rewardToken, BigInt(e.args.reward));
+    }
+  }
+
+  const deltas = () => summarizeTransfersForAddress(receipt, owner).filter((x) => x.address !== KITTENSWAP_CONTRACTS.positionManager);
+  if (!classified && normalizeAddress(tx.to) === KITTENSWAP_CONTRACTS.router && decodeSwapLikeInput(tx.input)) {
+    classified = true;
+    if (sentByOwner) push("swap-out", null, "native", -hexToBigIntSafe(tx.value, 0n));
+    for (const d of deltas()) push(d.net > 0n ? "swap-in" : "swap-out", null, d.address, d.net);
+  }
+  if (!classified) {
+    for (const d of deltas()) push(d.net > 0n ? "transfer-in" : "transfer-out", null, d.address, d.net);
+  }
+
+  if (sentByOwner) {
+    push("gas", null, "native", -(hexToBigIntSafe(receipt.gasUsed, 0n) * hexToBigIntSafe(receipt.effectiveGasPrice || tx.gasPrice, 0n)));
+  }
+  return { rows, unresolved };
+}
+
+function csvField(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function cmdExportLedger({ ownerRef = "", fromRef = "", toRef = "", formatRef = "", outRef = "" }) {
+  const owner = await resolveAddressInput(ownerRef || "", { allowDefault: true });
+  const format = String(formatRef || "csv").trim().toLowerCase();
+  if (!LEDGER_FORMATS.includes(format)) throw new Error(`Invalid --format: ${formatRef} (expected ${LEDGER_FORMATS.join(" or ")})`);
+  const fromTs = parseLedgerDate(fromRef, { field: "--from" });
+  const toTs = toRef ? parseLedgerDate(toRef, { field: "--to", endOfDay: true }) : null;
+  if (toTs != null && toTs < fromTs) throw new Error(`--to ${toRef} is before --from ${fromRef}`);
+
+  const head = (await withRpcRetry(() => rpcBlockNumber())).decimal;
+  const fromBlock = await findFirstBlockAtOrAfter(fromTs, { head });
+  const toBlock = toTs == null ? head : Math.min(head, (await findFirstBlockAtOrAfter(toTs + 1, { head })) - 1);
+  if (fromBlock > toBlock) throw new Error(`No blocks between --from ${fromRef} and --to ${toRef || "now"} (head ${head})`);
+
+  const streams = ledgerStreams(owner);
+  const sync = await syncLogIndex({ streams, fromBlock, toBlock });
+  const candidates = ledgerCandidateTxs(await queryLogIndex({ stream: streams, fromBlock, toBlock }), owner);
+  const fetched = await rpcBatch(candidates.flatMap(({ hash }) => [
+    { method: "eth_getTransactionByHash", params: [hash] },
+    { method: "eth_getTransactionReceipt", params: [hash] },
+  ]));
+
+  // Collect splits need the owed principal of earlier decreases, which can predate the window.
+  const historyEvents = await queryLogIndex({ stream: HISTORY_STREAMS });
+  const timelines = new Map();
+  const timelineFor = (tokenId) => {
+    if (!timelines.has(tokenId)) timelines.set(tokenId, buildPositionTimeline(historyEvents, { tokenId }));
+    return timelines.get(tokenId);
+  };
+  const poolTokenCache = new Map();
+  const poolTokens = async (pool) => {
+    if (!poolTokenCache.has(pool)) {
+      poolTokenCache.set(pool, await Promise.all([readPoolToken0, readPoolToken1].map((read) => withRpcRetry(() => read(pool)))).catch(() => null));
+    }
+    return poolTokenCache.get(pool);
+  };
+  const tokenIdTokens = async (tokenId) => {
+    const pool = timelineFor(tokenId).poolAddress;
+    if (pool) return poolTokens(pool);
+    const pos = await withRpcRetry(() => readPosition(BigInt(tokenId))).catch(() => null);
+    return pos ? [pos.token0, pos.token1] : null;
+  };
+
+  const rows = [];
+  let missing = 0;
+  let unresolved = 0;
+  let ownerTxs = 0;
+  for (let i = 0; i < candidates.length; i++) {
+    const tx = fetched[2 * i]?.ok ? fetched[2 * i].result : null;
+    const receipt = fetched[2 * i + 1]?.ok ? fetched[2 * i + 1].result : null;
+    if (!tx || !receipt) {
+      missing += 1;
+      continue;
+    }
+    if (normalizeAddress(tx.from) === owner) ownerTxs += 1;
+    const out = await ledgerRowsForTx({ tx, receipt, owner, timelineFor, poolTokens, tokenIdTokens });
+    rows.push(...out.rows);
+    unresolved += out.unresolved;
+  }
+
+  const blockTimes = await readBlockTimestamps(rows.map((r) => r.blockNumber));
+  const marks = createHistoricalMarks();
+  const records = [];
+  let unpriced = 0;
+  for (const r of rows) {
+    const native = r.token === "native";
+    const meta = native ? { symbol: "HYPE", decimals: 18 } : await marks.tokenMeta(r.token);
+    const mark = await marks.markAt(r.blockNumber, native ? WHYPE_TOKEN_ADDRESS : r.token);
+    const amount = unitsToNumber(r.raw, meta.decimals);
+    if (mark == null) unpriced += 1;
+    const ts = blockTimes.get(r.blockNumber);
+    records.push({
+      timestamp: ts == null ? null : new Date(ts * 1000).toISOString(),
+      block: r.blockNumber,
+      tx_hash: r.txHash,
+      type: r.type,
+      token_id: r.tokenId,
+      token: r.token,
+      symbol: meta.symbol,
+      amount: formatUnits(r.raw, meta.decimals, { precision: meta.decimals }),
+      amount_raw: r.raw.toString(),
+      usd_mark: mark,
+      usd_value: mark == null || amount == null ? null : amount * mark,
+    });
+  }
+
+  const body = format === "csv"
+    ? [LEDGER_COLUMNS.join(","), ...records.map((rec) => LEDGER_COLUMNS.map((c) => csvField(rec[c])).join(","))].join("\n")
+    : records.map((rec) => JSON.stringify(rec)).join("\n");
+  // without --out the export itself is the output, so it can be redirected to a file
+  if (!outRef) return body;
+  await writeFile(String(outRef), body ? `${body}\n` : "", "utf8");
+
+  const byType = new Map();
+  for (const rec of records) byType.set(rec.type, (byType.get(rec.type) || 0) + 1);
+  const stableMeta = await marks.tokenMeta(DEFAULT_USD_STABLE_TOKEN);
+  const lines = [];
+  lines.push("Kittenswap ledger export");
+  lines.push(`- owner: ${owner}`);
+  lines.push(`- window: ${new Date(fromTs * 1000).toISOString()} .. ${toTs == null ? "now" : new Date(toTs * 1000).toISOString()} (blocks ${fromBlock}..${toBlock})`);
+  lines.push(`- source: eth_getLogs event index (${streams.join(", ")}; ${sync.streams.reduce((n, s) => n + s.requests, 0)} requests this run) plus each matched tx and receipt`);
+  lines.push(`- format: ${format}`);
+  lines.push(`- output: ${outRef}`);
+  lines.push(`- rows: ${records.length}`);
+  for (const [type, n] of [...byType].sort((a, b) => a[0].localeCompare(b[0]))) lines.push(`  - ${type}: ${n}`);
+  lines.push(`- txs: ${candidates.length} (${ownerTxs} sent by the owner${missing ? `; ${missing} unavailable` : ""})`);
+  lines.push(`- usd marks: ${stableMeta.symbol} per whole token via quoteExactInputSingle at each row's block; native HYPE at the WHYPE mark`);
+  if (unpriced) lines.push(`- unpriced rows: ${unpriced} (no stable quote at that block; usd_mark and usd_value left empty)`);
+  if (unresolved) lines.push(`- unresolved position events: ${unresolved} (pair tokens unreadable for the token id)`);
+  lines.push("- notes:");
+  lines.push("  - amounts are signed from the owner's side: positive into the wallet, negative out of it");
+  lines.push("  - lp-withdraw is principal released by DecreaseLiquidity; the rest of a Collect is fee-collect");
+  lines.push("  - only txs that emitted an indexed log are seen, so reverted txs and plain native HYPE transfers are missing");
+  return lines.join("\n");
+}
+
+async function cmdWallet({ ownerRef = "", activeOnly = false, blockRef = "" }) {
   const ownerAddress = await resolveAddressInput(ownerRef || "", { allowDefault: true });
   const manager = KITTENSWAP_CONTRACTS.positionManager;
+  const requestedTag = parseBlockTag(blockRef);
+  const blockTag = await resolveSnapshotBlockTag(requestedTag);
 
-  const tokenIds = await withRpcRetry(() => listOwnedTokenIds(ownerAddress, { positionManager: manager }));
-  const stableQuoteCtx = createStableQuoteContext();
+  const tokenIds = await withRpcRetry(() => listOwnedTokenIds(ownerAddress, { positionManager: manager, blockTag }));
+  const stableQuoteCtx = createStableQuoteContext({ blockTag });
   const rewardTotals = new Map();
   const rewardTokenMeta = new Map();
   const activeTokenIds = [];
+  const poolByPair = new Map();
   let rewardScanErrors = 0;
 
-  for (const tokenId of tokenIds) {
-    let pos = null;
-    try {
-      pos = await withRpcRetry(() => readPosition(tokenId, { positionManager: manager }));
-    } catch {
+  // Per-token reads go out as Multicall3 / JSON-RPC batches instead of one request per call.
+  const [positionReads, stakeReads] = await Promise.all([
+    readPositionsBatch(tokenIds, { positionManager: manager, blockTag }),
+    readFarmStakeStatesBatch(tokenIds, { positionManager: manager, farmingCenter: KITTENSWAP_CONTRACTS.farmingCenter, blockTag }),
+  ]);
+  const scanned = [];
+  tokenIds.forEach((tokenId, i) => {
+    if (!positionReads[i].ok) {
       rewardScanErrors += 1;
-      continue;
+      return;
     }
+    const pos = positionReads[i].value;
     if (pos.liquidity > 0n) activeTokenIds.push(tokenId);
+    scanned.push({ tokenId, pos, stake: stakeReads[i] });
+  });
 
-    try {
-      const claim = await withRpcRetry(() => simulateCollect({
-        tokenId,
-        recipient: ownerAddress,
-        fromAddress: ownerAddress,
-        amount0Max: maxUint128(),
-        amount1Max: maxUint128(),
-        positionManager: manager,
-      }));
-
-      rewardTotals.set(pos.token0, (rewardTotals.get(pos.token0) || 0n) + claim.amount0);
-      rewardTotals.set(pos.token1, (rewardTotals.get(pos.token1) || 0n) + claim.amount1);
-    } catch {
+  const pairs = [...new Map(scanned.map(({ pos }) => [positionPoolKey(pos), pos])).entries()];
+  const tokens = [...new Set(scanned.flatMap(({ pos }) => [pos.token0, pos.token1]))];
+  const [pairReads, metaReads] = await Promise.all([
+    readPoolAddressesByPairBatch(pairs.map(([, pos]) => ({ tokenA: pos.token0, tokenB: pos.token1, deployer: pos.deployer })), { factory: KITTENSWAP_CONTRACTS.factory, blockTag }),
+    readErc20MetadataBatch(tokens, { blockTag }),
+  ]);
+  pairs.forEach(([pairKey], i) => poolByPair.set(pairKey, pairReads[i].ok ? pairReads[i].value : null));
+  for (const meta of metaReads) rewardTokenMeta.set(meta.address, tokenMetaFromBatch(meta));
+  const pools = [...new Set([...poolByPair.values()].filter(Boolean))];
+  const poolStateReads = await readPoolStatesBatch(pools, { blockTag });
+  const poolStates = new Map(pools.map((pool, i) => [pool, poolStateReads[i]]));
+
+  const feeRows = scanned.filter(({ pos }) => poolByPair.get(positionPoolKey(pos)));
+  rewardScanErrors += scanned.length - feeRows.length;
+  const feeReads = await readUncollectedFeesBatch(feeRows.map(({ tokenId, pos }) => ({
+    tokenId,
+    poolAddress: poolByPair.get(positionPoolKey(pos)),
+    position: pos,
+  })), { positionManager: manager, blockTag });
+  const claimableById = new Map();
+  feeRows.forEach(({ tokenId, pos }, i) => {
+    const fees = feeReads[i];
+    if (!fees.ok) {
       rewardScanErrors += 1;
+      claimableById.set(tokenId.toString(), { ok: false, amount0: null, amount1: null, error: fees.error?.message || String(fees.error) });
+      return;
     }
-
-    if (!rewardTokenMeta.has(pos.token0)) rewardTokenMeta.set(pos.token0, await readTokenSnapshot(pos.token0).catch(() => null));
-    if (!rewardTokenMeta.has(pos.token1)) rewardTokenMeta.set(pos.token1, await readTokenSnapshot(pos.token1).catch(() => null));
-  }
+    rewardTotals.set(pos.token0, (rewardTotals.get(pos.token0) || 0n) + fees.value.amount0);
+    rewardTotals.set(pos.token1, (rewardTotals.get(pos.token1) || 0n) + fees.value.amount1);
+    claimableById.set(tokenId.toString(), { ok: true, amount0: fees.value.amount0, amount1: fees.value.amount1, error: null });
+  });
 
   const idsForValue = activeOnly ? activeTokenIds : tokenIds;
   const activeSet = new Set(activeTokenIds.map((x) => x.toString()));
   const idsToSnapshot = idsForValue.filter((id) => activeSet.has(id.toString()));
+  const scannedById = new Map(scanned.map((row) => [row.tokenId.toString(), row]));
 
   const snapshots = [];
   for (const tokenId of idsToSnapshot) {
+    const { pos, stake } = scannedById.get(tokenId.toString());
     try {
-      const snap = await loadPositionValueSnapshot(tokenId, { ownerAddress, stableQuoteCtx });
+      const snap = await loadPositionValueSnapshot(tokenId, {
+        ownerAddress,
+        stableQuoteCtx,
+        blockTag,
+        prefetched: {
+          nftOwner: ownerAddress,
+          position: pos,
+          ...prefetchedPoolState(poolByPair.get(positionPoolKey(pos)), poolStates),
+          stakedInfo: stakedStatusFromReads({
+            farmedInOk: stake.tokenFarmedIn.ok,
+            farmedIn: stake.tokenFarmedIn.value,
+            depositIncentiveId: stake.depositIncentiveId.ok ? stake.depositIncentiveId.value : null,
+          }),
+          claimable: claimableById.get(tokenId.toString()) || null,
+        },
+      });
       snapshots.push(snap);
     } catch {
       rewardScanErrors += 1;
@@ -3392,6 +4560,7 @@ async function cmdWallet({ ownerRef = "", activeOnly = false }) {
 
   const lines = [];
   lines.push("Kittenswap wallet portfolio snapshot");
+  pushSnapshotBlockLine(lines, { requestedTag, blockTag });
   lines.push(`- wallet: ${ownerAddress}`);
   lines.push(`- position manager: ${manager}`);
   lines.push(`- total position NFTs: ${tokenIds.length}`);
@@ -3400,7 +4569,7 @@ async function cmdWallet({ ownerRef = "", activeOnly = false }) {
   lines.push(`- value snapshots generated: ${snapshots.length}${activeOnly ? " (active-only mode)" : ""}`);
   lines.push(`- rpc scan errors: ${rewardScanErrors}`);
 
-  lines.push("- aggregate claimable rewards across scanned NFTs (collect simulation):");
+  lines.push("- aggregate claimable rewards across scanned NFTs (fee growth, exact):");
   if (!rewardTotals.size) {
     lines.push("  - none");
   } else {
@@ -3453,42 +4622,41 @@ async function cmdFarmStakedSummary({
   eternalFarmingRef = "",
 }) {
   const ownerAddress = await resolveAddressInput(ownerRef || "", { allowDefault: true });
+  const blockTag = await resolveSnapshotBlockTag("latest");
   const { farmingCenter, eternalFarming } = await resolveFarmingContracts({
     farmingCenterRef,
     eternalFarmingRef,
+    blockTag,
   });
 
   const tokenIds = await withRpcRetry(() => listOwnedTokenIds(ownerAddress, {
     positionManager: KITTENSWAP_CONTRACTS.positionManager,
+    blockTag,
   }));
 
-  const tokenMetaCache = new Map();
-  const readTokenMetaCached = async (tokenAddress) => {
-    const addr = normalizeAddress(tokenAddress);
-    if (!addr) return null;
-    if (!tokenMetaCache.has(addr)) {
-      tokenMetaCache.set(addr, await readTokenSnapshot(addr).catch(() => null));
-    }
-    return tokenMetaCache.get(addr);
-  };
+  // positions(), tokenFarmedIn() and deposits() for every tokenId go out as Multicall3 / JSON-RPC batches.
+  const [positionReads, stakeReads] = await Promise.all([
+    readPositionsBatch(tokenIds, { positionManager: KITTENSWAP_CONTRACTS.positionManager, blockTag }),
+    readFarmStakeStatesBatch(tokenIds, { positionManager: KITTENSWAP_CONTRACTS.positionManager, farmingCenter, blockTag }),
+  ]);
+  const positions = positionReads.filter((r) => r.ok).map((r) => r.value);
+  const pairs = [...new Map(positions.map((pos) => [positionPoolKey(pos), pos])).entries()];
+  const tokens = [...new Set(positions.flatMap((pos) => [pos.token0, pos.token1]))];
+  const [pairReads, metaReads] = await Promise.all([
+    readPoolAddressesByPairBatch(pairs.map(([, pos]) => ({ tokenA: pos.token0, tokenB: pos.token1, deployer: pos.deployer })), { factory: KITTENSWAP_CONTRACTS.factory, blockTag }),
+    readErc20MetadataBatch(tokens, { blockTag }),
+  ]);
+  const poolByPair = new Map(pairs.map(([pairKey], i) => [pairKey, pairReads[i].ok ? pairReads[i].value : null]));
+  const tokenMeta = new Map(metaReads.map((meta) => [meta.address, tokenMetaFromBatch(meta)]));
+  const rewardRateByIncentive = new Map();
 
   const rows = [];
-  for (const tokenId of tokenIds) {
-    let pos = null;
-    let tokenFarmedIn = null;
-    let depositIncentiveId = null;
+  for (const [i, tokenId] of tokenIds.entries()) {
+    const pos = positionReads[i].ok ? positionReads[i].value : null;
+    const tokenFarmedIn = stakeReads[i].tokenFarmedIn.ok ? stakeReads[i].tokenFarmedIn.value : ZERO_ADDRESS;
+    const depositIncentiveId = stakeReads[i].depositIncentiveId.ok ? stakeReads[i].depositIncentiveId.value : ZERO_BYTES32;
+    const readError = positionReads[i].ok ? null : positionReads[i].error?.message || String(positionReads[i].error);
     let primaryRewardRateRaw = null;
-    let readError = null;
-
-    try {
-      [pos, tokenFarmedIn, depositIncentiveId] = await Promise.all([
-        withRpcRetry(() => readPosition(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager })),
-        withRpcRetry(() => readTokenFarmedIn(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager })).catch(() => ZERO_ADDRESS),
-        withRpcRetry(() => readFarmingCenterDeposit(tokenId, { farmingCenter })).catch(() => ZERO_BYTES32),
-      ]);
-    } catch (err) {
-      readError = err?.message || String(err);
-    }
 
     if (pos && parseBoolFlag(activeOnly) && pos.liquidity <= 0n) continue;
 
@@ -3496,15 +4664,9 @@ async function cmdFarmStakedSummary({
     let pool = null;
     let liquidity = pos?.liquidity?.toString?.() || "n/a";
     if (pos) {
-      pool = await withRpcRetry(() => readPoolAddressByPair(pos.token0, pos.token1, {
-        factory: KITTENSWAP_CONTRACTS.factory,
-      })).catch(() => null);
-      const [token0Meta, token1Meta] = await Promise.all([
-        readTokenMetaCached(pos.token0),
-        readTokenMetaCached(pos.token1),
-      ]);
-      const s0 = token0Meta?.symbol || pos.token0;
-      const s1 = token1Meta?.symbol || pos.token1;
+      pool = poolByPair.get(positionPoolKey(pos));
+      const s0 = tokenMeta.get(pos.token0)?.symbol || pos.token0;
+      const s1 = tokenMeta.get(pos.token1)?.symbol || pos.token1;
       pair = `${s0}/${s1}`;
     }
 
@@ -3515,11 +4677,16 @@ async function cmdFarmStakedSummary({
     });
 
     if (state.stakedInKittenswap && hasNonZeroBytes32(depositIncentiveId)) {
-      const incentiveState = await withRpcRetry(() => readEternalFarmingIncentive(depositIncentiveId, { eternalFarming })).catch(() => null);
-      if (incentiveState?.virtualPoolAddress && incentiveState.virtualPoolAddress !== ZERO_ADDRESS) {
-        const virtualState = await withRpcRetry(() => readEternalVirtualPoolRewardState(incentiveState.virtualPoolAddress)).catch(() => null);
-        primaryRewardRateRaw = virtualState?.rewardRate ?? null;
+      if (!rewardRateByIncentive.has(depositIncentiveId)) {
+        let rewardRate = null;
+        const incentiveState = await withRpcRetry(() => readEternalFarmingIncentive(depositIncentiveId, { eternalFarming, blockTag })).catch(() => null);
+        if (incentiveState?.virtualPoolAddress && incentiveState.virtualPoolAddress !== ZERO_ADDRESS) {
+          const virtualState = await withRpcRetry(() => readEternalVirtualPoolRewardState(incentiveState.virtualPoolAddress, { blockTag })).catch(() => null);
+          rewardRate = virtualState?.rewardRate ?? null;
+        }
+        rewardRateByIncentive.set(depositIncentiveId, rewardRate);
       }
+      primaryRewardRateRaw = rewardRateByIncentive.get(depositIncentiveId);
     }
 
     const earningPrimary = Boolean(
@@ -3557,6 +4724,7 @@ async function cmdFarmStakedSummary({
 
   const lines = [];
   lines.push("Kittenswap farm staked summary");
+  pushSnapshotBlockLine(lines, { requestedTag: "latest", blockTag });
   lines.push(`- wallet: ${ownerAddress}`);
   lines.push(`- farming center: ${farmingCenter}`);
   lines.push(`- eternal farming: ${eternalFarming}`);
@@ -3600,25 +4768,28 @@ async function cmdFarmStatus({
   ownerRef = "",
   farmingCenterRef = "",
   eternalFarmingRef = "",
+  blockRef = "",
 }) {
   const tokenId = parseTokenId(tokenIdRaw);
+  const blockTag = parseBlockTag(blockRef);
   const owner = ownerRef ? await resolveAddressInput(ownerRef, { allowDefault: false }) : null;
   const { farmingCenter, eternalFarming, managerFarmingCenter } = await resolveFarmingContracts({
     farmingCenterRef,
     eternalFarmingRef,
+    blockTag,
   });
 
   const [nftOwner, pos] = await Promise.all([
-    withRpcRetry(() => readOwnerOf(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager })),
-    withRpcRetry(() => readPosition(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager })),
+    withRpcRetry(() => readOwnerOf(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager, blockTag })),
+    withRpcRetry(() => readPosition(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager, blockTag })),
   ]);
-  const pool = await withRpcRetry(() => readPoolAddressByPair(pos.token0, pos.token1, { factory: KITTENSWAP_CONTRACTS.factory }));
+  const pool = await withRpcRetry(() => readPoolAddressByPair(pos.token0, pos.token1, { factory: KITTENSWAP_CONTRACTS.factory, deployer: pos.deployer, blockTag }));
   const [farmingApproval, tokenFarmedIn, depositIncentiveId, tokenApproval, operatorApproval] = await Promise.all([
-    withRpcRetry(() => readPositionFarmingApproval(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager })).catch(() => null),
-    withRpcRetry(() => readTokenFarmedIn(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager })).catch(() => null),
-    withRpcRetry(() => readFarmingCenterDeposit(tokenId, { farmingCenter })).catch(() => null),
-    withRpcRetry(() => readPositionManagerTokenApproval(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager })).catch(() => null),
-    withRpcRetry(() => readPositionManagerIsApprovedForAll(nftOwner, farmingCenter, { positionManager: KITTENSWAP_CONTRACTS.positionManager })).catch(() => null),
+    withRpcRetry(() => readPositionFarmingApproval(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager, blockTag })).catch(() => null),
+    withRpcRetry(() => readTokenFarmedIn(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager, blockTag })).catch(() => null),
+    withRpcRetry(() => readFarmingCenterDeposit(tokenId, { farmingCenter, blockTag })).catch(() => null),
+    withRpcRetry(() => readPositionManagerTokenApproval(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager, blockTag })).catch(() => null),
+    withRpcRetry(() => readPositionManagerIsApprovedForAll(nftOwner, farmingCenter, { positionManager: KITTENSWAP_CONTRACTS.positionManager, blockTag })).catch(() => null),
   ]);
   const tokenTransferApprovalOk = hasFarmingTokenTransferApproval({ tokenApproval, operatorApproved: operatorApproval, farmingCenter });
   const nftOperatorApprovalData = buildSetApprovalForAllCalldata({ operator: farmingCenter, approved: true });
@@ -3628,7 +4799,7 @@ async function cmdFarmStatus({
   let rewardTokenMeta = null;
   let bonusRewardTokenMeta = null;
   if (pool) {
-    key = await withRpcRetry(() => readEternalFarmingIncentiveKey(pool, { eternalFarming })).catch(() => null);
+    key = await withRpcRetry(() => readEternalFarmingIncentiveKey(pool, { eternalFarming, blockTag })).catch(() => null);
     if (key && key.rewardToken !== ZERO_ADDRESS) {
       [rewardTokenMeta, bonusRewardTokenMeta] = await Promise.all([
         readTokenSnapshot(key.rewardToken).catch(() => null),
@@ -3641,7 +4812,7 @@ async function cmdFarmStatus({
   let bucketABonusReward = null;
   if (key && key.rewardToken !== ZERO_ADDRESS && key.pool !== ZERO_ADDRESS) {
     const rewardInfo = await withRpcRetry(
-      () => readEternalFarmingRewardInfo(tokenId, key, { eternalFarming })
+      () => readEternalFarmingRewardInfo(tokenId, key, { eternalFarming, blockTag })
     ).catch(() => null);
     if (rewardInfo) {
       bucketAReward = rewardInfo.reward;
@@ -3655,11 +4826,11 @@ async function cmdFarmStatus({
   let walletBonusRewardBalance = null;
   if (owner && key && key.rewardToken !== ZERO_ADDRESS) {
     [pendingReward, pendingBonusReward, walletRewardBalance, walletBonusRewardBalance] = await Promise.all([
-      withRpcRetry(() => readEternalFarmingRewardBalance(owner, key.rewardToken, { eternalFarming })).catch(() => null),
-      withRpcRetry(() => readEternalFarmingRewardBalance(owner, key.bonusRewardToken, { eternalFarming })).catch(() => null),
-      withRpcRetry(() => readErc20Balance(key.rewardToken, owner)).catch(() => null),
+      withRpcRetry(() => readEternalFarmingRewardBalance(owner, key.rewardToken, { eternalFarming, blockTag })).catch(() => null),
+      withRpcRetry(() => readEternalFarmingRewardBalance(owner, key.bonusRewardToken, { eternalFarming, blockTag })).catch(() => null),
+      withRpcRetry(() => readErc20Balance(key.rewardToken, owner, { blockTag })).catch(() => null),
       key.bonusRewardToken !== ZERO_ADDRESS
-        ? withRpcRetry(() => readErc20Balance(key.bonusRewardToken, owner)).catch(() => null)
+        ? withRpcRetry(() => readErc20Balance(key.bonusRewardToken, owner, { blockTag })).catch(() => null)
         : Promise.resolve(null),
     ]);
   }
@@ -3673,13 +4844,13 @@ async function cmdFarmStatus({
     && depositIncentiveId !== ZERO_BYTES32
     && pos.liquidity > 0n
   ) {
-    const stableQuoteCtx = createStableQuoteContext();
-    const incentiveState = await withRpcRetry(() => readEternalFarmingIncentive(depositIncentiveId, { eternalFarming })).catch(() => null);
+    const stableQuoteCtx = createStableQuoteContext({ blockTag });
+    const incentiveState = await withRpcRetry(() => readEternalFarmingIncentive(depositIncentiveId, { eternalFarming, blockTag })).catch(() => null);
     const [virtualPoolState, valueSnap] = await Promise.all([
       incentiveState
-        ? withRpcRetry(() => readEternalVirtualPoolRewardState(incentiveState.virtualPoolAddress)).catch(() => null)
+        ? withRpcRetry(() => readEternalVirtualPoolRewardState(incentiveState.virtualPoolAddress, { blockTag })).catch(() => null)
         : Promise.resolve(null),
-      loadPositionValueSnapshot(tokenId, { ownerAddress: nftOwner, stableQuoteCtx }).catch(() => null),
+      loadPositionValueSnapshot(tokenId, { ownerAddress: nftOwner, stableQuoteCtx, blockTag }).catch(() => null),
     ]);
 
     if (incentiveState && virtualPoolState) {
@@ -3746,6 +4917,7 @@ async function cmdFarmStatus({
 
   const lines = [];
   lines.push(`Kittenswap farming status (${tokenId.toString()})`);
+  pushBlockPinLine(lines, blockTag);
   lines.push(`- nft owner: ${nftOwner}`);
   if (owner) {
     lines.push(`- requested owner/sender: ${owner}`);
@@ -4113,7 +5285,6 @@ async function cmdFarmExitPlan({
       nonceRef,
       autoKey: parseBoolFlag(autoKey),
       matchDepositIncentive: true,
-      ownerAddress: owner,
       farmingCenterAddress: farmingCenter,
       eternalFarmingAddress: eternalFarming,
     }),
@@ -4221,7 +5392,6 @@ async function cmdFarmCollectPlan({
     nonceRef,
     autoKey: parseBoolFlag(autoKey),
     matchDepositIncentive: true,
-    ownerAddress: owner,
     farmingCenterAddress: farmingCenter,
     eternalFarmingAddress: eternalFarming,
   });
@@ -4366,39 +5536,150 @@ async function cmdFarmClaimPlan({
   return lines.join("\n");
 }
 
-async function cmdQuoteSwap({ tokenInRef, tokenOutRef, deployerRef, amountInDecimal }) {
+function resolveSwapRoute({ tokenIn, tokenOut, viaRef = "", deployerRef = "" } = {}) {
+  const explicitVia = String(viaRef || "").trim();
+  const via = explicitVia
+    ? explicitVia.split(",").map((ref) => ref.trim()).filter(Boolean).map((ref) => resolveTokenAddressInput(ref, { field: "via" }))
+    : resolvePreferredRouteVia(tokenIn, tokenOut);
+  const tokens = [tokenIn, ...via, tokenOut];
+  for (let i = 1; i < tokens.length; i++) {
+    if (tokens[i] === tokens[i - 1]) throw new Error(`swap route repeats ${tokens[i]} on consecutive hops`);
+  }
+  if (tokens.length - 1 > MAX_SWAP_PATH_HOPS) throw new Error(`swap route exceeds ${MAX_SWAP_PATH_HOPS} hops`);
+  const hops = tokens.length - 1;
+  const deployerRefs = String(deployerRef || "").split(",").map((ref) => ref.trim()).filter(Boolean);
+  if (deployerRefs.length > 1 && deployerRefs.length !== hops) {
+    throw new Error(`--deployer lists ${deployerRefs.length} deployers but the route has ${hops} hops`);
+  }
+  const deployers = deployerRefs.length > 1
+    ? deployerRefs.map((ref) => assertAddress(ref))
+    : tokens.slice(1).map(() => (deployerRefs.length ? assertAddress(deployerRefs[0]) : ZERO_ADDRESS));
+  return {
+    tokens,
+    deployers,
+    hops,
+    multiHop: tokens.length > 2,
+    source: explicitVia ? "--via" : via.length ? "routing metadata" : "direct",
+  };
+}
+
+async function quoteSwapRoute({ route, amountIn, limitSqrtPrice = 0n } = {}) {
+  if (!route.multiHop) {
+    const q = await withRpcRetry(() => quoteExactInputSingle({
+      tokenIn: route.tokens[0],
+      tokenOut: route.tokens[1],
+      deployer: route.deployers[0],
+      amountIn,
+      limitSqrtPrice,
+    }));
+    return {
+      ...q,
+      method: "exactInputSingle",
+      amountOutList: [q.amountOut],
+      feeList: [q.fee],
+      initializedTicksCrossedList: [q.initializedTicksCrossed],
+    };
+  }
+  const q = await withRpcRetry(() => quoteExactInput({
+    tokens: route.tokens,
+    deployers: route.deployers,
+    amountIn,
+  }));
+  return {
+    ...q,
+    method: "exactInput",
+    fee: null,
+    initializedTicksCrossed: q.initializedTicksCrossedList.reduce((acc, n) => acc + n, 0),
+  };
+}
+
+async function quoteSwapRouteExactOut({ route, amountOut, limitSqrtPrice = 0n } = {}) {
+  if (!route.multiHop) {
+    const q = await withRpcRetry(() => quoteExactOutputSingle({
+      tokenIn: route.tokens[0],
+      tokenOut: route.tokens[1],
+      deployer: route.deployers[0],
+      amountOut,
+      limitSqrtPrice,
+    }));
+    return {
+      ...q,
+      method: "exactOutputSingle",
+      amountOutList: [q.amountOut],
+      amountInList: [q.amountIn],
+      feeList: [q.fee],
+      initializedTicksCrossedList: [q.initializedTicksCrossed],
+    };
+  }
+  const q = await withRpcRetry(() => quoteExactOutput({
+    tokens: route.tokens,
+    deployers: route.deployers,
+    amountOut,
+  }));
+  return {
+    ...q,
+    method: "exactOutput",
+    fee: null,
+    initializedTicksCrossed: q.initializedTicksCrossedList.reduce((acc, n) => acc + n, 0),
+  };
+}
+
+function ceilDiv(numerator, denominator) {
+  return (numerator + denominator - 1n) / denominator;
+}
+
+function formatRoutePath(tokens, metaMap) {
+  return tokens.map((token) => metaMap.get(token)?.symbol || token).join(" -> ");
+}
+
+function formatRouteDeployers(route) {
+  const unique = [...new Set(route.deployers)];
+  return unique.length === 1 ? unique[0] : route.deployers.join(",");
+}
+
+async function cmdQuoteSwap({ tokenInRef, tokenOutRef, deployerRef, amountInDecimal, amountOutDecimal = "", viaRef = "" }) {
+  const exactOut = amountOutDecimal != null && String(amountOutDecimal) !== "";
+  if (exactOut && amountInDecimal) throw new Error("use either --amount-in or --amount-out, not both");
   const tokenIn = resolveTokenAddressInput(tokenInRef, { field: "tokenIn" });
   const tokenOut = resolveTokenAddressInput(tokenOutRef, { field: "tokenOut" });
-  const deployer = deployerRef ? assertAddress(deployerRef) : ZERO_ADDRESS;
+  const route = resolveSwapRoute({ tokenIn, tokenOut, viaRef, deployerRef });
+  const deployer = formatRouteDeployers(route);
 
-  const [inMeta, outMeta] = await Promise.all([
+  const [inMeta, outMeta, routeMeta] = await Promise.all([
     withRpcRetry(() => readTokenSnapshot(tokenIn)),
     withRpcRetry(() => readTokenSnapshot(tokenOut)),
+    collectTokenMetaMap(route.tokens),
   ]);
 
-  const amountIn = parseDecimalToUnits(amountInDecimal, inMeta.decimals);
-  if (amountIn <= 0n) throw new Error("amount-in must be > 0");
+  const amountIn = exactOut ? null : parseDecimalToUnits(amountInDecimal, inMeta.decimals);
+  const amountOut = exactOut ? parseDecimalToUnits(amountOutDecimal, outMeta.decimals) : null;
+  if (!exactOut && amountIn <= 0n) throw new Error("amount-in must be > 0");
+  if (exactOut && amountOut <= 0n) throw new Error("amount-out must be > 0");
 
   let q = null;
   let quoteError = null;
   try {
-    q = await withRpcRetry(() => quoteExactInputSingle({
-      tokenIn,
-      tokenOut,
-      deployer,
-      amountIn,
-      limitSqrtPrice: 0n,
-    }));
+    q = exactOut
+      ? await quoteSwapRouteExactOut({ route, amountOut, limitSqrtPrice: 0n })
+      : await quoteSwapRoute({ route, amountIn, limitSqrtPrice: 0n });
   } catch (err) {
     quoteError = err?.message || String(err);
   }
 
+  const quoteMethod = exactOut ? (route.multiHop ? "quoteExactOutput" : "quoteExactOutputSingle") : (route.multiHop ? "quoteExactInput" : "quoteExactInputSingle");
   const lines = [];
-  lines.push("Kittenswap quoteExactInputSingle");
+  lines.push(route.multiHop ? `Kittenswap ${quoteMethod} (multi-hop)` : `Kittenswap ${quoteMethod}`);
   lines.push(`- token in: ${inMeta.symbol} (${tokenIn})`);
   lines.push(`- token out: ${outMeta.symbol} (${tokenOut})`);
   lines.push(`- deployer: ${deployer}`);
-  lines.push(`- amount in: ${formatUnits(amountIn, inMeta.decimals, { precision: 8 })} ${inMeta.symbol}`);
+  if (route.multiHop) {
+    lines.push(`- route: ${formatRoutePath(route.tokens, routeMeta)} (${route.hops} hops, source=${route.source})`);
+  }
+  if (exactOut) {
+    lines.push(`- exact amount out: ${formatUnits(amountOut, outMeta.decimals, { precision: 8 })} ${outMeta.symbol}`);
+  } else {
+    lines.push(`- amount in: ${formatUnits(amountIn, inMeta.decimals, { precision: 8 })} ${inMeta.symbol}`);
+  }
   if (!q) {
     lines.push("- quote status: REVERT");
     lines.push(`- quote error: ${quoteError || "unknown quote error"}`);
@@ -4409,19 +5690,34 @@ async function cmdQuoteSwap({ tokenInRef, tokenOutRef, deployerRef, amountInDeci
         tokenInSymbol: inMeta.symbol,
         tokenOutSymbol: outMeta.symbol,
       }));
-      if (!isTokenMatch(tokenIn, WHYPE_TOKEN_ADDRESS) && !isTokenMatch(tokenOut, WHYPE_TOKEN_ADDRESS)) {
-        lines.push("- deterministic fallback quote sequence:");
-        lines.push(`  1. krlp swap-quote ${tokenIn} ${WHYPE_TOKEN_ADDRESS} --deployer ${deployer} --amount-in ${amountInDecimal}`);
-        lines.push("  2. use step-1 quoted amountOut as amount-in for:");
-        lines.push(`     krlp swap-quote ${WHYPE_TOKEN_ADDRESS} ${tokenOut} --deployer ${deployer} --amount-in <step1_amountOut>`);
-      }
+    }
+    if (!route.multiHop && !isTokenMatch(tokenIn, WHYPE_TOKEN_ADDRESS) && !isTokenMatch(tokenOut, WHYPE_TOKEN_ADDRESS)) {
+      lines.push("- multi-hop fallback quote:");
+      lines.push(`  - krlp swap-quote ${tokenIn} ${tokenOut} --via ${WHYPE_TOKEN_ADDRESS} --deployer ${deployer} ${exactOut ? `--amount-out ${amountOutDecimal}` : `--amount-in ${amountInDecimal}`}`);
     }
     lines.push("- safety: do not sign/broadcast swap when quote fails; regenerate path first.");
     return lines.join("\n");
   }
 
-  lines.push(`- quoted amount out: ${formatUnits(q.amountOut, outMeta.decimals, { precision: 8 })} ${outMeta.symbol}`);
-  lines.push(`- fee tier: ${q.fee}`);
+  if (exactOut) {
+    lines.push(`- quoted amount in: ${formatUnits(q.amountIn, inMeta.decimals, { precision: 8 })} ${inMeta.symbol}`);
+  } else {
+    lines.push(`- quoted amount out: ${formatUnits(q.amountOut, outMeta.decimals, { precision: 8 })} ${outMeta.symbol}`);
+  }
+  if (route.multiHop) {
+    lines.push(`- encoded path${exactOut ? " (tokenOut-first)" : ""}: ${q.path}`);
+    lines.push("- per-hop quotes:");
+    for (let i = 0; i < route.hops; i++) {
+      const hopInMeta = routeMeta.get(route.tokens[i]) || { symbol: "TOKEN", decimals: 18 };
+      const hopOutMeta = routeMeta.get(route.tokens[i + 1]) || { symbol: "TOKEN", decimals: 18 };
+      const hopAmount = exactOut
+        ? `${formatUnits(q.amountInList[i] ?? 0n, hopInMeta.decimals, { precision: 8 })} ${hopInMeta.symbol} in for ${formatUnits(q.amountOutList[i] ?? 0n, hopOutMeta.decimals, { precision: 8 })} ${hopOutMeta.symbol}`
+        : `${formatUnits(q.amountOutList[i] ?? 0n, hopOutMeta.decimals, { precision: 8 })} ${hopOutMeta.symbol}`;
+      lines.push(`  - hop ${i + 1}: ${formatRoutePath(route.tokens.slice(i, i + 2), routeMeta)} -> ${hopAmount} (fee ${q.feeList[i] ?? "n/a"}, ticks crossed ${q.initializedTicksCrossedList[i] ?? "n/a"})`);
+    }
+  } else {
+    lines.push(`- fee tier: ${q.fee}`);
+  }
   lines.push(`- initialized ticks crossed: ${q.initializedTicksCrossed}`);
   lines.push(`- gas estimate (quoter): ${q.gasEstimate.toString()}`);
   lines.push(...buildKittenSwapRoutingNotes({
@@ -4434,19 +5730,149 @@ async function cmdQuoteSwap({ tokenInRef, tokenOutRef, deployerRef, amountInDeci
   return lines.join("\n");
 }
 
-async function cmdSwapApprovePlan({ tokenRef, ownerRef, amountRef, spenderRef, approveMax }) {
-  const token = resolveTokenAddressInput(tokenRef, { field: "token" });
-  const owner = await resolveAddressInput(ownerRef || "", { allowDefault: true });
-  const spender = spenderRef ? await resolveAddressInput(spenderRef, { allowDefault: false }) : KITTENSWAP_CONTRACTS.router;
+function inventoryRouteMetaMap(routes) {
+  const out = new Map();
+  for (const route of routes) {
+    for (const token of route.tokens) {
+      if (out.has(token)) continue;
+      const meta = tokenMetaForAddress(token);
+      out.set(token, { symbol: meta?.symbol || "TOKEN", decimals: Number(meta?.decimals ?? 18) });
+    }
+  }
+  return out;
+}
 
-  const tokenMeta = await withRpcRetry(() => readTokenSnapshot(token, owner));
-  const currentAllowance = await withRpcRetry(() => readErc20Allowance(token, owner, spender)).catch(() => null);
+// Prices 1 WHYPE in tokenOut so quoter gas estimates can be netted against route output.
+async function quoteHypeToTokenRate(tokenOut) {
+  const unit = 10n ** 18n;
+  if (tokenOut === WHYPE_TOKEN_ADDRESS) return { amountOut: unit, path: "native" };
+  const { routes } = enumerateInventoryRoutes(WHYPE_TOKEN_ADDRESS, tokenOut, { maxHops: 2, maxCandidates: 3 });
+  for (const route of routes) {
+    try {
+      const q = await withRpcRetry(() => quoteExactInput({ tokens: route.tokens, deployers: route.deployers, amountIn: unit }));
+      if (q.amountOut > 0n) return { amountOut: q.amountOut, path: route.tokens };
+    } catch {
+      // try the next candidate
+    }
+  }
+  return null;
+}
 
-  const useMax = parseBoolFlag(approveMax) || String(amountRef || "").toLowerCase() === "max";
-  const approveAmount = useMax ? maxUint256() : parseDecimalToUnits(String(amountRef), tokenMeta.decimals);
-  if (approveAmount <= 0n) throw new Error("approve amount must be > 0");
+function buildRouteSwapPlanCommand({ tokenIn, tokenOut, amountInDecimal, route }) {
+  const parts = ["krlp", "swap-plan", tokenIn, tokenOut, "--amount-in", amountInDecimal];
+  if (route.hops > 1) pushCommandFlag(parts, "via", route.tokens.slice(1, -1).join(","));
+  if (route.deployers.some((deployer) => deployer !== ZERO_ADDRESS)) {
+    pushCommandFlag(parts, "deployer", route.deployers.join(","));
+  }
+  return renderCommand(parts);
+}
 
-  const data = buildApproveCalldata({ spender, amount: approveAmount });
+async function cmdRoute({ tokenInRef, tokenOutRef, amountInDecimal, maxHopsRef, maxCandidatesRef }) {
+  const tokenIn = resolveTokenAddressInput(tokenInRef, { field: "tokenIn" });
+  const tokenOut = resolveTokenAddressInput(tokenOutRef, { field: "tokenOut" });
+  if (tokenIn === tokenOut) throw new Error("tokenIn and tokenOut must differ");
+  const maxHops = parseNonNegativeIntegerOrDefault(maxHopsRef, DEFAULT_ROUTE_MAX_HOPS, "max-hops");
+  const maxCandidates = parseOptionalInteger(maxCandidatesRef, DEFAULT_ROUTE_MAX_CANDIDATES, { field: "max-candidates", min: 1 });
+  const candidates = enumerateInventoryRoutes(tokenIn, tokenOut, { maxHops, maxCandidates });
+  const graph = getInventoryGraphStats();
+
+  const [inMeta, outMeta] = await Promise.all([
+    withRpcRetry(() => readTokenSnapshot(tokenIn)),
+    withRpcRetry(() => readTokenSnapshot(tokenOut)),
+  ]);
+  const amountIn = parseDecimalToUnits(amountInDecimal, inMeta.decimals);
+  if (amountIn <= 0n) throw new Error("amount-in must be > 0");
+  const routeMeta = inventoryRouteMetaMap(candidates.routes);
+
+  const lines = [];
+  lines.push("Kittenswap route finder");
+  lines.push(`- token in: ${inMeta.symbol} (${tokenIn})`);
+  lines.push(`- token out: ${outMeta.symbol} (${tokenOut})`);
+  lines.push(`- amount in: ${formatUnits(amountIn, inMeta.decimals, { precision: 8 })} ${inMeta.symbol}`);
+  lines.push(`- graph: ${graph.tokens} tokens, ${graph.pools} pools (inventory ${graph.generatedAt || "n/a"})`);
+  lines.push(`- candidate paths: ${candidates.total} within ${maxHops} hops${candidates.truncated ? ` (quoting first ${candidates.routes.length})` : ""}`);
+  if (!candidates.routes.length) {
+    lines.push("- BLOCKER: no inventory path connects tokenIn and tokenOut within the hop limit.");
+    lines.push("- next step: raise --max-hops or refresh the inventory (node scripts/refresh_kittenswap_inventory.mjs).");
+    return lines.join("\n");
+  }
+
+  const quoted = [];
+  const failed = [];
+  for (const route of candidates.routes) {
+    try {
+      const q = await withRpcRetry(() => quoteExactInput({ tokens: route.tokens, deployers: route.deployers, amountIn }));
+      quoted.push({ route, quote: q });
+    } catch (err) {
+      failed.push({ route, error: err?.message || String(err) });
+    }
+  }
+
+  const [gasPriceHex, hypeRate] = await Promise.all([
+    withRpcRetry(() => rpcGasPrice()).catch(() => null),
+    quoted.length ? quoteHypeToTokenRate(tokenOut).catch(() => null) : Promise.resolve(null),
+  ]);
+  const gasPriceWei = gasPriceHex ? BigInt(gasPriceHex) : null;
+  const gasPriced = gasPriceWei != null && hypeRate != null;
+  for (const entry of quoted) {
+    entry.gasCostOut = gasPriced ? (entry.quote.gasEstimate * gasPriceWei * hypeRate.amountOut) / 10n ** 18n : null;
+    entry.netOut = entry.gasCostOut == null ? entry.quote.amountOut : entry.quote.amountOut - entry.gasCostOut;
+  }
+  quoted.sort((left, right) => (left.netOut === right.netOut ? left.route.hops - right.route.hops : left.netOut > right.netOut ? -1 : 1));
+
+  if (gasPriceWei != null) lines.push(`- gas price: ${formatUnits(gasPriceWei, 9, { precision: 3 })} gwei`);
+  if (gasPriced) {
+    const ratePath = hypeRate.path === "native" ? "native" : formatRoutePath(hypeRate.path, routeMeta);
+    lines.push(`- gas pricing: 1 WHYPE = ${formatUnits(hypeRate.amountOut, outMeta.decimals, { precision: 8 })} ${outMeta.symbol} (${ratePath})`);
+    lines.push("- ranking: net output (quoted out minus quoter gas estimate priced in token out)");
+  } else {
+    lines.push("- gas pricing: unavailable");
+    lines.push("- ranking: gross quoted output");
+  }
+  lines.push(`- quoted routes: ${quoted.length}/${candidates.routes.length}`);
+
+  if (!quoted.length) {
+    lines.push("- BLOCKER: every candidate path failed to quote in QuoterV2.");
+  } else {
+    lines.push("- ranked routes:");
+    quoted.forEach(({ route, quote, gasCostOut, netOut }, i) => {
+      const outLabel = `${formatUnits(quote.amountOut, outMeta.decimals, { precision: 8 })} ${outMeta.symbol}`;
+      const gasLabel = gasCostOut == null
+        ? `gas ${quote.gasEstimate.toString()}`
+        : `gas ${quote.gasEstimate.toString()} (~${formatUnits(gasCostOut, outMeta.decimals, { precision: 8 })} ${outMeta.symbol})`;
+      lines.push(`  ${i + 1}. ${formatRoutePath(route.tokens, routeMeta)} | hops ${route.hops} | out ${outLabel} | ${gasLabel} | net ${formatUnits(netOut, outMeta.decimals, { precision: 8 })} ${outMeta.symbol}`);
+      lines.push(`     - pools: ${route.pools.join(", ")}`);
+      if (route.eventTypes.some((eventType) => eventType !== "Pool")) {
+        lines.push(`     - deployers: ${route.deployers.join(", ")}`);
+      }
+      lines.push(`     - swap-plan: ${buildRouteSwapPlanCommand({ tokenIn, tokenOut, amountInDecimal, route })}`);
+    });
+    const best = quoted[0];
+    lines.push(`- best route: ${formatRoutePath(best.route.tokens, routeMeta)} (${best.route.hops} hop${best.route.hops === 1 ? "" : "s"})`);
+  }
+  if (failed.length) {
+    lines.push(`- failed quotes: ${failed.length}`);
+    for (const { route, error } of failed) {
+      lines.push(`  - ${formatRoutePath(route.tokens, routeMeta)}: ${error}`);
+    }
+  }
+  lines.push("- note: route finder is read-only; run the printed swap-plan to build calldata.");
+  return lines.join("\n");
+}
+
+async function cmdSwapApprovePlan({ tokenRef, ownerRef, amountRef, spenderRef, approveMax }) {
+  const token = resolveTokenAddressInput(tokenRef, { field: "token" });
+  const owner = await resolveAddressInput(ownerRef || "", { allowDefault: true });
+  const spender = spenderRef ? await resolveAddressInput(spenderRef, { allowDefault: false }) : KITTENSWAP_CONTRACTS.router;
+
+  const tokenMeta = await withRpcRetry(() => readTokenSnapshot(token, owner));
+  const currentAllowance = await withRpcRetry(() => readErc20Allowance(token, owner, spender)).catch(() => null);
+
+  const useMax = parseBoolFlag(approveMax) || String(amountRef || "").toLowerCase() === "max";
+  const approveAmount = useMax ? maxUint256() : parseDecimalToUnits(String(amountRef), tokenMeta.decimals);
+  if (approveAmount <= 0n) throw new Error("approve amount must be > 0");
+
+  const data = buildApproveCalldata({ spender, amount: approveAmount });
   const gas = await estimateCallGas({ from: owner, to: token, data, value: 0n });
   const gasPriceHex = await withRpcRetry(() => rpcGasPrice()).catch(() => null);
   const gasPriceWei = gasPriceHex ? BigInt(gasPriceHex) : null;
@@ -4482,6 +5908,7 @@ async function cmdSwapPlan({
   tokenOutRef,
   deployerRef,
   amountInDecimal,
+  amountOutDecimal = "",
   ownerRef,
   recipientRef,
   policyRef,
@@ -4490,12 +5917,18 @@ async function cmdSwapPlan({
   limitSqrtPriceRef,
   nativeIn,
   approveMax,
+  viaRef = "",
 }) {
   const tokenIn = resolveTokenAddressInput(tokenInRef, { field: "tokenIn" });
   const tokenOut = resolveTokenAddressInput(tokenOutRef, { field: "tokenOut" });
   if (tokenIn === tokenOut) throw new Error("tokenIn and tokenOut must differ");
+  const exactOut = amountOutDecimal != null && String(amountOutDecimal) !== "";
+  if (exactOut && amountInDecimal) throw new Error("use either --amount-in or --amount-out, not both");
+  // The router keeps unspent msg.value on exactOutput, so native input is exact-in only.
+  if (exactOut && parseBoolFlag(nativeIn)) {
+    throw new Error("--native-in is not supported with --amount-out; wrap to WHYPE first or use --amount-in");
+  }
 
-  const deployer = deployerRef ? assertAddress(deployerRef) : ZERO_ADDRESS;
   const owner = await resolveAddressInput(ownerRef || "", { allowDefault: true });
   const recipient = recipientRef ? await resolveAddressInput(recipientRef, { allowDefault: false }) : owner;
 
@@ -4503,14 +5936,29 @@ async function cmdSwapPlan({
   const effSlipBps = parseBps(slippageBps, policyLoaded.policy.slippageBps, { min: 0, max: 10_000 });
   const effDeadlineSec = parseSeconds(deadlineSeconds, policyLoaded.policy.deadlineSeconds, { min: 1, max: 86_400 });
   const limitSqrtPrice = parseOptionalUint(limitSqrtPriceRef, 0n);
-
-  const [tokenInMeta, tokenOutMeta] = await Promise.all([
+  const route = resolveSwapRoute({ tokenIn, tokenOut, viaRef, deployerRef });
+  const deployer = formatRouteDeployers(route);
+  if (route.multiHop && limitSqrtPrice !== 0n) {
+    throw new Error("--limit-sqrt-price is only supported for single-hop routes");
+  }
+  const swapMethod = exactOut
+    ? (route.multiHop ? "exactOutput" : "exactOutputSingle")
+    : (route.multiHop ? "exactInput" : "exactInputSingle");
+  const quoteMethod = `quote${swapMethod[0].toUpperCase()}${swapMethod.slice(1)}`;
+  const planTitle = route.multiHop ? `Kittenswap swap plan (${swapMethod} multi-hop)` : `Kittenswap swap plan (${swapMethod})`;
+  const spendLabel = exactOut ? "amountInMaximum" : "amountIn";
+
+  const [tokenInMeta, tokenOutMeta, routeMeta] = await Promise.all([
     withRpcRetry(() => readTokenSnapshot(tokenIn, owner)),
     withRpcRetry(() => readTokenSnapshot(tokenOut, owner)),
+    collectTokenMetaMap(route.tokens),
   ]);
 
-  const amountIn = parseDecimalToUnits(String(amountInDecimal), tokenInMeta.decimals);
-  if (amountIn <= 0n) throw new Error("amount-in must be > 0");
+  const amountInRequested = exactOut ? null : parseDecimalToUnits(String(amountInDecimal), tokenInMeta.decimals);
+  const amountOutRequested = exactOut ? parseDecimalToUnits(String(amountOutDecimal), tokenOutMeta.decimals) : null;
+  if (!exactOut && amountInRequested <= 0n) throw new Error("amount-in must be > 0");
+  if (exactOut && amountOutRequested <= 0n) throw new Error("amount-out must be > 0");
+  const amountFlag = exactOut ? `--amount-out ${amountOutDecimal}` : `--amount-in ${amountInDecimal}`;
 
   const useNativeIn = parseBoolFlag(nativeIn);
   let routerWNative = null;
@@ -4524,19 +5972,15 @@ async function cmdSwapPlan({
   let quote = null;
   let quoteError = null;
   try {
-    quote = await withRpcRetry(() => quoteExactInputSingle({
-      tokenIn,
-      tokenOut,
-      deployer,
-      amountIn,
-      limitSqrtPrice,
-    }));
+    quote = exactOut
+      ? await quoteSwapRouteExactOut({ route, amountOut: amountOutRequested, limitSqrtPrice })
+      : await quoteSwapRoute({ route, amountIn: amountInRequested, limitSqrtPrice });
   } catch (err) {
     quoteError = err?.message || String(err);
   }
   if (!quote) {
     const lines = [];
-    lines.push("Kittenswap swap plan (exactInputSingle)");
+    lines.push(planTitle);
     lines.push("- execution gate: BLOCKED");
     lines.push(`- from (tx sender): ${owner}`);
     lines.push(`- recipient: ${recipient}`);
@@ -4544,8 +5988,17 @@ async function cmdSwapPlan({
     lines.push(`- deployer: ${deployer}`);
     lines.push(`- token in: ${tokenInMeta.symbol} (${tokenInMeta.address})`);
     lines.push(`- token out: ${tokenOutMeta.symbol} (${tokenOutMeta.address})`);
-    lines.push(`- amount in: ${formatUnits(amountIn, tokenInMeta.decimals, { precision: 8 })} ${tokenInMeta.symbol}`);
-    lines.push("- BLOCKER: quoteExactInputSingle reverted for this one-hop route.");
+    if (exactOut) {
+      lines.push(`- exact amount out: ${formatUnits(amountOutRequested, tokenOutMeta.decimals, { precision: 8 })} ${tokenOutMeta.symbol}`);
+    } else {
+      lines.push(`- amount in: ${formatUnits(amountInRequested, tokenInMeta.decimals, { precision: 8 })} ${tokenInMeta.symbol}`);
+    }
+    if (route.multiHop) {
+      lines.push(`- route: ${formatRoutePath(route.tokens, routeMeta)} (${route.hops} hops, source=${route.source})`);
+      lines.push(`- BLOCKER: ${quoteMethod} reverted for this multi-hop route.`);
+    } else {
+      lines.push(`- BLOCKER: ${quoteMethod} reverted for this one-hop route.`);
+    }
     if (quoteError) lines.push(`- quote error: ${quoteError}`);
     lines.push(...buildKittenSwapRoutingNotes({
       tokenIn,
@@ -4553,21 +6006,17 @@ async function cmdSwapPlan({
       tokenInSymbol: tokenInMeta.symbol,
       tokenOutSymbol: tokenOutMeta.symbol,
     }));
-    if (
-      (isTokenMatch(tokenIn, KITTEN_TOKEN_ADDRESS) || isTokenMatch(tokenOut, KITTEN_TOKEN_ADDRESS))
-      && !isTokenMatch(tokenIn, WHYPE_TOKEN_ADDRESS)
-      && !isTokenMatch(tokenOut, WHYPE_TOKEN_ADDRESS)
-    ) {
-      lines.push("- deterministic fallback execution plan:");
-      lines.push(`  1. krlp swap-plan ${tokenIn} ${WHYPE_TOKEN_ADDRESS} --deployer ${deployer} --amount-in ${amountInDecimal} ${owner} --recipient ${recipient}`);
-      lines.push("  2. execute step 1 and verify receipt.");
-      lines.push("  3. use received WHYPE as amount-in for step 2:");
-      lines.push(`     krlp swap-plan ${WHYPE_TOKEN_ADDRESS} ${tokenOut} --deployer ${deployer} --amount-in <received_whype> ${owner} --recipient ${recipient}`);
+    if (!route.multiHop && !isTokenMatch(tokenIn, WHYPE_TOKEN_ADDRESS) && !isTokenMatch(tokenOut, WHYPE_TOKEN_ADDRESS)) {
+      lines.push("- deterministic fallback execution plan (single multi-hop tx):");
+      lines.push(`  - krlp swap-plan ${tokenIn} ${tokenOut} --via ${WHYPE_TOKEN_ADDRESS} --deployer ${deployer} ${amountFlag} ${owner} --recipient ${recipient}`);
     }
     lines.push("- hard stop: do not sign or broadcast swap tx while execution gate is BLOCKED.");
     return lines.join("\n");
   }
-  const amountOutMin = (quote.amountOut * BigInt(10_000 - effSlipBps)) / 10_000n;
+  // Exact-in bounds the output from below; exact-out bounds the input from above (rounded up).
+  const amountOutMin = exactOut ? amountOutRequested : (quote.amountOut * BigInt(10_000 - effSlipBps)) / 10_000n;
+  const amountInMaximum = exactOut ? ceilDiv(quote.amountIn * BigInt(10_000 + effSlipBps), 10_000n) : null;
+  const amountIn = exactOut ? amountInMaximum : amountInRequested;
 
   const latestBlock = await rpcGetBlockByNumber("latest", false).catch(() => null);
   const planBlockNumber = latestBlock?.number ? Number.parseInt(latestBlock.number, 16) : null;
@@ -4587,16 +6036,50 @@ async function cmdSwapPlan({
   const insufficientTokenInBalance = !useNativeIn && tokenInMeta.balance != null && tokenInMeta.balance < amountIn;
   const insufficientAllowance = !useNativeIn && allowanceCheck?.ok && allowance < amountIn;
 
-  const swapData = buildSwapExactInputSingleCalldata({
-    tokenIn,
-    tokenOut,
-    deployer,
-    recipient,
-    deadline,
-    amountIn,
-    amountOutMinimum: amountOutMin,
-    limitSqrtPrice,
-  });
+  let swapData;
+  if (exactOut) {
+    swapData = route.multiHop
+      ? buildSwapExactOutputCalldata({
+        tokens: route.tokens,
+        deployers: route.deployers,
+        recipient,
+        deadline,
+        amountOut: amountOutRequested,
+        amountInMaximum,
+      })
+      : buildSwapExactOutputSingleCalldata({
+        tokenIn,
+        tokenOut,
+        deployer: route.deployers[0],
+        recipient,
+        deadline,
+        amountOut: amountOutRequested,
+        amountInMaximum,
+        limitSqrtPrice,
+      });
+  } else {
+    swapData = route.multiHop
+      ? buildSwapExactInputCalldata({
+        tokens: route.tokens,
+        deployers: route.deployers,
+        recipient,
+        deadline,
+        amountIn,
+        amountOutMinimum: amountOutMin,
+      })
+      : buildSwapExactInputSingleCalldata({
+        tokenIn,
+        tokenOut,
+        deployer: route.deployers[0],
+        recipient,
+        deadline,
+        amountIn,
+        amountOutMinimum: amountOutMin,
+        limitSqrtPrice,
+      });
+  }
+  const swapStep = `swap_exact_${exactOut ? "output" : "input"}${route.multiHop ? "" : "_single"}`;
+  const expectedSwapBytes = route.multiHop ? expectedExactInputCalldataBytes(route.hops) : 260;
 
   const swapValue = useNativeIn ? amountIn : 0n;
   const calls = [];
@@ -4609,14 +6092,19 @@ async function cmdSwapPlan({
     });
   }
   calls.push({
-    step: "swap_exact_input_single",
+    step: swapStep,
     to: KITTENSWAP_CONTRACTS.router,
     value: swapValue,
     data: swapData,
   });
 
-  const [poolAddress, gasPriceHex, gasEstimates, nativeBalanceCheck] = await Promise.all([
-    withRpcRetry(() => readPoolAddressByPair(tokenIn, tokenOut, { factory: KITTENSWAP_CONTRACTS.factory })).catch(() => null),
+  const [hopPools, gasPriceHex, gasEstimates, nativeBalanceCheck] = await Promise.all([
+    Promise.all(route.tokens.slice(1).map((hopOut, i) => (
+      withRpcRetry(() => readPoolAddressByPair(route.tokens[i], hopOut, {
+        factory: KITTENSWAP_CONTRACTS.factory,
+        deployer: route.deployers[i],
+      })).catch(() => null)
+    ))),
     withRpcRetry(() => rpcGasPrice()).catch(() => null),
     Promise.all(calls.map((c) => estimateCallGas({ from: owner, to: c.to, data: c.data, value: c.value }))),
     useNativeIn
@@ -4650,21 +6138,39 @@ async function cmdSwapPlan({
   const estFeeWei = gasPriceWei != null ? totalGas * gasPriceWei : null;
 
   const lines = [];
-  lines.push("Kittenswap swap plan (exactInputSingle)");
+  lines.push(planTitle);
   lines.push(`- from (tx sender): ${owner}`);
   lines.push(`- recipient: ${recipient}`);
   lines.push(`- router: ${KITTENSWAP_CONTRACTS.router}`);
   lines.push(`- deployer: ${deployer}`);
-  lines.push(`- pool: ${poolAddress || "not found for token pair"}`);
-  if (!poolAddress) {
-    hardBlockers.push("pool for tokenIn/tokenOut is unavailable from factory read");
+  if (route.multiHop) {
+    lines.push("- route pools:");
+    for (let i = 0; i < route.hops; i++) {
+      lines.push(`  - hop ${i + 1} ${formatRoutePath(route.tokens.slice(i, i + 2), routeMeta)}: ${hopPools[i] || "not found for token pair"}`);
+      if (!hopPools[i]) hardBlockers.push(`pool for hop ${i + 1} is unavailable from factory read`);
+    }
+  } else {
+    lines.push(`- pool: ${hopPools[0] || "not found for token pair"}`);
+    if (!hopPools[0]) {
+      hardBlockers.push("pool for tokenIn/tokenOut is unavailable from factory read");
+    }
   }
   lines.push(`- token in: ${tokenInMeta.symbol} (${tokenInMeta.address})`);
   lines.push(`- token out: ${tokenOutMeta.symbol} (${tokenOutMeta.address})`);
-  lines.push(`- amount in: ${formatUnits(amountIn, tokenInMeta.decimals, { precision: 8 })} ${tokenInMeta.symbol}`);
-  lines.push(`- quoted amount out: ${formatUnits(quote.amountOut, tokenOutMeta.decimals, { precision: 8 })} ${tokenOutMeta.symbol}`);
-  lines.push(`- minimum amount out: ${formatUnits(amountOutMin, tokenOutMeta.decimals, { precision: 8 })} ${tokenOutMeta.symbol}`);
-  lines.push(`- quote fee tier: ${quote.fee}`);
+  if (exactOut) {
+    lines.push(`- exact amount out: ${formatUnits(amountOutRequested, tokenOutMeta.decimals, { precision: 8 })} ${tokenOutMeta.symbol}`);
+    lines.push(`- quoted amount in: ${formatUnits(quote.amountIn, tokenInMeta.decimals, { precision: 8 })} ${tokenInMeta.symbol}`);
+    lines.push(`- maximum amount in: ${formatUnits(amountInMaximum, tokenInMeta.decimals, { precision: 8 })} ${tokenInMeta.symbol} (quote + ${effSlipBps}bps)`);
+  } else {
+    lines.push(`- amount in: ${formatUnits(amountIn, tokenInMeta.decimals, { precision: 8 })} ${tokenInMeta.symbol}`);
+    lines.push(`- quoted amount out: ${formatUnits(quote.amountOut, tokenOutMeta.decimals, { precision: 8 })} ${tokenOutMeta.symbol}`);
+    lines.push(`- minimum amount out: ${formatUnits(amountOutMin, tokenOutMeta.decimals, { precision: 8 })} ${tokenOutMeta.symbol}`);
+  }
+  if (route.multiHop) {
+    lines.push(`- quote fee tiers (per hop): ${quote.feeList.join(", ")}`);
+  } else {
+    lines.push(`- quote fee tier: ${quote.fee}`);
+  }
   lines.push(`- quote ticks crossed: ${quote.initializedTicksCrossed}`);
   lines.push(...buildKittenSwapRoutingNotes({
     tokenIn,
@@ -4673,7 +6179,13 @@ async function cmdSwapPlan({
     tokenOutSymbol: tokenOutMeta.symbol,
     quoteFeeTier: quote.fee,
   }));
-  lines.push("- routing: single-hop exactInputSingle (multi-hop not enabled in this skill yet)");
+  if (route.multiHop) {
+    lines.push(`- routing: multi-hop ${swapMethod} (${route.hops} hops, source=${route.source})`);
+    lines.push(`- route path: ${formatRoutePath(route.tokens, routeMeta)}`);
+    lines.push(`- encoded path${exactOut ? " (tokenOut-first)" : ""}: ${quote.path}`);
+  } else {
+    lines.push(`- routing: single-hop ${swapMethod}`);
+  }
   lines.push(`- policy: ${policyLoaded.key} (slippage=${effSlipBps}bps, deadline=${effDeadlineSec}s)`);
   lines.push(`- plan snapshot block: ${planBlockNumber == null ? "n/a" : planBlockNumber}`);
   lines.push(`- deadline unix: ${deadline.toString()}`);
@@ -4697,12 +6209,12 @@ async function cmdSwapPlan({
     }
     lines.push(`- approval required: ${needsApproval ? "YES" : "NO"}`);
     if (insufficientTokenInBalance) {
-      lines.push(`- BLOCKER: tokenIn balance is below amountIn for sender ${owner}`);
-      hardBlockers.push("tokenIn balance is below amountIn");
+      lines.push(`- BLOCKER: tokenIn balance is below ${spendLabel} for sender ${owner}`);
+      hardBlockers.push(`tokenIn balance is below ${spendLabel}`);
     }
     if (insufficientAllowance) {
-      lines.push(`- BLOCKER: allowance is below amountIn for sender ${owner}`);
-      hardBlockers.push("router allowance is below amountIn");
+      lines.push(`- BLOCKER: allowance is below ${spendLabel} for sender ${owner}`);
+      hardBlockers.push(`router allowance is below ${spendLabel}`);
     }
   }
   const swapSimLabel = directSwapCall.skipped
@@ -4734,10 +6246,10 @@ async function cmdSwapPlan({
     }
     lines.push("- required remediation before signing:");
     if (insufficientTokenInBalance || (useNativeIn && nativeBalanceCheck?.balance != null && nativeBalanceCheck.balance < amountIn)) {
-      lines.push(`  - reduce amount-in or top up ${tokenInMeta.symbol} balance, then regenerate swap-plan`);
+      lines.push(`  - reduce ${exactOut ? "amount-out" : "amount-in"} or top up ${tokenInMeta.symbol} balance, then regenerate swap-plan`);
     }
     if (insufficientAllowance) {
-      lines.push(`  - run: krlp swap-approve-plan ${tokenInMeta.address} ${owner} --amount ${formatUnits(amountIn, tokenInMeta.decimals, { precision: 8 })}`);
+      lines.push(`  - run: krlp swap-approve-plan ${tokenInMeta.address} ${owner} --amount ${formatUnits(amountIn, tokenInMeta.decimals, { precision: tokenInMeta.decimals })}`);
       lines.push("  - send approve tx, wait success + 1 confirmation, then re-run swap-plan");
     }
     if (!directSwapCall.skipped && !directSwapCall.ok && directSwapCall.category !== "rpc_unavailable") {
@@ -4759,9 +6271,9 @@ async function cmdSwapPlan({
     lines.push(`    - value: ${toHexQuantity(c.value)} (${formatUnits(c.value, 18, { precision: 8 })} HYPE)`);
     lines.push(`    - data bytes: ${dataBytes}`);
     lines.push(`    - data: ${c.data}`);
-    if (c.step === "swap_exact_input_single") {
-      lines.push("    - exactInputSingle expected bytes: 260 (selector + 8 words)");
-      lines.push(`    - exactInputSingle calldata length check: ${dataBytes === 260 ? "PASS" : "FAIL"}`);
+    if (c.step === swapStep) {
+      lines.push(`    - ${swapMethod} expected bytes: ${expectedSwapBytes}${route.multiHop ? ` (selector + tuple head + ${route.hops}-hop path)` : " (selector + 8 words)"}`);
+      lines.push(`    - ${swapMethod} calldata length check: ${dataBytes === expectedSwapBytes ? "PASS" : "FAIL"}`);
     }
     if (g.ok) lines.push(`    - gas est: ${g.gas.toString()} (${g.gasHex})`);
     else lines.push(`    - gas est: unavailable (${g.error})`);
@@ -4806,10 +6318,17 @@ async function cmdSwapPlan({
   }
   lines.push("- safety:");
   lines.push("  - output uses full addresses and full calldata; do not truncate or reconstruct");
-  lines.push("  - for swap_exact_input_single, calldata length must be exactly 260 bytes (0x selector + 8 ABI words)");
+  if (route.multiHop) {
+    lines.push(`  - for ${swapStep}, calldata length must be exactly ${expectedSwapBytes} bytes for this ${route.hops}-hop path`);
+  } else {
+    lines.push(`  - for ${swapStep}, calldata length must be exactly 260 bytes (0x selector + 8 ABI words)`);
+  }
+  if (exactOut) {
+    lines.push(`  - exact-output swaps pull at most ${spendLabel}; unused input stays in the wallet`);
+  }
   lines.push("  - this command is dry-run only and does not sign/broadcast");
   lines.push("  - swap requires sufficient token balance and router allowance (unless --native-in)");
-  lines.push("  - verify token/deployer pair against Kittenswap pool before signing");
+  lines.push(`  - verify token/deployer ${route.multiHop ? "pair for every hop" : "pair"} against Kittenswap pool before signing`);
   return lines.join("\n");
 }
 
@@ -4831,6 +6350,7 @@ async function quoteEnterRouteLeg({ fundingToken, targetToken, deployer, amountI
     return {
       ok: true,
       routeKind: fundingToken === targetToken ? "keep" : "skip",
+      via: [],
       amountIn: 0n,
       amountOut: 0n,
       quote: null,
@@ -4841,38 +6361,82 @@ async function quoteEnterRouteLeg({ fundingToken, targetToken, deployer, amountI
     return {
       ok: true,
       routeKind: "keep",
+      via: [],
       amountIn: amount,
       amountOut: amount,
       quote: null,
       error: null,
     };
   }
-  try {
-    const quote = await withRpcRetry(() => quoteExactInputSingle({
-      tokenIn: fundingToken,
-      tokenOut: targetToken,
-      deployer,
-      amountIn: amount,
-      limitSqrtPrice: 0n,
-    }));
-    return {
-      ok: true,
-      routeKind: "single_hop",
-      amountIn: amount,
-      amountOut: quote.amountOut,
-      quote,
-      error: null,
-    };
-  } catch (error) {
-    return {
-      ok: false,
-      routeKind: "single_hop",
-      amountIn: amount,
-      amountOut: null,
-      quote: null,
-      error: error?.message || String(error),
-    };
+  // Preferred route first; a failed direct hop falls back to a WHYPE bridge like the stable marks do.
+  const routes = [resolveSwapRoute({ tokenIn: fundingToken, tokenOut: targetToken, deployerRef: deployer })];
+  if (!routes[0].multiHop && fundingToken !== WHYPE_TOKEN_ADDRESS && targetToken !== WHYPE_TOKEN_ADDRESS) {
+    routes.push(resolveSwapRoute({ tokenIn: fundingToken, tokenOut: targetToken, viaRef: WHYPE_TOKEN_ADDRESS, deployerRef: deployer }));
   }
+  const errors = [];
+  for (const route of routes) {
+    try {
+      const quote = await quoteSwapRoute({ route, amountIn: amount });
+      return {
+        ok: true,
+        routeKind: route.multiHop ? "multi_hop" : "single_hop",
+        via: route.tokens.slice(1, -1),
+        amountIn: amount,
+        amountOut: quote.amountOut,
+        quote,
+        error: null,
+      };
+    } catch (error) {
+      errors.push(error?.message || String(error));
+    }
+  }
+  return {
+    ok: false,
+    routeKind: routes[0].multiHop ? "multi_hop" : "single_hop",
+    via: [],
+    amountIn: amount,
+    amountOut: null,
+    quote: null,
+    error: errors.join("; "),
+  };
+}
+
+function isEnterSwapLeg(leg) {
+  return leg?.routeKind === "single_hop" || leg?.routeKind === "multi_hop";
+}
+
+// Exact position-manager mint outcome at the live pool price: liquidity from
+// LiquidityAmounts, then the rounded-up amounts the pool pulls for it.
+function exactMintPreview({ poolState, tickLower, tickUpper, amount0Desired, amount1Desired }) {
+  const liquidity = getLiquidityForAmounts(
+    poolState.priceSqrtX96,
+    getSqrtRatioAtTick(tickLower),
+    getSqrtRatioAtTick(tickUpper),
+    amount0Desired,
+    amount1Desired,
+  );
+  const { amount0, amount1 } = positionAmountsForLiquidity({
+    tick: poolState.tick,
+    sqrtPriceX96: poolState.priceSqrtX96,
+    tickLower,
+    tickUpper,
+    liquidity,
+    roundUp: true,
+  });
+  return { liquidity, amount0, amount1, unspent0: amount0Desired - amount0, unspent1: amount1Desired - amount1 };
+}
+
+// token1/token0 deposit ratio (human units) a range needs at the live price; null when one-sided.
+function exactRangeDepositRatio1Per0({ poolState, tickLower, tickUpper, decimals0, decimals1 }) {
+  const { amount0, amount1 } = positionAmountsForLiquidity({
+    tick: poolState.tick,
+    sqrtPriceX96: poolState.priceSqrtX96,
+    tickLower,
+    tickUpper,
+    liquidity: Q96,
+  });
+  if (amount0 <= 0n || amount1 <= 0n) return null;
+  return ratioToNumber(amount1 * 10n ** BigInt(decimals0), amount0 * 10n ** BigInt(decimals1));
 }
 
 async function evaluateEnterAllocation({
@@ -5030,6 +6594,10 @@ async function cmdEnterPlan({
   tickUpperRef,
   widthTicksRef,
   centerTickRef,
+  widthModeRef = "",
+  volLookbackBlocksRef = "",
+  horizonHoursRef = "",
+  inRangePctRef = "",
   approveMax,
   allowOutOfRange,
 } = {}) {
@@ -5067,6 +6635,17 @@ async function cmdEnterPlan({
     throw new Error(`Invalid pool tick spacing: ${tickSpacing}`);
   }
 
+  const volWidth = await resolveVolatilityWidthForMint({
+    pool: poolAddress,
+    spacing,
+    tickLowerRef,
+    tickUpperRef,
+    widthTicksRef,
+    widthModeRef,
+    volLookbackBlocksRef,
+    horizonHoursRef,
+    inRangePctRef,
+  });
   const {
     tickLower,
     tickUpper,
@@ -5077,7 +6656,7 @@ async function cmdEnterPlan({
   } = resolveMintRangeSelection({
     tickLowerRef,
     tickUpperRef,
-    widthTicksRef,
+    widthTicksRef: volWidth ? volWidth.widthTicks : widthTicksRef,
     centerTickRef,
     poolTick: poolState.tick,
     spacing,
@@ -5096,7 +6675,15 @@ async function cmdEnterPlan({
     tickUpper,
     spacing,
   });
-  const targetRatio1Per0 = tickToPrice(poolState.tick, { decimals0: token0Meta.decimals, decimals1: token1Meta.decimals });
+  const poolPrice1Per0 = sqrtPriceX96ToPrice(poolState.priceSqrtX96, { decimals0: token0Meta.decimals, decimals1: token1Meta.decimals });
+  const rangeDepositRatio1Per0 = exactRangeDepositRatio1Per0({
+    poolState,
+    tickLower,
+    tickUpper,
+    decimals0: token0Meta.decimals,
+    decimals1: token1Meta.decimals,
+  });
+  const targetRatio1Per0 = rangeDepositRatio1Per0 ?? poolPrice1Per0;
   const carryIn0 = pair.token0 === fundingToken ? 0n : (token0Meta.balance ?? 0n);
   const carryIn1 = pair.token1 === fundingToken ? 0n : (token1Meta.balance ?? 0n);
 
@@ -5164,9 +6751,19 @@ async function cmdEnterPlan({
     considerCandidate(await evaluateAllocation(probe));
   }
 
+  const provisionalMint = bestCandidate
+    ? exactMintPreview({
+      poolState,
+      tickLower,
+      tickUpper,
+      amount0Desired: bestCandidate.desired0,
+      amount1Desired: bestCandidate.desired1,
+    })
+    : null;
+
   const totalSwapAmount = bestCandidate
-    ? (bestCandidate.leg0.routeKind === "single_hop" ? bestCandidate.leg0.amountIn : 0n)
-      + (bestCandidate.leg1.routeKind === "single_hop" ? bestCandidate.leg1.amountIn : 0n)
+    ? (isEnterSwapLeg(bestCandidate.leg0) ? bestCandidate.leg0.amountIn : 0n)
+      + (isEnterSwapLeg(bestCandidate.leg1) ? bestCandidate.leg1.amountIn : 0n)
     : 0n;
   const routerAllowanceCheck = totalSwapAmount > 0n
     ? await withRpcRetry(() => readErc20Allowance(fundingToken, owner, KITTENSWAP_CONTRACTS.router))
@@ -5181,7 +6778,7 @@ async function cmdEnterPlan({
   if (!inRangeAtCurrentTick && !allowOutOfRangeMint) blockers.push("selected range does not include the current pool tick");
   if (zeroAnchoredWarning) blockers.push("selected range appears anchored near tick 0 instead of current market tick");
   if (!Number.isFinite(targetRatio1Per0)) blockers.push("live pool ratio is unavailable");
-  if (!bestCandidate) blockers.push("could not find a valid one-asset split for this pair with the current one-hop router surface");
+  if (!bestCandidate) blockers.push("could not find a valid one-asset split for this pair with the available single-hop or WHYPE-bridged routes");
   if (bestCandidate?.leg0 && !bestCandidate.leg0.ok) blockers.push(...(bestCandidate.blockers || []));
   if (bestCandidate?.leg1 && !bestCandidate.leg1.ok) blockers.push(...(bestCandidate.blockers || []));
 
@@ -5216,7 +6813,7 @@ async function cmdEnterPlan({
   ] : [];
 
   const swapCommandForLeg = (targetToken, leg) => {
-    if (!leg || leg.routeKind !== "single_hop" || leg.amountIn <= 0n) return null;
+    if (!isEnterSwapLeg(leg) || leg.amountIn <= 0n) return null;
     const parts = [
       "krlp",
       "swap-plan",
@@ -5228,6 +6825,7 @@ async function cmdEnterPlan({
       "--recipient",
       recipient,
     ];
+    if (leg.via.length) parts.push("--via", leg.via.join(","));
     if (deployer !== ZERO_ADDRESS) parts.push("--deployer", deployer);
     if (policyRef) parts.push("--policy", policyLoaded.key);
     if (slippageBps != null) parts.push("--slippage-bps", String(effSlipBps));
@@ -5249,14 +6847,16 @@ async function cmdEnterPlan({
   lines.push(`- current pool tick: ${poolState.tick}`);
   lines.push(`- pool tick spacing: ${spacing}`);
   lines.push(`- selected ticks: [${tickLower}, ${tickUpper}] (width=${tickUpper - tickLower}, source=${rangeSource})`);
+  if (volWidth) lines.push(...volatilityWidthLines(volWidth));
   lines.push(`- selected range center tick (aligned): ${rangeCenterAligned == null ? "n/a" : rangeCenterAligned}`);
   lines.push(`- in-range at current tick: ${inRangeAtCurrentTick ? "YES" : "NO"}`);
-  lines.push(`- live pool price token1/token0: ${targetRatio1Per0 == null ? "n/a" : fmtNum(targetRatio1Per0, { dp: 8 })}`);
+  lines.push(`- live pool price token1/token0: ${poolPrice1Per0 == null ? "n/a" : fmtNum(poolPrice1Per0, { dp: 8 })}`);
+  lines.push(`- exact range deposit ratio token1/token0: ${rangeDepositRatio1Per0 == null ? "n/a (one-sided range; split targets the pool price)" : fmtNum(rangeDepositRatio1Per0, { dp: 8 })}`);
   lines.push(`- funding amount in scope: ${formatUnits(amountIn, fundingMeta.decimals, { precision: 8 })} ${fundingMeta.symbol}`);
   lines.push(`- wallet funding balance: ${fundingMeta.balance == null ? "n/a" : `${formatUnits(fundingMeta.balance, fundingMeta.decimals, { precision: 8 })} ${fundingMeta.symbol}`}`);
   lines.push(`- preflight funding balance check: ${fundingBalanceCheck.ok == null ? "n/a" : fundingBalanceCheck.ok ? "PASS" : "FAIL"}`);
   lines.push(`- carry-in (excluding funding-token amount): ${formatUnits(carryIn0, token0Meta.decimals, { precision: 8 })} ${token0Meta.symbol} + ${formatUnits(carryIn1, token1Meta.decimals, { precision: 8 })} ${token1Meta.symbol}`);
-  lines.push("- split policy: equal notional at live pool price using exactInputSingle quotes for required swap legs");
+  lines.push("- split policy: match the exact range deposit ratio (LiquidityAmounts at live sqrtPriceX96) using exactInputSingle/exactInput quotes for required swap legs");
   if (fundingTokenInfo.aliasKey === "hype") {
     lines.push("- note: `hype` funding resolves to WHYPE for LP planning; native HYPE is not minted directly into LP positions.");
   }
@@ -5269,18 +6869,19 @@ async function cmdEnterPlan({
     lines.push(`- token0 leg route: ${bestCandidate.leg0.routeKind === "keep"
       ? `keep ${formatUnits(bestCandidate.leg0.amountOut, token0Meta.decimals, { precision: 8 })} ${token0Meta.symbol}`
       : bestCandidate.leg0.ok
-        ? `swap ${formatUnits(bestCandidate.leg0.amountIn, fundingMeta.decimals, { precision: 8 })} ${fundingMeta.symbol} -> quoted ${formatUnits(bestCandidate.leg0.amountOut, token0Meta.decimals, { precision: 8 })} ${token0Meta.symbol}`
+        ? `swap ${formatUnits(bestCandidate.leg0.amountIn, fundingMeta.decimals, { precision: 8 })} ${fundingMeta.symbol} -> quoted ${formatUnits(bestCandidate.leg0.amountOut, token0Meta.decimals, { precision: 8 })} ${token0Meta.symbol}${bestCandidate.leg0.via.length ? ` (multi-hop via ${bestCandidate.leg0.via.join(" -> ")})` : ""}`
         : `unavailable (${bestCandidate.leg0.error})`}`);
     lines.push(`- token1 leg route: ${bestCandidate.leg1.routeKind === "keep"
       ? `keep ${formatUnits(bestCandidate.leg1.amountOut, token1Meta.decimals, { precision: 8 })} ${token1Meta.symbol}`
       : bestCandidate.leg1.ok
-        ? `swap ${formatUnits(bestCandidate.leg1.amountIn, fundingMeta.decimals, { precision: 8 })} ${fundingMeta.symbol} -> quoted ${formatUnits(bestCandidate.leg1.amountOut, token1Meta.decimals, { precision: 8 })} ${token1Meta.symbol}`
+        ? `swap ${formatUnits(bestCandidate.leg1.amountIn, fundingMeta.decimals, { precision: 8 })} ${fundingMeta.symbol} -> quoted ${formatUnits(bestCandidate.leg1.amountOut, token1Meta.decimals, { precision: 8 })} ${token1Meta.symbol}${bestCandidate.leg1.via.length ? ` (multi-hop via ${bestCandidate.leg1.via.join(" -> ")})` : ""}`
         : `unavailable (${bestCandidate.leg1.error})`}`);
     lines.push(`- provisional post-swap LP inputs (quoted): ${formatUnits(bestCandidate.desired0, token0Meta.decimals, { precision: 8 })} ${token0Meta.symbol} + ${formatUnits(bestCandidate.desired1, token1Meta.decimals, { precision: 8 })} ${token1Meta.symbol}`);
     lines.push(`- provisional desired ratio token1/token0: ${bestCandidate.desiredRatio1Per0 == null ? "n/a" : fmtNum(bestCandidate.desiredRatio1Per0, { dp: 8 })}`);
     if (bestCandidate.desiredVsPoolRatioPct != null) {
-      lines.push(`- provisional desired vs pool ratio delta: ${fmtPct(bestCandidate.desiredVsPoolRatioPct)}`);
+      lines.push(`- provisional desired vs deposit ratio delta: ${fmtPct(bestCandidate.desiredVsPoolRatioPct)}`);
     }
+    lines.push(`- provisional exact mint preview: liquidity=${provisionalMint.liquidity.toString()}, spend=${formatUnits(provisionalMint.amount0, token0Meta.decimals, { precision: 8 })} ${token0Meta.symbol} + ${formatUnits(provisionalMint.amount1, token1Meta.decimals, { precision: 8 })} ${token1Meta.symbol}, unspent=${formatUnits(provisionalMint.unspent0, token0Meta.decimals, { precision: 8 })} ${token0Meta.symbol} + ${formatUnits(provisionalMint.unspent1, token1Meta.decimals, { precision: 8 })} ${token1Meta.symbol}`);
   }
   if (totalSwapAmount > 0n) {
     lines.push(`- router allowance (${fundingMeta.symbol}): ${routerAllowance == null ? "n/a" : formatUnits(routerAllowance, fundingMeta.decimals, { precision: 8 })}`);
@@ -5334,6 +6935,10 @@ async function cmdMintPlan({
   tickUpperRef,
   widthTicksRef,
   centerTickRef,
+  widthModeRef = "",
+  volLookbackBlocksRef = "",
+  horizonHoursRef = "",
+  inRangePctRef = "",
   approveMax,
   allowOutOfRange,
   noAutoStake,
@@ -5377,6 +6982,17 @@ async function cmdMintPlan({
   }
 
   const allowOutOfRangeMint = parseBoolFlag(allowOutOfRange);
+  const volWidth = await resolveVolatilityWidthForMint({
+    pool: poolAddress,
+    spacing,
+    tickLowerRef,
+    tickUpperRef,
+    widthTicksRef,
+    widthModeRef,
+    volLookbackBlocksRef,
+    horizonHoursRef,
+    inRangePctRef,
+  });
   const {
     tickLower,
     tickUpper,
@@ -5387,7 +7003,7 @@ async function cmdMintPlan({
   } = resolveMintRangeSelection({
     tickLowerRef,
     tickUpperRef,
-    widthTicksRef,
+    widthTicksRef: volWidth ? volWidth.widthTicks : widthTicksRef,
     centerTickRef,
     poolTick: poolState.tick,
     spacing,
@@ -5488,7 +7104,17 @@ async function cmdMintPlan({
   const totalGas = gasEstimates.reduce((acc, g) => (g.ok ? acc + g.gas : acc), 0n);
   const estFeeWei = gasPriceWei != null ? totalGas * gasPriceWei : null;
 
-  const poolPrice1Per0 = tickToPrice(poolState.tick, { decimals0: token0Meta.decimals, decimals1: token1Meta.decimals });
+  const poolPrice1Per0 = sqrtPriceX96ToPrice(poolState.priceSqrtX96, { decimals0: token0Meta.decimals, decimals1: token1Meta.decimals });
+  const rangeDepositRatio1Per0 = exactRangeDepositRatio1Per0({
+    poolState,
+    tickLower,
+    tickUpper,
+    decimals0: token0Meta.decimals,
+    decimals1: token1Meta.decimals,
+  });
+  const exactMint = exactMintPreview({ poolState, tickLower, tickUpper, amount0Desired, amount1Desired });
+  const exactSpendBelowMin0 = exactMint.amount0 < amount0Min;
+  const exactSpendBelowMin1 = exactMint.amount1 < amount1Min;
   const amount0DesiredNum = unitsToNumber(amount0Desired, token0Meta.decimals, { precision: 18 });
   const amount1DesiredNum = unitsToNumber(amount1Desired, token1Meta.decimals, { precision: 18 });
   const desiredRatio1Per0 = Number.isFinite(amount0DesiredNum) && amount0DesiredNum > 0 && Number.isFinite(amount1DesiredNum)
@@ -5525,6 +7151,7 @@ async function cmdMintPlan({
   lines.push(`- current pool tick: ${poolState.tick}`);
   lines.push(`- pool tick spacing: ${spacing}`);
   lines.push(`- selected ticks: [${tickLower}, ${tickUpper}] (width=${tickUpper - tickLower}, source=${rangeSource})`);
+  if (volWidth) lines.push(...volatilityWidthLines(volWidth));
   lines.push(`- selected range center tick (aligned): ${rangeCenterAligned == null ? "n/a" : rangeCenterAligned}`);
   if (rangeSource === "auto_centered") {
     lines.push(`- center tick input: ${rangeCenterRaw == null ? "n/a" : rangeCenterRaw} (${hasManualCenter ? "from --center-tick" : "default=current pool tick"})`);
@@ -5536,6 +7163,7 @@ async function cmdMintPlan({
     lines.push(`- tick distance current->selected center: ${centerDistanceTicks}`);
   }
   lines.push(`- pool price token1/token0: ${poolPrice1Per0 == null ? "n/a" : fmtNum(poolPrice1Per0, { dp: 8 })}`);
+  lines.push(`- exact range deposit ratio token1/token0: ${rangeDepositRatio1Per0 == null ? "n/a (one-sided range)" : fmtNum(rangeDepositRatio1Per0, { dp: 8 })}`);
   lines.push(`- desired ratio token1/token0: ${desiredRatio1Per0 == null ? "n/a" : fmtNum(desiredRatio1Per0, { dp: 8 })}`);
   if (desiredVsPoolRatioPct != null) {
     lines.push(`- desired vs pool ratio delta: ${fmtPct(desiredVsPoolRatioPct)}`);
@@ -5581,6 +7209,14 @@ async function cmdMintPlan({
     lines.push("- BLOCKER: selected range appears anchored near tick 0 while current market tick is far away.");
     lines.push("- likely cause: range width was interpreted as [-N/2,+N/2] instead of centering on current tick.");
   }
+  lines.push(`- exact mint preview (TickMath/LiquidityAmounts at sqrtPriceX96 ${poolState.priceSqrtX96.toString()}): liquidity=${exactMint.liquidity.toString()}, spend=${formatUnits(exactMint.amount0, token0Meta.decimals, { precision: 8 })} ${token0Meta.symbol} + ${formatUnits(exactMint.amount1, token1Meta.decimals, { precision: 8 })} ${token1Meta.symbol}`);
+  lines.push(`- exact unspent (stays in wallet): ${formatUnits(exactMint.unspent0, token0Meta.decimals, { precision: 8 })} ${token0Meta.symbol} + ${formatUnits(exactMint.unspent1, token1Meta.decimals, { precision: 8 })} ${token1Meta.symbol}`);
+  if (exactMint.liquidity === 0n) {
+    lines.push("- BLOCKER: desired amounts mint zero liquidity in the selected range.");
+  } else if (exactSpendBelowMin0 || exactSpendBelowMin1) {
+    lines.push(`- BLOCKER: exact spend is below the slippage minimum for ${[exactSpendBelowMin0 ? token0Meta.symbol : null, exactSpendBelowMin1 ? token1Meta.symbol : null].filter(Boolean).join(" and ")}; mint would revert with 'Price slippage check'.`);
+    lines.push("- fix: size amount-a/amount-b to the exact range deposit ratio above, or raise --slippage-bps.");
+  }
   const mintSimLabel = directMintCall.ok
     ? "PASS"
     : directMintCall.category === "rpc_unavailable"
@@ -5610,57 +7246,589 @@ async function cmdMintPlan({
       }
     }
   }
-
-  lines.push("- transaction templates (full calldata):");
-  for (let i = 0; i < calls.length; i++) {
-    const c = calls[i];
-    const g = gasEstimates[i];
-    lines.push(`  - step ${i + 1}: ${c.step}`);
-    lines.push(`    - to: ${c.to}`);
-    lines.push(`    - value: ${toHexQuantity(c.value)} (${formatUnits(c.value, 18, { precision: 8 })} HYPE)`);
-    lines.push(`    - data: ${c.data}`);
-    if (g.ok) lines.push(`    - gas est: ${g.gas.toString()} (${g.gasHex})`);
-    else lines.push(`    - gas est: unavailable (${g.error})`);
+
+  lines.push("- transaction templates (full calldata):");
+  for (let i = 0; i < calls.length; i++) {
+    const c = calls[i];
+    const g = gasEstimates[i];
+    lines.push(`  - step ${i + 1}: ${c.step}`);
+    lines.push(`    - to: ${c.to}`);
+    lines.push(`    - value: ${toHexQuantity(c.value)} (${formatUnits(c.value, 18, { precision: 8 })} HYPE)`);
+    lines.push(`    - data: ${c.data}`);
+    if (g.ok) lines.push(`    - gas est: ${g.gas.toString()} (${g.gasHex})`);
+    else lines.push(`    - gas est: unavailable (${g.error})`);
+  }
+
+  if (gasPriceWei != null) {
+    lines.push(`- gas price: ${formatUnits(gasPriceWei, 9, { precision: 3 })} gwei`);
+    lines.push(`- total gas est (available steps): ${totalGas.toString()}`);
+    lines.push(`- est total fee: ${formatUnits(estFeeWei, 18, { precision: 8 })} HYPE`);
+  } else {
+    lines.push("- gas price: unavailable");
+  }
+
+  lines.push("- execution:");
+  lines.push("  - sign tx outside this skill (wallet/custody)");
+  lines.push("  - then broadcast signed payload: krlp broadcast-raw <0xSignedTx> --yes SEND");
+  lines.push(`  - signer address MUST equal from=${owner}; mismatch commonly reverts with STF`);
+  lines.push("  - after each approve tx is mined, run: krlp tx-verify <approveTxHash> (amount/allowance must be non-zero)");
+  lines.push("  - if mint tx fails, run: krlp tx-verify <mintTxHash> <expectedOwner|label> (includes signer/race forensics)");
+  lines.push("  - stale calldata fails fast: if sent after deadline, contracts revert with 'Transaction too old' (often shown as silent revert)");
+  if (autoStakeAfterMint) {
+    lines.push("  - default post-mint policy: **FORCED AUTO-STAKE** immediately after mint (no extra confirmation prompt)");
+    lines.push("  - after mint tx is mined and tokenId is known, run in order:");
+    lines.push("    1. krlp farm-status <newTokenId>");
+    lines.push("    2. krlp farm-approve-plan <newTokenId>");
+    lines.push("    3. krlp farm-enter-plan <newTokenId> --auto-key");
+    lines.push("    4. krlp farm-collect-plan <newTokenId> --auto-key");
+    lines.push("    5. krlp farm-claim-plan <rewardToken> --amount max");
+  }
+  if (noAutoStakeRequested) {
+    lines.push("  - policy override requested: --no-auto-stake was provided, but auto-stake is FORCE-ENABLED and cannot be bypassed.");
+    lines.push("  - this is intentionally enforced for all position entrances.");
+  }
+  if (!directMintCall.ok && (needsApproval0 || needsApproval1)) {
+    lines.push("- simulation hint:");
+    lines.push("  - mint simulation can revert until position-manager approvals are mined.");
+    lines.push("  - sign and send approval tx(s) first, then re-run mint-plan.");
+  }
+  lines.push("- safety:");
+  lines.push("  - output uses full addresses and full calldata; do not truncate or reconstruct");
+  lines.push("  - this command is dry-run only and does not sign/broadcast");
+  lines.push("  - LP mint approvals must target position manager (not swap router)");
+  lines.push("  - ticks must be aligned to pool tick spacing to avoid reverts");
+  return lines.join("\n");
+}
+
+async function cmdIncreasePlan({
+  tokenIdRaw,
+  ownerRef = "",
+  amount0Ref,
+  amount1Ref,
+  policyRef = "",
+  slippageBps,
+  deadlineSeconds,
+  approveMax,
+}) {
+  const tokenId = parseTokenId(tokenIdRaw);
+  let owner = null;
+  try {
+    owner = await resolveAddressInput(ownerRef || "", { allowDefault: true });
+  } catch (err) {
+    const msg = String(err?.message || err || "");
+    const missingOwnerInput = !String(ownerRef || "").trim();
+    if (missingOwnerInput && msg.includes("No address provided and no default account set")) {
+      owner = await withRpcRetry(() => readOwnerOf(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager }));
+    } else {
+      throw err;
+    }
+  }
+
+  const policyLoaded = await getPolicy(policyRef || "");
+  const effSlipBps = parseBps(slippageBps, policyLoaded.policy.slippageBps, { min: 0, max: 10_000 });
+  const effDeadlineSec = parseSeconds(deadlineSeconds, policyLoaded.policy.deadlineSeconds, { min: 1, max: 86_400 });
+
+  const ctx = await loadPositionContext(tokenId, { ownerAddress: owner });
+  const stakedInfo = await classifyStakedStatus(tokenId);
+  const { token0, token1, position, poolState } = ctx;
+
+  const amount0Desired = parseDecimalOrMaxToUnits(amount0Ref ?? "0", token0.balance, token0.decimals, { field: "amount0" });
+  const amount1Desired = parseDecimalOrMaxToUnits(amount1Ref ?? "0", token1.balance, token1.decimals, { field: "amount1" });
+  if (amount0Desired < 0n || amount1Desired < 0n) throw new Error("amount0 and amount1 cannot be negative");
+  if (amount0Desired === 0n && amount1Desired === 0n) throw new Error("at least one of amount0/amount1 must be > 0");
+
+  // Mins guard the exact spend, not the desired amounts: the unused side never reaches the pool.
+  const exactIncrease = exactMintPreview({
+    poolState,
+    tickLower: position.tickLower,
+    tickUpper: position.tickUpper,
+    amount0Desired,
+    amount1Desired,
+  });
+  const amount0Min = (exactIncrease.amount0 * BigInt(10_000 - effSlipBps)) / 10_000n;
+  const amount1Min = (exactIncrease.amount1 * BigInt(10_000 - effSlipBps)) / 10_000n;
+  const rangeDepositRatio1Per0 = exactRangeDepositRatio1Per0({
+    poolState,
+    tickLower: position.tickLower,
+    tickUpper: position.tickUpper,
+    decimals0: token0.decimals,
+    decimals1: token1.decimals,
+  });
+  const inRangeAtCurrentTick = poolState.tick >= position.tickLower && poolState.tick < position.tickUpper;
+
+  const latestBlock = await rpcGetBlockByNumber("latest", false).catch(() => null);
+  const nowTs = latestBlock?.timestamp ? Number(BigInt(latestBlock.timestamp)) : Math.floor(Date.now() / 1000);
+  const deadline = BigInt(nowTs + effDeadlineSec);
+
+  const [allowance0Check, allowance1Check] = await Promise.all([
+    withRpcRetry(() => readErc20Allowance(token0.address, owner, KITTENSWAP_CONTRACTS.positionManager))
+      .then((value) => ({ ok: true, value, error: null }))
+      .catch((e) => ({ ok: false, value: null, error: e?.message || String(e) })),
+    withRpcRetry(() => readErc20Allowance(token1.address, owner, KITTENSWAP_CONTRACTS.positionManager))
+      .then((value) => ({ ok: true, value, error: null }))
+      .catch((e) => ({ ok: false, value: null, error: e?.message || String(e) })),
+  ]);
+  const allowance0 = allowance0Check.value;
+  const allowance1 = allowance1Check.value;
+
+  const insufficientBalance0 = token0.balance != null && token0.balance < amount0Desired;
+  const insufficientBalance1 = token1.balance != null && token1.balance < amount1Desired;
+  const needsApproval0 = amount0Desired > 0n && (!allowance0Check.ok || allowance0 < amount0Desired);
+  const needsApproval1 = amount1Desired > 0n && (!allowance1Check.ok || allowance1 < amount1Desired);
+  const approveAmount0 = parseBoolFlag(approveMax) ? maxUint256() : amount0Desired;
+  const approveAmount1 = parseBoolFlag(approveMax) ? maxUint256() : amount1Desired;
+
+  const increaseData = buildIncreaseLiquidityCalldata({
+    tokenId,
+    amount0Desired,
+    amount1Desired,
+    amount0Min,
+    amount1Min,
+    deadline,
+  });
+  const increaseDecode = decodePositionIncreaseLiquidityInputDetailed(increaseData);
+
+  const calls = [];
+  if (needsApproval0) {
+    calls.push({
+      step: "approve_token0_for_position_manager",
+      to: token0.address,
+      value: 0n,
+      data: buildApproveCalldata({ spender: KITTENSWAP_CONTRACTS.positionManager, amount: approveAmount0 }),
+    });
+  }
+  if (needsApproval1) {
+    calls.push({
+      step: "approve_token1_for_position_manager",
+      to: token1.address,
+      value: 0n,
+      data: buildApproveCalldata({ spender: KITTENSWAP_CONTRACTS.positionManager, amount: approveAmount1 }),
+    });
+  }
+  calls.push({
+    step: "increase_liquidity",
+    to: KITTENSWAP_CONTRACTS.positionManager,
+    value: 0n,
+    data: increaseData,
+  });
+
+  const [gasPriceHex, gasEstimates, increaseSim] = await Promise.all([
+    withRpcRetry(() => rpcGasPrice()).catch(() => null),
+    Promise.all(calls.map((c) => estimateCallGas({ from: owner, to: c.to, data: c.data, value: c.value }))),
+    simulateIncreaseLiquidityCall({ fromAddress: owner, increaseData, blockTag: "latest" }),
+  ]);
+  const gasPriceWei = gasPriceHex ? BigInt(gasPriceHex) : null;
+  const totalGas = gasEstimates.reduce((acc, g) => (g.ok ? acc + g.gas : acc), 0n);
+  const estFeeWei = gasPriceWei != null ? totalGas * gasPriceWei : null;
+
+  const blockers = [];
+  if (stakedInfo.staked === true) {
+    blockers.push("position is currently staked; run farm-exit-plan and confirm NOT_STAKED before increasing liquidity, then re-enter the farm.");
+  } else if (stakedInfo.staked == null) {
+    blockers.push("staked status is unknown (tokenFarmedIn RPC check failed); do not send until farm-status succeeds.");
+  } else if (stakedInfo.farmedIn) {
+    blockers.push(`farm state is not clean (${stakedInfo.label}); resolve it with farm-status before increasing liquidity.`);
+  }
+  if (ctx.nftOwner !== owner) {
+    blockers.push(`sender ${owner} is not the NFT owner ${ctx.nftOwner}; added liquidity would belong to the NFT owner.`);
+  }
+  if (insufficientBalance0) blockers.push(`wallet ${owner} has insufficient ${token0.symbol} for amount0Desired.`);
+  if (insufficientBalance1) blockers.push(`wallet ${owner} has insufficient ${token1.symbol} for amount1Desired.`);
+  if (exactIncrease.liquidity === 0n) {
+    blockers.push(`desired amounts add zero liquidity in range [${position.tickLower}, ${position.tickUpper}]${inRangeAtCurrentTick ? "" : ` (out of range: only ${poolState.tick < position.tickLower ? token0.symbol : token1.symbol} is accepted)`}.`);
+  }
+  if (!increaseDecode?.ok) blockers.push("increaseLiquidity calldata decode guard failed.");
+  if (!increaseSim.ok) {
+    if (increaseSim.category === "rpc_unavailable") {
+      blockers.push("increaseLiquidity simulation is unavailable due RPC instability; re-run until simulation is PASS before signing.");
+    } else if (needsApproval0 || needsApproval1) {
+      blockers.push("increaseLiquidity simulation did not pass; send the approval tx(s) first, then re-run increase-plan.");
+    } else {
+      blockers.push("increaseLiquidity simulation reverted; do not sign/send until the blocker is resolved.");
+    }
+  }
+
+  const fmt0 = (raw) => `${formatUnits(raw, token0.decimals, { precision: 8 })} ${token0.symbol}`;
+  const fmt1 = (raw) => `${formatUnits(raw, token1.decimals, { precision: 8 })} ${token1.symbol}`;
+  const lines = [];
+  lines.push(`Kittenswap LP increase plan (${tokenId.toString()})`);
+  lines.push(`- from (tx sender): ${owner}`);
+  lines.push(`- nft owner: ${ctx.nftOwner}${ctx.nftOwner === owner ? "" : " [DIFFERS FROM from]"}`);
+  lines.push(`- staked status: ${stakedInfo.label}`);
+  lines.push(`- position manager: ${KITTENSWAP_CONTRACTS.positionManager}`);
+  lines.push(`- pool: ${ctx.poolAddress}`);
+  lines.push(`- pair: ${token0.symbol} (${token0.address}) / ${token1.symbol} (${token1.address})`);
+  lines.push(`- ticks: [${position.tickLower}, ${position.tickUpper}] | current ${poolState.tick}`);
+  lines.push(`- in-range at current tick: ${inRangeAtCurrentTick ? "YES" : "NO"}`);
+  lines.push(`- liquidity now: ${position.liquidity.toString()}`);
+  lines.push(`- exact range deposit ratio token1/token0: ${rangeDepositRatio1Per0 == null ? "n/a (one-sided range)" : fmtNum(rangeDepositRatio1Per0, { dp: 8 })}`);
+  lines.push(`- desired amounts: ${fmt0(amount0Desired)} + ${fmt1(amount1Desired)}`);
+  lines.push(`- exact increase preview (TickMath/LiquidityAmounts at sqrtPriceX96 ${poolState.priceSqrtX96.toString()}): liquidity=+${exactIncrease.liquidity.toString()}, spend=${fmt0(exactIncrease.amount0)} + ${fmt1(exactIncrease.amount1)}`);
+  lines.push(`- exact unspent (stays in wallet): ${fmt0(exactIncrease.unspent0)} + ${fmt1(exactIncrease.unspent1)}`);
+  lines.push(`- liquidity after increase: ${(position.liquidity + exactIncrease.liquidity).toString()}`);
+  lines.push(`- minimum amounts (slippage guard on exact spend): ${fmt0(amount0Min)} + ${fmt1(amount1Min)}`);
+  lines.push(`- policy: ${policyLoaded.key} (slippage=${effSlipBps}bps, deadline=${effDeadlineSec}s)`);
+  lines.push(`- deadline unix: ${deadline.toString()}`);
+  lines.push(`- deadline utc: ${new Date(Number(deadline) * 1000).toISOString()}`);
+  lines.push(`- wallet balances: ${token0.balance == null ? "n/a" : fmt0(token0.balance)} | ${token1.balance == null ? "n/a" : fmt1(token1.balance)}`);
+  lines.push(`- manager allowance (${token0.symbol}): ${allowance0 == null ? "n/a" : formatUnits(allowance0, token0.decimals, { precision: 8 })}`);
+  lines.push(`- manager allowance (${token1.symbol}): ${allowance1 == null ? "n/a" : formatUnits(allowance1, token1.decimals, { precision: 8 })}`);
+  lines.push(`- preflight ${token0.symbol} balance check: ${token0.balance == null ? "n/a" : insufficientBalance0 ? "FAIL" : "PASS"}`);
+  lines.push(`- preflight ${token1.symbol} balance check: ${token1.balance == null ? "n/a" : insufficientBalance1 ? "FAIL" : "PASS"}`);
+  lines.push(`- approval required (${token0.symbol}): ${needsApproval0 ? "YES" : "NO"}`);
+  lines.push(`- approval required (${token1.symbol}): ${needsApproval1 ? "YES" : "NO"}`);
+  if (!allowance0Check.ok) lines.push(`- allowance read (${token0.symbol}): unavailable (${allowance0Check.error})`);
+  if (!allowance1Check.ok) lines.push(`- allowance read (${token1.symbol}): unavailable (${allowance1Check.error})`);
+  lines.push(`- direct increaseLiquidity eth_call simulation: ${renderReplayCheckLabel(increaseSim)}`);
+  if (increaseSim.ok && increaseSim.increasePreview) {
+    lines.push(`- increase simulation preview: liquidity=+${increaseSim.increasePreview.liquidity.toString()}, spend=${fmt0(increaseSim.increasePreview.amount0)} + ${fmt1(increaseSim.increasePreview.amount1)}`);
+  }
+  if (!increaseSim.ok && increaseSim.error) lines.push(`- increase simulation error: ${increaseSim.error}`);
+
+  lines.push(`- execution gate: ${blockers.length ? "BLOCKED" : "PASS"}`);
+  if (blockers.length) {
+    lines.push("- blockers:");
+    for (const blocker of blockers) lines.push(`  - ${blocker}`);
+    lines.push("- send decision: DO NOT SEND until all blockers clear.");
+  } else {
+    lines.push("- send decision: SAFE_TO_SEND in strict step order.");
+  }
+
+  lines.push("- canonical command sequence:");
+  const rerun = renderCommand([
+    "krlp increase-plan",
+    tokenId.toString(),
+    owner,
+    amount0Desired > 0n ? `--amount0 ${amount0Ref}` : "",
+    amount1Desired > 0n ? `--amount1 ${amount1Ref}` : "",
+    policyRef ? `--policy ${policyLoaded.key}` : "",
+    slippageBps != null ? `--slippage-bps ${effSlipBps}` : "",
+    deadlineSeconds != null ? `--deadline-seconds ${effDeadlineSec}` : "",
+    parseBoolFlag(approveMax) ? "--approve-max" : "",
+  ]);
+  let stepNo = 1;
+  lines.push(`  ${stepNo}. krlp farm-status ${tokenId.toString()} ${owner}`);
+  stepNo += 1;
+  if (stakedInfo.staked === true) {
+    lines.push(`  ${stepNo}. krlp farm-exit-plan ${tokenId.toString()} ${owner} --auto-key`);
+    stepNo += 1;
+    lines.push(`  ${stepNo}. send farm-exit tx, then verify: krlp tx-verify <farmExitTxHash>`);
+    stepNo += 1;
+    lines.push(`  ${stepNo}. re-run increase plan: ${rerun}`);
+    stepNo += 1;
+    lines.push(`  ${stepNo}. once execution gate is PASS, send templates in order (${needsApproval0 || needsApproval1 ? "approve -> " : ""}increase_liquidity).`);
+    stepNo += 1;
+    lines.push(`  ${stepNo}. krlp farm-approve-plan ${tokenId.toString()} ${owner} (only if approval is missing)`);
+    stepNo += 1;
+    lines.push(`  ${stepNo}. krlp farm-enter-plan ${tokenId.toString()} ${owner} --auto-key`);
+    stepNo += 1;
+  } else if (stakedInfo.staked == null) {
+    lines.push(`  ${stepNo}. re-run until staked status is known, then: ${rerun}`);
+    stepNo += 1;
+  } else {
+    lines.push(`  ${stepNo}. position is not staked in Kittenswap; execute steps below (${needsApproval0 || needsApproval1 ? "approve -> " : ""}increase_liquidity).`);
+    stepNo += 1;
+  }
+  lines.push(`  ${stepNo}. after each broadcast, run: krlp tx-verify <txHash>`);
+
+  lines.push("- transaction templates (full calldata):");
+  for (let i = 0; i < calls.length; i++) {
+    const c = calls[i];
+    const g = gasEstimates[i];
+    lines.push(`  - step ${i + 1}: ${c.step}`);
+    lines.push(`    - to: ${c.to}`);
+    lines.push(`    - value: ${toHexQuantity(c.value)} (${formatUnits(c.value, 18, { precision: 8 })} HYPE)`);
+    lines.push(`    - data: ${c.data}`);
+    if (c.step === "increase_liquidity") {
+      if (increaseDecode?.ok) {
+        lines.push("    - decode guard: PASS (increaseLiquidity selector + 6 words)");
+        lines.push(`    - decoded tokenId: ${increaseDecode.decoded.tokenId.toString()} (${increaseDecode.decoded.tokenId === tokenId ? "MATCH" : "MISMATCH"})`);
+      } else {
+        lines.push(`    - decode guard: FAIL (${increaseDecode?.error || "selector mismatch"})`);
+      }
+    }
+    if (g.ok) lines.push(`    - gas est: ${g.gas.toString()} (${g.gasHex})`);
+    else lines.push(`    - gas est: unavailable (${g.error})`);
+  }
+
+  if (gasPriceWei != null) {
+    lines.push(`- gas price: ${formatUnits(gasPriceWei, 9, { precision: 3 })} gwei`);
+    lines.push(`- total gas est (available steps): ${totalGas.toString()}`);
+    lines.push(`- est total fee: ${formatUnits(estFeeWei, 18, { precision: 8 })} HYPE`);
+  } else {
+    lines.push("- gas price: unavailable");
+  }
+
+  lines.push("- safety:");
+  lines.push("  - output uses full addresses and full calldata; do not truncate or reconstruct");
+  lines.push("  - this command is dry-run only and does not sign/broadcast");
+  lines.push("  - increaseLiquidity adds to an existing tokenId; approvals must target position manager (not swap router)");
+  lines.push("  - stale calldata fails fast: if sent after deadline, contracts revert with 'Transaction too old'");
+  return lines.join("\n");
+}
+
+async function cmdCompoundPlan({
+  tokenIdRaw,
+  ownerRef = "",
+  policyRef = "",
+  slippageBps,
+  deadlineSeconds,
+  noSwap,
+  approveMax,
+}) {
+  const tokenId = parseTokenId(tokenIdRaw);
+  let owner = null;
+  try {
+    owner = await resolveAddressInput(ownerRef || "", { allowDefault: true });
+  } catch (err) {
+    const msg = String(err?.message || err || "");
+    const missingOwnerInput = !String(ownerRef || "").trim();
+    if (missingOwnerInput && msg.includes("No address provided and no default account set")) {
+      owner = await withRpcRetry(() => readOwnerOf(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager }));
+    } else {
+      throw err;
+    }
+  }
+
+  const policyLoaded = await getPolicy(policyRef || "");
+  const effSlipBps = parseBps(slippageBps, policyLoaded.policy.slippageBps, { min: 0, max: 10_000 });
+  const effDeadlineSec = parseSeconds(deadlineSeconds, policyLoaded.policy.deadlineSeconds, { min: 1, max: 86_400 });
+  const swapDisabled = parseBoolFlag(noSwap);
+
+  const ctx = await loadPositionContext(tokenId, { ownerAddress: owner });
+  const stakedInfo = await classifyStakedStatus(tokenId);
+  const { token0, token1, position, poolState } = ctx;
+  const deployer = position.deployer && position.deployer !== ZERO_ADDRESS ? position.deployer : ZERO_ADDRESS;
+  const inRangeAtCurrentTick = poolState.tick >= position.tickLower && poolState.tick < position.tickUpper;
+
+  const collectData = buildCollectCalldata({
+    tokenId,
+    recipient: owner,
+    amount0Max: maxUint128(),
+    amount1Max: maxUint128(),
+  });
+  const collectDecode = decodePositionCollectInputDetailed(collectData);
+  const [collectSim, gasPriceHex, collectGas] = await Promise.all([
+    replayEthCall({
+      fromAddress: owner,
+      toAddress: KITTENSWAP_CONTRACTS.positionManager,
+      data: collectData,
+      value: 0n,
+      blockTag: "latest",
+    }),
+    withRpcRetry(() => rpcGasPrice()).catch(() => null),
+    estimateCallGas({ from: owner, to: KITTENSWAP_CONTRACTS.positionManager, data: collectData, value: 0n }),
+  ]);
+  let fees = null;
+  if (collectSim.ok) {
+    try {
+      fees = { ok: true, ...decodeTwoUint256Return(collectSim.returnData, { label: "collect" }) };
+    } catch (e) {
+      fees = { ok: false, error: e?.message || String(e) };
+    }
+  }
+  const fees0 = fees?.ok ? fees.amount0 : 0n;
+  const fees1 = fees?.ok ? fees.amount1 : 0n;
+  const hasFees = fees0 > 0n || fees1 > 0n;
+
+  // Swap the collected fees onto the range's deposit ratio, then size the increase on the minimum out.
+  const swapSize = hasFees
+    ? swapToRangeRatio({
+      tick: poolState.tick,
+      sqrtPriceX96: poolState.priceSqrtX96,
+      tickLower: position.tickLower,
+      tickUpper: position.tickUpper,
+      amount0: fees0,
+      amount1: fees1,
+    })
+    : { zeroForOne: true, amountIn: 0n };
+  const swapTokenIn = swapSize.zeroForOne ? token0 : token1;
+  const swapTokenOut = swapSize.zeroForOne ? token1 : token0;
+  const swapLeg = !swapDisabled && swapSize.amountIn > 0n
+    ? await quoteEnterRouteLeg({
+      fundingToken: swapTokenIn.address,
+      targetToken: swapTokenOut.address,
+      deployer,
+      amountIn: swapSize.amountIn,
+    })
+    : null;
+  const swapMinOut = swapLeg?.ok ? (swapLeg.amountOut * BigInt(10_000 - effSlipBps)) / 10_000n : 0n;
+  const swapIn0 = swapLeg?.ok && swapSize.zeroForOne ? swapSize.amountIn : 0n;
+  const swapIn1 = swapLeg?.ok && !swapSize.zeroForOne ? swapSize.amountIn : 0n;
+  const increase0 = fees0 - swapIn0 + (swapLeg?.ok && !swapSize.zeroForOne ? swapMinOut : 0n);
+  const increase1 = fees1 - swapIn1 + (swapLeg?.ok && swapSize.zeroForOne ? swapMinOut : 0n);
+  const increasePreview = hasFees
+    ? exactMintPreview({
+      poolState,
+      tickLower: position.tickLower,
+      tickUpper: position.tickUpper,
+      amount0Desired: increase0,
+      amount1Desired: increase1,
+    })
+    : null;
+
+  const blockers = [];
+  if (stakedInfo.staked === true) {
+    blockers.push("position is currently staked; run farm-exit-plan and confirm NOT_STAKED before collecting fees, then re-enter the farm after the increase.");
+  } else if (stakedInfo.staked == null) {
+    blockers.push("staked status is unknown (tokenFarmedIn RPC check failed); do not send until farm-status succeeds.");
+  } else if (stakedInfo.farmedIn) {
+    blockers.push(`farm state is not clean (${stakedInfo.label}); resolve it with farm-status before compounding.`);
+  }
+  if (ctx.nftOwner !== owner) {
+    blockers.push(`sender ${owner} differs from nft owner ${ctx.nftOwner}; owner/approved operator required.`);
+  }
+  if (!collectDecode?.ok) blockers.push("collect calldata decode guard failed.");
+  if (!collectSim.ok) {
+    blockers.push(collectSim.category === "rpc_unavailable" ? "collect simulation unavailable due RPC instability." : "collect simulation reverted.");
+  } else if (!fees?.ok) {
+    blockers.push(`collect simulation returned unexpected data (${fees?.error || "decode failed"}).`);
+  } else if (!hasFees) {
+    blockers.push("no uncollected fees to compound.");
+  }
+  if (swapLeg && !swapLeg.ok) {
+    blockers.push(`swap quote to the range ratio failed (${swapLeg.error}); re-run with --no-swap to compound without swapping.`);
+  }
+  if (increasePreview && increasePreview.liquidity === 0n) {
+    blockers.push("collected fees add zero liquidity in this range (dust or one-sided fees without a swap).");
+  }
+
+  const fmt0 = (raw) => `${formatUnits(raw, token0.decimals, { precision: 8 })} ${token0.symbol}`;
+  const fmt1 = (raw) => `${formatUnits(raw, token1.decimals, { precision: 8 })} ${token1.symbol}`;
+  const fmtSwapIn = (raw) => `${formatUnits(raw, swapTokenIn.decimals, { precision: 8 })} ${swapTokenIn.symbol}`;
+  const fmtSwapOut = (raw) => `${formatUnits(raw, swapTokenOut.decimals, { precision: 8 })} ${swapTokenOut.symbol}`;
+  const rangeDepositRatio1Per0 = exactRangeDepositRatio1Per0({
+    poolState,
+    tickLower: position.tickLower,
+    tickUpper: position.tickUpper,
+    decimals0: token0.decimals,
+    decimals1: token1.decimals,
+  });
+  const lines = [];
+  lines.push(`Kittenswap LP compound plan (${tokenId.toString()})`);
+  lines.push("- mode: COMPOUND_IN_PLACE (collect fees -> optional swap to range ratio -> increaseLiquidity on the same tokenId; range unchanged)");
+  lines.push(`- from (tx sender): ${owner}`);
+  lines.push(`- nft owner: ${ctx.nftOwner}${ctx.nftOwner === owner ? "" : " [DIFFERS FROM from]"}`);
+  lines.push(`- staked status: ${stakedInfo.label}`);
+  lines.push(`- pool: ${ctx.poolAddress}`);
+  lines.push(`- pair: ${token0.symbol} (${token0.address}) / ${token1.symbol} (${token1.address})`);
+  lines.push(`- ticks: [${position.tickLower}, ${position.tickUpper}] | current ${poolState.tick}`);
+  lines.push(`- in-range at current tick: ${inRangeAtCurrentTick ? "YES" : "NO"}`);
+  lines.push(`- liquidity now: ${position.liquidity.toString()}`);
+  lines.push(`- policy: ${policyLoaded.key} (slippage=${effSlipBps}bps, deadline=${effDeadlineSec}s)`);
+  lines.push(`- uncollected fees (collect eth_call): ${fees?.ok ? `${fmt0(fees0)} + ${fmt1(fees1)}` : "n/a"}`);
+  lines.push(`- exact range deposit ratio token1/token0: ${rangeDepositRatio1Per0 == null ? "n/a (one-sided range)" : fmtNum(rangeDepositRatio1Per0, { dp: 8 })}`);
+  if (!hasFees) {
+    lines.push("- swap to range ratio: n/a (no fees)");
+  } else if (swapSize.amountIn === 0n) {
+    lines.push("- swap to range ratio: NONE (fees already match the range ratio)");
+  } else if (swapDisabled) {
+    lines.push(`- swap to range ratio: SKIPPED (--no-swap; ideal swap was ${fmtSwapIn(swapSize.amountIn)} -> ${swapTokenOut.symbol})`);
+  } else if (swapLeg?.ok) {
+    lines.push(`- swap to range ratio: ${fmtSwapIn(swapSize.amountIn)} -> ${swapTokenOut.symbol} (quoted out ${fmtSwapOut(swapLeg.amountOut)}, min out ${fmtSwapOut(swapMinOut)}${swapLeg.via.length ? `, via ${swapLeg.via.join(",")}` : ""})`);
+  } else {
+    lines.push(`- swap to range ratio: ${fmtSwapIn(swapSize.amountIn)} -> ${swapTokenOut.symbol} (quote FAILED)`);
+  }
+  if (increasePreview) {
+    lines.push(`- increase amounts (after swap at min out): ${fmt0(increase0)} + ${fmt1(increase1)}`);
+    lines.push(`- provisional exact increase preview: liquidity=+${increasePreview.liquidity.toString()}, spend=${fmt0(increasePreview.amount0)} + ${fmt1(increasePreview.amount1)}, unspent=${fmt0(increasePreview.unspent0)} + ${fmt1(increasePreview.unspent1)}`);
   }
+  lines.push(`- direct collect sim: ${renderReplayCheckLabel(collectSim)}`);
+  if (!collectSim.ok && collectSim.error) lines.push(`- collect simulation error: ${collectSim.error}`);
 
-  if (gasPriceWei != null) {
-    lines.push(`- gas price: ${formatUnits(gasPriceWei, 9, { precision: 3 })} gwei`);
-    lines.push(`- total gas est (available steps): ${totalGas.toString()}`);
-    lines.push(`- est total fee: ${formatUnits(estFeeWei, 18, { precision: 8 })} HYPE`);
+  lines.push(`- execution gate: ${blockers.length ? "BLOCKED" : "PASS"}`);
+  if (blockers.length) {
+    lines.push("- blockers:");
+    for (const blocker of blockers) lines.push(`  - ${blocker}`);
+    lines.push("- send decision: DO NOT SEND until all blockers clear.");
   } else {
-    lines.push("- gas price: unavailable");
+    lines.push("- send decision: SAFE_TO_SEND the collect step; later steps are planned fresh after it is mined.");
   }
 
-  lines.push("- execution:");
-  lines.push("  - sign tx outside this skill (wallet/custody)");
-  lines.push("  - then broadcast signed payload: krlp broadcast-raw <0xSignedTx> --yes SEND");
-  lines.push(`  - signer address MUST equal from=${owner}; mismatch commonly reverts with STF`);
-  lines.push("  - after each approve tx is mined, run: krlp tx-verify <approveTxHash> (amount/allowance must be non-zero)");
-  lines.push("  - if mint tx fails, run: krlp tx-verify <mintTxHash> <expectedOwner|label> (includes signer/race forensics)");
-  lines.push("  - stale calldata fails fast: if sent after deadline, contracts revert with 'Transaction too old' (often shown as silent revert)");
-  if (autoStakeAfterMint) {
-    lines.push("  - default post-mint policy: **FORCED AUTO-STAKE** immediately after mint (no extra confirmation prompt)");
-    lines.push("  - after mint tx is mined and tokenId is known, run in order:");
-    lines.push("    1. krlp farm-status <newTokenId>");
-    lines.push("    2. krlp farm-approve-plan <newTokenId>");
-    lines.push("    3. krlp farm-enter-plan <newTokenId> --auto-key");
-    lines.push("    4. krlp farm-collect-plan <newTokenId> --auto-key");
-    lines.push("    5. krlp farm-claim-plan <rewardToken> --amount max");
+  const compoundCmd = renderCommand([
+    "krlp compound-plan",
+    tokenId.toString(),
+    owner,
+    policyRef ? `--policy ${policyLoaded.key}` : "",
+    slippageBps != null ? `--slippage-bps ${effSlipBps}` : "",
+    deadlineSeconds != null ? `--deadline-seconds ${effDeadlineSec}` : "",
+    swapDisabled ? "--no-swap" : "",
+    parseBoolFlag(approveMax) ? "--approve-max" : "",
+  ]);
+  const swapCmd = swapLeg?.ok
+    ? renderCommand([
+      "krlp swap-plan",
+      swapTokenIn.address,
+      swapTokenOut.address,
+      `--amount-in ${formatUnits(swapSize.amountIn, swapTokenIn.decimals, { precision: 8 })}`,
+      owner,
+      swapLeg.via.length ? `--via ${swapLeg.via.join(",")}` : "",
+      deployer !== ZERO_ADDRESS ? `--deployer ${deployer}` : "",
+      policyRef ? `--policy ${policyLoaded.key}` : "",
+      slippageBps != null ? `--slippage-bps ${effSlipBps}` : "",
+      parseBoolFlag(approveMax) ? "--approve-max" : "",
+    ])
+    : null;
+  const increaseCmd = renderCommand([
+    "krlp increase-plan",
+    tokenId.toString(),
+    owner,
+    `--amount0 ${formatUnits(increase0, token0.decimals, { precision: 8 })}`,
+    `--amount1 ${formatUnits(increase1, token1.decimals, { precision: 8 })}`,
+    policyRef ? `--policy ${policyLoaded.key}` : "",
+    slippageBps != null ? `--slippage-bps ${effSlipBps}` : "",
+    deadlineSeconds != null ? `--deadline-seconds ${effDeadlineSec}` : "",
+    parseBoolFlag(approveMax) ? "--approve-max" : "",
+  ]);
+  lines.push("- canonical command sequence:");
+  let stepNo = 1;
+  lines.push(`  ${stepNo}. krlp farm-status ${tokenId.toString()} ${owner}`);
+  stepNo += 1;
+  if (stakedInfo.staked === true) {
+    lines.push(`  ${stepNo}. krlp farm-exit-plan ${tokenId.toString()} ${owner} --auto-key`);
+    stepNo += 1;
+    lines.push(`  ${stepNo}. send farm-exit tx, then verify: krlp tx-verify <farmExitTxHash>`);
+    stepNo += 1;
+    lines.push(`  ${stepNo}. re-run compound plan: ${compoundCmd}`);
+    stepNo += 1;
+  } else if (stakedInfo.staked == null) {
+    lines.push(`  ${stepNo}. re-run until staked status is known: ${compoundCmd}`);
+    stepNo += 1;
   }
-  if (noAutoStakeRequested) {
-    lines.push("  - policy override requested: --no-auto-stake was provided, but auto-stake is FORCE-ENABLED and cannot be bypassed.");
-    lines.push("  - this is intentionally enforced for all position entrances.");
+  lines.push(`  ${stepNo}. send collect_fees template below, then verify: krlp tx-verify <collectTxHash>`);
+  stepNo += 1;
+  if (swapCmd) {
+    lines.push(`  ${stepNo}. ${swapCmd}`);
+    stepNo += 1;
+    lines.push(`  ${stepNo}. send swap tx(s) once swap-plan gate is PASS, then verify: krlp swap-verify <swapTxHash>`);
+    stepNo += 1;
   }
-  if (!directMintCall.ok && (needsApproval0 || needsApproval1)) {
-    lines.push("- simulation hint:");
-    lines.push("  - mint simulation can revert until position-manager approvals are mined.");
-    lines.push("  - sign and send approval tx(s) first, then re-run mint-plan.");
+  lines.push(`  ${stepNo}. ${increaseCmd}`);
+  stepNo += 1;
+  lines.push(`  ${stepNo}. send increase-plan templates once its execution gate is PASS, then verify: krlp tx-verify <increaseTxHash>`);
+  stepNo += 1;
+  if (stakedInfo.staked === true) {
+    lines.push(`  ${stepNo}. krlp farm-approve-plan ${tokenId.toString()} ${owner} (only if approval is missing)`);
+    stepNo += 1;
+    lines.push(`  ${stepNo}. krlp farm-enter-plan ${tokenId.toString()} ${owner} --auto-key`);
   }
+
+  lines.push("- transaction template (full calldata):");
+  lines.push("  - step 1: collect_fees");
+  lines.push(`    - to: ${KITTENSWAP_CONTRACTS.positionManager}`);
+  lines.push(`    - value: ${toHexQuantity(0n)} (0 HYPE)`);
+  lines.push(`    - data: ${collectData}`);
+  lines.push(`    - decode guard: ${collectDecode?.ok ? "PASS (collect selector + 4 words)" : `FAIL (${collectDecode?.error || "selector mismatch"})`}`);
+  if (collectGas.ok) lines.push(`    - gas est: ${collectGas.gas.toString()} (${collectGas.gasHex})`);
+  else lines.push(`    - gas est: unavailable (${collectGas.error})`);
+  if (gasPriceHex) lines.push(`- gas price: ${formatUnits(BigInt(gasPriceHex), 9, { precision: 3 })} gwei`);
+  else lines.push("- gas price: unavailable");
+
   lines.push("- safety:");
   lines.push("  - output uses full addresses and full calldata; do not truncate or reconstruct");
   lines.push("  - this command is dry-run only and does not sign/broadcast");
-  lines.push("  - LP mint approvals must target position manager (not swap router)");
-  lines.push("  - ticks must be aligned to pool tick spacing to avoid reverts");
+  lines.push("  - only collect_fees is signable from this plan; swap and increase calldata come from fresh swap-plan/increase-plan runs after collect is mined");
+  lines.push("  - increase amounts assume the swap fills at its minimum out; any extra output stays in the wallet");
   return lines.join("\n");
 }
 
@@ -5677,6 +7845,11 @@ async function cmdPlan({
   amount1Decimal,
   allowBurn,
   noAutoCompound,
+  quorumRef = "",
+  widthModeRef = "",
+  volLookbackBlocksRef = "",
+  horizonHoursRef = "",
+  inRangePctRef = "",
 }) {
   const tokenId = parseTokenId(tokenIdRaw);
   const owner = await resolveAddressInput(ownerRef || "", { allowDefault: true });
@@ -5687,19 +7860,33 @@ async function cmdPlan({
   const effSlipBps = parseBps(slippageBps, policyLoaded.policy.slippageBps, { min: 0, max: 10_000 });
   const effDeadlineSec = parseSeconds(deadlineSeconds, policyLoaded.policy.deadlineSeconds, { min: 1, max: 86_400 });
 
-  const ctx = await loadPositionContext(tokenId, { ownerAddress: owner });
+  const { ctx, quorumCheck } = await loadPositionContextWithQuorum(tokenId, { ownerAddress: owner, quorum: parseQuorum(quorumRef) });
+  // with --quorum, gas estimates and replays run at the block the position was read at
+  const simBlockTag = quorumCheck?.blockTag || "latest";
   const evald = evaluateRebalanceNeed({
     currentTick: ctx.poolState.tick,
     tickLower: ctx.position.tickLower,
     tickUpper: ctx.position.tickUpper,
     edgeBps: effEdgeBps,
   });
+  if (parseWidthMode(widthModeRef) === "volatility" && widthBumpTicks != null && String(widthBumpTicks).trim() !== "") {
+    throw new Error("--width-mode volatility sizes the new range itself; drop --width-bump-ticks");
+  }
+  const volWidth = await resolveVolatilityWidth({
+    pool: ctx.poolAddress,
+    spacing: Math.max(1, Math.abs(Number(ctx.tickSpacing || 1))),
+    widthModeRef,
+    volLookbackBlocksRef,
+    horizonHoursRef,
+    inRangePctRef,
+  });
   const widthPolicy = computeCenteredRangeWithWidthBump({
     currentTick: ctx.poolState.tick,
     tickLower: ctx.position.tickLower,
     tickUpper: ctx.position.tickUpper,
     tickSpacing: ctx.tickSpacing,
     widthBumpTicks: parseNonNegativeIntegerOrDefault(widthBumpTicks, 0, "width-bump-ticks"),
+    widthTicks: volWidth?.widthTicks ?? null,
   });
   const rec = widthPolicy.rec;
 
@@ -5817,7 +8004,7 @@ async function cmdPlan({
 
   const [gasPriceHex, gasEstimates] = await Promise.all([
     withRpcRetry(() => rpcGasPrice()).catch(() => null),
-    Promise.all(calls.map((c) => estimateCallGas({ from: owner, to: c.to, data: c.data, value: c.value }))),
+    Promise.all(calls.map((c) => estimateCallGas({ from: owner, to: c.to, data: c.data, value: c.value }, { blockTag: simBlockTag }))),
   ]);
   const coreExitCalls = [
     { step: "collect_before", to: KITTENSWAP_CONTRACTS.positionManager, data: collectBeforeData, value: 0n },
@@ -5833,7 +8020,7 @@ async function cmdPlan({
       toAddress: c.to,
       data: c.data,
       value: c.value,
-      blockTag: "latest",
+      blockTag: simBlockTag,
     }))
   );
   const coreExitSimByStep = new Map(coreExitCalls.map((c, i) => [c.step, coreExitSimResults[i]]));
@@ -5841,7 +8028,7 @@ async function cmdPlan({
     ? await simulateMintCall({
       fromAddress: owner,
       mintData,
-      blockTag: "latest",
+      blockTag: simBlockTag,
     })
     : null;
 
@@ -5965,7 +8152,6 @@ async function cmdPlan({
         tokenId,
         autoKey: true,
         matchDepositIncentive: true,
-        ownerAddress: owner,
         farmingCenterAddress: KITTENSWAP_CONTRACTS.farmingCenter,
         eternalFarmingAddress: KITTENSWAP_CONTRACTS.eternalFarming,
       });
@@ -6007,7 +8193,7 @@ async function cmdPlan({
         to: c.to,
         data: c.data,
         value: c.value,
-      })));
+      }, { blockTag: simBlockTag })));
       for (let i = 0; i < unwindCalls.length; i++) {
         lifecycleFarmUnwindRows.push({ ...unwindCalls[i], gas: unwindGas[i] });
       }
@@ -6049,7 +8235,7 @@ async function cmdPlan({
         to: c.to,
         data: c.data,
         value: c.value,
-      })));
+      }, { blockTag: simBlockTag })));
       for (let i = 0; i < restakeCalls.length; i++) {
         lifecycleRestakeRows.push({ ...restakeCalls[i], gas: restakeGas[i] });
       }
@@ -6084,7 +8270,12 @@ async function cmdPlan({
   lines.push(`- pool: ${ctx.poolAddress}`);
   lines.push(`- current ticks: [${ctx.position.tickLower}, ${ctx.position.tickUpper}] | current ${ctx.poolState.tick}`);
   lines.push(`- suggested ticks: [${rec.tickLower}, ${rec.tickUpper}]`);
-  lines.push(`- width policy: base=${widthPolicy.baseWidth} ticks, bump=+${widthPolicy.bumpRequested} requested (+${widthPolicy.bumpApplied} applied), target=${widthPolicy.targetWidth} ticks`);
+  if (volWidth) {
+    lines.push(`- width policy: base=${widthPolicy.baseWidth} ticks, volatility target=${widthPolicy.targetWidth} ticks`);
+    lines.push(...volatilityWidthLines(volWidth));
+  } else {
+    lines.push(`- width policy: base=${widthPolicy.baseWidth} ticks, bump=+${widthPolicy.bumpRequested} requested (+${widthPolicy.bumpApplied} applied), target=${widthPolicy.targetWidth} ticks`);
+  }
   const rebalanceNearestEdgeTicks = nearestRangeEdgeTicks(ctx.poolState.tick, rec.tickLower, rec.tickUpper);
   if (rebalanceNearestEdgeTicks != null) {
     lines.push(`- suggested range edge distance now: ${rebalanceNearestEdgeTicks} ticks`);
@@ -6185,6 +8376,11 @@ async function cmdPlan({
       }
     }
   }
+  if (quorumCheck) {
+    lines.push(`- read quorum: ${quorumCheckLabel(quorumCheck)}`);
+    lines.push(`- simulation block: ${quorumCheck.blockTag ? `${BigInt(quorumCheck.blockTag).toString()} (quorum block; gas estimates and replays pinned)` : "latest (no quorum block)"}`);
+    if (!quorumCheck.ok) planBlockers.push(`read quorum failed (${quorumCheck.reason}); re-run once providers agree.`);
+  }
   lines.push(`- old-position execution gate: ${planBlockers.length ? "BLOCKED" : "PASS"}`);
   if (planBlockers.length) {
     lines.push("- old-position blockers:");
@@ -6371,12 +8567,49 @@ async function cmdPlan({
   return lines.join("\n");
 }
 
+// Liquidity a withdraw removes: all of it by default, or a --percent / --liquidity slice.
+function resolveWithdrawLiquidity({ positionLiquidity, percentRef = null, liquidityRef = null }) {
+  if (percentRef != null && liquidityRef != null) {
+    throw new Error("Use either --percent or --liquidity, not both.");
+  }
+  let liquidity = positionLiquidity;
+  if (percentRef != null) {
+    let hundredthsPct = null;
+    try {
+      hundredthsPct = parseDecimalToUnits(String(percentRef), 2);
+    } catch {
+      hundredthsPct = null;
+    }
+    if (hundredthsPct == null || hundredthsPct <= 0n || hundredthsPct > 10_000n) {
+      throw new Error(`Invalid --percent: ${percentRef} (expected >0 and <=100, at most 2 decimals)`);
+    }
+    liquidity = (positionLiquidity * hundredthsPct) / 10_000n;
+  } else if (liquidityRef != null) {
+    if (!/^\d+$/.test(String(liquidityRef).trim())) {
+      throw new Error(`Invalid --liquidity: ${liquidityRef} (expected a raw integer)`);
+    }
+    liquidity = BigInt(String(liquidityRef).trim());
+    if (liquidity <= 0n) throw new Error("--liquidity must be > 0");
+    if (liquidity > positionLiquidity) {
+      throw new Error(`--liquidity ${liquidity.toString()} exceeds position liquidity ${positionLiquidity.toString()}`);
+    }
+  }
+  if (positionLiquidity > 0n && liquidity === 0n) {
+    throw new Error(`--percent ${percentRef} rounds to zero liquidity for position liquidity ${positionLiquidity.toString()}`);
+  }
+  return liquidity;
+}
+
 async function cmdWithdrawPlan({
   tokenIdRaw,
   ownerRef = "",
   recipientRef = "",
   deadlineSeconds = null,
   allowBurn = false,
+  percentRef = null,
+  liquidityRef = null,
+  policyRef = "",
+  slippageBps,
 }) {
   const tokenId = parseTokenId(tokenIdRaw);
   let owner = null;
@@ -6393,16 +8626,28 @@ async function cmdWithdrawPlan({
   }
   const recipient = recipientRef ? await resolveAddressInput(recipientRef, { allowDefault: false }) : owner;
   const effDeadlineSec = parseSeconds(deadlineSeconds, 900, { min: 60, max: 86_400 });
-  const includeBurnStep = parseBoolFlag(allowBurn);
+  const policyLoaded = await getPolicy(policyRef || "");
+  const effSlipBps = parseBps(slippageBps, policyLoaded.policy.slippageBps, { min: 0, max: 10_000 });
+  const burnRequested = parseBoolFlag(allowBurn);
 
   const ctx = await loadPositionContext(tokenId, { ownerAddress: owner });
   const stakedInfo = await classifyStakedStatus(tokenId);
+  const removeLiquidity = resolveWithdrawLiquidity({
+    positionLiquidity: ctx.position.liquidity,
+    percentRef,
+    liquidityRef,
+  });
+  const partialExit = removeLiquidity < ctx.position.liquidity;
+  // Burning needs zero liquidity left, so a partial exit never carries the burn step.
+  const includeBurnStep = burnRequested && !partialExit;
   const removalCheck = await analyzeCanonicalRemovalPath({
     tokenId,
     ctx,
     senderAddress: owner,
     recipientAddress: recipient,
     deadlineSeconds: effDeadlineSec,
+    liquidity: removeLiquidity,
+    slippageBps: effSlipBps,
   });
 
   const collectAfterData = buildCollectCalldata({
@@ -6430,6 +8675,9 @@ async function cmdWithdrawPlan({
   if (includeBurnStep && !burnDecode?.ok) {
     blockers.push("burn calldata decode guard failed.");
   }
+  if (burnRequested && partialExit) {
+    blockers.push(`--allow-burn needs a full exit; ${(ctx.position.liquidity - removeLiquidity).toString()} liquidity would remain. Drop --allow-burn or withdraw 100%.`);
+  }
 
   const calls = [
     { step: "collect_before", to: KITTENSWAP_CONTRACTS.positionManager, data: removalCheck.collectData, value: 0n },
@@ -6461,10 +8709,10 @@ async function cmdWithdrawPlan({
         amount1Max: maxUint128(),
         positionManager: KITTENSWAP_CONTRACTS.positionManager,
       })),
-      ctx.position.liquidity > 0n
+      removeLiquidity > 0n
         ? withRpcRetry(() => simulateDecreaseLiquidity({
           tokenId,
-          liquidity: ctx.position.liquidity,
+          liquidity: removeLiquidity,
           amount0Min: 0n,
           amount1Min: 0n,
           deadline: removalCheck.deadline,
@@ -6503,7 +8751,11 @@ async function cmdWithdrawPlan({
 
   const lines = [];
   lines.push(`Kittenswap LP withdraw plan (${tokenId.toString()})`);
-  lines.push("- mode: EXIT_ONLY (withdraw principal + fees; no remint / no restake)");
+  if (partialExit) {
+    lines.push(`- mode: PARTIAL_EXIT (withdraw ${(Number((removeLiquidity * 10_000n + ctx.position.liquidity / 2n) / ctx.position.liquidity) / 100).toFixed(2)}% of principal + all fees; remaining liquidity stays in range; no remint)`);
+  } else {
+    lines.push("- mode: EXIT_ONLY (withdraw principal + fees; no remint / no restake)");
+  }
   lines.push(`- from (tx sender): ${owner}`);
   lines.push(`- recipient: ${recipient}`);
   lines.push(`- nft owner: ${ctx.nftOwner}${ctx.nftOwner === owner ? "" : " [DIFFERS FROM from]"}`);
@@ -6511,9 +8763,16 @@ async function cmdWithdrawPlan({
   lines.push(`- pool: ${ctx.poolAddress}`);
   lines.push(`- ticks: [${ctx.position.tickLower}, ${ctx.position.tickUpper}] | current ${ctx.poolState.tick}`);
   lines.push(`- liquidity: ${ctx.position.liquidity.toString()}`);
+  lines.push(`- liquidity to remove: ${removeLiquidity.toString()}`);
+  lines.push(`- liquidity remaining after withdraw: ${(ctx.position.liquidity - removeLiquidity).toString()}`);
+  lines.push(`- policy: ${policyLoaded.key} (slippage=${effSlipBps}bps, deadline=${effDeadlineSec}s)`);
+  if (removalCheck.expectedOut) {
+    lines.push(`- decrease expected principal (${removalCheck.expectedOutSource}): ${formatUnits(removalCheck.expectedOut.amount0, ctx.token0.decimals, { precision: 8 })} ${ctx.token0.symbol} + ${formatUnits(removalCheck.expectedOut.amount1, ctx.token1.decimals, { precision: 8 })} ${ctx.token1.symbol}`);
+  }
+  lines.push(`- decrease minimum amounts (slippage guard): ${formatUnits(removalCheck.amount0Min, ctx.token0.decimals, { precision: 8 })} ${ctx.token0.symbol} + ${formatUnits(removalCheck.amount1Min, ctx.token1.decimals, { precision: 8 })} ${ctx.token1.symbol}`);
   lines.push(`- deadline unix: ${removalCheck.deadline.toString()}`);
   lines.push(`- deadline utc: ${new Date(Number(removalCheck.deadline) * 1000).toISOString()}`);
-  lines.push(`- burn old nft step included: ${includeBurnStep ? "YES (--allow-burn)" : "NO (default safety)"}`);
+  lines.push(`- burn old nft step included: ${includeBurnStep ? "YES (--allow-burn)" : burnRequested ? "NO (partial exit keeps the NFT)" : "NO (default safety)"}`);
   lines.push(`- direct collect sim: ${renderReplayCheckLabel(removalCheck.collectSim)}`);
   lines.push(`- direct decrease sim: ${renderReplayCheckLabel(removalCheck.decreaseSim)}`);
   lines.push("- action totals (estimated at current state):");
@@ -6523,8 +8782,8 @@ async function cmdWithdrawPlan({
   lines.push(`  - expected net after gas (${stableSymbol}): ${expectedNetStable == null ? "n/a" : fmtNum(expectedNetStable, { dp: 6 })}`);
 
   if (decreaseDecode?.ok) {
-    const liqMatch = decreaseDecode.decoded.liquidity === ctx.position.liquidity;
-    lines.push(`- decrease liquidity match: ${liqMatch ? "PASS" : "FAIL"} (call=${decreaseDecode.decoded.liquidity.toString()} onchain=${ctx.position.liquidity.toString()})`);
+    const liqMatch = decreaseDecode.decoded.liquidity === removeLiquidity;
+    lines.push(`- decrease liquidity match: ${liqMatch ? "PASS" : "FAIL"} (call=${decreaseDecode.decoded.liquidity.toString()} requested=${removeLiquidity.toString()} onchain=${ctx.position.liquidity.toString()})`);
   } else if (decreaseDecode) {
     lines.push(`- decrease decode guard: FAIL (${decreaseDecode.error})`);
   } else {
@@ -6549,10 +8808,14 @@ async function cmdWithdrawPlan({
     stepNo += 1;
     lines.push(`  ${stepNo}. send farm-exit tx, then verify: krlp tx-verify <farmExitTxHash>`);
     stepNo += 1;
-    lines.push(`  ${stepNo}. re-run withdraw plan: krlp withdraw ${tokenId.toString()} ${owner}${recipient !== owner ? ` --recipient ${recipient}` : ""}${includeBurnStep ? " --allow-burn" : ""}`);
+    lines.push(`  ${stepNo}. re-run withdraw plan: krlp withdraw ${tokenId.toString()} ${owner}${recipient !== owner ? ` --recipient ${recipient}` : ""}${percentRef != null ? ` --percent ${percentRef}` : ""}${liquidityRef != null ? ` --liquidity ${liquidityRef}` : ""}${includeBurnStep ? " --allow-burn" : ""}`);
     stepNo += 1;
     lines.push(`  ${stepNo}. once execution gate is PASS, send templates below in order (collect -> decrease -> collect${includeBurnStep ? " -> burn" : ""}).`);
     stepNo += 1;
+    if (partialExit) {
+      lines.push(`  ${stepNo}. re-stake the remaining liquidity: krlp farm-enter-plan ${tokenId.toString()} ${owner} --auto-key`);
+      stepNo += 1;
+    }
   } else if (stakedInfo.staked == null) {
     lines.push(`  ${stepNo}. re-run until staked status is known: krlp farm-status ${tokenId.toString()} ${owner}`);
     stepNo += 1;
@@ -6601,10 +8864,11 @@ async function cmdWithdrawPlan({
       if (!removalCheck.collectSim.ok && removalCheck.collectSim.error) lines.push(`    - simulation error: ${removalCheck.collectSim.error}`);
     } else if (c.step === "decrease_liquidity") {
       if (decreaseDecode?.ok) {
-        const liqMatch = decreaseDecode.decoded.liquidity === ctx.position.liquidity;
+        const liqMatch = decreaseDecode.decoded.liquidity === removeLiquidity;
         lines.push("    - decode guard: PASS (decreaseLiquidity selector + 5 words)");
         lines.push(`    - decoded liquidity raw: ${decreaseDecode.decoded.liquidity.toString()}`);
-        lines.push(`    - on-chain liquidity raw: ${ctx.position.liquidity.toString()} (${liqMatch ? "MATCH" : "MISMATCH"})`);
+        lines.push(`    - requested liquidity raw: ${removeLiquidity.toString()} of on-chain ${ctx.position.liquidity.toString()} (${liqMatch ? "MATCH" : "MISMATCH"})`);
+        lines.push(`    - decoded amount mins raw: amount0Min=${decreaseDecode.decoded.amount0Min.toString()} amount1Min=${decreaseDecode.decoded.amount1Min.toString()}`);
       } else if (decreaseDecode) {
         lines.push(`    - decode guard: FAIL (${decreaseDecode.error})`);
       } else {
@@ -6655,6 +8919,149 @@ async function cmdWithdrawPlan({
   return lines.join("\n");
 }
 
+// Target/selector pairs the plan commands emit. ERC20 approve is the only call
+// accepted on a non-Kittenswap target, and only toward a Kittenswap spender.
+const broadcastCalls = (...names) => Object.fromEntries(names.map((name) => [SELECTOR[name], name]));
+
+const BROADCAST_KNOWN_CALLS = Object.freeze({
+  router: broadcastCalls("exactInputSingle", "exactInput", "exactOutputSingle", "exactOutput", "multicall"),
+  positionManager: broadcastCalls(
+    "collect",
+    "decreaseLiquidity",
+    "increaseLiquidity",
+    "burn",
+    "mint",
+    "multicall",
+    "approveForFarming",
+    "setApprovalForAll",
+    "approve",
+  ),
+  farmingCenter: broadcastCalls("enterFarming", "exitFarming", "collectRewards", "claimReward"),
+});
+
+function kittenswapContractName(address) {
+  return Object.keys(KITTENSWAP_CONTRACTS).find((name) => KITTENSWAP_CONTRACTS[name] === address) || null;
+}
+
+function classifyBroadcastCall(to, data) {
+  const selector = String(data || "0x").slice(0, 10).toLowerCase();
+  const contractName = kittenswapContractName(to);
+  if (contractName) {
+    const known = BROADCAST_KNOWN_CALLS[contractName] || {};
+    const method = known[selector] || null;
+    if (!method) return { selector, contractName, method: null, error: `selector ${selector} is not a known ${contractName} call` };
+    if (method !== "multicall") return { selector, contractName, method, error: null };
+    const multi = decodeMulticallInput(data);
+    const nested = multi?.ok ? multi.selectors.map((sel) => known[sel] || null) : [];
+    if (!multi?.ok || !nested.length || nested.some((name) => !name || name === "multicall")) {
+      return { selector, contractName, method, error: `multicall wraps a call that is not a known ${contractName} call` };
+    }
+    return { selector, contractName, method: `multicall(${nested.join(", ")})`, error: null };
+  }
+  if (selector === SELECTOR.approve) {
+    const dec = decodeApproveInput(data);
+    const spenderName = dec ? kittenswapContractName(dec.spender) : null;
+    if (spenderName) return { selector, contractName: "erc20", method: `approve (spender ${spenderName})`, error: null };
+    return { selector, contractName: "erc20", method: "approve", error: "ERC20 approve spender is not a Kittenswap contract" };
+  }
+  return { selector, contractName: null, method: null, error: `target ${to} is not a Kittenswap contract and ${selector} is not an ERC20 approve` };
+}
+
+// Same decoders tx-verify uses, applied to unsent calldata. Returns an error
+// when a known selector carries calldata its decoder rejects.
+function describeBroadcastCalldata(data) {
+  const selector = String(data || "0x").slice(0, 10).toLowerCase();
+  const lines = [];
+  const swap = decodeSwapLikeInput(data);
+  if (swap) {
+    lines.push(`  - method: ${swap.swapMethod}${swap.wrapper === "multicall" ? ` (multicall call #${swap.callIndex + 1})` : ""}`);
+    lines.push(`  - tokenIn: ${swap.tokenIn}`);
+    lines.push(`  - tokenOut: ${swap.tokenOut}`);
+    if (Array.isArray(swap.pathTokens)) lines.push(`  - path tokens: ${swap.pathTokens.join(" -> ")} (${swap.hops} hops)`);
+    else lines.push(`  - deployer: ${swap.deployer}`);
+    lines.push(`  - recipient: ${swap.recipient}`);
+    lines.push(`  - ${swap.exactOut ? "amountInMaximum" : "amountIn"} raw: ${swap.amountIn == null ? "n/a" : swap.amountIn.toString()}`);
+    lines.push(`  - ${swap.exactOut ? "amountOut" : "amountOutMinimum"} raw: ${swap.amountOutMinimum == null ? "n/a" : swap.amountOutMinimum.toString()}`);
+    lines.push(`  - deadline: ${swap.deadline == null ? "n/a" : swap.deadline.toString()}`);
+    const malformed = /_noncanonical$|^partial_malformed$/.test(String(swap.decodeShape || ""));
+    return { lines, error: malformed ? `${swap.swapMethod} calldata is not canonical (${swap.decodeShape})` : null };
+  }
+  const mint = decodeMintLikeInput(data);
+  if (mint?.mint) {
+    const m = mint.mint;
+    lines.push(`  - method: mint${mint.wrapper === "multicall" ? ` (multicall call #${mint.callIndex + 1})` : ""}`);
+    lines.push(`  - token0/token1: ${m.token0} / ${m.token1}`);
+    lines.push(`  - deployer: ${m.deployer}`);
+    lines.push(`  - ticks: [${m.tickLower}, ${m.tickUpper}]`);
+    lines.push(`  - amountDesired raw: ${m.amount0Desired.toString()} / ${m.amount1Desired.toString()}`);
+    lines.push(`  - amountMin raw: ${m.amount0Min.toString()} / ${m.amount1Min.toString()}`);
+    lines.push(`  - recipient: ${m.recipient}`);
+    lines.push(`  - deadline: ${m.deadline.toString()}`);
+    return { lines, error: null };
+  }
+  if (selector === SELECTOR.collect || selector === SELECTOR.decreaseLiquidity || selector === SELECTOR.burn) {
+    const decFull = selector === SELECTOR.collect
+      ? decodePositionCollectInputDetailed(data)
+      : selector === SELECTOR.decreaseLiquidity
+        ? decodePositionDecreaseLiquidityInputDetailed(data)
+        : decodePositionBurnInputDetailed(data);
+    if (!decFull?.ok) return { lines, error: `position-manager calldata malformed (${decFull?.error || "decode failed"})` };
+    const dec = decFull.decoded;
+    lines.push(`  - tokenId: ${dec.tokenId.toString()}`);
+    if (selector === SELECTOR.collect) {
+      lines.push(`  - recipient: ${dec.recipient}`);
+      lines.push(`  - amount0Max/amount1Max: ${dec.amount0Max.toString()} / ${dec.amount1Max.toString()}`);
+    } else if (selector === SELECTOR.decreaseLiquidity) {
+      lines.push(`  - liquidity: ${dec.liquidity.toString()}`);
+      lines.push(`  - amount0Min/amount1Min: ${dec.amount0Min.toString()} / ${dec.amount1Min.toString()}`);
+      lines.push(`  - deadline: ${dec.deadline.toString()}`);
+    }
+    return { lines, error: null };
+  }
+  if (selector === SELECTOR.increaseLiquidity) {
+    const decFull = decodePositionIncreaseLiquidityInputDetailed(data);
+    if (!decFull?.ok) return { lines, error: `increaseLiquidity calldata malformed (${decFull?.error || "decode failed"})` };
+    const dec = decFull.decoded;
+    lines.push(`  - tokenId: ${dec.tokenId.toString()}`);
+    lines.push(`  - amountDesired raw: ${dec.amount0Desired.toString()} / ${dec.amount1Desired.toString()}`);
+    lines.push(`  - amountMin raw: ${dec.amount0Min.toString()} / ${dec.amount1Min.toString()}`);
+    lines.push(`  - deadline: ${dec.deadline.toString()}`);
+    return { lines, error: null };
+  }
+  if (selector === SELECTOR.approve) {
+    const dec = decodeApproveInput(data);
+    if (!dec) return { lines, error: "approve calldata malformed" };
+    lines.push(`  - spender: ${dec.spender}`);
+    lines.push(`  - amount raw: ${dec.amount.toString()}`);
+    return { lines, error: null };
+  }
+  if (selector === SELECTOR.approveForFarming) {
+    const decFull = decodeApproveForFarmingInputDetailed(data);
+    if (!decFull?.ok) return { lines, error: `approveForFarming calldata malformed (${decFull?.error || "decode failed"})` };
+    lines.push(`  - tokenId: ${decFull.decoded.tokenId.toString()}`);
+    lines.push(`  - approve: ${decFull.decoded.approve ? "true" : "false"}`);
+    lines.push(`  - farmingAddress: ${decFull.decoded.farmingAddress}`);
+    return { lines, error: null };
+  }
+  if (selector === SELECTOR.enterFarming || selector === SELECTOR.exitFarming || selector === SELECTOR.collectRewards) {
+    const dec = decodeFarmingActionInput(data, selector);
+    if (!dec) return { lines, error: "farming calldata malformed" };
+    lines.push(`  - tokenId: ${dec.tokenId.toString()}`);
+    lines.push(`  - incentive key: reward=${dec.rewardToken}, bonus=${dec.bonusRewardToken}, pool=${dec.pool}, nonce=${dec.nonce.toString()}`);
+    return { lines, error: null };
+  }
+  if (selector === SELECTOR.claimReward) {
+    const dec = decodeFarmingClaimInput(data);
+    if (!dec) return { lines, error: "claimReward calldata malformed" };
+    lines.push(`  - rewardToken: ${dec.rewardToken}`);
+    lines.push(`  - to: ${dec.to}`);
+    lines.push(`  - amountRequested raw: ${dec.amountRequested.toString()}`);
+    return { lines, error: null };
+  }
+  lines.push("  - no decoder for this selector");
+  return { lines, error: null };
+}
+
 async function cmdBroadcastRaw({ signedTx, yesToken, wait = true }) {
   const raw = String(signedTx || "").trim();
   if (!raw) throw new Error("Usage: krlp broadcast-raw <0xSignedTx> --yes SEND [--no-wait]");
@@ -6662,9 +9069,115 @@ async function cmdBroadcastRaw({ signedTx, yesToken, wait = true }) {
     throw new Error('Broadcast blocked. Re-run with explicit confirmation: --yes SEND');
   }
 
-  const txHash = await rpcSendRawTransaction(raw, { rpcUrl: DEFAULT_RPC_URL });
+  let decoded;
+  try {
+    decoded = decodeSignedTransaction(raw);
+  } catch (e) {
+    throw new Error(`Broadcast blocked: signed tx does not decode (${e.message}).`);
+  }
+  if (decoded.chainId == null || decoded.to == null) {
+    throw new Error("Broadcast blocked: pre-EIP-155 and contract-creation txs never come from plan output.");
+  }
+
+  const call = classifyBroadcastCall(decoded.to, decoded.data);
+  const calldata = describeBroadcastCalldata(decoded.data);
+  const fingerprint = txFingerprint(decoded);
+  const [{ entry, expired }, rpcChain, latestNonceHex, pendingNonceHex, replay] = await Promise.all([
+    findPlanFingerprint(fingerprint, { sender: decoded.from }),
+    withRpcRetry(() => rpcChainId()).catch(() => null),
+    withRpcRetry(() => rpcCall("eth_getTransactionCount", [decoded.from, "latest"])).catch(() => null),
+    withRpcRetry(() => rpcCall("eth_getTransactionCount", [decoded.from, "pending"])).catch(() => null),
+    replayEthCall({ fromAddress: decoded.from, toAddress: decoded.to, data: decoded.data, value: decoded.value, blockTag: "latest" }),
+  ]);
+  const latestNonce = latestNonceHex == null ? null : hexToBigIntSafe(latestNonceHex, null);
+  const pendingNonce = pendingNonceHex == null ? null : hexToBigIntSafe(pendingNonceHex, null);
+  const feeCapWei = decoded.type === TX_TYPE_LEGACY ? decoded.gasPrice : decoded.maxFeePerGas;
+
   const lines = [];
   lines.push("HyperEVM raw broadcast");
+  lines.push(`- from (recovered signer): ${decoded.from}`);
+  lines.push("- decoded signed tx:");
+  lines.push(`  - type: ${decoded.type}`);
+  lines.push(`  - chain id: ${decoded.chainId.toString()}`);
+  lines.push(`  - nonce: ${decoded.nonce.toString()}`);
+  lines.push(`  - to: ${decoded.to}${call.contractName ? ` (${call.contractName})` : ""}`);
+  lines.push(`  - value: ${toHexQuantity(decoded.value)} (${formatUnits(decoded.value, 18, { precision: 8 })} HYPE)`);
+  lines.push(`  - gas limit: ${decoded.gasLimit.toString()}`);
+  if (decoded.type === TX_TYPE_LEGACY) {
+    lines.push(`  - gas price: ${formatUnits(decoded.gasPrice, 9, { precision: 6 })} gwei`);
+  } else {
+    lines.push(`  - max fee per gas: ${formatUnits(decoded.maxFeePerGas, 9, { precision: 6 })} gwei`);
+    lines.push(`  - max priority fee per gas: ${formatUnits(decoded.maxPriorityFeePerGas, 9, { precision: 6 })} gwei`);
+  }
+  lines.push(`  - max tx cost: ${formatUnits(decoded.gasLimit * feeCapWei + decoded.value, 18, { precision: 8 })} HYPE`);
+  lines.push(`  - selector: ${call.selector}${call.method ? ` ${call.method}` : ""}`);
+  lines.push(`  - data: ${decoded.data}`);
+  lines.push("- decoded calldata:");
+  lines.push(...calldata.lines);
+
+  const blockers = [];
+  const check = (label, ok, detail, blocker) => {
+    lines.push(`  - ${label}: ${ok ? "PASS" : "FAIL"}${detail ? ` (${detail})` : ""}`);
+    if (!ok) blockers.push(blocker);
+  };
+  lines.push("- pre-broadcast checks:");
+  check(
+    "plan fingerprint",
+    Boolean(entry) && !expired,
+    entry ? `${fingerprint} from ${entry.command} ${entry.label}; expires ${entry.expiresAt}` : fingerprint,
+    !entry
+      ? `plan fingerprint ${fingerprint} is not in the plan store. Sign only the exact calldata printed by a *-plan command, or re-run that plan if its deadline has passed.`
+      : `plan fingerprint ${fingerprint} (${entry.command} ${entry.label}) expired at ${entry.expiresAt}. Re-run ${entry.command} and re-sign.`,
+  );
+  if (entry) {
+    check(
+      "plan sender",
+      entry.sender === decoded.from,
+      `signer ${decoded.from}, plan ${entry.sender || "n/a"}`,
+      entry.sender
+        ? `signer ${decoded.from} is not the sender ${entry.sender} that ${entry.command} was planned for; re-run the plan for this signer.`
+        : `${entry.command} recorded no sender for this template; re-run it with an explicit owner.`,
+    );
+  }
+  const chainOk = decoded.chainId === BigInt(DEFAULT_CHAIN_ID) && rpcChain != null && BigInt(rpcChain.decimal) === decoded.chainId;
+  check(
+    "chain id",
+    chainOk,
+    `tx ${decoded.chainId.toString()}, expected ${DEFAULT_CHAIN_ID}, rpc ${rpcChain == null ? "unavailable" : rpcChain.decimal}`,
+    `chain id mismatch: tx is signed for ${decoded.chainId.toString()}, expected ${DEFAULT_CHAIN_ID} (rpc ${rpcChain == null ? "unavailable" : rpcChain.decimal}).`,
+  );
+  const nonceDetail = `tx ${decoded.nonce.toString()}, account latest ${latestNonce == null ? "n/a" : latestNonce.toString()}, pending ${pendingNonce == null ? "n/a" : pendingNonce.toString()}`;
+  if (latestNonce == null || pendingNonce == null) {
+    check("nonce", false, nonceDetail, "account nonce unavailable from rpc; cannot rule out a nonce gap.");
+  } else if (decoded.nonce > pendingNonce) {
+    check("nonce", false, nonceDetail, `nonce gap: tx nonce ${decoded.nonce.toString()} is above the next pending nonce ${pendingNonce.toString()}; it would sit unmined until the gap is filled.`);
+  } else if (decoded.nonce < latestNonce) {
+    check("nonce", false, nonceDetail, `nonce ${decoded.nonce.toString()} is already used on chain (latest ${latestNonce.toString()}); re-sign with the current nonce.`);
+  } else {
+    check("nonce", true, decoded.nonce < pendingNonce ? `${nonceDetail}; replaces a pending tx` : nonceDetail, null);
+  }
+  check("known Kittenswap call", !call.error, call.error || call.method, `unknown call: ${call.error}.`);
+  check("calldata decode", !calldata.error, calldata.error, `calldata decode failed: ${calldata.error}.`);
+  const replayLabel = replay.ok
+    ? null
+    : replay.category === "rpc_unavailable"
+      ? "UNAVAILABLE (RPC timeout/rate-limit)"
+      : `REVERT${replay.revertHint ? ` (${replay.revertHint})` : ""}`;
+  check(
+    "replay eth_call from signer (latest)",
+    replay.ok,
+    replayLabel,
+    `simulated call did not pass: ${replayLabel}${replay.error ? ` - ${replay.error}` : ""}.`,
+  );
+
+  if (blockers.length) {
+    for (const blocker of blockers) lines.push(`- BLOCKER: ${blocker}`);
+    lines.push("- broadcast: BLOCKED (nothing was sent)");
+    return lines.join("\n");
+  }
+
+  const txHash = await rpcSendRawTransaction(raw, { rpcUrl: DEFAULT_RPC_URL });
+  lines.push("- broadcast: SENT");
   lines.push(`- tx hash: ${txHash}`);
   lines.push(`- tx link: ${txLink(txHash)}`);
 
@@ -6681,7 +9194,444 @@ async function cmdBroadcastRaw({ signedTx, yesToken, wait = true }) {
   return lines.join("\n");
 }
 
-async function cmdSwapVerify({ txHashRef, ownerRef = "" }) {
+async function readSignerPassword(passwordFile) {
+  if (passwordFile) {
+    const raw = await readFile(String(passwordFile), "utf8");
+    return raw.replace(/\r?\n$/, "");
+  }
+  const fromEnv = process.env.KRLP_KEYSTORE_PASSWORD;
+  if (fromEnv) return fromEnv;
+  throw new Error("Keystore password required: set KRLP_KEYSTORE_PASSWORD or pass --password-file <path> (never pass the password on argv).");
+}
+
+// Fee flags shared by sign/execute-plan. When networkGasPriceWei is supplied,
+// missing fee flags fall back to it (legacy: gasPrice, EIP-1559: 2x as maxFee).
+function parseSigningFees({
+  legacy = false,
+  maxFeeGweiRef = "",
+  priorityFeeGweiRef = "",
+  gasPriceGweiRef = "",
+  networkGasPriceWei = null,
+} = {}) {
+  const txType = legacy ? TX_TYPE_LEGACY : TX_TYPE_EIP1559;
+  const fees = {};
+  if (txType === TX_TYPE_LEGACY) {
+    if (maxFeeGweiRef || priorityFeeGweiRef) throw new Error("--max-fee-gwei/--priority-fee-gwei apply to EIP-1559 only; drop them with --legacy");
+    if (gasPriceGweiRef) fees.gasPrice = parseDecimalToUnits(String(gasPriceGweiRef), 9);
+    else if (networkGasPriceWei != null) fees.gasPrice = networkGasPriceWei;
+    else throw new Error("--legacy requires --gas-price-gwei <decimal>");
+  } else {
+    if (gasPriceGweiRef) throw new Error("--gas-price-gwei applies to --legacy only");
+    fees.maxPriorityFeePerGas = priorityFeeGweiRef ? parseDecimalToUnits(String(priorityFeeGweiRef), 9) : 0n;
+    if (maxFeeGweiRef) fees.maxFeePerGas = parseDecimalToUnits(String(maxFeeGweiRef), 9);
+    else if (networkGasPriceWei != null) fees.maxFeePerGas = networkGasPriceWei * 2n + fees.maxPriorityFeePerGas;
+    else throw new Error("EIP-1559 signing requires --max-fee-gwei <decimal> (or use --legacy --gas-price-gwei <decimal>)");
+  }
+  return { txType, fees };
+}
+
+function formatSigningFees(txType, fees) {
+  if (txType === TX_TYPE_LEGACY) return `legacy gasPrice ${formatUnits(fees.gasPrice, 9, { precision: 9 })} gwei`;
+  return `EIP-1559 maxFee ${formatUnits(fees.maxFeePerGas, 9, { precision: 9 })} gwei / priority ${formatUnits(fees.maxPriorityFeePerGas, 9, { precision: 9 })} gwei`;
+}
+
+async function cmdSign({
+  planFile,
+  keystoreFile,
+  passwordFile = "",
+  stepRef = "",
+  nonceRef,
+  gasLimitRef = "",
+  gasBufferBpsRef = "",
+  maxFeeGweiRef = "",
+  priorityFeeGweiRef = "",
+  gasPriceGweiRef = "",
+  legacy = false,
+  allowNoSender = false,
+}) {
+  if (!planFile || !keystoreFile || nonceRef == null || nonceRef === "" || nonceRef === true) {
+    throw new Error("Usage: krlp sign --plan <plan.json|plan.txt> --keystore <keystore.json> --nonce N [--password-file <path>] [--step N] [--gas-limit N] [--gas-buffer-bps N] (--max-fee-gwei X [--priority-fee-gwei Y] | --legacy --gas-price-gwei X) [--allow-no-sender]");
+  }
+  const nonce = BigInt(parseNonNegativeIntegerOrDefault(nonceRef, 0, "nonce"));
+  const gasBufferBps = parseNonNegativeIntegerOrDefault(gasBufferBpsRef, DEFAULT_SIGN_GAS_BUFFER_BPS, "gas-buffer-bps");
+  const { txType, fees } = parseSigningFees({ legacy, maxFeeGweiRef, priorityFeeGweiRef, gasPriceGweiRef });
+
+  const plan = extractPlanTxTemplates(await readFile(String(planFile), "utf8"));
+  if (!plan.templates.length) throw new Error(`No transaction templates found in plan file: ${planFile}`);
+  if (plan.gateBlocked) throw new Error("Plan execution gate is BLOCKED; refusing to sign. Resolve blockers and regenerate the plan.");
+  if (!plan.sender && !allowNoSender) {
+    throw new Error("Plan does not declare a sender (from/owner); refusing to sign for whichever keystore is supplied. Regenerate the plan with an explicit owner, or pass --allow-no-sender.");
+  }
+
+  let selected = plan.templates;
+  if (stepRef !== "" && stepRef != null) {
+    const step = parseNonNegativeIntegerOrDefault(stepRef, 0, "step");
+    const match = plan.templates.find((template) => template.index === step);
+    if (!match) throw new Error(`--step ${stepRef} is out of range (plan has ${plan.templates.length} template(s))`);
+    selected = [match];
+  }
+  const gasLimitOverride = gasLimitRef ? BigInt(parseNonNegativeIntegerOrDefault(gasLimitRef, 0, "gas-limit")) : null;
+  const missingGas = selected.filter((template) => gasLimitOverride == null && template.gasEstimate == null);
+  if (missingGas.length) {
+    throw new Error(`Gas estimate unavailable for ${missingGas.map((t) => t.label).join(", ")}; pass --gas-limit N or regenerate the plan once simulation succeeds.`);
+  }
+
+  const chainId = BigInt(DEFAULT_CHAIN_ID);
+  const keystore = JSON.parse(await readFile(String(keystoreFile), "utf8"));
+  const { privateKey, address, declaredAddress } = decryptKeystore(keystore, await readSignerPassword(passwordFile));
+  let signed;
+  let fingerprintExpiry;
+  try {
+    if (plan.sender && plan.sender !== address) {
+      throw new Error(`Signer ${address} does not match plan sender ${plan.sender}; refusing to sign (tx would revert or move the wrong funds).`);
+    }
+    // Same allowlist broadcast-raw enforces, checked before a signature exists.
+    const stale = [];
+    for (const template of selected) {
+      const fingerprint = txFingerprint({ chainId, to: template.to, value: template.value, data: template.data });
+      const { entry, expired } = await findPlanFingerprint(fingerprint, { sender: address });
+      if (!entry) stale.push(`${template.label}: fingerprint ${fingerprint} is not in the plan store`);
+      else if (expired) stale.push(`${template.label}: ${entry.command} plan expired at ${entry.expiresAt}`);
+      else if (entry.sender && entry.sender !== address) stale.push(`${template.label}: ${entry.command} was planned for ${entry.sender}`);
+      else if (!entry.sender && !allowNoSender) stale.push(`${template.label}: ${entry.command} recorded no sender`);
+      else if (!fingerprintExpiry || entry.expiresAt < fingerprintExpiry) fingerprintExpiry = entry.expiresAt;
+    }
+    if (stale.length) {
+      throw new Error(`Plan is stale or unrecorded; refusing to sign (${stale.join("; ")}). Re-run the plan command and sign its fresh output.`);
+    }
+
+    signed = selected.map((template, i) => {
+      const gasLimit = gasLimitOverride ?? gasLimitWithBuffer(template.gasEstimate, gasBufferBps);
+      return {
+        template,
+        gasLimit,
+        result: signTransaction({
+          type: txType,
+          chainId,
+          nonce: nonce + BigInt(i),
+          gasLimit,
+          to: template.to,
+          value: template.value,
+          data: template.data,
+          ...fees,
+        }, privateKey),
+      };
+    });
+  } finally {
+    privateKey.fill(0);
+  }
+
+  const worstCaseFeeWei = signed.reduce(
+    (acc, item) => acc + item.gasLimit * (fees.gasPrice ?? fees.maxFeePerGas),
+    0n,
+  );
+  const lines = [];
+  lines.push("Kittenswap offline signer");
+  lines.push(`- plan: ${plan.title || planFile}`);
+  lines.push(`- keystore: ${keystoreFile}`);
+  lines.push(`- signer address: ${address}`);
+  lines.push(`- keystore address check: ${declaredAddress ? "PASS" : "n/a (keystore has no address field)"}`);
+  lines.push(`- plan sender check: ${plan.sender ? "PASS" : "n/a (plan does not declare a sender; --allow-no-sender)"}`);
+  lines.push(`- plan fingerprints: PASS (${selected.length} recorded; earliest expiry ${fingerprintExpiry})`);
+  lines.push(`- chain id: ${chainId.toString()}`);
+  lines.push(`- tx type: ${txType === TX_TYPE_LEGACY ? "legacy (EIP-155)" : "EIP-1559 (type 2)"}`);
+  if (txType === TX_TYPE_LEGACY) {
+    lines.push(`- gas price: ${formatUnits(fees.gasPrice, 9, { precision: 9 })} gwei`);
+  } else {
+    lines.push(`- max fee per gas: ${formatUnits(fees.maxFeePerGas, 9, { precision: 9 })} gwei`);
+    lines.push(`- max priority fee per gas: ${formatUnits(fees.maxPriorityFeePerGas, 9, { precision: 9 })} gwei`);
+  }
+  lines.push(`- gas limit source: ${gasLimitOverride != null ? `--gas-limit ${gasLimitOverride.toString()}` : `plan gas est + ${gasBufferBps} bps buffer`}`);
+  lines.push(`- steps signed: ${signed.length} of ${plan.templates.length}`);
+  lines.push(`- max total fee: ${formatUnits(worstCaseFeeWei, 18, { precision: 8 })} HYPE`);
+  lines.push("- signed transactions:");
+  for (const { template, gasLimit, result } of signed) {
+    lines.push(`  - ${template.label}: ${template.action || "call"}`);
+    lines.push(`    - nonce: ${result.tx.nonce.toString()}`);
+    lines.push(`    - to: ${result.tx.to}`);
+    lines.push(`    - value: ${toHexQuantity(result.tx.value)} (${formatUnits(result.tx.value, 18, { precision: 8 })} HYPE)`);
+    lines.push(`    - gas limit: ${gasLimit.toString()}${template.gasEstimate != null ? ` (plan est ${template.gasEstimate.toString()})` : ""}`);
+    lines.push(`    - data bytes: ${(result.tx.data.length - 2) / 2}`);
+    lines.push(`    - tx hash: ${result.hash}`);
+    lines.push(`    - raw signed tx: ${result.rawTransaction}`);
+  }
+  lines.push("- broadcast (strict order, one at a time):");
+  for (const { template, result } of signed) {
+    lines.push(`  - ${template.label}: krlp broadcast-raw ${result.rawTransaction} --yes SEND`);
+  }
+  lines.push("- safety:");
+  lines.push("  - signing ran fully offline; no RPC calls were made and nothing was broadcast");
+  lines.push(`  - nonces are sequential from ${nonce.toString()}; they must match the signer's next pending nonce or later steps stay stuck`);
+  lines.push("  - wait for each receipt (and tx-verify) before broadcasting the next dependent step");
+  lines.push("  - anyone holding a signed payload can broadcast it until the nonce is consumed; keep raw txs out of shared logs");
+  lines.push("  - plan calldata carries its own deadline; re-plan and re-sign if the deadline has passed");
+  return lines.join("\n");
+}
+
+async function resolveExecutionSigner({
+  keystoreFile = "",
+  passwordFile = "",
+  signerCmd = "",
+  signerAddress = "",
+  useEnvKey = false,
+  planSender = null,
+}) {
+  const chosen = [Boolean(keystoreFile), Boolean(signerCmd), Boolean(useEnvKey)].filter(Boolean).length;
+  if (chosen !== 1) {
+    throw new Error("Choose exactly one signer: --keystore <keystore.json> | --signer-cmd \"<command>\" [--signer-address <address>] | --env-key (HYPEREVM_EXEC_PRIVATE_KEY)");
+  }
+  if (keystoreFile) {
+    const keystore = JSON.parse(await readFile(String(keystoreFile), "utf8"));
+    return createKeystoreSigner(keystore, await readSignerPassword(passwordFile));
+  }
+  if (signerCmd) {
+    const address = signerAddress ? assertAddress(signerAddress) : planSender;
+    if (!address) throw new Error("--signer-cmd needs --signer-address <address> when the plan does not declare a sender");
+    return createCommandSigner({ command: signerCmd, address });
+  }
+  const envKey = String(process.env.HYPEREVM_EXEC_PRIVATE_KEY || "").trim();
+  if (!envKey) throw new Error("--env-key requires HYPEREVM_EXEC_PRIVATE_KEY in the environment");
+  return createPrivateKeySigner(envKey, { kind: "env" });
+}
+
+async function waitForConfirmations(blockNumber, confirmations, { timeoutMs = 120_000, pollMs = 1_000 } = {}) {
+  const target = Number(blockNumber) + Number(confirmations);
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    const head = await rpcBlockNumber({ rpcUrl: DEFAULT_RPC_URL });
+    if (head.decimal >= target) return head.decimal;
+    await sleep(pollMs);
+  }
+  throw new Error(`Timed out waiting for ${confirmations} confirmation(s) after block ${blockNumber}`);
+}
+
+function txVerifyGate({ status, failedChecks }) {
+  const success = status === "success";
+  return { ok: success && !failedChecks.length, success, failures: failedChecks };
+}
+
+async function cmdExecutePlan({
+  planFile,
+  journalRef = "",
+  yesToken = "",
+  keystoreFile = "",
+  passwordFile = "",
+  signerCmd = "",
+  signerAddress = "",
+  useEnvKey = false,
+  gasBufferBpsRef = "",
+  maxFeeGweiRef = "",
+  priorityFeeGweiRef = "",
+  gasPriceGweiRef = "",
+  legacy = false,
+  resignReplaced = false,
+  allowNoSender = false,
+}) {
+  if (!planFile) {
+    throw new Error("Usage: krlp execute-plan --plan <plan.json|plan.txt> (--keystore <keystore.json> [--password-file <path>] | --signer-cmd \"<command>\" [--signer-address <address>] | --env-key) [--journal <path>] [--resign-replaced] [--allow-no-sender] [--gas-buffer-bps N] [--max-fee-gwei X] [--priority-fee-gwei Y] [--legacy [--gas-price-gwei X]] --yes SEND");
+  }
+  const plan = extractPlanTxTemplates(await readFile(String(planFile), "utf8"));
+  if (!plan.templates.length) throw new Error(`No transaction templates found in plan file: ${planFile}`);
+  if (plan.gateBlocked) throw new Error("Plan execution gate is BLOCKED; refusing to execute. Resolve blockers and regenerate the plan.");
+  if (!plan.sender && !allowNoSender) {
+    throw new Error("Plan does not declare a sender (from/owner); refusing to execute for whichever signer is supplied. Regenerate the plan with an explicit owner, or pass --allow-no-sender.");
+  }
+  const gasBufferBps = parseNonNegativeIntegerOrDefault(gasBufferBpsRef, DEFAULT_SIGN_GAS_BUFFER_BPS, "gas-buffer-bps");
+
+  const chainId = BigInt(DEFAULT_CHAIN_ID);
+  const digest = planDigest(plan.templates, chainId);
+  const journalPath = journalRef ? String(journalRef) : defaultJournalPath(digest);
+  let journal = await loadJournal(journalPath);
+  if (journal && journal.planDigest !== digest) {
+    throw new Error(`Journal ${journalPath} belongs to a different plan (${journal.planDigest}); pass a fresh --journal path or regenerate the plan.`);
+  }
+
+  const lines = [];
+  lines.push("Kittenswap execute plan");
+  lines.push(`- plan: ${plan.title || planFile}`);
+  lines.push(`- plan digest: ${digest}`);
+  lines.push(`- journal: ${journalPath} (${journal ? "resuming" : "new"})`);
+  lines.push(`- steps: ${plan.templates.length}`);
+
+  const stepStatus = (index) => journal?.steps.find((s) => s.index === index)?.status || STEP_STATUS.PENDING;
+  const renderSteps = () => {
+    lines.push("- steps:");
+    for (const template of plan.templates) {
+      const entry = journal?.steps.find((s) => s.index === template.index);
+      lines.push(`  - ${template.label}: ${template.action || "call"}`);
+      lines.push(`    - status: ${stepStatus(template.index)}`);
+      if (entry?.nonce != null) lines.push(`    - nonce: ${entry.nonce}`);
+      if (entry?.txHash) lines.push(`    - tx hash: ${entry.txHash}`);
+      if (entry?.blockNumber != null) lines.push(`    - block: ${entry.blockNumber}`);
+      if (entry?.verify) lines.push(`    - tx-verify: ${entry.verify}`);
+      if (entry?.error) lines.push(`    - error: ${entry.error}`);
+    }
+  };
+
+  if (String(yesToken) !== "SEND") {
+    const next = plan.templates.find((t) => stepStatus(t.index) !== STEP_STATUS.VERIFIED);
+    lines.push("- execution status: DRY_RUN");
+    lines.push(`- next step: ${next ? `${next.label} (${stepStatus(next.index)})` : "none (all steps verified)"}`);
+    renderSteps();
+    lines.push("- to execute: re-run with --yes SEND and a signer (--keystore | --signer-cmd | --env-key)");
+    return lines.join("\n");
+  }
+
+  const chain = await rpcChainId({ rpcUrl: DEFAULT_RPC_URL });
+  if (BigInt(chain.decimal) !== chainId) {
+    throw new Error(`RPC chain id ${chain.decimal} does not match expected ${chainId.toString()}; refusing to execute.`);
+  }
+  const signer = await resolveExecutionSigner({ keystoreFile, passwordFile, signerCmd, signerAddress, useEnvKey, planSender: plan.sender });
+  if (plan.sender && plan.sender !== signer.address) {
+    throw new Error(`Signer ${signer.address} does not match plan sender ${plan.sender}; refusing to execute.`);
+  }
+  if (journal && journal.signer !== signer.address) {
+    throw new Error(`Journal was started by ${journal.signer}, not ${signer.address}; refusing to mix signers on one plan.`);
+  }
+  if (!journal) {
+    journal = createJournal({ digest, chainId, planFile, planTitle: plan.title, signer: signer.address, templates: plan.templates });
+  }
+  const networkGasPriceWei = BigInt(await rpcGasPrice({ rpcUrl: DEFAULT_RPC_URL }));
+  const { txType, fees } = parseSigningFees({ legacy, maxFeeGweiRef, priorityFeeGweiRef, gasPriceGweiRef, networkGasPriceWei });
+  lines.push(`- signer: ${signer.address} (${signer.kind})`);
+  lines.push(`- fees: ${formatSigningFees(txType, fees)}`);
+
+  let halt = null;
+  const update = (index, patch) => updateJournalStep(journal, journalPath, index, patch);
+  const pendingNonce = async () => BigInt(await rpcCall("eth_getTransactionCount", [signer.address, "pending"]));
+  const latestNonce = async () => BigInt(await rpcCall("eth_getTransactionCount", [signer.address, "latest"]));
+  const knownTx = async (hash) => Boolean(await rpcCall("eth_getTransactionByHash", [hash]));
+  const receiptOf = (hash) => rpcCall("eth_getTransactionReceipt", [hash]);
+
+  for (const template of plan.templates) {
+    let entry = journal.steps.find((s) => s.index === template.index);
+    if (entry.status === STEP_STATUS.VERIFIED) continue;
+    if (entry.status === STEP_STATUS.REVERTED || entry.status === STEP_STATUS.VERIFY_FAILED) {
+      halt = `${template.label} previously ended ${entry.status}; inspect krlp tx-verify ${entry.txHash} and regenerate the plan`;
+      break;
+    }
+
+    if (entry.status === STEP_STATUS.REPLACED) {
+      if (!resignReplaced) {
+        halt = `${template.label} was replaced at nonce ${entry.nonce}; check the wallet history for ${entry.txHash}, then re-run with --resign-replaced to re-sign it at a fresh nonce`;
+        break;
+      }
+      entry = await update(template.index, { status: STEP_STATUS.PENDING, nonce: null, txHash: null, error: null });
+    }
+
+    if (entry.status === STEP_STATUS.SIGNED || entry.status === STEP_STATUS.SENT) {
+      // RPC errors propagate here: a failed lookup must never read as "not mined".
+      let receipt = await receiptOf(entry.txHash);
+      if (!receipt && (await latestNonce()) > BigInt(entry.nonce)) {
+        const seen = await knownTx(entry.txHash);
+        await sleep(REPLACED_RECHECK_MS);
+        receipt = await receiptOf(entry.txHash);
+        if (!receipt && seen) {
+          halt = `${template.label} nonce ${entry.nonce} is consumed and the node knows ${entry.txHash} but has no receipt yet; re-run once the node catches up`;
+          break;
+        }
+        if (!receipt) {
+          entry = await update(template.index, {
+            status: STEP_STATUS.REPLACED,
+            error: `nonce ${entry.nonce} was mined by another transaction; ${entry.txHash} never landed`,
+          });
+          halt = `${template.label} was replaced at nonce ${entry.nonce}; check the wallet history, then re-run with --resign-replaced to re-simulate and re-sign this step`;
+          break;
+        }
+      }
+      // No signed payload is journaled: a step the node never saw goes back to
+      // pending and is re-signed at its journaled nonce, so at most one copy can mine.
+      if (entry.status === STEP_STATUS.SIGNED) {
+        entry = await update(template.index, {
+          status: receipt || (await knownTx(entry.txHash)) ? STEP_STATUS.SENT : STEP_STATUS.PENDING,
+          error: null,
+        });
+      }
+    }
+
+    if (entry.status === STEP_STATUS.PENDING) {
+      const gas = await estimateCallGas({ from: signer.address, to: template.to, data: template.data, value: template.value });
+      if (!gas.ok) {
+        await update(template.index, { error: `simulation failed: ${gas.error}` });
+        halt = `${template.label} simulation failed from ${signer.address}; nothing was sent for this step`;
+        break;
+      }
+      const nonce = entry.nonce != null && BigInt(entry.nonce) >= (await latestNonce())
+        ? BigInt(entry.nonce)
+        : await pendingNonce();
+      const signed = signer.sign({
+        type: txType,
+        chainId,
+        nonce,
+        gasLimit: gasLimitWithBuffer(gas.gas, gasBufferBps),
+        to: template.to,
+        value: template.value,
+        data: template.data,
+        ...fees,
+      });
+      entry = await update(template.index, {
+        status: STEP_STATUS.SIGNED,
+        nonce: nonce.toString(),
+        txHash: signed.hash,
+        error: null,
+      });
+      try {
+        await rpcSendRawTransaction(signed.rawTransaction, { rpcUrl: DEFAULT_RPC_URL });
+      } catch (err) {
+        if (!(await knownTx(signed.hash))) {
+          await update(template.index, { error: `broadcast failed: ${err?.message || err}` });
+          halt = `${template.label} broadcast failed; re-run to re-sign it at nonce ${nonce}`;
+          break;
+        }
+      }
+      entry = await update(template.index, { status: STEP_STATUS.SENT });
+    }
+
+    if (entry.status === STEP_STATUS.SENT) {
+      const receipt = await waitForReceipt(entry.txHash, { rpcUrl: DEFAULT_RPC_URL });
+      const ok = receiptStatus(receipt);
+      entry = await update(template.index, {
+        status: ok ? STEP_STATUS.CONFIRMED : STEP_STATUS.REVERTED,
+        blockNumber: receipt?.blockNumber ? Number.parseInt(receipt.blockNumber, 16) : null,
+        gasUsed: receipt?.gasUsed ? BigInt(receipt.gasUsed).toString() : null,
+      });
+      if (!ok) {
+        halt = `${template.label} reverted on-chain; do not continue dependent steps`;
+        break;
+      }
+    }
+
+    if (entry.status === STEP_STATUS.CONFIRMED) {
+      if (entry.blockNumber != null) await waitForConfirmations(entry.blockNumber, MIN_DEPENDENCY_CONFIRMATIONS);
+      const gate = txVerifyGate(await verifyTransaction({ txHashRef: entry.txHash, ownerRef: signer.address }));
+      entry = await update(template.index, {
+        status: gate.ok ? STEP_STATUS.VERIFIED : STEP_STATUS.VERIFY_FAILED,
+        verify: gate.ok ? "PASS" : `FAIL (${gate.failures.join("; ") || "status not success"})`,
+      });
+      if (!gate.ok) {
+        halt = `${template.label} tx-verify reported FAIL checks`;
+        break;
+      }
+    }
+  }
+
+  lines.push(`- execution status: ${halt ? "HALTED" : "COMPLETE"}`);
+  if (halt) lines.push(`- halt reason: ${halt}`);
+  renderSteps();
+  lines.push("- safety:");
+  lines.push("  - steps run strictly in order; each waits for its receipt, confirmations, and tx-verify before the next is signed");
+  lines.push("  - re-running the same command resumes from the journal; verified steps are never re-sent");
+  lines.push("  - the journal keeps tx hashes and nonces only; a signed step the node never saw is re-signed at the same nonce");
+  lines.push("  - a step whose nonce was mined by another tx is marked replaced and only re-signed with --resign-replaced");
+  lines.push("  - an RPC error while checking a resumed step stops the run; nothing is re-signed on a failed lookup");
+  return lines.join("\n");
+}
+
+async function cmdSwapVerify(opts) {
+  return (await verifySwapTransaction(opts)).text;
+}
+
+async function verifySwapTransaction({ txHashRef, ownerRef = "" }) {
   const txHash = assertTxHash(txHashRef);
   const [tx, receipt] = await Promise.all([
     rpcCall("eth_getTransactionByHash", [txHash]),
@@ -6690,12 +9640,13 @@ async function cmdSwapVerify({ txHashRef, ownerRef = "" }) {
 
   if (!tx) throw new Error(`Transaction not found: ${txHash}`);
   if (!receipt) {
-    return [
+    const text = [
       "Kittenswap swap verify",
       `- tx hash: ${txHash}`,
       `- tx link: ${txLink(txHash)}`,
       "- receipt: pending (not mined yet)",
     ].join("\n");
+    return { text, status: "pending", failedChecks: [] };
   }
 
   const txFrom = normalizeAddress(tx.from || "");
@@ -6710,6 +9661,7 @@ async function cmdSwapVerify({ txHashRef, ownerRef = "" }) {
   const tokenAddresses = new Set(transferRows.map((x) => x.address));
   if (decodedSwap?.tokenIn) tokenAddresses.add(decodedSwap.tokenIn);
   if (decodedSwap?.tokenOut) tokenAddresses.add(decodedSwap.tokenOut);
+  for (const hopToken of decodedSwap?.pathTokens || []) tokenAddresses.add(hopToken);
   const tokenMetaMap = await collectTokenMetaMap(tokenAddresses);
 
   const statusInt = receipt?.status == null ? null : Number.parseInt(receipt.status, 16);
@@ -6763,7 +9715,7 @@ async function cmdSwapVerify({ txHashRef, ownerRef = "" }) {
     swapForensics?.balanceNow != null &&
     swapForensics.balanceNow >= decodedSwap.amountIn
   );
-  const explorerApprovalRaceHint = (
+  const logApprovalRaceHint = (
     statusLabel !== "success" &&
     decodedSwap &&
     decodedSwap.decodeShape === "partial_malformed" &&
@@ -6799,7 +9751,7 @@ async function cmdSwapVerify({ txHashRef, ownerRef = "" }) {
   );
   const likelyMalformedSwapCalldata = Boolean(
     likelyEarlyRouterAbort
-    && (!decodedSwap || decodedSwap.decodeShape === "partial_malformed")
+    && (!decodedSwap || decodedSwap.decodeShape === "partial_malformed" || /_noncanonical$/.test(decodedSwap.decodeShape || ""))
   );
   const likelyMsgValueModeMismatch = Boolean(
     statusLabel !== "success"
@@ -6809,6 +9761,8 @@ async function cmdSwapVerify({ txHashRef, ownerRef = "" }) {
   );
 
   const lines = [];
+  const verdict = createVerdicts();
+  const report = () => ({ text: lines.join("\n"), status: statusLabel, failedChecks: verdict.failed });
   lines.push("Kittenswap swap verify");
   lines.push(`- tx hash: ${txHash}`);
   lines.push(`- tx link: ${txLink(txHash)}`);
@@ -6826,7 +9780,7 @@ async function cmdSwapVerify({ txHashRef, ownerRef = "" }) {
   if (decodedSwap) {
     const tokenInMeta = tokenMetaMap.get(decodedSwap.tokenIn) || { symbol: "TOKEN", decimals: 18 };
     const tokenOutMeta = tokenMetaMap.get(decodedSwap.tokenOut) || { symbol: "TOKEN", decimals: 18 };
-    lines.push("- decoded exactInputSingle calldata:");
+    lines.push(`- decoded ${decodedSwap.swapMethod} calldata:`);
     if (decodedSwap.wrapper === "multicall") {
       lines.push(`  - wrapper: multicall (${decodedSwap.multicall?.variant || "bytes[]"}, call #${(decodedSwap.callIndex ?? 0) + 1})`);
       if (typeof decodedSwap.multicall?.deadline === "bigint") {
@@ -6838,44 +9792,53 @@ async function cmdSwapVerify({ txHashRef, ownerRef = "" }) {
     }
     lines.push(`  - tokenIn: ${decodedSwap.tokenIn} (${tokenInMeta.symbol})`);
     lines.push(`  - tokenOut: ${decodedSwap.tokenOut} (${tokenOutMeta.symbol})`);
-    lines.push(`  - deployer: ${decodedSwap.deployer}`);
+    if (Array.isArray(decodedSwap.pathTokens)) {
+      lines.push(`  - route: ${formatRoutePath(decodedSwap.pathTokens, tokenMetaMap)} (${decodedSwap.hops} hops)`);
+      lines.push(`  - path${decodedSwap.exactOut ? " (tokenOut-first)" : ""}: ${decodedSwap.path}`);
+      lines.push(`  - hop deployers: ${decodedSwap.pathDeployers.join(", ")}`);
+    } else {
+      lines.push(`  - deployer: ${decodedSwap.deployer}`);
+    }
     lines.push(`  - recipient: ${decodedSwap.recipient}`);
     lines.push(`  - decode shape: ${decodedSwap.decodeShape || "exactInputSingle_v8"}`);
-    lines.push(`  - amountIn: ${typeof decodedSwap.amountIn === "bigint" ? `${formatUnits(decodedSwap.amountIn, tokenInMeta.decimals, { precision: 8 })} ${tokenInMeta.symbol}` : "n/a (malformed calldata)"}`);
-    lines.push(`  - minAmountOut: ${typeof decodedSwap.amountOutMinimum === "bigint" ? `${formatUnits(decodedSwap.amountOutMinimum, tokenOutMeta.decimals, { precision: 8 })} ${tokenOutMeta.symbol}` : "n/a (malformed calldata)"}`);
+    lines.push(`  - ${decodedSwap.exactOut ? "amountInMaximum" : "amountIn"}: ${typeof decodedSwap.amountIn === "bigint" ? `${formatUnits(decodedSwap.amountIn, tokenInMeta.decimals, { precision: 8 })} ${tokenInMeta.symbol}` : "n/a (malformed calldata)"}`);
+    lines.push(`  - ${decodedSwap.exactOut ? "exact amountOut" : "minAmountOut"}: ${typeof decodedSwap.amountOutMinimum === "bigint" ? `${formatUnits(decodedSwap.amountOutMinimum, tokenOutMeta.decimals, { precision: 8 })} ${tokenOutMeta.symbol}` : "n/a (malformed calldata)"}`);
     lines.push(`  - mode: ${isNativeInSwap ? "native-in (msg.value path, no ERC20 allowance required)" : "erc20-in (allowance required)"}`);
     lines.push(`  - tx value: ${formatUnits(txValueWei, 18, { precision: 8 })} HYPE`);
     lines.push(`  - deadline: ${typeof decodedSwap.deadline === "bigint" ? decodedSwap.deadline.toString() : "n/a (malformed calldata)"}`);
-    if (exactSwapShape) {
+    if (decodedSwap.swapMethod !== "exactInputSingle") {
+      lines.push(`  - calldata bytes: ${decodedSwap.calldataBytes} (expected ${decodedSwap.expectedBytes})`);
+      lines.push(`  - calldata shape check: ${verdict("calldata shape check", !/_noncanonical$/.test(decodedSwap.decodeShape))}`);
+    } else if (exactSwapShape) {
       lines.push(`  - calldata bytes: ${exactSwapShape.calldataBytes} (expected ${exactSwapShape.expectedBytes})`);
       if (exactSwapShape.remainderHexChars !== 0) {
-        lines.push(`  - calldata alignment: FAIL (extra ${exactSwapShape.trailingBytesAfterLastWord} trailing byte(s) after full 32-byte words)`);
+        lines.push(`  - calldata alignment: ${verdict("calldata alignment", false)} (extra ${exactSwapShape.trailingBytesAfterLastWord} trailing byte(s) after full 32-byte words)`);
       } else {
-        lines.push("  - calldata alignment: PASS");
+        lines.push(`  - calldata alignment: ${verdict("calldata alignment", true)}`);
       }
       if (exactSwapShape.limitWordHighBitsNonZero === true) {
-        lines.push("  - limitSqrtPrice uint160 canonical check: FAIL (high bits are non-zero)");
+        lines.push(`  - limitSqrtPrice uint160 canonical check: ${verdict("limitSqrtPrice uint160 canonical check", false)} (high bits are non-zero)`);
       } else if (exactSwapShape.limitWordHighBitsNonZero === false) {
-        lines.push("  - limitSqrtPrice uint160 canonical check: PASS");
+        lines.push(`  - limitSqrtPrice uint160 canonical check: ${verdict("limitSqrtPrice uint160 canonical check", true)}`);
       }
     }
     if (blockTs != null && typeof decodedSwap.deadline === "bigint") {
       const deadlineCheck = analyzeDeadlineVsBlock(decodedSwap.deadline, blockTs);
       if (deadlineCheck) {
-        lines.push(`  - deadline vs tx block: ${deadlineCheck.pass ? "PASS" : "FAIL"} (${deadlineCheck.rendered})`);
+        lines.push(`  - deadline vs tx block: ${verdict("deadline vs tx block", deadlineCheck.pass)} (${deadlineCheck.rendered})`);
         if (deadlineCheck.unitHint) lines.push(`  - deadline unit hint: ${deadlineCheck.unitHint}`);
       }
     }
     if (swapForensics && typeof decodedSwap.amountIn === "bigint") {
       lines.push("- pre-execution state forensics (tokenIn -> router):");
-      lines.push(`  - required amountIn: ${formatUnits(decodedSwap.amountIn, tokenInMeta.decimals, { precision: 8 })} ${tokenInMeta.symbol}`);
+      lines.push(`  - required ${decodedSwap.exactOut ? "amountInMaximum" : "amountIn"}: ${formatUnits(decodedSwap.amountIn, tokenInMeta.decimals, { precision: 8 })} ${tokenInMeta.symbol}`);
       lines.push(`  - allowance before tx block (N-1): ${formatUnits(swapForensics.allowanceBefore, tokenInMeta.decimals, { precision: 8 })} ${tokenInMeta.symbol}`);
       lines.push(`  - allowance now: ${formatUnits(swapForensics.allowanceNow, tokenInMeta.decimals, { precision: 8 })} ${tokenInMeta.symbol}`);
       lines.push(`  - balance before tx block (N-1): ${formatUnits(swapForensics.balanceBefore, tokenInMeta.decimals, { precision: 8 })} ${tokenInMeta.symbol}`);
       lines.push(`  - balance now: ${formatUnits(swapForensics.balanceNow, tokenInMeta.decimals, { precision: 8 })} ${tokenInMeta.symbol}`);
       if (statusLabel !== "success") {
-        lines.push(`  - pre-tx allowance check: ${swapForensics.allowanceBefore >= decodedSwap.amountIn ? "PASS" : "FAIL"}`);
-        lines.push(`  - pre-tx balance check: ${swapForensics.balanceBefore >= decodedSwap.amountIn ? "PASS" : "FAIL"}`);
+        lines.push(`  - pre-tx allowance check: ${verdict("pre-tx allowance check", swapForensics.allowanceBefore >= decodedSwap.amountIn)}`);
+        lines.push(`  - pre-tx balance check: ${verdict("pre-tx balance check", swapForensics.balanceBefore >= decodedSwap.amountIn)}`);
       } else {
         lines.push("  - note: this tx succeeded; treat pre-tx snapshots as informational only.");
       }
@@ -6883,7 +9846,7 @@ async function cmdSwapVerify({ txHashRef, ownerRef = "" }) {
       lines.push("- warning: calldata is malformed/truncated; amount/deadline-level diagnostics unavailable.");
     }
   } else {
-    lines.push("- calldata decode: no exactInputSingle found (direct or nested multicall)");
+    lines.push("- calldata decode: no exactInputSingle/exactInput/exactOutputSingle/exactOutput found (direct or nested multicall)");
   }
 
   lines.push("- ERC20 transfer deltas for target wallet:");
@@ -6917,9 +9880,9 @@ async function cmdSwapVerify({ txHashRef, ownerRef = "" }) {
       lines.push("- likely root cause: approval race (swap executed before approval was effective on-chain).");
       lines.push("- evidence: allowance before tx block was below amountIn, but allowance now is sufficient.");
       lines.push("- fix: wait for approve receipt success plus at least 1 confirmation block, then re-run swap-plan and submit swap.");
-    } else if (explorerApprovalRaceHint) {
-      lines.push("- likely root cause: approval race (malformed calldata prevented amount-level decode, but history confirms ordering issue).");
-      lines.push(`- evidence: router approval mined after failed swap: ${explorerApprovalRaceHint.approvalTxHash} at block ${explorerApprovalRaceHint.approvalBlock}.`);
+    } else if (logApprovalRaceHint) {
+      lines.push("- likely root cause: approval race (malformed calldata prevented amount-level decode, but Approval logs confirm the ordering issue).");
+      lines.push(`- evidence: router approval mined after failed swap: ${logApprovalRaceHint.approvalTxHash} at block ${logApprovalRaceHint.approvalBlock}.`);
       lines.push("- fix: submit approve first, wait for receipt + confirmation block, re-run swap-plan, then submit swap.");
     } else if (likelyBalanceRace) {
       lines.push("- likely root cause: funding race (balance was insufficient at execution block, then increased later).");
@@ -6947,6 +9910,10 @@ async function cmdSwapVerify({ txHashRef, ownerRef = "" }) {
       if (exactSwapShape?.limitWordHighBitsNonZero) {
         lines.push("- calldata shape evidence: limitSqrtPrice word had non-zero high bits (invalid uint160 encoding).");
       }
+      if (/_noncanonical$/.test(decodedSwap?.decodeShape || "")) {
+        const shapeLabel = decodedSwap.hops ? `${decodedSwap.hops}-hop ${decodedSwap.swapMethod}` : decodedSwap.swapMethod;
+        lines.push(`- calldata shape evidence: ${decodedSwap.calldataBytes} bytes received, expected ${decodedSwap.expectedBytes} for ${shapeLabel}.`);
+      }
     } else if (
       likelyEarlyRouterAbort
       && !likelyAllowanceRace
@@ -6960,11 +9927,28 @@ async function cmdSwapVerify({ txHashRef, ownerRef = "" }) {
     }
   }
 
-  lines.push("- note: verify command is read-only and does not execute transactions");
-  return lines.join("\n");
+  lines.push("- note: verify command is read-only and does not execute transactions");
+  return report();
+}
+
+// Tx-verify verdicts: each PASS/FAIL check is recorded as it is rendered, so execute-plan
+// gates on the failed checks rather than on the report text.
+function createVerdicts() {
+  const failed = [];
+  const verdict = (label, ok) => {
+    if (ok == null) return "n/a";
+    if (!ok) failed.push(label);
+    return ok ? "PASS" : "FAIL";
+  };
+  verdict.failed = failed;
+  return verdict;
+}
+
+async function cmdTxVerify(opts) {
+  return (await verifyTransaction(opts)).text;
 }
 
-async function cmdTxVerify({ txHashRef, ownerRef = "" }) {
+async function verifyTransaction({ txHashRef, ownerRef = "" }) {
   const txHash = assertTxHash(txHashRef);
   const [tx, receipt] = await Promise.all([
     rpcCall("eth_getTransactionByHash", [txHash]),
@@ -6976,16 +9960,16 @@ async function cmdTxVerify({ txHashRef, ownerRef = "" }) {
   const txToForRouting = normalizeAddress(tx.to || "");
   const multicallDecoded = selector === "0xac9650d8" ? decodeMulticallInput(tx.input) : null;
 
-  // For swap selector, reuse the richer swap verifier output.
-  if (selector === "0x1679c792") {
-    return cmdSwapVerify({ txHashRef: txHash, ownerRef });
+  // For swap selectors, reuse the richer swap verifier output.
+  if (selector === "0x1679c792" || selector === "0xc04b8d59" || selector === "0x1764babc" || selector === "0xf28c0498") {
+    return verifySwapTransaction({ txHashRef: txHash, ownerRef });
   }
   if (
     selector === "0xac9650d8"
     && txToForRouting === KITTENSWAP_CONTRACTS.router
     && (decodeSwapLikeInput(tx.input) || multicallDecoded?.ok)
   ) {
-    return cmdSwapVerify({ txHashRef: txHash, ownerRef });
+    return verifySwapTransaction({ txHashRef: txHash, ownerRef });
   }
 
   const txFrom = normalizeAddress(tx.from || "");
@@ -7008,6 +9992,8 @@ async function cmdTxVerify({ txHashRef, ownerRef = "" }) {
   const blockTs = blockInfo?.timestamp ? Number(BigInt(blockInfo.timestamp)) : null;
 
   const lines = [];
+  const verdict = createVerdicts();
+  const report = () => ({ text: lines.join("\n"), status: statusLabel, failedChecks: verdict.failed });
   lines.push("Kittenswap tx verify");
   lines.push(`- tx hash: ${txHash}`);
   lines.push(`- tx link: ${txLink(txHash)}`);
@@ -7018,7 +10004,7 @@ async function cmdTxVerify({ txHashRef, ownerRef = "" }) {
   lines.push(`- selector: ${selector || "n/a"}`);
   if (ownerOverrideSupplied) {
     lines.push(`- expected owner (input): ${owner}`);
-    lines.push(`- tx sender matches expected owner: ${signerAddress === owner ? "PASS" : "FAIL"}`);
+    lines.push(`- tx sender matches expected owner: ${verdict("tx sender matches expected owner", signerAddress === owner)}`);
   }
   lines.push(`- tx value: ${formatUnits(txValueWei, 18, { precision: 8 })} HYPE`);
   if (gasUsed != null) lines.push(`- gas used: ${gasUsed.toString()}`);
@@ -7061,7 +10047,7 @@ async function cmdTxVerify({ txHashRef, ownerRef = "" }) {
       lines.push("- likely cause: manual calldata concatenation/truncation produced a non-canonical ABI payload.");
       lines.push("- fix: regenerate via krlp plan <tokenId> and use full generated calldata unchanged.");
       lines.push("- note: tx verify is read-only and does not execute transactions");
-      return lines.join("\n");
+      return report();
     }
 
     const tokenId = dec.tokenId;
@@ -7109,7 +10095,7 @@ async function cmdTxVerify({ txHashRef, ownerRef = "" }) {
       if (blockTs != null) {
         const deadlineCheck = analyzeDeadlineVsBlock(dec.deadline, blockTs);
         if (deadlineCheck) {
-          lines.push(`  - deadline vs tx block: ${deadlineCheck.pass ? "PASS" : "FAIL"} (${deadlineCheck.rendered})`);
+          lines.push(`  - deadline vs tx block: ${verdict("deadline vs tx block", deadlineCheck.pass)} (${deadlineCheck.rendered})`);
           if (deadlineCheck.unitHint) lines.push(`  - deadline unit hint: ${deadlineCheck.unitHint}`);
         }
       }
@@ -7117,7 +10103,7 @@ async function cmdTxVerify({ txHashRef, ownerRef = "" }) {
     lines.push(`- nft owner now: ${nftOwner || "n/a (token missing/burned or read failed)"}`);
     lines.push(`- token approval now (getApproved): ${tokenApproval || "n/a"}`);
     lines.push(`- operator approval now (isApprovedForAll owner->signer): ${operatorApproval == null ? "n/a" : operatorApproval ? "true" : "false"}`);
-    lines.push(`- signer authorized for tokenId now: ${signerAuthorized == null ? "n/a" : signerAuthorized ? "PASS" : "FAIL"}`);
+    lines.push(`- signer authorized for tokenId now: ${verdict("signer authorized for tokenId now", signerAuthorized)}`);
     if (positionNow) {
       lines.push(`- position liquidity now: ${positionNow.liquidity.toString()}`);
       lines.push(`- tokens owed now: ${positionNow.tokensOwed0.toString()} / ${positionNow.tokensOwed1.toString()}`);
@@ -7171,14 +10157,14 @@ async function cmdTxVerify({ txHashRef, ownerRef = "" }) {
       lines.push(`- ${actionName} check: PASS`);
     }
     lines.push("- note: tx verify is read-only and does not execute transactions");
-    return lines.join("\n");
+    return report();
   }
 
   if (selector === "0x095ea7b3") {
     const dec = decodeApproveInput(tx.input);
     if (!dec) {
       lines.push("- decode: failed (approve calldata malformed)");
-      return lines.join("\n");
+      return report();
     }
     const token = txTo || assertAddress(tx.to);
     const currentBlock = await rpcBlockNumber().catch(() => null);
@@ -7222,14 +10208,14 @@ async function cmdTxVerify({ txHashRef, ownerRef = "" }) {
       lines.push("  - then re-run swap-plan/mint-plan and require preflight PASS before signing.");
     }
     lines.push("- note: approve decode is read-only and does not execute transactions");
-    return lines.join("\n");
+    return report();
   }
 
   if (selector === "0x832f630a") {
     const decFull = decodeApproveForFarmingInputDetailed(tx.input);
     if (!decFull) {
       lines.push("- decode: not approveForFarming input");
-      return lines.join("\n");
+      return report();
     }
     if (!decFull.ok) {
       lines.push("- decode: failed (approveForFarming calldata malformed)");
@@ -7249,7 +10235,7 @@ async function cmdTxVerify({ txHashRef, ownerRef = "" }) {
       lines.push("  - do not hand-encode this calldata.");
       lines.push("  - generate canonical call with: krlp farm-approve-plan <tokenId> [owner|label]");
       lines.push("  - expected selector/signature: 0x832f630a = approveForFarming(uint256,bool,address)");
-      return lines.join("\n");
+      return report();
     }
     const dec = decFull.decoded;
     const [managerCenter, currentApproval, tokenFarmedIn] = await Promise.all([
@@ -7271,17 +10257,17 @@ async function cmdTxVerify({ txHashRef, ownerRef = "" }) {
     } else if (dec.approve && managerCenter && managerCenter !== dec.farmingAddress) {
       lines.push("- BLOCKER: approved farming address differs from manager configured farming center.");
     } else {
-      lines.push("- approval check: PASS");
+      lines.push(`- approval check: ${verdict("approval check", true)}`);
     }
     lines.push("- note: tx verify is read-only and does not execute transactions");
-    return lines.join("\n");
+    return report();
   }
 
   if (selector === "0x5739f0b9" || selector === "0x4473eca6" || selector === "0x6af00aee") {
     const dec = decodeFarmingActionInput(tx.input, selector);
     if (!dec) {
       lines.push("- decode: failed (farming calldata malformed)");
-      return lines.join("\n");
+      return report();
     }
     const actionName = selector === "0x5739f0b9"
       ? "enterFarming"
@@ -7351,20 +10337,20 @@ async function cmdTxVerify({ txHashRef, ownerRef = "" }) {
     lines.push(`  - nonce: ${dec.nonce.toString()}`);
     lines.push(`- farming center tx target: ${farmingCenterAddress}`);
     lines.push(`- nft owner now: ${nftOwner || "n/a"}`);
-    lines.push(`- signer matches nft owner: ${nftOwner ? (signerAddress === nftOwner ? "PASS" : "FAIL") : "n/a"}`);
+    lines.push(`- signer matches nft owner: ${verdict("signer matches nft owner", nftOwner ? signerAddress === nftOwner : null)}`);
     if (positionNow) {
       lines.push(`- decoded tokenId pair now: ${positionNow.token0} / ${positionNow.token1}`);
     }
     lines.push(`- pool resolved from tokenId pair: ${tokenPoolByTokenId || "n/a"}`);
-    lines.push(`- calldata pool matches tokenId pool: ${keyMatchesTokenPool ? "PASS" : "FAIL"}`);
+    lines.push(`- calldata pool matches tokenId pool: ${verdict("calldata pool matches tokenId pool", keyMatchesTokenPool)}`);
     if (expectedKeyByTokenPool && expectedKeyByTokenPool.pool !== ZERO_ADDRESS) {
       lines.push(`- expected key for tokenId pool: reward=${expectedKeyByTokenPool.rewardToken}, bonus=${expectedKeyByTokenPool.bonusRewardToken}, nonce=${expectedKeyByTokenPool.nonce.toString()}`);
-      lines.push(`- calldata key matches expected pool incentive key: ${keyMatchesExpectedIncentive ? "PASS" : "FAIL"}`);
+      lines.push(`- calldata key matches expected pool incentive key: ${verdict("calldata key matches expected pool incentive key", keyMatchesExpectedIncentive)}`);
     }
     lines.push(`- farming approval now (position manager): ${farmingApproval || "n/a"}`);
     lines.push(`- token approval now (getApproved): ${tokenApproval || "n/a"}`);
     lines.push(`- operator approval now (isApprovedForAll owner->farmingCenter): ${operatorApproval == null ? "n/a" : operatorApproval ? "true" : "false"}`);
-    lines.push(`- token transfer approval to farming center now: ${tokenTransferApprovalOk ? "PASS" : "FAIL"}`);
+    lines.push(`- token transfer approval to farming center now: ${verdict("token transfer approval to farming center now", tokenTransferApprovalOk)}`);
     lines.push(`- tokenFarmedIn now: ${tokenFarmedIn || "n/a"}`);
     lines.push(`- farmingCenter deposit incentiveId: ${depositIncentiveId || "n/a"}`);
     if (activeKey && activeKey.pool !== ZERO_ADDRESS) {
@@ -7423,14 +10409,14 @@ async function cmdTxVerify({ txHashRef, ownerRef = "" }) {
       lines.push(`- ${actionName} check: PASS`);
     }
     lines.push("- note: tx verify is read-only and does not execute transactions");
-    return lines.join("\n");
+    return report();
   }
 
   if (selector === "0x2f2d783d") {
     const dec = decodeFarmingClaimInput(tx.input);
     if (!dec) {
       lines.push("- decode: failed (claimReward calldata malformed)");
-      return lines.join("\n");
+      return report();
     }
     const [tokenMeta, rewardBalanceNow] = await Promise.all([
       readTokenSnapshot(dec.rewardToken).catch(() => null),
@@ -7445,7 +10431,7 @@ async function cmdTxVerify({ txHashRef, ownerRef = "" }) {
       lines.push("- BLOCKER: claimReward tx did not succeed.");
     }
     lines.push("- note: tx verify is read-only and does not execute transactions");
-    return lines.join("\n");
+    return report();
   }
 
   if (selector === "0xfe3f3be7" && !mintEnvelope?.mint) {
@@ -7462,14 +10448,14 @@ async function cmdTxVerify({ txHashRef, ownerRef = "" }) {
     lines.push("  - regenerate canonical mint calldata with: krlp mint-plan ...");
     lines.push("  - for rebalance path, use: krlp plan <tokenId> ... and sign only generated payloads.");
     lines.push("- note: tx verify is read-only and does not execute transactions");
-    return lines.join("\n");
+    return report();
   }
 
   if (mintEnvelope?.mint) {
     const dec = mintEnvelope.mint;
     if (!dec) {
       lines.push("- decode: failed (mint calldata malformed)");
-      return lines.join("\n");
+      return report();
     }
     const txToAddress = txTo || assertAddress(tx.to);
     const [token0Meta, token1Meta] = await Promise.all([
@@ -7576,7 +10562,7 @@ async function cmdTxVerify({ txHashRef, ownerRef = "" }) {
     if (txValueWei > 0n) {
       lines.push(`  - native value attached: ${formatUnits(txValueWei, 18, { precision: 8 })} HYPE (multicall/native mint path)`);
     }
-    lines.push(`- token order check (token0 < token1): ${dec.token0 < dec.token1 ? "PASS" : "FAIL"}`);
+    lines.push(`- token order check (token0 < token1): ${verdict("token order check (token0 < token1)", dec.token0 < dec.token1)}`);
     lines.push(`- factory poolByPair(token0, token1): ${poolAddress || "not found"}`);
     if (poolState) lines.push(`- current pool tick: ${poolState.tick}`);
     if (poolPrice1Per0 != null) lines.push(`- current pool price token1/token0: ${fmtNum(poolPrice1Per0, { dp: 8 })}`);
@@ -7584,13 +10570,13 @@ async function cmdTxVerify({ txHashRef, ownerRef = "" }) {
     if (desiredVsPoolRatioPct != null) lines.push(`- desired vs pool ratio delta: ${fmtPct(desiredVsPoolRatioPct)}`);
     if (tickSpacing != null) {
       lines.push(`- pool tick spacing: ${tickSpacing}`);
-      lines.push(`- tick alignment check: ${isTickAligned(dec.tickLower, tickSpacing) && isTickAligned(dec.tickUpper, tickSpacing) ? "PASS" : "FAIL"}`);
+      lines.push(`- tick alignment check: ${verdict("tick alignment check", isTickAligned(dec.tickLower, tickSpacing) && isTickAligned(dec.tickUpper, tickSpacing))}`);
     }
     if (poolState) lines.push(`- in-range at current tick: ${inRangeAtBlock ? "YES" : "NO"}`);
     if (blockTs != null) {
       const deadlineCheck = analyzeDeadlineVsBlock(dec.deadline, blockTs);
       if (deadlineCheck) {
-        lines.push(`- deadline vs tx block: ${deadlineCheck.pass ? "PASS" : "FAIL"} (${deadlineCheck.rendered})`);
+        lines.push(`- deadline vs tx block: ${verdict("deadline vs tx block", deadlineCheck.pass)} (${deadlineCheck.rendered})`);
         if (deadlineCheck.unitHint) lines.push(`- deadline unit hint: ${deadlineCheck.unitHint}`);
       }
     }
@@ -7733,7 +10719,7 @@ async function cmdTxVerify({ txHashRef, ownerRef = "" }) {
       lines.push("  - use krlp mint-plan and ensure signer address exactly matches from address before signing.");
     }
     lines.push("- note: tx verify is read-only and does not execute transactions");
-    return lines.join("\n");
+    return report();
   }
 
   lines.push("- decode: unsupported selector for custom decode");
@@ -7766,13 +10752,13 @@ async function cmdTxVerify({ txHashRef, ownerRef = "" }) {
   }
   lines.push("- note: for swap txs use krlp swap-verify <txHash>");
   lines.push("- note: tx verify is read-only and does not execute transactions");
-  return lines.join("\n");
+  return report();
 }
 
 function usage() {
   return [
     'Usage: krlp "<command>"',
-    'Global flags: --json --strict',
+    'Global flags: --json --strict --no-record-plan',
     "Commands:",
     "  health",
     "  contracts",
@@ -7780,31 +10766,41 @@ function usage() {
     "  account list|remove|default ...",
     "  policy list|show [name]",
     "  policy set [name] [--edge-bps N] [--slippage-bps N] [--deadline-seconds N] [--default]",
-    "  position <tokenId> [owner|label]",
-    "  value|position-value <tokenId> [owner|label]",
-    "  status <tokenId> [--edge-bps N]",
-    "  wallet|portfolio [owner|label] [--active-only]",
+    "  position <tokenId> [owner|label] [--block <number|tag>]",
+    "  value|position-value <tokenId> [owner|label] [--block <number|tag>]",
+    "  status <tokenId> [--edge-bps N] [--block <number|tag>]",
+    "  history|position-history <tokenId> [--from-block N]",
+    "  pnl|position-pnl <tokenId> [--from-block N] [--no-chain] [--chain-gap-blocks N]",
+    "  export-ledger|ledger [owner|label] --from <date> [--to <date>] [--format csv|jsonl] [--out <path>]",
+    "  wallet|portfolio [owner|label] [--active-only] [--block <number|tag>]",
     "  pool-resolve|resolve-pool <tokenA> <tokenB> | <tokenA/tokenB> | <poolAddress>",
-    "  quote-swap|swap-quote <tokenIn> <tokenOut> --amount-in <decimal> [--deployer <address>]",
+    "  quote-swap|swap-quote <tokenIn> <tokenOut> (--amount-in <decimal> | --amount-out <decimal>) [--via <token[,token]>] [--deployer <address[,address]>]",
+    "  route|route-find <tokenIn> <tokenOut> --amount-in <decimal> [--max-hops N] [--max-candidates N]",
     "  swap-approve-plan <token> [owner|label] --amount <decimal|max> [--spender <address>] [--approve-max]",
-    "  swap-plan <tokenIn> <tokenOut> --amount-in <decimal> [owner|label] [--deployer <address>] [--recipient <address|label>] [--policy <name>] [--slippage-bps N] [--deadline-seconds N] [--native-in] [--approve-max]",
-    "  enter-plan|lp-enter-plan <tokenA> <tokenB> --funding-token <token> --amount-in <decimal|max> [owner|label] [--recipient <address|label>] [--deployer <address>] [--tick-lower N --tick-upper N | --width-ticks N --center-tick N] [--policy <name>] [--slippage-bps N] [--deadline-seconds N] [--approve-max] [--allow-out-of-range]",
-    "  apr [<tokenId>] [--pool <addr>] [--range-ticks N] [--sample-blocks N] [--hype-price P]",
-    "  farm-status <tokenId> [owner|label] [--farming-center <address>] [--eternal-farming <address>]",
+    "  swap-plan <tokenIn> <tokenOut> (--amount-in <decimal> | --amount-out <decimal>) [owner|label] [--via <token[,token]>] [--deployer <address[,address]>] [--recipient <address|label>] [--policy <name>] [--slippage-bps N] [--deadline-seconds N] [--native-in] [--approve-max]",
+    "  enter-plan|lp-enter-plan <tokenA> <tokenB> --funding-token <token> --amount-in <decimal|max> [owner|label] [--recipient <address|label>] [--deployer <address>] [--tick-lower N --tick-upper N | --width-ticks N --center-tick N] [--width-mode fixed|volatility [--horizon-hours H] [--in-range-pct P] [--vol-lookback-blocks N]] [--policy <name>] [--slippage-bps N] [--deadline-seconds N] [--approve-max] [--allow-out-of-range]",
+    "  apr [<tokenId>] [--pool <addr>] [--range-ticks N] [--sample-blocks N] [--hype-price P] [--block <number|tag>]",
+    "  backtest --pool <addr> [--from-block A] [--to-block B] [--edge-bps N] [--width-bump-ticks M] [--initial-width W] [--interval-blocks N] [--capital <stable>] [--rebalance-gas N]",
+    "  range-optimize|width-optimize <poolAddress|tokenId> [--sample-blocks N] [--capital <stable>] [--edge-bps N] [--check-hours H] [--rebalance-gas N] [--widths W1,W2,...]",
+    "  farm-status <tokenId> [owner|label] [--farming-center <address>] [--eternal-farming <address>] [--block <number|tag>]",
     "  farm-staked-summary [owner|label] [--active-only] [--farming-center <address>] [--eternal-farming <address>]",
     "  farm-approve-plan <tokenId> [owner|label] [--farming-center <address>] [--eternal-farming <address>]",
     "  farm-enter-plan <tokenId> [owner|label] [--auto-key | --reward-token <address> --bonus-reward-token <address> --pool <address> --nonce <N>] [--farming-center <address>] [--eternal-farming <address>]",
     "  farm-collect-plan <tokenId> [owner|label] [--auto-key | --reward-token <address> --bonus-reward-token <address> --pool <address> --nonce <N>] [--farming-center <address>] [--eternal-farming <address>]",
     "  farm-claim-plan <rewardToken> [owner|label] [--to <address|label>] --amount <decimal|max> [--farming-center <address>] [--eternal-farming <address>]",
     "  farm-exit-plan <tokenId> [owner|label] [--auto-key | --reward-token <address> --bonus-reward-token <address> --pool <address> --nonce <N>] [--farming-center <address>] [--eternal-farming <address>]",
-    "  heartbeat|heartbeat-plan <tokenId> [owner|label] [--recipient <address|label>] [--policy <name>] [--edge-bps N] [--width-bump-ticks N] [--slippage-bps N] [--deadline-seconds N] [--farming-center <address>] [--eternal-farming <address>] [--autonomous|--no-next-steps]",
+    "  heartbeat|heartbeat-plan <tokenId> [owner|label] [--recipient <address|label>] [--policy <name>] [--edge-bps N] [--width-bump-ticks N | --width-mode fixed|volatility [--horizon-hours H] [--in-range-pct P] [--vol-lookback-blocks N]] [--slippage-bps N] [--deadline-seconds N] [--farming-center <address>] [--eternal-farming <address>] [--autonomous|--no-next-steps] [--quorum N]",
     "  swap-verify <txHash> [owner|label]",
     "  mint-verify|verify-mint <txHash> [owner|label]",
     "  farm-verify|verify-farm <txHash> [owner|label]",
     "  tx-verify|verify-tx <txHash> [owner|label]",
-    "  mint-plan|lp-mint-plan <tokenA> <tokenB> --amount-a <decimal> --amount-b <decimal> [owner|label] [--recipient <address|label>] [--deployer <address>] [--tick-lower N --tick-upper N | --width-ticks N --center-tick N] [--policy <name>] [--slippage-bps N] [--deadline-seconds N] [--approve-max] [--allow-out-of-range]",
-    "  withdraw|withdraw-plan <tokenId> [owner|label] [--recipient <address|label>] [--deadline-seconds N] [--allow-burn]",
-    "  plan <tokenId> [owner|label] [--recipient <address|label>] [--policy <name>] [--edge-bps N] [--width-bump-ticks N] [--slippage-bps N] [--deadline-seconds N] [--amount0 <decimal> --amount1 <decimal>] [--allow-burn]",
+    "  mint-plan|lp-mint-plan <tokenA> <tokenB> --amount-a <decimal> --amount-b <decimal> [owner|label] [--recipient <address|label>] [--deployer <address>] [--tick-lower N --tick-upper N | --width-ticks N --center-tick N] [--width-mode fixed|volatility [--horizon-hours H] [--in-range-pct P] [--vol-lookback-blocks N]] [--policy <name>] [--slippage-bps N] [--deadline-seconds N] [--approve-max] [--allow-out-of-range]",
+    "  increase-plan|increase-liquidity-plan|add-liquidity-plan <tokenId> --amount0 <decimal|max> --amount1 <decimal|max> [owner|label] [--policy <name>] [--slippage-bps N] [--deadline-seconds N] [--approve-max]",
+    "  compound-plan|compound-fees-plan <tokenId> [owner|label] [--policy <name>] [--slippage-bps N] [--deadline-seconds N] [--no-swap] [--approve-max]",
+    "  withdraw|withdraw-plan <tokenId> [owner|label] [--recipient <address|label>] [--percent N | --liquidity <raw>] [--policy <name>] [--slippage-bps N] [--deadline-seconds N] [--allow-burn]",
+    "  plan <tokenId> [owner|label] [--recipient <address|label>] [--policy <name>] [--edge-bps N] [--width-bump-ticks N | --width-mode fixed|volatility [--horizon-hours H] [--in-range-pct P] [--vol-lookback-blocks N]] [--slippage-bps N] [--deadline-seconds N] [--amount0 <decimal> --amount1 <decimal>] [--allow-burn] [--quorum N]",
+    "  sign|sign-plan --plan <plan.json|plan.txt> --keystore <keystore.json> --nonce N [--password-file <path>] [--step N] [--gas-limit N] [--gas-buffer-bps N] (--max-fee-gwei X [--priority-fee-gwei Y] | --legacy --gas-price-gwei X) [--allow-no-sender]",
+    "  execute-plan|exec-plan --plan <plan.json|plan.txt> (--keystore <keystore.json> [--password-file <path>] | --signer-cmd \"<command>\" [--signer-address <address>] | --env-key) [--journal <path>] [--resign-replaced] [--allow-no-sender] [--gas-buffer-bps N] [--max-fee-gwei X] [--priority-fee-gwei Y] [--legacy [--gas-price-gwei X]] --yes SEND",
     "  broadcast-raw <0xSignedTx> --yes SEND [--no-wait]",
     "  swap-broadcast <0xSignedTx> --yes SEND [--no-wait] (alias of broadcast-raw)",
     "",
@@ -7817,19 +10813,338 @@ function usage() {
     "  - output always prints full addresses/call data (no truncation).",
     "  - defaults source: policy.defaults.json",
     "  - --json returns the versioned machine contract; --strict disables NL fallback.",
+    "  - plans save their fingerprints to the plan store, until the plan's deadline, so broadcast-raw will send them; --no-record-plan writes nothing.",
     "  - Rebalance (`plan`) and mint (`mint-plan`) are FORCE-STAKED on success.",
     "    - rebalance path: `exit/claim -> mint -> enterFarming`",
     "    - first-time mint path: `mint -> enterFarming`",
     "    - this behavior is mandatory and cannot be disabled.",
     "  - withdraw/withdraw-plan is exit-only (collect -> decrease -> collect), no auto-compound.",
+    "  - swaps use exactInput path routing when --via is set or routing metadata declares a multi-hop route.",
+    "  - execute-plan without --yes SEND only reports journal progress; with it, steps are signed, sent, and tx-verified one at a time and resume from the journal.",
+    "  - sign is offline-only: keystore password comes from KRLP_KEYSTORE_PASSWORD or --password-file, never argv.",
+    "  - broadcast-raw only sends txs matching an unexpired plan fingerprint (chain id + to + value + data) saved by a plan command.",
+    "  - broadcast-raw decodes and replays the signed tx first; chain id mismatch, nonce gap, unknown selector, or a simulated revert blocks the send.",
+    "  - --amount-out switches swap-quote/swap-plan to exactOutput; slippage-bps bounds the maximum input.",
     `  - heartbeat default rebalance threshold: ${DEFAULT_HEARTBEAT.edgeBps} bps (${(DEFAULT_HEARTBEAT.edgeBps / 100).toFixed(2)}%).`,
     `  - heartbeat default widen-on-rebalance policy: +${DEFAULT_HEARTBEAT.widthBumpTicks} ticks.`,
   ].join("\n");
 }
 
-async function cmdAprEstimate({ poolAddress, tokenIdRaw, halfRangeTicks, sampleBlocks, hypePriceOverride } = {}) {
+const DEFAULT_BACKTEST_WINDOW_BLOCKS = 7200;
+const DEFAULT_SIM_CAPITAL = "1000";
+// unstake + decrease/collect + burn + approve/swap + mint + approve/stake, per rebalance
+const DEFAULT_REBALANCE_GAS = 1_500_000;
+
+// Replays a Swap-log tick path against the heartbeat policy with one hypothetical position.
+// Before each swap the position earns its liquidity share L / (L + pool L) of the swap input
+// times the fee, if the pre-swap tick is in range. A check (after every swap, or every
+// intervalBlocks) runs evaluateRebalanceNeed; a trigger withdraws at the current price,
+// re-centers via computeCenteredRangeWithWidthBump, swaps to the new range's ratio paying
+// the pool fee, and mints again. Values are raw token1 at the price of the moment.
+function simulateHeartbeatPolicy({
+  swaps,
+  startTick,
+  startSqrtPriceX96,
+  fromBlock,
+  toBlock,
+  tickSpacing,
+  initialRange,
+  edgeBps,
+  widthBumpTicks,
+  intervalBlocks = 0,
+  feePpm,
+  capital1Raw,
+}) {
+  let tick = startTick;
+  let sqrtPriceX96 = startSqrtPriceX96;
+  let range = { tickLower: initialRange.tickLower, tickUpper: initialRange.tickUpper };
+  const feeOf = (amount) => (amount * BigInt(feePpm)) / 1_000_000n;
+  const in1 = (amount0, amount1) => positionValueInToken1Raw({ amount0, amount1, sqrtPriceX96 });
+
+  // fills (held0, held1) into the range at the current price; the swap pays the pool fee
+  const deploy = (held0, held1) => {
+    const sw = swapToRangeRatio({ tick, sqrtPriceX96, tickLower: range.tickLower, tickUpper: range.tickUpper, amount0: held0, amount1: held1 });
+    const fee = feeOf(sw.amountIn);
+    let amount0 = held0;
+    let amount1 = held1;
+    if (sw.zeroForOne) {
+      amount0 -= sw.amountIn;
+      amount1 += in1(sw.amountIn - fee, 0n);
+    } else {
+      amount1 -= sw.amountIn;
+      amount0 += mulDiv(sw.amountIn - fee, Q192, sqrtPriceX96 * sqrtPriceX96);
+    }
+    const liquidity = getLiquidityForAmounts(sqrtPriceX96, getSqrtRatioAtTick(range.tickLower), getSqrtRatioAtTick(range.tickUpper), amount0, amount1);
+    return { liquidity, swapIn1: sw.zeroForOne ? in1(sw.amountIn, 0n) : sw.amountIn, swapCost1: sw.zeroForOne ? in1(fee, 0n) : fee };
+  };
+
+  const entry = deploy(0n, capital1Raw);
+  let { liquidity } = entry;
+  const inRange = () => tick >= range.tickLower && tick < range.tickUpper;
+  const out = { rebalances: [], inRangeBlocks: 0, fees1: 0n, entrySwapCost1: entry.swapCost1, swapCost1: entry.swapCost1, swapsInRange: 0 };
+  let cursor = fromBlock;
+  const advance = (block) => {
+    if (inRange()) out.inRangeBlocks += block - cursor;
+    cursor = block;
+  };
+  const check = (blockNumber) => {
+    const evald = evaluateRebalanceNeed({ currentTick: tick, tickLower: range.tickLower, tickUpper: range.tickUpper, edgeBps });
+    if (!evald.shouldRebalance) return;
+    const held = positionAmountsForLiquidity({ tick, sqrtPriceX96, tickLower: range.tickLower, tickUpper: range.tickUpper, liquidity });
+    const from = range;
+    range = computeCenteredRangeWithWidthBump({ currentTick: tick, tickLower: from.tickLower, tickUpper: from.tickUpper, tickSpacing, widthBumpTicks }).rec;
+    const next = deploy(held.amount0, held.amount1);
+    liquidity = next.liquidity;
+    out.swapCost1 += next.swapCost1;
+    out.rebalances.push({ blockNumber, tick, reason: evald.reason, from, to: range, swapIn1: next.swapIn1, swapCost1: next.swapCost1 });
+  };
+
+  let nextCheck = intervalBlocks > 0 ? fromBlock + intervalBlocks : null;
+  for (const sw of swaps) {
+    while (nextCheck != null && nextCheck < sw.blockNumber) {
+      advance(nextCheck);
+      check(nextCheck);
+      nextCheck += intervalBlocks;
+    }
+    advance(sw.blockNumber);
+    if (inRange() && sw.liquidity + liquidity > 0n) {
+      out.swapsInRange += 1;
+      const share = (amount) => (feeOf(amount) * liquidity) / (sw.liquidity + liquidity);
+      out.fees1 += sw.amount0 > 0n ? in1(share(sw.amount0), 0n) : share(sw.amount1 > 0n ? sw.amount1 : 0n);
+    }
+    tick = sw.tick;
+    sqrtPriceX96 = sw.priceSqrtX96;
+    if (intervalBlocks === 0) check(sw.blockNumber);
+  }
+  while (nextCheck != null && nextCheck <= toBlock) {
+    advance(nextCheck);
+    check(nextCheck);
+    nextCheck += intervalBlocks;
+  }
+  advance(toBlock + 1);
+
+  const held = positionAmountsForLiquidity({ tick, sqrtPriceX96, tickLower: range.tickLower, tickUpper: range.tickUpper, liquidity });
+  return { ...out, range, tick, sqrtPriceX96, liquidity, endValue1: in1(held.amount0, held.amount1), totalBlocks: toBlock - fromBlock + 1 };
+}
+
+async function cmdBacktest({
+  poolRef,
+  fromBlockRef = "",
+  toBlockRef = "",
+  edgeBpsRef = "",
+  widthBumpTicksRef = "",
+  initialWidthRef = "",
+  intervalBlocksRef = "",
+  capitalRef = "",
+  rebalanceGasRef = "",
+}) {
+  const pool = assertAddress(poolRef);
+  const head = (await withRpcRetry(() => rpcBlockNumber())).decimal;
+  const toBlock = parseOptionalInteger(toBlockRef, head, { field: "--to-block", min: 1 });
+  if (toBlock > head) throw new Error(`--to-block ${toBlock} is past the chain head ${head}`);
+  const fromBlock = parseOptionalInteger(fromBlockRef, Math.max(1, toBlock - DEFAULT_BACKTEST_WINDOW_BLOCKS), { field: "--from-block", min: 1 });
+  if (fromBlock > toBlock) throw new Error(`--from-block ${fromBlock} is after --to-block ${toBlock}`);
+  const edgeBps = parseBps(String(edgeBpsRef).trim() === "" ? Number.NaN : edgeBpsRef, DEFAULT_HEARTBEAT.edgeBps, { min: 0, max: 10_000 });
+  const widthBumpTicks = parseNonNegativeIntegerOrDefault(widthBumpTicksRef, DEFAULT_HEARTBEAT.widthBumpTicks, "width-bump-ticks");
+  const intervalBlocks = parseNonNegativeIntegerOrDefault(intervalBlocksRef, 0, "interval-blocks");
+  const capital = Number(parsePositiveDecimal(capitalRef || DEFAULT_SIM_CAPITAL, { field: "--capital" }));
+  const rebalanceGas = parseNonNegativeIntegerOrDefault(rebalanceGasRef, DEFAULT_REBALANCE_GAS, "rebalance-gas");
+
+  const [token0, token1, tickSpacing] = await Promise.all([
+    withRpcRetry(() => readPoolToken0(pool)),
+    withRpcRetry(() => readPoolToken1(pool)),
+    withRpcRetry(() => readPoolTickSpacing(pool)),
+  ]);
+  const tokenMetaCache = new Map();
+  const [meta0, meta1] = await Promise.all([token0, token1].map(async (address) => (await readTokenMetaCached(address, { cache: tokenMetaCache })) || { address, symbol: "?", decimals: 18 }));
+  // the state before the first replayed block needs an archive RPC; otherwise start at the first swap
+  const startState = await withRpcRetry(() => readPoolGlobalState(pool, { blockTag: toHexQuantity(BigInt(fromBlock - 1)) })).catch(() => null);
+  const endState = await withRpcRetry(() => readPoolGlobalState(pool, { blockTag: toHexQuantity(BigInt(toBlock)) }));
+
+  const logScan = await fetchAddressLogsWindow({ address: pool, fromBlock, toBlock, topic0: POOL_SWAP_TOPIC0 });
+  const swaps = logScan.logs.map((l) => decodePoolSwapLog(l)).filter(Boolean);
+  const start = startState
+    ? { tick: startState.tick, sqrtPriceX96: startState.priceSqrtX96, source: `globalState at block ${fromBlock - 1}` }
+    : swaps.length
+      ? { tick: swaps[0].tick, sqrtPriceX96: swaps[0].priceSqrtX96, source: `first swap at block ${swaps[0].blockNumber} (state before block ${fromBlock} unavailable)` }
+      : null;
+  if (!start) throw new Error(`No pool state before block ${fromBlock} and no swaps in blocks ${fromBlock}..${toBlock}`);
+
+  const stableQuoteCtx = createStableQuoteContext({ blockTag: toHexQuantity(BigInt(toBlock)) });
+  const stableMeta = await readTokenMetaCached(DEFAULT_USD_STABLE_TOKEN, { cache: stableQuoteCtx.tokenMetaCache });
+  const [quote0, quote1, quoteHype, gasPriceHex] = await Promise.all([
+    quoteStablePerWholeToken(token0, meta0.decimals, { stableQuoteCtx }),
+    quoteStablePerWholeToken(token1, meta1.decimals, { stableQuoteCtx }),
+    quoteStablePerWholeToken(WHYPE_TOKEN_ADDRESS, 18, { stableQuoteCtx }),
+    withRpcRetry(() => rpcGasPrice()).catch(() => null),
+  ]);
+  const mark1 = quote1?.stablePerToken ?? null;
+  if (mark1 == null || !(mark1 > 0)) throw new Error(`No ${stableMeta?.symbol || "stable"} mark for ${meta1.symbol} at block ${toBlock}; capital and results cannot be valued`);
+  const stableSymbol = stableMeta?.symbol || "USD";
+  const value = (raw1) => (unitsToNumber(raw1, meta1.decimals) ?? 0) * mark1;
+
+  const spacing = Math.max(1, Math.abs(Number(tickSpacing)));
+  const initialWidth = parseOptionalInteger(initialWidthRef, null, { field: "--initial-width", min: spacing * 2, max: MAX_ALGEBRA_TICK - MIN_ALGEBRA_TICK });
+  const initialRange = resolveMintRangeSelection({ widthTicksRef: initialWidth, poolTick: start.tick, spacing });
+  const capital1Raw = BigInt(Math.floor((capital / mark1) * 10 ** meta1.decimals));
+  const sim = simulateHeartbeatPolicy({
+    swaps,
+    startTick: start.tick,
+    startSqrtPriceX96: start.sqrtPriceX96,
+    fromBlock,
+    toBlock,
+    tickSpacing: spacing,
+    initialRange,
+    edgeBps,
+    widthBumpTicks,
+    intervalBlocks,
+    feePpm: endState.lastFee,
+    capital1Raw,
+  });
+
+  const gasPriceWei = gasPriceHex ? BigInt(gasPriceHex) : null;
+  const hypeMark = quoteHype?.stablePerToken ?? null;
+  const gasWei = gasPriceWei == null ? null : BigInt(rebalanceGas) * gasPriceWei * BigInt(sim.rebalances.length);
+  const gasCost = gasWei == null || hypeMark == null ? null : (unitsToNumber(gasWei, 18) ?? 0) * hypeMark;
+  const fees = value(sim.fees1);
+  const swapCost = value(sim.swapCost1);
+  const net = gasCost == null ? null : fees - swapCost - gasCost;
+  const [blockFrom, blockTo] = await Promise.all([fromBlock, toBlock].map((n) => rpcGetBlockByNumber(toHexQuantity(BigInt(n))).catch(() => null)));
+  const hours = blockFrom?.timestamp && blockTo?.timestamp ? Number(BigInt(blockTo.timestamp) - BigInt(blockFrom.timestamp)) / 3600 : null;
+  const valueText = (v) => (v == null ? "n/a" : `${fmtNum(v, { dp: 6 })} ${stableSymbol}`);
+  const rangeText = (r) => `[${r.tickLower}, ${r.tickUpper}]`;
+
+  const lines = [];
+  lines.push("Kittenswap heartbeat backtest");
+  lines.push(`- pool: ${pool} (${meta0.symbol}/${meta1.symbol}, tick spacing ${spacing})`);
+  lines.push(`- window: blocks ${fromBlock}..${toBlock} (${sim.totalBlocks} blocks${hours == null ? "" : `, ${fmtNum(hours, { dp: 2 })}h`})`);
+  lines.push(`- tick path: ${swaps.length} Swap logs via eth_getLogs (${logScan.requests} requests, ${logScan.chunkBlocks}-block chunks)`);
+  lines.push(`- start: tick ${start.tick} from ${start.source}`);
+  lines.push(`- policy: edgeBps ${edgeBps}, widthBumpTicks ${widthBumpTicks}, initial width ${initialRange.tickUpper - initialRange.tickLower} ticks ${rangeText(initialRange)}`);
+  lines.push(`- checks: ${intervalBlocks > 0 ? `every ${intervalBlocks} blocks` : "after every swap"}`);
+  lines.push(`- capital: ${fmtNum(capital, { dp: 2 })} ${stableSymbol} deployed at the start price`);
+  lines.push("- result:");
+  lines.push(`  - rebalances: ${sim.rebalances.length}`);
+  lines.push(`  - time in range: ${((sim.inRangeBlocks / sim.totalBlocks) * 100).toFixed(2)}% (${sim.inRangeBlocks} of ${sim.totalBlocks} blocks)`);
+  lines.push(`  - ending width: ${sim.range.tickUpper - sim.range.tickLower} ticks ${rangeText(sim.range)}`);
+  lines.push(`  - ending tick: ${sim.tick} (${sim.tick >= sim.range.tickLower && sim.tick < sim.range.tickUpper ? "in range" : "out of range"})`);
+  lines.push(`  - fees earned: ${valueText(fees)} (${sim.swapsInRange} of ${swaps.length} swaps in range)`);
+  lines.push(`  - swap costs: ${valueText(swapCost)} (pool fee on the entry swap, ${valueText(value(sim.entrySwapCost1))}, and ${sim.rebalances.length} re-centering swaps)`);
+  lines.push(`  - gas costs: ${valueText(gasCost)} (${sim.rebalances.length} x ${rebalanceGas} gas at ${gasPriceWei == null ? "n/a" : `${formatUnits(gasPriceWei, 9, { precision: 4 })} gwei`}, HYPE at ${hypeMark == null ? "n/a" : fmtNum(hypeMark, { dp: 6 })} ${stableSymbol})`);
+  lines.push(`  - net of costs: ${net == null ? "n/a" : `${net >= 0 ? "+" : ""}${fmtNum(net, { dp: 6 })} ${stableSymbol}`}`);
+  lines.push(`  - position value at end: ${valueText(value(sim.endValue1))} (principal only, fees not compounded)`);
+  if (sim.rebalances.length) {
+    lines.push("- rebalance log:");
+    const shown = sim.rebalances.slice(0, 20);
+    for (const [i, r] of shown.entries()) {
+      lines.push(`  - #${i + 1} block ${r.blockNumber}: tick ${r.tick} (${r.reason}) ${rangeText(r.from)} -> ${rangeText(r.to)} width ${r.to.tickUpper - r.to.tickLower}, swap cost ${valueText(value(r.swapCost1))}`);
+    }
+    if (sim.rebalances.length > shown.length) lines.push(`  - ... ${sim.rebalances.length - shown.length} more`);
+  }
+  lines.push("- assumptions:");
+  lines.push(`  - fee rate: ${endState.lastFee} ppm (pool fee at block ${toBlock}) for every swap`);
+  lines.push("  - fee share: L / (L + pool L after the swap) of each swap input while the pre-swap tick is in range; no tick crossing within a swap");
+  lines.push("  - rebalance swap: pool fee only, no price impact; gas priced now");
+  lines.push(`  - marks: ${stableSymbol} at block ${toBlock}: 1 ${meta0.symbol} = ${quote0?.stablePerToken == null ? "n/a" : fmtNum(quote0.stablePerToken, { dp: 6 })}, 1 ${meta1.symbol} = ${fmtNum(mark1, { dp: 6 })}`);
+  lines.push("- hint: compare settings by rerunning with other --edge-bps / --width-bump-ticks over the same window (the defaults are heartbeat.edgeBps and heartbeat.widthBumpTicks in policy.defaults.json)");
+  return lines.join("\n");
+}
+
+// Stable marks for a pool's tokens; WHYPE/stable pools fall back to their own price when a quote fails.
+async function resolvePoolStableMarks({ token0, token1, token0Meta, token1Meta, gs, stableQuoteCtx, hypePriceOverride = null }) {
+  const token0StableQuote = await quoteStablePerWholeToken(token0, token0Meta.decimals, { stableQuoteCtx });
+  const token1StableQuote = await quoteStablePerWholeToken(token1, token1Meta.decimals, { stableQuoteCtx });
+
+  let mark0 = token0StableQuote?.stablePerToken ?? null;
+  let mark1 = token1StableQuote?.stablePerToken ?? null;
+  const stableSymbol = token0StableQuote?.stableSymbol || token1StableQuote?.stableSymbol || "USD";
+  const poolPrice1Per0 = sqrtPriceX96ToPrice(gs.priceSqrtX96, { decimals0: token0Meta.decimals, decimals1: token1Meta.decimals });
+  if (token0 === WHYPE_TOKEN_ADDRESS && Number.isFinite(hypePriceOverride)) mark0 = Number(hypePriceOverride);
+  if (token1 === WHYPE_TOKEN_ADDRESS && Number.isFinite(hypePriceOverride)) mark1 = Number(hypePriceOverride);
+  if (token0 === WHYPE_TOKEN_ADDRESS && !Number.isFinite(mark0) && token1 === DEFAULT_USD_STABLE_TOKEN) mark0 = poolPrice1Per0;
+  if (token1 === WHYPE_TOKEN_ADDRESS && !Number.isFinite(mark1) && token0 === DEFAULT_USD_STABLE_TOKEN && poolPrice1Per0 > 0) mark1 = 1 / poolPrice1Per0;
+  if (token0 === DEFAULT_USD_STABLE_TOKEN && !Number.isFinite(mark0)) mark0 = 1;
+  if (token1 === DEFAULT_USD_STABLE_TOKEN && !Number.isFinite(mark1)) mark1 = 1;
+  return { mark0, mark1, stableSymbol, poolPrice1Per0 };
+}
+
+// Pool-wide fee APR from sampled Swap logs: each swap's input at the stable marks times the
+// latest fee rate, annualized over the window, over the virtual TVL of in-range liquidity.
+async function samplePoolFeeFlow({ pool, gs, liquidity, token0Meta, token1Meta, mark0, mark1, fromBlock, toBlock, windowSeconds, blockTag = "latest" }) {
+  const virtualReserves = await readPoolVirtualReserves(pool, { blockTag }).catch(() => null);
+  let reserve0 = null;
+  let reserve1 = null;
+  if (virtualReserves) {
+    reserve0 = unitsToNumber(virtualReserves.reserve0, token0Meta.decimals, { precision: 18 });
+    reserve1 = unitsToNumber(virtualReserves.reserve1, token1Meta.decimals, { precision: 18 });
+  } else if (gs.priceSqrtX96 > 0n) {
+    // Virtual reserves of in-range liquidity: x = L / sqrtP, y = L * sqrtP.
+    reserve0 = unitsToNumber((liquidity * Q96) / gs.priceSqrtX96, token0Meta.decimals, { precision: 18 });
+    reserve1 = unitsToNumber((liquidity * gs.priceSqrtX96) / Q96, token1Meta.decimals, { precision: 18 });
+  }
+  const reserve0Stable = Number.isFinite(reserve0) && Number.isFinite(mark0) ? reserve0 * mark0 : null;
+  const reserve1Stable = Number.isFinite(reserve1) && Number.isFinite(mark1) ? reserve1 * mark1 : null;
+  const poolTvlStable = Number.isFinite(reserve0Stable) && Number.isFinite(reserve1Stable)
+    ? reserve0Stable + reserve1Stable
+    : null;
+
+  const logScan = await fetchAddressLogsWindow({
+    address: pool,
+    fromBlock,
+    toBlock,
+    topic0: POOL_SWAP_TOPIC0,
+  });
+  const decodedSwaps = logScan.logs.map((l) => decodePoolSwapLog(l)).filter(Boolean);
+
+  const feeRate = gs.lastFee / 1_000_000;
+  let sampledVolumeStable = 0;
+  let sampledFeesStable = 0;
+  let sampledIn0Raw = 0n;
+  let sampledIn1Raw = 0n;
+
+  for (const sw of decodedSwaps) {
+    const in0Raw = sw.amount0 > 0n ? sw.amount0 : 0n;
+    const in1Raw = sw.amount1 > 0n ? sw.amount1 : 0n;
+    sampledIn0Raw += in0Raw;
+    sampledIn1Raw += in1Raw;
+    const in0 = unitsToNumber(in0Raw, token0Meta.decimals, { precision: 18 }) || 0;
+    const in1 = unitsToNumber(in1Raw, token1Meta.decimals, { precision: 18 }) || 0;
+    const inStable = (
+      (Number.isFinite(mark0) ? in0 * mark0 : 0)
+      + (Number.isFinite(mark1) ? in1 * mark1 : 0)
+    );
+    sampledVolumeStable += inStable;
+    sampledFeesStable += inStable * feeRate;
+  }
+
+  const dailyVolumeStable = windowSeconds ? (sampledVolumeStable * 86_400) / windowSeconds : null;
+  const dailyFeesStable = windowSeconds ? (sampledFeesStable * 86_400) / windowSeconds : null;
+  const annualFeeStable = windowSeconds ? (sampledFeesStable * SECONDS_PER_YEAR) / windowSeconds : null;
+  const poolApr = (annualFeeStable != null && Number.isFinite(poolTvlStable) && poolTvlStable > 0)
+    ? annualFeeStable / poolTvlStable
+    : null;
+
+  return {
+    reserve0,
+    reserve1,
+    poolTvlStable,
+    logScan,
+    decodedSwaps,
+    sampledIn0Raw,
+    sampledIn1Raw,
+    sampledVolumeStable,
+    sampledFeesStable,
+    dailyVolumeStable,
+    dailyFeesStable,
+    poolApr,
+  };
+}
+
+async function cmdAprEstimate({ poolAddress, tokenIdRaw, halfRangeTicks, sampleBlocks, hypePriceOverride, blockRef = "" } = {}) {
+  const blockTag = parseBlockTag(blockRef);
   const lines = [];
   lines.push("=== KittenSwap LP APR Estimate ===");
+  pushBlockPinLine(lines, blockTag);
 
   const requestedSampleBlocks = parseNonNegativeIntegerOrDefault(sampleBlocks, 7200, "sample-blocks");
   const effectiveSampleBlocks = Math.max(100, Math.min(requestedSampleBlocks, 25_000));
@@ -7842,35 +11157,38 @@ async function cmdAprEstimate({ poolAddress, tokenIdRaw, halfRangeTicks, sampleB
 
   if (tokenIdRaw) {
     const tokenId = parseTokenId(tokenIdRaw);
-    const pos = await readPosition(tokenId);
+    const pos = await readPosition(tokenId, { blockTag });
     token0 = pos.token0;
     token1 = pos.token1;
     if (!pool) {
-      pool = await readPoolAddressByPair(token0, token1);
+      pool = await readPoolAddressByPair(token0, token1, { blockTag });
       if (!pool) throw new Error(`Could not resolve pool for tokenId ${tokenId.toString()} pair ${token0}/${token1}`);
     }
   }
 
   if (!pool) {
-    pool = await readPoolAddressByPair(defaultToken0, defaultToken1);
+    pool = await readPoolAddressByPair(defaultToken0, defaultToken1, { blockTag });
     if (!pool) throw new Error("Could not resolve default WHYPE/stable pool address");
   }
   if (!token0 || !token1) {
     [token0, token1] = await Promise.all([
-      readPoolToken0(pool),
-      readPoolToken1(pool),
+      readPoolToken0(pool, { blockTag }),
+      readPoolToken1(pool, { blockTag }),
     ]);
   }
 
   const [token0Meta, token1Meta, gs, liquidity, tickSpacing, latestBlockInfo] = await Promise.all([
     readTokenSnapshot(token0),
     readTokenSnapshot(token1),
-    readPoolGlobalState(pool),
-    readPoolLiquidity(pool),
-    readPoolTickSpacing(pool),
-    rpcBlockNumber(),
+    readPoolGlobalState(pool, { blockTag }),
+    readPoolLiquidity(pool, { blockTag }),
+    readPoolTickSpacing(pool, { blockTag }),
+    blockTag === "latest"
+      ? rpcBlockNumber()
+      : rpcGetBlockByNumber(blockTag).then((b) => ({ decimal: Number(BigInt(b.number)) })),
   ]);
 
+  // a pinned block ends the swap-log sample there, so the APR reflects flow up to that block only
   const latestBlock = latestBlockInfo.decimal;
   const fromBlock = Math.max(0, latestBlock - effectiveSampleBlocks);
   const fromBlockHex = toHexQuantity(BigInt(fromBlock));
@@ -7885,91 +11203,56 @@ async function cmdAprEstimate({ poolAddress, tokenIdRaw, halfRangeTicks, sampleB
 
   const currentTick = gs.tick;
   const feePpm = gs.lastFee;
-  const stableQuoteCtx = createStableQuoteContext();
-  const token0StableQuote = await quoteStablePerWholeToken(token0, token0Meta.decimals, { stableQuoteCtx });
-  const token1StableQuote = await quoteStablePerWholeToken(token1, token1Meta.decimals, { stableQuoteCtx });
-
-  let token0StablePerToken = token0StableQuote?.stablePerToken ?? null;
-  let token1StablePerToken = token1StableQuote?.stablePerToken ?? null;
-  const stableSymbol = token0StableQuote?.stableSymbol || token1StableQuote?.stableSymbol || "USD";
-  const impliedHypePrice = sqrtPriceX96ToHypePrice(gs.priceSqrtX96);
-  if (token0 === WHYPE_TOKEN_ADDRESS && Number.isFinite(hypePriceOverride)) token0StablePerToken = Number(hypePriceOverride);
-  if (token1 === WHYPE_TOKEN_ADDRESS && Number.isFinite(hypePriceOverride)) token1StablePerToken = Number(hypePriceOverride);
-  if (token0 === WHYPE_TOKEN_ADDRESS && !Number.isFinite(token0StablePerToken) && token1 === DEFAULT_USD_STABLE_TOKEN) token0StablePerToken = impliedHypePrice;
-  if (token1 === WHYPE_TOKEN_ADDRESS && !Number.isFinite(token1StablePerToken) && token0 === DEFAULT_USD_STABLE_TOKEN) token1StablePerToken = impliedHypePrice;
-  if (token0 === DEFAULT_USD_STABLE_TOKEN && !Number.isFinite(token0StablePerToken)) token0StablePerToken = 1;
-  if (token1 === DEFAULT_USD_STABLE_TOKEN && !Number.isFinite(token1StablePerToken)) token1StablePerToken = 1;
+  const stableQuoteCtx = createStableQuoteContext({ blockTag });
+  const {
+    mark0: token0StablePerToken,
+    mark1: token1StablePerToken,
+    stableSymbol,
+  } = await resolvePoolStableMarks({ token0, token1, token0Meta, token1Meta, gs, stableQuoteCtx, hypePriceOverride });
 
   lines.push(`Pool: ${pool}`);
   lines.push(`Pair: ${token0Meta.symbol}/${token1Meta.symbol} (${token0}/${token1})`);
   lines.push(`Current tick: ${currentTick}`);
-  lines.push(`Fee rate (latest block): ${feePpm} ppm = ${(feePpm / 10_000).toFixed(4)}%`);
+  lines.push(`Fee rate (${blockTag === "latest" ? "latest block" : `block ${latestBlock}`}): ${feePpm} ppm = ${(feePpm / 10_000).toFixed(4)}%`);
   lines.push(`In-range liquidity: ${liquidity.toString()}`);
   lines.push(`Sampling window: blocks ${fromBlock}..${latestBlock} (${effectiveSampleBlocks} blocks requested${requestedSampleBlocks !== effectiveSampleBlocks ? `; clamped from ${requestedSampleBlocks}` : ""})`);
   lines.push(`Sampling duration: ${windowSeconds == null ? "n/a" : `${fmtNum(windowSeconds / 3600, { dp: 2 })}h (${windowSeconds}s)`}`);
   lines.push(`Mark price: 1 ${token0Meta.symbol} ≈ ${Number.isFinite(token0StablePerToken) ? fmtNum(token0StablePerToken, { dp: 8 }) : "n/a"} ${stableSymbol}`);
   lines.push(`Mark price: 1 ${token1Meta.symbol} ≈ ${Number.isFinite(token1StablePerToken) ? fmtNum(token1StablePerToken, { dp: 8 }) : "n/a"} ${stableSymbol}`);
 
-  const virtualReserves = await readPoolVirtualReserves(pool).catch(() => null);
-  let reserve0 = null;
-  let reserve1 = null;
-  if (virtualReserves) {
-    reserve0 = unitsToNumber(virtualReserves.reserve0, token0Meta.decimals, { precision: 18 });
-    reserve1 = unitsToNumber(virtualReserves.reserve1, token1Meta.decimals, { precision: 18 });
-  } else {
-    const sqrtC = Number(gs.priceSqrtX96) / Number(2n ** 96n);
-    reserve0 = (Number(liquidity) / sqrtC) / 10 ** token0Meta.decimals;
-    reserve1 = (Number(liquidity) * sqrtC) / 10 ** token1Meta.decimals;
-  }
-  const reserve0Stable = Number.isFinite(reserve0) && Number.isFinite(token0StablePerToken) ? reserve0 * token0StablePerToken : null;
-  const reserve1Stable = Number.isFinite(reserve1) && Number.isFinite(token1StablePerToken) ? reserve1 * token1StablePerToken : null;
-  const poolTvlStable = Number.isFinite(reserve0Stable) && Number.isFinite(reserve1Stable)
-    ? reserve0Stable + reserve1Stable
-    : null;
-
-  lines.push(`Virtual reserves: ${reserve0 == null ? "n/a" : fmtNum(reserve0, { dp: 6 })} ${token0Meta.symbol} + ${reserve1 == null ? "n/a" : fmtNum(reserve1, { dp: 6 })} ${token1Meta.symbol}`);
-  lines.push(`Virtual pool TVL (${stableSymbol}): ${poolTvlStable == null ? "n/a" : fmtNum(poolTvlStable, { dp: 2 })}`);
-
-  const logScan = await fetchAddressLogsWindow({
-    address: pool,
+  const {
+    reserve0,
+    reserve1,
+    poolTvlStable,
+    logScan,
+    decodedSwaps,
+    sampledIn0Raw,
+    sampledIn1Raw,
+    sampledVolumeStable,
+    sampledFeesStable,
+    dailyVolumeStable,
+    dailyFeesStable,
+    poolApr,
+  } = await samplePoolFeeFlow({
+    pool,
+    gs,
+    liquidity,
+    token0Meta,
+    token1Meta,
+    mark0: token0StablePerToken,
+    mark1: token1StablePerToken,
     fromBlock,
     toBlock: latestBlock,
-    topic0: POOL_SWAP_TOPIC0,
-    maxPages: 200,
+    windowSeconds,
+    blockTag,
   });
-  const decodedSwaps = logScan.logs.map((l) => decodePoolSwapLog(l)).filter(Boolean);
-
-  const feeRate = feePpm / 1_000_000;
-  let sampledVolumeStable = 0;
-  let sampledFeesStable = 0;
-  let sampledIn0Raw = 0n;
-  let sampledIn1Raw = 0n;
-
-  for (const sw of decodedSwaps) {
-    const in0Raw = sw.amount0 > 0n ? sw.amount0 : 0n;
-    const in1Raw = sw.amount1 > 0n ? sw.amount1 : 0n;
-    sampledIn0Raw += in0Raw;
-    sampledIn1Raw += in1Raw;
-    const in0 = unitsToNumber(in0Raw, token0Meta.decimals, { precision: 18 }) || 0;
-    const in1 = unitsToNumber(in1Raw, token1Meta.decimals, { precision: 18 }) || 0;
-    const inStable = (
-      (Number.isFinite(token0StablePerToken) ? in0 * token0StablePerToken : 0)
-      + (Number.isFinite(token1StablePerToken) ? in1 * token1StablePerToken : 0)
-    );
-    sampledVolumeStable += inStable;
-    sampledFeesStable += inStable * feeRate;
-  }
 
-  const dailyVolumeStable = windowSeconds ? (sampledVolumeStable * 86_400) / windowSeconds : null;
-  const dailyFeesStable = windowSeconds ? (sampledFeesStable * 86_400) / windowSeconds : null;
-  const annualFeeStable = windowSeconds ? (sampledFeesStable * SECONDS_PER_YEAR) / windowSeconds : null;
-  const poolApr = (annualFeeStable != null && Number.isFinite(poolTvlStable) && poolTvlStable > 0)
-    ? annualFeeStable / poolTvlStable
-    : null;
+  lines.push(`Virtual reserves: ${reserve0 == null ? "n/a" : fmtNum(reserve0, { dp: 6 })} ${token0Meta.symbol} + ${reserve1 == null ? "n/a" : fmtNum(reserve1, { dp: 6 })} ${token1Meta.symbol}`);
+  lines.push(`Virtual pool TVL (${stableSymbol}): ${poolTvlStable == null ? "n/a" : fmtNum(poolTvlStable, { dp: 2 })}`);
 
   lines.push("");
   lines.push("Observed swap-flow sample (on-chain logs):");
-  lines.push(`- source: Hyperscan address logs (${logScan.pages} page${logScan.pages === 1 ? "" : "s"}${logScan.truncated ? ", truncated at page cap" : ""})`);
+  lines.push(`- source: eth_getLogs (${logScan.requests} request${logScan.requests === 1 ? "" : "s"}, ${logScan.chunkBlocks}-block chunks)`);
   lines.push(`- swaps observed: ${decodedSwaps.length}`);
   lines.push(`- sampled token-in: ${formatUnits(sampledIn0Raw, token0Meta.decimals, { precision: 8 })} ${token0Meta.symbol} + ${formatUnits(sampledIn1Raw, token1Meta.decimals, { precision: 8 })} ${token1Meta.symbol}`);
   lines.push(`- sampled notional volume (${stableSymbol}): ${fmtNum(sampledVolumeStable, { dp: 2 })}`);
@@ -7998,7 +11281,7 @@ async function cmdAprEstimate({ poolAddress, tokenIdRaw, halfRangeTicks, sampleB
     const tL = Math.round((currentTick - halfRange) / tickSpacing) * tickSpacing;
     const tU = Math.round((currentTick + halfRange) / tickSpacing) * tickSpacing;
     const inRangeNow = currentTick >= tL && currentTick < tU;
-    const cf = concentrationFactor(currentTick, tL, tU);
+    const cf = concentrationFactor(gs.priceSqrtX96, tL, tU);
     const rangeApr = poolApr == null ? null : inRangeNow ? poolApr * cf : 0;
     const pctRange = ((1.0001 ** halfRange - 1) * 100).toFixed(2);
     lines.push(`  +/-${String(halfRange).padEnd(5)} +/-${pctRange.padStart(6)}%   ${cf.toFixed(1).padStart(8)}x   ${(rangeApr == null ? "n/a" : `${(rangeApr * 100).toFixed(2)}%`).padStart(9)}   ${inRangeNow ? "YES" : "NO "}      ${tL}   ${tU}`);
@@ -8009,18 +11292,19 @@ async function cmdAprEstimate({ poolAddress, tokenIdRaw, halfRangeTicks, sampleB
     lines.push("=== Position APR ===");
     const tokenId = parseTokenId(tokenIdRaw);
     const [pos, nftOwner] = await Promise.all([
-      readPosition(tokenId),
-      readOwnerOf(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager }),
+      readPosition(tokenId, { blockTag }),
+      readOwnerOf(tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager, blockTag }),
     ]);
     const tL = pos.tickLower;
     const tU = pos.tickUpper;
     const inRange = currentTick >= tL && currentTick < tU;
-    const cf = concentrationFactor(currentTick, tL, tU);
+    const cf = concentrationFactor(gs.priceSqrtX96, tL, tU);
     const posApr = poolApr == null ? null : inRange ? poolApr * cf : 0;
 
     const valueSnap = await loadPositionValueSnapshot(tokenId, {
       ownerAddress: nftOwner,
       stableQuoteCtx,
+      blockTag,
     }).catch(() => null);
     const principalStable = valueSnap?.valueInStable?.principal ?? null;
     const claimStable = valueSnap?.valueInStable?.claimable ?? null;
@@ -8038,9 +11322,210 @@ async function cmdAprEstimate({ poolAddress, tokenIdRaw, halfRangeTicks, sampleB
     lines.push(`claimable now (${stableSymbol}): ${claimStable == null ? "n/a" : fmtNum(claimStable, { dp: 4 })}`);
     lines.push(`est. position APR (realized-flow basis): ${posApr == null ? "n/a" : fmtPct(posApr * 100)}`);
     lines.push(`est. annual fee on principal (${stableSymbol}): ${annualFeeStableForPosition == null ? "n/a" : fmtNum(annualFeeStableForPosition, { dp: 4 })}`);
-    lines.push(`uncollected fees (tokensOwed): ${formatUnits(pos.tokensOwed0, token0Meta.decimals, { precision: 8 })} ${token0Meta.symbol} + ${formatUnits(pos.tokensOwed1, token1Meta.decimals, { precision: 8 })} ${token1Meta.symbol}`);
+    const fees = valueSnap?.claimable?.ok ? valueSnap.claimable : null;
+    lines.push(`uncollected fees (fee growth, exact): ${fees ? `${formatUnits(fees.amount0, token0Meta.decimals, { precision: 8 })} ${token0Meta.symbol} + ${formatUnits(fees.amount1, token1Meta.decimals, { precision: 8 })} ${token1Meta.symbol}` : "n/a"}`);
+  }
+
+  return lines.join("\n");
+}
+
+// Candidate total widths: the apr table's half-ranges doubled, or --widths, plus a position's own width.
+function rangeOptimizeCandidateWidths({ widthsRef, spacing, extraWidth = null }) {
+  const raw = String(widthsRef ?? "").trim()
+    ? String(widthsRef).split(",").map((v) => parseInteger(v.trim(), { field: "--widths", min: 1 }))
+    : DEFAULT_APR_HALF_RANGE_TICKS.map((h) => 2 * h);
+  if (extraWidth != null) raw.push(extraWidth);
+  const aligned = raw.map((w) => Math.max(spacing * 2, Math.ceil(w / spacing) * spacing));
+  return [...new Set(aligned)].sort((a, b) => a - b);
+}
+
+// Re-centering swap after the tick has moved triggerTicks from the center of a position
+// deployed at the current price: the position's holdings at the trigger tick, swapped onto
+// a same-width range centered there. Raw amounts; value in raw token1 at the trigger price.
+function rangeOptimizeRebalanceSwap({ tick, sqrtPriceX96, tickLower, tickUpper, liquidity, triggerTicks, direction, spacing }) {
+  const triggerTick = tick + direction * triggerTicks;
+  const triggerSqrtPriceX96 = getSqrtRatioAtTick(triggerTick);
+  const held = positionAmountsForLiquidity({ tick: triggerTick, sqrtPriceX96: triggerSqrtPriceX96, tickLower, tickUpper, liquidity });
+  const next = resolveMintRangeSelection({ widthTicksRef: tickUpper - tickLower, poolTick: triggerTick, spacing });
+  const sw = swapToRangeRatio({ tick: triggerTick, sqrtPriceX96: triggerSqrtPriceX96, tickLower: next.tickLower, tickUpper: next.tickUpper, amount0: held.amount0, amount1: held.amount1 });
+  const notional1 = sw.zeroForOne
+    ? positionValueInToken1Raw({ amount0: sw.amountIn, amount1: 0n, sqrtPriceX96: triggerSqrtPriceX96 })
+    : sw.amountIn;
+  return { ...sw, notional1 };
+}
+
+async function cmdRangeOptimize({
+  targetRef,
+  sampleBlocksRef = "",
+  capitalRef = "",
+  edgeBpsRef = "",
+  checkHoursRef = "",
+  rebalanceGasRef = "",
+  widthsRef = "",
+}) {
+  const target = String(targetRef ?? "").trim();
+  const sampleBlocks = parseOptionalInteger(sampleBlocksRef, 7200, { field: "--sample-blocks", min: 100 });
+  const edgeBps = parseBps(String(edgeBpsRef).trim() === "" ? Number.NaN : edgeBpsRef, DEFAULT_HEARTBEAT.edgeBps, { min: 0, max: 10_000 });
+  const checkHours = Number(parsePositiveDecimal(checkHoursRef || "1", { field: "--check-hours" }));
+  const rebalanceGas = parseNonNegativeIntegerOrDefault(rebalanceGasRef, DEFAULT_REBALANCE_GAS, "rebalance-gas");
+
+  let pool;
+  let deployer;
+  let position = null;
+  if (/^0x/i.test(target)) {
+    pool = assertAddress(target);
+    deployer = findInventoryPairByPool(pool)?.deployer || ZERO_ADDRESS;
+  } else {
+    const tokenId = parseTokenId(target);
+    const pos = await withRpcRetry(() => readPosition(tokenId));
+    deployer = pos.deployer || ZERO_ADDRESS;
+    pool = await withRpcRetry(() => readPoolAddressByPair(pos.token0, pos.token1, { deployer }));
+    if (!pool) throw new Error(`Could not resolve pool for tokenId ${tokenId.toString()} pair ${pos.token0}/${pos.token1}`);
+    position = { tokenId, ...pos };
+  }
+
+  const [token0, token1, tickSpacing, gs, liquidity, head] = await Promise.all([
+    withRpcRetry(() => readPoolToken0(pool)),
+    withRpcRetry(() => readPoolToken1(pool)),
+    withRpcRetry(() => readPoolTickSpacing(pool)),
+    withRpcRetry(() => readPoolGlobalState(pool)),
+    withRpcRetry(() => readPoolLiquidity(pool)),
+    withRpcRetry(() => rpcBlockNumber()).then((b) => b.decimal),
+  ]);
+  const spacing = Math.max(1, Math.abs(Number(tickSpacing)));
+  const [token0Meta, token1Meta] = await Promise.all([readTokenSnapshot(token0), readTokenSnapshot(token1)]);
+  const stableQuoteCtx = createStableQuoteContext();
+  const [{ mark0, mark1, stableSymbol }, quoteHype, gasPriceHex] = await Promise.all([
+    resolvePoolStableMarks({ token0, token1, token0Meta, token1Meta, gs, stableQuoteCtx }),
+    quoteStablePerWholeToken(WHYPE_TOKEN_ADDRESS, 18, { stableQuoteCtx }),
+    withRpcRetry(() => rpcGasPrice()).catch(() => null),
+  ]);
+  if (!Number.isFinite(mark1) || !(mark1 > 0)) throw new Error(`No ${stableSymbol} mark for ${token1Meta.symbol}; candidate widths cannot be valued`);
+
+  const fromBlock = Math.max(1, head - sampleBlocks + 1);
+  const [blockFrom, blockTo] = await Promise.all(
+    [fromBlock, head].map((n) => withRpcRetry(() => rpcGetBlockByNumber(toHexQuantity(BigInt(n)), false))),
+  );
+  const windowSeconds = Math.max(1, Number(BigInt(blockTo?.timestamp || 0) - BigInt(blockFrom?.timestamp || 0)));
+  const flow = await samplePoolFeeFlow({ pool, gs, liquidity, token0Meta, token1Meta, mark0, mark1, fromBlock, toBlock: head, windowSeconds });
+  if (flow.decodedSwaps.length < 2) {
+    throw new Error(`Only ${flow.decodedSwaps.length} Swap log(s) in blocks ${fromBlock}..${head}; too few to estimate fee flow and volatility (raise --sample-blocks)`);
+  }
+  if (flow.poolApr == null) throw new Error(`Could not value the pool's fee flow in ${stableSymbol} (missing marks or virtual TVL)`);
+  const vol = realizedTickVolatility(flow.decodedSwaps.map((sw) => sw.tick), { windowSeconds });
+  const sigma = vol.sigmaPerSqrtSecond;
+
+  let capital;
+  let capitalSource;
+  if (String(capitalRef ?? "").trim()) {
+    capital = Number(parsePositiveDecimal(capitalRef, { field: "--capital" }));
+    capitalSource = "--capital";
+  } else if (position) {
+    const nftOwner = await withRpcRetry(() => readOwnerOf(position.tokenId, { positionManager: KITTENSWAP_CONTRACTS.positionManager }));
+    const snap = await loadPositionValueSnapshot(position.tokenId, { ownerAddress: nftOwner, stableQuoteCtx }).catch(() => null);
+    const principal = snap?.valueInStable?.principal ?? null;
+    capital = Number.isFinite(principal) && principal > 0 ? principal : Number(DEFAULT_SIM_CAPITAL);
+    capitalSource = Number.isFinite(principal) && principal > 0 ? `tokenId ${position.tokenId.toString()} principal` : "default (position principal unavailable)";
+  } else {
+    capital = Number(DEFAULT_SIM_CAPITAL);
+    capitalSource = "default";
+  }
+
+  const gasPriceWei = gasPriceHex ? BigInt(gasPriceHex) : null;
+  const hypeMark = quoteHype?.stablePerToken ?? (token0 === WHYPE_TOKEN_ADDRESS ? mark0 : token1 === WHYPE_TOKEN_ADDRESS ? mark1 : null);
+  const gasCost = gasPriceWei == null || hypeMark == null ? null : (unitsToNumber(BigInt(rebalanceGas) * gasPriceWei, 18) ?? 0) * hypeMark;
+  const value1 = (raw1) => (unitsToNumber(raw1, token1Meta.decimals) ?? 0) * mark1;
+  const capital1Raw = BigInt(Math.floor((capital / mark1) * 10 ** token1Meta.decimals));
+  const checkSeconds = checkHours * 3600;
+  const currentWidth = position ? position.tickUpper - position.tickLower : null;
+  const quoteCache = new Map();
+
+  const candidates = [];
+  for (const widthTicks of rangeOptimizeCandidateWidths({ widthsRef, spacing, extraWidth: currentWidth })) {
+    const range = resolveMintRangeSelection({ widthTicksRef: widthTicks, poolTick: gs.tick, spacing });
+    const halfWidthTicks = widthTicks / 2;
+    const triggerTicks = Math.max(0, halfWidthTicks - Math.floor((widthTicks * edgeBps) / 10_000));
+    const model = heartbeatRangeModel({ halfWidthTicks, triggerTicks, sigma, checkSeconds });
+    const feeApr = flow.poolApr * concentrationFactor(gs.priceSqrtX96, range.tickLower, range.tickUpper);
+
+    // deploy the capital (held as token1) at the current price
+    const entry = swapToRangeRatio({ tick: gs.tick, sqrtPriceX96: gs.priceSqrtX96, tickLower: range.tickLower, tickUpper: range.tickUpper, amount0: 0n, amount1: capital1Raw });
+    const amount0 = mulDiv(entry.amountIn, Q192, gs.priceSqrtX96 * gs.priceSqrtX96);
+    const amount1 = capital1Raw - entry.amountIn;
+    const positionLiquidity = getLiquidityForAmounts(gs.priceSqrtX96, getSqrtRatioAtTick(range.tickLower), getSqrtRatioAtTick(range.tickUpper), amount0, amount1);
+
+    // swap cost: the quoter's shortfall against the mid price for that size, averaged over a move up and down
+    const swapCosts = [];
+    let quoted = true;
+    for (const direction of [1, -1]) {
+      const sw = rangeOptimizeRebalanceSwap({ tick: gs.tick, sqrtPriceX96: gs.priceSqrtX96, ...range, liquidity: positionLiquidity, triggerTicks, direction, spacing });
+      if (sw.amountIn <= 0n) {
+        swapCosts.push(0);
+        continue;
+      }
+      const [tokenIn, tokenOut] = sw.zeroForOne ? [token0, token1] : [token1, token0];
+      const q = await quoteExactInputSingleCached({ tokenIn, tokenOut, deployer, amountIn: sw.amountIn }, { cache: quoteCache });
+      let costFraction = gs.lastFee / 1_000_000;
+      if (q.ok && q.amountOut != null) {
+        const inMid1 = sw.zeroForOne ? positionValueInToken1Raw({ amount0: sw.amountIn, amount1: 0n, sqrtPriceX96: gs.priceSqrtX96 }) : sw.amountIn;
+        const outMid1 = sw.zeroForOne ? q.amountOut : positionValueInToken1Raw({ amount0: q.amountOut, amount1: 0n, sqrtPriceX96: gs.priceSqrtX96 });
+        costFraction = inMid1 > 0n ? Math.max(0, 1 - ratioToNumber(outMid1, inMid1)) : 0;
+      } else {
+        quoted = false;
+      }
+      swapCosts.push(value1(sw.notional1) * costFraction);
+    }
+    const swapCost = (swapCosts[0] + swapCosts[1]) / 2;
+    const costPerRebalance = swapCost + (gasCost ?? 0);
+    const rebalancesPerYear = Number.isFinite(model.cycleSeconds) ? SECONDS_PER_YEAR / model.cycleSeconds : 0;
+    const costDrag = (rebalancesPerYear * costPerRebalance) / capital;
+    candidates.push({
+      widthTicks,
+      range,
+      triggerTicks,
+      feeApr,
+      timeInRange: model.timeInRange,
+      rebalancesPerYear,
+      swapCost,
+      quoted,
+      costPerRebalance,
+      costDrag,
+      netApr: feeApr * model.timeInRange - costDrag,
+      amount0,
+      amount1,
+    });
   }
+  candidates.sort((a, b) => b.netApr - a.netApr);
+  const best = candidates[0];
 
+  const pct = (v) => `${(v * 100).toFixed(2)}%`;
+  const stable = (v) => `${fmtNum(v, { dp: 4 })} ${stableSymbol}`;
+  const sigmaHour = sigma * Math.sqrt(3600);
+  const lines = [];
+  lines.push("Kittenswap range optimizer");
+  lines.push(`- pool: ${pool} (${token0Meta.symbol}/${token1Meta.symbol}, tick spacing ${spacing}, fee ${gs.lastFee} ppm)`);
+  if (position) {
+    lines.push(`- position: tokenId ${position.tokenId.toString()} [${position.tickLower}, ${position.tickUpper}] width ${currentWidth} ticks`);
+  }
+  lines.push(`- current tick: ${gs.tick}`);
+  lines.push(`- sample: ${flow.decodedSwaps.length} Swap logs in blocks ${fromBlock}..${head} (${fmtNum(windowSeconds / 3600, { dp: 2 })}h)`);
+  lines.push(`- pool fee APR: ${pct(flow.poolApr)} (est 24h fees ${fmtNum(flow.dailyFeesStable, { dp: 2 })} ${stableSymbol} on ${fmtNum(flow.poolTvlStable, { dp: 2 })} ${stableSymbol} virtual TVL)`);
+  lines.push(`- realized volatility: ${fmtNum(sigmaHour, { dp: 2 })} ticks per sqrt(hour)`);
+  lines.push(`- capital: ${fmtNum(capital, { dp: 2 })} ${stableSymbol} (${capitalSource})`);
+  lines.push(`- heartbeat model: edgeBps ${edgeBps}, checks every ${fmtNum(checkHours, { dp: 2 })}h`);
+  lines.push(`- rebalance gas: ${gasCost == null ? "n/a" : stable(gasCost)} (${rebalanceGas} gas at ${gasPriceWei == null ? "n/a" : `${formatUnits(gasPriceWei, 9, { precision: 4 })} gwei`})`);
+  lines.push("- candidates (by expected net APR):");
+  for (const [i, c] of candidates.entries()) {
+    const tags = [c.widthTicks === currentWidth ? "current" : null, c.quoted ? null : "swap cost from pool fee, quote failed"].filter(Boolean);
+    lines.push(`  - #${i + 1} width ${c.widthTicks} (+/-${c.widthTicks / 2}) [${c.range.tickLower}, ${c.range.tickUpper}]${tags.length ? ` (${tags.join("; ")})` : ""}: net APR ${pct(c.netApr)}, fee APR in range ${pct(c.feeApr)} x time in range ${pct(c.timeInRange)}, rebalances per year ${fmtNum(c.rebalancesPerYear, { dp: 1 })}, cost per rebalance ${stable(c.costPerRebalance)} (swap ${stable(c.swapCost)}), cost drag ${pct(c.costDrag)}`);
+  }
+  lines.push(`- recommended: --width-ticks ${best.widthTicks}`);
+  lines.push(`- mint: krlp mint-plan ${token0} ${token1} --amount-a ${formatUnits(best.amount0, token0Meta.decimals, { precision: 6 })} --amount-b ${formatUnits(best.amount1, token1Meta.decimals, { precision: 6 })} --width-ticks ${best.widthTicks}`);
+  lines.push("- assumptions:");
+  lines.push("  - fee APR in range: pool fee APR x concentration factor at the current price; the position does not dilute the pool");
+  lines.push("  - time in range and rebalance frequency: driftless random walk of the tick at the realized volatility, re-centered when within the edge buffer at a check; the width is held fixed (no widthBumpTicks)");
+  lines.push("  - cost per rebalance: re-centering swap sized at the trigger tick, costed by the quoter's shortfall against the mid price now, plus gas priced now");
+  lines.push("  - net APR: fee APR in range x time in range - rebalances per year x cost per rebalance / capital; fees are not compounded");
   return lines.join("\n");
 }
 
@@ -8057,26 +11542,55 @@ async function runDeterministic(pref) {
 
   if (cmd === "position") {
     const tokenIdRaw = args._[1];
-    if (!tokenIdRaw) throw new Error("Usage: krlp position <tokenId> [owner|label]");
-    return cmdPosition({ tokenIdRaw, ownerRef: args._[2] || "" });
+    if (!tokenIdRaw) throw new Error("Usage: krlp position <tokenId> [owner|label] [--block <number|tag>]");
+    return cmdPosition({ tokenIdRaw, ownerRef: args._[2] || "", blockRef: args.block || "" });
   }
 
   if (cmd === "status") {
     const tokenIdRaw = args._[1];
-    if (!tokenIdRaw) throw new Error("Usage: krlp status <tokenId> [--edge-bps N]");
-    return cmdStatus({ tokenIdRaw, edgeBps: args["edge-bps"] });
+    if (!tokenIdRaw) throw new Error("Usage: krlp status <tokenId> [--edge-bps N] [--block <number|tag>]");
+    return cmdStatus({ tokenIdRaw, edgeBps: args["edge-bps"], blockRef: args.block || "" });
   }
 
   if (cmd === "value" || cmd === "position-value" || cmd === "valuation") {
     const tokenIdRaw = args._[1];
-    if (!tokenIdRaw) throw new Error("Usage: krlp value <tokenId> [owner|label]");
-    return cmdValue({ tokenIdRaw, ownerRef: args._[2] || "" });
+    if (!tokenIdRaw) throw new Error("Usage: krlp value <tokenId> [owner|label] [--block <number|tag>]");
+    return cmdValue({ tokenIdRaw, ownerRef: args._[2] || "", blockRef: args.block || "" });
+  }
+
+  if (cmd === "history" || cmd === "position-history" || cmd === "timeline") {
+    const tokenIdRaw = args._[1];
+    if (!tokenIdRaw) throw new Error("Usage: krlp history <tokenId> [--from-block N]");
+    return cmdHistory({ tokenIdRaw, fromBlockRef: args["from-block"] || "" });
+  }
+
+  if (cmd === "pnl" || cmd === "position-pnl") {
+    const tokenIdRaw = args._[1];
+    if (!tokenIdRaw) throw new Error("Usage: krlp pnl <tokenId> [--from-block N] [--no-chain] [--chain-gap-blocks N]");
+    return cmdPnl({
+      tokenIdRaw,
+      fromBlockRef: args["from-block"] || "",
+      noChain: parseBoolFlag(args["no-chain"]),
+      chainGapRef: args["chain-gap-blocks"] || "",
+    });
+  }
+
+  if (cmd === "export-ledger" || cmd === "ledger-export" || cmd === "ledger") {
+    if (!args.from) throw new Error("Usage: krlp export-ledger [owner|label] --from <date> [--to <date>] [--format csv|jsonl] [--out <path>]");
+    return cmdExportLedger({
+      ownerRef: args._[1] || "",
+      fromRef: args.from,
+      toRef: args.to || "",
+      formatRef: args.format || "",
+      outRef: args.out || "",
+    });
   }
 
   if (cmd === "wallet" || cmd === "portfolio" || cmd === "wallet-portfolio") {
     return cmdWallet({
       ownerRef: args._[1] || "",
       activeOnly: parseBoolFlag(args["active-only"]),
+      blockRef: args.block || "",
     });
   }
 
@@ -8096,10 +11610,27 @@ async function runDeterministic(pref) {
     const tokenOutRef = args._[2];
     const deployerRef = args.deployer;
     const amountInDecimal = args["amount-in"];
+    const amountOutDecimal = args["amount-out"];
+    if (!tokenInRef || !tokenOutRef || (!amountInDecimal && !amountOutDecimal)) {
+      throw new Error("Usage: krlp quote-swap <tokenIn> <tokenOut> (--amount-in <decimal> | --amount-out <decimal>) [--via <token[,token]>] [--deployer <address[,address]>]");
+    }
+    return cmdQuoteSwap({ tokenInRef, tokenOutRef, deployerRef, amountInDecimal, amountOutDecimal, viaRef: args.via || "" });
+  }
+
+  if (cmd === "route" || cmd === "route-find" || cmd === "find-route") {
+    const tokenInRef = args._[1];
+    const tokenOutRef = args._[2];
+    const amountInDecimal = args["amount-in"];
     if (!tokenInRef || !tokenOutRef || !amountInDecimal) {
-      throw new Error("Usage: krlp quote-swap <tokenIn> <tokenOut> --amount-in <decimal> [--deployer <address>]");
+      throw new Error("Usage: krlp route <tokenIn> <tokenOut> --amount-in <decimal> [--max-hops N] [--max-candidates N]");
     }
-    return cmdQuoteSwap({ tokenInRef, tokenOutRef, deployerRef, amountInDecimal });
+    return cmdRoute({
+      tokenInRef,
+      tokenOutRef,
+      amountInDecimal,
+      maxHopsRef: args["max-hops"],
+      maxCandidatesRef: args["max-candidates"],
+    });
   }
 
   if (cmd === "enter-plan" || cmd === "lp-enter-plan" || cmd === "single-asset-enter-plan") {
@@ -8108,7 +11639,7 @@ async function runDeterministic(pref) {
     const fundingTokenRef = args["funding-token"] ?? args["from-token"];
     const amountInRef = args["amount-in"];
     if (!tokenARef || !tokenBRef || !fundingTokenRef || !amountInRef) {
-      throw new Error("Usage: krlp enter-plan <tokenA> <tokenB> --funding-token <token> --amount-in <decimal|max> [owner|label] [--recipient <address|label>] [--deployer <address>] [--tick-lower N --tick-upper N | --width-ticks N --center-tick N] [--policy <name>] [--slippage-bps N] [--deadline-seconds N] [--approve-max] [--allow-out-of-range]");
+      throw new Error("Usage: krlp enter-plan <tokenA> <tokenB> --funding-token <token> --amount-in <decimal|max> [owner|label] [--recipient <address|label>] [--deployer <address>] [--tick-lower N --tick-upper N | --width-ticks N --center-tick N] [--width-mode fixed|volatility [--horizon-hours H] [--in-range-pct P] [--vol-lookback-blocks N]] [--policy <name>] [--slippage-bps N] [--deadline-seconds N] [--approve-max] [--allow-out-of-range]");
     }
     return cmdEnterPlan({
       tokenARef,
@@ -8125,6 +11656,10 @@ async function runDeterministic(pref) {
       tickUpperRef: args["tick-upper"],
       widthTicksRef: args["width-ticks"],
       centerTickRef: args["center-tick"],
+      widthModeRef: args["width-mode"] || "",
+      volLookbackBlocksRef: args["vol-lookback-blocks"] ?? "",
+      horizonHoursRef: args["horizon-hours"] ?? "",
+      inRangePctRef: args["in-range-pct"] ?? "",
       approveMax: args["approve-max"],
       allowOutOfRange: args["allow-out-of-range"],
     });
@@ -8152,14 +11687,16 @@ async function runDeterministic(pref) {
     const tokenOutRef = args._[2];
     const deployerRef = args.deployer;
     const amountInDecimal = args["amount-in"];
-    if (!tokenInRef || !tokenOutRef || !amountInDecimal) {
-      throw new Error("Usage: krlp swap-plan <tokenIn> <tokenOut> --amount-in <decimal> [owner|label] [--deployer <address>] [--recipient <address|label>] [--policy <name>] [--slippage-bps N] [--deadline-seconds N] [--native-in] [--approve-max]");
+    const amountOutDecimal = args["amount-out"];
+    if (!tokenInRef || !tokenOutRef || (!amountInDecimal && !amountOutDecimal)) {
+      throw new Error("Usage: krlp swap-plan <tokenIn> <tokenOut> (--amount-in <decimal> | --amount-out <decimal>) [owner|label] [--via <token[,token]>] [--deployer <address[,address]>] [--recipient <address|label>] [--policy <name>] [--slippage-bps N] [--deadline-seconds N] [--native-in] [--approve-max]");
     }
     return cmdSwapPlan({
       tokenInRef,
       tokenOutRef,
       deployerRef,
       amountInDecimal,
+      amountOutDecimal,
       ownerRef: args._[3] || "",
       recipientRef: args.recipient || "",
       policyRef: args.policy || "",
@@ -8168,17 +11705,19 @@ async function runDeterministic(pref) {
       limitSqrtPriceRef: args["limit-sqrt-price"],
       nativeIn: args["native-in"],
       approveMax: args["approve-max"],
+      viaRef: args.via || "",
     });
   }
 
   if (cmd === "farm-status") {
     const tokenIdRaw = args._[1];
-    if (!tokenIdRaw) throw new Error("Usage: krlp farm-status <tokenId> [owner|label] [--farming-center <address>] [--eternal-farming <address>]");
+    if (!tokenIdRaw) throw new Error("Usage: krlp farm-status <tokenId> [owner|label] [--farming-center <address>] [--eternal-farming <address>] [--block <number|tag>]");
     return cmdFarmStatus({
       tokenIdRaw,
       ownerRef: args._[2] || "",
       farmingCenterRef: args["farming-center"] || "",
       eternalFarmingRef: args["eternal-farming"] || "",
+      blockRef: args.block || "",
     });
   }
 
@@ -8275,7 +11814,7 @@ async function runDeterministic(pref) {
   if (cmd === "heartbeat" || cmd === "heartbeat-plan") {
     const tokenIdRaw = args._[1];
     if (!tokenIdRaw) {
-      throw new Error("Usage: krlp heartbeat <tokenId> [owner|label] [--recipient <address|label>] [--policy <name>] [--edge-bps N] [--width-bump-ticks N] [--slippage-bps N] [--deadline-seconds N] [--farming-center <address>] [--eternal-farming <address>] [--autonomous] [--no-next-steps]");
+      throw new Error("Usage: krlp heartbeat <tokenId> [owner|label] [--recipient <address|label>] [--policy <name>] [--edge-bps N] [--width-bump-ticks N | --width-mode fixed|volatility [--horizon-hours H] [--in-range-pct P] [--vol-lookback-blocks N]] [--slippage-bps N] [--deadline-seconds N] [--farming-center <address>] [--eternal-farming <address>] [--autonomous] [--no-next-steps] [--quorum N]");
     }
     return cmdHeartbeat({
       tokenIdRaw,
@@ -8290,6 +11829,11 @@ async function runDeterministic(pref) {
       eternalFarmingRef: args["eternal-farming"] || "",
       autonomous: parseBoolFlag(args.autonomous),
       suppressNextSteps: parseBoolFlag(args["no-next-steps"]),
+      quorumRef: args.quorum,
+      widthModeRef: args["width-mode"] || "",
+      volLookbackBlocksRef: args["vol-lookback-blocks"] ?? "",
+      horizonHoursRef: args["horizon-hours"] ?? "",
+      inRangePctRef: args["in-range-pct"] ?? "",
     });
   }
 
@@ -8335,7 +11879,7 @@ async function runDeterministic(pref) {
     const amountADecimal = args["amount-a"] ?? args.amount0 ?? args["amount0"];
     const amountBDecimal = args["amount-b"] ?? args.amount1 ?? args["amount1"];
     if (!tokenARef || !tokenBRef || !amountADecimal || !amountBDecimal) {
-      throw new Error("Usage: krlp mint-plan <tokenA> <tokenB> --amount-a <decimal> --amount-b <decimal> [owner|label] [--recipient <address|label>] [--deployer <address>] [--tick-lower N --tick-upper N | --width-ticks N --center-tick N] [--policy <name>] [--slippage-bps N] [--deadline-seconds N] [--approve-max] [--allow-out-of-range]");
+      throw new Error("Usage: krlp mint-plan <tokenA> <tokenB> --amount-a <decimal> --amount-b <decimal> [owner|label] [--recipient <address|label>] [--deployer <address>] [--tick-lower N --tick-upper N | --width-ticks N --center-tick N] [--width-mode fixed|volatility [--horizon-hours H] [--in-range-pct P] [--vol-lookback-blocks N]] [--policy <name>] [--slippage-bps N] [--deadline-seconds N] [--approve-max] [--allow-out-of-range]");
     }
     return cmdMintPlan({
       tokenARef,
@@ -8352,16 +11896,55 @@ async function runDeterministic(pref) {
       tickUpperRef: args["tick-upper"],
       widthTicksRef: args["width-ticks"],
       centerTickRef: args["center-tick"],
+      widthModeRef: args["width-mode"] || "",
+      volLookbackBlocksRef: args["vol-lookback-blocks"] ?? "",
+      horizonHoursRef: args["horizon-hours"] ?? "",
+      inRangePctRef: args["in-range-pct"] ?? "",
       approveMax: args["approve-max"],
       allowOutOfRange: args["allow-out-of-range"],
       noAutoStake: args["no-auto-stake"],
     });
   }
 
+  if (cmd === "increase-plan" || cmd === "increase-liquidity-plan" || cmd === "add-liquidity-plan") {
+    const tokenIdRaw = args._[1];
+    const amount0Ref = args.amount0 ?? args["amount-0"];
+    const amount1Ref = args.amount1 ?? args["amount-1"];
+    if (!tokenIdRaw || (amount0Ref == null && amount1Ref == null)) {
+      throw new Error("Usage: krlp increase-plan <tokenId> --amount0 <decimal|max> --amount1 <decimal|max> [owner|label] [--policy <name>] [--slippage-bps N] [--deadline-seconds N] [--approve-max]");
+    }
+    return cmdIncreasePlan({
+      tokenIdRaw,
+      ownerRef: args._[2] || "",
+      amount0Ref: amount0Ref == null ? null : String(amount0Ref),
+      amount1Ref: amount1Ref == null ? null : String(amount1Ref),
+      policyRef: args.policy || "",
+      slippageBps: args["slippage-bps"],
+      deadlineSeconds: args["deadline-seconds"],
+      approveMax: args["approve-max"],
+    });
+  }
+
+  if (cmd === "compound-plan" || cmd === "compound-fees-plan") {
+    const tokenIdRaw = args._[1];
+    if (!tokenIdRaw) {
+      throw new Error("Usage: krlp compound-plan <tokenId> [owner|label] [--policy <name>] [--slippage-bps N] [--deadline-seconds N] [--no-swap] [--approve-max]");
+    }
+    return cmdCompoundPlan({
+      tokenIdRaw,
+      ownerRef: args._[2] || "",
+      policyRef: args.policy || "",
+      slippageBps: args["slippage-bps"],
+      deadlineSeconds: args["deadline-seconds"],
+      noSwap: args["no-swap"],
+      approveMax: args["approve-max"],
+    });
+  }
+
   if (cmd === "withdraw" || cmd === "withdraw-plan" || cmd === "exit-plan" || cmd === "remove-plan") {
     const tokenIdRaw = args._[1];
     if (!tokenIdRaw) {
-      throw new Error("Usage: krlp withdraw <tokenId> [owner|label] [--recipient <address|label>] [--deadline-seconds N] [--allow-burn]");
+      throw new Error("Usage: krlp withdraw <tokenId> [owner|label] [--recipient <address|label>] [--percent N | --liquidity <raw>] [--policy <name>] [--slippage-bps N] [--deadline-seconds N] [--allow-burn]");
     }
     return cmdWithdrawPlan({
       tokenIdRaw,
@@ -8369,13 +11952,17 @@ async function runDeterministic(pref) {
       recipientRef: args.recipient || "",
       deadlineSeconds: args["deadline-seconds"],
       allowBurn: args["allow-burn"],
+      percentRef: args.percent == null ? null : String(args.percent),
+      liquidityRef: args.liquidity == null ? null : String(args.liquidity),
+      policyRef: args.policy || "",
+      slippageBps: args["slippage-bps"],
     });
   }
 
   if (cmd === "plan") {
     const tokenIdRaw = args._[1];
     if (!tokenIdRaw) {
-      throw new Error("Usage: krlp plan <tokenId> [owner|label] [--recipient <address|label>] [--policy <name>] [--edge-bps N] [--width-bump-ticks N] [--slippage-bps N] [--deadline-seconds N] [--amount0 x --amount1 y] [--allow-burn]");
+      throw new Error("Usage: krlp plan <tokenId> [owner|label] [--recipient <address|label>] [--policy <name>] [--edge-bps N] [--width-bump-ticks N | --width-mode fixed|volatility [--horizon-hours H] [--in-range-pct P] [--vol-lookback-blocks N]] [--slippage-bps N] [--deadline-seconds N] [--amount0 x --amount1 y] [--allow-burn] [--quorum N]");
     }
     return cmdPlan({
       tokenIdRaw,
@@ -8390,6 +11977,48 @@ async function runDeterministic(pref) {
       amount1Decimal: args.amount1,
       allowBurn: args["allow-burn"],
       noAutoCompound: args["no-auto-compound"],
+      quorumRef: args.quorum,
+      widthModeRef: args["width-mode"] || "",
+      volLookbackBlocksRef: args["vol-lookback-blocks"] ?? "",
+      horizonHoursRef: args["horizon-hours"] ?? "",
+      inRangePctRef: args["in-range-pct"] ?? "",
+    });
+  }
+
+  if (cmd === "execute-plan" || cmd === "exec-plan") {
+    return cmdExecutePlan({
+      planFile: args.plan,
+      journalRef: args.journal || "",
+      yesToken: args.yes || "",
+      keystoreFile: args.keystore || "",
+      passwordFile: args["password-file"] || "",
+      signerCmd: args["signer-cmd"] || "",
+      signerAddress: args["signer-address"] || "",
+      useEnvKey: parseBoolFlag(args["env-key"]),
+      gasBufferBpsRef: args["gas-buffer-bps"] ?? "",
+      maxFeeGweiRef: args["max-fee-gwei"] || "",
+      priorityFeeGweiRef: args["priority-fee-gwei"] || "",
+      gasPriceGweiRef: args["gas-price-gwei"] || "",
+      legacy: parseBoolFlag(args.legacy),
+      resignReplaced: parseBoolFlag(args["resign-replaced"]),
+      allowNoSender: parseBoolFlag(args["allow-no-sender"]),
+    });
+  }
+
+  if (cmd === "sign" || cmd === "sign-plan") {
+    return cmdSign({
+      planFile: args.plan,
+      keystoreFile: args.keystore,
+      passwordFile: args["password-file"] || "",
+      stepRef: args.step ?? "",
+      nonceRef: args.nonce,
+      gasLimitRef: args["gas-limit"] || "",
+      gasBufferBpsRef: args["gas-buffer-bps"] ?? "",
+      maxFeeGweiRef: args["max-fee-gwei"] || "",
+      priorityFeeGweiRef: args["priority-fee-gwei"] || "",
+      gasPriceGweiRef: args["gas-price-gwei"] || "",
+      legacy: parseBoolFlag(args.legacy),
+      allowNoSender: parseBoolFlag(args["allow-no-sender"]),
     });
   }
 
@@ -8415,7 +12044,37 @@ async function runDeterministic(pref) {
     const hypePriceOverride = args["hype-price"] ? Number(args["hype-price"]) : null;
     const poolAddress = args["pool"] ? assertAddress(args["pool"]) : null;
     const tokenIdRaw = args._[1] || null;
-    return cmdAprEstimate({ poolAddress, tokenIdRaw, halfRangeTicks, sampleBlocks, hypePriceOverride });
+    return cmdAprEstimate({ poolAddress, tokenIdRaw, halfRangeTicks, sampleBlocks, hypePriceOverride, blockRef: args.block || "" });
+  }
+
+  if (cmd === "backtest" || cmd === "heartbeat-backtest") {
+    const poolRef = args.pool || args._[1];
+    if (!poolRef) throw new Error("Usage: krlp backtest --pool <address> [--from-block A] [--to-block B] [--edge-bps N] [--width-bump-ticks M] [--initial-width W]");
+    return cmdBacktest({
+      poolRef,
+      fromBlockRef: args["from-block"] ?? "",
+      toBlockRef: args["to-block"] ?? "",
+      edgeBpsRef: args["edge-bps"] ?? "",
+      widthBumpTicksRef: args["width-bump-ticks"] ?? "",
+      initialWidthRef: args["initial-width"] ?? "",
+      intervalBlocksRef: args["interval-blocks"] ?? "",
+      capitalRef: args.capital ?? "",
+      rebalanceGasRef: args["rebalance-gas"] ?? "",
+    });
+  }
+
+  if (cmd === "range-optimize" || cmd === "width-optimize") {
+    const targetRef = args.pool || args._[1];
+    if (!targetRef) throw new Error("Usage: krlp range-optimize <poolAddress|tokenId> [--sample-blocks N] [--capital <stable>] [--edge-bps N] [--check-hours H] [--rebalance-gas N] [--widths W1,W2,...]");
+    return cmdRangeOptimize({
+      targetRef,
+      sampleBlocksRef: args["sample-blocks"] ?? "",
+      capitalRef: args.capital ?? "",
+      edgeBpsRef: args["edge-bps"] ?? "",
+      checkHoursRef: args["check-hours"] ?? "",
+      rebalanceGasRef: args["rebalance-gas"] ?? "",
+      widthsRef: args.widths ?? "",
+    });
   }
 
   throw new Error(`Unknown command: ${cmd}`);
@@ -8423,8 +12082,13 @@ async function runDeterministic(pref) {
 
 function guessIntentFromNL(raw) {
   const t = String(raw ?? "").toLowerCase();
+  if (t.includes("backtest") && /0x[0-9a-f]{40}/.test(t)) return { cmd: "backtest" };
+  if ((t.includes("optimize") || t.includes("optimal") || t.includes("best width") || t.includes("best range")) && /0x[0-9a-f]{40}|\b\d+\b/.test(t)) return { cmd: "range-optimize" };
   if (t.includes("heartbeat")) return { cmd: "heartbeat" };
   if ((t.includes("verify") || t.includes("receipt") || t.includes("tx")) && /0x[a-f0-9]{64}/.test(t)) return { cmd: "tx-verify" };
+  if ((t.includes("ledger") || t.includes("bookkeeping") || t.includes("accounting")) && /\b\d{4}-\d{2}-\d{2}\b/.test(t)) return { cmd: "export-ledger" };
+  if ((t.includes("history") || t.includes("timeline")) && /\b\d+\b/.test(t)) return { cmd: "history" };
+  if ((t.includes("pnl") || t.includes("impermanent") || t.includes("profit")) && /\b\d+\b/.test(t)) return { cmd: "pnl" };
   if (t.includes("health") || t.includes("rpc") || t.includes("chain")) return { cmd: "health" };
   if (t.includes("contracts")) return { cmd: "contracts" };
   if (
@@ -8500,6 +12164,8 @@ async function runNL(raw) {
     });
   }
   if (guess.cmd === "apr") return cmdAprEstimate({ tokenIdRaw: firstInteger(raw) });
+  if (guess.cmd === "backtest") return cmdBacktest({ poolRef: firstAddress(raw) });
+  if (guess.cmd === "range-optimize") return cmdRangeOptimize({ targetRef: firstAddress(raw) || firstInteger(raw) });
   if (guess.cmd === "farm-status") {
     const tokenIdRaw = firstInteger(raw);
     if (!tokenIdRaw) return usage();
@@ -8528,6 +12194,12 @@ async function runNL(raw) {
   if (guess.cmd === "swap-approve-plan") return usage();
   if (guess.cmd === "swap-plan") return usage();
   if (guess.cmd === "mint-plan") return usage();
+  if (guess.cmd === "history") return cmdHistory({ tokenIdRaw: firstInteger(raw) });
+  if (guess.cmd === "pnl") return cmdPnl({ tokenIdRaw: firstInteger(raw) });
+  if (guess.cmd === "export-ledger") {
+    const [fromRef, toRef = ""] = String(raw).match(/\b\d{4}-\d{2}-\d{2}\b/g);
+    return cmdExportLedger({ ownerRef: firstAddress(raw), fromRef, toRef, formatRef: /\bjsonl\b/i.test(raw) ? "jsonl" : "csv" });
+  }
   if (guess.cmd === "value") return cmdValue({ tokenIdRaw: firstInteger(raw), ownerRef: firstAddress(raw) });
   if (guess.cmd === "status") return cmdStatus({ tokenIdRaw: firstInteger(raw), edgeBps: null });
   if (guess.cmd === "position") return cmdPosition({ tokenIdRaw: firstInteger(raw) });
@@ -8548,6 +12220,44 @@ async function runNL(raw) {
   return usage();
 }
 
+// Plan commands append a fingerprint per transaction template and save them, with the plan's
+// sender and until the plan's deadline, to the plan store broadcast-raw checks before sending.
+async function attachPlanFingerprints(invokedCommand, outputText, { record = true } = {}) {
+  const rendered = renderCommandJson({ invokedCommand, outputText });
+  if (rendered.command?.sideEffects !== "read-only-plan") return outputText;
+  const templates = collectPlanTemplates(rendered.result.sections);
+  if (!templates.length) return outputText;
+
+  const lines = [outputText];
+  lines.push(`- plan fingerprints (chain ${DEFAULT_CHAIN_ID}; to/value/data):`);
+  for (const template of templates) {
+    lines.push(`  - ${template.label}: ${txFingerprint({ chainId: DEFAULT_CHAIN_ID, ...template })}`);
+  }
+  const gateBlocked = Object.entries(rendered.result.labeledFields)
+    .some(([label, value]) => /execution gate/i.test(label) && /^BLOCKED/i.test(String(value)));
+  if (gateBlocked) {
+    lines.push("- plan store: not saved (execution gate BLOCKED); broadcast-raw will refuse these templates");
+    return lines.join("\n");
+  }
+  if (!record) {
+    lines.push("- plan store: not saved (--no-record-plan); broadcast-raw will refuse these templates");
+    return lines.join("\n");
+  }
+  try {
+    const saved = await recordPlanFingerprints({
+      command: rendered.dispatch.canonicalCommand,
+      chainId: DEFAULT_CHAIN_ID,
+      sender: planSender(rendered.result.labeledFields),
+      templates,
+      ttlSeconds: planFingerprintTtlSeconds(planDeadlineSeconds(rendered.result.labeledFields)),
+    });
+    lines.push(`- plan store: saved ${saved.entries.length} fingerprint(s), expires ${saved.expiresAt}`);
+  } catch (e) {
+    lines.push(`- plan store: unavailable (${e?.message || e}); broadcast-raw will refuse these templates`);
+  }
+  return lines.join("\n");
+}
+
 async function main() {
   const rawJoined = process.argv.slice(2).join(" ").trim();
   const argvTokens = tokenize(rawJoined);
@@ -8586,9 +12296,16 @@ async function main() {
   }
 
   const dispatchMode = deterministicInput != null ? "deterministic" : "nl-fallback";
-  const outputText = deterministicInput != null
+  const commandText = deterministicInput != null
     ? await runDeterministic(deterministicInput)
     : await runNL(raw);
+  const outputText = await attachPlanFingerprints(
+    deterministicInput != null
+      ? String(parseArgs(tokenize(deterministicInput))._[0] ?? "")
+      : guessIntentFromNL(raw).cmd,
+    commandText,
+    { record: globalFlags.recordPlan },
+  );
 
   if (globalFlags.json) {
     const parsed = parseArgs(tokenize(deterministicInput != null ? deterministicInput : raw));
@@ -29,6 +29,7 @@ export const DEFAULT_POLICY = Object.freeze({
 export const DEFAULT_HEARTBEAT = Object.freeze({
   edgeBps: Number(CANONICAL_DEFAULTS.defaults.heartbeat?.edgeBps ?? 850),
   widthBumpTicks: Number(CANONICAL_DEFAULTS.defaults.heartbeat?.widthBumpTicks ?? 100),
+  widthMode: String(CANONICAL_DEFAULTS.defaults.heartbeat?.widthMode ?? "fixed"),
   autonomous: Boolean(CANONICAL_DEFAULTS.defaults.heartbeat?.autonomous ?? true),
   noNextSteps: Boolean(CANONICAL_DEFAULTS.defaults.heartbeat?.noNextSteps ?? true),
 });
@@ -42,6 +43,12 @@ export const DEFAULT_APR_HALF_RANGE_TICKS = Object.freeze(
   [...(CANONICAL_DEFAULTS.defaults.apr?.halfRangeTicks ?? [50, 100, 200, 300, 500, 750, 1000])].map((value) => Number(value)),
 );
 
+export const DEFAULT_VOLATILITY_WIDTH = Object.freeze({
+  lookbackBlocks: Number(CANONICAL_DEFAULTS.defaults.volatilityWidth?.lookbackBlocks ?? 7200),
+  horizonHours: Number(CANONICAL_DEFAULTS.defaults.volatilityWidth?.horizonHours ?? 24),
+  inRangePct: Number(CANONICAL_DEFAULTS.defaults.volatilityWidth?.inRangePct ?? 80),
+});
+
 export const OWNER_TOKEN_ENUMERATION_LIMIT = Number(
   CANONICAL_DEFAULTS.defaults.validation?.ownerTokenEnumerationLimit ?? 500,
 );
@@ -61,6 +68,7 @@ export function defaultsSnapshot() {
     apr: {
       halfRangeTicks: [...DEFAULT_APR_HALF_RANGE_TICKS],
     },
+    volatilityWidth: { ...DEFAULT_VOLATILITY_WIDTH },
     validation: {
       ownerTokenEnumerationLimit: OWNER_TOKEN_ENUMERATION_LIMIT,
     },
@@ -74,6 +82,8 @@ export function buildGeneratedDefaultsMarkdown({ includeHeartbeatRunbook = false
     `- Policy default deadline: \`${DEFAULT_POLICY.deadlineSeconds}\` seconds`,
     `- Heartbeat default edge threshold: \`${DEFAULT_HEARTBEAT.edgeBps}\` bps (${fmtBpsPct(DEFAULT_HEARTBEAT.edgeBps)})`,
     `- Heartbeat width bump on triggered rebalance: \`+${DEFAULT_HEARTBEAT.widthBumpTicks}\` ticks`,
+    `- Heartbeat width mode: \`${DEFAULT_HEARTBEAT.widthMode}\` (\`heartbeat.widthMode\`; \`volatility\` sizes the replacement range from realized volatility instead of the bump)`,
+    `- \`--width-mode volatility\` target: \`${DEFAULT_VOLATILITY_WIDTH.inRangePct}%\` chance to stay in range for \`${DEFAULT_VOLATILITY_WIDTH.horizonHours}h\`, from \`${DEFAULT_VOLATILITY_WIDTH.lookbackBlocks}\` blocks of Swap ticks`,
     `- Heartbeat autonomous default: \`${DEFAULT_HEARTBEAT.autonomous ? "enabled" : "disabled"}\``,
     `- Heartbeat state-only default: \`${DEFAULT_HEARTBEAT.noNextSteps ? "enabled" : "disabled"}\``,
   ];
@@ -0,0 +1,101 @@
+// Step journal for execute-plan. One JSON file per plan digest under the
+// skill's runtime state/ directory; every status transition is persisted
+// (write-then-rename) so an interrupted run resumes without resending a step.
+// Steps keep only the tx hash and nonce, never the signed payload.
+
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const EXECUTION_JOURNAL_VERSION = 1;
+
+// pending -> signed -> sent -> confirmed -> verified; reverted/verify_failed stop the run.
+// replaced: the step's nonce was mined by another tx; only --resign-replaced re-signs it from pending.
+export const STEP_STATUS = Object.freeze({
+  PENDING: "pending",
+  SIGNED: "signed",
+  SENT: "sent",
+  CONFIRMED: "confirmed",
+  VERIFIED: "verified",
+  REVERTED: "reverted",
+  VERIFY_FAILED: "verify_failed",
+  REPLACED: "replaced",
+});
+
+const DEFAULT_JOURNAL_DIR = fileURLToPath(new URL("../state/execute-journals/", import.meta.url));
+
+export function planDigest(templates, chainId) {
+  const canonical = JSON.stringify({
+    chainId: String(chainId),
+    steps: templates.map((t) => [t.to.toLowerCase(), `0x${BigInt(t.value).toString(16)}`, t.data.toLowerCase()]),
+  });
+  return `0x${createHash("sha256").update(canonical).digest("hex")}`;
+}
+
+export function defaultJournalPath(digest) {
+  return path.join(process.env.KRLP_EXECUTE_JOURNAL_DIR || DEFAULT_JOURNAL_DIR, `${String(digest).replace(/^0x/, "").slice(0, 16)}.json`);
+}
+
+export function createJournal({ digest, chainId, planFile, planTitle, signer, templates }) {
+  const now = new Date().toISOString();
+  return {
+    version: EXECUTION_JOURNAL_VERSION,
+    planDigest: digest,
+    chainId: String(chainId),
+    planFile: planFile || null,
+    planTitle: planTitle || null,
+    signer,
+    createdAt: now,
+    updatedAt: now,
+    steps: templates.map((t) => ({
+      index: t.index,
+      label: t.label,
+      action: t.action || null,
+      to: t.to,
+      value: `0x${BigInt(t.value).toString(16)}`,
+      status: STEP_STATUS.PENDING,
+      nonce: null,
+      txHash: null,
+      blockNumber: null,
+      gasUsed: null,
+      verify: null,
+      error: null,
+      updatedAt: now,
+    })),
+  };
+}
+
+export async function loadJournal(journalPath) {
+  try {
+    const parsed = JSON.parse(await fs.readFile(journalPath, "utf8"));
+    if (!parsed || typeof parsed !== "object" || !Array.isArray(parsed.steps)) {
+      throw new Error(`Invalid execution journal: ${journalPath}`);
+    }
+    if (parsed.version !== EXECUTION_JOURNAL_VERSION) {
+      throw new Error(`Unsupported execution journal version ${parsed.version}: ${journalPath}`);
+    }
+    // journals written before payloads were dropped: purge them on the next save
+    for (const step of parsed.steps) delete step.rawTransaction;
+    return parsed;
+  } catch (e) {
+    if (e && (e.code === "ENOENT" || e.code === "ENOTDIR")) return null;
+    throw e;
+  }
+}
+
+export async function saveJournal(journal, journalPath) {
+  journal.updatedAt = new Date().toISOString();
+  await fs.mkdir(path.dirname(journalPath), { recursive: true });
+  const tmpPath = `${journalPath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, `${JSON.stringify(journal, null, 2)}\n`, "utf8");
+  await fs.rename(tmpPath, journalPath);
+}
+
+export async function updateJournalStep(journal, journalPath, index, patch) {
+  const step = journal.steps.find((s) => s.index === index);
+  if (!step) throw new Error(`Execution journal has no step ${index}`);
+  Object.assign(step, patch, { updatedAt: new Date().toISOString() });
+  await saveJournal(journal, journalPath);
+  return step;
+}
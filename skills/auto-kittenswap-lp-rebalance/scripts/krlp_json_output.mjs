@@ -91,7 +91,7 @@ function nodeToObject(node) {
 
 function deriveTxTemplates(tree) {
   const templates = [];
-  const templateSections = findNodes(tree, (node) => /^transaction templates?/i.test(node.label));
+  const templateSections = findNodes(tree, (node) => /^transaction templates\b/i.test(node.label));
   for (const section of templateSections) {
     for (const child of section.children || []) {
       const fields = {};
@@ -100,13 +100,14 @@ function deriveTxTemplates(tree) {
       }
       templates.push({
         label: child.label,
+        ...(child.value ? { action: child.value } : {}),
         ...fields,
       });
     }
   }
   if (templates.length) return templates;
 
-  const singleTemplate = findNodes(tree, (node) => /^transaction template$/i.test(node.label));
+  const singleTemplate = findNodes(tree, (node) => /^transaction template\b(?!s)/i.test(node.label));
   for (const section of singleTemplate) {
     const fields = {};
     for (const child of section.children || []) {
@@ -0,0 +1,90 @@
+// Keccak-256 (pre-NIST padding, as used by Ethereum). node:crypto only ships
+// SHA3-256, which pads differently, so the permutation lives here.
+
+const RATE_BYTES = 136;
+const MASK_64 = (1n << 64n) - 1n;
+
+const ROUND_CONSTANTS = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+  0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+  0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n,
+];
+
+// Rotation offsets indexed [x][y].
+const ROTATIONS = [
+  [0, 36, 3, 41, 18],
+  [1, 44, 10, 45, 2],
+  [62, 6, 43, 15, 61],
+  [28, 55, 25, 21, 56],
+  [27, 20, 39, 8, 14],
+];
+
+function rotl64(value, shift) {
+  if (shift === 0) return value;
+  const n = BigInt(shift);
+  return ((value << n) | (value >> (64n - n))) & MASK_64;
+}
+
+function keccakF1600(state) {
+  const c = new Array(5);
+  const d = new Array(5);
+  const b = Array.from({ length: 5 }, () => new Array(5));
+  for (let round = 0; round < 24; round++) {
+    for (let x = 0; x < 5; x++) {
+      c[x] = state[x][0] ^ state[x][1] ^ state[x][2] ^ state[x][3] ^ state[x][4];
+    }
+    for (let x = 0; x < 5; x++) {
+      d[x] = c[(x + 4) % 5] ^ rotl64(c[(x + 1) % 5], 1);
+    }
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        b[y][(2 * x + 3 * y) % 5] = rotl64(state[x][y] ^ d[x], ROTATIONS[x][y]);
+      }
+    }
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        state[x][y] = b[x][y] ^ ((~b[(x + 1) % 5][y] & MASK_64) & b[(x + 2) % 5][y]);
+      }
+    }
+    state[0][0] ^= ROUND_CONSTANTS[round];
+  }
+}
+
+function toBytes(input) {
+  if (input instanceof Uint8Array) return Buffer.from(input.buffer, input.byteOffset, input.byteLength);
+  if (typeof input === "string") {
+    if (/^0x[0-9a-fA-F]*$/.test(input)) {
+      if (input.length % 2 !== 0) throw new Error(`Invalid hex input (odd length): ${input}`);
+      return Buffer.from(input.slice(2), "hex");
+    }
+    return Buffer.from(input, "utf8");
+  }
+  throw new Error("keccak256 input must be bytes, 0x-hex, or a utf8 string");
+}
+
+export function keccak256(input) {
+  const data = toBytes(input);
+  const padded = Buffer.alloc(Math.ceil((data.length + 1) / RATE_BYTES) * RATE_BYTES);
+  data.copy(padded);
+  padded[data.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const state = Array.from({ length: 5 }, () => new Array(5).fill(0n));
+  for (let offset = 0; offset < padded.length; offset += RATE_BYTES) {
+    for (let i = 0; i < RATE_BYTES / 8; i++) {
+      state[i % 5][Math.floor(i / 5)] ^= padded.readBigUInt64LE(offset + i * 8);
+    }
+    keccakF1600(state);
+  }
+
+  const out = Buffer.alloc(32);
+  for (let i = 0; i < 4; i++) out.writeBigUInt64LE(state[i % 5][Math.floor(i / 5)], i * 8);
+  return out;
+}
+
+export function keccak256Hex(input) {
+  return `0x${keccak256(input).toString("hex")}`;
+}
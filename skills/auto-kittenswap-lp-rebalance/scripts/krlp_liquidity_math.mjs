@@ -0,0 +1,281 @@
+// Exact BigInt port of Algebra's TickMath, SqrtPriceMath token deltas and the
+// periphery LiquidityAmounts library. Results match the contracts bit for bit,
+// so mint/withdraw previews need no eth_call and work for any token decimals.
+
+export const MIN_TICK = -887272;
+export const MAX_TICK = 887272;
+export const MIN_SQRT_RATIO = 4295128739n;
+export const MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342n;
+export const Q96 = 1n << 96n;
+export const Q128 = 1n << 128n;
+export const Q192 = 1n << 192n;
+
+const MAX_UINT256 = (1n << 256n) - 1n;
+const MAX_UINT128 = (1n << 128n) - 1n;
+
+// getSqrtRatioAtTick multipliers for bits 1..19 of |tick| (bit 0 seeds the ratio).
+const TICK_RATIO_FACTORS = [
+  0xfff97272373d413259a46990580e213an,
+  0xfff2e50f5f656932ef12357cf3c7fdccn,
+  0xffe5caca7e10e4e61c3624eaa0941cd0n,
+  0xffcb9843d60f6159c9db58835c926644n,
+  0xff973b41fa98c081472e6896dfb254c0n,
+  0xff2ea16466c96a3843ec78b326b52861n,
+  0xfe5dee046a99a2a811c461f1969c3053n,
+  0xfcbe86c7900a88aedcffc83b479aa3a4n,
+  0xf987a7253ac413176f2b074cf7815e54n,
+  0xf3392b0822b70005940c7a398e4b70f3n,
+  0xe7159475a2c29b7443b29c7fa6e889d9n,
+  0xd097f3bdfd2022b8845ad8f792aa5825n,
+  0xa9f746462d870fdf8a65dc1f90e061e5n,
+  0x70d869a156d2a1b890bb3df62baf32f7n,
+  0x31be135f97d08fd981231505542fcfa6n,
+  0x9aa508b5b7a84e1c677de54f3e99bc9n,
+  0x5d6af8dedb81196699c329225ee604n,
+  0x2216e584f5fa1ea926041bedfe98n,
+  0x48a170391f7dc42444e8fa2n,
+];
+
+function toBigInt(value, name) {
+  if (typeof value === "bigint") return value;
+  if (typeof value === "number" && Number.isInteger(value)) return BigInt(value);
+  if (typeof value === "string" && /^(0x[0-9a-fA-F]+|\d+)$/.test(value.trim())) return BigInt(value.trim());
+  throw new Error(`${name} must be an integer (got ${value})`);
+}
+
+function assertTick(tick, name = "tick") {
+  if (!Number.isInteger(tick) || tick < MIN_TICK || tick > MAX_TICK) {
+    throw new Error(`${name} out of range [${MIN_TICK}, ${MAX_TICK}]: ${tick}`);
+  }
+}
+
+function assertSqrtRatio(sqrtPriceX96, name = "sqrtPriceX96") {
+  if (sqrtPriceX96 <= 0n) throw new Error(`${name} must be positive`);
+}
+
+export function mulDiv(a, b, denominator) {
+  if (denominator === 0n) throw new Error("mulDiv: division by zero");
+  return (a * b) / denominator;
+}
+
+export function mulDivRoundingUp(a, b, denominator) {
+  if (denominator === 0n) throw new Error("mulDiv: division by zero");
+  const product = a * b;
+  const result = product / denominator;
+  return product % denominator === 0n ? result : result + 1n;
+}
+
+function divRoundingUp(a, b) {
+  return a / b + (a % b === 0n ? 0n : 1n);
+}
+
+// TickMath.getSqrtRatioAtTick: sqrt(1.0001^tick) * 2^96, rounded up to uint160.
+export function getSqrtRatioAtTick(tick) {
+  assertTick(tick);
+  const absTick = BigInt(Math.abs(tick));
+  let ratio = absTick & 1n ? 0xfffcb933bd6fad37aa2d162d1a594001n : 1n << 128n;
+  TICK_RATIO_FACTORS.forEach((factor, i) => {
+    if (absTick & (1n << BigInt(i + 1))) ratio = (ratio * factor) >> 128n;
+  });
+  if (tick > 0) ratio = MAX_UINT256 / ratio;
+  return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+// TickMath.getTickAtSqrtRatio: the greatest tick whose ratio is <= sqrtPriceX96.
+export function getTickAtSqrtRatio(sqrtPriceX96) {
+  const price = toBigInt(sqrtPriceX96, "sqrtPriceX96");
+  if (price < MIN_SQRT_RATIO || price >= MAX_SQRT_RATIO) {
+    throw new Error(`sqrtPriceX96 out of range [${MIN_SQRT_RATIO}, ${MAX_SQRT_RATIO}): ${price}`);
+  }
+  const ratio = price << 32n;
+
+  let r = ratio;
+  let msb = 0n;
+  for (const [bits, mask] of [
+    [7n, 0xffffffffffffffffffffffffffffffffn],
+    [6n, 0xffffffffffffffffn],
+    [5n, 0xffffffffn],
+    [4n, 0xffffn],
+    [3n, 0xffn],
+    [2n, 0xfn],
+    [1n, 0x3n],
+    [0n, 0x1n],
+  ]) {
+    if (r > mask) {
+      const shift = 1n << bits;
+      msb |= shift;
+      r >>= shift;
+    }
+  }
+
+  r = msb >= 128n ? ratio >> (msb - 127n) : ratio << (127n - msb);
+  let log2 = (msb - 128n) << 64n;
+  for (let bit = 63n; bit >= 50n; bit -= 1n) {
+    r = (r * r) >> 127n;
+    const f = r >> 128n;
+    log2 |= f << bit;
+    r >>= f;
+  }
+
+  const logSqrt10001 = log2 * 255738958999603826347141n;
+  const tickLow = Number((logSqrt10001 - 3402992956809132418596140100660247210n) >> 128n);
+  const tickHigh = Number((logSqrt10001 + 291339464771989622907027621153398088495n) >> 128n);
+  if (tickLow === tickHigh) return tickLow;
+  return getSqrtRatioAtTick(tickHigh) <= price ? tickHigh : tickLow;
+}
+
+function sortRatios(sqrtRatioAX96, sqrtRatioBX96) {
+  const a = toBigInt(sqrtRatioAX96, "sqrtRatioAX96");
+  const b = toBigInt(sqrtRatioBX96, "sqrtRatioBX96");
+  assertSqrtRatio(a, "sqrtRatioAX96");
+  assertSqrtRatio(b, "sqrtRatioBX96");
+  return a > b ? [b, a] : [a, b];
+}
+
+// SqrtPriceMath.getAmount0Delta / getAmount1Delta (pool side; rounds up when adding liquidity).
+export function getAmount0Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, { roundUp = false } = {}) {
+  const [a, b] = sortRatios(sqrtRatioAX96, sqrtRatioBX96);
+  const numerator1 = toBigInt(liquidity, "liquidity") << 96n;
+  const numerator2 = b - a;
+  return roundUp
+    ? divRoundingUp(mulDivRoundingUp(numerator1, numerator2, b), a)
+    : mulDiv(numerator1, numerator2, b) / a;
+}
+
+export function getAmount1Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, { roundUp = false } = {}) {
+  const [a, b] = sortRatios(sqrtRatioAX96, sqrtRatioBX96);
+  const l = toBigInt(liquidity, "liquidity");
+  return roundUp ? mulDivRoundingUp(l, b - a, Q96) : mulDiv(l, b - a, Q96);
+}
+
+// LiquidityAmounts (periphery): what the position manager mints for desired amounts.
+export function getLiquidityForAmount0(sqrtRatioAX96, sqrtRatioBX96, amount0) {
+  const [a, b] = sortRatios(sqrtRatioAX96, sqrtRatioBX96);
+  const intermediate = mulDiv(a, b, Q96);
+  return mulDiv(toBigInt(amount0, "amount0"), intermediate, b - a);
+}
+
+export function getLiquidityForAmount1(sqrtRatioAX96, sqrtRatioBX96, amount1) {
+  const [a, b] = sortRatios(sqrtRatioAX96, sqrtRatioBX96);
+  return mulDiv(toBigInt(amount1, "amount1"), Q96, b - a);
+}
+
+export function getLiquidityForAmounts(sqrtPriceX96, sqrtRatioAX96, sqrtRatioBX96, amount0, amount1) {
+  const price = toBigInt(sqrtPriceX96, "sqrtPriceX96");
+  const [a, b] = sortRatios(sqrtRatioAX96, sqrtRatioBX96);
+  let liquidity;
+  if (price <= a) {
+    liquidity = getLiquidityForAmount0(a, b, amount0);
+  } else if (price < b) {
+    const liquidity0 = getLiquidityForAmount0(price, b, amount0);
+    const liquidity1 = getLiquidityForAmount1(a, price, amount1);
+    liquidity = liquidity0 < liquidity1 ? liquidity0 : liquidity1;
+  } else {
+    liquidity = getLiquidityForAmount1(a, b, amount1);
+  }
+  if (liquidity > MAX_UINT128) throw new Error("liquidity overflows uint128");
+  return liquidity;
+}
+
+export function getAmountsForLiquidity(sqrtPriceX96, sqrtRatioAX96, sqrtRatioBX96, liquidity) {
+  const price = toBigInt(sqrtPriceX96, "sqrtPriceX96");
+  const [a, b] = sortRatios(sqrtRatioAX96, sqrtRatioBX96);
+  if (price <= a) return { amount0: getAmount0Delta(a, b, liquidity), amount1: 0n };
+  if (price < b) return { amount0: getAmount0Delta(price, b, liquidity), amount1: getAmount1Delta(a, price, liquidity) };
+  return { amount0: 0n, amount1: getAmount1Delta(a, b, liquidity) };
+}
+
+// Pool-side token amounts for a liquidity change, branching on the current tick
+// like the Algebra pool does: mint rounds up (what is pulled), burn rounds down
+// (what is released into tokensOwed).
+export function positionAmountsForLiquidity({ tick, sqrtPriceX96, tickLower, tickUpper, liquidity, roundUp = false }) {
+  assertTick(tickLower, "tickLower");
+  assertTick(tickUpper, "tickUpper");
+  if (tickLower >= tickUpper) throw new Error(`tickLower must be below tickUpper (${tickLower} >= ${tickUpper})`);
+  const price = toBigInt(sqrtPriceX96, "sqrtPriceX96");
+  const current = Number.isInteger(tick) ? tick : getTickAtSqrtRatio(price);
+  const lower = getSqrtRatioAtTick(tickLower);
+  const upper = getSqrtRatioAtTick(tickUpper);
+  if (current < tickLower) return { amount0: getAmount0Delta(lower, upper, liquidity, { roundUp }), amount1: 0n };
+  if (current < tickUpper) {
+    return {
+      amount0: getAmount0Delta(price, upper, liquidity, { roundUp }),
+      amount1: getAmount1Delta(lower, price, liquidity, { roundUp }),
+    };
+  }
+  return { amount0: 0n, amount1: getAmount1Delta(lower, upper, liquidity, { roundUp }) };
+}
+
+// Exact num/den converted to the nearest double without intermediate overflow.
+export function ratioToNumber(numerator, denominator) {
+  if (denominator === 0n) return null;
+  if (numerator === 0n) return 0;
+  const negative = (numerator < 0n) !== (denominator < 0n);
+  const num = numerator < 0n ? -numerator : numerator;
+  const den = denominator < 0n ? -denominator : denominator;
+  const shift = den.toString(2).length - num.toString(2).length + 64;
+  const quotient = shift >= 0 ? (num << BigInt(shift)) / den : num / (den << BigInt(-shift));
+  const out = Number(quotient) * 2 ** -shift;
+  return negative ? -out : out;
+}
+
+// Human token1-per-token0 price from sqrtPriceX96, for any pair of token decimals.
+export function sqrtPriceX96ToPrice(sqrtPriceX96, { decimals0 = 18, decimals1 = 18 } = {}) {
+  const price = toBigInt(sqrtPriceX96, "sqrtPriceX96");
+  const shift = Number(decimals0) - Number(decimals1);
+  const numerator = price * price * (shift > 0 ? 10n ** BigInt(shift) : 1n);
+  const denominator = Q192 * (shift < 0 ? 10n ** BigInt(-shift) : 1n);
+  return ratioToNumber(numerator, denominator);
+}
+
+// Value of a position in raw token1 units at the pool price (amount0 * P + amount1).
+export function positionValueInToken1Raw({ amount0, amount1, sqrtPriceX96 }) {
+  const price = toBigInt(sqrtPriceX96, "sqrtPriceX96");
+  return mulDiv(toBigInt(amount0, "amount0"), price * price, Q192) + toBigInt(amount1, "amount1");
+}
+
+// Swap that moves (amount0, amount1) onto a range's deposit ratio at the pool
+// price, ignoring swap fee and impact. amountIn is token0 when zeroForOne.
+export function swapToRangeRatio({ tick, sqrtPriceX96, tickLower, tickUpper, amount0, amount1 }) {
+  const held0 = toBigInt(amount0, "amount0");
+  const held1 = toBigInt(amount1, "amount1");
+  const price = toBigInt(sqrtPriceX96, "sqrtPriceX96");
+  const { amount0: need0, amount1: need1 } = positionAmountsForLiquidity({ tick, sqrtPriceX96: price, tickLower, tickUpper, liquidity: Q96 });
+  if (need1 === 0n) return { zeroForOne: false, amountIn: held1 };
+  if (need0 === 0n) return { zeroForOne: true, amountIn: held0 };
+  // solve (held1 + x*P) / (held0 - x) = need1 / need0 for x, with P = price^2 / 2^192
+  const cross = need1 * held0 - held1 * need0;
+  const denominator = need0 * price * price + need1 * Q192;
+  if (cross >= 0n) return { zeroForOne: true, amountIn: mulDiv(cross, Q192, denominator) };
+  return { zeroForOne: false, amountIn: mulDiv(-cross, price * price, denominator) };
+}
+
+// TickManagement.getInnerFeeGrowth: fee growth per unit of liquidity inside
+// [tickLower, tickUpper]. Outer values are relative, so the subtractions wrap
+// mod 2^256 exactly like the unchecked contract math.
+export function getFeeGrowthInside({ tick, tickLower, tickUpper, lower, upper, totalFeeGrowth0Token, totalFeeGrowth1Token }) {
+  const wrap = (n) => BigInt.asUintN(256, n);
+  const lower0 = toBigInt(lower?.outerFeeGrowth0Token ?? 0n, "lower.outerFeeGrowth0Token");
+  const lower1 = toBigInt(lower?.outerFeeGrowth1Token ?? 0n, "lower.outerFeeGrowth1Token");
+  const upper0 = toBigInt(upper?.outerFeeGrowth0Token ?? 0n, "upper.outerFeeGrowth0Token");
+  const upper1 = toBigInt(upper?.outerFeeGrowth1Token ?? 0n, "upper.outerFeeGrowth1Token");
+  if (tick >= tickUpper) {
+    return { feeGrowthInside0X128: wrap(upper0 - lower0), feeGrowthInside1X128: wrap(upper1 - lower1) };
+  }
+  const total0 = toBigInt(totalFeeGrowth0Token, "totalFeeGrowth0Token");
+  const total1 = toBigInt(totalFeeGrowth1Token, "totalFeeGrowth1Token");
+  const below0 = tick >= tickLower ? total0 - lower0 : lower0;
+  const below1 = tick >= tickLower ? total1 - lower1 : lower1;
+  return { feeGrowthInside0X128: wrap(below0 - upper0), feeGrowthInside1X128: wrap(below1 - upper1) };
+}
+
+// What collect() would pay out: tokensOwed plus fees accrued since the position
+// manager last checkpointed feeGrowthInside, truncated to uint128 like the contract.
+export function uncollectedFees({ position, feeGrowthInside0X128, feeGrowthInside1X128 }) {
+  const liquidity = toBigInt(position.liquidity, "liquidity");
+  const accrued = (inside, last) => BigInt.asUintN(128, mulDiv(BigInt.asUintN(256, inside - last), liquidity, Q128));
+  return {
+    amount0: BigInt.asUintN(128, toBigInt(position.tokensOwed0, "tokensOwed0") + accrued(feeGrowthInside0X128, toBigInt(position.feeGrowthInside0LastX128, "feeGrowthInside0LastX128"))),
+    amount1: BigInt.asUintN(128, toBigInt(position.tokensOwed1, "tokensOwed1") + accrued(feeGrowthInside1X128, toBigInt(position.feeGrowthInside1LastX128, "feeGrowthInside1LastX128"))),
+  };
+}
@@ -0,0 +1,363 @@
+// RPC-native event log index. Streams of Kittenswap events are pulled with
+// chunked eth_getLogs, decoded, and appended to state/log-index/events.jsonl;
+// cursor.json records the block range each stream covers so the next sync only
+// fetches blocks outside it. No explorer API is involved.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import {
+  DEFAULT_RPC_URL,
+  KITTENSWAP_CONTRACTS,
+  normalizeAddress,
+  rpcBlockNumber,
+  rpcCall,
+  toHexQuantity,
+} from "./kittenswap_rebalance_api.mjs";
+import { keccak256Hex } from "./krlp_keccak.mjs";
+
+export const LOG_INDEX_VERSION = 1;
+
+// Public HyperEVM RPCs cap eth_getLogs at 1000 blocks; a range-limit error halves the chunk.
+export const DEFAULT_LOG_CHUNK_BLOCKS = Math.max(1, Math.floor(Number(process.env.KRLP_LOG_CHUNK_BLOCKS || 1000)));
+// First sync of a stream without its own start block looks back this far from the head.
+export const DEFAULT_LOG_INDEX_LOOKBACK_BLOCKS = Math.max(0, Math.floor(Number(process.env.KRLP_LOG_INDEX_LOOKBACK_BLOCKS || 200_000)));
+// Block of the factory's first Pool event; the inventory needs every pool, so that stream starts here.
+export const FACTORY_FIRST_POOL_BLOCK = 11_198_369;
+// EternalFarming incentives are created for existing pools, so no farming event predates the
+// factory's first pool; the farming stream starts there and a fresh index misses no incentive key.
+export const FARMING_START_BLOCK = FACTORY_FIRST_POOL_BLOCK;
+
+const DEFAULT_LOG_INDEX_DIR = fileURLToPath(new URL("../state/log-index/", import.meta.url));
+
+export function logIndexDir() {
+  return process.env.KRLP_LOG_INDEX_DIR || DEFAULT_LOG_INDEX_DIR;
+}
+
+const EVENT_SIGNATURES = {
+  Pool: "Pool(address,address,address)",
+  CustomPool: "CustomPool(address,address,address,address)",
+  IncreaseLiquidity: "IncreaseLiquidity(uint256,uint128,uint128,uint256,uint256,address)",
+  DecreaseLiquidity: "DecreaseLiquidity(uint256,uint128,uint256,uint256)",
+  Collect: "Collect(uint256,address,uint256,uint256)",
+  Transfer: "Transfer(address,address,uint256)",
+  Approval: "Approval(address,address,uint256)",
+  FarmEntered: "FarmEntered(uint256,bytes32,uint128)",
+  FarmEnded: "FarmEnded(uint256,bytes32,address,address,address,uint256,uint256)",
+  RewardClaimed: "RewardClaimed(address,uint256,address,address)",
+  RewardsCollected: "RewardsCollected(uint256,bytes32,uint256,uint256)",
+  EternalFarmingCreated: "EternalFarmingCreated(address,address,address,address,uint256,uint128,uint128,uint24)",
+};
+
+export const LOG_TOPICS = Object.freeze(
+  Object.fromEntries(Object.entries(EVENT_SIGNATURES).map(([name, signature]) => [name, keccak256Hex(signature)]))
+);
+const EVENT_BY_TOPIC = new Map(Object.entries(LOG_TOPICS).map(([name, topic]) => [topic, name]));
+
+const STREAMS = {
+  factory: {
+    address: [KITTENSWAP_CONTRACTS.factory],
+    events: ["Pool", "CustomPool"],
+    startBlock: FACTORY_FIRST_POOL_BLOCK,
+  },
+  positions: {
+    address: [KITTENSWAP_CONTRACTS.positionManager],
+    events: ["IncreaseLiquidity", "DecreaseLiquidity", "Collect", "Transfer"],
+  },
+  farming: {
+    address: [KITTENSWAP_CONTRACTS.eternalFarming, KITTENSWAP_CONTRACTS.farmingCenter],
+    events: ["FarmEntered", "FarmEnded", "RewardClaimed", "RewardsCollected", "EternalFarmingCreated"],
+    startBlock: FARMING_START_BLOCK,
+  },
+};
+
+export const LOG_INDEX_STREAMS = Object.freeze(Object.keys(STREAMS));
+
+export function addressTopic(address) {
+  const a = normalizeAddress(address);
+  if (!a) throw new Error(`Invalid address for log topic: ${address}`);
+  return `0x${a.slice(2).padStart(64, "0")}`;
+}
+
+export function uintTopic(value) {
+  return `0x${BigInt(value).toString(16).padStart(64, "0")}`;
+}
+
+// `approvals:<owner>` indexes ERC20 Approval events emitted for one owner on any token;
+// `transfers-in:<owner>` / `transfers-out:<owner>` index Transfer events to / from it (ERC20
+// and ERC721 alike, since both put the parties in topics 1 and 2).
+export function logStreamFilter(stream) {
+  const name = String(stream || "");
+  if (STREAMS[name]) {
+    const spec = STREAMS[name];
+    return { address: spec.address, topics: [spec.events.map((e) => LOG_TOPICS[e])], startBlock: spec.startBlock ?? null };
+  }
+  const approvals = name.match(/^approvals:(0x[0-9a-fA-F]{40})$/);
+  if (approvals) {
+    return { address: null, topics: [LOG_TOPICS.Approval, addressTopic(approvals[1])], startBlock: null };
+  }
+  const transfers = name.match(/^transfers-(in|out):(0x[0-9a-fA-F]{40})$/);
+  if (transfers) {
+    const party = addressTopic(transfers[2]);
+    const topics = transfers[1] === "out" ? [LOG_TOPICS.Transfer, party] : [LOG_TOPICS.Transfer, null, party];
+    return { address: null, topics, startBlock: null };
+  }
+  throw new Error(`Unknown log index stream: ${stream} (expected ${LOG_INDEX_STREAMS.join(", ")}, approvals:<owner> or transfers-in|out:<owner>)`);
+}
+
+function isRangeLimitError(err) {
+  const msg = String(err?.rpcError?.message || err?.message || "").toLowerCase();
+  if (/rate limit|too many requests/.test(msg)) return false;
+  return /blocks? range|range (is )?too (large|wide)|exceeds? (the )?max(imum)? (block )?range|too many (logs|results)|query returned more than|response size/.test(msg);
+}
+
+// eth_getLogs over [fromBlock, toBlock] in chunks. A range-limit error halves the chunk and
+// retries the same window; the smaller chunk is kept for the rest of the scan. onChunk
+// receives each window's logs in scan order (descending walks newest chunks first).
+export async function getLogsChunked({
+  address = null,
+  topics = [],
+  fromBlock,
+  toBlock,
+  chunkBlocks = DEFAULT_LOG_CHUNK_BLOCKS,
+  descending = false,
+  rpcUrl = DEFAULT_RPC_URL,
+  onChunk = null,
+} = {}) {
+  const from = Number(fromBlock);
+  const to = Number(toBlock);
+  if (!Number.isSafeInteger(from) || !Number.isSafeInteger(to) || from < 0 || to < from) {
+    throw new Error(`Invalid block window for eth_getLogs: from=${fromBlock} to=${toBlock}`);
+  }
+  let chunk = Math.max(1, Math.floor(Number(chunkBlocks) || DEFAULT_LOG_CHUNK_BLOCKS));
+  const logs = [];
+  let requests = 0;
+  let cursor = descending ? to : from;
+  while (descending ? cursor >= from : cursor <= to) {
+    const lo = descending ? Math.max(from, cursor - chunk + 1) : cursor;
+    const hi = descending ? cursor : Math.min(to, cursor + chunk - 1);
+    const filter = { fromBlock: toHexQuantity(BigInt(lo)), toBlock: toHexQuantity(BigInt(hi)), topics };
+    if (address != null) filter.address = address;
+    let got;
+    try {
+      requests += 1;
+      got = await rpcCall("eth_getLogs", [filter], { rpcUrl });
+    } catch (err) {
+      if (isRangeLimitError(err) && hi > lo) {
+        chunk = Math.max(1, Math.floor((hi - lo + 1) / 2));
+        continue;
+      }
+      throw err;
+    }
+    if (!Array.isArray(got)) throw new Error(`eth_getLogs returned a non-array result for blocks ${lo}..${hi}`);
+    if (onChunk) await onChunk({ fromBlock: lo, toBlock: hi, logs: got });
+    else logs.push(...got);
+    cursor = descending ? lo - 1 : hi + 1;
+  }
+  return { logs, requests, chunkBlocks: chunk };
+}
+
+function words(data) {
+  const body = String(data || "0x").slice(2);
+  const out = [];
+  for (let i = 0; i + 64 <= body.length; i += 64) out.push(body.slice(i, i + 64));
+  return out;
+}
+
+const asUint = (w) => (w == null ? null : BigInt(`0x${w}`).toString());
+const asAddress = (w) => (w == null ? null : `0x${w.slice(-40)}`.toLowerCase());
+const asBytes32 = (w) => (w == null ? null : `0x${w}`.toLowerCase());
+const topicWord = (t) => (t == null ? null : String(t).slice(2).padStart(64, "0"));
+
+export function incentiveIdForKey({ rewardToken, bonusRewardToken, pool, nonce }) {
+  const encoded = [rewardToken, bonusRewardToken, pool].map((a) => addressTopic(a).slice(2)).join("");
+  return keccak256Hex(`0x${encoded}${uintTopic(nonce).slice(2)}`);
+}
+
+function decodeArgs(event, topics, data) {
+  const [t1, t2, t3] = topics.slice(1).map(topicWord);
+  const d = words(data);
+  switch (event) {
+    case "Pool":
+      return { token0: asAddress(t1), token1: asAddress(t2), pool: asAddress(d[0]) };
+    case "CustomPool":
+      return { deployer: asAddress(t1), token0: asAddress(t2), token1: asAddress(t3), pool: asAddress(d[0]) };
+    case "IncreaseLiquidity":
+      return { tokenId: asUint(t1), liquidityDesired: asUint(d[0]), liquidity: asUint(d[1]), amount0: asUint(d[2]), amount1: asUint(d[3]), pool: asAddress(d[4]) };
+    case "DecreaseLiquidity":
+      return { tokenId: asUint(t1), liquidity: asUint(d[0]), amount0: asUint(d[1]), amount1: asUint(d[2]) };
+    case "Collect":
+      return { tokenId: asUint(t1), recipient: asAddress(d[0]), amount0: asUint(d[1]), amount1: asUint(d[2]) };
+    // ERC721 Transfer/Approval index the token id; the ERC20 forms carry the amount in data.
+    case "Transfer":
+      return t3 != null
+        ? { from: asAddress(t1), to: asAddress(t2), tokenId: asUint(t3) }
+        : { from: asAddress(t1), to: asAddress(t2), value: asUint(d[0]) };
+    case "Approval":
+      return t3 != null
+        ? { owner: asAddress(t1), spender: asAddress(t2), tokenId: asUint(t3) }
+        : { owner: asAddress(t1), spender: asAddress(t2), value: asUint(d[0]) };
+    case "FarmEntered":
+      return { tokenId: asUint(t1), incentiveId: asBytes32(t2), liquidity: asUint(d[0]) };
+    case "FarmEnded":
+      return {
+        tokenId: asUint(t1),
+        incentiveId: asBytes32(t2),
+        rewardToken: asAddress(t3),
+        bonusRewardToken: asAddress(d[0]),
+        owner: asAddress(d[1]),
+        reward: asUint(d[2]),
+        bonusReward: asUint(d[3]),
+      };
+    case "RewardClaimed":
+      return { to: asAddress(t1), rewardToken: asAddress(t2), owner: asAddress(t3), reward: asUint(d[0]) };
+    case "RewardsCollected":
+      return { tokenId: asUint(d[0]), incentiveId: asBytes32(d[1]), reward: asUint(d[2]), bonusReward: asUint(d[3]) };
+    case "EternalFarmingCreated": {
+      const key = { rewardToken: asAddress(t1), bonusRewardToken: asAddress(t2), pool: asAddress(t3), nonce: asUint(d[1]) };
+      return {
+        ...key,
+        incentiveId: incentiveIdForKey(key),
+        virtualPool: asAddress(d[0]),
+        reward: asUint(d[2]),
+        bonusReward: asUint(d[3]),
+        minimalPositionWidth: d[4] == null ? null : Number(BigInt(`0x${d[4]}`)),
+      };
+    }
+    default:
+      return {};
+  }
+}
+
+// One stored record per log; uint values are decimal strings so the JSONL stays plain JSON.
+export function decodeIndexedLog(log, { stream = null } = {}) {
+  const topics = Array.isArray(log?.topics) ? log.topics.map((t) => String(t).toLowerCase()) : [];
+  const event = EVENT_BY_TOPIC.get(topics[0]);
+  if (!event) return null;
+  let args;
+  try {
+    args = decodeArgs(event, topics, log?.data);
+  } catch {
+    return null;
+  }
+  return {
+    stream,
+    event,
+    address: normalizeAddress(log.address) || String(log.address || "").toLowerCase(),
+    blockNumber: Number(BigInt(log.blockNumber)),
+    logIndex: Number(BigInt(log.logIndex ?? 0)),
+    txHash: String(log.transactionHash || "").toLowerCase(),
+    args,
+  };
+}
+
+function cursorPath(dir) {
+  return path.join(dir, "cursor.json");
+}
+
+function eventsPath(dir) {
+  return path.join(dir, "events.jsonl");
+}
+
+export async function readLogIndexCursor(dir = logIndexDir()) {
+  try {
+    const parsed = JSON.parse(await fs.readFile(cursorPath(dir), "utf8"));
+    if (parsed?.version !== LOG_INDEX_VERSION || typeof parsed.streams !== "object") {
+      throw new Error(`Unsupported log index cursor: ${cursorPath(dir)}`);
+    }
+    return parsed;
+  } catch (e) {
+    if (e && (e.code === "ENOENT" || e.code === "ENOTDIR")) return { version: LOG_INDEX_VERSION, streams: {} };
+    throw e;
+  }
+}
+
+async function saveLogIndexCursor(cursor, dir) {
+  cursor.updatedAt = new Date().toISOString();
+  const file = cursorPath(dir);
+  const tmpPath = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, `${JSON.stringify(cursor, null, 2)}\n`, "utf8");
+  await fs.rename(tmpPath, file);
+}
+
+// Brings each stream up to `toBlock` (default: head). A stream's first sync starts at
+// `fromBlock`, its own start block, or head minus the lookback; a later `fromBlock` below the
+// indexed range backfills newest-first. Events are appended and the cursor saved after every
+// chunk, so an interrupted sync resumes where it stopped.
+export async function syncLogIndex({
+  streams = LOG_INDEX_STREAMS,
+  fromBlock = null,
+  toBlock = null,
+  dir = logIndexDir(),
+  rpcUrl = DEFAULT_RPC_URL,
+  chunkBlocks = DEFAULT_LOG_CHUNK_BLOCKS,
+  lookbackBlocks = DEFAULT_LOG_INDEX_LOOKBACK_BLOCKS,
+} = {}) {
+  const head = toBlock == null ? (await rpcBlockNumber({ rpcUrl })).decimal : Number(toBlock);
+  await fs.mkdir(dir, { recursive: true });
+  const cursor = await readLogIndexCursor(dir);
+  const summaries = [];
+
+  for (const stream of streams) {
+    const filter = logStreamFilter(stream);
+    const summary = { stream, added: 0, requests: 0, fromBlock: null, toBlock: null };
+    const persist = async ({ fromBlock: lo, toBlock: hi, logs }) => {
+      const records = logs.map((log) => decodeIndexedLog(log, { stream })).filter(Boolean);
+      if (records.length) await fs.appendFile(eventsPath(dir), records.map((r) => `${JSON.stringify(r)}\n`).join(""), "utf8");
+      const prev = cursor.streams[stream];
+      cursor.streams[stream] = {
+        fromBlock: prev ? Math.min(prev.fromBlock, lo) : lo,
+        toBlock: prev ? Math.max(prev.toBlock, hi) : hi,
+        events: (prev?.events || 0) + records.length,
+      };
+      summary.added += records.length;
+      await saveLogIndexCursor(cursor, dir);
+    };
+    const scan = async (lo, hi, descending) => {
+      if (hi < lo) return;
+      const out = await getLogsChunked({ ...filter, fromBlock: lo, toBlock: hi, chunkBlocks, descending, rpcUrl, onChunk: persist });
+      summary.requests += out.requests;
+    };
+
+    const existing = cursor.streams[stream];
+    const start = Math.max(0, Number(fromBlock ?? existing?.fromBlock ?? filter.startBlock ?? head - lookbackBlocks));
+    if (existing && start < existing.fromBlock) await scan(start, existing.fromBlock - 1, true);
+    await scan(existing ? existing.toBlock + 1 : Math.min(start, head + 1), head, false);
+
+    summary.fromBlock = cursor.streams[stream]?.fromBlock ?? null;
+    summary.toBlock = cursor.streams[stream]?.toBlock ?? null;
+    summaries.push(summary);
+  }
+  return { head, dir, streams: summaries };
+}
+
+// Indexed events ordered by (block, logIndex). A sync interrupted between appending a chunk
+// and saving the cursor re-fetches that chunk, so duplicates are dropped here.
+export async function queryLogIndex({ dir = logIndexDir(), stream = null, event = null, fromBlock = null, toBlock = null, where = null } = {}) {
+  let text = "";
+  try {
+    text = await fs.readFile(eventsPath(dir), "utf8");
+  } catch (e) {
+    if (e && (e.code === "ENOENT" || e.code === "ENOTDIR")) return [];
+    throw e;
+  }
+  const streams = stream == null ? null : [stream].flat();
+  const events = event == null ? null : [event].flat();
+  const seen = new Set();
+  const out = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    const rec = JSON.parse(line);
+    if (streams && !streams.includes(rec.stream)) continue;
+    if (events && !events.includes(rec.event)) continue;
+    if (fromBlock != null && rec.blockNumber < fromBlock) continue;
+    if (toBlock != null && rec.blockNumber > toBlock) continue;
+    if (where && !where(rec)) continue;
+    const id = `${rec.stream}:${rec.txHash}:${rec.logIndex}`;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    out.push(rec);
+  }
+  return out.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
@@ -0,0 +1,150 @@
+// Local allowlist of the exact calldata emitted by *-plan commands (unless run with
+// --no-record-plan). Each template is fingerprinted over (chainId, to, value, data)
+// and saved with the plan's sender until the plan's deadline; broadcast-raw only sends
+// a signed tx whose fingerprint is in the store, not yet expired, and recorded for its signer.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { DEFAULT_POLICY } from "./krlp_defaults.mjs";
+import { keccak256Hex } from "./krlp_keccak.mjs";
+
+export const PLAN_STORE_VERSION = 1;
+
+// A fingerprint outliving the deadline its plan embeds would only admit calldata
+// that reverts anyway. Plans without a deadline fall back to the default policy's.
+export function planFingerprintTtlSeconds(deadlineSeconds = null) {
+  return Number(process.env.KRLP_PLAN_FINGERPRINT_TTL_SECONDS || (deadlineSeconds ?? DEFAULT_POLICY.deadlineSeconds));
+}
+
+// The deadline a plan's calldata was built with, from the `deadline=Ns` of its policy
+// line (--policy / --deadline-seconds applied). Null when the plan embeds none.
+export function planDeadlineSeconds(labeledFields = {}) {
+  const match = String(labeledFields.policy ?? "").match(/\bdeadline=(\d+)s\b/);
+  return match ? Number(match[1]) : null;
+}
+
+const DEFAULT_PLAN_STORE_PATH = fileURLToPath(new URL("../state/plan-fingerprints.json", import.meta.url));
+
+export function planStorePath() {
+  return process.env.KRLP_PLAN_STORE_PATH || DEFAULT_PLAN_STORE_PATH;
+}
+
+function leadingQuantity(raw) {
+  const text = String(raw ?? "").trim();
+  const hex = text.match(/^0x[0-9a-fA-F]+/);
+  if (hex) return BigInt(hex[0]);
+  const dec = text.match(/^\d+/);
+  return dec ? BigInt(dec[0]) : 0n;
+}
+
+export function txFingerprint({ chainId, to, value = 0n, data = "0x" }) {
+  if (chainId == null) throw new Error("fingerprint requires a chain id (pre-EIP-155 txs are not accepted)");
+  if (!to) throw new Error("fingerprint requires a 'to' address (contract creation is not accepted)");
+  const canonical = JSON.stringify([
+    "krlp-plan-fingerprint-v1",
+    BigInt(chainId).toString(),
+    String(to).toLowerCase(),
+    `0x${BigInt(value).toString(16)}`,
+    String(data || "0x").toLowerCase(),
+  ]);
+  return keccak256Hex(canonical);
+}
+
+// Walks `--json` result sections (or the equivalent bullet tree) and returns
+// every node that carries both a `to` and a `data` child, which covers single
+// templates, ordered step lists and "choose one" approval alternatives.
+export function collectPlanTemplates(sections) {
+  const out = [];
+  const walk = (nodes) => {
+    for (const node of nodes || []) {
+      const children = node.children || [];
+      const field = (key) => children.find((child) => child.key === key)?.value;
+      const to = field("to");
+      const data = field("data");
+      if (/^0x[0-9a-fA-F]{40}$/.test(String(to || "")) && /^0x(?:[0-9a-fA-F]{2})*$/.test(String(data || ""))) {
+        out.push({
+          label: /^transaction template\b(?!s)/i.test(node.label)
+            ? "template"
+            : node.value ? `${node.label} (${node.value})` : node.label,
+          to: String(to).toLowerCase(),
+          value: leadingQuantity(field("value")),
+          data: String(data).toLowerCase(),
+        });
+        continue;
+      }
+      walk(children);
+    }
+  };
+  walk(sections);
+  return out;
+}
+
+export async function loadPlanStore(storePath = planStorePath()) {
+  try {
+    const parsed = JSON.parse(await fs.readFile(storePath, "utf8"));
+    if (!parsed || typeof parsed !== "object" || !Array.isArray(parsed.entries)) {
+      throw new Error(`Invalid plan store: ${storePath}`);
+    }
+    if (parsed.version !== PLAN_STORE_VERSION) {
+      throw new Error(`Unsupported plan store version ${parsed.version}: ${storePath}`);
+    }
+    return parsed;
+  } catch (e) {
+    if (e && (e.code === "ENOENT" || e.code === "ENOTDIR")) return { version: PLAN_STORE_VERSION, entries: [] };
+    throw e;
+  }
+}
+
+async function savePlanStore(store, storePath) {
+  await fs.mkdir(path.dirname(storePath), { recursive: true });
+  const tmpPath = `${storePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, `${JSON.stringify(store, null, 2)}\n`, "utf8");
+  await fs.rename(tmpPath, storePath);
+}
+
+// Re-planning the same calldata for the same sender refreshes its expiry; expired entries
+// are pruned on write.
+export async function recordPlanFingerprints({
+  command,
+  chainId,
+  sender = null,
+  templates,
+  ttlSeconds = planFingerprintTtlSeconds(),
+  nowMs = Date.now(),
+  storePath = planStorePath(),
+}) {
+  const store = await loadPlanStore(storePath);
+  const createdAt = new Date(nowMs).toISOString();
+  const expiresAt = new Date(nowMs + Number(ttlSeconds) * 1000).toISOString();
+  const fresh = templates.map((template) => ({
+    fingerprint: txFingerprint({ chainId, ...template }),
+    command,
+    label: template.label,
+    sender: sender ? String(sender).toLowerCase() : null,
+    chainId: String(chainId),
+    to: template.to,
+    value: `0x${BigInt(template.value).toString(16)}`,
+    selector: String(template.data).slice(0, 10),
+    createdAt,
+    expiresAt,
+  }));
+  const entryKey = (entry) => `${entry.fingerprint}:${entry.sender || ""}`;
+  const freshSet = new Set(fresh.map(entryKey));
+  store.entries = [
+    ...store.entries.filter((entry) => !freshSet.has(entryKey(entry)) && Date.parse(entry.expiresAt) > nowMs),
+    ...fresh,
+  ];
+  await savePlanStore(store, storePath);
+  return { entries: fresh, expiresAt, storePath };
+}
+
+// The same calldata can be planned for several senders; the entry recorded for `sender` wins.
+export async function findPlanFingerprint(fingerprint, { sender = null, nowMs = Date.now(), storePath = planStorePath() } = {}) {
+  const store = await loadPlanStore(storePath);
+  const matches = store.entries.filter((item) => item.fingerprint === String(fingerprint).toLowerCase());
+  const from = sender ? String(sender).toLowerCase() : null;
+  const entry = matches.find((item) => from && item.sender === from) || matches.at(-1) || null;
+  return { entry, expired: Boolean(entry) && Date.parse(entry.expiresAt) <= nowMs, storePath };
+}
@@ -0,0 +1,168 @@
+// Position lifecycle from the event log index (krlp_log_indexer). Pure: callers sync
+// the positions and farming streams, pass the indexed records in, and attach block
+// timestamps and stable marks to the entries this returns.
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+export const HISTORY_STREAMS = Object.freeze(["positions", "farming"]);
+
+const big = (v) => (v == null ? 0n : BigInt(v));
+
+function rewardRows(pairs) {
+  return pairs
+    .filter(([token, amount]) => token && token !== ZERO_ADDRESS && amount > 0n)
+    .map(([token, amount]) => ({ token, amount }));
+}
+
+// Timeline for one NFT, ordered by (block, logIndex). Mint is the Transfer from zero merged
+// with the IncreaseLiquidity in the same tx; burn is the Transfer to zero. Collect amounts
+// are split into principal (owed by earlier decreases) and fees (the rest). Farm rewards
+// are accrued on FarmEnded/RewardsCollected; RewardClaimed rows are the owner's claims
+// sent in the same txs as this token's events, so they can include other positions' rewards.
+export function buildPositionTimeline(events, { tokenId } = {}) {
+  const id = String(tokenId);
+  const incentives = new Map(
+    events.filter((e) => e.event === "EternalFarmingCreated").map((e) => [e.args.incentiveId, e.args])
+  );
+  const own = events.filter((e) => e.args?.tokenId === id && (
+    (e.stream === "positions" && ["Transfer", "IncreaseLiquidity", "DecreaseLiquidity", "Collect"].includes(e.event))
+    || (e.stream === "farming" && ["FarmEntered", "FarmEnded", "RewardsCollected"].includes(e.event))
+  ));
+  const txs = new Set(own.map((e) => e.txHash));
+  const claims = events.filter((e) => e.event === "RewardClaimed" && txs.has(e.txHash));
+  const ordered = [...own, ...claims].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  const mintIncreases = new Set();
+  for (const e of ordered) {
+    if (e.event !== "Transfer" || e.args.from !== ZERO_ADDRESS) continue;
+    const inc = ordered.find((x) => x.event === "IncreaseLiquidity" && x.txHash === e.txHash);
+    if (inc) mintIncreases.add(inc);
+  }
+
+  const entries = [];
+  const totals = { liquidity: 0n, deposited0: 0n, deposited1: 0n, withdrawn0: 0n, withdrawn1: 0n, fees0: 0n, fees1: 0n, rewards: new Map() };
+  let owed0 = 0n;
+  let owed1 = 0n;
+  let poolAddress = null;
+  const at = (e) => ({ blockNumber: e.blockNumber, logIndex: e.logIndex, txHash: e.txHash });
+  const accrue = (rows) => rows.forEach(({ token, amount }) => totals.rewards.set(token, (totals.rewards.get(token) || 0n) + amount));
+
+  for (const e of ordered) {
+    const a = e.args;
+    switch (e.event) {
+      case "Transfer": {
+        if (a.from === ZERO_ADDRESS) {
+          const inc = ordered.find((x) => mintIncreases.has(x) && x.txHash === e.txHash);
+          const entry = { kind: "mint", ...at(e), to: a.to, liquidity: big(inc?.args.liquidity), amount0: big(inc?.args.amount0), amount1: big(inc?.args.amount1), pool: inc?.args.pool || null };
+          poolAddress ||= entry.pool;
+          totals.liquidity += entry.liquidity;
+          totals.deposited0 += entry.amount0;
+          totals.deposited1 += entry.amount1;
+          entries.push(entry);
+        } else {
+          entries.push({ kind: a.to === ZERO_ADDRESS ? "burn" : "transfer", ...at(e), from: a.from, to: a.to });
+        }
+        break;
+      }
+      case "IncreaseLiquidity": {
+        if (mintIncreases.has(e)) break;
+        const entry = { kind: "increase", ...at(e), liquidity: big(a.liquidity), amount0: big(a.amount0), amount1: big(a.amount1), pool: a.pool || null };
+        poolAddress ||= entry.pool;
+        totals.liquidity += entry.liquidity;
+        totals.deposited0 += entry.amount0;
+        totals.deposited1 += entry.amount1;
+        entries.push(entry);
+        break;
+      }
+      case "DecreaseLiquidity": {
+        const entry = { kind: "decrease", ...at(e), liquidity: big(a.liquidity), amount0: big(a.amount0), amount1: big(a.amount1) };
+        totals.liquidity -= entry.liquidity;
+        owed0 += entry.amount0;
+        owed1 += entry.amount1;
+        entries.push(entry);
+        break;
+      }
+      case "Collect": {
+        const amount0 = big(a.amount0);
+        const amount1 = big(a.amount1);
+        const principal0 = amount0 < owed0 ? amount0 : owed0;
+        const principal1 = amount1 < owed1 ? amount1 : owed1;
+        owed0 -= principal0;
+        owed1 -= principal1;
+        const entry = { kind: "collect", ...at(e), recipient: a.recipient, amount0, amount1, principal0, principal1, fees0: amount0 - principal0, fees1: amount1 - principal1 };
+        totals.withdrawn0 += principal0;
+        totals.withdrawn1 += principal1;
+        totals.fees0 += entry.fees0;
+        totals.fees1 += entry.fees1;
+        entries.push(entry);
+        break;
+      }
+      case "FarmEntered":
+        entries.push({ kind: "farm-enter", ...at(e), incentiveId: a.incentiveId, liquidity: big(a.liquidity), incentive: incentives.get(a.incentiveId) || null });
+        break;
+      case "FarmEnded": {
+        const rewards = rewardRows([[a.rewardToken, big(a.reward)], [a.bonusRewardToken, big(a.bonusReward)]]);
+        accrue(rewards);
+        entries.push({ kind: "farm-exit", ...at(e), incentiveId: a.incentiveId, owner: a.owner, rewards, incentive: incentives.get(a.incentiveId) || null });
+        break;
+      }
+      case "RewardsCollected": {
+        const incentive = incentives.get(a.incentiveId) || null;
+        const rewards = incentive
+          ? rewardRows([[incentive.rewardToken, big(a.reward)], [incentive.bonusRewardToken, big(a.bonusReward)]])
+          : [];
+        accrue(rewards);
+        entries.push({ kind: "farm-collect", ...at(e), incentiveId: a.incentiveId, rewards, rawReward: big(a.reward), rawBonusReward: big(a.bonusReward), incentive });
+        break;
+      }
+      case "RewardClaimed":
+        entries.push({ kind: "reward-claim", ...at(e), owner: a.owner, to: a.to, rewards: rewardRows([[a.rewardToken, big(a.reward)]]) });
+        break;
+      default:
+        break;
+    }
+  }
+
+  // principal released by decreases but not collected yet (still in tokensOwed)
+  totals.owed0 = owed0;
+  totals.owed1 = owed1;
+
+  return {
+    tokenId: id,
+    entries,
+    poolAddress,
+    mint: entries.find((x) => x.kind === "mint") || null,
+    burn: entries.find((x) => x.kind === "burn") || null,
+    totals,
+  };
+}
+
+// Largest gap between a predecessor's last collect and its successor's mint for `pnl` chaining.
+export const DEFAULT_CHAIN_MAX_GAP_BLOCKS = 1800;
+
+// A rebalance withdraws the old NFT (decrease + collect to the owner, optional burn) and mints
+// the new one in the same pool shortly after. The predecessor is the most recently collected
+// position in that pool, fully withdrawn to the new mint's recipient within maxGapBlocks
+// before the mint. Returns its timeline, or null when none qualifies.
+export function findPredecessorTimeline(events, timeline, { maxGapBlocks = DEFAULT_CHAIN_MAX_GAP_BLOCKS } = {}) {
+  const mint = timeline?.mint;
+  if (!mint || !timeline.poolAddress) return null;
+  const candidates = [...new Set(events
+    .filter((e) => (
+      e.stream === "positions"
+      && e.event === "Collect"
+      && e.args.recipient === mint.to
+      && e.args.tokenId !== timeline.tokenId
+      && e.blockNumber <= mint.blockNumber
+      && e.blockNumber >= mint.blockNumber - maxGapBlocks
+    ))
+    .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex)
+    .map((e) => e.args.tokenId))];
+  for (const id of candidates) {
+    const prev = buildPositionTimeline(events, { tokenId: id });
+    if (!prev.mint || prev.mint.blockNumber >= mint.blockNumber) continue;
+    if (prev.poolAddress !== timeline.poolAddress || prev.totals.liquidity !== 0n) continue;
+    return prev;
+  }
+  return null;
+}
@@ -0,0 +1,104 @@
+// Range sizing from realized tick volatility. The pool tick is modelled as a
+// driftless random walk, so a range of half-width a around the current tick
+// stays in range for T seconds with the Brownian two-sided exit probability.
+
+// Realized volatility in ticks per sqrt(second): the quadratic variation of the
+// tick path (successive Swap ticks) over the sampled window.
+export function realizedTickVolatility(ticks, { windowSeconds } = {}) {
+  const path = (Array.isArray(ticks) ? ticks : []).map(Number);
+  if (path.some((t) => !Number.isFinite(t))) throw new Error("tick path must be numeric");
+  const seconds = Number(windowSeconds);
+  if (!Number.isFinite(seconds) || seconds <= 0) throw new Error(`windowSeconds must be > 0 (got ${windowSeconds})`);
+  let quadraticVariation = 0;
+  let moves = 0;
+  for (let i = 1; i < path.length; i += 1) {
+    const d = path[i] - path[i - 1];
+    if (d !== 0) moves += 1;
+    quadraticVariation += d * d;
+  }
+  return {
+    samples: path.length,
+    moves,
+    quadraticVariation,
+    sigmaPerSqrtSecond: Math.sqrt(quadraticVariation / seconds),
+  };
+}
+
+// P(|W_t| < a for all t <= T) for a walk started at the center:
+// (4/pi) * sum_n (-1)^n / (2n+1) * exp(-(2n+1)^2 pi^2 sigma^2 T / (8 a^2)).
+export function stayInRangeProbability({ halfWidthTicks, sigma, seconds }) {
+  const a = Number(halfWidthTicks);
+  const variance = Number(sigma) ** 2 * Number(seconds);
+  if (!(a > 0)) return 0;
+  if (!Number.isFinite(variance) || variance < 0) throw new Error("sigma and seconds must be finite and non-negative");
+  const x = variance / (a * a);
+  // below this the exit odds are under 1e-40
+  if (x < 0.005) return 1;
+  let sum = 0;
+  for (let n = 0; n < 200; n += 1) {
+    const k = 2 * n + 1;
+    const term = Math.exp((-k * k * Math.PI * Math.PI * x) / 8) / k;
+    sum += n % 2 === 0 ? term : -term;
+    if (term < 1e-15) break;
+  }
+  return Math.min(1, Math.max(0, (4 / Math.PI) * sum));
+}
+
+// Smallest half-width (ticks, fractional) with stayInRangeProbability >= probability.
+export function halfWidthForStayProbability({ probability, sigma, seconds }) {
+  const p = Number(probability);
+  if (!(p > 0 && p < 1)) throw new Error(`probability must be in (0, 1) (got ${probability})`);
+  const spread = Number(sigma) * Math.sqrt(Number(seconds));
+  if (!Number.isFinite(spread) || spread < 0) throw new Error("sigma and seconds must be finite and non-negative");
+  if (spread === 0) return 0;
+  let lo = 0;
+  let hi = spread;
+  while (stayInRangeProbability({ halfWidthTicks: hi, sigma, seconds }) < p) hi *= 2;
+  for (let i = 0; i < 60; i += 1) {
+    const mid = (lo + hi) / 2;
+    if (stayInRangeProbability({ halfWidthTicks: mid, sigma, seconds }) >= p) hi = mid;
+    else lo = mid;
+  }
+  return hi;
+}
+
+// Standard normal CDF via the Abramowitz-Stegun 7.1.26 erfc fit (|error| < 1.5e-7).
+export function normalCdf(z) {
+  const x = Math.abs(Number(z)) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const tail = 0.5 * poly * Math.exp(-x * x);
+  return z >= 0 ? 1 - tail : tail;
+}
+
+// A heartbeat that re-centers a +/-a range once the tick is within the edge buffer, i.e.
+// beyond +/-b of the center, checked every checkSeconds. The walk first reaches +/-b after
+// b^2 / sigma^2 seconds on average; the next check follows half an interval later, and never
+// sooner than one interval after the last rebalance. Between the hit and that check the walk
+// restarts at +/-b and is out of range while beyond +/-a.
+export function heartbeatRangeModel({ halfWidthTicks, triggerTicks, sigma, checkSeconds }) {
+  const a = Number(halfWidthTicks);
+  const b = Math.max(0, Math.min(a, Number(triggerTicks)));
+  const s = Number(sigma);
+  const dt = Number(checkSeconds);
+  if (!(a > 0)) throw new Error(`halfWidthTicks must be > 0 (got ${halfWidthTicks})`);
+  if (!Number.isFinite(s) || s < 0) throw new Error(`sigma must be finite and non-negative (got ${sigma})`);
+  if (!(dt > 0)) throw new Error(`checkSeconds must be > 0 (got ${checkSeconds})`);
+  if (s === 0) return { hitSeconds: Infinity, cycleSeconds: Infinity, timeInRange: 1 };
+
+  const hitSeconds = (b * b) / (s * s);
+  const cycleSeconds = Math.max(dt, hitSeconds + dt / 2);
+  const lag = cycleSeconds - hitSeconds;
+  const outAt = (t) => (t <= 0 ? 0 : normalCdf(-(a - b) / (s * Math.sqrt(t))) + normalCdf(-(a + b) / (s * Math.sqrt(t))));
+  // Simpson's rule over the lag
+  const steps = 64;
+  const h = lag / steps;
+  let sum = outAt(0) + outAt(lag);
+  for (let i = 1; i < steps; i += 1) sum += (i % 2 === 0 ? 2 : 4) * outAt(i * h);
+  const lagOutSeconds = (sum * h) / 3;
+  return {
+    hitSeconds,
+    cycleSeconds,
+    timeInRange: Math.min(1, Math.max(0, 1 - lagOutSeconds / cycleSeconds)),
+  };
+}
@@ -0,0 +1,99 @@
+// Minimal RLP codec for transaction serialization. Items are byte strings
+// (Uint8Array / 0x-hex) or arrays of items; quantities go through rlpQuantity.
+
+function concatBytes(parts) {
+  return Buffer.concat(parts.map((part) => Buffer.from(part)));
+}
+
+function encodeLength(length, offset) {
+  if (length < 56) return Buffer.from([offset + length]);
+  let hex = length.toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  const lengthBytes = Buffer.from(hex, "hex");
+  return concatBytes([Buffer.from([offset + 55 + lengthBytes.length]), lengthBytes]);
+}
+
+export function hexToBytes(hex) {
+  const raw = String(hex ?? "").trim();
+  if (!/^0x[0-9a-fA-F]*$/.test(raw)) throw new Error(`Invalid hex bytes: ${raw}`);
+  const body = raw.slice(2);
+  if (body.length % 2) throw new Error(`Invalid hex bytes (odd length): ${raw}`);
+  return Buffer.from(body, "hex");
+}
+
+// Canonical big-endian quantity with no leading zeros (0 encodes as empty).
+export function rlpQuantity(value) {
+  const n = BigInt(value);
+  if (n < 0n) throw new Error(`RLP quantity must be non-negative: ${value}`);
+  if (n === 0n) return Buffer.alloc(0);
+  let hex = n.toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  return Buffer.from(hex, "hex");
+}
+
+export function rlpEncode(item) {
+  if (Array.isArray(item)) {
+    const payload = concatBytes(item.map((child) => rlpEncode(child)));
+    return concatBytes([encodeLength(payload.length, 0xc0), payload]);
+  }
+  const bytes = typeof item === "string" ? hexToBytes(item) : Buffer.from(item);
+  if (bytes.length === 1 && bytes[0] < 0x80) return bytes;
+  return concatBytes([encodeLength(bytes.length, 0x80), bytes]);
+}
+
+function readLength(bytes, offset, lengthOfLength) {
+  if (offset + lengthOfLength > bytes.length) throw new Error("RLP length prefix overruns input");
+  if (bytes[offset] === 0) throw new Error("RLP length has leading zero");
+  let length = 0;
+  for (let i = 0; i < lengthOfLength; i++) length = length * 256 + bytes[offset + i];
+  if (length < 56) throw new Error("RLP long form used for short payload");
+  return length;
+}
+
+function decodeItem(bytes, offset) {
+  if (offset >= bytes.length) throw new Error("RLP input truncated");
+  const prefix = bytes[offset];
+  if (prefix < 0x80) return { item: bytes.subarray(offset, offset + 1), next: offset + 1 };
+
+  let start;
+  let length;
+  let isList;
+  if (prefix < 0xb8) {
+    [start, length, isList] = [offset + 1, prefix - 0x80, false];
+    if (length === 1 && bytes[start] < 0x80) throw new Error("RLP single byte must not be string-prefixed");
+  } else if (prefix < 0xc0) {
+    const lol = prefix - 0xb7;
+    [start, length, isList] = [offset + 1 + lol, readLength(bytes, offset + 1, lol), false];
+  } else if (prefix < 0xf8) {
+    [start, length, isList] = [offset + 1, prefix - 0xc0, true];
+  } else {
+    const lol = prefix - 0xf7;
+    [start, length, isList] = [offset + 1 + lol, readLength(bytes, offset + 1, lol), true];
+  }
+  const end = start + length;
+  if (end > bytes.length) throw new Error("RLP payload overruns input");
+  if (!isList) return { item: bytes.subarray(start, end), next: end };
+
+  const items = [];
+  let cursor = start;
+  while (cursor < end) {
+    const decoded = decodeItem(bytes, cursor);
+    items.push(decoded.item);
+    cursor = decoded.next;
+  }
+  if (cursor !== end) throw new Error("RLP list payload length mismatch");
+  return { item: items, next: end };
+}
+
+export function rlpDecode(input) {
+  const bytes = typeof input === "string" ? hexToBytes(input) : Buffer.from(input);
+  const { item, next } = decodeItem(bytes, 0);
+  if (next !== bytes.length) throw new Error(`RLP input has ${bytes.length - next} trailing byte(s)`);
+  return item;
+}
+
+export function rlpToBigInt(bytes) {
+  const buf = Buffer.from(bytes);
+  if (buf.length > 0 && buf[0] === 0) throw new Error("RLP quantity has leading zero");
+  return buf.length ? BigInt(`0x${buf.toString("hex")}`) : 0n;
+}
@@ -0,0 +1,103 @@
+import { MAX_SWAP_PATH_HOPS, assertAddress, normalizeAddress } from "./kittenswap_rebalance_api.mjs";
+import { INVENTORY } from "./krlp_pool_registry.mjs";
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+export const DEFAULT_ROUTE_MAX_HOPS = 3;
+export const DEFAULT_ROUTE_MAX_CANDIDATES = 16;
+
+function buildGraph() {
+  const adjacency = new Map();
+  let poolCount = 0;
+  for (const pair of INVENTORY.pairs || []) {
+    const token0 = normalizeAddress(pair?.token0 || "");
+    const token1 = normalizeAddress(pair?.token1 || "");
+    const pool = normalizeAddress(pair?.pool || "");
+    if (!token0 || !token1 || !pool || token0 === token1) continue;
+    if (pair?.poolMetaError) continue;
+    const deployer = normalizeAddress(pair?.deployer || "") || ZERO_ADDRESS;
+    const eventType = String(pair?.eventType || "Pool");
+    for (const [from, to] of [[token0, token1], [token1, token0]]) {
+      const list = adjacency.get(from) || [];
+      list.push({ tokenOut: to, pool, deployer, eventType });
+      adjacency.set(from, list);
+    }
+    poolCount++;
+  }
+  return Object.freeze({ adjacency, poolCount, tokenCount: adjacency.size });
+}
+
+const GRAPH = buildGraph();
+
+export function getInventoryGraphStats() {
+  return {
+    tokens: GRAPH.tokenCount,
+    pools: GRAPH.poolCount,
+    generatedAt: INVENTORY.generatedAt || null,
+  };
+}
+
+// Custom-deployer pools rank after default pools so that, for equal hop counts,
+// the factory-canonical path is quoted first when the candidate cap is hit.
+function routeSortKey(route) {
+  const customHops = route.eventTypes.filter((eventType) => eventType !== "Pool").length;
+  return [route.hops, customHops, route.tokens.join(","), route.pools.join(",")];
+}
+
+function compareRoutes(left, right) {
+  const a = routeSortKey(left);
+  const b = routeSortKey(right);
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return -1;
+    if (a[i] > b[i]) return 1;
+  }
+  return 0;
+}
+
+export function enumerateInventoryRoutes(tokenIn, tokenOut, {
+  maxHops = DEFAULT_ROUTE_MAX_HOPS,
+  maxCandidates = DEFAULT_ROUTE_MAX_CANDIDATES,
+} = {}) {
+  const from = assertAddress(tokenIn);
+  const to = assertAddress(tokenOut);
+  if (from === to) throw new Error("tokenIn and tokenOut must differ");
+  const hopLimit = Math.floor(Number(maxHops));
+  if (!Number.isFinite(hopLimit) || hopLimit < 1 || hopLimit > MAX_SWAP_PATH_HOPS) {
+    throw new Error(`max-hops must be between 1 and ${MAX_SWAP_PATH_HOPS}`);
+  }
+
+  const routes = [];
+  const tokens = [from];
+  const edges = [];
+  const visit = (current) => {
+    if (edges.length >= hopLimit) return;
+    for (const edge of GRAPH.adjacency.get(current) || []) {
+      if (tokens.includes(edge.tokenOut)) continue;
+      tokens.push(edge.tokenOut);
+      edges.push(edge);
+      if (edge.tokenOut === to) {
+        routes.push({
+          tokens: [...tokens],
+          deployers: edges.map((e) => e.deployer),
+          pools: edges.map((e) => e.pool),
+          eventTypes: edges.map((e) => e.eventType),
+          hops: edges.length,
+        });
+      } else {
+        visit(edge.tokenOut);
+      }
+      tokens.pop();
+      edges.pop();
+    }
+  };
+  visit(from);
+
+  routes.sort(compareRoutes);
+  const limit = Math.floor(Number(maxCandidates));
+  if (!Number.isFinite(limit) || limit < 1) throw new Error(`max-candidates must be >= 1 (got ${maxCandidates})`);
+  return {
+    total: routes.length,
+    routes: routes.slice(0, limit),
+    truncated: routes.length > limit,
+  };
+}
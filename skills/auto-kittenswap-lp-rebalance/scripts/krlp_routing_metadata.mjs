@@ -31,6 +31,18 @@ export function getRoutingMetadataForPair(tokenIn, tokenOut) {
   return match ? { ...match, tokenInGroup: inGroup, tokenOutGroup: outGroup } : null;
 }
 
+export function resolvePreferredRouteVia(tokenIn, tokenOut) {
+  const route = getRoutingMetadataForPair(tokenIn, tokenOut);
+  if (route?.preferredRoute?.kind !== "multiHop") return [];
+  const via = [];
+  for (const groupName of route.preferredRoute.via || []) {
+    const address = normalizeAddress(ROUTING_METADATA.tokenGroups?.[groupName]?.[0] || "");
+    if (!address) throw new Error(`routing metadata via group has no token address: ${groupName}`);
+    via.push(address);
+  }
+  return via;
+}
+
 export function buildRoutingNotes({ tokenIn, tokenOut, tokenInSymbol = "tokenIn", tokenOutSymbol = "tokenOut", quoteFeeTier = null } = {}) {
   const route = getRoutingMetadataForPair(tokenIn, tokenOut);
   if (!route) return [];
@@ -48,6 +60,7 @@ export function buildRoutingNotes({ tokenIn, tokenOut, tokenInSymbol = "tokenIn"
       ? route.preferredRoute.via.join(" -> ")
       : "intermediate route";
     lines.push(`- preferred route for ${pairLabel}: multi-hop via ${via}.`);
+    lines.push("- multi-hop execution: exactInput/exactOutput path (swap-plan applies the preferred route unless --via overrides it).");
   }
 
   lines.push(`- supports single-hop execution: ${route.supportsSingleHop ? "YES" : "NO"}`);
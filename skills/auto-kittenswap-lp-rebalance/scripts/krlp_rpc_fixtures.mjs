@@ -0,0 +1,194 @@
+// Record/replay of HTTP exchanges (JSON-RPC and Hyperscan) for offline reproduction.
+// KRLP_RPC_RECORD=<file> appends one JSON line per request→response pair;
+// KRLP_RPC_REPLAY=<file> serves those pairs back without touching the network.
+// Fixtures get shared in bug reports, so URLs are stored with credentials
+// redacted and signed payloads are never written; replay refuses to "send".
+
+import { appendFileSync, mkdirSync, readFileSync } from "node:fs";
+import path from "node:path";
+
+export const RPC_FIXTURE_VERSION = 1;
+
+const STATE_CHANGING_METHODS = new Set(["eth_sendRawTransaction", "eth_sendTransaction"]);
+const SECRET_QUERY_PARAM = /key|token|secret|auth|pass/i;
+// provider API keys ride in the path (…/v2/<key>); 0x addresses and hashes are public
+const SECRET_PATH_SEGMENT = /^(?!0x)[A-Za-z0-9_-]{24,}$/;
+
+export function rpcFixtureMode() {
+  const record = String(process.env.KRLP_RPC_RECORD || "").trim();
+  const replay = String(process.env.KRLP_RPC_REPLAY || "").trim();
+  if (record && replay) throw new Error("Set only one of KRLP_RPC_RECORD and KRLP_RPC_REPLAY");
+  if (replay) return { mode: "replay", file: replay };
+  if (record) return { mode: "record", file: record };
+  return { mode: "off", file: null };
+}
+
+// JSON-RPC ids come from a per-process counter, so fixtures store them as their
+// position in the request; the response ids are mapped back on replay.
+function canonicalRequest(body) {
+  if (body == null || body === "") return { text: "", ids: [] };
+  let parsed;
+  try {
+    parsed = JSON.parse(String(body));
+  } catch {
+    return { text: String(body), ids: [] };
+  }
+  const items = Array.isArray(parsed) ? parsed : [parsed];
+  const ids = items.map((item) => (item && typeof item === "object" && "id" in item ? item.id : null));
+  const stripped = items.map((item, i) => (item && typeof item === "object" && "id" in item ? { ...item, id: i } : item));
+  return { text: JSON.stringify(Array.isArray(parsed) ? stripped : stripped[0]), ids };
+}
+
+function requestMethods(body) {
+  try {
+    const parsed = JSON.parse(String(body ?? ""));
+    return (Array.isArray(parsed) ? parsed : [parsed]).map((item) => item?.method).filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+// Drops userinfo, secret-looking query values, and long opaque path segments.
+export function redactFixtureUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url));
+  } catch {
+    return String(url);
+  }
+  parsed.username = "";
+  parsed.password = "";
+  parsed.pathname = parsed.pathname
+    .split("/")
+    .map((segment) => (SECRET_PATH_SEGMENT.test(segment) ? "REDACTED" : segment))
+    .join("/");
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (SECRET_QUERY_PARAM.test(name)) parsed.searchParams.set(name, "REDACTED");
+  }
+  return parsed.toString();
+}
+
+// Send payloads are signed txs: keep the method and id, never the params.
+function redactSendPayloads(requestText) {
+  if (!requestText) return requestText;
+  const parsed = JSON.parse(requestText);
+  const redact = (item) => (STATE_CHANGING_METHODS.has(item?.method) ? { ...item, params: ["REDACTED"] } : item);
+  return JSON.stringify(Array.isArray(parsed) ? parsed.map(redact) : redact(parsed));
+}
+
+function remapResponseIds(text, fromIds, toIds) {
+  if (!fromIds.length || !text) return text;
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return text;
+  }
+  const remap = (item) => {
+    if (!item || typeof item !== "object" || !("id" in item)) return item;
+    const i = fromIds.findIndex((id) => id === item.id);
+    return i < 0 ? item : { ...item, id: toIds[i] };
+  };
+  return JSON.stringify(Array.isArray(parsed) ? parsed.map(remap) : remap(parsed));
+}
+
+function fixtureKeys(method, url, requestText) {
+  const exact = `${method} ${url} ${requestText}`;
+  // the same RPC body replays against any endpoint, so a fixture recorded through a
+  // failover pool still answers when the pool order differs on the replaying machine
+  return requestText ? [exact, `${method} * ${requestText}`] : [exact];
+}
+
+let _replayIndex = null;
+
+function loadReplayIndex(file) {
+  if (_replayIndex?.file === file) return _replayIndex;
+  let text;
+  try {
+    text = readFileSync(file, "utf8");
+  } catch (err) {
+    throw new Error(`Cannot read KRLP_RPC_REPLAY fixture ${file}: ${err.message}`);
+  }
+  const byKey = new Map();
+  text.split("\n").forEach((line, n) => {
+    if (!line.trim()) return;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      throw new Error(`Invalid fixture line ${n + 1} in ${file}`);
+    }
+    if (entry?.v !== RPC_FIXTURE_VERSION) throw new Error(`Unsupported fixture version on line ${n + 1} in ${file}`);
+    entry.used = false;
+    for (const key of fixtureKeys(entry.method, entry.url, entry.request)) {
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(entry);
+    }
+  });
+  _replayIndex = { file, byKey };
+  return _replayIndex;
+}
+
+// Repeated identical requests (polling eth_blockNumber, receipts) replay in recorded
+// order; once a key is exhausted its last answer repeats.
+function takeReplayEntry(index, keys) {
+  for (const key of keys) {
+    const entries = index.byKey.get(key);
+    if (!entries?.length) continue;
+    const entry = entries.find((e) => !e.used) || entries[entries.length - 1];
+    entry.used = true;
+    return entry;
+  }
+  return null;
+}
+
+function replayResponse(entry, ids) {
+  if (entry.error) {
+    const err = new Error(entry.error.message);
+    err.name = entry.error.name || "Error";
+    throw err;
+  }
+  const { status, statusText, body } = entry.response;
+  return new Response(remapResponseIds(body, entry.ids || [], ids), { status, statusText });
+}
+
+function appendFixture(file, entry) {
+  mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  appendFileSync(file, `${JSON.stringify({ v: RPC_FIXTURE_VERSION, ...entry })}\n`);
+}
+
+// Drop-in replacement for fetch() used by every outbound HTTP read.
+export async function fetchWithFixtures(url, init = {}) {
+  const { mode, file } = rpcFixtureMode();
+  if (mode === "off") return fetch(url, init);
+
+  const method = String(init.method || "GET").toUpperCase();
+  const target = redactFixtureUrl(url);
+  const { text: request, ids } = canonicalRequest(init.body);
+  const sends = requestMethods(init.body).filter((name) => STATE_CHANGING_METHODS.has(name));
+
+  if (mode === "replay") {
+    if (sends.length) {
+      throw new Error(`KRLP_RPC_REPLAY refuses ${sends.join(", ")}: a fixture replay never broadcasts. Unset KRLP_RPC_REPLAY to send for real.`);
+    }
+    const entry = takeReplayEntry(loadReplayIndex(file), fixtureKeys(method, target, request));
+    if (!entry) {
+      const err = new Error(`No recorded response in ${file} for ${method} ${target} ${request.slice(0, 240)}`);
+      err.fixtureMiss = true;
+      throw err;
+    }
+    return replayResponse(entry, ids);
+  }
+
+  const base = { method, url: target, request: sends.length ? redactSendPayloads(request) : request, ids, recordedAt: new Date().toISOString() };
+  let res;
+  try {
+    res = await fetch(url, init);
+  } catch (err) {
+    appendFixture(file, { ...base, error: { name: err?.name || "Error", message: String(err?.message || err) } });
+    throw err;
+  }
+  const body = await res.text();
+  appendFixture(file, { ...base, response: { status: res.status, statusText: res.statusText, body } });
+  return new Response(body, { status: res.status, statusText: res.statusText });
+}
@@ -0,0 +1,221 @@
+// secp256k1 ECDSA over prehashed (keccak) digests. node:crypto cannot sign a
+// raw 32-byte digest with recovery, so signing is done here with RFC 6979
+// deterministic nonces and low-s normalization (EIP-2); public keys come from
+// node:crypto's ECDH.
+//
+// Threat model: BigInt arithmetic is not constant-time, so the signing path can
+// leak key bits through timing to anyone who can time many signatures. That is
+// acceptable for a local, single-user CLI that signs a handful of txs per run;
+// do not expose signDigest behind a network service or a shared host.
+
+import { createECDH, createHmac } from "node:crypto";
+
+import { keccak256 } from "./krlp_keccak.mjs";
+
+const P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const HALF_N = N >> 1n;
+const G = Object.freeze({
+  x: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+  y: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n,
+});
+
+function mod(a, m = P) {
+  const r = a % m;
+  return r >= 0n ? r : r + m;
+}
+
+function modInverse(a, m = P) {
+  let [oldR, r] = [mod(a, m), m];
+  let [oldS, s] = [1n, 0n];
+  while (r !== 0n) {
+    const q = oldR / r;
+    [oldR, r] = [r, oldR - q * r];
+    [oldS, s] = [s, oldS - q * s];
+  }
+  if (oldR !== 1n) throw new Error("secp256k1: value is not invertible");
+  return mod(oldS, m);
+}
+
+function modPow(base, exponent, m = P) {
+  let result = 1n;
+  let b = mod(base, m);
+  let e = exponent;
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % m;
+    b = (b * b) % m;
+    e >>= 1n;
+  }
+  return result;
+}
+
+// Jacobian coordinates avoid an inversion per group operation; null is infinity.
+function jacobianDouble(pt) {
+  if (!pt || pt.y === 0n) return null;
+  const ysq = mod(pt.y * pt.y);
+  const s = mod(4n * pt.x * ysq);
+  const m = mod(3n * pt.x * pt.x);
+  const x = mod(m * m - 2n * s);
+  const y = mod(m * (s - x) - 8n * ysq * ysq);
+  const z = mod(2n * pt.y * pt.z);
+  return { x, y, z };
+}
+
+function jacobianAdd(p, q) {
+  if (!p) return q;
+  if (!q) return p;
+  const pz2 = mod(p.z * p.z);
+  const qz2 = mod(q.z * q.z);
+  const u1 = mod(p.x * qz2);
+  const u2 = mod(q.x * pz2);
+  const s1 = mod(p.y * qz2 * q.z);
+  const s2 = mod(q.y * pz2 * p.z);
+  if (u1 === u2) return s1 === s2 ? jacobianDouble(p) : null;
+  const h = mod(u2 - u1);
+  const r = mod(s2 - s1);
+  const h2 = mod(h * h);
+  const h3 = mod(h * h2);
+  const u1h2 = mod(u1 * h2);
+  const x = mod(r * r - h3 - 2n * u1h2);
+  const y = mod(r * (u1h2 - x) - s1 * h3);
+  const z = mod(h * p.z * q.z);
+  return { x, y, z };
+}
+
+function toJacobian(pt) {
+  return pt ? { x: pt.x, y: pt.y, z: 1n } : null;
+}
+
+function fromJacobian(pt) {
+  if (!pt) return null;
+  const zInv = modInverse(pt.z);
+  const zInv2 = mod(zInv * zInv);
+  return { x: mod(pt.x * zInv2), y: mod(pt.y * zInv2 * zInv) };
+}
+
+function pointMultiply(point, scalar) {
+  let result = null;
+  let addend = toJacobian(point);
+  let k = scalar;
+  while (k > 0n) {
+    if (k & 1n) result = jacobianAdd(result, addend);
+    addend = jacobianDouble(addend);
+    k >>= 1n;
+  }
+  return fromJacobian(result);
+}
+
+function pointAdd(a, b) {
+  return fromJacobian(jacobianAdd(toJacobian(a), toJacobian(b)));
+}
+
+function bytesToBigInt(bytes) {
+  const hex = Buffer.from(bytes).toString("hex");
+  return hex ? BigInt(`0x${hex}`) : 0n;
+}
+
+function bigIntTo32(value) {
+  return Buffer.from(value.toString(16).padStart(64, "0"), "hex");
+}
+
+function asBytes32(input, label) {
+  const bytes = typeof input === "string"
+    ? Buffer.from(input.replace(/^0x/, ""), "hex")
+    : Buffer.from(input);
+  if (bytes.length !== 32) throw new Error(`${label} must be 32 bytes`);
+  return bytes;
+}
+
+function assertPrivateKey(privateKey) {
+  const key = asBytes32(privateKey, "private key");
+  const d = bytesToBigInt(key);
+  if (d <= 0n || d >= N) throw new Error("private key is out of range for secp256k1");
+  return { key, d };
+}
+
+function hmacSha256(key, ...parts) {
+  const h = createHmac("sha256", key);
+  for (const part of parts) h.update(part);
+  return h.digest();
+}
+
+// RFC 6979 section 3.2 with HMAC-SHA256; yields candidate nonces in order.
+function* rfc6979Nonces(key, digest) {
+  const h1 = bigIntTo32(mod(bytesToBigInt(digest), N));
+  let v = Buffer.alloc(32, 0x01);
+  let k = Buffer.alloc(32, 0x00);
+  k = hmacSha256(k, v, Buffer.from([0x00]), key, h1);
+  v = hmacSha256(k, v);
+  k = hmacSha256(k, v, Buffer.from([0x01]), key, h1);
+  v = hmacSha256(k, v);
+  while (true) {
+    v = hmacSha256(k, v);
+    const candidate = bytesToBigInt(v);
+    if (candidate > 0n && candidate < N) yield candidate;
+    k = hmacSha256(k, v, Buffer.from([0x00]));
+    v = hmacSha256(k, v);
+  }
+}
+
+export function privateKeyToPublicKey(privateKey) {
+  const { key } = assertPrivateKey(privateKey);
+  const ecdh = createECDH("secp256k1");
+  ecdh.setPrivateKey(key);
+  return ecdh.getPublicKey().subarray(1);
+}
+
+export function publicKeyToAddress(publicKey) {
+  const bytes = Buffer.from(publicKey);
+  const body = bytes.length === 65 && bytes[0] === 0x04 ? bytes.subarray(1) : bytes;
+  if (body.length !== 64) throw new Error("public key must be 64 bytes (uncompressed, no prefix)");
+  return `0x${keccak256(body).subarray(12).toString("hex")}`;
+}
+
+export function privateKeyToAddress(privateKey) {
+  return publicKeyToAddress(privateKeyToPublicKey(privateKey));
+}
+
+export function signDigest(digest, privateKey) {
+  const hash = asBytes32(digest, "digest");
+  const { key, d } = assertPrivateKey(privateKey);
+  const z = mod(bytesToBigInt(hash), N);
+  for (const k of rfc6979Nonces(key, hash)) {
+    const point = pointMultiply(G, k);
+    const r = mod(point.x, N);
+    if (r === 0n) continue;
+    let s = mod(modInverse(k, N) * (z + r * d), N);
+    if (s === 0n) continue;
+    let recovery = Number(point.y & 1n) | (point.x >= N ? 2 : 0);
+    if (s > HALF_N) {
+      s = N - s;
+      recovery ^= 1;
+    }
+    return { r, s, recovery };
+  }
+  throw new Error("secp256k1: nonce generation exhausted");
+}
+
+export function recoverPublicKey(digest, { r, s, recovery }) {
+  const hash = asBytes32(digest, "digest");
+  const rr = BigInt(r);
+  const ss = BigInt(s);
+  if (rr <= 0n || rr >= N || ss <= 0n || ss >= N) throw new Error("signature r/s out of range");
+  if (![0, 1, 2, 3].includes(Number(recovery))) throw new Error(`invalid recovery id: ${recovery}`);
+  const x = Number(recovery) & 2 ? rr + N : rr;
+  if (x >= P) throw new Error("signature r does not map to a curve point");
+  const alpha = mod(x * x * x + 7n);
+  let y = modPow(alpha, (P + 1n) / 4n);
+  if (mod(y * y) !== alpha) throw new Error("signature r does not map to a curve point");
+  if ((y & 1n) !== BigInt(Number(recovery) & 1)) y = P - y;
+  const z = mod(bytesToBigInt(hash), N);
+  const rInv = modInverse(rr, N);
+  const sR = pointMultiply({ x, y }, mod(ss * rInv, N));
+  const eG = pointMultiply(G, mod(-z * rInv, N));
+  const q = pointAdd(sR, eG);
+  if (!q) throw new Error("signature recovers to the point at infinity");
+  return Buffer.concat([bigIntTo32(q.x), bigIntTo32(q.y)]);
+}
+
+export function recoverAddress(digest, signature) {
+  return publicKeyToAddress(recoverPublicKey(digest, signature));
+}
@@ -0,0 +1,506 @@
+// Offline transaction signing for plan txTemplates: Web3 Secret Storage (v3)
+// keystore decryption plus EIP-1559 / EIP-155 legacy serialization.
+
+import { spawnSync } from "node:child_process";
+import { createDecipheriv, pbkdf2Sync, scryptSync, timingSafeEqual } from "node:crypto";
+
+import { assertAddress, normalizeAddress } from "./kittenswap_rebalance_api.mjs";
+import { renderCommandJson } from "./krlp_json_output.mjs";
+import { keccak256, keccak256Hex } from "./krlp_keccak.mjs";
+import { hexToBytes, rlpDecode, rlpEncode, rlpQuantity, rlpToBigInt } from "./krlp_rlp.mjs";
+import { privateKeyToAddress, recoverAddress, signDigest } from "./krlp_secp256k1.mjs";
+
+export const DEFAULT_SIGN_GAS_BUFFER_BPS = 2000;
+export const TX_TYPE_EIP1559 = "eip1559";
+export const TX_TYPE_LEGACY = "legacy";
+export const DEFAULT_SIGNER_COMMAND_TIMEOUT_MS = 120_000;
+
+// Standard light/standard scrypt costs top out at n=262144,r=8 (256 MiB), which
+// is above node's 32 MiB default maxmem.
+const SCRYPT_MAXMEM_BYTES = 512 * 1024 * 1024;
+
+function hexField(value, label) {
+  const raw = String(value ?? "").trim().replace(/^0x/i, "");
+  if (!raw || !/^[0-9a-fA-F]*$/.test(raw) || raw.length % 2) {
+    throw new Error(`keystore ${label} must be hex`);
+  }
+  return Buffer.from(raw, "hex");
+}
+
+function rotl32(value, shift) {
+  return (value << shift) | (value >>> (32 - shift));
+}
+
+function salsa20x8(block, scratch) {
+  scratch.set(block);
+  const x = scratch;
+  for (let i = 0; i < 8; i += 2) {
+    x[4] ^= rotl32(x[0] + x[12], 7); x[8] ^= rotl32(x[4] + x[0], 9);
+    x[12] ^= rotl32(x[8] + x[4], 13); x[0] ^= rotl32(x[12] + x[8], 18);
+    x[9] ^= rotl32(x[5] + x[1], 7); x[13] ^= rotl32(x[9] + x[5], 9);
+    x[1] ^= rotl32(x[13] + x[9], 13); x[5] ^= rotl32(x[1] + x[13], 18);
+    x[14] ^= rotl32(x[10] + x[6], 7); x[2] ^= rotl32(x[14] + x[10], 9);
+    x[6] ^= rotl32(x[2] + x[14], 13); x[10] ^= rotl32(x[6] + x[2], 18);
+    x[3] ^= rotl32(x[15] + x[11], 7); x[7] ^= rotl32(x[3] + x[15], 9);
+    x[11] ^= rotl32(x[7] + x[3], 13); x[15] ^= rotl32(x[11] + x[7], 18);
+    x[1] ^= rotl32(x[0] + x[3], 7); x[2] ^= rotl32(x[1] + x[0], 9);
+    x[3] ^= rotl32(x[2] + x[1], 13); x[0] ^= rotl32(x[3] + x[2], 18);
+    x[6] ^= rotl32(x[5] + x[4], 7); x[7] ^= rotl32(x[6] + x[5], 9);
+    x[4] ^= rotl32(x[7] + x[6], 13); x[5] ^= rotl32(x[4] + x[7], 18);
+    x[11] ^= rotl32(x[10] + x[9], 7); x[8] ^= rotl32(x[11] + x[10], 9);
+    x[9] ^= rotl32(x[8] + x[11], 13); x[10] ^= rotl32(x[9] + x[8], 18);
+    x[12] ^= rotl32(x[15] + x[14], 7); x[13] ^= rotl32(x[12] + x[15], 9);
+    x[14] ^= rotl32(x[13] + x[12], 13); x[15] ^= rotl32(x[14] + x[13], 18);
+  }
+  for (let i = 0; i < 16; i++) block[i] = (block[i] + x[i]) | 0;
+}
+
+function blockMix(block, out, r, t, scratch) {
+  t.set(block.subarray((2 * r - 1) * 16, 2 * r * 16));
+  for (let i = 0; i < 2 * r; i++) {
+    for (let k = 0; k < 16; k++) t[k] ^= block[i * 16 + k];
+    salsa20x8(t, scratch);
+    const dest = (i % 2 === 0 ? i / 2 : r + (i - 1) / 2) * 16;
+    out.set(t, dest);
+  }
+}
+
+// RFC 7914 scrypt for parameter sets OpenSSL refuses (it requires N < 2^(16r),
+// which rejects e.g. the spec's n=262144,r=1 vector).
+function scryptPureJs(secret, salt, n, r, p, dklen) {
+  const blockWords = 32 * r;
+  const b = pbkdf2Sync(secret, salt, 1, p * 128 * r, "sha256");
+  const x = new Uint32Array(blockWords);
+  const y = new Uint32Array(blockWords);
+  const v = new Uint32Array(blockWords * n);
+  const t = new Uint32Array(16);
+  const scratch = new Uint32Array(16);
+  for (let chunk = 0; chunk < p; chunk++) {
+    const offset = chunk * 128 * r;
+    for (let i = 0; i < blockWords; i++) x[i] = b.readUInt32LE(offset + i * 4);
+    for (let i = 0; i < n; i++) {
+      v.set(x, i * blockWords);
+      blockMix(x, y, r, t, scratch);
+      x.set(y);
+    }
+    for (let i = 0; i < n; i++) {
+      const j = (x[(2 * r - 1) * 16] >>> 0) % n;
+      for (let k = 0; k < blockWords; k++) x[k] ^= v[j * blockWords + k];
+      blockMix(x, y, r, t, scratch);
+      x.set(y);
+    }
+    for (let i = 0; i < blockWords; i++) b.writeUInt32LE(x[i] >>> 0, offset + i * 4);
+  }
+  return pbkdf2Sync(secret, b, 1, dklen, "sha256");
+}
+
+function deriveKeystoreKey(crypto, password) {
+  const kdf = String(crypto.kdf || "").toLowerCase();
+  const params = crypto.kdfparams || {};
+  const salt = hexField(params.salt, "kdfparams.salt");
+  const dklen = Number(params.dklen ?? 32);
+  if (!Number.isInteger(dklen) || dklen < 32) throw new Error("keystore kdfparams.dklen must be >= 32");
+  const secret = Buffer.from(String(password), "utf8");
+
+  if (kdf === "scrypt") {
+    const n = Number(params.n);
+    const r = Number(params.r);
+    const p = Number(params.p);
+    if (![n, r, p].every((v) => Number.isInteger(v) && v > 0)) {
+      throw new Error("keystore scrypt params n/r/p must be positive integers");
+    }
+    if ((n & (n - 1)) !== 0 || n < 2) throw new Error("keystore scrypt n must be a power of two");
+    if (128 * r * n > SCRYPT_MAXMEM_BYTES) throw new Error("keystore scrypt params exceed the memory limit");
+    if (16 * r < 32 && n >= 2 ** (16 * r)) return scryptPureJs(secret, salt, n, r, p, dklen);
+    return scryptSync(secret, salt, dklen, { N: n, r, p, maxmem: SCRYPT_MAXMEM_BYTES });
+  }
+  if (kdf === "pbkdf2") {
+    const prf = String(params.prf || "hmac-sha256").toLowerCase();
+    if (prf !== "hmac-sha256") throw new Error(`Unsupported keystore pbkdf2 prf: ${prf}`);
+    const c = Number(params.c);
+    if (!Number.isInteger(c) || c <= 0) throw new Error("keystore pbkdf2 iteration count must be a positive integer");
+    return pbkdf2Sync(secret, salt, c, dklen, "sha256");
+  }
+  throw new Error(`Unsupported keystore kdf: ${crypto.kdf}`);
+}
+
+export function decryptKeystore(keystore, password) {
+  const parsed = typeof keystore === "string" ? JSON.parse(keystore) : keystore;
+  if (!parsed || typeof parsed !== "object") throw new Error("keystore must be a JSON object");
+  if (Number(parsed.version) !== 3) throw new Error(`Unsupported keystore version: ${parsed.version}`);
+  if (password == null || password === "") throw new Error("keystore password is required");
+  const crypto = parsed.crypto || parsed.Crypto;
+  if (!crypto) throw new Error("keystore is missing the crypto section");
+  if (String(crypto.cipher || "").toLowerCase() !== "aes-128-ctr") {
+    throw new Error(`Unsupported keystore cipher: ${crypto.cipher}`);
+  }
+
+  const derivedKey = deriveKeystoreKey(crypto, password);
+  const ciphertext = hexField(crypto.ciphertext, "ciphertext");
+  const expectedMac = hexField(crypto.mac, "mac");
+  const mac = keccak256(Buffer.concat([derivedKey.subarray(16, 32), ciphertext]));
+  if (expectedMac.length !== mac.length || !timingSafeEqual(expectedMac, mac)) {
+    throw new Error("keystore MAC mismatch (wrong password or corrupted keystore)");
+  }
+
+  const iv = hexField(crypto.cipherparams?.iv, "cipherparams.iv");
+  const decipher = createDecipheriv("aes-128-ctr", derivedKey.subarray(0, 16), iv);
+  const privateKey = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  if (privateKey.length !== 32) throw new Error("keystore decrypted to an unexpected key length");
+
+  const address = privateKeyToAddress(privateKey);
+  const declared = parsed.address ? normalizeAddress(`0x${String(parsed.address).replace(/^0x/i, "")}`) : null;
+  if (declared && declared !== address) {
+    throw new Error(`keystore address ${declared} does not match decrypted key address ${address}`);
+  }
+  return { privateKey, address, declaredAddress: declared };
+}
+
+function quantity(value, label) {
+  if (value == null || value === "") throw new Error(`transaction ${label} is required`);
+  const n = BigInt(value);
+  if (n < 0n) throw new Error(`transaction ${label} must be non-negative`);
+  return n;
+}
+
+function normalizeTx(tx) {
+  const type = tx.type === TX_TYPE_LEGACY ? TX_TYPE_LEGACY : TX_TYPE_EIP1559;
+  const out = {
+    type,
+    chainId: quantity(tx.chainId, "chainId"),
+    nonce: quantity(tx.nonce, "nonce"),
+    gasLimit: quantity(tx.gasLimit, "gasLimit"),
+    to: assertAddress(tx.to),
+    value: quantity(tx.value ?? 0n, "value"),
+    data: `0x${hexToBytes(tx.data || "0x").toString("hex")}`,
+  };
+  if (type === TX_TYPE_LEGACY) {
+    out.gasPrice = quantity(tx.gasPrice, "gasPrice");
+  } else {
+    out.maxFeePerGas = quantity(tx.maxFeePerGas, "maxFeePerGas");
+    out.maxPriorityFeePerGas = quantity(tx.maxPriorityFeePerGas ?? 0n, "maxPriorityFeePerGas");
+    if (out.maxPriorityFeePerGas > out.maxFeePerGas) {
+      throw new Error("maxPriorityFeePerGas cannot exceed maxFeePerGas");
+    }
+  }
+  return out;
+}
+
+function eip1559Fields(tx) {
+  return [
+    rlpQuantity(tx.chainId),
+    rlpQuantity(tx.nonce),
+    rlpQuantity(tx.maxPriorityFeePerGas),
+    rlpQuantity(tx.maxFeePerGas),
+    rlpQuantity(tx.gasLimit),
+    tx.to,
+    rlpQuantity(tx.value),
+    tx.data,
+    [],
+  ];
+}
+
+function legacyFields(tx) {
+  return [
+    rlpQuantity(tx.nonce),
+    rlpQuantity(tx.gasPrice),
+    rlpQuantity(tx.gasLimit),
+    tx.to,
+    rlpQuantity(tx.value),
+    tx.data,
+  ];
+}
+
+export function transactionSigningHash(txInput) {
+  const tx = normalizeTx(txInput);
+  if (tx.type === TX_TYPE_LEGACY) {
+    return keccak256(rlpEncode([...legacyFields(tx), rlpQuantity(tx.chainId), rlpQuantity(0n), rlpQuantity(0n)]));
+  }
+  return keccak256(Buffer.concat([Buffer.from([0x02]), rlpEncode(eip1559Fields(tx))]));
+}
+
+export function signTransaction(txInput, privateKey) {
+  const tx = normalizeTx(txInput);
+  const digest = transactionSigningHash(tx);
+  const signature = signDigest(digest, privateKey);
+  const from = recoverAddress(digest, signature);
+  if (from !== privateKeyToAddress(privateKey)) throw new Error("signature self-check failed (recovered signer mismatch)");
+
+  let raw;
+  if (tx.type === TX_TYPE_LEGACY) {
+    const v = tx.chainId * 2n + 35n + BigInt(signature.recovery & 1);
+    raw = rlpEncode([...legacyFields(tx), rlpQuantity(v), rlpQuantity(signature.r), rlpQuantity(signature.s)]);
+  } else {
+    const body = rlpEncode([
+      ...eip1559Fields(tx),
+      rlpQuantity(signature.recovery & 1),
+      rlpQuantity(signature.r),
+      rlpQuantity(signature.s),
+    ]);
+    raw = Buffer.concat([Buffer.from([0x02]), body]);
+  }
+  const rawTransaction = `0x${raw.toString("hex")}`;
+  return {
+    tx,
+    from,
+    rawTransaction,
+    hash: keccak256Hex(raw),
+    signingHash: `0x${digest.toString("hex")}`,
+  };
+}
+
+function decodedAddress(bytes) {
+  const buf = Buffer.from(bytes);
+  if (buf.length === 0) return null;
+  if (buf.length !== 20) throw new Error("signed tx 'to' must be 20 bytes");
+  return `0x${buf.toString("hex")}`;
+}
+
+// Decodes a signed legacy (EIP-155 or pre-155) or EIP-1559 envelope and
+// recovers the sender from the exact signed field bytes.
+export function decodeSignedTransaction(rawTx) {
+  const raw = hexToBytes(String(rawTx ?? "").trim());
+  if (!raw.length) throw new Error("signed tx is empty");
+  const hash = keccak256Hex(raw);
+
+  if (raw[0] === 0x02) {
+    const fields = rlpDecode(raw.subarray(1));
+    if (!Array.isArray(fields) || fields.length !== 12) throw new Error("EIP-1559 tx must have 12 RLP fields");
+    const yParity = rlpToBigInt(fields[9]);
+    if (yParity > 1n) throw new Error(`EIP-1559 yParity must be 0 or 1 (got ${yParity})`);
+    const signature = { r: rlpToBigInt(fields[10]), s: rlpToBigInt(fields[11]), recovery: Number(yParity) };
+    const digest = keccak256(Buffer.concat([Buffer.from([0x02]), rlpEncode(fields.slice(0, 9))]));
+    return {
+      type: TX_TYPE_EIP1559,
+      chainId: rlpToBigInt(fields[0]),
+      nonce: rlpToBigInt(fields[1]),
+      maxPriorityFeePerGas: rlpToBigInt(fields[2]),
+      maxFeePerGas: rlpToBigInt(fields[3]),
+      gasLimit: rlpToBigInt(fields[4]),
+      to: decodedAddress(fields[5]),
+      value: rlpToBigInt(fields[6]),
+      data: `0x${Buffer.from(fields[7]).toString("hex")}`,
+      accessListLength: Array.isArray(fields[8]) ? fields[8].length : 0,
+      from: recoverAddress(digest, signature),
+      hash,
+    };
+  }
+  if (raw[0] < 0xc0) throw new Error(`Unsupported typed transaction envelope: 0x${raw[0].toString(16).padStart(2, "0")}`);
+
+  const fields = rlpDecode(raw);
+  if (!Array.isArray(fields) || fields.length !== 9) throw new Error("legacy tx must have 9 RLP fields");
+  const v = rlpToBigInt(fields[6]);
+  let chainId = null;
+  let recovery;
+  let signingPayload;
+  if (v === 27n || v === 28n) {
+    recovery = Number(v - 27n);
+    signingPayload = rlpEncode(fields.slice(0, 6));
+  } else if (v >= 35n) {
+    chainId = (v - 35n) / 2n;
+    recovery = Number((v - 35n) % 2n);
+    signingPayload = rlpEncode([...fields.slice(0, 6), rlpQuantity(chainId), rlpQuantity(0n), rlpQuantity(0n)]);
+  } else {
+    throw new Error(`legacy tx has invalid v: ${v}`);
+  }
+  const signature = { r: rlpToBigInt(fields[7]), s: rlpToBigInt(fields[8]), recovery };
+  return {
+    type: TX_TYPE_LEGACY,
+    chainId,
+    nonce: rlpToBigInt(fields[0]),
+    gasPrice: rlpToBigInt(fields[1]),
+    gasLimit: rlpToBigInt(fields[2]),
+    to: decodedAddress(fields[3]),
+    value: rlpToBigInt(fields[4]),
+    data: `0x${Buffer.from(fields[5]).toString("hex")}`,
+    from: recoverAddress(keccak256(signingPayload), signature),
+    hash,
+  };
+}
+
+function leadingQuantity(raw) {
+  const text = String(raw ?? "").trim();
+  const hex = text.match(/^0x[0-9a-fA-F]+/);
+  if (hex) return BigInt(hex[0]);
+  const dec = text.match(/^\d+/);
+  return dec ? BigInt(dec[0]) : null;
+}
+
+function planPayload(rawPlan) {
+  const text = String(rawPlan ?? "").trim();
+  if (!text) throw new Error("plan input is empty");
+  if (text.startsWith("{")) {
+    const parsed = JSON.parse(text);
+    return parsed?.result && Array.isArray(parsed.result.txTemplates) ? parsed.result : parsed;
+  }
+  return renderCommandJson({ outputText: text }).result;
+}
+
+// Accepts either `--json` command output or the plain-text plan rendering.
+export function extractPlanTxTemplates(rawPlan) {
+  const result = planPayload(rawPlan);
+  const labeledFields = result?.labeledFields || {};
+  const templates = (result?.txTemplates || []).map((template, idx) => {
+    const to = normalizeAddress(template.to);
+    if (!to) throw new Error(`plan template ${idx + 1} is missing a valid 'to' address`);
+    const data = String(template.data ?? "0x").trim();
+    if (!/^0x(?:[0-9a-fA-F]{2})*$/.test(data)) throw new Error(`plan template ${idx + 1} has malformed calldata`);
+    return {
+      index: idx + 1,
+      label: template.label || `step ${idx + 1}`,
+      action: template.action || null,
+      to,
+      value: leadingQuantity(template.value) ?? 0n,
+      data,
+      gasEstimate: leadingQuantity(template.gasEst),
+    };
+  });
+
+  const gateBlocked = Object.entries(labeledFields)
+    .some(([label, value]) => /execution gate/i.test(label) && /^BLOCKED/i.test(String(value)));
+  return { title: result?.title || "", templates, gateBlocked, sender: planSender(labeledFields) };
+}
+
+// The account a plan's templates are built for, from its top-level labeled fields.
+export function planSender(labeledFields = {}) {
+  return normalizeAddress(labeledFields["from (tx sender)"] || labeledFields["owner/sender"] || labeledFields.owner || "");
+}
+
+export function gasLimitWithBuffer(gasEstimate, bufferBps = DEFAULT_SIGN_GAS_BUFFER_BPS) {
+  const est = BigInt(gasEstimate);
+  return (est * BigInt(10_000 + Number(bufferBps)) + 9_999n) / 10_000n;
+}
+
+function txRequestJson(tx) {
+  const out = {};
+  for (const [key, value] of Object.entries(tx)) {
+    out[key] = typeof value === "bigint" ? `0x${value.toString(16)}` : value;
+  }
+  return out;
+}
+
+function assertSignedMatchesRequest(request, decoded, expectedFrom) {
+  const mismatches = [];
+  const fields = ["type", "chainId", "nonce", "gasLimit", "to", "value", "data"];
+  if (request.type === TX_TYPE_LEGACY) fields.push("gasPrice");
+  else fields.push("maxFeePerGas", "maxPriorityFeePerGas");
+  for (const field of fields) {
+    if (String(request[field]).toLowerCase() !== String(decoded[field]).toLowerCase()) mismatches.push(field);
+  }
+  if (decoded.from !== expectedFrom) mismatches.push("from");
+  if (mismatches.length) throw new Error(`external signer returned a tx that differs from the request (${mismatches.join(", ")})`);
+}
+
+function privateKeyBytes(privateKey) {
+  if (typeof privateKey !== "string") return Buffer.from(privateKey);
+  const hex = privateKey.trim().replace(/^0x/i, "");
+  if (!/^[0-9a-fA-F]{64}$/.test(hex)) throw new Error("private key must be 32 bytes of hex");
+  return Buffer.from(hex, "hex");
+}
+
+// Signers share one shape: { kind, address, sign(tx) -> { rawTransaction, hash, from } }.
+// Key-backed signers decode the key for each signature and wipe it afterwards, so no
+// decoded key buffer outlives a sign() call.
+function createKeyBackedSigner(kind, loadKey) {
+  const key = loadKey();
+  let address;
+  try {
+    address = privateKeyToAddress(key);
+  } finally {
+    key.fill(0);
+  }
+  return {
+    kind,
+    address,
+    sign(tx) {
+      const key = loadKey();
+      try {
+        const signed = signTransaction(tx, key);
+        return { rawTransaction: signed.rawTransaction, hash: signed.hash, from: signed.from };
+      } finally {
+        key.fill(0);
+      }
+    },
+  };
+}
+
+export function createPrivateKeySigner(privateKey, { kind = "private-key" } = {}) {
+  return createKeyBackedSigner(kind, () => privateKeyBytes(privateKey));
+}
+
+// Re-runs the keystore KDF per signature instead of keeping the decrypted key.
+export function createKeystoreSigner(keystore, password) {
+  return createKeyBackedSigner("keystore", () => decryptKeystore(keystore, password).privateKey);
+}
+
+// Splits --signer-cmd into argv with sh-like quoting ('...', "...", backslash)
+// but no expansion, redirection, or chaining: the command runs without a shell.
+export function splitSignerCommand(command) {
+  const argv = [];
+  let current = null;
+  let quote = "";
+  const text = String(command || "");
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quote === "'") {
+      if (ch === "'") quote = "";
+      else current += ch;
+    } else if (ch === "\\" && quote !== "'") {
+      if (i + 1 >= text.length) throw new Error("signer command ends with a dangling backslash");
+      current = (current ?? "") + text[++i];
+    } else if (quote === "\"") {
+      if (ch === "\"") quote = "";
+      else current += ch;
+    } else if (ch === "'" || ch === "\"") {
+      quote = ch;
+      current = current ?? "";
+    } else if (/\s/.test(ch)) {
+      if (current != null) argv.push(current);
+      current = null;
+    } else {
+      current = (current ?? "") + ch;
+    }
+  }
+  if (quote) throw new Error(`signer command has an unterminated ${quote} quote`);
+  if (current != null) argv.push(current);
+  return argv;
+}
+
+function signerCommandTimeoutMs() {
+  const raw = process.env.KRLP_SIGNER_COMMAND_TIMEOUT_MS;
+  if (raw == null || raw === "") return DEFAULT_SIGNER_COMMAND_TIMEOUT_MS;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value <= 0) throw new Error(`KRLP_SIGNER_COMMAND_TIMEOUT_MS must be a positive integer (got ${raw})`);
+  return value;
+}
+
+// External signer protocol: the unsigned request is written to stdin as JSON
+// (quantities as 0x-hex) and the last 0x-hex token on stdout is the signed tx.
+export function createCommandSigner({ command, address }) {
+  const argv = splitSignerCommand(command);
+  if (!argv.length) throw new Error("signer command is required");
+  const expectedFrom = assertAddress(address);
+  const timeout = signerCommandTimeoutMs();
+  return {
+    kind: "command",
+    address: expectedFrom,
+    sign(tx) {
+      const request = normalizeTx(tx);
+      const child = spawnSync(argv[0], argv.slice(1), {
+        input: JSON.stringify(txRequestJson(request)),
+        encoding: "utf8",
+        shell: false,
+        timeout,
+        maxBuffer: 4_000_000,
+      });
+      if (child.error) throw new Error(`signer command failed: ${child.error.message}`);
+      if (child.status !== 0) throw new Error(`signer command exited ${child.status}: ${String(child.stderr || "").trim()}`);
+      const candidates = String(child.stdout || "").match(/0x[0-9a-fA-F]+/g) || [];
+      const rawTransaction = candidates[candidates.length - 1];
+      if (!rawTransaction) throw new Error("signer command did not print a 0x signed transaction");
+      const decoded = decodeSignedTransaction(rawTransaction);
+      assertSignedMatchesRequest(request, decoded, expectedFrom);
+      return { rawTransaction: rawTransaction.toLowerCase(), hash: decoded.hash, from: decoded.from };
+    },
+  };
+}
@@ -8,25 +8,13 @@ import {
   DEFAULT_RPC_URL,
   KITTENSWAP_CONTRACTS,
   normalizeAddress,
-  readErc20Decimals,
-  readErc20Name,
-  readErc20Symbol,
-  readPoolGlobalState,
-  readPoolTickSpacing,
+  readErc20MetadataBatch,
+  readPoolStatesBatch,
   rpcBlockNumber,
 } from "./kittenswap_rebalance_api.mjs";
+import { DEFAULT_LOG_CHUNK_BLOCKS, LOG_TOPICS, logIndexDir, queryLogIndex, syncLogIndex } from "./krlp_log_indexer.mjs";
 
-const HYPERSCAN_API_V2 = process.env.HYPERSCAN_API_V2 || "https://www.hyperscan.com/api/v2";
-const FACTORY = KITTENSWAP_CONTRACTS.factory.toLowerCase();
 const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
-const MAX_RETRIES = 5;
-const RETRY_BASE_MS = 400;
-const DEFAULT_CONCURRENCY = 8;
-const MIN_CONCURRENCY = 1;
-const MAX_CONCURRENCY = 16;
-const CONCURRENCY = clampInt(process.env.KITTENSWAP_ENUM_CONCURRENCY, DEFAULT_CONCURRENCY, MIN_CONCURRENCY, MAX_CONCURRENCY);
-const METHOD_ID_POOL = "91ccaa7a";
-const METHOD_ID_CUSTOM_POOL = "2b27bded";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const defaultJsonPath = resolve(__dirname, "../references/kittenswap-token-pair-inventory.json");
@@ -41,10 +29,8 @@ const KNOWN_TOKEN_ALIASES = new Map([
 
 async function main() {
   const startedAt = new Date();
-  const [{ events, pageCount }, latestBlock] = await Promise.all([
-    fetchFactoryPoolEvents(),
-    safe(async () => rpcBlockNumber({ rpcUrl: DEFAULT_RPC_URL })),
-  ]);
+  const latestBlock = await rpcBlockNumber({ rpcUrl: DEFAULT_RPC_URL });
+  const { events, sync } = await fetchFactoryPoolEvents(latestBlock.decimal);
 
   const uniquePools = dedupePools(events);
   const tokenAddresses = collectUniqueTokenAddresses(uniquePools);
@@ -77,8 +63,11 @@ async function main() {
     chainId: Number(DEFAULT_CHAIN_ID),
     rpcUrl: DEFAULT_RPC_URL,
     source: {
-      hyperscanApiV2: HYPERSCAN_API_V2,
-      factoryLogsEndpoint: `${HYPERSCAN_API_V2}/addresses/${FACTORY}/logs`,
+      method: "eth_getLogs",
+      factory: KITTENSWAP_CONTRACTS.factory,
+      topics: { Pool: LOG_TOPICS.Pool, CustomPool: LOG_TOPICS.CustomPool },
+      logIndexDir: logIndexDir(),
+      chunkBlocks: DEFAULT_LOG_CHUNK_BLOCKS,
     },
     coreContracts: {
       factory: KITTENSWAP_CONTRACTS.factory,
@@ -87,9 +76,11 @@ async function main() {
       positionManager: KITTENSWAP_CONTRACTS.positionManager,
     },
     stats: {
-      latestBlock: latestBlock.ok ? latestBlock.value.decimal : null,
-      latestBlockHex: latestBlock.ok ? latestBlock.value.hex : null,
-      hyperscanPagesRead: pageCount,
+      latestBlock: latestBlock.decimal,
+      latestBlockHex: latestBlock.hex,
+      indexedFromBlock: sync.fromBlock,
+      indexedToBlock: sync.toBlock,
+      logRequests: sync.requests,
       poolEventsRead: events.length,
       uniquePools: enrichedPools.length,
       defaultPools: enrichedPools.filter((x) => x.eventType === "Pool").length,
@@ -107,118 +98,33 @@ async function main() {
   console.log(`- output md:   ${outputMarkdownPath}`);
   console.log(`- pools: ${payload.stats.uniquePools}`);
   console.log(`- tokens: ${payload.stats.uniqueTokens}`);
-  if (!latestBlock.ok) console.log(`- latest block lookup: unavailable (${latestBlock.error})`);
-}
-
-function clampInt(raw, fallback, min, max) {
-  const n = Number(raw);
-  if (!Number.isFinite(n)) return fallback;
-  return Math.min(max, Math.max(min, Math.floor(n)));
-}
-
-function sleep(ms) {
-  return new Promise((resolveFn) => setTimeout(resolveFn, ms));
+  console.log(`- factory logs: blocks ${sync.fromBlock}..${sync.toBlock} (${sync.requests} eth_getLogs requests this run)`);
 }
 
-function toQuery(obj) {
-  const params = new URLSearchParams();
-  for (const [k, v] of Object.entries(obj || {})) {
-    if (v == null || v === "") continue;
-    params.set(k, String(v));
-  }
-  return params.toString();
-}
-
-async function fetchJson(url, { retries = MAX_RETRIES } = {}) {
-  let lastErr = null;
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    try {
-      const res = await fetch(url, { method: "GET", headers: { Accept: "application/json" } });
-      const text = await res.text();
-      if (!res.ok) throw new Error(`HTTP ${res.status}: ${text.slice(0, 300)}`);
-      return text ? JSON.parse(text) : null;
-    } catch (err) {
-      lastErr = err;
-      if (attempt >= retries) break;
-      await sleep(RETRY_BASE_MS * Math.pow(2, attempt));
-    }
-  }
-  throw lastErr || new Error(`Failed to fetch JSON from ${url}`);
-}
-
-function parsePoolEvent(logItem) {
-  const decoded = logItem?.decoded;
-  if (!decoded) return null;
-  const methodCall = String(decoded.method_call || "");
-  const methodId = String(decoded.method_id || "").toLowerCase();
-  const parameters = Array.isArray(decoded.parameters) ? decoded.parameters : [];
-  const kv = {};
-  for (const p of parameters) kv[String(p?.name || "")] = p?.value;
-
-  if (methodCall.startsWith("Pool(") || methodId === METHOD_ID_POOL) {
-    const token0 = normalizeAddress(kv.token0);
-    const token1 = normalizeAddress(kv.token1);
-    const pool = normalizeAddress(kv.pool);
-    if (!token0 || !token1 || !pool) return null;
-    return {
-      eventType: "Pool",
-      deployer: ZERO_ADDRESS,
-      token0,
-      token1,
-      pool,
-      blockNumber: Number(logItem?.block_number || 0),
-      txHash: String(logItem?.transaction_hash || "").toLowerCase(),
-      logIndex: Number(logItem?.index || 0),
-    };
-  }
-
-  if (methodCall.startsWith("CustomPool(") || methodId === METHOD_ID_CUSTOM_POOL) {
-    const deployer = normalizeAddress(kv.deployer);
-    const token0 = normalizeAddress(kv.token0);
-    const token1 = normalizeAddress(kv.token1);
-    const pool = normalizeAddress(kv.pool);
-    if (!deployer || !token0 || !token1 || !pool) return null;
-    return {
-      eventType: "CustomPool",
+// The factory stream of the local log index holds every Pool/CustomPool event; a rerun only
+// fetches blocks mined since the last refresh.
+async function fetchFactoryPoolEvents(toBlock) {
+  const sync = await syncLogIndex({ streams: ["factory"], toBlock, rpcUrl: DEFAULT_RPC_URL });
+  const indexed = await queryLogIndex({ stream: "factory", event: ["Pool", "CustomPool"] });
+  const items = [];
+  for (const rec of indexed) {
+    const token0 = normalizeAddress(rec.args.token0);
+    const token1 = normalizeAddress(rec.args.token1);
+    const pool = normalizeAddress(rec.args.pool);
+    const deployer = rec.event === "CustomPool" ? normalizeAddress(rec.args.deployer) : ZERO_ADDRESS;
+    if (!token0 || !token1 || !pool || !deployer) continue;
+    items.push({
+      eventType: rec.event,
       deployer,
       token0,
       token1,
       pool,
-      blockNumber: Number(logItem?.block_number || 0),
-      txHash: String(logItem?.transaction_hash || "").toLowerCase(),
-      logIndex: Number(logItem?.index || 0),
-    };
+      blockNumber: rec.blockNumber,
+      txHash: rec.txHash,
+      logIndex: rec.logIndex,
+    });
   }
-
-  return null;
-}
-
-async function fetchFactoryPoolEvents() {
-  const items = [];
-  let nextPageParams = null;
-  let pageCount = 0;
-
-  do {
-    const query = nextPageParams ? `?${toQuery(nextPageParams)}` : "";
-    const url = `${HYPERSCAN_API_V2}/addresses/${FACTORY}/logs${query}`;
-    const page = await fetchJson(url);
-    pageCount += 1;
-    const logs = Array.isArray(page?.items) ? page.items : [];
-    for (const logItem of logs) {
-      const parsed = parsePoolEvent(logItem);
-      if (parsed) items.push(parsed);
-    }
-    nextPageParams = page?.next_page_params || null;
-  } while (nextPageParams);
-
-  // API pages are newest -> oldest; reverse for deterministic oldest-first output.
-  items.sort((a, b) => {
-    if (a.blockNumber !== b.blockNumber) return a.blockNumber - b.blockNumber;
-    if (a.logIndex !== b.logIndex) return a.logIndex - b.logIndex;
-    return a.pool.localeCompare(b.pool);
-  });
-
-  return { events: items, pageCount };
+  return { events: items, sync: sync.streams[0] };
 }
 
 function dedupePools(events) {
@@ -251,24 +157,6 @@ function collectUniqueTokenAddresses(pairs) {
   return [...out].sort((a, b) => a.localeCompare(b));
 }
 
-async function mapConcurrent(values, limit, worker) {
-  if (!values.length) return [];
-  const results = new Array(values.length);
-  let cursor = 0;
-
-  async function run() {
-    while (true) {
-      const index = cursor++;
-      if (index >= values.length) return;
-      results[index] = await worker(values[index], index);
-    }
-  }
-
-  const workers = Array.from({ length: Math.min(limit, values.length) }, () => run());
-  await Promise.all(workers);
-  return results;
-}
-
 function defaultTokenMeta(address) {
   return {
     address,
@@ -279,13 +167,15 @@ function defaultTokenMeta(address) {
   };
 }
 
+// Batched eth_call results carry Error objects; the inventory stores messages.
+function batchField(r) {
+  return r.ok ? r : { ok: false, error: r.error instanceof Error ? r.error.message : String(r.error) };
+}
+
 async function fetchTokenMetadata(tokenAddresses) {
-  const rows = await mapConcurrent(tokenAddresses, CONCURRENCY, async (address) => {
-    const [symbolR, nameR, decimalsR] = await Promise.all([
-      safe(async () => readErc20Symbol(address, { rpcUrl: DEFAULT_RPC_URL })),
-      safe(async () => readErc20Name(address, { rpcUrl: DEFAULT_RPC_URL })),
-      safe(async () => readErc20Decimals(address, { rpcUrl: DEFAULT_RPC_URL })),
-    ]);
+  const reads = await readErc20MetadataBatch(tokenAddresses, { rpcUrl: DEFAULT_RPC_URL });
+  const rows = reads.map(({ address, ...fields }) => {
+    const [symbolR, nameR, decimalsR] = [fields.symbol, fields.name, fields.decimals].map(batchField);
     const fallbackAlias = KNOWN_TOKEN_ALIASES.get(address);
     return {
       address,
@@ -306,11 +196,10 @@ function defaultPoolMeta() {
 }
 
 async function fetchPoolMetadata(poolAddresses) {
-  const rows = await mapConcurrent(poolAddresses, CONCURRENCY, async (pool) => {
-    const [tickSpacingR, stateR] = await Promise.all([
-      safe(async () => readPoolTickSpacing(pool, { rpcUrl: DEFAULT_RPC_URL })),
-      safe(async () => readPoolGlobalState(pool, { rpcUrl: DEFAULT_RPC_URL })),
-    ]);
+  const reads = await readPoolStatesBatch(poolAddresses, { rpcUrl: DEFAULT_RPC_URL });
+  const rows = poolAddresses.map((pool, i) => {
+    const tickSpacingR = batchField(reads[i].tickSpacing);
+    const stateR = batchField(reads[i].globalState);
     return {
       pool,
       tickSpacing: tickSpacingR.ok ? tickSpacingR.value : null,
@@ -382,7 +271,7 @@ function renderMarkdown(payload) {
   lines.push(`- Chain ID: \`${payload.chainId}\``);
   lines.push(`- RPC: \`${payload.rpcUrl}\``);
   lines.push(`- Factory: \`${payload.coreContracts.factory}\``);
-  lines.push(`- Source endpoint: \`${payload.source.factoryLogsEndpoint}\``);
+  lines.push(`- Source: \`eth_getLogs\` Pool/CustomPool events from the factory (${payload.source.chunkBlocks}-block chunks)`);
   lines.push("");
   lines.push("## Core Contracts");
   lines.push("");
@@ -394,7 +283,8 @@ function renderMarkdown(payload) {
   lines.push("## Summary");
   lines.push("");
   lines.push(`- Latest RPC block: \`${payload.stats.latestBlock ?? "n/a"}\``);
-  lines.push(`- Hyperscan pages read: \`${payload.stats.hyperscanPagesRead}\``);
+  lines.push(`- Indexed factory blocks: \`${payload.stats.indexedFromBlock}..${payload.stats.indexedToBlock}\``);
+  lines.push(`- eth_getLogs requests this run: \`${payload.stats.logRequests}\``);
   lines.push(`- Pool events read: \`${payload.stats.poolEventsRead}\``);
   lines.push(`- Unique pools: \`${payload.stats.uniquePools}\``);
   lines.push(`- Default pools: \`${payload.stats.defaultPools}\``);
@@ -437,14 +327,6 @@ async function writeOutputFiles(payload, jsonPath, markdownPath) {
   await writeFile(markdownPath, renderMarkdown(payload), "utf8");
 }
 
-async function safe(fn) {
-  try {
-    return { ok: true, value: await fn() };
-  } catch (error) {
-    return { ok: false, error: error instanceof Error ? error.message : String(error) };
-  }
-}
-
 main().catch((error) => {
   console.error(`Inventory refresh failed: ${error instanceof Error ? error.stack || error.message : String(error)}`);
   process.exitCode = 1;